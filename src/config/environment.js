@@ -202,7 +202,17 @@ class EnvironmentConfig {
     // Rate Limiting Configuration
     this.config.rateLimit = {
       windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 900000, // 15 minutes
-      maxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 2000 // Increased for admin dashboard
+      maxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 2000, // Increased for admin dashboard
+      // Bucket store for the policies in constants/rateLimitPolicies.js
+      store: process.env.RATE_LIMIT_STORE || 'memory', // memory (per instance) | firestore | redis (shared)
+      // Per-policy store, e.g. "general:memory,trackingData:memory" keeps high-volume policies off firestore
+      policyStores: Object.fromEntries((process.env.RATE_LIMIT_POLICY_STORES || '')
+        .split(',').map(entry => entry.split(':').map(part => part.trim()))
+        .filter(([policy, store]) => policy && store)),
+      redisRestUrl: process.env.RATE_LIMIT_REDIS_REST_URL || null,
+      redisRestToken: process.env.RATE_LIMIT_REDIS_REST_TOKEN || null,
+      redisKeyPrefix: process.env.RATE_LIMIT_REDIS_KEY_PREFIX || 'epickup:ratelimit:',
+      storeTimeoutMs: parseInt(process.env.RATE_LIMIT_STORE_TIMEOUT_MS) || 1500 // Slower store calls let the request through
     };
 
     // Logging Configuration
@@ -228,6 +238,191 @@ class EnvironmentConfig {
       testPhoneNumbers: process.env.TEST_PHONE_NUMBERS?.split(',') || ['9999999999', '8888888888', '7777777777']
     };
 
+    // Scheduled (future-time) Booking Configuration
+    this.config.scheduledBookings = {
+      releaseLeadMinutes: parseInt(process.env.SCHEDULED_BOOKING_RELEASE_LEAD_MINUTES) || 20, // Released to matching this long before pickup
+      minLeadMinutes: parseInt(process.env.SCHEDULED_BOOKING_MIN_LEAD_MINUTES) || 45, // Earliest pickup that counts as "scheduled"
+      maxAdvanceDays: parseInt(process.env.SCHEDULED_BOOKING_MAX_ADVANCE_DAYS) || 7,
+      reminderLeadMinutes: parseInt(process.env.SCHEDULED_BOOKING_REMINDER_LEAD_MINUTES) || 60,
+      freeCancellationMinutes: parseInt(process.env.SCHEDULED_BOOKING_FREE_CANCELLATION_MINUTES) || 60, // Free until this long before pickup
+      checkIntervalSeconds: parseInt(process.env.SCHEDULED_BOOKING_CHECK_INTERVAL_SECONDS) || 60
+    };
+
+    // Delivery OTP / Proof-of-Delivery Configuration
+    this.config.deliveryOtp = {
+      enabled: process.env.DELIVERY_OTP_ENABLED !== 'false',
+      length: parseInt(process.env.DELIVERY_OTP_LENGTH) || 4,
+      maxAttempts: parseInt(process.env.DELIVERY_OTP_MAX_ATTEMPTS) || 5,
+      allowFallback: process.env.DELIVERY_OTP_ALLOW_FALLBACK === 'true', // Uploaded photo once the OTP is locked or could not be sent
+      recipientSmsEnabled: process.env.DELIVERY_OTP_RECIPIENT_SMS_ENABLED === 'true',
+      smsWebhookUrl: process.env.DELIVERY_OTP_SMS_WEBHOOK_URL || null // SMS gateway endpoint for recipient OTPs
+    };
+
+    // Driver Reliability Scoring Configuration
+    this.config.driverReliability = {
+      shortWindowDays: parseInt(process.env.DRIVER_RELIABILITY_SHORT_WINDOW_DAYS) || 7,
+      longWindowDays: parseInt(process.env.DRIVER_RELIABILITY_LONG_WINDOW_DAYS) || 30,
+      shortWindowWeight: parseFloat(process.env.DRIVER_RELIABILITY_SHORT_WINDOW_WEIGHT) || 0.6, // Long window gets the rest
+      onTimeGraceMinutes: parseInt(process.env.DRIVER_RELIABILITY_ON_TIME_GRACE_MINUTES) || 20, // Arrival allowance after assignment (or after scheduled pickup)
+      priorEvents: parseInt(process.env.DRIVER_RELIABILITY_PRIOR_EVENTS) || 5, // Pseudo-events pulling sparse histories towards the baseline
+      cacheTtlMinutes: parseInt(process.env.DRIVER_RELIABILITY_CACHE_TTL_MINUTES) || 360, // Cached score on the driver profile is recomputed after this
+      rankingWeight: parseFloat(process.env.DRIVER_RELIABILITY_RANKING_WEIGHT) || 0.25 // Share of the balanced matching score
+    };
+
+    // Driver Payout Settlement Configuration
+    this.config.driverSettlement = {
+      payoutCycle: process.env.DRIVER_PAYOUT_CYCLE || 'weekly', // 'daily' or 'weekly'
+      payoutWeekday: process.env.DRIVER_PAYOUT_WEEKDAY ? parseInt(process.env.DRIVER_PAYOUT_WEEKDAY) : 1, // Weekly cycles close at local midnight starting this day (0 = Sunday)
+      timezoneOffsetMinutes: parseInt(process.env.DRIVER_PAYOUT_TZ_OFFSET_MINUTES) || 330, // Cycle boundaries in IST
+      minPayoutAmount: parseFloat(process.env.DRIVER_PAYOUT_MIN_AMOUNT) || 100, // Smaller balances roll over to the next cycle
+      autoCreateBatches: process.env.DRIVER_PAYOUT_AUTO_BATCH !== 'false',
+      checkIntervalMinutes: parseInt(process.env.DRIVER_PAYOUT_CHECK_INTERVAL_MINUTES) || 60
+    };
+
+    // Driver Monthly Statement Configuration
+    this.config.driverStatements = {
+      timezoneOffsetMinutes: parseInt(process.env.DRIVER_STATEMENT_TZ_OFFSET_MINUTES) || 330, // Month boundaries in IST
+      autoGenerate: process.env.DRIVER_STATEMENT_AUTO_GENERATE !== 'false',
+      checkIntervalMinutes: parseInt(process.env.DRIVER_STATEMENT_CHECK_INTERVAL_MINUTES) || 360
+    };
+
+    // In-Trip Chat Configuration
+    this.config.chat = {
+      maxTextLength: parseInt(process.env.CHAT_MAX_TEXT_LENGTH) || 500,
+      maxImageBytes: parseInt(process.env.CHAT_MAX_IMAGE_BYTES) || 5 * 1024 * 1024,
+      maxVoiceBytes: parseInt(process.env.CHAT_MAX_VOICE_BYTES) || 2 * 1024 * 1024,
+      maxVoiceSeconds: parseInt(process.env.CHAT_MAX_VOICE_SECONDS) || 120,
+      retentionDays: parseInt(process.env.CHAT_RETENTION_DAYS) || 90, // Counted from when the chat closes
+      autoPurge: process.env.CHAT_AUTO_PURGE !== 'false',
+      purgeIntervalMinutes: parseInt(process.env.CHAT_PURGE_INTERVAL_MINUTES) || 360
+    };
+
+    // Masked Contact (number-masked calling) Configuration
+    this.config.maskedContact = {
+      enabled: process.env.MASKED_CONTACT_ENABLED === 'true', // Off until a telephony provider is configured
+      provider: process.env.MASKED_CONTACT_PROVIDER || 'local', // 'local' records calls and SMS without placing them
+      maxSessionHours: parseInt(process.env.MASKED_CONTACT_MAX_SESSION_HOURS) || 24,
+      maxSmsLength: parseInt(process.env.MASKED_CONTACT_MAX_SMS_LENGTH) || 160
+    };
+
+    // Emergency Alert Escalation Configuration
+    this.config.emergencyEscalation = {
+      // Seconds after the alert (without acknowledgement) at which each tier fires
+      tierDelaysSeconds: (process.env.EMERGENCY_TIER_DELAYS_SECONDS || '60,120,180')
+        .split(',').map(value => parseInt(value.trim())).filter(value => value > 0),
+      checkIntervalSeconds: parseInt(process.env.EMERGENCY_ESCALATION_CHECK_INTERVAL_SECONDS) || 15,
+      nearbyDriverRadiusKm: parseFloat(process.env.EMERGENCY_NEARBY_DRIVER_RADIUS_KM) || 3,
+      maxNearbyDrivers: parseInt(process.env.EMERGENCY_MAX_NEARBY_DRIVERS) || 10,
+      minLocationIntervalSeconds: parseInt(process.env.EMERGENCY_MIN_LOCATION_INTERVAL_SECONDS) || 5,
+      smsWebhookUrl: process.env.EMERGENCY_SMS_WEBHOOK_URL || process.env.DELIVERY_OTP_SMS_WEBHOOK_URL || null
+    };
+
+    // Support Ticket SLA Configuration
+    this.config.supportSla = {
+      // Minutes to the first agent response, by priority
+      firstResponseMinutes: {
+        urgent: parseInt(process.env.SUPPORT_SLA_FIRST_RESPONSE_URGENT_MINUTES) || 15,
+        high: parseInt(process.env.SUPPORT_SLA_FIRST_RESPONSE_HIGH_MINUTES) || 60,
+        medium: parseInt(process.env.SUPPORT_SLA_FIRST_RESPONSE_MEDIUM_MINUTES) || 240,
+        low: parseInt(process.env.SUPPORT_SLA_FIRST_RESPONSE_LOW_MINUTES) || 1440
+      },
+      // Hours to resolution, by priority
+      resolutionHours: {
+        urgent: parseInt(process.env.SUPPORT_SLA_RESOLUTION_URGENT_HOURS) || 4,
+        high: parseInt(process.env.SUPPORT_SLA_RESOLUTION_HIGH_HOURS) || 24,
+        medium: parseInt(process.env.SUPPORT_SLA_RESOLUTION_MEDIUM_HOURS) || 72,
+        low: parseInt(process.env.SUPPORT_SLA_RESOLUTION_LOW_HOURS) || 168
+      },
+      sweepIntervalMinutes: parseInt(process.env.SUPPORT_SLA_SWEEP_INTERVAL_MINUTES) || 5,
+      autoAssignEnabled: process.env.SUPPORT_AUTO_ASSIGN_ENABLED !== 'false'
+    };
+
+    // Support Ticket Evidence Configuration
+    this.config.supportEvidence = {
+      maxRoutePoints: parseInt(process.env.SUPPORT_EVIDENCE_MAX_ROUTE_POINTS) || 500, // Longer trails are evenly thinned
+      maxChatMessages: parseInt(process.env.SUPPORT_EVIDENCE_MAX_CHAT_MESSAGES) || 300 // Most recent messages are kept
+    };
+
+    // Package Claims Configuration
+    this.config.claims = {
+      filingWindowHours: parseInt(process.env.CLAIM_FILING_WINDOW_HOURS) || 48, // After delivery (or cancellation, for loss)
+      undeclaredValueCap: parseFloat(process.env.CLAIM_UNDECLARED_VALUE_CAP) || 1000, // Max claim when package.value is missing
+      maxEvidenceFiles: parseInt(process.env.CLAIM_MAX_EVIDENCE_FILES) || 10, // Per claim, both parties combined
+      maxEvidenceBytes: parseInt(process.env.CLAIM_MAX_EVIDENCE_BYTES) || 10 * 1024 * 1024
+    };
+
+    // Driver Document Expiry Configuration
+    this.config.documentExpiry = {
+      reminderDays: (process.env.DOCUMENT_EXPIRY_REMINDER_DAYS || '30,7,1').split(',').map(day => parseInt(day)).filter(day => day > 0),
+      gracePeriodDays: parseInt(process.env.DOCUMENT_EXPIRY_GRACE_DAYS) || 3, // Matchable for this long after expiry
+      timezoneOffsetMinutes: parseInt(process.env.DOCUMENT_EXPIRY_TZ_OFFSET_MINUTES) || 330, // Documents expire at the end of the day in IST
+      runHour: parseInt(process.env.DOCUMENT_EXPIRY_RUN_HOUR) || 9, // Local hour the daily check runs at
+      autoRun: process.env.DOCUMENT_EXPIRY_AUTO_RUN !== 'false',
+      checkIntervalMinutes: parseInt(process.env.DOCUMENT_EXPIRY_CHECK_INTERVAL_MINUTES) || 30
+    };
+
+    // Driver Document Extraction (OCR/KYC) Configuration
+    this.config.documentExtraction = {
+      enabled: process.env.DOCUMENT_EXTRACTION_ENABLED !== 'false',
+      provider: process.env.DOCUMENT_EXTRACTION_PROVIDER || 'local',
+      timeoutMs: parseInt(process.env.DOCUMENT_EXTRACTION_TIMEOUT_MS) || 15000,
+      minFieldConfidence: parseFloat(process.env.DOCUMENT_EXTRACTION_MIN_FIELD_CONFIDENCE) || 0.6, // Below this a field is flagged for review
+      nameMatchThreshold: parseFloat(process.env.DOCUMENT_EXTRACTION_NAME_MATCH_THRESHOLD) || 0.6, // Share of profile name tokens found on the document
+      autoReject: process.env.DOCUMENT_EXTRACTION_AUTO_REJECT !== 'false',
+      autoRejectConfidence: parseFloat(process.env.DOCUMENT_EXTRACTION_AUTO_REJECT_CONFIDENCE) || 0.85 // Field confidence needed to auto-reject on a mismatch
+    };
+
+    // Document Image Quality & Duplicate Detection Configuration
+    this.config.documentImageChecks = {
+      enabled: process.env.DOCUMENT_IMAGE_CHECKS_ENABLED !== 'false',
+      minSharpness: parseFloat(process.env.DOCUMENT_IMAGE_MIN_SHARPNESS) || 60, // Laplacian variance at 512px; lower is blurry
+      minBrightness: parseInt(process.env.DOCUMENT_IMAGE_MIN_BRIGHTNESS) || 50, // Mean grey level (0-255)
+      maxBrightness: parseInt(process.env.DOCUMENT_IMAGE_MAX_BRIGHTNESS) || 215,
+      duplicateMaxDistance: parseInt(process.env.DOCUMENT_IMAGE_DUPLICATE_MAX_DISTANCE) || 6, // Hamming distance of 64-bit hashes; at most 7
+      maxDuplicateCandidates: parseInt(process.env.DOCUMENT_IMAGE_MAX_DUPLICATE_CANDIDATES) || 200
+    };
+
+    // Package Photo Comparison Configuration (pickup vs. dropoff photo)
+    this.config.packagePhotoCheck = {
+      enabled: process.env.PACKAGE_PHOTO_CHECK_ENABLED !== 'false',
+      minMatchScore: parseFloat(process.env.PACKAGE_PHOTO_MIN_MATCH_SCORE) || 0.5, // 0-1; lower scores are flagged for review
+      hashWeight: parseFloat(process.env.PACKAGE_PHOTO_HASH_WEIGHT) || 0.4, // Share of the perceptual hash in the score; the rest is colour histogram
+      downloadTimeoutMs: parseInt(process.env.PACKAGE_PHOTO_DOWNLOAD_TIMEOUT_MS) || 10000,
+      maxPhotoBytes: parseInt(process.env.PACKAGE_PHOTO_MAX_BYTES) || 10 * 1024 * 1024
+    };
+
+    // Ratings & Reputation Configuration
+    this.config.ratings = {
+      priorMean: parseFloat(process.env.RATING_PRIOR_MEAN) || 4.5, // Bayesian prior every reputation starts from
+      priorWeight: parseInt(process.env.RATING_PRIOR_WEIGHT) || 5, // Pseudo-ratings at priorMean pulling sparse histories towards it
+      minRatingsForAction: parseInt(process.env.RATING_MIN_RATINGS_FOR_ACTION) || 5, // Ratings needed before flagging/review
+      customerFlagThreshold: parseFloat(process.env.RATING_CUSTOMER_FLAG_THRESHOLD) || 3.5, // Customers below this are flagged
+      driverReviewThreshold: parseFloat(process.env.RATING_DRIVER_REVIEW_THRESHOLD) || 4.0, // Drivers below this enter the review queue
+      maxCommentLength: parseInt(process.env.RATING_MAX_COMMENT_LENGTH) || 500
+    };
+
+    // Customer Wallet Configuration
+    this.config.customerWallet = {
+      minTopUpAmount: parseFloat(process.env.CUSTOMER_WALLET_MIN_TOP_UP) || 10,
+      maxTopUpAmount: parseFloat(process.env.CUSTOMER_WALLET_MAX_TOP_UP) || 10000,
+      maxBalance: parseFloat(process.env.CUSTOMER_WALLET_MAX_BALANCE) || 20000, // Top-ups that would exceed this are refused (refunds are not capped)
+      maxAdjustmentAmount: parseFloat(process.env.CUSTOMER_WALLET_MAX_ADJUSTMENT) || 5000 // Per admin adjustment
+    };
+
+    // Tax Invoice Configuration (GST)
+    this.config.invoicing = {
+      supplierName: process.env.INVOICE_SUPPLIER_NAME || 'EPickup',
+      supplierGstin: process.env.INVOICE_SUPPLIER_GSTIN || null, // Invoices are marked unregistered until set
+      supplierAddress: process.env.INVOICE_SUPPLIER_ADDRESS || 'Tirupattur, Tamil Nadu',
+      supplierStateCode: process.env.INVOICE_SUPPLIER_STATE_CODE || '33', // GST state code (33 = Tamil Nadu)
+      gstRate: process.env.INVOICE_GST_RATE ? parseFloat(process.env.INVOICE_GST_RATE) : 18, // Percent; fares and commission are tax-inclusive
+      invoicePrefix: process.env.INVOICE_NUMBER_PREFIX || 'INV',
+      creditNotePrefix: process.env.CREDIT_NOTE_NUMBER_PREFIX || 'CN',
+      deliverySacCode: process.env.INVOICE_DELIVERY_SAC || '996812', // Courier / local delivery services
+      platformFeeSacCode: process.env.INVOICE_PLATFORM_FEE_SAC || '998599', // Other support services
+      timezoneOffsetMinutes: parseInt(process.env.INVOICE_TZ_OFFSET_MINUTES) || 330 // Financial year boundaries in IST
+    };
+
     // Service Area Configuration
     this.config.serviceArea = {
       CENTER: {
@@ -243,7 +438,8 @@ class EnvironmentConfig {
       VALIDATION: {
         ENABLED: !process.env.BYPASS_LOCATION_VALIDATION, // Enable service area validation (can be bypassed)
         STRICT_MODE: !process.env.BYPASS_LOCATION_VALIDATION, // Reject bookings outside service area (can be bypassed)
-        WARNING_THRESHOLD: 26000 // Warn when approaching boundary
+        WARNING_THRESHOLD: 26000, // Warn when approaching boundary
+        BOUNDARY_WARNING_METERS: parseInt(process.env.SERVICE_AREA_BOUNDARY_WARNING_METERS) || 1000 // Warn within this distance of a zone edge
       }
     };
   }
@@ -280,6 +476,11 @@ class EnvironmentConfig {
       errors.push('Firestore Session service must be enabled');
     }
 
+    // Masking hides the real numbers, so it needs a provider that actually connects calls
+    if (this.config.maskedContact.enabled && this.config.maskedContact.provider === 'local' && this.isProduction()) {
+      errors.push('MASKED_CONTACT_PROVIDER must name a telephony provider when MASKED_CONTACT_ENABLED is true in production');
+    }
+
     if (errors.length > 0) {
       console.error('❌ Configuration validation failed:');
       errors.forEach(error => console.error(`   - ${error}`));
@@ -464,6 +665,132 @@ class EnvironmentConfig {
     return this.config.serviceArea.RADIUS;
   }
 
+  /**
+   * Get scheduled booking configuration
+   */
+  getScheduledBookingConfig() {
+    return this.config.scheduledBookings;
+  }
+
+  /**
+   * Get delivery OTP configuration
+   */
+  getDeliveryOtpConfig() {
+    return this.config.deliveryOtp;
+  }
+
+  /**
+   * Get driver reliability scoring configuration
+   */
+  getDriverReliabilityConfig() {
+    return this.config.driverReliability;
+  }
+
+  /**
+   * Get driver payout settlement configuration
+   */
+  getDriverSettlementConfig() {
+    return this.config.driverSettlement;
+  }
+
+  /**
+   * Get driver monthly statement configuration
+   */
+  getDriverStatementConfig() {
+    return this.config.driverStatements;
+  }
+
+  /**
+   * Get in-trip chat configuration
+   */
+  getChatConfig() {
+    return this.config.chat;
+  }
+
+  /**
+   * Get masked contact configuration
+   */
+  getMaskedContactConfig() {
+    return this.config.maskedContact;
+  }
+
+  /**
+   * Get emergency alert escalation configuration
+   */
+  getEmergencyEscalationConfig() {
+    return this.config.emergencyEscalation;
+  }
+
+  /**
+   * Get support ticket SLA configuration
+   */
+  getSupportSlaConfig() {
+    return this.config.supportSla;
+  }
+
+  /**
+   * Get support ticket evidence configuration
+   */
+  getSupportEvidenceConfig() {
+    return this.config.supportEvidence;
+  }
+
+  /**
+   * Get package claims configuration
+   */
+  getClaimsConfig() {
+    return this.config.claims;
+  }
+
+  /**
+   * Get driver document expiry configuration
+   */
+  getDocumentExpiryConfig() {
+    return this.config.documentExpiry;
+  }
+
+  /**
+   * Get driver document extraction (OCR/KYC) configuration
+   */
+  getDocumentExtractionConfig() {
+    return this.config.documentExtraction;
+  }
+
+  /**
+   * Get document image quality and duplicate detection configuration
+   */
+  getDocumentImageChecksConfig() {
+    return this.config.documentImageChecks;
+  }
+
+  /**
+   * Get pickup/dropoff package photo comparison configuration
+   */
+  getPackagePhotoCheckConfig() {
+    return this.config.packagePhotoCheck;
+  }
+
+  /**
+   * Get ratings and reputation configuration
+   */
+  getRatingsConfig() {
+    return this.config.ratings;
+  }
+
+  /**
+   * Get customer wallet configuration
+   */
+  getCustomerWalletConfig() {
+    return this.config.customerWallet;
+  }
+
+  /**
+   * Get tax invoice configuration
+   */
+  getInvoicingConfig() {
+    return this.config.invoicing;
+  }
+
   /**
    * Get reCAPTCHA configuration
    */
@@ -52,6 +52,15 @@ const PENDING_BOOKING_STATUSES = [
   'searching'
 ];
 
+/**
+ * Scheduled booking statuses - future-time bookings not yet released to matching
+ * ✅ Not part of ACTIVE_BOOKING_STATUSES: a scheduled booking does not block
+ * the customer from creating an immediate booking
+ */
+const SCHEDULED_BOOKING_STATUSES = [
+  'scheduled'
+];
+
 /**
  * Completed booking statuses - bookings that are finished
  */
@@ -66,6 +75,7 @@ const COMPLETED_BOOKING_STATUSES = [
  * ✅ CRITICAL FIX: Must include photo_captured to match state machine
  */
 const VALID_BOOKING_STATUSES = [
+  'scheduled',
   'pending',
   'driver_assigned',
   'accepted',
@@ -95,6 +105,7 @@ module.exports = {
   ACTIVE_BOOKING_STATUSES,
   ACTIVE_BOOKING_WITH_DRIVER_STATUSES,
   PENDING_BOOKING_STATUSES,
+  SCHEDULED_BOOKING_STATUSES,
   COMPLETED_BOOKING_STATUSES,
   VALID_BOOKING_STATUSES,
   PAYMENT_STATUSES
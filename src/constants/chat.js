@@ -0,0 +1,101 @@
+/**
+ * In-Trip Chat Constants
+ *
+ * Messages live in `chat_messages` (one doc per message, doc id = message id
+ * for messages sent through chatService). `chatThreads/{bookingId}` tracks
+ * whether the chat is open, when it closed and when it is purged.
+ */
+
+const CHAT_COLLECTIONS = Object.freeze({
+  MESSAGES: 'chat_messages',
+  THREADS: 'chatThreads' // doc id = booking id
+});
+
+const CHAT_MESSAGE_TYPES = Object.freeze({
+  TEXT: 'text',
+  IMAGE: 'image',
+  VOICE: 'voice',
+  QUICK_REPLY: 'quick_reply'
+});
+
+/**
+ * Delivery state of a message, only ever moves forward
+ */
+const CHAT_MESSAGE_STATUSES = Object.freeze({
+  SENT: 'sent',
+  DELIVERED: 'delivered',
+  READ: 'read'
+});
+
+const CHAT_THREAD_STATUSES = Object.freeze({
+  OPEN: 'open',
+  CLOSED: 'closed', // booking reached a terminal state; read-only until purged
+  PURGED: 'purged' // messages and attachments deleted after the retention period
+});
+
+/**
+ * Attachment content types accepted per message type
+ */
+const CHAT_ATTACHMENT_TYPES = Object.freeze({
+  image: ['image/jpeg', 'image/png', 'image/webp'],
+  voice: ['audio/mpeg', 'audio/mp4', 'audio/aac', 'audio/x-m4a', 'audio/ogg', 'audio/webm']
+});
+
+const CHAT_LOCALES = Object.freeze(['en', 'ta', 'hi']);
+
+/**
+ * Quick-reply templates by sender type. The template id travels with the
+ * message so the receiving app can show it in its own language.
+ */
+const CHAT_QUICK_REPLIES = Object.freeze({
+  driver: Object.freeze([
+    {
+      id: 'driver_on_the_way',
+      text: { en: 'I am on the way.', ta: 'நான் வந்து கொண்டிருக்கிறேன்.', hi: 'मैं रास्ते में हूँ।' }
+    },
+    {
+      id: 'driver_arrived_pickup',
+      text: { en: 'I have arrived at the pickup location.', ta: 'நான் பிக்அப் இடத்திற்கு வந்துவிட்டேன்.', hi: 'मैं पिकअप स्थान पर पहुँच गया हूँ।' }
+    },
+    {
+      id: 'driver_arrived_dropoff',
+      text: { en: 'I have arrived at the drop-off location.', ta: 'நான் டெலிவரி இடத்திற்கு வந்துவிட்டேன்.', hi: 'मैं ड्रॉप स्थान पर पहुँच गया हूँ।' }
+    },
+    {
+      id: 'driver_stuck_traffic',
+      text: { en: 'I am stuck in traffic, I will be a few minutes late.', ta: 'போக்குவரத்து நெரிசலில் இருக்கிறேன், சில நிமிடங்கள் தாமதமாகும்.', hi: 'मैं ट्रैफ़िक में फँसा हूँ, कुछ मिनट देर होगी।' }
+    },
+    {
+      id: 'driver_cannot_find',
+      text: { en: 'I cannot find the address. Please share a landmark.', ta: 'முகவரியைக் கண்டுபிடிக்க முடியவில்லை. அருகிலுள்ள அடையாளத்தைப் பகிரவும்.', hi: 'मुझे पता नहीं मिल रहा। कृपया कोई लैंडमार्क बताएँ।' }
+    },
+    {
+      id: 'driver_call_me',
+      text: { en: 'Please call me.', ta: 'தயவுசெய்து என்னை அழைக்கவும்.', hi: 'कृपया मुझे कॉल करें।' }
+    }
+  ]),
+  customer: Object.freeze([
+    {
+      id: 'customer_coming',
+      text: { en: 'I am coming, please wait.', ta: 'நான் வருகிறேன், காத்திருக்கவும்.', hi: 'मैं आ रहा हूँ, कृपया रुकिए।' }
+    },
+    {
+      id: 'customer_call_me',
+      text: { en: 'Please call me when you arrive.', ta: 'வந்ததும் என்னை அழைக்கவும்.', hi: 'पहुँचने पर मुझे कॉल करें।' }
+    },
+    {
+      id: 'customer_leave_at_gate',
+      text: { en: 'Please hand the package to the security at the gate.', ta: 'பார்சலை வாயிலில் உள்ள பாதுகாவலரிடம் கொடுக்கவும்.', hi: 'कृपया पैकेज गेट पर सिक्योरिटी को दे दें।' }
+    }
+  ])
+});
+
+module.exports = {
+  CHAT_COLLECTIONS,
+  CHAT_MESSAGE_TYPES,
+  CHAT_MESSAGE_STATUSES,
+  CHAT_THREAD_STATUSES,
+  CHAT_ATTACHMENT_TYPES,
+  CHAT_LOCALES,
+  CHAT_QUICK_REPLIES
+};
@@ -0,0 +1,72 @@
+/**
+ * Package Claim Constants
+ *
+ * Customers file damage/loss claims against a delivered booking in `claims`.
+ * Both parties can add evidence, the driver can answer with a statement, and
+ * admins adjudicate from a queue. Approved claims settle as a refund to the
+ * customer and/or a liability deduction from the driver's points wallet.
+ */
+
+const CLAIM_COLLECTIONS = Object.freeze({
+  CLAIMS: 'claims',
+  BOOKING_CLAIMS: 'bookingClaims' // doc id = booking id, the booking's current claim
+});
+
+const CLAIM_TYPES = Object.freeze({
+  DAMAGE: 'damage',
+  LOSS: 'loss'
+});
+
+const CLAIM_STATUSES = Object.freeze({
+  SUBMITTED: 'submitted', // waiting in the admin queue
+  UNDER_REVIEW: 'under_review', // an admin picked it up
+  AWAITING_INFO: 'awaiting_info', // admin asked the parties for more evidence
+  APPROVED: 'approved', // decided; settlement pending or partly failed
+  SETTLED: 'settled', // refund / liability deduction done
+  REJECTED: 'rejected',
+  WITHDRAWN: 'withdrawn' // withdrawn by the customer
+});
+
+/**
+ * Allowed status changes
+ */
+const CLAIM_TRANSITIONS = Object.freeze({
+  submitted: ['under_review', 'withdrawn'],
+  under_review: ['awaiting_info', 'approved', 'rejected', 'withdrawn'],
+  awaiting_info: ['under_review', 'approved', 'rejected', 'withdrawn'],
+  approved: ['settled'],
+  settled: [],
+  rejected: [],
+  withdrawn: []
+});
+
+/**
+ * Statuses in which a claim still accepts evidence and driver statements
+ */
+const CLAIM_OPEN_STATUSES = Object.freeze(['submitted', 'under_review', 'awaiting_info']);
+
+/**
+ * Booking statuses a claim can be filed against, per claim type. Loss claims
+ * also cover trips that were cancelled after pickup.
+ */
+const CLAIM_ELIGIBLE_BOOKING_STATUSES = Object.freeze({
+  damage: ['delivered', 'money_collection', 'completed'],
+  loss: ['delivered', 'money_collection', 'completed', 'cancelled']
+});
+
+const CLAIM_EVIDENCE_MIME_TYPES = Object.freeze({
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'application/pdf': 'pdf'
+});
+
+module.exports = {
+  CLAIM_COLLECTIONS,
+  CLAIM_TYPES,
+  CLAIM_STATUSES,
+  CLAIM_TRANSITIONS,
+  CLAIM_OPEN_STATUSES,
+  CLAIM_ELIGIBLE_BOOKING_STATUSES,
+  CLAIM_EVIDENCE_MIME_TYPES
+};
@@ -0,0 +1,73 @@
+/**
+ * Customer Wallet Constants
+ *
+ * The customer wallet is a prepaid balance kept as a double-entry ledger
+ * (customerWalletService). Every wallet transaction posts two legs of equal
+ * amount: one on the customer's wallet account and one on a platform contra
+ * account, so the sum of debits always equals the sum of credits.
+ */
+
+const CUSTOMER_WALLET_COLLECTIONS = Object.freeze({
+  WALLETS: 'customerWallets', // doc id = customer id, holds the running balance
+  TRANSACTIONS: 'customerWalletTransactions', // one doc per posted transaction
+  LEDGER: 'customerWalletLedger', // one doc per debit/credit leg
+  TOP_UPS: 'customerWalletTopUps' // gateway top-up attempts
+});
+
+const WALLET_TRANSACTION_TYPES = Object.freeze({
+  TOP_UP: 'top_up',
+  BOOKING_PAYMENT: 'booking_payment',
+  REFUND: 'refund',
+  ADJUSTMENT: 'adjustment'
+});
+
+/**
+ * Ledger accounts. The customer wallet account is a liability of the platform
+ * (money owed to the customer), so a credit on it raises the balance and a
+ * debit lowers it.
+ */
+const LEDGER_ACCOUNTS = Object.freeze({
+  CUSTOMER_WALLET: 'customer_wallet', // suffixed with the customer id: customer_wallet:<id>
+  GATEWAY_CLEARING: 'gateway_clearing', // money received from Razorpay/PhonePe
+  BOOKING_RECEIPTS: 'booking_receipts', // fares paid from the wallet
+  REFUNDS: 'refunds', // booking refunds and cancellation-fee returns
+  ADJUSTMENTS: 'adjustments' // manual admin corrections
+});
+
+/**
+ * Where a refund is sent: back to the customer wallet, or to the original
+ * payment source (recorded as a pending refund for the finance team)
+ */
+const REFUND_DESTINATIONS = Object.freeze({
+  WALLET: 'wallet',
+  SOURCE: 'source'
+});
+
+/**
+ * Gateways a customer can top up through
+ */
+const TOP_UP_GATEWAYS = Object.freeze({
+  RAZORPAY: 'razorpay', // payment link
+  PHONEPE: 'phonepe' // Pay Page
+});
+
+/**
+ * Top-up IDs start with this, so the PhonePe callback can route them here
+ */
+const CUSTOMER_TOP_UP_ID_PREFIX = 'CTU_';
+
+/**
+ * Razorpay payment-link `notes.purpose` of customer top-ups; the shared webhook
+ * uses it to tell them apart from driver points top-ups
+ */
+const CUSTOMER_TOP_UP_PURPOSE = 'customer_wallet_topup';
+
+module.exports = {
+  CUSTOMER_WALLET_COLLECTIONS,
+  WALLET_TRANSACTION_TYPES,
+  LEDGER_ACCOUNTS,
+  REFUND_DESTINATIONS,
+  TOP_UP_GATEWAYS,
+  CUSTOMER_TOP_UP_ID_PREFIX,
+  CUSTOMER_TOP_UP_PURPOSE
+};
@@ -0,0 +1,25 @@
+/**
+ * Dispatch Strategy Constants
+ *
+ * How a booking is offered to ranked drivers (dispatchStrategyService):
+ * - sequential: one driver at a time, walking down the ranked list
+ * - broadcast: the top N drivers at once per wave, first accept wins
+ *
+ * The strategy is chosen per booking from the pickup zone's override, then the
+ * time-of-day rules in appSettings/dispatch, then the default strategy.
+ */
+
+const DISPATCH_STRATEGIES = Object.freeze({
+  SEQUENTIAL: 'sequential',
+  BROADCAST: 'broadcast'
+});
+
+/**
+ * Collection holding one dispatch record per broadcast booking (doc id = booking id)
+ */
+const BOOKING_DISPATCHES_COLLECTION = 'bookingDispatches';
+
+module.exports = {
+  DISPATCH_STRATEGIES,
+  BOOKING_DISPATCHES_COLLECTION
+};
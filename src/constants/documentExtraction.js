@@ -0,0 +1,52 @@
+/**
+ * Driver Document Extraction Constants
+ *
+ * After a driver uploads a document, an extractor reads its fields and the
+ * result is cross-checked against the driver profile. The outcome is stored
+ * on the document (`driver.documents.<type>.extraction`) and on the pending
+ * verification request (`documents.<camelType>.extraction`).
+ */
+
+/**
+ * Fields read from each document type; a missing or low-confidence field is
+ * flagged for review
+ */
+const EXTRACTION_FIELDS = Object.freeze({
+  driving_license: Object.freeze(['documentNumber', 'name', 'dateOfBirth', 'expiryDate']),
+  aadhaar_card: Object.freeze(['documentNumber', 'name', 'dateOfBirth']),
+  bike_insurance: Object.freeze(['documentNumber', 'expiryDate']),
+  rc_book: Object.freeze(['documentNumber', 'name', 'expiryDate'])
+});
+
+const EXTRACTION_STATUSES = Object.freeze({
+  NEEDS_REVIEW: 'needs_review', // admin confirms or corrects the extracted fields
+  AUTO_REJECTED: 'auto_rejected', // obvious mismatch; the document was rejected with a reason
+  UNREADABLE: 'unreadable', // nothing could be read; plain manual review
+  FAILED: 'failed', // the extractor errored or timed out; plain manual review
+  CONFIRMED: 'confirmed' // an admin confirmed (or corrected) the fields and verified the document
+});
+
+/**
+ * Mismatch flags. `reject` flags auto-reject the document when the field was
+ * read with high confidence; `review` flags only point the admin at a field.
+ */
+const EXTRACTION_FLAGS = Object.freeze({
+  NAME_MISMATCH: Object.freeze({ code: 'NAME_MISMATCH', severity: 'reject', reason: 'The name on the document does not match your profile' }),
+  DOB_MISMATCH: Object.freeze({ code: 'DOB_MISMATCH', severity: 'reject', reason: 'The date of birth does not match your profile or other documents' }),
+  DOCUMENT_EXPIRED: Object.freeze({ code: 'DOCUMENT_EXPIRED', severity: 'reject', reason: 'The document has expired' }),
+  NUMBER_MISMATCH: Object.freeze({ code: 'NUMBER_MISMATCH', severity: 'review', reason: 'The document number does not match the one on your profile' }),
+  EXPIRY_MISMATCH: Object.freeze({ code: 'EXPIRY_MISMATCH', severity: 'review', reason: 'The expiry date differs from the one entered at upload' }),
+  LOW_CONFIDENCE: Object.freeze({ code: 'LOW_CONFIDENCE', severity: 'review', reason: 'A field could not be read reliably' })
+});
+
+/**
+ * Name checks only reject identity documents (an RC may be in a relative's name)
+ */
+const NAME_REJECT_DOCUMENT_TYPES = Object.freeze(['driving_license', 'aadhaar_card']);
+
+module.exports = {
+  EXTRACTION_FIELDS,
+  EXTRACTION_STATUSES,
+  EXTRACTION_FLAGS,
+  NAME_REJECT_DOCUMENT_TYPES
+};
@@ -0,0 +1,52 @@
+/**
+ * Document Image Check Constants
+ *
+ * Uploaded document photos are scored for quality (resolution, sharpness,
+ * brightness) and perceptually hashed. A hash close to one stored for another
+ * driver, or for another document type of the same driver, opens a fraud
+ * review for admins.
+ */
+
+const DOCUMENT_IMAGE_COLLECTIONS = Object.freeze({
+  HASHES: 'documentImageHashes', // one doc per uploaded image: { phash, bands, driverId, documentType, filePath }
+  FRAUD_REVIEWS: 'documentFraudReviews'
+});
+
+/**
+ * Minimum resolution per document type (either orientation)
+ */
+const DOCUMENT_IMAGE_MIN_RESOLUTION = Object.freeze({
+  default: Object.freeze({ width: 800, height: 600 }),
+  profile_photo: Object.freeze({ width: 400, height: 400 })
+});
+
+/**
+ * Quality issues and the retake prompt shown to the driver
+ */
+const IMAGE_QUALITY_ISSUES = Object.freeze({
+  LOW_RESOLUTION: Object.freeze({ code: 'LOW_RESOLUTION', recommendation: 'The photo resolution is too low. Retake it closer to the document with the camera, not a screenshot.' }),
+  BLURRY: Object.freeze({ code: 'BLURRY', recommendation: 'The photo looks blurry. Hold the phone steady and let the camera focus before retaking it.' }),
+  TOO_DARK: Object.freeze({ code: 'TOO_DARK', recommendation: 'The photo is too dark. Retake it in good light.' }),
+  TOO_BRIGHT: Object.freeze({ code: 'TOO_BRIGHT', recommendation: 'The photo is overexposed. Avoid glare and direct light on the document when retaking it.' })
+});
+
+const DUPLICATE_MATCH_TYPES = Object.freeze({
+  OTHER_DRIVER: 'other_driver', // same photo uploaded by another driver
+  OTHER_DOCUMENT: 'other_document' // same photo uploaded by this driver as another document type
+});
+
+const FRAUD_REVIEW_STATUSES = Object.freeze({
+  OPEN: 'open',
+  RESOLVED: 'resolved'
+});
+
+const FRAUD_REVIEW_RESOLUTIONS = Object.freeze(['dismissed', 'document_rejected']);
+
+module.exports = {
+  DOCUMENT_IMAGE_COLLECTIONS,
+  DOCUMENT_IMAGE_MIN_RESOLUTION,
+  IMAGE_QUALITY_ISSUES,
+  DUPLICATE_MATCH_TYPES,
+  FRAUD_REVIEW_STATUSES,
+  FRAUD_REVIEW_RESOLUTIONS
+};
@@ -0,0 +1,42 @@
+/**
+ * Driver Document Expiry Constants
+ *
+ * Licences, insurance and registration certificates expire. Their expiry date
+ * is stored on the document (`driver.documents.<type>.expiryDate`); the
+ * driver's overall state is cached in `driver.documentCompliance`.
+ */
+
+/**
+ * Document types that carry an expiry date
+ */
+const EXPIRING_DOCUMENT_TYPES = Object.freeze(['driving_license', 'bike_insurance', 'rc_book']);
+
+/**
+ * Keys a document may be stored under in `driver.documents` (uploads use
+ * snake_case, the older URL registration uses camelCase)
+ */
+const DOCUMENT_TYPE_KEYS = Object.freeze({
+  driving_license: Object.freeze(['driving_license', 'drivingLicense']),
+  bike_insurance: Object.freeze(['bike_insurance', 'bikeInsurance', 'insurance']),
+  rc_book: Object.freeze(['rc_book', 'rcBook']),
+  aadhaar_card: Object.freeze(['aadhaar_card', 'aadhaarCard', 'aadhaar'])
+});
+
+const DOCUMENT_COMPLIANCE_STATUSES = Object.freeze({
+  COMPLIANT: 'compliant',
+  GRACE: 'grace', // a document expired; still matchable until the grace period ends
+  SUSPENDED: 'suspended' // grace period over; out of matching until the renewal is verified
+});
+
+/**
+ * `requestType` of the documentVerificationRequests entry opened when a
+ * document expires
+ */
+const DOCUMENT_RENEWAL_REQUEST_TYPE = 'expiry_renewal';
+
+module.exports = {
+  EXPIRING_DOCUMENT_TYPES,
+  DOCUMENT_TYPE_KEYS,
+  DOCUMENT_COMPLIANCE_STATUSES,
+  DOCUMENT_RENEWAL_REQUEST_TYPE
+};
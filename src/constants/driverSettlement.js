@@ -0,0 +1,47 @@
+/**
+ * Driver Settlement Constants
+ *
+ * Fares the platform collects online (UPI through the gateway, customer
+ * wallet) are owed to the driver. driverSettlementService accrues one entry
+ * per completed booking (fare minus commission) and groups pending entries
+ * into payout batches once per payout cycle:
+ *
+ *   pending → batched → settled
+ *              ↘ pending (payout failed, retried next cycle)
+ *
+ * Full bank account numbers live only in `driverPayoutAccounts` (no client
+ * access); user and batch documents keep the last four digits.
+ */
+
+const DRIVER_SETTLEMENT_COLLECTIONS = Object.freeze({
+  ENTRIES: 'driverSettlementEntries', // doc id = booking id
+  ACCOUNTS: 'driverSettlementAccounts', // doc id = driver id, running totals
+  BATCHES: 'driverPayoutBatches', // doc id = payout_<cycle end date>
+  PAYOUT_ACCOUNTS: 'driverPayoutAccounts' // doc id = driver id, full bank details (server only)
+});
+
+const SETTLEMENT_ENTRY_STATUSES = Object.freeze({
+  PENDING: 'pending',
+  BATCHED: 'batched',
+  SETTLED: 'settled'
+});
+
+const PAYOUT_BATCH_STATUSES = Object.freeze({
+  BUILDING: 'building',
+  FAILED: 'failed', // build failed and was rolled back; the next run rebuilds it
+  CREATED: 'created',
+  SETTLING: 'settling',
+  SETTLED: 'settled'
+});
+
+/**
+ * Payment methods where the platform, not the driver, receives the fare
+ */
+const ONLINE_PAYMENT_METHODS = Object.freeze(['upi', 'wallet']);
+
+module.exports = {
+  DRIVER_SETTLEMENT_COLLECTIONS,
+  SETTLEMENT_ENTRY_STATUSES,
+  PAYOUT_BATCH_STATUSES,
+  ONLINE_PAYMENT_METHODS
+};
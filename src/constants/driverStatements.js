@@ -0,0 +1,29 @@
+/**
+ * Driver Statement Constants
+ *
+ * Monthly statements of the driver points wallet (driverStatementService):
+ * opening balance, top-ups, per-trip commission and closing balance, built
+ * from `pointsTransactions`. Statements of closed months are stored once and
+ * re-served; the running month is built on request and never stored.
+ */
+
+const DRIVER_STATEMENT_COLLECTIONS = Object.freeze({
+  STATEMENTS: 'driverStatements' // doc id = <driverId>_<YYYY-MM>
+});
+
+const STATEMENT_LINE_TYPES = Object.freeze({
+  TOP_UP: 'top_up', // points bought with real money
+  COMMISSION: 'commission', // per-trip commission deducted
+  ADJUSTMENT: 'adjustment' // bonuses and manual corrections
+});
+
+const STATEMENT_STATUSES = Object.freeze({
+  FINAL: 'final', // closed month, stored
+  PROVISIONAL: 'provisional' // running month
+});
+
+module.exports = {
+  DRIVER_STATEMENT_COLLECTIONS,
+  STATEMENT_LINE_TYPES,
+  STATEMENT_STATUSES
+};
@@ -0,0 +1,65 @@
+/**
+ * Emergency Alert Constants
+ *
+ * Alerts live in `emergency_alerts`; every step (creation, notifications,
+ * location updates, escalations, acknowledgement, resolution) is appended to
+ * the `emergency_alerts/{alertId}/timeline` subcollection.
+ */
+
+const EMERGENCY_COLLECTIONS = Object.freeze({
+  ALERTS: 'emergency_alerts',
+  TIMELINE: 'timeline', // subcollection of an alert
+  CONTACTS: 'emergency_contacts'
+});
+
+const EMERGENCY_ALERT_TYPES = Object.freeze(['sos', 'accident', 'harassment', 'medical']);
+
+const EMERGENCY_ALERT_STATUSES = Object.freeze({
+  ACTIVE: 'active', // escalating until an admin acknowledges
+  ACKNOWLEDGED: 'acknowledged', // an admin is handling it; escalation stopped
+  RESOLVED: 'resolved',
+  CANCELLED: 'cancelled'
+});
+
+/**
+ * Escalation tiers, in the order they fire while nobody acknowledges
+ */
+const EMERGENCY_ESCALATION_TIERS = Object.freeze([
+  'admin_broadcast', // every active admin, not just the on-call topic
+  'nearby_drivers', // drivers around the alert's last location
+  'external_contacts' // the user's emergency contacts, by SMS
+]);
+
+/**
+ * Mandatory outcome when an alert is resolved or cancelled
+ */
+const EMERGENCY_OUTCOME_CODES = Object.freeze([
+  'false_alarm',
+  'resolved_by_user',
+  'assisted_by_support',
+  'assisted_by_driver',
+  'police_dispatched',
+  'ambulance_dispatched',
+  'referred_to_authorities',
+  'user_unreachable'
+]);
+
+const EMERGENCY_TIMELINE_EVENTS = Object.freeze({
+  CREATED: 'created',
+  ON_CALL_NOTIFIED: 'on_call_notified',
+  LOCATION_UPDATED: 'location_updated',
+  ESCALATED: 'escalated',
+  DRIVERS_NOTIFIED: 'drivers_notified',
+  ACKNOWLEDGED: 'acknowledged',
+  RESOLVED: 'resolved',
+  CANCELLED: 'cancelled'
+});
+
+module.exports = {
+  EMERGENCY_COLLECTIONS,
+  EMERGENCY_ALERT_TYPES,
+  EMERGENCY_ALERT_STATUSES,
+  EMERGENCY_ESCALATION_TIERS,
+  EMERGENCY_OUTCOME_CODES,
+  EMERGENCY_TIMELINE_EVENTS
+};
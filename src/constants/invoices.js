@@ -0,0 +1,46 @@
+/**
+ * Tax Invoice Constants
+ *
+ * Tax invoices and credit notes are issued once by invoiceService, stored, and
+ * re-served unchanged. Each document type has its own gap-free number series per
+ * financial year (April-March), e.g. INV/26-27/000001 and CN/26-27/000001.
+ */
+
+const INVOICE_COLLECTIONS = Object.freeze({
+  INVOICES: 'taxInvoices', // doc id = booking id (one invoice per booking)
+  CREDIT_NOTES: 'creditNotes', // doc id = id of the refund that caused it
+  SEQUENCES: 'invoiceSequences' // doc id = <documentType>_<financialYear>, holds the last issued serial
+});
+
+const INVOICE_DOCUMENT_TYPES = Object.freeze({
+  TAX_INVOICE: 'tax_invoice',
+  CREDIT_NOTE: 'credit_note'
+});
+
+/**
+ * Invoice line items. The fare is split into the driver's delivery charge and
+ * the platform fee (commission), each with its own SAC code.
+ */
+const INVOICE_LINE_TYPES = Object.freeze({
+  DELIVERY: 'delivery',
+  PLATFORM_FEE: 'platform_fee'
+});
+
+/**
+ * Why a credit note reduced the billed amount
+ */
+const CREDIT_NOTE_REASONS = Object.freeze({
+  REFUND: 'refund',
+  CANCELLATION: 'cancellation' // fare refunded minus the cancellation fee
+});
+
+// GST invoice numbers may not exceed 16 characters
+const MAX_DOCUMENT_NUMBER_LENGTH = 16;
+
+module.exports = {
+  INVOICE_COLLECTIONS,
+  INVOICE_DOCUMENT_TYPES,
+  INVOICE_LINE_TYPES,
+  CREDIT_NOTE_REASONS,
+  MAX_DOCUMENT_NUMBER_LENGTH
+};
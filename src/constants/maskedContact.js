@@ -0,0 +1,41 @@
+/**
+ * Masked Contact Constants
+ *
+ * Each active booking gets one session in `maskedContactSessions/{bookingId}`
+ * holding the real numbers of its parties (server-side only) and an opaque
+ * handle per party. Apps receive handles instead of numbers and ask the
+ * backend to bridge a call or relay an SMS through the configured provider.
+ */
+
+const MASKED_CONTACT_COLLECTIONS = Object.freeze({
+  SESSIONS: 'maskedContactSessions', // doc id = booking id
+  EVENTS: 'maskedContactEvents' // one doc per bridged call / relayed SMS
+});
+
+const MASKED_SESSION_STATUSES = Object.freeze({
+  ACTIVE: 'active',
+  EXPIRED: 'expired' // booking ended, driver changed or max lifetime reached; numbers removed
+});
+
+const MASKED_CONTACT_CHANNELS = Object.freeze({
+  CALL: 'call',
+  SMS: 'sms'
+});
+
+/**
+ * Parties of a booking. Drop-off recipients are `recipient_<stopNumber>`
+ * (stop numbers start at 1; single-drop bookings only have recipient_1).
+ */
+const MASKED_CONTACT_ROLES = Object.freeze({
+  CUSTOMER: 'customer',
+  DRIVER: 'driver',
+  SENDER: 'sender',
+  RECIPIENT_PREFIX: 'recipient_'
+});
+
+module.exports = {
+  MASKED_CONTACT_COLLECTIONS,
+  MASKED_SESSION_STATUSES,
+  MASKED_CONTACT_CHANNELS,
+  MASKED_CONTACT_ROLES
+};
@@ -0,0 +1,45 @@
+/**
+ * Package Photo Comparison Constants
+ *
+ * When a delivery photo is uploaded it is compared with the pickup photo of
+ * the same booking (perceptual hash + colour histogram). The result is kept in
+ * `packagePhotoChecks` (doc id = booking ID); a low match score opens a review
+ * for admins, and the photo pair is evidence for claims and support tickets.
+ */
+
+const PACKAGE_PHOTO_COLLECTIONS = Object.freeze({
+  CHECKS: 'packagePhotoChecks'
+});
+
+const PACKAGE_PHOTO_CHECK_STATUSES = Object.freeze({
+  MATCHED: 'matched', // score at or above minMatchScore
+  FLAGGED: 'flagged', // score below minMatchScore; review opened
+  UNAVAILABLE: 'unavailable' // a photo is missing or could not be read
+});
+
+const PACKAGE_PHOTO_REVIEW_STATUSES = Object.freeze({
+  OPEN: 'open',
+  RESOLVED: 'resolved'
+});
+
+const PACKAGE_PHOTO_REVIEW_RESOLUTIONS = Object.freeze([
+  'same_package', // the photos show the same package (angle, lighting, packaging)
+  'package_mismatch', // a different or damaged package was delivered; follow up with the driver
+  'inconclusive'
+]);
+
+/**
+ * Hosts a photo URL may be downloaded from when the photo has no storage path
+ */
+const PACKAGE_PHOTO_ALLOWED_HOSTS = Object.freeze([
+  'firebasestorage.googleapis.com',
+  'storage.googleapis.com'
+]);
+
+module.exports = {
+  PACKAGE_PHOTO_COLLECTIONS,
+  PACKAGE_PHOTO_CHECK_STATUSES,
+  PACKAGE_PHOTO_REVIEW_STATUSES,
+  PACKAGE_PHOTO_REVIEW_RESOLUTIONS,
+  PACKAGE_PHOTO_ALLOWED_HOSTS
+};
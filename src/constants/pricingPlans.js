@@ -0,0 +1,61 @@
+/**
+ * Pricing Plan Constants
+ *
+ * Pricing plans are stored as versioned documents in the `pricingPlans`
+ * collection and evaluated by fareCalculationService. The built-in plan below
+ * is only used when no active plan exists in Firestore (fresh environments,
+ * Firestore outage) so fares never fail to calculate.
+ *
+ * ✅ USE THIS FILE instead of hardcoding rates in services or routes
+ */
+
+/**
+ * Collection holding versioned pricing plan documents
+ */
+const PRICING_PLANS_COLLECTION = 'pricingPlans';
+
+/**
+ * Lifecycle states of a pricing plan document
+ * - draft: created but never served
+ * - active: eligible to be served within its effectiveFrom/effectiveUntil window
+ * - retired: kept for historical bookings, never served again
+ */
+const PRICING_PLAN_STATUSES = ['draft', 'active', 'retired'];
+
+/**
+ * Built-in plan matching the v2 tiered structure (2026-07-24)
+ * - 0-1km: ₹10 flat, then ₹10 per full km
+ * - Remainder <500m: ₹5, remainder ≥500m: ₹10 (rounds up)
+ * - Commission: ₹1.15/km on floored distance, remainder ≥500m rounds up, minimum 1km
+ */
+const DEFAULT_PRICING_PLAN = Object.freeze({
+  id: 'default',
+  version: 0,
+  name: 'Built-in tiered pricing v2',
+  status: 'active',
+  currency: 'INR',
+  effectiveFrom: null,
+  effectiveUntil: null,
+  fare: Object.freeze({
+    baseDistanceKm: 1.0,
+    baseRate: 10,
+    fullKmRate: 10,
+    // Remainder tiers are evaluated in order; the first tier whose `belowKm`
+    // is greater than the remainder wins.
+    remainderTiers: Object.freeze([
+      Object.freeze({ belowKm: 0.5, charge: 5 }),
+      Object.freeze({ belowKm: 1.0, charge: 10 })
+    ])
+  }),
+  commission: Object.freeze({
+    ratePerKm: 1.15,
+    roundUpThresholdKm: 0.5,
+    minimumKm: 1
+  })
+});
+
+module.exports = {
+  PRICING_PLANS_COLLECTION,
+  PRICING_PLAN_STATUSES,
+  DEFAULT_PRICING_PLAN
+};
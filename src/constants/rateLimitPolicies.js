@@ -0,0 +1,193 @@
+/**
+ * Rate Limit Policy Constants
+ *
+ * One policy per route group. Each policy counts requests in a fixed window
+ * per subject (`user:<uid>` when the request is authenticated, `ip:<address>`
+ * otherwise) in the store configured by `rateLimit.store` (or the policy's
+ * entry in `rateLimit.policyStores`), so limits hold across instances when a
+ * shared store (firestore, redis) is used.
+ * Bucket key: `<policy>:<subject>`.
+ */
+
+const RATE_LIMIT_KEY_TYPES = Object.freeze({
+  USER: 'user', // user ID when authenticated, IP otherwise
+  IP: 'ip', // always the IP (pre-auth endpoints such as login)
+  TOKEN: 'token' // uid of the (unverified) Firebase ID token in the body, IP otherwise
+});
+
+/**
+ * Policies by name. `devMax` applies when NODE_ENV is development;
+ * `skipLocalhostInDev` exempts localhost in development;
+ * `countFailuresOnly` counts every request up front and refunds the ones
+ * answered with a success status.
+ * Slow-down policies (`delayMs`) delay requests past `max` instead of
+ * rejecting them.
+ */
+const RATE_LIMIT_POLICIES = Object.freeze({
+  general: Object.freeze({
+    windowMs: 15 * 60 * 1000,
+    max: 2000, // Mobile apps poll; keep it high
+    devMax: 5000,
+    keyBy: RATE_LIMIT_KEY_TYPES.USER,
+    skipLocalhostInDev: true,
+    code: 'RATE_LIMIT_EXCEEDED',
+    message: 'Too many requests, please try again later'
+  }),
+  fileUpload: Object.freeze({
+    windowMs: 60 * 1000,
+    max: 30, // Allow batched document uploads
+    devMax: 300,
+    keyBy: RATE_LIMIT_KEY_TYPES.USER,
+    skipLocalhostInDev: true,
+    code: 'FILE_UPLOAD_RATE_LIMIT_EXCEEDED',
+    message: 'Too many file upload requests, please try again shortly'
+  }),
+  auth: Object.freeze({
+    windowMs: 15 * 60 * 1000,
+    max: 5,
+    devMax: 200,
+    keyBy: RATE_LIMIT_KEY_TYPES.IP,
+    skipLocalhostInDev: false,
+    code: 'AUTH_RATE_LIMIT_EXCEEDED',
+    message: 'Too many authentication attempts, please try again later'
+  }),
+  admin: Object.freeze({
+    windowMs: 15 * 60 * 1000,
+    max: 3000, // Admin dashboard
+    devMax: 10000,
+    keyBy: RATE_LIMIT_KEY_TYPES.USER,
+    skipLocalhostInDev: true,
+    code: 'ADMIN_RATE_LIMIT_EXCEEDED',
+    message: 'Too many admin requests, please try again later'
+  }),
+  signup: Object.freeze({
+    windowMs: 15 * 60 * 1000,
+    max: 100, // Lenient to allow legitimate signups
+    devMax: 1000,
+    keyBy: RATE_LIMIT_KEY_TYPES.IP,
+    skipLocalhostInDev: true,
+    code: 'LIGHT_RATE_LIMIT_EXCEEDED',
+    message: 'Too many signup attempts, please try again later'
+  }),
+  bruteForce: Object.freeze({
+    windowMs: 15 * 60 * 1000,
+    max: 3,
+    keyBy: RATE_LIMIT_KEY_TYPES.IP,
+    skipLocalhostInDev: false,
+    code: 'BRUTE_FORCE_PROTECTION',
+    message: 'Too many failed login attempts, please try again later'
+  }),
+  bookingStatus: Object.freeze({
+    windowMs: 60 * 1000,
+    max: 100, // Drivers update status often during active trips
+    devMax: 1000,
+    keyBy: RATE_LIMIT_KEY_TYPES.USER,
+    skipLocalhostInDev: true,
+    code: 'BOOKING_STATUS_RATE_LIMIT_EXCEEDED',
+    message: 'Too many booking status updates. Please wait a moment and try again.',
+    details: 'Rate limit exceeded for booking status updates. This is a temporary restriction.'
+  }),
+  trackingData: Object.freeze({
+    windowMs: 60 * 1000,
+    max: 60, // Customer app polls once a second during live tracking
+    devMax: 500,
+    keyBy: RATE_LIMIT_KEY_TYPES.USER,
+    skipLocalhostInDev: true,
+    code: 'TRACKING_DATA_RATE_LIMIT_EXCEEDED',
+    message: 'Too many tracking requests. Please wait a moment.',
+    details: 'Rate limit exceeded for tracking data requests. This is a temporary restriction.'
+  }),
+  documentStatus: Object.freeze({
+    windowMs: 60 * 1000,
+    max: 200, // Polled by the driver app
+    devMax: 500,
+    keyBy: RATE_LIMIT_KEY_TYPES.USER,
+    skipLocalhostInDev: true,
+    code: 'DOCUMENT_STATUS_RATE_LIMIT_EXCEEDED',
+    message: 'Too many document status requests. Please wait before checking again.',
+    details: 'Document status endpoint has rate limiting. Please wait before retrying.'
+  }),
+  bookingCreate: Object.freeze({
+    windowMs: 5 * 60 * 1000,
+    max: 3,
+    keyBy: RATE_LIMIT_KEY_TYPES.USER,
+    skipLocalhostInDev: false,
+    code: 'RATE_LIMIT_EXCEEDED',
+    message: 'Too many attempts'
+  }),
+  bookingConfirm: Object.freeze({
+    windowMs: 5 * 60 * 1000,
+    max: 3,
+    keyBy: RATE_LIMIT_KEY_TYPES.USER,
+    skipLocalhostInDev: false,
+    code: 'RATE_LIMIT_EXCEEDED',
+    message: 'Too many attempts'
+  }),
+  driverSearch: Object.freeze({
+    windowMs: 2 * 60 * 1000,
+    max: 5,
+    keyBy: RATE_LIMIT_KEY_TYPES.USER,
+    skipLocalhostInDev: false,
+    code: 'RATE_LIMIT_EXCEEDED',
+    message: 'Too many attempts'
+  }),
+  driverSearchCancel: Object.freeze({
+    windowMs: 60 * 1000,
+    max: 3,
+    keyBy: RATE_LIMIT_KEY_TYPES.USER,
+    skipLocalhostInDev: false,
+    code: 'RATE_LIMIT_EXCEEDED',
+    message: 'Too many attempts'
+  }),
+  googleMaps: Object.freeze({
+    windowMs: 15 * 60 * 1000,
+    max: 100,
+    keyBy: RATE_LIMIT_KEY_TYPES.IP, // Mounted without auth
+    skipLocalhostInDev: false,
+    code: 'RATE_LIMIT_EXCEEDED',
+    message: 'Too many requests'
+  }),
+  slotGeneration: Object.freeze({
+    windowMs: 60 * 1000,
+    max: 2, // Guards against client generation loops
+    keyBy: RATE_LIMIT_KEY_TYPES.USER,
+    skipLocalhostInDev: false,
+    code: 'RATE_LIMIT_EXCEEDED',
+    message: 'Too many slot generation requests. Please wait before trying again.',
+    details: 'You can only generate slots 2 times per minute'
+  }),
+  slotFetch: Object.freeze({
+    windowMs: 10 * 1000,
+    max: 10,
+    keyBy: RATE_LIMIT_KEY_TYPES.USER,
+    skipLocalhostInDev: false,
+    code: 'RATE_LIMIT_EXCEEDED',
+    message: 'Too many slot fetch requests',
+    details: 'Please reduce polling frequency'
+  }),
+  firebaseTokenVerify: Object.freeze({
+    windowMs: 5 * 60 * 1000,
+    max: 30, // Failed verifications; token refreshes that succeed are not counted
+    devMax: 300,
+    keyBy: RATE_LIMIT_KEY_TYPES.TOKEN,
+    skipLocalhostInDev: true,
+    countFailuresOnly: true,
+    code: 'TOO_MANY_REQUESTS',
+    message: 'Too many authentication attempts. Please wait a few minutes and try again.'
+  }),
+  firebaseTokenVerifySlowDown: Object.freeze({
+    windowMs: 15 * 60 * 1000,
+    max: 20, // Failed verifications before each attempt is delayed
+    devMax: 200,
+    keyBy: RATE_LIMIT_KEY_TYPES.TOKEN,
+    skipLocalhostInDev: true,
+    countFailuresOnly: true,
+    delayMs: 100,
+    maxDelayMs: 2000
+  })
+});
+
+module.exports = {
+  RATE_LIMIT_KEY_TYPES,
+  RATE_LIMIT_POLICIES
+};
@@ -0,0 +1,65 @@
+/**
+ * Rating Constants
+ *
+ * Both parties of a finished booking rate each other; every rating is one doc
+ * in `ratings` (doc id = `<bookingId>_<direction>`). Ratings written before
+ * ratings went two-way have no `direction` and are customer→driver.
+ * Reputations are cached on the rated user's profile (`driver.reputation` /
+ * `customer.reputation`).
+ */
+
+const RATING_COLLECTIONS = Object.freeze({
+  RATINGS: 'ratings',
+  DRIVER_REVIEWS: 'driverRatingReviews' // admin review queue for low-rated drivers
+});
+
+const RATING_DIRECTIONS = Object.freeze({
+  CUSTOMER_TO_DRIVER: 'customer_to_driver',
+  DRIVER_TO_CUSTOMER: 'driver_to_customer'
+});
+
+/**
+ * Tags a rater can attach, per direction
+ */
+const RATING_TAGS = Object.freeze({
+  customer_to_driver: Object.freeze([
+    'on_time', 'polite', 'careful_handling', 'good_communication',
+    'late', 'rude', 'package_damaged', 'unsafe_driving', 'unprofessional', 'extra_charge_asked'
+  ]),
+  driver_to_customer: Object.freeze([
+    'ready_on_time', 'polite', 'well_packed', 'clear_instructions',
+    'not_ready_at_pickup', 'rude', 'unreachable', 'wrong_address', 'package_not_as_described', 'long_wait'
+  ])
+});
+
+const RATING_MODERATION_STATUSES = Object.freeze({
+  VISIBLE: 'visible',
+  PENDING_REVIEW: 'pending_review', // comment matched the abuse list; hidden until an admin decides
+  REMOVED: 'removed' // comment removed by an admin (the star rating still counts)
+});
+
+/**
+ * Terms that hold a comment for moderation (matched as whole words,
+ * case-insensitive)
+ */
+const RATING_ABUSIVE_TERMS = Object.freeze([
+  'idiot', 'stupid', 'moron', 'scum', 'bastard', 'bitch', 'asshole', 'fuck', 'fucking', 'shit',
+  'chutiya', 'bhenchod', 'madarchod', 'harami', 'kutta', 'kamina', 'gandu'
+]);
+
+const DRIVER_REVIEW_STATUSES = Object.freeze({
+  OPEN: 'open',
+  RESOLVED: 'resolved'
+});
+
+const DRIVER_REVIEW_RESOLUTIONS = Object.freeze(['no_action', 'warned', 'retraining', 'suspended']);
+
+module.exports = {
+  RATING_COLLECTIONS,
+  RATING_DIRECTIONS,
+  RATING_TAGS,
+  RATING_MODERATION_STATUSES,
+  RATING_ABUSIVE_TERMS,
+  DRIVER_REVIEW_STATUSES,
+  DRIVER_REVIEW_RESOLUTIONS
+};
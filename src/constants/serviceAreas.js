@@ -0,0 +1,38 @@
+/**
+ * Service Area Constants
+ *
+ * Service areas are named zones stored in the `serviceAreas` collection, each a
+ * GeoJSON polygon with its own enable flag, pricing plan and operating hours.
+ * Locations are resolved to a zone by point-in-polygon (serviceAreaService).
+ *
+ * When the collection is empty the legacy radius around the configured service
+ * centre (config.serviceArea) is used as the only zone, so existing deployments
+ * keep working until their first zone is created.
+ */
+
+/**
+ * Collection holding service area zone documents
+ */
+const SERVICE_AREAS_COLLECTION = 'serviceAreas';
+
+/**
+ * Id of the built-in zone derived from config.serviceArea
+ */
+const LEGACY_SERVICE_AREA_ID = 'legacy_radius';
+
+/**
+ * Timezone used for operating hours when a zone does not set one
+ */
+const DEFAULT_SERVICE_AREA_TIMEZONE = 'Asia/Kolkata';
+
+/**
+ * Day numbering used by operating hour windows (0 = Sunday, same as Date#getDay)
+ */
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+module.exports = {
+  SERVICE_AREAS_COLLECTION,
+  LEGACY_SERVICE_AREA_ID,
+  DEFAULT_SERVICE_AREA_TIMEZONE,
+  WEEKDAYS
+};
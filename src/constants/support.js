@@ -0,0 +1,82 @@
+/**
+ * Support Ticket Constants
+ *
+ * Tickets live in `supportTickets`. Each ticket is routed to an admin agent
+ * (adminUsers with `supportCategories`) and carries first-response and
+ * resolution deadlines derived from its priority. Tickets and issue reports
+ * raised about a booking get a snapshot of the trip's evidence in
+ * `supportTicketEvidence`.
+ */
+
+const SUPPORT_COLLECTIONS = Object.freeze({
+  TICKETS: 'supportTickets',
+  ISSUE_REPORTS: 'issueReports',
+  EVIDENCE: 'supportTicketEvidence', // doc id = ticket/issue ID; one booking snapshot each
+  AGENTS: 'adminUsers'
+});
+
+const SUPPORT_TICKET_CATEGORIES = Object.freeze(['technical', 'billing', 'delivery', 'account', 'other']);
+
+const SUPPORT_TICKET_PRIORITIES = Object.freeze(['low', 'medium', 'high', 'urgent']);
+
+const SUPPORT_TICKET_STATUSES = Object.freeze({
+  OPEN: 'open',
+  IN_PROGRESS: 'in_progress',
+  RESOLVED: 'resolved',
+  CLOSED: 'closed'
+});
+
+/**
+ * Statuses that still count against the backlog and the SLA clock
+ */
+const SUPPORT_OPEN_STATUSES = Object.freeze([SUPPORT_TICKET_STATUSES.OPEN, SUPPORT_TICKET_STATUSES.IN_PROGRESS]);
+
+/**
+ * SLA targets tracked on every ticket (`ticket.sla.<target>DueAt`)
+ */
+const SUPPORT_SLA_TARGETS = Object.freeze({
+  FIRST_RESPONSE: 'firstResponse',
+  RESOLUTION: 'resolution'
+});
+
+/**
+ * Keywords used to categorise tickets that arrive without a category (or as
+ * 'other'). The category with the most keyword hits in the subject and
+ * description wins; ties keep the earlier category in this list.
+ */
+const SUPPORT_CATEGORY_KEYWORDS = Object.freeze({
+  billing: ['payment', 'refund', 'charge', 'charged', 'invoice', 'wallet', 'fare', 'price', 'money', 'upi', 'paid', 'bill'],
+  delivery: ['delivery', 'parcel', 'package', 'pickup', 'dropoff', 'drop', 'driver', 'late', 'damaged', 'missing', 'booking', 'order'],
+  account: ['account', 'login', 'otp', 'password', 'profile', 'phone number', 'email', 'verification', 'document', 'blocked'],
+  technical: ['app', 'crash', 'error', 'bug', 'loading', 'screen', 'map', 'gps', 'notification', 'update', 'slow']
+});
+
+/**
+ * Ticket assignment reasons recorded in `ticket.assignmentReason`
+ */
+const SUPPORT_ASSIGNMENT_REASONS = Object.freeze({
+  CATEGORY_MATCH: 'category_match', // least-loaded agent listing the category
+  FALLBACK: 'fallback', // nobody lists the category; least-loaded general agent
+  MANUAL: 'manual' // reassigned by an admin
+});
+
+/**
+ * Actions an agent can take from a ticket; each is appended to
+ * `ticket.actions` and written to `adminLogs`
+ */
+const SUPPORT_TICKET_ACTIONS = Object.freeze({
+  REFUND: 'refund', // refund against the booking's completed payment
+  WALLET_ADJUSTMENT: 'wallet_adjustment' // credit/debit the customer's wallet
+});
+
+module.exports = {
+  SUPPORT_COLLECTIONS,
+  SUPPORT_TICKET_CATEGORIES,
+  SUPPORT_TICKET_PRIORITIES,
+  SUPPORT_TICKET_STATUSES,
+  SUPPORT_OPEN_STATUSES,
+  SUPPORT_SLA_TARGETS,
+  SUPPORT_CATEGORY_KEYWORDS,
+  SUPPORT_ASSIGNMENT_REASONS,
+  SUPPORT_TICKET_ACTIONS
+};
@@ -636,46 +636,17 @@ const requireOwnership = (resourceIdField = 'id', resourceCollection = 'users')
 
 /**
  * Rate limiting for specific user actions
- * @param {number} maxAttempts - Maximum attempts allowed
- * @param {number} windowMs - Time window in milliseconds
+ * Counted in the shared rate limit store (per user, IP when unauthenticated)
+ * in the bucket of the named policy, so every route needs its own policy.
+ * @param {string} policyName - Policy declared in constants/rateLimitPolicies.js
+ * @param {Object} overrides - Fields replacing the declared ones (e.g. { max, windowMs })
  */
-const userRateLimit = (maxAttempts = 5, windowMs = 15 * 60 * 1000) => {
-  const attempts = new Map();
-
-  return (req, res, next) => {
-    if (!req.user) {
-      return next();
-    }
-
-    const userId = req.user.uid;
-    const now = Date.now();
-    const userAttempts = attempts.get(userId) || { count: 0, resetTime: now + windowMs };
-
-    // Reset counter if window has passed
-    if (now > userAttempts.resetTime) {
-      userAttempts.count = 0;
-      userAttempts.resetTime = now + windowMs;
-    }
-
-    // Check if user has exceeded limit
-    if (userAttempts.count >= maxAttempts) {
-      return res.status(429).json({
-        success: false,
-        error: {
-          code: 'RATE_LIMIT_EXCEEDED',
-          message: 'Too many attempts',
-          details: `You have exceeded the maximum attempts. Please try again in ${Math.ceil((userAttempts.resetTime - now) / 1000 / 60)} minutes.`
-        },
-        timestamp: new Date().toISOString()
-      });
-    }
-
-    // Increment attempt counter
-    userAttempts.count++;
-    attempts.set(userId, userAttempts);
-
-    next();
-  };
+const userRateLimit = (policyName, overrides = {}) => {
+  if (!policyName) {
+    throw new Error('userRateLimit requires a rate limit policy name');
+  }
+  const { createPolicyLimiter } = require('./rateLimit');
+  return createPolicyLimiter(policyName, overrides);
 };
 
 /**
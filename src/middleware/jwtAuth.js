@@ -375,53 +375,6 @@ class JWTAuthMiddleware {
       }
     };
   };
-
-  /**
-   * Rate limiting middleware for authentication attempts
-   * @param {number} maxAttempts - Maximum attempts allowed
-   * @param {number} windowMs - Time window in milliseconds
-   */
-  authRateLimit = (maxAttempts = 5, windowMs = 15 * 60 * 1000) => {
-    const attempts = new Map();
-
-    return (req, res, next) => {
-      const ip = req.ip || req.connection.remoteAddress;
-      const now = Date.now();
-      
-      // Clean up old attempts
-      if (attempts.has(ip)) {
-        const userAttempts = attempts.get(ip);
-        userAttempts.attempts = userAttempts.attempts.filter(
-          timestamp => now - timestamp < windowMs
-        );
-        
-        if (userAttempts.attempts.length === 0) {
-          attempts.delete(ip);
-        }
-      }
-
-      // Check if user has exceeded limit
-      if (attempts.has(ip) && attempts.get(ip).attempts.length >= maxAttempts) {
-        return res.status(429).json({
-          success: false,
-          error: {
-            code: 'RATE_LIMIT_EXCEEDED',
-            message: 'Too many authentication attempts',
-            details: `Please wait ${Math.ceil(windowMs / 60000)} minutes before trying again`
-          },
-          timestamp: new Date().toISOString()
-        });
-      }
-
-      // Record this attempt
-      if (!attempts.has(ip)) {
-        attempts.set(ip, { attempts: [] });
-      }
-      attempts.get(ip).attempts.push(now);
-
-      next();
-    };
-  };
 }
 
 // Create singleton instance
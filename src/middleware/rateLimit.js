@@ -1,133 +1,144 @@
 /**
  * Rate Limiting Middleware
- * Provides comprehensive rate limiting for different types of endpoints
+ * Provides comprehensive rate limiting for different types of endpoints.
+ * Limits are the policies of constants/rateLimitPolicies.js, counted by
+ * rateLimitService in the configured store (shared across instances unless
+ * `RATE_LIMIT_STORE=memory`), per user when authenticated, otherwise per IP.
  */
 
-const rateLimit = require('express-rate-limit');
 const slowDown = require('express-slow-down');
+const rateLimitService = require('../services/rateLimitService');
 
-// General rate limiter for all endpoints
-const generalLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: process.env.NODE_ENV === 'development' ? 5000 : 2000, // Much higher limits for mobile apps
-  message: {
-    success: false,
-    error: {
-      code: 'RATE_LIMIT_EXCEEDED',
-      message: 'Too many requests from this IP, please try again later'
-    },
-    timestamp: new Date().toISOString()
-  },
-  standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
-  legacyHeaders: false, // Disable the `X-RateLimit-*` headers
-  // Skip rate limiting for certain IPs (e.g., localhost during development)
-  skip: (req) => {
-    const isDevelopment = process.env.NODE_ENV === 'development';
-    const isLocalhost = req.ip === '::1' || req.ip === '127.0.0.1' || req.ip === '::ffff:127.0.0.1';
-    return isDevelopment && isLocalhost;
-  },
-  handler: (req, res) => {
-    res.status(429).json({
-      success: false,
-      error: {
-        code: 'RATE_LIMIT_EXCEEDED',
-        message: 'Too many requests from this IP, please try again later'
-      },
-      timestamp: new Date().toISOString()
+const isLocalhostInDevelopment = (req) => {
+  const isDevelopment = process.env.NODE_ENV === 'development';
+  const isLocalhost = req.ip === '::1' || req.ip === '127.0.0.1' || req.ip === '::ffff:127.0.0.1';
+  return isDevelopment && isLocalhost;
+};
+
+/**
+ * Set the `RateLimit-*` headers, as sent by express-rate-limit with standardHeaders
+ * @returns {number} Seconds until the window resets
+ */
+const setRateLimitHeaders = (res, result) => {
+  const resetSeconds = Math.max(Math.ceil((result.resetTime.getTime() - Date.now()) / 1000), 0);
+  res.set({
+    'RateLimit-Limit': String(result.limit),
+    'RateLimit-Remaining': String(result.remaining),
+    'RateLimit-Reset': String(resetSeconds)
+  });
+  return resetSeconds;
+};
+
+/**
+ * Count a request against a policy. countFailuresOnly policies count every
+ * request up front, so parallel requests cannot all pass a check, and take the
+ * count back once the response turns out to be a success.
+ * @returns {Promise<Object>} Decision from rateLimitService
+ */
+const countRequest = async (policy, req, res) => {
+  const subject = rateLimitService.getSubject(req, policy);
+  const result = await rateLimitService.consume(policy, subject);
+
+  if (policy.countFailuresOnly && !result.storeError) {
+    res.on('finish', () => {
+      if (res.statusCode < 400) {
+        rateLimitService.refund(policy, subject);
+      }
     });
   }
-});
+  return result;
+};
+
+/**
+ * Create a limiter for a declared policy
+ * @param {string} policyName - Policy name (constants/rateLimitPolicies.js)
+ * @param {Object} overrides - Fields replacing the declared ones (e.g. { max, windowMs })
+ * @returns {Function} Express middleware
+ */
+const createPolicyLimiter = (policyName, overrides = {}) => {
+  const policy = rateLimitService.getPolicy(policyName, overrides);
+
+  return async (req, res, next) => {
+    let result;
+    try {
+      if (policy.skipLocalhostInDev && isLocalhostInDevelopment(req)) {
+        return next();
+      }
+
+      result = await countRequest(policy, req, res);
+    } catch (error) {
+      // Limiting must never block or hang a request
+      console.error(`❌ [RATE_LIMIT] ${policyName} limiter failed, allowing request:`, error.message);
+      return next();
+    }
+
+    if (result.resetTime) {
+      const resetSeconds = setRateLimitHeaders(res, result);
+
+      if (!result.allowed) {
+        res.set('Retry-After', String(resetSeconds));
+        return res.status(429).json({
+          success: false,
+          error: {
+            code: policy.code,
+            message: policy.message,
+            ...(policy.details ? { details: policy.details } : {})
+          },
+          retryAfter: resetSeconds,
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+
+    next();
+  };
+};
+
+/**
+ * Create a slow-down for a declared policy: past `max` requests in the
+ * window, each request waits `delayMs` more than the previous one, up to
+ * `maxDelayMs`. Requests are never rejected.
+ * @param {string} policyName - Policy name (constants/rateLimitPolicies.js)
+ * @param {Object} overrides - Fields replacing the declared ones
+ * @returns {Function} Express middleware
+ */
+const createPolicySlowDown = (policyName, overrides = {}) => {
+  const policy = rateLimitService.getPolicy(policyName, overrides);
+
+  return async (req, res, next) => {
+    let result;
+    try {
+      if (policy.skipLocalhostInDev && isLocalhostInDevelopment(req)) {
+        return next();
+      }
+
+      result = await countRequest(policy, req, res);
+    } catch (error) {
+      console.error(`❌ [RATE_LIMIT] ${policyName} slow-down failed, not delaying request:`, error.message);
+      return next();
+    }
+
+    const delayMs = Math.min((result.count - policy.max) * policy.delayMs, policy.maxDelayMs);
+    if (delayMs > 0) {
+      return setTimeout(next, delayMs);
+    }
+    next();
+  };
+};
+
+// General rate limiter for all endpoints
+const generalLimiter = createPolicyLimiter('general');
 
 // More generous limiter for file upload routes
-const fileUploadLimiter = rateLimit({
-  windowMs: 1 * 60 * 1000, // 1 minute
-  max: process.env.NODE_ENV === 'development' ? 300 : 30, // Allow batched document uploads
-  message: {
-    success: false,
-    error: {
-      code: 'FILE_UPLOAD_RATE_LIMIT_EXCEEDED',
-      message: 'Too many file upload requests, please try again shortly'
-    },
-    timestamp: new Date().toISOString()
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-  skip: (req) => {
-    const isDevelopment = process.env.NODE_ENV === 'development';
-    const isLocalhost = req.ip === '::1' || req.ip === '127.0.0.1' || req.ip === '::ffff:127.0.0.1';
-    return isDevelopment && isLocalhost;
-  },
-  handler: (req, res) => {
-    res.status(429).json({
-      success: false,
-      error: {
-        code: 'FILE_UPLOAD_RATE_LIMIT_EXCEEDED',
-        message: 'Too many file upload requests, please try again shortly'
-      },
-      timestamp: new Date().toISOString()
-    });
-  }
-});
+const fileUploadLimiter = createPolicyLimiter('fileUpload');
 
 // Strict rate limiter for authentication endpoints
-const authLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: process.env.NODE_ENV === 'development' ? 200 : 5, // Much more lenient for development
-  message: {
-    success: false,
-    error: {
-      code: 'AUTH_RATE_LIMIT_EXCEEDED',
-      message: 'Too many authentication attempts, please try again later'
-    },
-    timestamp: new Date().toISOString()
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-  handler: (req, res) => {
-    res.status(429).json({
-      success: false,
-      error: {
-        code: 'AUTH_RATE_LIMIT_EXCEEDED',
-        message: 'Too many authentication attempts, please try again later'
-      },
-      timestamp: new Date().toISOString()
-    });
-  }
-});
+const authLimiter = createPolicyLimiter('auth');
 
 // Admin-specific rate limiter
-const adminLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: process.env.NODE_ENV === 'development' ? 10000 : 3000, // Higher limits for admin dashboard
-  message: {
-    success: false,
-    error: {
-      code: 'ADMIN_RATE_LIMIT_EXCEEDED',
-      message: 'Too many admin requests, please try again later'
-    },
-    timestamp: new Date().toISOString()
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-  // Skip rate limiting for localhost in development
-  skip: (req) => {
-    const isDevelopment = process.env.NODE_ENV === 'development';
-    const isLocalhost = req.ip === '::1' || req.ip === '127.0.0.1' || req.ip === '::ffff:127.0.0.1';
-    return isDevelopment && isLocalhost;
-  },
-  handler: (req, res) => {
-    res.status(429).json({
-      success: false,
-      error: {
-        code: 'ADMIN_RATE_LIMIT_EXCEEDED',
-        message: 'Too many admin requests, please try again later'
-      },
-      timestamp: new Date().toISOString()
-    });
-  }
-});
+const adminLimiter = createPolicyLimiter('admin');
 
-// Speed limiter for gradual slowdown
+// Speed limiter for gradual slowdown (per instance; it only delays requests)
 // ✅ CRITICAL FIX: Increased thresholds to prevent premature rate limiting
 const speedLimiter = slowDown({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -137,142 +148,30 @@ const speedLimiter = slowDown({
   skipSuccessfulRequests: true, // ✅ Skip successful requests to avoid blocking polling
   skipFailedRequests: false,
   // Skip speed limiting for localhost in development
-  skip: (req) => {
-    const isDevelopment = process.env.NODE_ENV === 'development';
-    const isLocalhost = req.ip === '::1' || req.ip === '127.0.0.1' || req.ip === '::ffff:127.0.0.1';
-    return isDevelopment && isLocalhost;
-  }
+  skip: isLocalhostInDevelopment
 });
 
 // Light rate limiter for signup endpoints (lenient to allow legitimate signups)
-const lightRateLimit = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: process.env.NODE_ENV === 'development' ? 1000 : 100, // Lenient limits for signup
-  message: {
-    success: false,
-    error: {
-      code: 'LIGHT_RATE_LIMIT_EXCEEDED',
-      message: 'Too many signup attempts, please try again later'
-    },
-    timestamp: new Date().toISOString()
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-  // Skip rate limiting for localhost in development
-  skip: (req) => {
-    const isDevelopment = process.env.NODE_ENV === 'development';
-    const isLocalhost = req.ip === '::1' || req.ip === '127.0.0.1' || req.ip === '::ffff:127.0.0.1';
-    return isDevelopment && isLocalhost;
-  },
-  handler: (req, res) => {
-    res.status(429).json({
-      success: false,
-      error: {
-        code: 'LIGHT_RATE_LIMIT_EXCEEDED',
-        message: 'Too many signup attempts, please try again later'
-      },
-      timestamp: new Date().toISOString()
-    });
-  }
-});
+const lightRateLimit = createPolicyLimiter('signup');
 
 // Brute force protection for login attempts
-const bruteForceLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 3, // limit each IP to 3 login attempts per windowMs
-  message: {
-    success: false,
-    error: {
-      code: 'BRUTE_FORCE_PROTECTION',
-      message: 'Too many failed login attempts, please try again later'
-    },
-    timestamp: new Date().toISOString()
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-  handler: (req, res) => {
-    res.status(429).json({
-      success: false,
-      error: {
-        code: 'BRUTE_FORCE_PROTECTION',
-        message: 'Too many failed login attempts, please try again later'
-      },
-      timestamp: new Date().toISOString()
-    });
-  }
-});
+const bruteForceLimiter = createPolicyLimiter('bruteForce');
 
 // ✅ CRITICAL FIX: Lenient rate limiter for booking status updates
 // Booking status updates are critical operations that should not be rate limited aggressively
 // Drivers need to update status frequently during active trips (arrived, picked_up, etc.)
-const bookingStatusLimiter = rateLimit({
-  windowMs: 1 * 60 * 1000, // 1 minute window
-  max: process.env.NODE_ENV === 'development' ? 1000 : 100, // ✅ Very lenient: 100 status updates per minute (was hitting limit with 20)
-  message: {
-    success: false,
-    error: {
-      code: 'BOOKING_STATUS_RATE_LIMIT_EXCEEDED',
-      message: 'Too many booking status updates. Please wait a moment and try again.',
-      details: 'Rate limit exceeded for booking status updates. This is a temporary restriction.'
-    },
-    timestamp: new Date().toISOString()
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-  // Skip rate limiting for localhost in development
-  skip: (req) => {
-    const isDevelopment = process.env.NODE_ENV === 'development';
-    const isLocalhost = req.ip === '::1' || req.ip === '127.0.0.1' || req.ip === '::ffff:127.0.0.1';
-    return isDevelopment && isLocalhost;
-  },
-  handler: (req, res) => {
-    res.status(429).json({
-      success: false,
-      error: {
-        code: 'BOOKING_STATUS_RATE_LIMIT_EXCEEDED',
-        message: 'Too many booking status updates. Please wait a moment and try again.',
-        details: 'Rate limit exceeded for booking status updates. This is a temporary restriction.'
-      },
-      timestamp: new Date().toISOString()
-    });
-  }
-});
+const bookingStatusLimiter = createPolicyLimiter('bookingStatus');
 
 // ✅ CRITICAL FIX: Lenient rate limiter for tracking/booking data fetching
 // Customer app polls booking status frequently during live tracking
-const trackingDataLimiter = rateLimit({
-  windowMs: 1 * 60 * 1000, // 1 minute window
-  max: process.env.NODE_ENV === 'development' ? 500 : 60, // ✅ 60 requests per minute for tracking (1 per second)
-  message: {
-    success: false,
-    error: {
-      code: 'TRACKING_DATA_RATE_LIMIT_EXCEEDED',
-      message: 'Too many tracking requests. Please wait a moment.',
-      details: 'Rate limit exceeded for tracking data requests. This is a temporary restriction.'
-    },
-    timestamp: new Date().toISOString()
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-  skip: (req) => {
-    const isDevelopment = process.env.NODE_ENV === 'development';
-    const isLocalhost = req.ip === '::1' || req.ip === '127.0.0.1' || req.ip === '::ffff:127.0.0.1';
-    return isDevelopment && isLocalhost;
-  },
-  handler: (req, res) => {
-    res.status(429).json({
-      success: false,
-      error: {
-        code: 'TRACKING_DATA_RATE_LIMIT_EXCEEDED',
-        message: 'Too many tracking requests. Please wait a moment.',
-        details: 'Rate limit exceeded for tracking data requests. This is a temporary restriction.'
-      },
-      timestamp: new Date().toISOString()
-    });
-  }
-});
+const trackingDataLimiter = createPolicyLimiter('trackingData');
+
+// Driver app polls document status
+const documentStatusLimiter = createPolicyLimiter('documentStatus');
 
 module.exports = {
+  createPolicyLimiter,
+  createPolicySlowDown,
   generalLimiter,
   fileUploadLimiter,
   authLimiter,
@@ -281,5 +180,6 @@ module.exports = {
   lightRateLimit,
   bruteForceLimiter,
   bookingStatusLimiter,
-  trackingDataLimiter
+  trackingDataLimiter,
+  documentStatusLimiter
 };
\ No newline at end of file
@@ -67,6 +67,35 @@ const normalizeTimestamp = (value) => {
   return Number.isNaN(parsed.getTime()) ? value : parsed.toISOString();
 };
 
+/**
+ * Rate limit subject from `userId` or `ip` (exactly one)
+ */
+const getRateLimitSubject = (source) => {
+  const userId = typeof source.userId === 'string' ? source.userId.trim() : '';
+  const ip = typeof source.ip === 'string' ? source.ip.trim() : '';
+  if (!!userId === !!ip) {
+    return null;
+  }
+  return userId ? `user:${userId}` : `ip:${ip}`;
+};
+
+/**
+ * Idempotency-Key header of a money-moving request, or null when missing or malformed
+ */
+const getIdempotencyKey = (req) => {
+  const key = req.headers['idempotency-key'];
+  return typeof key === 'string' && key.length >= 8 && key.length <= 255 ? key : null;
+};
+
+const sendIdempotencyKeyRequired = (res) => res.status(400).json({
+  success: false,
+  error: {
+    code: 'INVALID_IDEMPOTENCY_KEY',
+    message: 'An Idempotency-Key header (8-255 characters) is required'
+  },
+  timestamp: new Date().toISOString()
+});
+
 const SIGNED_URL_TTL_MS = 1000 * 60 * 60 * 6; // 6 hours
 let cachedStorageInstance;
 
@@ -649,7 +678,7 @@ router.post('/admins', [
 router.put('/admins/:uid', async (req, res) => {
   try {
     const { uid } = req.params;
-    const { displayName, role, permissions, isActive } = req.body;
+    const { displayName, role, permissions, isActive, supportCategories, acceptsSupportTickets } = req.body;
     
     const db = getFirestore();
     
@@ -685,6 +714,12 @@ router.put('/admins/:uid', async (req, res) => {
     if (role && req.user.role === 'super_admin') updateData.role = role;
     if (permissions && req.user.role === 'super_admin') updateData.permissions = permissions;
     if (isActive !== undefined && req.user.role === 'super_admin') updateData.isActive = isActive;
+    // Support ticket routing - categories the agent covers, and whether they take tickets at all
+    if (Array.isArray(supportCategories) && req.user.role === 'super_admin') {
+      const { SUPPORT_TICKET_CATEGORIES } = require('../constants/support');
+      updateData.supportCategories = supportCategories.filter(category => SUPPORT_TICKET_CATEGORIES.includes(category));
+    }
+    if (acceptsSupportTickets !== undefined && req.user.role === 'super_admin') updateData.acceptsSupportTickets = acceptsSupportTickets;
 
     // Update adminUsers collection
     await db.collection('adminUsers').doc(uid).update(updateData);
@@ -1032,10 +1067,13 @@ router.get('/drivers', async (req, res) => {
     // ✅ CRITICAL FIX: Build ratings map for quick lookup (driver isolated - each driver's ratings calculated separately)
     ratingsSnapshots.forEach((ratingsSnapshot, index) => {
       const driverId = driverIds[index];
-      const ratings = ratingsSnapshot.docs.map(doc => {
-        const ratingData = doc.data();
-        return ratingData.rating || 0; // Ensure we only get valid ratings
-      }).filter(r => r > 0 && r <= 5); // Filter out invalid ratings (driver isolation protection)
+      // Skip the driver's own ratings of customers (legacy docs have no direction)
+      const ratings = ratingsSnapshot.docs
+        .filter(doc => (doc.data().direction || 'customer_to_driver') === 'customer_to_driver')
+        .map(doc => {
+          const ratingData = doc.data();
+          return ratingData.rating || 0; // Ensure we only get valid ratings
+        }).filter(r => r > 0 && r <= 5); // Filter out invalid ratings (driver isolation protection)
       
       const averageRating = ratings.length > 0
         ? Math.round((ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length) * 10) / 10 // Round to 1 decimal
@@ -1845,6 +1883,88 @@ router.get('/bookings/:id', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/admin/bookings/:id/chat
+ * @desc    Read-only chat transcript of a booking (dispute handling)
+ * @access  Private (Admin only)
+ */
+router.get('/bookings/:id/chat', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const adminId = req.user.uid || req.user.userId;
+    const db = getFirestore();
+    const chatService = require('../services/chatService');
+
+    const bookingDoc = await db.collection('bookings').doc(id).get();
+    if (!bookingDoc.exists) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'BOOKING_NOT_FOUND',
+          message: 'Booking not found'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const bookingData = bookingDoc.data();
+    const [thread, messages] = await Promise.all([
+      chatService.getThread(id),
+      chatService.listMessages(id)
+    ]);
+
+    // Transcripts contain customer and driver conversations
+    await db.collection('adminLogs').doc().set({
+      action: 'chat_transcript_viewed',
+      adminId,
+      details: { bookingId: id, messageCount: messages.length, timestamp: new Date() },
+      timestamp: new Date()
+    });
+
+    res.json({
+      success: true,
+      data: {
+        bookingId: id,
+        customerId: bookingData.customerId,
+        driverId: bookingData.driverId || null,
+        chat: {
+          status: thread ? thread.status : null,
+          closedAt: normalizeTimestamp(thread?.closedAt),
+          closeReason: thread?.closeReason || null,
+          purgeAfter: normalizeTimestamp(thread?.purgeAfter),
+          purgedAt: normalizeTimestamp(thread?.purgedAt)
+        },
+        messages: messages.map(message => ({
+          id: message.id,
+          senderId: message.senderId,
+          senderType: message.senderType,
+          messageType: message.messageType,
+          message: message.message,
+          quickReplyId: message.quickReplyId || null,
+          attachment: message.attachment || null,
+          status: message.status,
+          timestamp: message.timestamp,
+          deliveredAt: message.deliveredAt,
+          readAt: message.readAt
+        }))
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error fetching chat transcript:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_CHAT_TRANSCRIPT_ERROR',
+        message: 'Failed to fetch chat transcript',
+        details: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 /**
  * @route   PUT /api/admin/bookings/:id/status
  * @desc    Update booking status
@@ -1897,6 +2017,15 @@ router.put('/bookings/:id/status', async (req, res) => {
       })
     });
 
+    // Close the chat and expire the masked contact session when the admin ends the booking
+    const { COMPLETED_BOOKING_STATUSES } = require('../constants/bookingStatuses');
+    if (COMPLETED_BOOKING_STATUSES.includes(status)) {
+      const chatService = require('../services/chatService');
+      const maskedContactService = require('../services/maskedContactService');
+      await chatService.closeChat(id, status);
+      await maskedContactService.expireSession(id, status);
+    }
+
     console.log(`✅ [ADMIN] Booking ${id} status updated to ${status} by admin ${req.user.email || req.user.userId}`);
 
     res.json({
@@ -2449,13 +2578,32 @@ router.post('/emergency/notify-drivers', async (req, res) => {
       });
     }
 
-    // Mock notification response
+    if (!Array.isArray(driverIds)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_DRIVER_IDS',
+          message: 'Driver IDs must be an array'
+        }
+      });
+    }
+
+    // Same notification path as the nearby-drivers escalation tier
+    const emergencyEscalationService = require('../services/emergencyEscalationService');
+    const result = await emergencyEscalationService.notifyDrivers(alertId, driverIds, message, req.user.uid || req.user.userId);
+    if (!result.success) {
+      return res.status(404).json({
+        success: false,
+        error: result.error,
+        timestamp: new Date().toISOString()
+      });
+    }
+
     res.json({
       success: true,
       data: {
         message: 'Drivers notified successfully',
-        notifiedCount: driverIds.length,
-        alertId
+        ...result.data
       },
       timestamp: new Date().toISOString()
     });
@@ -2727,6 +2875,68 @@ router.get('/drivers/pending', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/admin/drivers/:id
+ * @desc    Get a driver profile with its reliability score and components
+ * @access  Private (Admin only)
+ */
+router.get('/drivers/:id', async (req, res) => {
+  try {
+    const db = getFirestore();
+    const { id } = req.params;
+
+    const driverDoc = await db.collection('users').doc(id).get();
+    if (!driverDoc.exists || driverDoc.data().userType !== 'driver') {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'DRIVER_NOT_FOUND',
+          message: 'Driver not found',
+          details: `No driver with ID ${id}`
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const driverData = driverDoc.data();
+    const driver = driverData.driver || {};
+
+    // Admins always see a fresh score (also refreshes the cached one used for matching)
+    const driverReliabilityService = require('../services/driverReliabilityService');
+    const reliability = await driverReliabilityService.refreshReliability(id);
+
+    res.json({
+      success: true,
+      data: {
+        id: driverDoc.id,
+        uid: driverDoc.id,
+        ...driverData,
+        // Flatten nested driver fields
+        isOnline: driver.isOnline || false,
+        isAvailable: driver.isAvailable || false,
+        verificationStatus: driver.verificationStatus || 'pending',
+        rating: driver.rating || 0,
+        totalTrips: driver.totalTrips || 0,
+        reliability,
+        createdAt: driverData.createdAt?.toDate?.() || driverData.createdAt,
+        updatedAt: driverData.updatedAt?.toDate?.() || driverData.updatedAt
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching driver:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_DRIVER_ERROR',
+        message: 'Failed to fetch driver',
+        details: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 /**
  * @route   GET /api/admin/drivers/:driverId/documents
  * @desc    Get driver documents for admin review
@@ -2824,7 +3034,9 @@ router.get('/drivers/:driverId/documents', async (req, res) => {
         verifiedAt: firestoreDoc.verifiedAt,
         verifiedBy: firestoreDoc.verifiedBy,
         verificationComments: firestoreDoc.verificationComments,
-        rejectionReason: firestoreDoc.rejectionReason
+        rejectionReason: firestoreDoc.rejectionReason,
+        extraction: firestoreDoc.extraction || null, // Extracted fields, confidence and mismatch flags
+        quality: firestoreDoc.quality || null // Blur/brightness scores and duplicate review
       };
     };
     
@@ -3297,6 +3509,17 @@ router.post('/drivers/:driverId/documents/:documentType/verify', async (req, res
       });
     }
 
+    // Licence, insurance and RC approvals carry an expiry date
+    const documentExpiryService = require('../services/documentExpiryService');
+    const expiry = documentExpiryService.validateExpiryDate(documentType, req.body.expiryDate);
+    if (status === 'verified' && !expiry.success) {
+      return res.status(400).json({
+        success: false,
+        error: expiry.error,
+        timestamp: new Date().toISOString()
+      });
+    }
+
     // Use centralized verification service
     const result = await verificationService.verifyDriverDocument(
       driverId, 
@@ -3304,7 +3527,8 @@ router.post('/drivers/:driverId/documents/:documentType/verify', async (req, res
       status, 
       comments, 
       rejectionReason, 
-      adminId
+      adminId,
+      expiry.data || null
     );
 
     res.json({
@@ -3328,6 +3552,78 @@ router.post('/drivers/:driverId/documents/:documentType/verify', async (req, res
   }
 });
 
+/**
+ * @route   POST /api/admin/drivers/:driverId/documents/:documentType/extraction/confirm
+ * @desc    Confirm (optionally correcting) the extracted fields of a document and verify it
+ * @access  Private (Admin only)
+ */
+router.post('/drivers/:driverId/documents/:documentType/extraction/confirm', async (req, res) => {
+  try {
+    const { driverId, documentType } = req.params;
+    const { corrections, comments } = req.body;
+    const adminId = req.user.uid || req.user.userId;
+
+    if (corrections !== undefined && (typeof corrections !== 'object' || corrections === null || Array.isArray(corrections))) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_CORRECTION',
+          message: 'Corrections must be an object of field values'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const documentExtractionService = require('../services/documentExtractionService');
+    const result = await documentExtractionService.confirmExtraction(driverId, documentType, adminId, { corrections, comments });
+
+    if (!result.success) {
+      const statusCode = {
+        DRIVER_NOT_FOUND: 404,
+        EXTRACTION_NOT_FOUND: 404,
+        VERIFICATION_FAILED: 500,
+        EXTRACTION_CONFIRM_ERROR: 500
+      }[result.error.code] || 400;
+      return res.status(statusCode).json({
+        success: false,
+        error: result.error,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    await getFirestore().collection('adminLogs').doc().set({
+      action: 'document_extraction_confirmed',
+      adminId,
+      targetUserId: driverId,
+      details: {
+        documentType: result.data.documentType,
+        correctedFields: result.data.correctedFields,
+        timestamp: new Date()
+      },
+      timestamp: new Date()
+    });
+
+    res.json({
+      success: true,
+      message: 'Extracted fields confirmed and document verified',
+      data: result.data,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error confirming document extraction:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'EXTRACTION_CONFIRM_ERROR',
+        message: 'Failed to confirm extracted fields',
+        details: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 /**
  * @route   POST /api/admin/sync-all-drivers-status
  * @desc    Sync verification status for all drivers based on document status
@@ -3665,7 +3961,7 @@ router.get('/analytics', async (req, res) => {
 router.get('/support/tickets', async (req, res) => {
   try {
     const db = getFirestore();
-    const { limit = 20, offset = 0, status, priority, category } = req.query;
+    const { limit = 20, offset = 0, status, priority, category, assignedTo } = req.query;
 
     let query = db.collection('supportTickets');
 
@@ -3673,6 +3969,9 @@ router.get('/support/tickets', async (req, res) => {
     if (status) {
       query = query.where('status', '==', status);
     }
+    if (assignedTo) {
+      query = query.where('assignedTo', '==', assignedTo);
+    }
     if (priority) {
       query = query.where('priority', '==', priority);
     }
@@ -3758,13 +4057,17 @@ router.post('/support/tickets/:ticketId/resolve', async (req, res) => {
       });
     }
 
+    const supportTicketService = require('../services/supportTicketService');
+    const resolvedAt = new Date();
     await ticketRef.update({
       status: 'resolved',
       resolution,
       resolvedBy: adminId,
-      resolvedAt: new Date(),
+      resolvedAt,
       adminNotes: notes || null,
-      updatedAt: new Date()
+      updatedAt: resolvedAt,
+      // Stop the resolution SLA clock
+      ...supportTicketService.buildStatusUpdate(ticketDoc.data(), 'resolved', resolvedAt)
     });
 
     res.json({
@@ -3773,7 +4076,7 @@ router.post('/support/tickets/:ticketId/resolve', async (req, res) => {
       data: {
         ticketId,
         status: 'resolved',
-        resolvedAt: new Date(),
+        resolvedAt,
         resolvedBy: adminId
       },
       timestamp: new Date().toISOString()
@@ -3794,90 +4097,1177 @@ router.post('/support/tickets/:ticketId/resolve', async (req, res) => {
 });
 
 /**
- * @route   GET /api/admin/system/health
- * @desc    Get detailed system health information
+ * @route   POST /api/admin/support/tickets/:ticketId/assign
+ * @desc    Reassign a support ticket to an admin agent
  * @access  Private (Admin only)
  */
-router.get('/system/health', async (req, res) => {
+router.post('/support/tickets/:ticketId/assign', async (req, res) => {
   try {
-    const db = getFirestore();
-    
-    // Get system health metrics
-    const health = {
-      status: 'healthy',
-      uptime: process.uptime(),
-      memory: process.memoryUsage(),
-      timestamp: new Date().toISOString(),
-      services: [
-        { name: 'API', status: 'healthy', lastCheck: new Date().toISOString() },
-        { name: 'Database', status: 'healthy', lastCheck: new Date().toISOString() },
-        { name: 'WebSocket', status: 'healthy', lastCheck: new Date().toISOString() },
-        { name: 'Firebase', status: 'healthy', lastCheck: new Date().toISOString() }
-      ],
-      metrics: {
-        totalUsers: 0,
-        totalDrivers: 0,
-        totalCustomers: 0,
-        activeBookings: 0,
-        pendingVerifications: 0,
-        openSupportTickets: 0,
-        activeEmergencyAlerts: 0
-      },
-      // Add SystemMetrics structure for frontend compatibility
-      systemMetrics: {
-        timestamp: new Date().toISOString(),
-        server: {
-          cpu: Math.round(Math.random() * 30 + 20), // Simulate CPU usage between 20-50%
-          memory: Math.round(process.memoryUsage().heapUsed / 1024 / 1024), // MB
-          disk: Math.round(Math.random() * 20 + 10), // Simulate disk usage between 10-30%
-          uptime: process.uptime()
-        },
-        database: {
-          connections: Math.round(Math.random() * 10 + 5), // Simulate 5-15 connections
-          responseTime: Math.round(Math.random() * 50 + 10), // Simulate 10-60ms response time
-          queries: Math.round(Math.random() * 100 + 50) // Simulate 50-150 queries
-        },
-        api: {
-          requests: Math.round(Math.random() * 1000 + 500), // Simulate 500-1500 requests
-          responseTime: Math.round(Math.random() * 100 + 50), // Simulate 50-150ms response time
-          errorRate: Math.round(Math.random() * 2) // Simulate 0-2% error rate
-        },
-        websocket: {
-          connections: Math.round(Math.random() * 20 + 5), // Simulate 5-25 connections
-          messages: Math.round(Math.random() * 500 + 100) // Simulate 100-600 messages
+    const { ticketId } = req.params;
+    const { agentId } = req.body;
+    const adminId = req.user.uid || req.user.userId;
+
+    if (!agentId) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'AGENT_REQUIRED',
+          message: 'Agent ID is required'
         },
-        users: {
-          online: Math.round(Math.random() * 50 + 10), // Simulate 10-60 online users
-          active: Math.round(Math.random() * 30 + 5) // Simulate 5-35 active users
-        }
-      }
-    };
+        timestamp: new Date().toISOString()
+      });
+    }
 
-    // Test database connectivity
-    try {
-      await db.collection('users').limit(1).get();
-      health.services[1].status = 'healthy'; // Database service
-    } catch {
-      health.services[1].status = 'unhealthy'; // Database service
-      health.status = 'degraded';
+    const supportTicketService = require('../services/supportTicketService');
+    const result = await supportTicketService.assignTicket(ticketId, agentId, adminId);
+    if (!result.success) {
+      const statusCodes = { TICKET_NOT_FOUND: 404, AGENT_NOT_FOUND: 404, TICKET_NOT_OPEN: 409 };
+      return res.status(statusCodes[result.error.code] || 400).json({
+        success: false,
+        error: result.error,
+        timestamp: new Date().toISOString()
+      });
     }
 
-    // Get metrics
-    const [
-      usersSnapshot,
-      driversSnapshot,
-      customersSnapshot,
-      activeBookingsSnapshot,
-      pendingVerificationsSnapshot,
-      openTicketsSnapshot,
-      activeAlertsSnapshot
-    ] = await Promise.all([
-      db.collection('users').get(),
-      db.collection('users').where('userType', '==', 'driver').get(),
-      db.collection('users').where('userType', '==', 'customer').get(),
-      db.collection('bookings').where('status', 'in', ['pending', 'accepted', 'in_progress']).get(),
-      db.collection('documentVerificationRequests').where('status', '==', 'pending').get(),
-      db.collection('supportTickets').where('status', 'in', ['open', 'in_progress']).get(),
+    res.json({
+      success: true,
+      message: 'Support ticket assigned successfully',
+      data: result.data,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error assigning support ticket:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ASSIGN_TICKET_ERROR',
+        message: 'Failed to assign support ticket',
+        details: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/support/tickets/:ticketId/evidence
+ * @desc    Ticket (or issue report) with the booking evidence captured when it was raised
+ * @access  Private (Admin only)
+ */
+router.get('/support/tickets/:ticketId/evidence', async (req, res) => {
+  try {
+    const { ticketId } = req.params;
+    const adminId = req.user.uid || req.user.userId;
+    const db = getFirestore();
+    const supportTicketService = require('../services/supportTicketService');
+    const supportEvidenceService = require('../services/supportEvidenceService');
+
+    const found = await supportTicketService.findTicket(ticketId);
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'TICKET_NOT_FOUND',
+          message: 'Support ticket not found'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const evidence = await supportEvidenceService.getEvidence(ticketId);
+
+    // Evidence includes the chat transcript and route trail of the booking
+    if (evidence) {
+      await db.collection('adminLogs').doc().set({
+        action: 'support_evidence_viewed',
+        adminId,
+        details: { ticketId, bookingId: evidence.bookingId, timestamp: new Date() },
+        timestamp: new Date()
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ticket: {
+          ...found.ticket,
+          createdAt: normalizeTimestamp(found.ticket.createdAt),
+          updatedAt: normalizeTimestamp(found.ticket.updatedAt)
+        },
+        evidence
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error fetching support ticket evidence:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_TICKET_EVIDENCE_ERROR',
+        message: 'Failed to fetch support ticket evidence',
+        details: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/support/tickets/:ticketId/evidence/refresh
+ * @desc    Re-capture the booking evidence of a ticket
+ * @access  Private (Admin only)
+ */
+router.post('/support/tickets/:ticketId/evidence/refresh', async (req, res) => {
+  try {
+    const { ticketId } = req.params;
+    const adminId = req.user.uid || req.user.userId;
+    const supportTicketService = require('../services/supportTicketService');
+
+    const result = await supportTicketService.refreshEvidence(ticketId, adminId);
+    if (!result.success) {
+      const statusCodes = { TICKET_NOT_FOUND: 404, BOOKING_NOT_FOUND: 404, NO_BOOKING_LINKED: 400 };
+      return res.status(statusCodes[result.error.code] || 500).json({
+        success: false,
+        error: result.error,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Booking evidence captured successfully',
+      data: result.data,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error refreshing support ticket evidence:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'REFRESH_TICKET_EVIDENCE_ERROR',
+        message: 'Failed to refresh support ticket evidence',
+        details: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/support/tickets/:ticketId/refund
+ * @desc    Refund the booking a ticket is about (to the wallet or the original source)
+ * @access  Private (Admin only)
+ */
+router.post('/support/tickets/:ticketId/refund', async (req, res) => {
+  try {
+    const { ticketId } = req.params;
+    const { amount, reason, refundTo = 'wallet' } = req.body;
+    const adminId = req.user.uid || req.user.userId;
+
+    if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0 || !reason || reason.trim().length < 5 ||
+        !['wallet', 'source'].includes(refundTo)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'A positive amount, a reason (min 5 characters) and refundTo of wallet or source are required'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const supportTicketService = require('../services/supportTicketService');
+    const result = await supportTicketService.refundFromTicket(ticketId, adminId, {
+      amount,
+      reason: reason.trim(),
+      refundTo
+    });
+
+    if (!result.success) {
+      const statusCodes = { TICKET_NOT_FOUND: 404, NO_BOOKING_LINKED: 400, NO_REFUNDABLE_PAYMENT: 409, REFUND_EXCEEDS_PAYMENT: 400, TICKET_ALREADY_REFUNDED: 409 };
+      return res.status(statusCodes[result.error.code] || 400).json({
+        success: false,
+        error: result.error,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      message: result.data.status === 'completed' ? 'Refund credited to wallet' : 'Refund initiated successfully',
+      data: result.data,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error refunding from support ticket:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'TICKET_REFUND_ERROR',
+        message: 'Failed to refund from support ticket',
+        details: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/support/tickets/:ticketId/wallet-adjustment
+ * @desc    Credit (positive amount) or debit (negative amount) the ticket customer's wallet
+ * @access  Private (Admin only)
+ */
+router.post('/support/tickets/:ticketId/wallet-adjustment', async (req, res) => {
+  try {
+    const { ticketId } = req.params;
+    const { amount, reason } = req.body;
+    const adminId = req.user.uid || req.user.userId;
+
+    if (typeof amount !== 'number' || !Number.isFinite(amount) || amount === 0 || !reason || reason.trim().length < 5) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'A non-zero numeric amount and a reason (min 5 characters) are required'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const idempotencyKey = getIdempotencyKey(req);
+    if (!idempotencyKey) {
+      return sendIdempotencyKeyRequired(res);
+    }
+
+    const supportTicketService = require('../services/supportTicketService');
+    const result = await supportTicketService.adjustWalletFromTicket(ticketId, adminId, {
+      amount,
+      reason: reason.trim(),
+      idempotencyKey
+    });
+
+    if (!result.success) {
+      const statusCodes = { TICKET_NOT_FOUND: 404, NO_CUSTOMER_LINKED: 400 };
+      return res.status(statusCodes[result.error.code] || 400).json({
+        success: false,
+        error: result.error,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Customer wallet adjusted successfully',
+      data: result.data,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error adjusting wallet from support ticket:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'TICKET_WALLET_ADJUSTMENT_ERROR',
+        message: 'Failed to adjust wallet from support ticket',
+        details: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/claims
+ * @desc    Claims adjudication queue, oldest first (open and approved-but-unsettled by default)
+ * @access  Private (Admin only)
+ */
+router.get('/claims', async (req, res) => {
+  try {
+    const { status, limit = 50 } = req.query;
+    const { CLAIM_STATUSES } = require('../constants/claims');
+
+    if (status && !Object.values(CLAIM_STATUSES).includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: `Status must be one of: ${Object.values(CLAIM_STATUSES).join(', ')}`
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const claimService = require('../services/claimService');
+    const claims = await claimService.listQueue({ status, limit: Math.min(parseInt(limit) || 50, 200) });
+
+    res.json({
+      success: true,
+      data: claims.map(claim => ({
+        ...claim,
+        createdAt: normalizeTimestamp(claim.createdAt),
+        updatedAt: normalizeTimestamp(claim.updatedAt),
+        filingDeadline: normalizeTimestamp(claim.filingDeadline)
+      })),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error getting claims queue:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'GET_CLAIMS_ERROR',
+        message: 'Failed to retrieve claims',
+        details: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/claims/:claimId
+ * @desc    Claim details with the booking's pickup/delivery photos and both parties' evidence
+ * @access  Private (Admin only)
+ */
+router.get('/claims/:claimId', async (req, res) => {
+  try {
+    const claimService = require('../services/claimService');
+    const result = await claimService.getClaimForUser(req.params.claimId);
+
+    if (!result.success) {
+      return res.status(404).json({
+        success: false,
+        error: result.error,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.data.claim,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error getting claim:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'GET_CLAIM_ERROR',
+        message: 'Failed to retrieve claim',
+        details: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/admin/claims/:claimId/status
+ * @desc    Take a claim into review, or ask the parties for more information
+ * @access  Private (Admin only)
+ */
+router.put('/claims/:claimId/status', async (req, res) => {
+  try {
+    const { claimId } = req.params;
+    const { status, note } = req.body;
+    const adminId = req.user.uid || req.user.userId;
+
+    const claimService = require('../services/claimService');
+    const result = await claimService.updateQueueStatus(claimId, status, adminId, note ? note.trim() : null);
+
+    if (!result.success) {
+      const statusCodes = { CLAIM_NOT_FOUND: 404, INVALID_TRANSITION: 409 };
+      return res.status(statusCodes[result.error.code] || 400).json({
+        success: false,
+        error: result.error,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    await getFirestore().collection('adminLogs').doc().set({
+      action: 'claim_status_updated',
+      adminId,
+      targetUserId: result.data.customerId,
+      details: { claimId, bookingId: result.data.bookingId, status, note: note || null, timestamp: new Date() },
+      timestamp: new Date()
+    });
+
+    res.json({
+      success: true,
+      message: `Claim moved to ${status}`,
+      data: { claimId, status: result.data.status },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error updating claim status:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'UPDATE_CLAIM_STATUS_ERROR',
+        message: 'Failed to update claim status',
+        details: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/claims/:claimId/decision
+ * @desc    Approve (with a customer refund and/or driver liability) or reject a claim; approvals settle immediately
+ * @access  Private (Admin only)
+ */
+router.post('/claims/:claimId/decision', async (req, res) => {
+  try {
+    const { claimId } = req.params;
+    const { decision, notes, refundAmount = 0, refundTo = 'wallet', driverLiabilityPoints = 0 } = req.body;
+    const adminId = req.user.uid || req.user.userId;
+
+    const isAmount = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+    if (!['approve', 'reject'].includes(decision) || !notes || notes.trim().length < 5 ||
+        !isAmount(refundAmount) || !isAmount(driverLiabilityPoints) || !['wallet', 'source'].includes(refundTo)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Decision (approve|reject), notes (min 5 characters), non-negative refundAmount/driverLiabilityPoints and refundTo of wallet or source are required'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const claimService = require('../services/claimService');
+    const result = await claimService.decide(claimId, adminId, {
+      decision,
+      notes: notes.trim(),
+      refundAmount,
+      refundTo,
+      driverLiabilityPoints: Math.round(driverLiabilityPoints)
+    });
+
+    await getFirestore().collection('adminLogs').doc().set({
+      action: 'claim_decided',
+      adminId,
+      details: {
+        claimId,
+        decision,
+        refundAmount,
+        refundTo,
+        driverLiabilityPoints,
+        settled: result.success && result.data.status === 'settled',
+        error: result.success ? null : result.error.code,
+        timestamp: new Date()
+      },
+      timestamp: new Date()
+    });
+
+    if (!result.success) {
+      const statusCodes = { CLAIM_NOT_FOUND: 404, INVALID_TRANSITION: 409, SETTLEMENT_INCOMPLETE: 502 };
+      return res.status(statusCodes[result.error.code] || 400).json({
+        success: false,
+        error: result.error,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      message: decision === 'approve' ? 'Claim approved and settled' : 'Claim rejected',
+      data: result.data,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error deciding claim:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'CLAIM_DECISION_ERROR',
+        message: 'Failed to record claim decision',
+        details: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/claims/:claimId/settle
+ * @desc    Retry the settlement of an approved claim whose refund or liability deduction failed
+ * @access  Private (Admin only)
+ */
+router.post('/claims/:claimId/settle', async (req, res) => {
+  try {
+    const { claimId } = req.params;
+    const adminId = req.user.uid || req.user.userId;
+
+    const claimService = require('../services/claimService');
+    const result = await claimService.settle(claimId, adminId);
+
+    if (!result.success) {
+      const statusCodes = { CLAIM_NOT_FOUND: 404, INVALID_STATUS: 409, SETTLEMENT_INCOMPLETE: 502 };
+      return res.status(statusCodes[result.error.code] || 400).json({
+        success: false,
+        error: result.error,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    await getFirestore().collection('adminLogs').doc().set({
+      action: 'claim_settled',
+      adminId,
+      targetUserId: result.data.customerId,
+      details: { claimId, bookingId: result.data.bookingId, settlement: result.data.settlement, timestamp: new Date() },
+      timestamp: new Date()
+    });
+
+    res.json({
+      success: true,
+      message: 'Claim settled successfully',
+      data: result.data,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error settling claim:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'CLAIM_SETTLE_ERROR',
+        message: 'Failed to settle claim',
+        details: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/ratings/moderation
+ * @desc    Rating comments held for moderation, oldest first
+ * @access  Private (Admin only)
+ */
+router.get('/ratings/moderation', async (req, res) => {
+  try {
+    const ratingService = require('../services/ratingService');
+    const ratings = await ratingService.listModerationQueue(Math.min(parseInt(req.query.limit) || 50, 200));
+
+    res.json({
+      success: true,
+      data: ratings.map(rating => ({
+        ...rating,
+        createdAt: normalizeTimestamp(rating.createdAt)
+      })),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error getting rating moderation queue:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'GET_RATING_MODERATION_ERROR',
+        message: 'Failed to retrieve rating moderation queue',
+        details: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/admin/ratings/:ratingId/moderation
+ * @desc    Publish (approve) or remove a held rating comment; the star rating is kept either way
+ * @access  Private (Admin only)
+ */
+router.put('/ratings/:ratingId/moderation', async (req, res) => {
+  try {
+    const { ratingId } = req.params;
+    const { action } = req.body;
+    const adminId = req.user.uid || req.user.userId;
+
+    if (!['approve', 'remove'].includes(action)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Action must be approve or remove'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const ratingService = require('../services/ratingService');
+    const result = await ratingService.moderate(ratingId, adminId, action);
+
+    if (!result.success) {
+      return res.status(404).json({
+        success: false,
+        error: result.error,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    await getFirestore().collection('adminLogs').doc().set({
+      action: 'rating_comment_moderated',
+      adminId,
+      details: { ratingId, bookingId: result.data.bookingId, decision: action, timestamp: new Date() },
+      timestamp: new Date()
+    });
+
+    res.json({
+      success: true,
+      message: action === 'approve' ? 'Comment published' : 'Comment removed',
+      data: result.data,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error moderating rating:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'RATING_MODERATION_ERROR',
+        message: 'Failed to moderate rating',
+        details: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/ratings/driver-reviews
+ * @desc    Drivers queued for review because of low ratings (open by default), oldest first
+ * @access  Private (Admin only)
+ */
+router.get('/ratings/driver-reviews', async (req, res) => {
+  try {
+    const { status = 'open', limit = 50 } = req.query;
+    const { DRIVER_REVIEW_STATUSES } = require('../constants/ratings');
+
+    if (!Object.values(DRIVER_REVIEW_STATUSES).includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: `Status must be one of: ${Object.values(DRIVER_REVIEW_STATUSES).join(', ')}`
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const ratingService = require('../services/ratingService');
+    const reviews = await ratingService.listDriverReviews(status, Math.min(parseInt(limit) || 50, 200));
+
+    res.json({
+      success: true,
+      data: reviews.map(review => ({
+        ...review,
+        createdAt: normalizeTimestamp(review.createdAt),
+        updatedAt: normalizeTimestamp(review.updatedAt)
+      })),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error getting driver rating reviews:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'GET_DRIVER_REVIEWS_ERROR',
+        message: 'Failed to retrieve driver rating reviews',
+        details: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/admin/ratings/driver-reviews/:reviewId
+ * @desc    Resolve a driver rating review
+ * @access  Private (Admin only)
+ */
+router.put('/ratings/driver-reviews/:reviewId', async (req, res) => {
+  try {
+    const { reviewId } = req.params;
+    const { resolution, notes } = req.body;
+    const adminId = req.user.uid || req.user.userId;
+    const { DRIVER_REVIEW_RESOLUTIONS } = require('../constants/ratings');
+
+    if (!DRIVER_REVIEW_RESOLUTIONS.includes(resolution) || !notes || notes.trim().length < 5) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: `Resolution (${DRIVER_REVIEW_RESOLUTIONS.join(', ')}) and notes (min 5 characters) are required`
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const ratingService = require('../services/ratingService');
+    const result = await ratingService.resolveDriverReview(reviewId, adminId, { resolution, notes: notes.trim() });
+
+    if (!result.success) {
+      const statusCodes = { REVIEW_NOT_FOUND: 404, REVIEW_CLOSED: 409 };
+      return res.status(statusCodes[result.error.code] || 400).json({
+        success: false,
+        error: result.error,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    await getFirestore().collection('adminLogs').doc().set({
+      action: 'driver_rating_review_resolved',
+      adminId,
+      targetUserId: result.data.driverId,
+      details: { reviewId, resolution, notes: notes.trim(), timestamp: new Date() },
+      timestamp: new Date()
+    });
+
+    res.json({
+      success: true,
+      message: 'Driver rating review resolved',
+      data: result.data,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error resolving driver rating review:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'RESOLVE_DRIVER_REVIEW_ERROR',
+        message: 'Failed to resolve driver rating review',
+        details: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/document-fraud-reviews
+ * @desc    Queue of document photos reused across drivers or document types
+ * @access  Private (Admin only)
+ */
+router.get('/document-fraud-reviews', async (req, res) => {
+  try {
+    const { status = 'open', limit = 50 } = req.query;
+    const { FRAUD_REVIEW_STATUSES } = require('../constants/documentImages');
+
+    if (!Object.values(FRAUD_REVIEW_STATUSES).includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: `Status must be one of: ${Object.values(FRAUD_REVIEW_STATUSES).join(', ')}`
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const documentImageCheckService = require('../services/documentImageCheckService');
+    const reviews = await documentImageCheckService.listFraudReviews(status, Math.min(parseInt(limit) || 50, 200));
+
+    res.json({
+      success: true,
+      data: reviews.map(review => ({
+        ...review,
+        createdAt: normalizeTimestamp(review.createdAt),
+        updatedAt: normalizeTimestamp(review.updatedAt)
+      })),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error getting document fraud reviews:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'GET_DOCUMENT_FRAUD_REVIEWS_ERROR',
+        message: 'Failed to retrieve document fraud reviews',
+        details: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/admin/document-fraud-reviews/:reviewId
+ * @desc    Resolve a document fraud review (dismiss, or reject the document)
+ * @access  Private (Admin only)
+ */
+router.put('/document-fraud-reviews/:reviewId', async (req, res) => {
+  try {
+    const { reviewId } = req.params;
+    const { resolution, notes } = req.body;
+    const adminId = req.user.uid || req.user.userId;
+    const { FRAUD_REVIEW_RESOLUTIONS } = require('../constants/documentImages');
+
+    if (!FRAUD_REVIEW_RESOLUTIONS.includes(resolution) || !notes || notes.trim().length < 5) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: `Resolution (${FRAUD_REVIEW_RESOLUTIONS.join(', ')}) and notes (min 5 characters) are required`
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const documentImageCheckService = require('../services/documentImageCheckService');
+    const result = await documentImageCheckService.resolveFraudReview(reviewId, adminId, { resolution, notes: notes.trim() });
+
+    if (!result.success) {
+      const statusCodes = { REVIEW_NOT_FOUND: 404, REVIEW_CLOSED: 409, VERIFICATION_FAILED: 500 };
+      return res.status(statusCodes[result.error.code] || 400).json({
+        success: false,
+        error: result.error,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    await getFirestore().collection('adminLogs').doc().set({
+      action: 'document_fraud_review_resolved',
+      adminId,
+      targetUserId: result.data.driverId,
+      details: { reviewId, resolution, documentType: result.data.documentType, notes: notes.trim(), timestamp: new Date() },
+      timestamp: new Date()
+    });
+
+    res.json({
+      success: true,
+      message: 'Document fraud review resolved',
+      data: result.data,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error resolving document fraud review:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'RESOLVE_DOCUMENT_FRAUD_REVIEW_ERROR',
+        message: 'Failed to resolve document fraud review',
+        details: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/package-photo-reviews
+ * @desc    Queue of deliveries whose dropoff photo does not match the pickup photo
+ * @access  Private (Admin only)
+ */
+router.get('/package-photo-reviews', async (req, res) => {
+  try {
+    const { status = 'open', limit = 50 } = req.query;
+    const { PACKAGE_PHOTO_REVIEW_STATUSES } = require('../constants/packagePhotos');
+
+    if (!Object.values(PACKAGE_PHOTO_REVIEW_STATUSES).includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: `Status must be one of: ${Object.values(PACKAGE_PHOTO_REVIEW_STATUSES).join(', ')}`
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const packagePhotoComparisonService = require('../services/packagePhotoComparisonService');
+    const reviews = await packagePhotoComparisonService.listReviews(status, Math.min(parseInt(limit) || 50, 200));
+
+    res.json({
+      success: true,
+      data: reviews.map(review => ({
+        ...review,
+        comparedAt: normalizeTimestamp(review.comparedAt),
+        updatedAt: normalizeTimestamp(review.updatedAt)
+      })),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error getting package photo reviews:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'GET_PACKAGE_PHOTO_REVIEWS_ERROR',
+        message: 'Failed to retrieve package photo reviews',
+        details: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/admin/package-photo-reviews/:bookingId
+ * @desc    Resolve a package photo review
+ * @access  Private (Admin only)
+ */
+router.put('/package-photo-reviews/:bookingId', async (req, res) => {
+  try {
+    const { bookingId } = req.params;
+    const { resolution, notes } = req.body;
+    const adminId = req.user.uid || req.user.userId;
+    const { PACKAGE_PHOTO_REVIEW_RESOLUTIONS } = require('../constants/packagePhotos');
+
+    if (!PACKAGE_PHOTO_REVIEW_RESOLUTIONS.includes(resolution) || !notes || notes.trim().length < 5) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: `Resolution (${PACKAGE_PHOTO_REVIEW_RESOLUTIONS.join(', ')}) and notes (min 5 characters) are required`
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const packagePhotoComparisonService = require('../services/packagePhotoComparisonService');
+    const result = await packagePhotoComparisonService.resolveReview(bookingId, adminId, { resolution, notes: notes.trim() });
+
+    if (!result.success) {
+      const statusCodes = { REVIEW_NOT_FOUND: 404, REVIEW_CLOSED: 409 };
+      return res.status(statusCodes[result.error.code] || 400).json({
+        success: false,
+        error: result.error,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    await getFirestore().collection('adminLogs').doc().set({
+      action: 'package_photo_review_resolved',
+      adminId,
+      targetUserId: result.data.driverId,
+      details: { bookingId, resolution, matchScore: result.data.matchScore, notes: notes.trim(), timestamp: new Date() },
+      timestamp: new Date()
+    });
+
+    res.json({
+      success: true,
+      message: 'Package photo review resolved',
+      data: result.data,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error resolving package photo review:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'RESOLVE_PACKAGE_PHOTO_REVIEW_ERROR',
+        message: 'Failed to resolve package photo review',
+        details: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/rate-limits
+ * @desc    Inspect the rate limit buckets of a user or IP (?userId= or ?ip=)
+ * @access  Private (Admin only)
+ */
+router.get('/rate-limits', async (req, res) => {
+  try {
+    const subject = getRateLimitSubject(req.query);
+    if (!subject) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Exactly one of userId or ip is required'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const rateLimitService = require('../services/rateLimitService');
+    const buckets = await rateLimitService.inspect(subject);
+
+    res.json({
+      success: true,
+      data: {
+        subject,
+        store: rateLimitService.store.name,
+        buckets: buckets.map(bucket => ({
+          ...bucket,
+          resetTime: normalizeTimestamp(bucket.resetTime)
+        }))
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error inspecting rate limits:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'GET_RATE_LIMITS_ERROR',
+        message: 'Failed to retrieve rate limit buckets',
+        details: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/admin/rate-limits
+ * @desc    Reset the rate limit buckets of a user or IP (all policies, or ?policy=)
+ * @access  Private (Admin only)
+ */
+router.delete('/rate-limits', async (req, res) => {
+  try {
+    const subject = getRateLimitSubject(req.query);
+    const { policy } = req.query;
+    const { RATE_LIMIT_POLICIES } = require('../constants/rateLimitPolicies');
+
+    if (!subject || (policy !== undefined && !RATE_LIMIT_POLICIES[policy])) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: `Exactly one of userId or ip is required; policy must be one of: ${Object.keys(RATE_LIMIT_POLICIES).join(', ')}`
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const rateLimitService = require('../services/rateLimitService');
+    const policies = await rateLimitService.reset(subject, policy || null);
+    const adminId = req.user.uid || req.user.userId;
+
+    await getFirestore().collection('adminLogs').doc().set({
+      action: 'rate_limit_reset',
+      adminId,
+      targetUserId: req.query.userId || null,
+      details: { subject, policies, store: rateLimitService.store.name, timestamp: new Date() },
+      timestamp: new Date()
+    });
+
+    res.json({
+      success: true,
+      message: 'Rate limit buckets reset',
+      data: { subject, policies },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error resetting rate limits:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'RESET_RATE_LIMITS_ERROR',
+        message: 'Failed to reset rate limit buckets',
+        details: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/system/health
+ * @desc    Get detailed system health information
+ * @access  Private (Admin only)
+ */
+router.get('/system/health', async (req, res) => {
+  try {
+    const db = getFirestore();
+    
+    // Get system health metrics
+    const health = {
+      status: 'healthy',
+      uptime: process.uptime(),
+      memory: process.memoryUsage(),
+      timestamp: new Date().toISOString(),
+      services: [
+        { name: 'API', status: 'healthy', lastCheck: new Date().toISOString() },
+        { name: 'Database', status: 'healthy', lastCheck: new Date().toISOString() },
+        { name: 'WebSocket', status: 'healthy', lastCheck: new Date().toISOString() },
+        { name: 'Firebase', status: 'healthy', lastCheck: new Date().toISOString() }
+      ],
+      metrics: {
+        totalUsers: 0,
+        totalDrivers: 0,
+        totalCustomers: 0,
+        activeBookings: 0,
+        pendingVerifications: 0,
+        openSupportTickets: 0,
+        activeEmergencyAlerts: 0
+      },
+      // Add SystemMetrics structure for frontend compatibility
+      systemMetrics: {
+        timestamp: new Date().toISOString(),
+        server: {
+          cpu: Math.round(Math.random() * 30 + 20), // Simulate CPU usage between 20-50%
+          memory: Math.round(process.memoryUsage().heapUsed / 1024 / 1024), // MB
+          disk: Math.round(Math.random() * 20 + 10), // Simulate disk usage between 10-30%
+          uptime: process.uptime()
+        },
+        database: {
+          connections: Math.round(Math.random() * 10 + 5), // Simulate 5-15 connections
+          responseTime: Math.round(Math.random() * 50 + 10), // Simulate 10-60ms response time
+          queries: Math.round(Math.random() * 100 + 50) // Simulate 50-150 queries
+        },
+        api: {
+          requests: Math.round(Math.random() * 1000 + 500), // Simulate 500-1500 requests
+          responseTime: Math.round(Math.random() * 100 + 50), // Simulate 50-150ms response time
+          errorRate: Math.round(Math.random() * 2) // Simulate 0-2% error rate
+        },
+        websocket: {
+          connections: Math.round(Math.random() * 20 + 5), // Simulate 5-25 connections
+          messages: Math.round(Math.random() * 500 + 100) // Simulate 100-600 messages
+        },
+        users: {
+          online: Math.round(Math.random() * 50 + 10), // Simulate 10-60 online users
+          active: Math.round(Math.random() * 30 + 5) // Simulate 5-35 active users
+        }
+      }
+    };
+
+    // Test database connectivity
+    try {
+      await db.collection('users').limit(1).get();
+      health.services[1].status = 'healthy'; // Database service
+    } catch {
+      health.services[1].status = 'unhealthy'; // Database service
+      health.status = 'degraded';
+    }
+
+    // Get metrics
+    const [
+      usersSnapshot,
+      driversSnapshot,
+      customersSnapshot,
+      activeBookingsSnapshot,
+      pendingVerificationsSnapshot,
+      openTicketsSnapshot,
+      activeAlertsSnapshot
+    ] = await Promise.all([
+      db.collection('users').get(),
+      db.collection('users').where('userType', '==', 'driver').get(),
+      db.collection('users').where('userType', '==', 'customer').get(),
+      db.collection('bookings').where('status', 'in', ['pending', 'accepted', 'in_progress']).get(),
+      db.collection('documentVerificationRequests').where('status', '==', 'pending').get(),
+      db.collection('supportTickets').where('status', 'in', ['open', 'in_progress']).get(),
       db.collection('emergencyAlerts').where('status', '==', 'active').get()
     ]);
 
@@ -4036,13 +5426,19 @@ router.get('/settings', async (req, res) => {
     const adminId = req.user.uid || req.user.userId;
     
     // Get admin settings from database
-    const settingsDoc = await db.collection('adminSettings').doc(adminId).get();
+    const surgePricingService = require('../services/surgePricingService');
+    const dispatchStrategyService = require('../services/dispatchStrategyService');
+    const [settingsDoc, surge, dispatch] = await Promise.all([
+      db.collection('adminSettings').doc(adminId).get(),
+      surgePricingService.getSettings(true),
+      dispatchStrategyService.getSettings(true)
+    ]);
     
     if (settingsDoc.exists) {
       const settings = settingsDoc.data();
       res.json({
         success: true,
-        data: settings,
+        data: { ...settings, surge, dispatch }, // Surge and dispatch settings are platform-wide, not per admin
         timestamp: new Date().toISOString()
       });
     } else {
@@ -4064,7 +5460,7 @@ router.get('/settings', async (req, res) => {
       
       res.json({
         success: true,
-        data: defaultSettings,
+        data: { ...defaultSettings, surge, dispatch },
         timestamp: new Date().toISOString()
       });
     }
@@ -4105,12 +5501,57 @@ router.put('/settings', async (req, res) => {
     
     filteredSettings.updatedAt = new Date();
     
+    // Platform-wide dispatch strategy (sequential / broadcast waves, time-of-day rules)
+    const dispatchStrategyService = require('../services/dispatchStrategyService');
+    const hasDispatchUpdate = Boolean(settings.dispatch && typeof settings.dispatch === 'object');
+    if (hasDispatchUpdate) {
+      const dispatchErrors = dispatchStrategyService.validateSettings(settings.dispatch);
+      if (dispatchErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_DISPATCH_SETTINGS',
+            message: 'Invalid dispatch settings',
+            details: dispatchErrors
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+
+    // Platform-wide surge kill-switch and caps (validated before anything is written)
+    let surge;
+    if (settings.surge && typeof settings.surge === 'object') {
+      const surgePricingService = require('../services/surgePricingService');
+      const surgeErrors = surgePricingService.validateSettings(settings.surge);
+      if (surgeErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_SURGE_SETTINGS',
+            message: 'Invalid surge settings',
+            details: surgeErrors
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+      surge = await surgePricingService.updateSettings(settings.surge, adminId);
+    }
+
+    const dispatch = hasDispatchUpdate
+      ? await dispatchStrategyService.updateSettings(settings.dispatch, adminId)
+      : null;
+    
     // Update settings in database
     await db.collection('adminSettings').doc(adminId).set(filteredSettings, { merge: true });
     
     res.json({
       success: true,
-      data: filteredSettings,
+      data: {
+        ...filteredSettings,
+        ...(surge ? { surge } : {}),
+        ...(dispatch ? { dispatch } : {})
+      },
       message: 'Settings updated successfully',
       timestamp: new Date().toISOString()
     });
@@ -4128,6 +5569,230 @@ router.put('/settings', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/admin/pricing-plans
+ * @desc    List all versioned pricing plans and the currently active one
+ * @access  Private (Admin only)
+ */
+router.get('/pricing-plans', async (req, res) => {
+  try {
+    const pricingPlanService = require('../services/pricingPlanService');
+    const [plans, activePlan] = await Promise.all([
+      pricingPlanService.listPlans(),
+      pricingPlanService.getActivePlan({ forceRefresh: true })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        plans,
+        activePlan: pricingPlanService.serializePlan(activePlan)
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching pricing plans:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_PRICING_PLANS_ERROR',
+        message: 'Failed to fetch pricing plans',
+        details: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/pricing-plans
+ * @desc    Create a new pricing plan version (plans are immutable once created)
+ * @access  Private (Admin only)
+ */
+router.post('/pricing-plans', async (req, res) => {
+  try {
+    const pricingPlanService = require('../services/pricingPlanService');
+    const errors = pricingPlanService.validatePlan(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_PRICING_PLAN',
+          message: 'Invalid pricing plan',
+          details: errors
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const plan = await pricingPlanService.createPlan(req.body, req.user.uid || req.user.userId);
+
+    res.status(201).json({
+      success: true,
+      data: plan,
+      message: `Pricing plan v${plan.version} created`,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error creating pricing plan:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'CREATE_PRICING_PLAN_ERROR',
+        message: 'Failed to create pricing plan',
+        details: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/admin/pricing-plans/:version/status
+ * @desc    Activate or retire a pricing plan version
+ * @access  Private (Admin only)
+ */
+router.put('/pricing-plans/:version/status', async (req, res) => {
+  try {
+    const pricingPlanService = require('../services/pricingPlanService');
+    const { status, effectiveUntil } = req.body;
+
+    const plan = await pricingPlanService.updatePlanStatus(
+      req.params.version,
+      { status, effectiveUntil },
+      req.user.uid || req.user.userId
+    );
+
+    res.json({
+      success: true,
+      data: plan,
+      message: `Pricing plan v${plan.version} updated`,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error updating pricing plan:', error);
+    const isNotFound = error.message.includes('not found');
+    res.status(isNotFound ? 404 : 400).json({
+      success: false,
+      error: {
+        code: isNotFound ? 'PRICING_PLAN_NOT_FOUND' : 'UPDATE_PRICING_PLAN_ERROR',
+        message: 'Failed to update pricing plan',
+        details: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/service-areas
+ * @desc    List service area zones (enabled and disabled)
+ * @access  Private (Admin only)
+ */
+router.get('/service-areas', async (req, res) => {
+  try {
+    const serviceAreaService = require('../services/serviceAreaService');
+    const zones = await serviceAreaService.listZones();
+
+    res.json({
+      success: true,
+      data: zones,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching service areas:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_SERVICE_AREAS_ERROR',
+        message: 'Failed to fetch service areas',
+        details: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/service-areas
+ * @desc    Create a service area zone (GeoJSON polygon, pricing plan, operating hours)
+ * @access  Private (Admin only)
+ */
+router.post('/service-areas', async (req, res) => {
+  try {
+    const serviceAreaService = require('../services/serviceAreaService');
+    const errors = serviceAreaService.validateZone(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_SERVICE_AREA',
+          message: 'Invalid service area',
+          details: errors
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const zone = await serviceAreaService.createZone(req.body, req.user.uid || req.user.userId);
+
+    res.status(201).json({
+      success: true,
+      data: zone,
+      message: `Service area ${zone.name} created`,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error creating service area:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'CREATE_SERVICE_AREA_ERROR',
+        message: 'Failed to create service area',
+        details: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/admin/service-areas/:id
+ * @desc    Update a service area zone (e.g. enable it, change its polygon or hours)
+ * @access  Private (Admin only)
+ */
+router.put('/service-areas/:id', async (req, res) => {
+  try {
+    const serviceAreaService = require('../services/serviceAreaService');
+    const { name, geometry, enabled, pricingPlanVersion, operatingHours, dispatchStrategy, priority } = req.body;
+    const changes = Object.fromEntries(
+      Object.entries({ name, geometry, enabled, pricingPlanVersion, operatingHours, dispatchStrategy, priority })
+        .filter(([, value]) => value !== undefined)
+    );
+
+    const zone = await serviceAreaService.updateZone(req.params.id, changes, req.user.uid || req.user.userId);
+
+    res.json({
+      success: true,
+      data: zone,
+      message: `Service area ${zone.name} updated`,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error updating service area:', error);
+    const isNotFound = error.message.includes('not found');
+    res.status(isNotFound ? 404 : 400).json({
+      success: false,
+      error: {
+        code: isNotFound ? 'SERVICE_AREA_NOT_FOUND' : 'UPDATE_SERVICE_AREA_ERROR',
+        message: 'Failed to update service area',
+        details: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 /**
  * @route   POST /api/admin/system/backup
  * @desc    Create system backup
@@ -4909,6 +6574,8 @@ router.get('/analytics/support', async (req, res) => {
       .get();
 
     const supportTickets = supportSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    const supportTicketService = require('../services/supportTicketService');
+    const slaAnalytics = await supportTicketService.getSlaAnalytics(start, end);
 
     // Calculate support metrics
     const totalTickets = supportTickets.length;
@@ -4944,10 +6611,13 @@ router.get('/analytics/support', async (req, res) => {
         averageResolutionTime: Math.round(averageResolutionTime * 100) / 100,
         ticketCategories,
         priorityDistribution: {
+          urgent: supportTickets.filter(t => t.priority === 'urgent').length,
           high: supportTickets.filter(t => t.priority === 'high').length,
           medium: supportTickets.filter(t => t.priority === 'medium').length,
           low: supportTickets.filter(t => t.priority === 'low').length
-        }
+        },
+        // SLA compliance, current backlog age and per-agent throughput
+        ...slaAnalytics
       }
     });
 
@@ -5824,22 +7494,147 @@ router.get('/customers/:id/bookings', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Error fetching customer bookings:', error);
+    console.error('Error fetching customer bookings:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_CUSTOMER_BOOKINGS_ERROR',
+        message: 'Failed to fetch customer bookings',
+        details: error.message
+      }
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/customers/:id/wallet
+ * @desc    Customer wallet balance and recent transactions
+ * @access  Private (Admin only)
+ */
+router.get('/customers/:id/wallet', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { limit = 50, type } = req.query;
+    const customerWalletService = require('../services/customerWalletService');
+
+    const [wallet, transactions] = await Promise.all([
+      customerWalletService.getWallet(id),
+      customerWalletService.getTransactions(id, { limit, type })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        wallet,
+        transactions
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error fetching customer wallet:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_CUSTOMER_WALLET_ERROR',
+        message: 'Failed to fetch customer wallet',
+        details: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/customers/:id/wallet/adjust
+ * @desc    Credit (positive amount) or debit (negative amount) a customer wallet
+ * @access  Private (Admin only)
+ */
+router.post('/customers/:id/wallet/adjust', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { amount, reason } = req.body;
+    const adminId = req.user.uid || req.user.userId;
+    const db = getFirestore();
+
+    if (typeof amount !== 'number' || !Number.isFinite(amount) || amount === 0 || !reason || reason.trim().length < 5) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'A non-zero numeric amount and a reason (min 5 characters) are required'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const idempotencyKey = getIdempotencyKey(req);
+    if (!idempotencyKey) {
+      return sendIdempotencyKeyRequired(res);
+    }
+
+    const customerDoc = await db.collection('users').doc(id).get();
+    if (!customerDoc.exists || customerDoc.data().userType !== 'customer') {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'CUSTOMER_NOT_FOUND',
+          message: 'Customer not found'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const customerWalletService = require('../services/customerWalletService');
+    const result = await customerWalletService.adjustBalance(id, amount, reason.trim(), adminId, idempotencyKey);
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        error: result.error,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // A retried request was logged the first time
+    if (!result.data.alreadyProcessed) {
+      await db.collection('adminLogs').doc().set({
+        action: 'customer_wallet_adjusted',
+        adminId,
+        targetUserId: id,
+        targetUserType: 'customer',
+        details: {
+          amount,
+          reason: reason.trim(),
+          transactionId: result.data.transactionId,
+          newBalance: result.data.balance,
+          timestamp: new Date()
+        },
+        timestamp: new Date()
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Customer wallet adjusted successfully',
+      data: result.data,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error adjusting customer wallet:', error);
     res.status(500).json({
       success: false,
       error: {
-        code: 'FETCH_CUSTOMER_BOOKINGS_ERROR',
-        message: 'Failed to fetch customer bookings',
+        code: 'ADJUST_CUSTOMER_WALLET_ERROR',
+        message: 'Failed to adjust customer wallet',
         details: error.message
-      }
+      },
+      timestamp: new Date().toISOString()
     });
   }
 });
 
-// Wallet endpoints removed - no wallet system for customers
-
-// Wallet adjustment endpoint removed - no wallet system for customers
-
 /**
  * @route   PUT /api/admin/customers/:id/name
  * @desc    Update customer name
@@ -6877,6 +8672,90 @@ router.get('/test-document-system/:driverId', async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/admin/bookings/:id/delivery-otp/override
+ * @desc    Override the proof-of-delivery handshake for a booking stop (e.g. OTP locked, recipient unreachable)
+ * @access  Private (Admin only)
+ */
+router.post('/bookings/:id/delivery-otp/override', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+    const stopIndex = req.body.stopIndex !== undefined ? parseInt(req.body.stopIndex) : 0;
+
+    if (!reason || typeof reason !== 'string' || reason.trim().length < 5) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'A reason of at least 5 characters is required'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (!Number.isInteger(stopIndex) || stopIndex < 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Stop index must be a non-negative integer'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const deliveryOtpService = require('../services/deliveryOtpService');
+    const result = await deliveryOtpService.adminOverride({
+      bookingId: id,
+      stopIndex,
+      adminId: req.user.uid,
+      reason: reason.trim()
+    });
+
+    if (!result.success) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'DELIVERY_OTP_OVERRIDE_FAILED',
+          message: result.message
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    await getFirestore().collection('adminLogs').doc().set({
+      action: 'delivery_otp_override',
+      adminId: req.user.uid,
+      targetBookingId: id,
+      details: {
+        bookingId: id,
+        stopIndex,
+        reason: reason.trim()
+      },
+      timestamp: new Date()
+    });
+
+    res.json({
+      success: true,
+      message: result.message,
+      data: { bookingId: id, stopIndex },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error overriding delivery OTP:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DELIVERY_OTP_OVERRIDE_ERROR',
+        message: 'Failed to override delivery OTP',
+        details: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 /**
  * @route   POST /api/admin/bookings/:id/intervene
  * @desc    Admin intervention in booking (cancel, reassign, etc.)
@@ -7676,4 +9555,295 @@ router.get('/wallet/verify-payment/:transactionId', requireAdmin, async (req, re
   }
 });
 
+/**
+ * @route   GET /api/admin/payouts/batches
+ * @desc    List driver payout batches (newest first)
+ * @access  Private (Admin only)
+ */
+router.get('/payouts/batches', requireAdmin, async (req, res) => {
+  try {
+    const { limit = 20, status } = req.query;
+    const db = getFirestore();
+    const { DRIVER_SETTLEMENT_COLLECTIONS } = require('../constants/driverSettlement');
+
+    let query = db.collection(DRIVER_SETTLEMENT_COLLECTIONS.BATCHES);
+    if (status) {
+      query = query.where('status', '==', status);
+    }
+
+    const snapshot = await query
+      .orderBy('createdAt', 'desc')
+      .limit(Math.max(1, Math.min(100, parseInt(limit) || 20)))
+      .get();
+
+    // Payout account numbers stay out of list views; see the CSV export
+    const batches = snapshot.docs.map(doc => {
+      const { payouts = [], ...batch } = doc.data();
+      return {
+        ...batch,
+        payoutCount: payouts.length,
+        createdAt: batch.createdAt?.toDate?.() || batch.createdAt,
+        settledAt: batch.settledAt?.toDate?.() || batch.settledAt || null
+      };
+    });
+
+    res.json({
+      success: true,
+      data: batches,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error listing payout batches:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'PAYOUT_BATCHES_ERROR',
+        message: 'Failed to list payout batches',
+        details: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/payouts/batches
+ * @desc    Create the payout batch for the last closed cycle now (the scheduler does this too)
+ * @access  Private (Admin only)
+ */
+router.post('/payouts/batches', requireAdmin, async (req, res) => {
+  try {
+    const driverSettlementService = require('../services/driverSettlementService');
+    const result = await driverSettlementService.createBatchForClosedCycle({
+      createdBy: req.user.uid || req.user.userId
+    });
+
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        error: {
+          code: 'PAYOUT_BATCH_CREATION_ERROR',
+          message: 'Failed to create payout batch',
+          details: result.error
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (result.alreadyExists) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'PAYOUT_BATCH_EXISTS',
+          message: 'A payout batch already exists for the last closed cycle'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Payout batch created',
+      data: {
+        id: result.data.id,
+        driverCount: result.data.driverCount,
+        totalAmount: result.data.totalAmount,
+        heldDrivers: result.data.heldDrivers
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error creating payout batch:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'PAYOUT_BATCH_CREATION_ERROR',
+        message: 'Failed to create payout batch',
+        details: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/payouts/batches/:id
+ * @desc    Get a payout batch with per-driver payouts (account numbers are stored masked)
+ * @access  Private (Admin only)
+ */
+router.get('/payouts/batches/:id', requireAdmin, async (req, res) => {
+  try {
+    const db = getFirestore();
+    const { DRIVER_SETTLEMENT_COLLECTIONS } = require('../constants/driverSettlement');
+
+    const batchDoc = await db.collection(DRIVER_SETTLEMENT_COLLECTIONS.BATCHES).doc(req.params.id).get();
+    if (!batchDoc.exists) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'PAYOUT_BATCH_NOT_FOUND',
+          message: 'Payout batch not found'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const batch = batchDoc.data();
+
+    res.json({
+      success: true,
+      data: {
+        ...batch,
+        createdAt: batch.createdAt?.toDate?.() || batch.createdAt,
+        settledAt: batch.settledAt?.toDate?.() || batch.settledAt || null
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error fetching payout batch:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'PAYOUT_BATCH_ERROR',
+        message: 'Failed to fetch payout batch',
+        details: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/payouts/batches/:id/export
+ * @desc    Download a payout batch as a bank bulk-upload CSV
+ * @access  Private (Admin only)
+ */
+router.get('/payouts/batches/:id/export', requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const adminId = req.user.uid || req.user.userId;
+    const db = getFirestore();
+    const driverSettlementService = require('../services/driverSettlementService');
+    const { DRIVER_SETTLEMENT_COLLECTIONS } = require('../constants/driverSettlement');
+
+    const batchDoc = await db.collection(DRIVER_SETTLEMENT_COLLECTIONS.BATCHES).doc(id).get();
+    if (!batchDoc.exists || !Array.isArray(batchDoc.data().payouts)) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'PAYOUT_BATCH_NOT_FOUND',
+          message: 'Payout batch not found'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const csv = await driverSettlementService.buildBankCsv({ id, ...batchDoc.data() });
+
+    // Exports contain full account numbers
+    await db.collection('adminLogs').doc().set({
+      action: 'payout_batch_exported',
+      adminId,
+      details: { batchId: id, timestamp: new Date() },
+      timestamp: new Date()
+    });
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${id}.csv"`);
+    res.status(200).send(csv);
+
+  } catch (error) {
+    console.error('Error exporting payout batch:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'PAYOUT_BATCH_EXPORT_ERROR',
+        message: 'Failed to export payout batch',
+        details: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/payouts/batches/:id/settle
+ * @desc    Mark a payout batch paid; listed failedDriverIds go back to pending
+ * @access  Private (Admin only)
+ */
+router.post('/payouts/batches/:id/settle', requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { bankReference, failedDriverIds = [] } = req.body;
+    const adminId = req.user.uid || req.user.userId;
+    const db = getFirestore();
+
+    if (!Array.isArray(failedDriverIds)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'failedDriverIds must be an array'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const driverSettlementService = require('../services/driverSettlementService');
+    const result = await driverSettlementService.settleBatch(id, {
+      bankReference: bankReference || null,
+      failedDriverIds,
+      settledBy: adminId
+    });
+
+    if (!result.success) {
+      return res.status(result.error.code === 'PAYOUT_BATCH_NOT_FOUND' ? 404 : 400).json({
+        success: false,
+        error: result.error,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    await db.collection('adminLogs').doc().set({
+      action: 'payout_batch_settled',
+      adminId,
+      details: {
+        batchId: id,
+        bankReference: bankReference || null,
+        settledAmount: result.data.settledAmount,
+        failedDriverIds,
+        timestamp: new Date()
+      },
+      timestamp: new Date()
+    });
+
+    res.json({
+      success: true,
+      message: 'Payout batch settled',
+      data: {
+        id,
+        status: result.data.status,
+        settledAmount: result.data.settledAmount,
+        failedDriverIds
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error settling payout batch:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'PAYOUT_BATCH_SETTLE_ERROR',
+        message: 'Failed to settle payout batch',
+        details: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 module.exports = router;
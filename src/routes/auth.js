@@ -1,15 +1,12 @@
 const express = require('express');
 const axios = require('axios');
-const { 
-  firebaseTokenVerifyLimiter, 
-  createProgressiveSlowDown 
-} = require('../middleware/smartRateLimit');
+const { createPolicyLimiter, createPolicySlowDown } = require('../middleware/rateLimit');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { getFirestore } = require('../services/firebase');
 const router = express.Router();
 
-// ✅ CRITICAL FIX: Use smart rate limiter for Firebase token verification
-// This handles multiple users properly with user-specific and IP-based limiting
+// Firebase token verification is limited per user (uid of the ID token, IP
+// otherwise) by the firebaseTokenVerify policies in the shared rate limit store
 
 /**
  * Check if phone number exists in the system
@@ -337,12 +334,7 @@ router.post('/verify-recaptcha', async (req, res) => {
  * Verify Firebase ID token and exchange for backend JWT
  * POST /api/auth/firebase/verify-token
  */
-router.post('/firebase/verify-token', firebaseTokenVerifyLimiter, createProgressiveSlowDown({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  delayAfter: 20, // Start slowing after 20 attempts
-  delayMs: 100, // Initial delay
-  maxDelayMs: 2000, // Maximum delay
-}), async (req, res) => {
+router.post('/firebase/verify-token', createPolicyLimiter('firebaseTokenVerify'), createPolicySlowDown('firebaseTokenVerifySlowDown'), async (req, res) => {
   try {
     const { idToken, userType, name } = req.body;
 
@@ -4,9 +4,10 @@ const bookingService = require('../services/bookingService');
 // const driverAssignmentService = require('../services/driverAssignmentService'); // Commented out - only used in commented code
 const { getSocketIO, getEventHandler } = require('../services/socket');
 const { requireRole, requireCustomer, requireDriver } = require('../middleware/auth');
-const { userRateLimit } = require('../middleware/auth');
+const { createPolicyLimiter } = require('../middleware/rateLimit');
 const { getFirestore } = require('../services/firebase');
 const { requireOwnership } = require('../middleware/auth');
+const { MAX_DROPOFF_STOPS, getRouteCoordinates } = require('../utils/bookingStops');
 
 const router = express.Router();
 
@@ -17,7 +18,7 @@ const router = express.Router();
  */
 router.post('/', [
   requireCustomer,
-  userRateLimit(3, 5 * 60 * 1000), // 3 attempts per 5 minutes
+  createPolicyLimiter('bookingCreate'), // 3 attempts per 5 minutes
   body('pickup.name')
     .isLength({ min: 2, max: 50 })
     .withMessage('Pickup name must be between 2 and 50 characters'),
@@ -33,21 +34,46 @@ router.post('/', [
   body('pickup.coordinates.longitude')
     .isFloat({ min: -180, max: 180 })
     .withMessage('Pickup longitude must be between -180 and 180'),
+  // dropoff is optional when an ordered `stops` list is sent (multi-stop delivery)
   body('dropoff.name')
+    .if(body('stops').not().exists())
     .isLength({ min: 2, max: 50 })
     .withMessage('Dropoff name must be between 2 and 50 characters'),
   body('dropoff.phone')
+    .if(body('stops').not().exists())
     .matches(/^(\+91|91)?[\s]?[6-9]\d{4}[\s]?\d{5}$/)
     .withMessage('Please provide a valid Indian phone number for dropoff'),
   body('dropoff.address')
+    .if(body('stops').not().exists())
     .isLength({ min: 10, max: 200 })
     .withMessage('Dropoff address must be between 10 and 200 characters'),
   body('dropoff.coordinates.latitude')
+    .if(body('stops').not().exists())
     .isFloat({ min: -90, max: 90 })
     .withMessage('Dropoff latitude must be between -90 and 90'),
   body('dropoff.coordinates.longitude')
+    .if(body('stops').not().exists())
     .isFloat({ min: -180, max: 180 })
     .withMessage('Dropoff longitude must be between -180 and 180'),
+  body('stops')
+    .optional()
+    .isArray({ min: 1, max: MAX_DROPOFF_STOPS })
+    .withMessage(`Stops must be a list of 1 to ${MAX_DROPOFF_STOPS} drop-off locations`),
+  body('stops.*.name')
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Stop recipient name must be between 2 and 50 characters'),
+  body('stops.*.phone')
+    .matches(/^(\+91|91)?[\s]?[6-9]\d{4}[\s]?\d{5}$/)
+    .withMessage('Please provide a valid Indian phone number for each stop'),
+  body('stops.*.address')
+    .isLength({ min: 10, max: 200 })
+    .withMessage('Stop address must be between 10 and 200 characters'),
+  body('stops.*.coordinates.latitude')
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Stop latitude must be between -90 and 90'),
+  body('stops.*.coordinates.longitude')
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Stop longitude must be between -180 and 180'),
   body('package.weight')
     .isFloat({ min: 0.1, max: 50 })
     .withMessage('Package weight must be between 0.1 and 50 kg'),
@@ -65,6 +91,10 @@ router.post('/', [
     .optional()
     .isISO8601()
     .withMessage('Estimated delivery time must be a valid ISO 8601 date'),
+  body('scheduledPickupTime')
+    .optional()
+    .isISO8601()
+    .withMessage('Scheduled pickup time must be a valid ISO 8601 date'),
   body('idempotencyKey')
     .isString()
     .withMessage('Idempotency key is required for duplicate prevention')
@@ -143,32 +173,43 @@ router.post('/', [
 
     // If booking creation succeeded, notify drivers and admin (manual acceptance workflow)
     if (result.success && result.data.booking) {
+      const isScheduledBooking = result.data.booking.status === 'scheduled';
+
       // Notify drivers in background (non-blocking)
       setImmediate(async () => {
         try {
-          console.log(`📢 Broadcasting new booking ${result.data.booking.id} to available drivers`);
-          
-          // ✅ Send push notification to customer (booking created)
+          // ✅ Send push notification to customer (booking created / scheduled)
           try {
             const notificationService = require('../services/notificationService');
-            await notificationService.notifyCustomerBookingCreated({
-              customerId: req.user.uid,
-              bookingId: result.data.booking.id,
-              pickup: result.data.booking.pickup,
-              dropoff: result.data.booking.dropoff,
-              fare: result.data.booking.pricing?.total || result.data.booking.fare?.total || 0
-            });
+            if (isScheduledBooking) {
+              await notificationService.notifyCustomerBookingScheduled(result.data.booking);
+            } else {
+              await notificationService.notifyCustomerBookingCreated({
+                customerId: req.user.uid,
+                bookingId: result.data.booking.id,
+                pickup: result.data.booking.pickup,
+                dropoff: result.data.booking.dropoff,
+                fare: result.data.booking.pricing?.total || result.data.booking.fare?.total || 0
+              });
+            }
             console.log(`✅ [BOOKING_CREATE] Push notification sent to customer for booking ${result.data.booking.id}`);
           } catch (pushError) {
             console.warn('⚠️ [BOOKING_CREATE] Failed to send push notification to customer:', pushError);
             // Don't fail if push notification fails
           }
           
-          // Notify available drivers (WebSocket + push) - single source to avoid duplicate pushes
-          const wsEventHandler = getEventHandler();
-          await wsEventHandler.notifyDriversOfNewBooking(result.data.booking);
+          // Scheduled bookings are broadcast by scheduledBookingService at release time
+          if (isScheduledBooking) {
+            console.log(`🗓️ Booking ${result.data.booking.id} scheduled - driver matching deferred until release`);
+          } else {
+            console.log(`📢 Broadcasting new booking ${result.data.booking.id} to available drivers`);
+
+            // Notify available drivers (WebSocket + push) - single source to avoid duplicate pushes
+            const wsEventHandler = getEventHandler();
+            await wsEventHandler.notifyDriversOfNewBooking(result.data.booking);
 
-          console.log(`✅ Booking ${result.data.booking.id} broadcasted to nearby drivers for manual acceptance`);
+            console.log(`✅ Booking ${result.data.booking.id} broadcasted to nearby drivers for manual acceptance`);
+          }
           
           // ✅ CRITICAL FIX: Notify admin dashboard of new booking for real-time customer count updates
           try {
@@ -249,7 +290,7 @@ router.post('/', [
  */
 router.post('/confirm', [
   requireCustomer,
-  userRateLimit(3, 5 * 60 * 1000), // 3 attempts per 5 minutes
+  createPolicyLimiter('bookingConfirm'), // 3 attempts per 5 minutes
   body('bookingId')
     .isString()
     .withMessage('Booking ID is required'),
@@ -367,9 +408,16 @@ router.post('/confirm', [
     }
 
     // Update booking with final details
+    // ✅ Surge is locked at confirmation: the quoted multiplier never changes afterwards
+    const lockedSurge = {
+      ...(booking.surge || { multiplier: 1.0, reason: 'disabled' }),
+      locked: true,
+      lockedAt: new Date().toISOString()
+    };
     const updatedBookingData = {
       ...booking,
       ...updateData,
+      surge: lockedSurge,
       status: 'confirmed',
       confirmedAt: new Date(),
       updatedAt: new Date()
@@ -381,8 +429,17 @@ router.post('/confirm', [
       const dropoffCoords = updateData.dropoff?.coordinates || booking.dropoff.coordinates;
       const weight = updateData.package?.weight || booking.package.weight;
 
-      const distance = await bookingService.calculateDistance(pickupCoords, dropoffCoords);
-      const pricing = await bookingService.calculatePricing(distance, weight, booking.vehicle.type);
+      // Multi-stop bookings are always re-priced over the full stop route
+      const route = await bookingService.calculateRouteDistance(
+        booking.stops?.length > 1
+          ? [pickupCoords, ...booking.stops.map(stop => stop.coordinates)]
+          : [pickupCoords, dropoffCoords]
+      );
+      const distance = route.total;
+      const pricing = await bookingService.calculatePricing(distance, weight, booking.vehicle.type, {
+        pickupCoordinates: pickupCoords, // Resolves the pickup zone's pricing plan
+        surge: lockedSurge
+      });
 
       updatedBookingData.fare = {
         base: pricing.baseFare,
@@ -391,6 +448,7 @@ router.post('/confirm', [
         total: pricing.totalAmount,
         currency: 'INR'
       };
+      updatedBookingData.pricingPlan = pricing.pricingPlan;
     }
 
     // Update booking in database
@@ -446,11 +504,23 @@ router.post('/preview', [
     .isFloat({ min: -180, max: 180 })
     .withMessage('Pickup longitude must be between -180 and 180'),
   body('dropoff.coordinates.latitude')
+    .if(body('stops').not().exists())
     .isFloat({ min: -90, max: 90 })
     .withMessage('Dropoff latitude must be between -90 and 90'),
   body('dropoff.coordinates.longitude')
+    .if(body('stops').not().exists())
     .isFloat({ min: -180, max: 180 })
     .withMessage('Dropoff longitude must be between -180 and 180'),
+  body('stops')
+    .optional()
+    .isArray({ min: 1, max: MAX_DROPOFF_STOPS })
+    .withMessage(`Stops must be a list of 1 to ${MAX_DROPOFF_STOPS} drop-off locations`),
+  body('stops.*.coordinates.latitude')
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Stop latitude must be between -90 and 90'),
+  body('stops.*.coordinates.longitude')
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Stop longitude must be between -180 and 180'),
   body('package.weight')
     .isFloat({ min: 0.1, max: 50 })
     .withMessage('Package weight must be between 0.1 and 50 kg'),
@@ -473,11 +543,14 @@ router.post('/preview', [
       });
     }
 
-    const { pickup, dropoff, package: packageInfo, vehicle } = req.body;
+    const { pickup, dropoff, stops, package: packageInfo, vehicle } = req.body;
 
-    // Calculate distance and pricing
-    const distance = await bookingService.calculateDistance(pickup.coordinates, dropoff.coordinates);
-    const pricing = await bookingService.calculatePricing(distance, packageInfo.weight, vehicle.type);
+    // Calculate distance (over every drop-off stop when given) and pricing
+    const route = await bookingService.calculateRouteDistance(getRouteCoordinates({ pickup, dropoff, stops }));
+    const distance = route.total;
+    const pricing = await bookingService.calculatePricing(distance, packageInfo.weight, vehicle.type, {
+      pickupCoordinates: pickup.coordinates
+    });
     const estimatedTime = bookingService.calculateEstimatedTime(distance);
 
     // Format response to match frontend expectations
@@ -491,15 +564,22 @@ router.post('/preview', [
         distanceCharge: pricing.distanceCharge,
         baseFare: pricing.baseFare,
         timeCharge: pricing.timeCharge || 0,
+        surgeMultiplier: pricing.surgeMultiplier,
+        surgeCharge: pricing.breakdown.surgeCharge,
+        fareBeforeSurge: pricing.subtotal,
         total: pricing.totalAmount
-      }
+      },
+      surge: pricing.surge,
+      pricingPlan: pricing.pricingPlan,
+      legs: route.legs
     };
 
     // Create preview booking data
     const previewBooking = {
       id: `PREVIEW_${Date.now()}`,
       pickup,
-      dropoff,
+      dropoff: Array.isArray(stops) && stops.length > 0 ? stops[stops.length - 1] : dropoff,
+      stops: Array.isArray(stops) && stops.length > 1 ? stops : null,
       package: packageInfo,
       vehicle,
       fare: chargeCalculation,
@@ -540,7 +620,7 @@ router.get('/', [
   requireRole(['admin']),
   query('status')
     .optional()
-    .isIn(['pending', 'confirmed', 'driver_assigned', 'driver_enroute', 'driver_arrived', 'picked_up', 'in_transit', 'at_dropoff', 'delivered', 'cancelled'])
+    .isIn(['scheduled', 'pending', 'confirmed', 'driver_assigned', 'driver_enroute', 'driver_arrived', 'picked_up', 'in_transit', 'at_dropoff', 'delivered', 'cancelled'])
     .withMessage('Invalid status filter'),
   query('customerId')
     .optional()
@@ -1596,7 +1676,11 @@ router.post('/:id/cancel', [
   body('reason')
     .optional()
     .isLength({ min: 5, max: 200 })
-    .withMessage('Reason must be between 5 and 200 characters')
+    .withMessage('Reason must be between 5 and 200 characters'),
+  body('refundTo')
+    .optional()
+    .isIn(['wallet', 'source'])
+    .withMessage('Refund destination must be wallet or source')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -1614,7 +1698,7 @@ router.post('/:id/cancel', [
 
     const { id } = req.params;
     const { uid, userType } = req.body;
-    const { reason } = req.body;
+    const { reason, refundTo } = req.body;
 
     // Get current booking to check permissions
     const currentBooking = await bookingService.getBookingDetails(id);
@@ -1636,7 +1720,7 @@ router.post('/:id/cancel', [
     }
 
     // Cancel booking
-    const result = await bookingService.cancelBooking(id, uid, reason);
+    const result = await bookingService.cancelBooking(id, uid, reason, { refundTo });
 
     res.status(200).json({
       success: true,
@@ -1668,7 +1752,7 @@ router.get('/customer/:customerId', [
   requireRole(['customer', 'admin']),
   query('status')
     .optional()
-    .isIn(['pending', 'confirmed', 'driver_assigned', 'driver_enroute', 'driver_arrived', 'picked_up', 'in_transit', 'at_dropoff', 'delivered', 'cancelled'])
+    .isIn(['scheduled', 'pending', 'confirmed', 'driver_assigned', 'driver_enroute', 'driver_arrived', 'picked_up', 'in_transit', 'at_dropoff', 'delivered', 'cancelled'])
     .withMessage('Invalid status filter'),
   query('startDate')
     .optional()
@@ -1757,7 +1841,7 @@ router.get('/driver/:driverId', [
   requireRole(['driver', 'admin']),
   query('status')
     .optional()
-    .isIn(['pending', 'confirmed', 'driver_assigned', 'driver_enroute', 'driver_arrived', 'picked_up', 'in_transit', 'at_dropoff', 'delivered', 'cancelled'])
+    .isIn(['scheduled', 'pending', 'confirmed', 'driver_assigned', 'driver_enroute', 'driver_arrived', 'picked_up', 'in_transit', 'at_dropoff', 'delivered', 'cancelled'])
     .withMessage('Invalid status filter'),
   query('startDate')
     .optional()
@@ -1933,7 +2017,7 @@ router.post('/calculate-fare', [
 router.post('/:id/search-drivers', [
   requireCustomer,
   requireOwnership('id', 'bookings'),
-  userRateLimit(5, 2 * 60 * 1000), // 5 attempts per 2 minutes
+  createPolicyLimiter('driverSearch'), // 5 attempts per 2 minutes
 ], async (req, res) => {
   try {
     const { id: bookingId } = req.params;
@@ -1969,9 +2053,8 @@ router.post('/:id/search-drivers', [
       });
     }
 
-    // Import driver matching service
-    const DriverMatchingService = require('../services/driverMatchingService');
-    const driverMatchingService = new DriverMatchingService();
+    // Import driver matching service (module exports the shared instance)
+    const driverMatchingService = require('../services/driverMatchingService');
 
     // Search for available drivers
     const searchResult = await driverMatchingService.findAndMatchDriver(booking, {
@@ -2008,6 +2091,26 @@ router.post('/:id/search-drivers', [
       isAssigned: true
     }] : [];
 
+    // Broadcast dispatch: every driver in the current wave holds an open offer
+    if (searchResult.data.offeredDrivers) {
+      searchResult.data.offeredDrivers.forEach(driver => {
+        formattedDrivers.push({
+          id: driver.driverId,
+          name: driver.name,
+          phone: driver.phone,
+          vehicleNumber: driver.vehicleInfo?.vehicleNumber || 'N/A',
+          rating: driver.driver?.rating || 0,
+          totalTrips: driver.driver?.totalTrips || 0,
+          currentLocation: driver.currentLocation,
+          estimatedArrival: driver.estimatedArrival,
+          distance: driver.distance,
+          vehicleType: driver.vehicleType,
+          isAssigned: false,
+          isOffered: true
+        });
+      });
+    }
+
     // Add alternative drivers
     if (searchResult.data.alternatives) {
       searchResult.data.alternatives.forEach(driver => {
@@ -2058,6 +2161,8 @@ router.post('/:id/search-drivers', [
         drivers: formattedDrivers,
         searchRadius,
         totalDriversFound: searchResult.data.totalDriversFound,
+        dispatchStrategy: searchResult.data.strategy,
+        offerExpiresAt: searchResult.data.expiresAt || null,
         estimatedSearchTime: '30-60 seconds',
         status: 'searching'
       },
@@ -2086,7 +2191,7 @@ router.post('/:id/search-drivers', [
 router.post('/:id/cancel-search', [
   requireCustomer,
   requireOwnership('id', 'bookings'),
-  userRateLimit(3, 60 * 1000), // 3 attempts per minute
+  createPolicyLimiter('driverSearchCancel'), // 3 attempts per minute
 ], async (req, res) => {
   try {
     const { id: bookingId } = req.params;
@@ -1,21 +1,56 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
+const multer = require('multer');
 const { authMiddleware } = require('../middleware/auth');
 const { getFirestore } = require('../services/firebase');
+const config = require('../config/environment');
+const chatService = require('../services/chatService');
+const maskedContactService = require('../services/maskedContactService');
+const { CHAT_MESSAGE_TYPES, CHAT_MESSAGE_STATUSES, CHAT_THREAD_STATUSES, CHAT_LOCALES } = require('../constants/chat');
 
 const router = express.Router();
 
+// Multer (memory) for chat attachments; per-type size limits are checked by chatService
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: Math.max(config.getChatConfig().maxImageBytes, config.getChatConfig().maxVoiceBytes)
+  }
+});
+
+/**
+ * Map a chatService error to the response shape used by these routes
+ */
+function sendChatError(res, error) {
+  const statusCodes = {
+    BOOKING_NOT_FOUND: 404,
+    ACCESS_DENIED: 403,
+    CHAT_CLOSED: 409,
+    INVALID_MESSAGE: 400
+  };
+
+  return res.status(statusCodes[error.code] || 500).json({
+    success: false,
+    error: error.message,
+    code: error.code,
+    details: error.details
+  });
+}
+
 /**
  * @route POST /api/chat/send
- * @desc Send message to driver/customer
+ * @desc Send a text or quick-reply message to driver/customer
  * @access Private (Customer, Driver)
  */
 router.post('/send', [
   authMiddleware,
   body('bookingId').isString().notEmpty().withMessage('Booking ID is required'),
   body('driverId').optional().isString().withMessage('Driver ID must be a string'),
-  body('message').isLength({ min: 1, max: 500 }).withMessage('Message must be between 1 and 500 characters'),
-  body('senderType').isIn(['customer', 'driver']).withMessage('Sender type must be customer or driver'),
+  body('messageType').optional().isIn([CHAT_MESSAGE_TYPES.TEXT, CHAT_MESSAGE_TYPES.QUICK_REPLY]).withMessage('Message type must be text or quick_reply (use the attachments endpoint for media)'),
+  body('message').if(body('messageType').not().equals(CHAT_MESSAGE_TYPES.QUICK_REPLY)).isLength({ min: 1, max: config.getChatConfig().maxTextLength }).withMessage(`Message must be between 1 and ${config.getChatConfig().maxTextLength} characters`),
+  body('quickReplyId').if(body('messageType').equals(CHAT_MESSAGE_TYPES.QUICK_REPLY)).isString().notEmpty().withMessage('Quick reply ID is required'),
+  body('locale').optional().isIn(CHAT_LOCALES).withMessage(`Locale must be one of: ${CHAT_LOCALES.join(', ')}`),
+  body('senderType').optional().isIn(['customer', 'driver']).withMessage('Sender type must be customer or driver'),
   body('timestamp').optional().isISO8601().withMessage('Timestamp must be valid ISO8601 format')
 ], async (req, res) => {
   try {
@@ -32,7 +67,7 @@ router.post('/send', [
       });
     }
 
-    const { bookingId, message, senderType, timestamp } = req.body;
+    const { bookingId, message, messageType, quickReplyId, locale, timestamp } = req.body;
     const userId = req.user.uid;
     
     // ✅ CRITICAL FIX: Validate userType from middleware - don't default to customer
@@ -47,136 +82,188 @@ router.post('/send', [
         }
       });
     }
-    
-    const userType = req.user.userType;
-    const db = getFirestore();
 
-    console.log(`💬 Chat message from ${userType} ${userId} for booking ${bookingId}`);
+    console.log(`💬 Chat message from ${req.user.userType} ${userId} for booking ${bookingId}`);
 
-    // Verify booking exists and user has access
-    const bookingDoc = await db.collection('bookings').doc(bookingId).get();
-    if (!bookingDoc.exists) {
-      return res.status(404).json({
+    // Sender type is derived from the booking, not taken from the client
+    const result = await chatService.sendMessage(bookingId, userId, {
+      messageType,
+      text: message,
+      quickReplyId,
+      locale,
+      timestamp
+    });
+    if (!result.success) {
+      return sendChatError(res, result.error);
+    }
+
+    console.log(`✅ Chat message sent: ${result.data.id}`);
+
+    res.json({
+      success: true,
+      message: 'Message sent successfully',
+      data: {
+        messageId: result.data.id,
+        messageType: result.data.messageType,
+        message: result.data.message,
+        status: result.data.status,
+        timestamp: result.data.timestamp
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error sending chat message:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send message',
+      code: 'MESSAGE_SEND_ERROR',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/chat/quick-replies
+ * @desc Get quick-reply templates for the current user in a locale
+ * @access Private (Customer, Driver)
+ */
+router.get('/quick-replies', [
+  authMiddleware
+], (req, res) => {
+  const senderType = req.user.userType === 'driver' ? 'driver' : 'customer';
+  const { locale, templates } = chatService.getQuickReplies(senderType, req.query.locale);
+
+  res.json({
+    success: true,
+    data: {
+      locale,
+      locales: CHAT_LOCALES,
+      templates
+    }
+  });
+});
+
+/**
+ * @route POST /api/chat/:bookingId/attachments
+ * @desc Send an image or voice-note message (multipart, field `file`)
+ * @access Private (Customer, Driver)
+ */
+router.post('/:bookingId/attachments', [
+  authMiddleware,
+  upload.single('file'),
+  body('kind').isIn([CHAT_MESSAGE_TYPES.IMAGE, CHAT_MESSAGE_TYPES.VOICE]).withMessage('Kind must be image or voice'),
+  body('caption').optional().isString().withMessage('Caption must be a string'),
+  body('durationSeconds').optional().isFloat({ min: 0 }).withMessage('Duration must be a positive number'),
+  body('timestamp').optional().isISO8601().withMessage('Timestamp must be valid ISO8601 format')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         success: false,
-        error: 'Booking not found'
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Validation failed',
+          details: errors.array()
+        }
       });
     }
 
-    const bookingData = bookingDoc.data();
-    
-    // Check access permissions
-    if (bookingData.customerId !== userId && bookingData.driverId !== userId) {
-      return res.status(403).json({
+    if (!req.file) {
+      return res.status(400).json({
         success: false,
-        error: 'Access denied - you can only send messages for your own bookings'
+        error: 'No file provided',
+        code: 'NO_FILE'
       });
     }
 
-    // Create message document
-    const messageData = {
-      id: `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      bookingId,
-      senderId: userId,
-      senderType: senderType || userType,
-      message: message.trim(),
-      timestamp: timestamp ? new Date(timestamp) : new Date(),
-      createdAt: new Date(),
-      read: false
-    };
-
-    // Save message to chat_messages collection
-    await db.collection('chat_messages').add(messageData);
-
-    // Update booking with last message info
-    await db.collection('bookings').doc(bookingId).update({
-      lastMessage: {
-        senderId: userId,
-        senderType: senderType || userType,
-        message: message.trim(),
-        timestamp: messageData.timestamp
-      },
-      updatedAt: new Date()
+    const { bookingId } = req.params;
+    const { kind, caption, durationSeconds, timestamp } = req.body;
+
+    const result = await chatService.sendMessage(bookingId, req.user.uid, {
+      messageType: kind,
+      text: caption,
+      file: req.file,
+      durationSeconds,
+      timestamp
     });
-
-    // ✅ CRITICAL FIX: Emit chat message via WebSocket to booking room
-    try {
-      const socketService = require('../services/socket');
-      const io = socketService.getSocketIO();
-      
-      if (io) {
-        const bookingRoom = `booking:${bookingId}`;
-        const userRoom = `user:${bookingData.customerId}`;
-        const driverRoom = bookingData.driverId ? `user:${bookingData.driverId}` : null;
-        
-        // ✅ CRITICAL FIX: Emit to booking room and user rooms
-        const chatMessageEvent = {
-          id: messageData.id,
-          bookingId: bookingId,
-          tripId: bookingId, // For backward compatibility
-          senderId: userId,
-          senderType: senderType || userType,
-          message: message.trim(),
-          timestamp: messageData.timestamp.toISOString(),
-          messageType: 'text'
-        };
-        
-        io.to(bookingRoom).emit('chat_message', chatMessageEvent);
-        io.to(userRoom).emit('chat_message', chatMessageEvent);
-        if (driverRoom) {
-          io.to(driverRoom).emit('chat_message', chatMessageEvent);
-        }
-        
-        console.log(`✅ [CHAT] Chat message emitted to rooms: ${bookingRoom}, ${userRoom}${driverRoom ? `, ${driverRoom}` : ''}`);
-      }
-    } catch (wsError) {
-      console.error('❌ [CHAT] Error emitting chat message via WebSocket:', wsError);
-      // Continue - message is saved to DB even if WebSocket fails
+    if (!result.success) {
+      return sendChatError(res, result.error);
     }
 
-    console.log(`✅ Chat message sent: ${messageData.id}`);
-
-    res.json({
+    res.status(201).json({
       success: true,
       message: 'Message sent successfully',
-      data: {
-        messageId: messageData.id,
-        timestamp: messageData.timestamp
-      }
+      data: chatService.toEvent(result.data)
     });
 
   } catch (error) {
-    console.error('❌ Error sending chat message:', error);
-    
-    // ✅ CRITICAL FIX: Enhanced error handling with specific error codes
-    let statusCode = 500;
-    let errorMessage = 'Failed to send message';
-    let errorCode = 'MESSAGE_SEND_ERROR';
-    
-    if (error.code === 'permission-denied') {
-      statusCode = 403;
-      errorMessage = 'Access denied - you can only send messages for your own bookings';
-      errorCode = 'ACCESS_DENIED';
-    } else if (error.code === 'not-found' || error.message?.includes('not found')) {
-      statusCode = 404;
-      errorMessage = 'Booking not found';
-      errorCode = 'BOOKING_NOT_FOUND';
-    } else if (error.message?.includes('validation') || error.message?.includes('required')) {
-      statusCode = 400;
-      errorMessage = error.message || 'Invalid message data';
-      errorCode = 'VALIDATION_ERROR';
-    } else if (error.message) {
-      errorMessage = error.message;
-    }
-    
-    res.status(statusCode).json({
+    console.error('❌ Error sending chat attachment:', error);
+    res.status(500).json({
       success: false,
-      error: errorMessage,
-      code: errorCode,
+      error: 'Failed to send attachment',
+      code: 'ATTACHMENT_SEND_ERROR',
       details: error.message
     });
   }
 });
 
+/**
+ * @route POST /api/chat/:bookingId/delivered
+ * @desc Acknowledge delivery of the other participant's messages
+ * @access Private (Customer, Driver)
+ */
+router.post('/:bookingId/delivered', [
+  authMiddleware,
+  body('messageIds').optional().isArray().withMessage('Message IDs must be an array')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Validation failed',
+        details: errors.array()
+      }
+    });
+  }
+
+  const result = await chatService.markDelivered(req.params.bookingId, req.user.uid, req.body.messageIds);
+  if (!result.success) {
+    return sendChatError(res, result.error);
+  }
+  res.json({ success: true, data: result.data });
+});
+
+/**
+ * @route POST /api/chat/:bookingId/read
+ * @desc Mark the other participant's messages as read
+ * @access Private (Customer, Driver)
+ */
+router.post('/:bookingId/read', [
+  authMiddleware,
+  body('messageIds').optional().isArray().withMessage('Message IDs must be an array')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Validation failed',
+        details: errors.array()
+      }
+    });
+  }
+
+  const result = await chatService.markRead(req.params.bookingId, req.user.uid, req.body.messageIds);
+  if (!result.success) {
+    return sendChatError(res, result.error);
+  }
+  res.json({ success: true, data: result.data });
+});
+
 /**
  * @route GET /api/chat/:bookingId
  * @desc Get chat messages for a booking
@@ -188,54 +275,37 @@ router.get('/:bookingId', [
   try {
     const { bookingId } = req.params;
     const userId = req.user.uid;
-    const db = getFirestore();
 
     // Verify booking exists and user has access
-    const bookingDoc = await db.collection('bookings').doc(bookingId).get();
-    if (!bookingDoc.exists) {
-      return res.status(404).json({
-        success: false,
-        error: 'Booking not found'
-      });
-    }
-
-    const bookingData = bookingDoc.data();
-    
-    // Check access permissions
-    if (bookingData.customerId !== userId && bookingData.driverId !== userId) {
-      return res.status(403).json({
+    const context = await chatService.getChatContext(bookingId, userId);
+    if (!context.success) {
+      return res.status(context.error.code === 'BOOKING_NOT_FOUND' ? 404 : 403).json({
         success: false,
-        error: 'Access denied - you can only view messages for your own bookings'
+        error: context.error.code === 'BOOKING_NOT_FOUND'
+          ? 'Booking not found'
+          : 'Access denied - you can only view messages for your own bookings'
       });
     }
 
-    // ✅ CRITICAL FIX: Get chat messages without orderBy to avoid composite index requirement
-    // Sort in memory instead
-    const messagesSnapshot = await db.collection('chat_messages')
-      .where('bookingId', '==', bookingId)
-      .get();
+    // Sorted in memory by chatService (no composite index needed)
+    const messages = await chatService.listMessages(bookingId);
 
-    const messages = [];
-    messagesSnapshot.forEach(doc => {
-      const messageData = doc.data();
-      messages.push({
-        id: doc.id,
-        ...messageData,
-        timestamp: messageData.timestamp?.toDate?.() || messageData.timestamp
-      });
-    });
+    // Fetching the chat acknowledges delivery of the other side's messages
+    if (messages.some(message => message.senderId !== userId && message.status === CHAT_MESSAGE_STATUSES.SENT)) {
+      await chatService.markDelivered(bookingId, userId);
+    }
 
-    // ✅ CRITICAL FIX: Sort messages by timestamp in memory (ascending - oldest first)
-    messages.sort((a, b) => {
-      const at = a.timestamp?.toMillis?.() || new Date(a.timestamp || 0).getTime() || 0;
-      const bt = b.timestamp?.toMillis?.() || new Date(b.timestamp || 0).getTime() || 0;
-      return at - bt;
-    });
+    // Masked contact handles for calling from the chat screen (no phone numbers)
+    const { bookingData, senderType, thread } = context.data;
+    const contactSession = await maskedContactService.ensureSession(bookingId, bookingData);
 
     res.json({
       success: true,
       data: {
         bookingId,
+        chatStatus: thread ? thread.status : CHAT_THREAD_STATUSES.OPEN,
+        closedAt: thread?.closedAt?.toDate?.() || thread?.closedAt || null,
+        contacts: maskedContactService.toContacts(contactSession, senderType),
         messages
       }
     });
@@ -370,7 +440,7 @@ router.get('/:bookingId/instructions', [
         // Only mark chat messages as read, not booking-level instructions
         if (instruction.source === 'chat_message' && instruction.id && !instruction.id.startsWith('booking_')) {
           const messageRef = db.collection('chat_messages').doc(instruction.id);
-          batch.set(messageRef, { read: true, readAt: new Date() }, { merge: true });
+          batch.set(messageRef, { read: true, status: CHAT_MESSAGE_STATUSES.READ, readAt: new Date() }, { merge: true });
           hasWrites = true; // Mark that we have writes to commit
         }
       });
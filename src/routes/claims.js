@@ -0,0 +1,298 @@
+const express = require('express');
+const multer = require('multer');
+const { body, param, query, validationResult } = require('express-validator');
+const { requireRole } = require('../middleware/auth');
+const config = require('../config/environment');
+const claimService = require('../services/claimService');
+const { CLAIM_TYPES, CLAIM_STATUSES } = require('../constants/claims');
+
+const router = express.Router();
+
+// Multer (memory) for claim evidence; type and size are checked by claimService
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: config.getClaimsConfig().maxEvidenceBytes,
+    files: config.getClaimsConfig().maxEvidenceFiles
+  }
+});
+
+/**
+ * Map a claimService error to the response shape used by these routes
+ */
+function sendClaimError(res, error) {
+  const statusCodes = {
+    BOOKING_NOT_FOUND: 404,
+    CLAIM_NOT_FOUND: 404,
+    ACCESS_DENIED: 403,
+    CLAIM_NOT_ELIGIBLE: 400,
+    CLAIM_WINDOW_EXPIRED: 400,
+    CLAIM_AMOUNT_TOO_HIGH: 400,
+    INVALID_FILE: 400,
+    TOO_MANY_FILES: 400,
+    CLAIM_EXISTS: 409,
+    CLAIM_CLOSED: 409,
+    INVALID_TRANSITION: 409
+  };
+
+  return res.status(statusCodes[error.code] || 500).json({
+    success: false,
+    error: {
+      code: error.code,
+      message: error.message,
+      details: error.details
+    }
+  });
+}
+
+function sendValidationError(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    error: {
+      code: 'VALIDATION_ERROR',
+      message: 'Validation failed',
+      details: errors.array()
+    }
+  });
+  return true;
+}
+
+/**
+ * @route POST /api/claims
+ * @desc File a damage or loss claim for a delivered booking
+ * @access Private (Customer)
+ */
+router.post('/', [
+  requireRole(['customer']),
+  body('bookingId').isString().notEmpty().withMessage('Booking ID is required'),
+  body('type').isIn(Object.values(CLAIM_TYPES)).withMessage(`Type must be one of: ${Object.values(CLAIM_TYPES).join(', ')}`),
+  body('description').isString().trim().isLength({ min: 10, max: 2000 }).withMessage('Description must be between 10 and 2000 characters'),
+  body('claimedAmount').isFloat({ gt: 0 }).withMessage('Claimed amount must be greater than 0')
+], async (req, res) => {
+  try {
+    if (sendValidationError(req, res)) return;
+
+    const { bookingId, type, description, claimedAmount } = req.body;
+    const result = await claimService.fileClaim(req.user.uid, {
+      bookingId,
+      type,
+      description,
+      claimedAmount: parseFloat(claimedAmount)
+    });
+    if (!result.success) {
+      return sendClaimError(res, result.error);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Claim filed successfully. Add photos or documents to support it.',
+      data: result.data
+    });
+
+  } catch (error) {
+    console.error('❌ [CLAIMS] Error filing claim:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'CLAIM_CREATE_ERROR',
+        message: 'Failed to file claim',
+        details: error.message
+      }
+    });
+  }
+});
+
+/**
+ * @route GET /api/claims
+ * @desc Claims filed by the customer, or raised against the driver
+ * @access Private (Customer, Driver)
+ */
+router.get('/', [
+  requireRole(['customer', 'driver']),
+  query('status').optional().isIn(Object.values(CLAIM_STATUSES)).withMessage('Invalid status'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    if (sendValidationError(req, res)) return;
+
+    const claims = await claimService.listForUser(req.user.uid, req.user.userType, {
+      status: req.query.status,
+      limit: parseInt(req.query.limit) || 20
+    });
+
+    res.json({
+      success: true,
+      data: claims
+    });
+
+  } catch (error) {
+    console.error('❌ [CLAIMS] Error getting claims:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'CLAIMS_FETCH_ERROR',
+        message: 'Failed to get claims',
+        details: error.message
+      }
+    });
+  }
+});
+
+/**
+ * @route GET /api/claims/:claimId
+ * @desc Claim details
+ * @access Private (Customer, Driver - parties to the claim)
+ */
+router.get('/:claimId', [
+  requireRole(['customer', 'driver']),
+  param('claimId').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const result = await claimService.getClaimForUser(req.params.claimId, req.user.uid);
+    if (!result.success) {
+      return sendClaimError(res, result.error);
+    }
+
+    res.json({
+      success: true,
+      data: { ...result.data.claim, role: result.data.role }
+    });
+
+  } catch (error) {
+    console.error('❌ [CLAIMS] Error getting claim:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'CLAIM_FETCH_ERROR',
+        message: 'Failed to get claim',
+        details: error.message
+      }
+    });
+  }
+});
+
+/**
+ * @route POST /api/claims/:claimId/evidence
+ * @desc Upload photos or documents (field `files`) to an open claim
+ * @access Private (Customer, Driver - parties to the claim)
+ */
+router.post('/:claimId/evidence', [
+  requireRole(['customer', 'driver']),
+  upload.array('files', config.getClaimsConfig().maxEvidenceFiles),
+  body('caption').optional().isString().isLength({ max: 500 }).withMessage('Caption must be at most 500 characters')
+], async (req, res) => {
+  try {
+    if (sendValidationError(req, res)) return;
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'NO_FILE',
+          message: 'No files provided'
+        }
+      });
+    }
+
+    const result = await claimService.addEvidence(req.params.claimId, req.user.uid, req.files, req.body.caption);
+    if (!result.success) {
+      return sendClaimError(res, result.error);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `${result.data.evidence.length} file(s) added to the claim`,
+      data: result.data
+    });
+
+  } catch (error) {
+    console.error('❌ [CLAIMS] Error uploading claim evidence:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'EVIDENCE_UPLOAD_ERROR',
+        message: 'Failed to upload evidence',
+        details: error.message
+      }
+    });
+  }
+});
+
+/**
+ * @route POST /api/claims/:claimId/response
+ * @desc Driver's statement on a claim against their delivery
+ * @access Private (Driver)
+ */
+router.post('/:claimId/response', [
+  requireRole(['driver']),
+  body('statement').isString().trim().isLength({ min: 10, max: 2000 }).withMessage('Statement must be between 10 and 2000 characters')
+], async (req, res) => {
+  try {
+    if (sendValidationError(req, res)) return;
+
+    const result = await claimService.respondAsDriver(req.params.claimId, req.user.uid, req.body.statement);
+    if (!result.success) {
+      return sendClaimError(res, result.error);
+    }
+
+    res.json({
+      success: true,
+      message: 'Response recorded',
+      data: result.data
+    });
+
+  } catch (error) {
+    console.error('❌ [CLAIMS] Error recording driver response:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'CLAIM_RESPONSE_ERROR',
+        message: 'Failed to record response',
+        details: error.message
+      }
+    });
+  }
+});
+
+/**
+ * @route POST /api/claims/:claimId/withdraw
+ * @desc Withdraw an open claim
+ * @access Private (Customer)
+ */
+router.post('/:claimId/withdraw', [
+  requireRole(['customer']),
+  body('reason').optional().isString().isLength({ max: 500 }).withMessage('Reason must be at most 500 characters')
+], async (req, res) => {
+  try {
+    if (sendValidationError(req, res)) return;
+
+    const result = await claimService.withdraw(req.params.claimId, req.user.uid, req.body.reason);
+    if (!result.success) {
+      return sendClaimError(res, result.error);
+    }
+
+    res.json({
+      success: true,
+      message: 'Claim withdrawn',
+      data: { claimId: req.params.claimId, status: result.data.status }
+    });
+
+  } catch (error) {
+    console.error('❌ [CLAIMS] Error withdrawing claim:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'CLAIM_WITHDRAW_ERROR',
+        message: 'Failed to withdraw claim',
+        details: error.message
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,162 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authMiddleware } = require('../middleware/auth');
+const config = require('../config/environment');
+const maskedContactService = require('../services/maskedContactService');
+
+const router = express.Router();
+
+/**
+ * Map a maskedContactService error to the response shape used by these routes
+ */
+function sendContactError(res, error) {
+  const statusCodes = {
+    BOOKING_NOT_FOUND: 404,
+    CONTACT_NOT_FOUND: 404,
+    ACCESS_DENIED: 403,
+    INVALID_MESSAGE: 400,
+    CALLER_NUMBER_MISSING: 400
+  };
+
+  return res.status(statusCodes[error.code] || 500).json({
+    success: false,
+    error: {
+      code: error.code,
+      message: error.message,
+      details: error.details
+    },
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * @route GET /api/contact/:bookingId
+ * @desc Get masked contact handles the user can reach on a booking
+ * @access Private (Customer, Driver)
+ */
+router.get('/:bookingId', [
+  authMiddleware
+], async (req, res) => {
+  try {
+    const result = await maskedContactService.getContacts(req.params.bookingId, req.user.uid);
+    if (!result.success) {
+      return sendContactError(res, result.error);
+    }
+
+    res.json({
+      success: true,
+      data: result.data
+    });
+
+  } catch (error) {
+    console.error('❌ Error getting masked contacts:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'CONTACTS_FETCH_ERROR',
+        message: 'Failed to get contacts',
+        details: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * @route POST /api/contact/call
+ * @desc Bridge a number-masked call to the party behind a handle
+ * @access Private (Customer, Driver)
+ */
+router.post('/call', [
+  authMiddleware,
+  body('handle').isString().notEmpty().withMessage('Contact handle is required')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Validation failed',
+        details: errors.array()
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  try {
+    const result = await maskedContactService.bridgeCall(req.body.handle, req.user.uid);
+    if (!result.success) {
+      return sendContactError(res, result.error);
+    }
+
+    res.json({
+      success: true,
+      message: 'Call is being connected',
+      data: result.data
+    });
+
+  } catch (error) {
+    console.error('❌ Error connecting masked call:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'CALL_BRIDGE_ERROR',
+        message: 'Failed to connect call',
+        details: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * @route POST /api/contact/sms
+ * @desc Relay a number-masked SMS to the party behind a handle
+ * @access Private (Customer, Driver)
+ */
+router.post('/sms', [
+  authMiddleware,
+  body('handle').isString().notEmpty().withMessage('Contact handle is required'),
+  body('message').isLength({ min: 1, max: config.getMaskedContactConfig().maxSmsLength }).withMessage(`Message must be between 1 and ${config.getMaskedContactConfig().maxSmsLength} characters`)
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Validation failed',
+        details: errors.array()
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  try {
+    const result = await maskedContactService.sendSms(req.body.handle, req.user.uid, req.body.message);
+    if (!result.success) {
+      return sendContactError(res, result.error);
+    }
+
+    res.json({
+      success: true,
+      message: 'Message sent successfully',
+      data: result.data
+    });
+
+  } catch (error) {
+    console.error('❌ Error sending masked SMS:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SMS_RELAY_ERROR',
+        message: 'Failed to send message',
+        details: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
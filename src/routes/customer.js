@@ -4,6 +4,8 @@ const { getFirestore } = require('firebase-admin/firestore');
 const { authenticateToken } = require('../middleware/auth');
 const { body, validationResult } = require('express-validator');
 const { trackingDataLimiter } = require('../middleware/rateLimit'); // ✅ Add rate limiting for booking details
+const maskedContactService = require('../services/maskedContactService');
+const packagePhotoComparisonService = require('../services/packagePhotoComparisonService');
 
 /**
  * @route GET /api/customer/profile
@@ -38,6 +40,8 @@ router.get('/profile', authenticateToken, async (req, res) => {
       address: customerData.customer?.address || '',
       profilePicture: customerData.profilePicture || customerData.customer?.profilePhoto || customerData.photoURL || customerData.profile?.photo || null,
       preferences: customerData.customer?.preferences || {},
+      businessName: customerData.customer?.businessName || null,
+      gstin: customerData.customer?.gstin || null,
       userType: 'customer',
       isActive: customerData.isActive !== false,
       accountStatus: customerData.accountStatus || 'active',
@@ -70,7 +74,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
 router.put('/profile', authenticateToken, async (req, res) => {
   try {
     const { uid: userId } = req.user;
-    const { name, email, phone, address, preferences, profilePicture } = req.body;
+    const { name, email, phone, address, preferences, profilePicture, businessName, gstin } = req.body;
     const db = getFirestore();
     
     console.log(`📝 Updating customer profile for: ${userId}`);
@@ -85,6 +89,17 @@ router.put('/profile', authenticateToken, async (req, res) => {
       });
     }
     
+    // Business customers can have their GSTIN printed on tax invoices (empty string clears it)
+    const invoiceService = require('../services/invoiceService');
+    const normalizedGstin = typeof gstin === 'string' ? gstin.trim().toUpperCase() : gstin;
+    if (normalizedGstin && !invoiceService.isValidGstin(normalizedGstin)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid GSTIN',
+        details: 'Please provide a valid 15-character GSTIN'
+      });
+    }
+    
     // Update customer data in users collection
     const updateData = {
       updatedAt: new Date()
@@ -101,6 +116,8 @@ router.put('/profile', authenticateToken, async (req, res) => {
     if (phone !== undefined) updateData['phone'] = phone; // Update phone at root level
     if (address !== undefined) updateData['customer.address'] = address;
     if (preferences !== undefined) updateData['customer.preferences'] = preferences;
+    if (gstin !== undefined) updateData['customer.gstin'] = normalizedGstin || null;
+    if (businessName !== undefined) updateData['customer.businessName'] = businessName || null;
     if (profilePicture !== undefined) {
       updateData['profilePicture'] = profilePicture;
       updateData['customer.profilePhoto'] = profilePicture;
@@ -368,7 +385,8 @@ router.get('/bookings', authenticateToken, async (req, res) => {
     });
     
     // Apply offset manually after fetching
-    const paginatedBookings = allBookings.slice(offsetNum, offsetNum + limitNum);
+    // The driver's number is replaced by a masked contact handle
+    const paginatedBookings = await maskedContactService.maskBookings(allBookings.slice(offsetNum, offsetNum + limitNum), 'customer');
     
     console.log(`✅ Retrieved ${paginatedBookings.length} bookings for customer: ${userId}`, {
       status: status,
@@ -519,13 +537,15 @@ router.get('/bookings/:id', authenticateToken, trackingDataLimiter, async (req,
     }
     
     // Format the response
-    const booking = {
+    // The driver's number is replaced by a masked contact handle
+    const booking = await maskedContactService.maskBooking({
       id: bookingDoc.id,
       ...bookingData,
       driver: driverData, // ✅ CRITICAL: Include populated driver data
+      packageEvidence: packagePhotoComparisonService.getEvidencePair(bookingData), // Pickup/dropoff package photos
       createdAt: bookingData.createdAt?.toDate?.() || bookingData.createdAt,
       updatedAt: bookingData.updatedAt?.toDate?.() || bookingData.updatedAt
-    };
+    }, 'customer');
     
     res.json({
       success: true,
@@ -577,12 +597,13 @@ router.get('/active-booking', authenticateToken, async (req, res) => {
     const bookingData = bookingDoc.data();
     
     // Format the response
-    const booking = {
+    // The driver's number is replaced by a masked contact handle
+    const booking = await maskedContactService.maskBooking({
       id: bookingDoc.id,
       ...bookingData,
       createdAt: bookingData.createdAt?.toDate ? bookingData.createdAt.toDate() : (bookingData.createdAt || new Date()),
       updatedAt: bookingData.updatedAt?.toDate ? bookingData.updatedAt.toDate() : (bookingData.updatedAt || new Date())
-    };
+    }, 'customer');
     
     res.json({
       success: true,
@@ -634,12 +655,13 @@ router.get('/pending-booking', authenticateToken, async (req, res) => {
     const bookingData = bookingDoc.data();
     
     // Format the response
-    const booking = {
+    // The driver's number is replaced by a masked contact handle
+    const booking = await maskedContactService.maskBooking({
       id: bookingDoc.id,
       ...bookingData,
       createdAt: bookingData.createdAt?.toDate ? bookingData.createdAt.toDate() : (bookingData.createdAt || new Date()),
       updatedAt: bookingData.updatedAt?.toDate ? bookingData.updatedAt.toDate() : (bookingData.updatedAt || new Date())
-    };
+    }, 'customer');
     
     res.json({
       success: true,
@@ -741,6 +763,7 @@ router.post('/bookings', authenticateToken, async (req, res) => {
     const newBooking = {
       ...bookingData,
       customerId: userId,
+      pickupGeohash: require('../services/driverProximityService').getIndexFields(bookingData.pickup.coordinates).geohash || null,
       status: 'pending',
       paymentStatus: 'pending',
       fare: {
@@ -1532,6 +1555,171 @@ router.get('/payments/history', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/customer/wallet
+ * @desc Get customer wallet balance
+ * @access Private (Customer only)
+ */
+router.get('/wallet', authenticateToken, async (req, res) => {
+  try {
+    const { uid: userId } = req.user;
+    const customerWalletService = require('../services/customerWalletService');
+
+    const wallet = await customerWalletService.getWallet(userId);
+
+    res.json({
+      success: true,
+      data: wallet
+    });
+
+  } catch (error) {
+    console.error('❌ Error getting customer wallet:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve wallet',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/customer/wallet/transactions
+ * @desc Get customer wallet transaction history
+ * @access Private (Customer only)
+ */
+router.get('/wallet/transactions', authenticateToken, async (req, res) => {
+  try {
+    const { uid: userId } = req.user;
+    const { limit = 20, type } = req.query;
+    const customerWalletService = require('../services/customerWalletService');
+
+    const transactions = await customerWalletService.getTransactions(userId, { limit, type });
+
+    res.json({
+      success: true,
+      data: transactions,
+      pagination: {
+        limit: parseInt(limit),
+        total: transactions.length
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error getting customer wallet transactions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve wallet transactions',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/customer/wallet/top-up
+ * @desc Start a wallet top-up (Razorpay payment link or PhonePe Pay Page)
+ * @access Private (Customer only)
+ */
+router.post('/wallet/top-up', [
+  authenticateToken,
+  body('amount')
+    .isFloat({ min: 1 })
+    .withMessage('Amount must be a positive number'),
+  body('paymentMethod')
+    .optional()
+    .isIn(['razorpay', 'phonepe'])
+    .withMessage('Payment method must be razorpay or phonepe')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Validation failed',
+          details: errors.array()
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const { uid: userId } = req.user;
+    const db = getFirestore();
+    const customerWalletService = require('../services/customerWalletService');
+
+    const customerDoc = await db.collection('users').doc(userId).get();
+    const customerData = customerDoc.exists ? customerDoc.data() : {};
+
+    const result = await customerWalletService.createTopUp(userId, parseFloat(req.body.amount), {
+      phone: customerData.phone,
+      name: customerData.customer?.name || customerData.name,
+      email: customerData.customer?.email || customerData.email
+    }, req.body.paymentMethod);
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        error: result.error.message,
+        code: result.error.code,
+        details: result.error.details
+      });
+    }
+
+    console.log(`👛 Started wallet top-up ${result.data.topUpId} of ₹${result.data.amount} for customer: ${userId}`);
+
+    res.json({
+      success: true,
+      data: result.data,
+      message: 'Complete the payment to add money to your wallet'
+    });
+
+  } catch (error) {
+    console.error('❌ Error starting customer wallet top-up:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start wallet top-up',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/customer/wallet/top-up/:topUpId
+ * @desc Check a wallet top-up (credits the wallet if the payment went through)
+ * @access Private (Customer only)
+ */
+router.get('/wallet/top-up/:topUpId', authenticateToken, async (req, res) => {
+  try {
+    const { uid: userId } = req.user;
+    const { topUpId } = req.params;
+    const customerWalletService = require('../services/customerWalletService');
+
+    const result = await customerWalletService.verifyTopUp(userId, topUpId);
+
+    if (!result.success) {
+      const statusCodes = { TOP_UP_NOT_FOUND: 404, TOP_UP_VERIFICATION_FAILED: 502 };
+      return res.status(statusCodes[result.error.code] || 400).json({
+        success: false,
+        error: result.error.message,
+        code: result.error.code
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.data
+    });
+
+  } catch (error) {
+    console.error('❌ Error verifying customer wallet top-up:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify wallet top-up',
+      details: error.message
+    });
+  }
+});
+
 /**
  * @route GET /api/customer/tracking/:bookingId
  * @desc Get booking tracking information
@@ -2043,28 +2231,92 @@ router.post('/bookings/:id/confirm-payment', authenticateToken, async (req, res)
     // ✅ CRITICAL FIX: Use state machine to transition from money_collection to completed
     const bookingStateMachine = require('../services/bookingStateMachine');
     
-    // Add payment record
-    await db.collection('payments').add(paymentData);
+    const transitionOptions = {};
+    let walletPayment = null;
+
+    if (paymentMethod === 'wallet') {
+      // Wallet payments are debited for the booking fare instead of being handed to the driver
+      const paymentService = require('../services/paymentService');
+      // Debit the server-side fare; the client amount only confirms it
+      const fareAmount = Number(bookingData.pricing?.totalAmount ?? bookingData.fare?.total);
+      if (!(fareAmount > 0)) {
+        return res.status(409).json({
+          success: false,
+          error: 'Booking fare is not available for wallet payment',
+          code: 'FARE_UNAVAILABLE'
+        });
+      }
+      if (Math.abs(paymentData.amount - fareAmount) > 0.01) {
+        return res.status(400).json({
+          success: false,
+          error: 'Payment amount does not match the booking fare',
+          code: 'AMOUNT_MISMATCH',
+          details: { amount: paymentData.amount, fare: fareAmount }
+        });
+      }
+      paymentData.amount = fareAmount;
+      paymentData.paymentId = paymentService.walletPaymentId(bookingId);
+
+      // The debit and the driver payable commit with the transition to completed, so a
+      // booking the driver completed for cash in the meantime is never charged
+      transitionOptions.beforeWrite = async (transaction, booking) => {
+        walletPayment = await paymentService.stageWalletPayment(transaction, {
+          bookingId,
+          customerId: userId,
+          amount: fareAmount,
+          booking
+        });
+        if (!walletPayment.success) {
+          throw new Error(walletPayment.error.message);
+        }
+      };
+    } else {
+      // Add payment record
+      await db.collection('payments').add(paymentData);
+    }
     
     // If booking is in money_collection, transition to completed
     if (bookingData.status === 'money_collection') {
-      await bookingStateMachine.transitionBooking(
-        bookingId,
-        'completed',
-        {
-          payment: {
-            ...paymentData,
-            confirmed: true,
-            confirmedByCustomer: true
+      try {
+        await bookingStateMachine.transitionBooking(
+          bookingId,
+          'completed',
+          {
+            payment: {
+              ...paymentData,
+              confirmed: true,
+              confirmedByCustomer: true
+            },
+            paymentConfirmed: true,
+            paymentConfirmedByCustomer: true
           },
-          paymentConfirmed: true,
-          paymentConfirmedByCustomer: true
-        },
-        {
-          userId: userId,
-          userType: 'customer'
+          {
+            userId: userId,
+            userType: 'customer',
+            // Completion requires the driver and releases them for new bookings
+            driverId: bookingData.driverId
+          },
+          transitionOptions
+        );
+      } catch (transitionError) {
+        if (walletPayment && !walletPayment.success) {
+          return res.status(400).json({
+            success: false,
+            error: walletPayment.error.message,
+            code: walletPayment.error.code,
+            details: walletPayment.error.details
+          });
+        }
+        const latestBooking = await db.collection('bookings').doc(bookingId).get();
+        if (paymentMethod === 'wallet' && latestBooking.data()?.status !== 'money_collection') {
+          return res.status(409).json({
+            success: false,
+            error: 'Payment for this booking was already collected',
+            code: 'PAYMENT_ALREADY_COLLECTED'
+          });
         }
-      );
+        throw transitionError;
+      }
     } else {
       // For backward compatibility, just update payment fields
       await db.collection('bookings').doc(bookingId).update({
@@ -2109,119 +2361,55 @@ router.post('/bookings/:id/rate', authenticateToken, async (req, res) => {
   try {
     const { uid: userId } = req.user;
     const { id: bookingId } = req.params;
-    const { rating, feedback, categories } = req.body;
-    const db = getFirestore();
+    const { rating, feedback, tags = [] } = req.body;
+    const ratingsConfig = require('../config/environment').getRatingsConfig();
     
     console.log(`⭐ [RATING] Submitting rating for booking ${bookingId} by customer ${userId}`);
     
-    if (!rating || rating < 1 || rating > 5) {
+    if (!Number.isInteger(Number(rating)) || rating < 1 || rating > 5) {
       return res.status(400).json({
         success: false,
         error: 'Rating must be between 1 and 5 stars'
       });
     }
-    
-    // Get booking details
-    const bookingDoc = await db.collection('bookings').doc(bookingId).get();
-    if (!bookingDoc.exists) {
-      return res.status(404).json({
-        success: false,
-        error: 'Booking not found'
-      });
-    }
-    
-    const bookingData = bookingDoc.data();
-    
-    // Verify customer owns this booking
-    if (bookingData.customerId !== userId) {
-      return res.status(403).json({
-        success: false,
-        error: 'Access denied - this booking does not belong to you'
-      });
-    }
-    
-    // ✅ CRITICAL FIX: Allow rating for both 'delivered' and 'completed' statuses
-    if (bookingData.status !== 'delivered' && bookingData.status !== 'completed') {
+
+    // Tags and comment length are validated for the two-way rating system
+    if (!Array.isArray(tags) || (feedback && (typeof feedback !== 'string' || feedback.length > ratingsConfig.maxCommentLength))) {
       return res.status(400).json({
         success: false,
-        error: 'Rating can only be submitted for completed bookings'
+        error: `Tags must be an array and feedback at most ${ratingsConfig.maxCommentLength} characters`
       });
     }
     
-    // Check if rating already exists
-    const existingRatingQuery = await db.collection('ratings')
-      .where('bookingId', '==', bookingId)
-      .where('customerId', '==', userId)
-      .limit(1)
-      .get();
-    
-    if (!existingRatingQuery.empty) {
-      return res.status(400).json({
+    // Ratings go through ratingService (reputation, moderation, low-rating review queue)
+    const ratingService = require('../services/ratingService');
+    const result = await ratingService.submitRating(userId, bookingId, {
+      rating: parseInt(rating),
+      comment: feedback || '',
+      tags
+    });
+
+    if (!result.success) {
+      const statusCodes = { BOOKING_NOT_FOUND: 404, ACCESS_DENIED: 403 };
+      return res.status(statusCodes[result.error.code] || 400).json({
         success: false,
-        error: 'Rating already submitted for this booking'
+        error: result.error.message,
+        code: result.error.code,
+        details: result.error.details
       });
     }
     
-    // Create rating record
-    const ratingData = {
-      bookingId,
-      customerId: userId,
-      driverId: bookingData.driverId,
-      rating: parseInt(rating),
-      feedback: feedback || '',
-      categories: categories || {},
-      createdAt: new Date(),
-      updatedAt: new Date()
-    };
-    
-    // Add rating record
-    const ratingRef = await db.collection('ratings').add(ratingData);
-    
-    // Update driver's average rating
-    const driverRatingsQuery = await db.collection('ratings')
-      .where('driverId', '==', bookingData.driverId)
-      .get();
-    
-    const ratings = driverRatingsQuery.docs.map(doc => doc.data().rating);
-    const averageRating = ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length;
-    
-    await db.collection('users').doc(bookingData.driverId).update({
-      'driver.averageRating': averageRating,
-      'driver.totalRatings': ratings.length,
-      updatedAt: new Date()
-    });
-    
     console.log(`✅ [RATING] Rating submitted for booking ${bookingId}: ${rating} stars`);
-    console.log(`⭐ [RATING] Updated driver ${bookingData.driverId} average rating: ${averageRating} (from ${ratings.length} total ratings)`);
-    
-    // ✅ CRITICAL FIX: Emit real-time rating update to admin dashboard (driver isolated)
-    try {
-      const socketService = require('../services/socket');
-      const io = socketService.getIO();
-      if (io) {
-        io.to('type:admin').emit('driver_rating_updated', {
-          driverId: bookingData.driverId,
-          bookingId: bookingId,
-          action: 'added',
-          rating: parseInt(rating),
-          newAverageRating: averageRating,
-          totalRatings: ratings.length,
-          timestamp: new Date().toISOString()
-        });
-        console.log(`📤 [RATING] Sent driver rating update event to admin dashboard for driver ${bookingData.driverId}`);
-      }
-    } catch (socketError) {
-      console.warn('⚠️ [RATING] Failed to emit rating update event:', socketError);
-      // Don't fail rating submission if socket emit fails
-    }
     
     res.json({
       success: true,
       message: 'Rating submitted successfully',
       data: {
-        ratingId: ratingRef.id,
-        rating: ratingData.rating,
-        averageRating: averageRating
+        ratingId: result.data.rating.id,
+        rating: result.data.rating.rating,
+        tags: result.data.rating.tags,
+        commentStatus: result.data.rating.moderation.status,
+        averageRating: result.data.reputation.averageRating
       }
     });
     
@@ -2243,16 +2431,13 @@ router.get('/bookings/:id/rating', authenticateToken, async (req, res) => {
   try {
     const { uid: userId } = req.user;
     const { id: bookingId } = req.params;
-    const db = getFirestore();
     
-    // Get rating for this booking
-    const ratingQuery = await db.collection('ratings')
-      .where('bookingId', '==', bookingId)
-      .where('customerId', '==', userId)
-      .limit(1)
-      .get();
+    // Looked up through ratingService so the driver's rating of the customer is never returned here
+    const ratingService = require('../services/ratingService');
+    const { RATING_DIRECTIONS, RATING_MODERATION_STATUSES } = require('../constants/ratings');
+    const ratingData = await ratingService.getRating(bookingId, RATING_DIRECTIONS.CUSTOMER_TO_DRIVER);
     
-    if (ratingQuery.empty) {
+    if (!ratingData || ratingData.customerId !== userId) {
       return res.json({
         success: true,
         data: null,
@@ -2260,14 +2445,14 @@ router.get('/bookings/:id/rating', authenticateToken, async (req, res) => {
       });
     }
     
-    const ratingData = ratingQuery.docs[0].data();
-    
     res.json({
       success: true,
       data: {
-        ratingId: ratingQuery.docs[0].id,
+        ratingId: ratingData.id,
         rating: ratingData.rating,
-        feedback: ratingData.feedback,
+        feedback: ratingData.comment,
+        tags: ratingData.tags || [],
+        commentStatus: ratingData.moderation?.status || RATING_MODERATION_STATUSES.VISIBLE,
         categories: ratingData.categories,
         createdAt: ratingData.createdAt
       }
@@ -2282,9 +2467,55 @@ router.get('/bookings/:id/rating', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/customer/bookings/:id/delivery-otp
+ * @desc Get the recipient OTP(s) for the proof-of-delivery handshake
+ * @access Private (Customer only)
+ */
+router.get('/bookings/:id/delivery-otp', authenticateToken, async (req, res) => {
+  try {
+    const { uid: userId } = req.user;
+    const { id: bookingId } = req.params;
+    const db = getFirestore();
+
+    const bookingDoc = await db.collection('bookings').doc(bookingId).get();
+    if (!bookingDoc.exists) {
+      return res.status(404).json({
+        success: false,
+        error: 'Booking not found'
+      });
+    }
+
+    if (bookingDoc.data().customerId !== userId) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied'
+      });
+    }
+
+    const deliveryOtpService = require('../services/deliveryOtpService');
+    const codes = await deliveryOtpService.getCodesForBooking(bookingId);
+
+    res.json({
+      success: true,
+      data: {
+        bookingId,
+        codes
+      }
+    });
+
+  } catch (error) {
+    console.error('Error getting delivery OTP:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get delivery OTP'
+    });
+  }
+});
+
 /**
  * @route GET /api/customer/invoice/:bookingId
- * @desc Download invoice for completed booking
+ * @desc Download the GST tax invoice of a completed or prepaid booking (issued once, then re-served)
  * @access Private (Customer only)
  */
 router.get('/invoice/:bookingId', authenticateToken, async (req, res) => {
@@ -2293,7 +2524,7 @@ router.get('/invoice/:bookingId', authenticateToken, async (req, res) => {
     const { bookingId } = req.params;
     const db = getFirestore();
     
-    console.log(`📄 Generating invoice for booking ${bookingId} for customer: ${userId}`);
+    console.log(`📄 Fetching invoice for booking ${bookingId} for customer: ${userId}`);
     
     // Get booking details
     const bookingDoc = await db.collection('bookings').doc(bookingId).get();
@@ -2305,184 +2536,46 @@ router.get('/invoice/:bookingId', authenticateToken, async (req, res) => {
       });
     }
     
-    const bookingData = bookingDoc.data();
-    
     // Verify booking belongs to customer
-    if (bookingData.customerId !== userId) {
+    if (bookingDoc.data().customerId !== userId) {
       return res.status(403).json({
         success: false,
         error: 'Access denied'
       });
     }
     
-    // Only allow invoice download for completed bookings
-    if (bookingData.status !== 'completed' && bookingData.status !== 'delivered') {
-      return res.status(400).json({
+    // Stored tax invoice with a sequential number (issued on first request if completion missed it)
+    const invoiceService = require('../services/invoiceService');
+    const result = await invoiceService.issueInvoice(bookingId);
+    
+    if (!result.success) {
+      const notAvailable = result.error.code === 'INVOICE_NOT_AVAILABLE';
+      return res.status(notAvailable ? 400 : 500).json({
         success: false,
-        error: 'Invoice is only available for completed bookings'
+        error: notAvailable ? result.error.message : 'Failed to generate invoice',
+        details: result.error.details
       });
     }
     
-    // Get customer details
-    let customerData = {};
-    try {
-      const customerDoc = await db.collection('users').doc(userId).get();
-      if (customerDoc.exists) {
-        customerData = customerDoc.data();
-      } else {
-        console.warn(`⚠️ Customer document not found for user: ${userId}`);
-      }
-    } catch (error) {
-      console.error(`❌ Error fetching customer data for user ${userId}:`, error);
-      // Continue with empty customer data rather than failing
-    }
-    
-    // ✅ CRITICAL FIX: Get driver details from correct collection (users, not drivers)
-    let driverData = null;
-    if (bookingData.driverId) {
-      try {
-        // ✅ FIX: Use 'users' collection, not 'drivers' collection
-        const driverDoc = await db.collection('users').doc(bookingData.driverId).get();
-        if (driverDoc.exists) {
-          driverData = driverDoc.data();
-        } else {
-          console.warn(`⚠️ Driver document not found for driver: ${bookingData.driverId}`);
-        }
-      } catch (error) {
-        console.error(`❌ Error fetching driver data for driver ${bookingData.driverId}:`, error);
-        // Continue without driver data rather than failing
-      }
-    }
-    
-    // Generate invoice data
-    const invoiceData = {
-      invoiceId: `INV-${bookingId.substring(0, 8).toUpperCase()}`,
-      invoiceDate: new Date().toISOString(),
-      bookingId: bookingId,
-      bookingDate: bookingData.createdAt ? (bookingData.createdAt.toDate ? bookingData.createdAt.toDate().toISOString() : new Date(bookingData.createdAt).toISOString()) : new Date().toISOString(),
-      completedDate: bookingData.completedAt ? (bookingData.completedAt.toDate ? bookingData.completedAt.toDate().toISOString() : new Date(bookingData.completedAt).toISOString()) : (bookingData.updatedAt ? new Date(bookingData.updatedAt).toISOString() : new Date().toISOString()),
-      
-      // Customer details
-      customer: {
-        name: bookingData.pickup?.name || customerData.name || 'Customer',
-        phone: customerData.phoneNumber || '', // Use customer's actual phone, not pickup.phone
-        email: customerData.email || ''
-      },
-      
-      // Driver details
-      driver: driverData ? {
-        name: driverData.personalInfo?.name || 'Driver',
-        phone: driverData.personalInfo?.phone || '',
-        vehicleNumber: driverData.vehicleInfo?.plateNumber || 'N/A'
-      } : null,
-      
-      // Booking details
-      pickup: {
-        address: bookingData.pickup?.address || 'Pickup address',
-        name: bookingData.pickup?.name || 'Sender',
-        phone: bookingData.pickup?.phone || '' // ✅ RESTORED: Sender phone for customer contact
-      },
-      
-      dropoff: {
-        address: bookingData.dropoff?.address || 'Dropoff address',
-        name: bookingData.dropoff?.name || 'Recipient',
-        phone: bookingData.dropoff?.phone || ''
-      },
-      
-      // Package details
-      package: {
-        weight: bookingData.package?.weight || 0,
-        description: bookingData.package?.description || 'Package',
-        value: bookingData.package?.value || 0
-      },
-      
-      // Fare details
-      fare: {
-        baseFare: bookingData.fare?.base || bookingData.pricing?.baseFare || bookingData.baseFare || 0,
-        distanceFare: bookingData.fare?.distance || bookingData.pricing?.distanceFare || bookingData.distanceFare || 0,
-        totalFare: bookingData.fare?.total || bookingData.pricing?.totalFare || bookingData.totalFare || bookingData.amount || 0,
-        currency: bookingData.fare?.currency || bookingData.currency || 'INR'
-      },
-      
-      // Distance and timing
-      distance: bookingData.distance?.value || bookingData.distance || 0,
-      estimatedTime: bookingData.estimatedDuration || 0,
-      actualTime: bookingData.actualDuration || 0,
-      
-      // Payment details
-      paymentMethod: bookingData.paymentMethod || 'cash',
-      paymentStatus: bookingData.paymentStatus || 'completed'
-    };
+    const invoiceData = invoiceService.toResponse(result.data);
     
     // Check if client wants PDF format
     const format = req.query.format || 'json';
     
     if (format === 'pdf') {
-      // Generate PDF invoice (requires pdfkit or similar library)
       try {
         const PDFDocument = require('pdfkit');
         const doc = new PDFDocument();
         
         // Set response headers for PDF download
         res.setHeader('Content-Type', 'application/pdf');
-        res.setHeader('Content-Disposition', `attachment; filename="invoice-${invoiceData.invoiceId}.pdf"`);
+        res.setHeader('Content-Disposition', `attachment; filename="invoice-${invoiceData.invoiceNumber.replace(/\//g, '-')}.pdf"`);
         
-        // Pipe PDF to response
         doc.pipe(res);
-        
-        // Add invoice content to PDF
-        doc.fontSize(20).text('EPickup Invoice', 50, 50);
-        doc.fontSize(12).text(`Invoice ID: ${invoiceData.invoiceId}`, 50, 80);
-        doc.text(`Date: ${new Date(invoiceData.invoiceDate).toLocaleDateString()}`, 50, 100);
-        doc.text(`Booking ID: ${invoiceData.bookingId}`, 50, 120);
-        
-        // Customer details
-        doc.text('Customer Details:', 50, 160);
-        doc.text(`Name: ${invoiceData.customer.name}`, 70, 180);
-        doc.text(`Phone: ${invoiceData.customer.phone}`, 70, 200);
-        doc.text(`Email: ${invoiceData.customer.email}`, 70, 220);
-        
-        // Driver details
-        if (invoiceData.driver) {
-          doc.text('Driver Details:', 50, 260);
-          doc.text(`Name: ${invoiceData.driver.name}`, 70, 280);
-          doc.text(`Phone: ${invoiceData.driver.phone}`, 70, 300);
-          doc.text(`Vehicle: ${invoiceData.driver.vehicleNumber}`, 70, 320);
-        }
-        
-        // Pickup details
-        doc.text('Pickup Details:', 50, 360);
-        doc.text(`Address: ${invoiceData.pickup.address}`, 70, 380);
-        doc.text(`Sender: ${invoiceData.pickup.name}`, 70, 400);
-        // Phone removed - sender phone not displayed
-        
-        // Dropoff details
-        doc.text('Dropoff Details:', 50, 440);
-        doc.text(`Address: ${invoiceData.dropoff.address}`, 70, 460);
-        doc.text(`Contact: ${invoiceData.dropoff.name} (${invoiceData.dropoff.phone})`, 70, 480);
-        
-        // Package details
-        doc.text('Package Details:', 50, 520);
-        doc.text(`Weight: ${invoiceData.package.weight} kg`, 70, 540);
-        doc.text(`Description: ${invoiceData.package.description}`, 70, 560);
-        
-        // Fare breakdown
-        doc.text('Fare Breakdown:', 50, 600);
-        doc.text(`Base Fare: ₹${invoiceData.fare.baseFare}`, 70, 620);
-        doc.text(`Distance Fare: ₹${invoiceData.fare.distanceFare}`, 70, 640);
-        doc.fontSize(14).text(`Total: ₹${invoiceData.fare.totalFare}`, 70, 670);
-        
-        // Payment details
-        doc.fontSize(12).text('Payment Details:', 50, 710);
-        doc.text(`Method: ${invoiceData.paymentMethod}`, 70, 730);
-        doc.text(`Status: ${invoiceData.paymentStatus}`, 70, 750);
-        
-        // Footer
-        doc.text('Thank you for using EPickup!', 50, 790);
-        
+        invoiceService.renderPdf(doc, invoiceData);
         doc.end();
         
-        console.log(`✅ Generated PDF invoice ${invoiceData.invoiceId} for booking ${bookingId}`);
+        console.log(`✅ Served PDF invoice ${invoiceData.invoiceNumber} for booking ${bookingId}`);
         return;
         
       } catch (error) {
@@ -2493,14 +2586,14 @@ router.get('/invoice/:bookingId', authenticateToken, async (req, res) => {
     
     // Default JSON response
     res.setHeader('Content-Type', 'application/json');
-    res.setHeader('Content-Disposition', `attachment; filename="invoice-${invoiceData.invoiceId}.json"`);
+    res.setHeader('Content-Disposition', `attachment; filename="invoice-${invoiceData.invoiceNumber.replace(/\//g, '-')}.json"`);
     
-    console.log(`✅ Generated invoice ${invoiceData.invoiceId} for booking ${bookingId}`);
+    console.log(`✅ Served invoice ${invoiceData.invoiceNumber} for booking ${bookingId}`);
     
     res.json({
       success: true,
       data: invoiceData,
-      message: 'Invoice generated successfully'
+      message: result.alreadyIssued ? 'Invoice retrieved successfully' : 'Invoice generated successfully'
     });
     
   } catch (error) {
@@ -2513,6 +2606,59 @@ router.get('/invoice/:bookingId', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/customer/credit-note/:creditNoteId
+ * @desc Download a credit note issued against one of the customer's invoices
+ * @access Private (Customer only)
+ */
+router.get('/credit-note/:creditNoteId', authenticateToken, async (req, res) => {
+  try {
+    const { uid: userId } = req.user;
+    const { creditNoteId } = req.params;
+    
+    const invoiceService = require('../services/invoiceService');
+    const creditNote = await invoiceService.getCreditNote(creditNoteId);
+    
+    if (!creditNote || creditNote.customerId !== userId) {
+      return res.status(404).json({
+        success: false,
+        error: 'Credit note not found'
+      });
+    }
+    
+    const noteData = invoiceService.toResponse(creditNote);
+    const fileName = `credit-note-${noteData.creditNoteNumber.replace(/\//g, '-')}`;
+    
+    if (req.query.format === 'pdf') {
+      const PDFDocument = require('pdfkit');
+      const doc = new PDFDocument();
+      
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}.pdf"`);
+      
+      doc.pipe(res);
+      invoiceService.renderPdf(doc, noteData);
+      doc.end();
+      return;
+    }
+    
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.json"`);
+    res.json({
+      success: true,
+      data: noteData,
+      message: 'Credit note retrieved successfully'
+    });
+    
+  } catch (error) {
+    console.error('❌ Error fetching credit note:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch credit note',
+      details: error.message
+    });
+  }
+});
+
 /**
  * @route   POST /api/customer/cancel-active-booking
  * @desc    Cancel current active booking
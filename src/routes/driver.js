@@ -3,8 +3,7 @@ const { body, validationResult } = require('express-validator');
 const { getFirestore, getStorage } = require('../services/firebase');
 const multer = require('multer');
 const { requireDriver } = require('../middleware/auth');
-const { documentStatusRateLimit } = require('../middleware/rateLimiter');
-const { speedLimiter, bookingStatusLimiter } = require('../middleware/rateLimit');
+const { speedLimiter, bookingStatusLimiter, documentStatusLimiter } = require('../middleware/rateLimit');
 const { documentStatusCache, invalidateUserCache } = require('../middleware/cache');
 const BookingLockService = require('../services/bookingLockService');
 const bookingLockService = new BookingLockService();
@@ -22,6 +21,12 @@ const upload = multer({
 });
 
 const fareCalculationService = require('../services/fareCalculationService');
+const serviceAreaValidation = require('../services/serviceAreaValidation');
+const driverProximityService = require('../services/driverProximityService');
+const driverSettlementService = require('../services/driverSettlementService');
+const { DRIVER_SETTLEMENT_COLLECTIONS } = require('../constants/driverSettlement');
+const driverStatementService = require('../services/driverStatementService');
+const maskedContactService = require('../services/maskedContactService');
 
 async function getDriverVerificationState(db, uid) {
   const userDoc = await db.collection('users').doc(uid).get();
@@ -64,6 +69,24 @@ function sendDriverNotVerified(res, verificationStatus) {
   });
 }
 
+async function hasCompletedWalletPayment(bookingId) {
+  const paymentService = require('../services/paymentService');
+  const walletPayment = await paymentService.getPaymentRecord(paymentService.walletPaymentId(bookingId));
+  return walletPayment?.status === 'completed';
+}
+
+function sendWalletPaymentCompleted(res) {
+  return res.status(409).json({
+    success: false,
+    error: {
+      code: 'WALLET_PAYMENT_COMPLETED',
+      message: 'Customer already paid from wallet',
+      details: 'This booking was paid from the customer wallet; do not collect cash'
+    },
+    timestamp: new Date().toISOString()
+  });
+}
+
 /**
  * Alias endpoint for driver location updates to avoid 404 on legacy clients
  * @route   POST /api/driver/tracking/update
@@ -105,6 +128,7 @@ router.post('/tracking/update', [
     // Persist latest location for driver (compatible with existing shape)
     await db.collection('driverLocations').doc(driverId).set({
       currentLocation: locationUpdate,
+      ...driverProximityService.getIndexFields(locationUpdate),
       lastUpdated: currentTime,
       bookingId,
       currentTripId: bookingId
@@ -1284,7 +1308,11 @@ router.post('/documents', [
   body('documentNumber')
     .optional()
     .isLength({ min: 5, max: 50 })
-    .withMessage('Document number must be between 5 and 50 characters')
+    .withMessage('Document number must be between 5 and 50 characters'),
+  body('expiryDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Expiry date must be a valid date (YYYY-MM-DD)')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -1303,6 +1331,17 @@ router.post('/documents', [
     const { uid } = req.user;
     const { documentType, documentUrl, documentNumber } = req.body;
     const db = getFirestore();
+
+    // Licence, insurance and RC uploads can carry the document's expiry date
+    const documentExpiryService = require('../services/documentExpiryService');
+    const expiry = documentExpiryService.validateExpiryDate(documentType, req.body.expiryDate);
+    if (!expiry.success) {
+      return res.status(400).json({
+        success: false,
+        error: expiry.error,
+        timestamp: new Date().toISOString()
+      });
+    }
     
     const userRef = db.collection('users').doc(uid);
     const userDoc = await userRef.get();
@@ -1345,6 +1384,11 @@ router.post('/documents', [
       updatedAt: new Date()
     });
 
+    if (expiry.data) {
+      await documentExpiryService.recordExpiry(uid, documentType, expiry.data, 'upload');
+      documents[documentType].expiryDate = expiry.data;
+    }
+
     // Invalidate cache for this user's document status
     invalidateUserCache(uid);
 
@@ -1662,6 +1706,28 @@ router.post('/earnings/report', requireDriver, async (req, res) => {
       }
     }
     
+    // CSV download, same cell escaping as the wallet statements
+    if (format === 'csv') {
+      const { toCsv } = require('../utils/csv');
+      const csv = toCsv(
+        ['Completed At', 'Booking ID', 'Customer', 'Pickup', 'Dropoff', 'Fare', 'Earnings', 'Commission (points)'],
+        tripDetails.map(trip => [
+          trip.completedAt?.toDate ? trip.completedAt.toDate().toISOString() : trip.completedAt,
+          trip.id,
+          trip.customerName,
+          trip.pickupLocation,
+          trip.dropoffLocation,
+          Number(trip.fare || 0).toFixed(2),
+          Number(trip.driverEarnings || 0).toFixed(2),
+          Number(trip.commission || 0).toFixed(2)
+        ])
+      );
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="earnings-report-${period}.csv"`);
+      return res.status(200).send(csv);
+    }
+
     // Calculate total commission
     let totalCommission = 0;
     tripDetails.forEach(trip => {
@@ -1696,6 +1762,105 @@ router.post('/earnings/report', requireDriver, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/driver/payout-account
+ * @desc    Get the bank account online-paid fares are settled to (masked)
+ * @access  Private (Driver only)
+ */
+router.get('/payout-account', requireDriver, async (req, res) => {
+  try {
+    const { uid } = req.user;
+    const db = getFirestore();
+
+    const userDoc = await db.collection('users').doc(uid).get();
+    const account = userDoc.exists ? userDoc.data().driver?.payoutAccount : null;
+
+    res.status(200).json({
+      success: true,
+      data: account
+        ? {
+          accountHolderName: account.accountHolderName,
+          accountNumberLast4: account.accountNumberLast4,
+          ifsc: account.ifsc,
+          updatedAt: account.updatedAt?.toDate?.()?.toISOString() || null
+        }
+        : null,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ [PAYOUT_ACCOUNT] Error getting payout account:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'PAYOUT_ACCOUNT_ERROR',
+        message: 'Failed to retrieve payout account',
+        details: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/driver/payout-account
+ * @desc    Set the bank account online-paid fares are settled to
+ * @access  Private (Driver only)
+ */
+router.put('/payout-account', [
+  requireDriver,
+  body('accountHolderName')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Account holder name must be between 2 and 100 characters'),
+  body('accountNumber')
+    .matches(/^\d{9,18}$/)
+    .withMessage('Account number must be 9 to 18 digits'),
+  body('ifsc')
+    .customSanitizer(value => (typeof value === 'string' ? value.toUpperCase() : value))
+    .matches(/^[A-Z]{4}0[A-Z0-9]{6}$/)
+    .withMessage('Please provide a valid IFSC code')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Validation failed',
+          details: errors.array()
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const { uid } = req.user;
+    const { accountHolderName, accountNumber, ifsc } = req.body;
+
+    const account = await driverSettlementService.savePayoutAccount(uid, { accountHolderName, accountNumber, ifsc });
+
+    console.log(`🏦 [PAYOUT_ACCOUNT] Driver ${uid} updated payout account (****${account.accountNumberLast4})`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Payout account updated successfully',
+      data: account,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ [PAYOUT_ACCOUNT] Error updating payout account:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'PAYOUT_ACCOUNT_ERROR',
+        message: 'Failed to update payout account',
+        details: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 /**
  * @route   GET /api/driver/earnings/detailed
  * @desc    Get detailed driver earnings breakdown
@@ -2285,9 +2450,10 @@ router.get('/bookings/history', requireDriver, async (req, res) => {
       });
     });
 
+    // Finished bookings do not expose customer, sender or recipient numbers
     res.status(200).json({
       success: true,
-      data: bookings,
+      data: await maskedContactService.maskBookings(bookings, 'driver'),
       total: bookings.length,
       summary: {
         grossTotal: roundCurrency(grossTotal),
@@ -2408,6 +2574,20 @@ router.get('/earnings/breakdown', requireDriver, async (req, res) => {
         paymentMethod: booking.paymentMethod || 'cash',
         status: booking.status || 'unknown'
       };
+
+      // Online-paid bookings are paid out by the platform (see driverSettlementService)
+      const settlementDoc = await db.collection(DRIVER_SETTLEMENT_COLLECTIONS.ENTRIES).doc(bookingId).get();
+      if (settlementDoc.exists) {
+        const entry = settlementDoc.data();
+        breakdown.settlement = {
+          status: entry.status,
+          grossFare: entry.grossFare,
+          commissionNetted: entry.commissionAmount,
+          netPayable: entry.netPayable,
+          payoutBatchId: entry.payoutBatchId,
+          settledAt: entry.settledAt?.toDate?.()?.toISOString() || null
+        };
+      }
       
       res.status(200).json({
         success: true,
@@ -2504,7 +2684,9 @@ router.get('/earnings/breakdown', requireDriver, async (req, res) => {
           averageGrossPerTrip: tripCount > 0 ? roundCurrency(totalGross / tripCount) : 0,
           averageNetPerTrip: tripCount > 0 ? roundCurrency(totalNet / tripCount) : 0
         },
-        tripBreakdowns: tripBreakdowns
+        tripBreakdowns: tripBreakdowns,
+        // Pending and settled payouts of online-paid fares (all time, not per period)
+        settlement: await driverSettlementService.getDriverSummary(uid)
       };
       
       res.status(200).json({
@@ -2673,7 +2855,11 @@ router.post('/trips/:id/rating', [
   body('comment')
     .optional()
     .isLength({ max: 500 })
-    .withMessage('Comment must be less than 500 characters')
+    .withMessage('Comment must be less than 500 characters'),
+  body('tags')
+    .optional()
+    .isArray()
+    .withMessage('Tags must be an array')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -2691,55 +2877,36 @@ router.post('/trips/:id/rating', [
 
     const { uid } = req.user;
     const { id } = req.params;
-    const { rating, comment } = req.body;
-    const db = getFirestore();
-    
-    const bookingRef = db.collection('bookings').doc(id);
-    const bookingDoc = await bookingRef.get();
+    const { rating, comment, tags = [] } = req.body;
     
-    if (!bookingDoc.exists) {
-      return res.status(404).json({
-        success: false,
-        error: {
-          code: 'TRIP_NOT_FOUND',
-          message: 'Trip not found',
-          details: 'Trip with this ID does not exist'
-        },
-        timestamp: new Date().toISOString()
-      });
-    }
+    // Driver ratings of customers go into the shared ratings collection and the customer's reputation
+    const ratingService = require('../services/ratingService');
+    const result = await ratingService.submitRating(uid, id, { rating: parseInt(rating), comment: comment || '', tags });
 
-    const bookingData = bookingDoc.data();
-    
-    // Check if driver is assigned to this trip
-    if (bookingData.driverId !== uid) {
-      return res.status(403).json({
+    if (!result.success) {
+      const statusCodes = { BOOKING_NOT_FOUND: 404, ACCESS_DENIED: 403, ALREADY_RATED: 409 };
+      const code = result.error.code === 'BOOKING_NOT_FOUND' ? 'TRIP_NOT_FOUND' : result.error.code;
+      return res.status(statusCodes[result.error.code] || 400).json({
         success: false,
         error: {
-          code: 'ACCESS_DENIED',
-          message: 'Access denied',
-          details: 'You can only rate trips assigned to you'
+          code,
+          message: result.error.message,
+          details: result.error.details || result.error.message
         },
         timestamp: new Date().toISOString()
       });
     }
     
-    // Update booking with driver rating
-    await bookingRef.update({
-      'driverRating.rating': rating,
-      'driverRating.comment': comment || '',
-      'driverRating.ratedAt': new Date(),
-      updatedAt: new Date()
-    });
-    
     res.status(200).json({
       success: true,
       message: 'Rating submitted successfully',
       data: {
         rating: {
-          rating,
-          comment: comment || '',
-          ratedAt: new Date()
+          rating: result.data.rating.rating,
+          comment: result.data.rating.comment,
+          tags: result.data.rating.tags,
+          commentStatus: result.data.rating.moderation.status,
+          ratedAt: result.data.rating.createdAt
         }
       },
       timestamp: new Date().toISOString()
@@ -2986,7 +3153,24 @@ router.put('/status', [
         });
         return sendDriverNotVerified(res, verificationState.verificationStatus);
       }
-      
+
+      // Driver must be inside an enabled service area zone to go online
+      if (typeof currentLocation?.latitude === 'number' && typeof currentLocation?.longitude === 'number') {
+        await serviceAreaValidation.ensureZonesLoaded();
+        const locationValidation = serviceAreaValidation.validateDriverLocation(currentLocation.latitude, currentLocation.longitude);
+        if (!locationValidation.isValid && require('../config/environment').isServiceAreaStrictMode()) {
+          return res.status(400).json({
+            success: false,
+            error: {
+              code: locationValidation.code || 'OUTSIDE_SERVICE_AREA',
+              message: 'Cannot go online',
+              details: locationValidation.message
+            },
+            timestamp: new Date().toISOString()
+          });
+        }
+      }
+
       try {
         // ✅ STEP 1: Check if driver has active booking (EXEMPTION RULE)
         // ✅ CRITICAL: Include 'delivered' - driver still needs to collect payment
@@ -3455,6 +3639,7 @@ router.put('/status', [
         longitude: currentLocation.longitude,
         timestamp: currentLocation.timestamp || new Date().toISOString()
       };
+      Object.assign(locationData, driverProximityService.getIndexFields(currentLocation));
     }
 
     await locationRef.set(locationData, { merge: true });
@@ -3549,6 +3734,7 @@ router.post('/location', [
         timestamp: new Date(),
         accuracy
       },
+      ...driverProximityService.getIndexFields({ latitude, longitude }),
       lastUpdated: new Date()
     }, { merge: true });
 
@@ -3662,6 +3848,7 @@ router.get('/bookings', requireDriver, async (req, res) => {
     
     const snapshot = await query.get();
     const bookings = [];
+    await serviceAreaValidation.ensureZonesLoaded();
     
     snapshot.forEach(doc => {
       const bookingData = doc.data();
@@ -3675,27 +3862,18 @@ router.get('/bookings', requireDriver, async (req, res) => {
           bookingData.pickup.coordinates.longitude
         );
         
-        // Check if pickup location is within Tirupattur service area
-        const tirupatturCenter = {
-          latitude: 12.4950,
-          longitude: 78.5678
-        };
-        
-        const pickupDistanceFromTirupattur = calculateDistance(
+        // Check if pickup location is inside an enabled service area zone and the driver radius
+        const isWithinServiceArea = serviceAreaValidation.validateLocation(
           bookingData.pickup.coordinates.latitude,
           bookingData.pickup.coordinates.longitude,
-          tirupatturCenter.latitude,
-          tirupatturCenter.longitude
-        );
-
-        // Check if within Tirupattur service area (27 km max) and driver radius
-        const isWithinTirupatturArea = pickupDistanceFromTirupattur <= 27;
+          { requireOpen: false }
+        ).isValid;
         const isWithinDriverRadius = distance <= parseFloat(radius);
         const isTestingMode = process.env.NODE_ENV === 'development' || 
                              process.env.TESTING_MODE === 'true' || 
                              process.env.BYPASS_RADIUS_CHECK === 'true';
         
-        if ((isWithinTirupatturArea && isWithinDriverRadius) || isTestingMode || isReviewerDriver) {
+        if ((isWithinServiceArea && isWithinDriverRadius) || isTestingMode || isReviewerDriver) {
           bookings.push({
             id: doc.id,
             ...bookingData,
@@ -3822,6 +4000,7 @@ router.post('/register-availability', [
         address: location.address || 'Current Location',
         timestamp: new Date()
       },
+      ...driverProximityService.getIndexFields(location),
       isOnline: true,
       isAvailable: true,
       lastUpdated: new Date()
@@ -3909,6 +4088,7 @@ router.post('/update-location', [
     await db.collection('driverLocations').doc(uid).set({
       driverId: uid,
       currentLocation: locationData,
+      ...driverProximityService.getIndexFields(locationData),
       lastUpdated: new Date()
     }, { merge: true });
 
@@ -4343,12 +4523,13 @@ router.get('/bookings/active', requireDriver, async (req, res) => {
     const bookingData = bookingDoc.data();
     
     // Format the response
-    const booking = {
+    // Customer, sender and recipient numbers are replaced by masked contact handles
+    const booking = await maskedContactService.maskBooking({
       id: bookingDoc.id,
       ...bookingData,
       createdAt: bookingData.createdAt?.toDate?.() || bookingData.createdAt,
       updatedAt: bookingData.updatedAt?.toDate?.() || bookingData.updatedAt
-    };
+    }, 'driver');
     
     console.log(`✅ [DRIVER_ACTIVE_BOOKING] Found active booking: ${bookingDoc.id}, status: ${bookingData.status}`);
     
@@ -4611,6 +4792,7 @@ router.get('/bookings/available', requireDriver, async (req, res) => {
     });
     
     // Process pending bookings
+    await serviceAreaValidation.ensureZonesLoaded();
     pendingSnapshot.forEach(doc => {
       const bookingData = doc.data();
       
@@ -4702,21 +4884,9 @@ router.get('/bookings/available', requireDriver, async (req, res) => {
           isWithinRadius: distance <= parseFloat(radius)
         });
         
-        // Check if pickup location is within Tirupattur service area
-        const tirupatturCenter = {
-          latitude: 12.4950,
-          longitude: 78.5678
-        };
-        
-        const pickupDistanceFromTirupattur = calculateDistance(
-          pickupLat,
-          pickupLng,
-          tirupatturCenter.latitude,
-          tirupatturCenter.longitude
-        );
-
-        // Check if within Tirupattur service area (27 km max) and driver radius
-        const isWithinTirupatturArea = pickupDistanceFromTirupattur <= 27;
+        // Check if pickup location is inside an enabled service area zone and the driver radius
+        const pickupServiceArea = serviceAreaValidation.validateLocation(pickupLat, pickupLng, { requireOpen: false });
+        const isWithinServiceArea = pickupServiceArea.isValid;
         const isWithinDriverRadius = distance <= parseFloat(radius);
         const isTestingMode = process.env.NODE_ENV === 'development' || 
                              process.env.TESTING_MODE === 'true' || 
@@ -4724,8 +4894,8 @@ router.get('/bookings/available', requireDriver, async (req, res) => {
         const isDeveloperMode = process.env.DEVELOPER_MODE === 'true';
         
         console.log('🔍 [DRIVER_API] Service area check:', {
-          pickupDistanceFromTirupattur,
-          isWithinTirupatturArea,
+          pickupServiceArea: pickupServiceArea.zone?.name || null,
+          isWithinServiceArea,
           driverDistance: distance,
           isWithinDriverRadius,
           NODE_ENV: process.env.NODE_ENV,
@@ -4735,13 +4905,13 @@ router.get('/bookings/available', requireDriver, async (req, res) => {
         });
         
         console.log('🔍 [DRIVER_API] Filtering decision:', {
-          isWithinTirupatturArea,
+          isWithinServiceArea,
           isWithinDriverRadius,
           isTestingMode: isTestingMode || isDeveloperMode,
-          willInclude: (isWithinTirupatturArea && isWithinDriverRadius) || isTestingMode || isDeveloperMode
+          willInclude: (isWithinServiceArea && isWithinDriverRadius) || isTestingMode || isDeveloperMode
         });
         
-        if ((isWithinTirupatturArea && isWithinDriverRadius) || isTestingMode || isDeveloperMode || isReviewerDriver) {
+        if ((isWithinServiceArea && isWithinDriverRadius) || isTestingMode || isDeveloperMode || isReviewerDriver) {
           // ✅ CRITICAL FIX: Normalize coordinates to plain objects for frontend
           const normalizedBooking = {
             id: doc.id,
@@ -4798,7 +4968,11 @@ router.get('/bookings/available', requireDriver, async (req, res) => {
     allBookings.sort((a, b) => a.distanceFromDriver - b.distanceFromDriver);
 
     // Apply pagination
-    const bookings = allBookings.slice(parseInt(offset), parseInt(offset) + parseInt(limit));
+    // Numbers are hidden until assignment, then replaced by masked contact handles
+    const bookings = await maskedContactService.maskBookings(
+      allBookings.slice(parseInt(offset), parseInt(offset) + parseInt(limit)),
+      'driver'
+    );
 
     console.log('🔍 [DRIVER_API] Final response:', {
       allBookingsCount: allBookings.length,
@@ -5424,6 +5598,10 @@ router.post('/bookings/:id/accept', idempotencyKeyMiddleware, requireDriver, asy
     // Released AFTER broadcast to ensure other drivers can't race ahead
     await bookingLockService.releaseBookingLock(id, uid);
 
+    // Withdraw any open broadcast-dispatch offers for this booking
+    const dispatchStrategyService = require('../services/dispatchStrategyService');
+    await dispatchStrategyService.closeDispatch(id, { status: 'assigned', driverId: uid, notifyDrivers: true });
+
     // ✅ CRITICAL FIX: Also send a push stop signal to drivers who were notified.
     // WebSocket-only stop misses drivers whose socket is disconnected.
     // This provides a fallback notification mechanism.
@@ -6036,6 +6214,11 @@ router.post('/bookings/:id/photo-verification/upload', [
       // Continue - photo is saved even if WebSocket fails
     }
 
+    // Compare the dropoff photo with the pickup photo (background; flags low matches for review)
+    if (safeType === 'delivery') {
+      require('../services/packagePhotoComparisonService').scheduleComparison(id);
+    }
+
     console.log(`✅ [PHOTO_UPLOAD] Photo verification uploaded successfully (traceId: ${traceId || 'none'}):`, {
       bookingId: id,
       photoType: safeType,
@@ -6708,6 +6891,11 @@ router.post('/bookings/:id/photo-verification', [
     
       console.log(`⚠️ [PHOTO_VERIFICATION] Photo ${photoType} stored using fallback (non-atomic) method`);
     }
+
+    // Compare the dropoff photo with the pickup photo (background; flags low matches for review)
+    if (photoType === 'delivery') {
+      require('../services/packagePhotoComparisonService').scheduleComparison(id);
+    }
     
     res.status(200).json({
       success: true,
@@ -6851,6 +7039,12 @@ router.post('/bookings/:id/confirm-payment', [
       });
     }
     
+    // A customer who paid from the wallet must not be charged cash as well
+    if (await hasCompletedWalletPayment(id)) {
+      console.warn(`⚠️ [PAYMENT_CONFIRM] Booking ${id} already paid from customer wallet`);
+      return sendWalletPaymentCompleted(res);
+    }
+    
     // ✅ CRITICAL FIX: Idempotent handling when booking is already completed & payment confirmed
     const paymentAlreadyConfirmed = statusBeforePayment === 'completed' &&
       (bookingData.paymentConfirmed ||
@@ -7021,6 +7215,10 @@ router.post('/bookings/:id/confirm-payment', [
         console.log(`✅ [PAYMENT_CONFIRM] Booking status transitioned to completed successfully`);
       } catch (stateMachineError) {
         console.error(`❌ [PAYMENT_CONFIRM] State machine transition failed:`, stateMachineError);
+        // The customer may have completed the booking from the wallet since it was read
+        if (await hasCompletedWalletPayment(id)) {
+          return sendWalletPaymentCompleted(res);
+        }
         // ✅ CRITICAL FIX: Fallback to direct status update if state machine fails
         console.log(`⚠️ [PAYMENT_CONFIRM] Falling back to direct status update`);
         
@@ -7096,6 +7294,9 @@ router.post('/bookings/:id/confirm-payment', [
         console.log(`✅ [PAYMENT_CONFIRM] Booking status transitioned to completed successfully`);
       } catch (stateMachineError) {
         console.error(`❌ [PAYMENT_CONFIRM] State machine transition failed:`, stateMachineError);
+        if (await hasCompletedWalletPayment(id)) {
+          return sendWalletPaymentCompleted(res);
+        }
         // If state machine fails, update payment fields directly as fallback
         console.log(`⚠️ [PAYMENT_CONFIRM] Falling back to direct status update`);
         
@@ -7936,9 +8137,10 @@ router.get('/bookings/history', requireDriver, async (req, res) => {
     // ✅ CRITICAL FIX: Log successful response for debugging
     console.log(`✅ [BOOKING_HISTORY] Successfully fetched ${bookings.length} bookings for driver ${uid}`);
 
+    // Finished bookings do not expose customer, sender or recipient numbers
     res.status(200).json({
       success: true,
-      data: bookings,
+      data: await maskedContactService.maskBookings(bookings, 'driver'),
       total: bookings.length,
       summary: {
         grossTotal: roundCurrency(grossTotal),
@@ -8057,7 +8259,11 @@ router.get('/bookings/:id/status', requireDriver, async (req, res) => {
 router.post('/bookings/:id/complete-delivery', [
   requireDriver,
   body('driverEarnings').isFloat({ min: 0 }).withMessage('Driver earnings must be a positive number'),
-  body('commission').isFloat({ min: 0 }).withMessage('Commission must be a positive number')
+  body('commission').isFloat({ min: 0 }).withMessage('Commission must be a positive number'),
+  body('otp').optional().isString().withMessage('Delivery OTP must be a string'),
+  body('proofPhotoId').optional().isString().withMessage('Proof photo ID must be a string'),
+  body('signatureUrl').optional().isString().withMessage('Signature URL must be a string'),
+  body('fallbackReason').optional().isString().withMessage('Fallback reason must be a string')
 ], async (req, res) => {
   try {
     const { id } = req.params;
@@ -8074,6 +8280,48 @@ router.post('/bookings/:id/complete-delivery', [
         error: 'Booking not found'
       });
     }
+
+    // Completing straight from the road still requires proof of delivery
+    // (bookings already delivered through the workflow have passed the handshake)
+    if (!['delivered', 'money_collection', 'completed'].includes(bookingDoc.data().status)) {
+      if (bookingDoc.data().driverId !== uid) {
+        return res.status(403).json({
+          success: false,
+          error: 'You can only complete bookings assigned to you'
+        });
+      }
+
+      const deliveryOtpService = require('../services/deliveryOtpService');
+      const { getStops, hasRemainingStops } = require('../utils/bookingStops');
+      if (hasRemainingStops(bookingDoc.data())) {
+        return res.status(409).json({
+          success: false,
+          error: 'Earlier drop-off stops must be delivered first'
+        });
+      }
+
+      const proof = await deliveryOtpService.verifyProof({
+        bookingId: id,
+        stopIndex: getStops(bookingDoc.data()).length - 1,
+        driverId: uid,
+        otp: req.body.otp,
+        proofPhotoId: req.body.proofPhotoId,
+        signatureUrl: req.body.signatureUrl,
+        fallbackReason: req.body.fallbackReason
+      });
+
+      if (!proof.isValid) {
+        return res.status(proof.code === 'OTP_LOCKED' ? 403 : 400).json({
+          success: false,
+          error: {
+            code: proof.code,
+            message: proof.message,
+            details: { attemptsRemaining: proof.attemptsRemaining }
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
     
     // ✅ CRITICAL FIX: Check if earnings record already exists (from payment confirmation)
     const existingEarningsSnapshot = await db.collection('driver_earnings')
@@ -8165,6 +8413,75 @@ router.post('/bookings/:id/complete-delivery', [
   }
 });
 
+/**
+ * @route   POST /api/driver/dispatch-offers/:assignmentId/respond
+ * @desc    Accept or reject a dispatch offer (broadcast offers: first accept wins)
+ * @access  Private (Driver only)
+ */
+router.post('/dispatch-offers/:assignmentId/respond', [
+  requireDriver,
+  body('response')
+    .isIn(['accepted', 'rejected'])
+    .withMessage('Response must be accepted or rejected'),
+  body('reason')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Reason must be at most 200 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Validation failed',
+          details: errors.array()
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const { uid } = req.user;
+    const { response, reason } = req.body;
+    const driverMatchingService = require('../services/driverMatchingService');
+    const result = await driverMatchingService.handleDriverResponse(req.params.assignmentId, uid, response, reason || null);
+
+    if (!result.success) {
+      const status = result.error === 'Assignment not found' ? 404
+        : result.error === 'Unauthorized response' ? 403
+          : 409;
+      return res.status(status).json({
+        success: false,
+        error: {
+          code: 'OFFER_RESPONSE_REJECTED',
+          message: 'Offer response not accepted',
+          details: result.error
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      message: result.message,
+      data: result.data,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error responding to dispatch offer:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'OFFER_RESPONSE_ERROR',
+        message: 'Failed to respond to dispatch offer',
+        details: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 /**
  * @route   POST /api/driver/bookings/:id/reject
  * @desc    Reject a booking
@@ -8374,6 +8691,18 @@ router.put('/:id/status', [
     const { status, location, eta } = req.body;
     const db = getFirestore();
 
+    // Delivery needs the proof-of-delivery handshake, which only the completion endpoint runs
+    if (status === 'delivered') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN_STATUS',
+          message: 'Delivered status must be confirmed via the delivery completion endpoint'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
     // Verify booking exists and driver is assigned
     const bookingRef = db.collection('bookings').doc(id);
     const bookingDoc = await bookingRef.get();
@@ -8999,7 +9328,28 @@ router.post('/complete-delivery', [
   body('recipientPhone')
     .optional()
     .isString()
-    .withMessage('Recipient phone must be a string')
+    .withMessage('Recipient phone must be a string'),
+  body('stopIndex')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Stop index must be a non-negative integer'),
+  body('otp')
+    .optional()
+    .isString()
+    .isLength({ min: 4, max: 8 })
+    .withMessage('Delivery OTP must be 4 to 8 digits'),
+  body('proofPhotoId')
+    .optional()
+    .isString()
+    .withMessage('Proof photo ID must be a string'),
+  body('signatureUrl')
+    .optional()
+    .isString()
+    .withMessage('Signature URL must be a string'),
+  body('fallbackReason')
+    .optional()
+    .isLength({ min: 5, max: 200 })
+    .withMessage('Fallback reason must be between 5 and 200 characters')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -9017,6 +9367,8 @@ router.post('/complete-delivery', [
 
     const { uid } = req.user;
     const { bookingId, location, photoUrl, notes, recipientName, recipientPhone, eventId, timestamp: eventTimestamp } = req.body;
+    const stopIndex = req.body.stopIndex !== undefined ? parseInt(req.body.stopIndex) : undefined;
+    const { otp, proofPhotoId, signatureUrl, fallbackReason } = req.body;
     const db = getFirestore();
     
     console.log('📦 [COMPLETE_DELIVERY] Completing delivery for booking:', bookingId, 'driver:', uid);
@@ -9029,10 +9381,73 @@ router.post('/complete-delivery', [
       photoUrl,
       recipientName,
       recipientPhone,
+      stopIndex,
+      otp,
+      proofPhotoId,
+      signatureUrl,
+      fallbackReason,
       eventId,
       eventTimestamp,
       source: 'driver_app'
     });
+
+    // Intermediate stop of a multi-stop delivery - record proof and send driver to the next stop
+    if (statusResult.stopCompleted && !statusResult.stopCompleted.isFinal) {
+      const completedStopIndex = statusResult.stopCompleted.index;
+
+      if (!statusResult.idempotent) {
+        await db.collection('deliveryVerifications').doc().set({
+          bookingId: bookingId,
+          driverId: uid,
+          customerId: statusResult.booking.customerId,
+          stopIndex: completedStopIndex,
+          location: location,
+          photoUrl: photoUrl || null,
+          notes: notes || null,
+          recipientName: recipientName || null,
+          recipientPhone: recipientPhone || null,
+          proofMethod: statusResult.deliveryProof?.method || null,
+          signatureUrl: signatureUrl || null,
+          deliveredAt: statusResult.eventTimestamp,
+          status: 'verified'
+        });
+
+        try {
+          const io = require('../services/socket').getIO();
+          if (io && statusResult.booking.customerId) {
+            io.to(`user:${statusResult.booking.customerId}`).emit('booking_status_update', {
+              bookingId: bookingId,
+              status: statusResult.status,
+              booking: statusResult.booking,
+              stopProgress: statusResult.stopProgress,
+              timestamp: new Date().toISOString(),
+              updatedBy: uid
+            });
+          }
+
+          const notificationService = require('../services/notificationService');
+          await notificationService.notifyCustomerStopDelivered(statusResult.booking, completedStopIndex);
+        } catch (notifyError) {
+          console.warn('⚠️ [COMPLETE_DELIVERY] Failed to notify customer of stop delivery:', notifyError);
+        }
+      }
+
+      console.log(`📦 [COMPLETE_DELIVERY] Stop ${completedStopIndex + 1} of booking ${bookingId} delivered`);
+
+      return res.json({
+        success: true,
+        message: `Stop ${completedStopIndex + 1} delivered. Proceed to the next stop.`,
+        data: {
+          bookingId: bookingId,
+          status: statusResult.status,
+          stopProgress: statusResult.stopProgress,
+          nextStop: statusResult.booking.stops?.[completedStopIndex + 1] || null,
+          idempotent: statusResult.idempotent
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
     const actualDuration = statusResult.booking?.timing?.actualDuration || null;
     let bookingData = statusResult.booking || {};
 
@@ -9135,6 +9550,8 @@ router.post('/complete-delivery', [
       notes: notes || null,
       recipientName: recipientName || null,
       recipientPhone: recipientPhone || null,
+      proofMethod: statusResult.deliveryProof?.method || null,
+      signatureUrl: signatureUrl || null,
       deliveredAt: statusResult.eventTimestamp,
       status: 'verified'
     });
@@ -9362,7 +9779,7 @@ router.post('/bookings/:id/validate-radius', [
       }
     }
 
-    // First check if pickup location is within Tirupattur service area
+    // First check if pickup location is within a service area
     if (isReviewerDriver) {
       console.log('🔓 [REVIEWER] Skipping service area validation for reviewer driver');
       return res.status(200).json({
@@ -9381,26 +9798,20 @@ router.post('/bookings/:id/validate-radius', [
         timestamp: new Date().toISOString()
       });
     }
-    const tirupatturCenter = {
-      latitude: 12.4950,
-      longitude: 78.5678
-    };
-    
-    const pickupDistanceFromTirupattur = calculateDistance(
+    // Check if pickup is inside an enabled service area zone
+    await serviceAreaValidation.ensureZonesLoaded();
+    const pickupServiceArea = serviceAreaValidation.validateLocation(
       bookingData.pickup.coordinates.latitude,
       bookingData.pickup.coordinates.longitude,
-      tirupatturCenter.latitude,
-      tirupatturCenter.longitude
+      { requireOpen: false }
     );
-
-    // Check if pickup is within Tirupattur service area (27 km max)
-    if (pickupDistanceFromTirupattur > 27) {
+    if (!pickupServiceArea.isValid) {
       return res.status(400).json({
         success: false,
         error: {
-          code: 'OUTSIDE_SERVICE_AREA',
+          code: pickupServiceArea.code || 'OUTSIDE_SERVICE_AREA',
           message: 'Pickup location outside service area',
-          details: 'This pickup location is outside the Tirupattur service area (27 km radius)'
+          details: pickupServiceArea.message
         },
         timestamp: new Date().toISOString()
       });
@@ -9605,6 +10016,103 @@ router.get('/wallet', requireDriver, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/driver/wallet/statements
+ * @desc    List stored monthly wallet statements (closed months)
+ * @access  Private (Driver only)
+ */
+router.get('/wallet/statements', requireDriver, async (req, res) => {
+  try {
+    const { uid } = req.user;
+    const limit = Math.max(1, Math.min(24, parseInt(req.query.limit) || 12));
+
+    const statements = await driverStatementService.listStatements(uid, limit);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        statements,
+        currentMonth: driverStatementService.getMonthKey()
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Error listing wallet statements:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'STATEMENTS_ERROR',
+        message: 'Failed to list wallet statements',
+        details: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * @route   GET /api/driver/wallet/statements/:month
+ * @desc    Monthly wallet statement (YYYY-MM) as JSON, PDF or CSV (?format=)
+ * @access  Private (Driver only)
+ */
+router.get('/wallet/statements/:month', requireDriver, async (req, res) => {
+  try {
+    const { uid } = req.user;
+    const { month } = req.params;
+    const format = req.query.format || 'json';
+
+    const result = await driverStatementService.getStatement(uid, month);
+    if (!result.success) {
+      return res.status(result.error.code === 'INVALID_STATEMENT_MONTH' ? 400 : 500).json({
+        success: false,
+        error: result.error,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const statement = result.data;
+    const fileName = `wallet-statement-${month}`;
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+      return res.status(200).send(driverStatementService.buildCsv(statement));
+    }
+
+    if (format === 'pdf') {
+      const PDFDocument = require('pdfkit');
+      const doc = new PDFDocument();
+
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}.pdf"`);
+
+      doc.pipe(res);
+      driverStatementService.renderPdf(doc, statement);
+      doc.end();
+      return;
+    }
+
+    res.status(200).json({
+      success: true,
+      data: statement,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Error getting wallet statement:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'STATEMENT_ERROR',
+        message: 'Failed to get wallet statement',
+        details: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 /**
  * @route   POST /api/driver/wallet/top-up
  * @desc    Top-up driver points wallet with real money
@@ -10903,12 +11411,54 @@ router.post('/availability/toggle-slot', [
   }
 });
 
+/**
+ * @route   GET /api/driver/documents/expiry
+ * @desc    Expiry dates, renewal requests and suspension state of the driver's documents
+ * @access  Private (Driver only)
+ */
+router.get('/documents/expiry', requireDriver, async (req, res) => {
+  try {
+    const documentExpiryService = require('../services/documentExpiryService');
+    const summary = await documentExpiryService.getDriverSummary(req.user.uid);
+
+    if (!summary) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'USER_NOT_FOUND',
+          message: 'User not found',
+          details: 'Driver does not exist'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: summary,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ [DOC_EXPIRY] Error getting document expiry summary:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DOCUMENT_EXPIRY_ERROR',
+        message: 'Failed to get document expiry details',
+        details: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 /**
  * @route   GET /api/driver/documents/status
  * @desc    Get driver document verification status
  * @access  Private (Driver only)
  */
-router.get('/documents/status', requireDriver, documentStatusRateLimit, documentStatusCache, async (req, res) => {
+router.get('/documents/status', requireDriver, documentStatusLimiter, documentStatusCache, async (req, res) => {
   try {
     const { uid } = req.user;
     const db = getFirestore();
@@ -11617,6 +12167,17 @@ router.post('/documents/request-verification', requireDriver, async (req, res) =
 
     // ✅ CRITICAL FIX: Remove any undefined values before saving to Firestore
     const cleanedVerificationRequest = removeUndefined(verificationRequest);
+
+    // Carry the extracted fields and mismatch flags of each document into the request
+    // (after removeUndefined, which would flatten the Timestamps inside)
+    const profileDocuments = userData.driver?.documents || {};
+    Object.keys(cleanedVerificationRequest.documents).forEach(camelKey => {
+      const snakeKey = camelKey.replace(/([A-Z])/g, '_$1').toLowerCase();
+      const extraction = profileDocuments[snakeKey]?.extraction || profileDocuments[camelKey]?.extraction;
+      if (extraction) {
+        cleanedVerificationRequest.documents[camelKey].extraction = extraction;
+      }
+    });
     
     console.log('📝 [VERIFICATION_REQUEST] Saving verification request:', {
       driverId: uid,
@@ -11847,6 +12408,7 @@ router.post('/tracking/start', [
         ...initialLocation,
         timestamp: new Date()
       },
+      ...driverProximityService.getIndexFields(initialLocation),
       lastUpdated: new Date()
     });
 
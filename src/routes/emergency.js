@@ -3,8 +3,8 @@ const router = express.Router();
 const { requireRole } = require('../middleware/auth');
 const { body, validationResult } = require('express-validator');
 const { getFirestore } = require('../services/firebase');
-const notificationService = require('../services/notificationService');
-const realTimeService = require('../services/realTimeService');
+const emergencyEscalationService = require('../services/emergencyEscalationService');
+const { EMERGENCY_ALERT_TYPES, EMERGENCY_ALERT_STATUSES, EMERGENCY_OUTCOME_CODES } = require('../constants/emergency');
 
 const db = getFirestore();
 
@@ -15,7 +15,7 @@ const db = getFirestore();
  */
 router.post('/alert', [
   requireRole(['customer', 'driver']),
-  body('alertType').isIn(['sos', 'accident', 'harassment', 'medical']).withMessage('Valid alert type required'),
+  body('alertType').isIn(EMERGENCY_ALERT_TYPES).withMessage('Valid alert type required'),
   body('bookingId').optional().isString(),
   body('location.latitude').isFloat().withMessage('Valid latitude required'),
   body('location.longitude').isFloat().withMessage('Valid longitude required'),
@@ -37,73 +37,24 @@ router.post('/alert', [
     const { alertType, bookingId, location, message } = req.body;
     const userId = req.user.uid;
 
-    // Create emergency alert record
-    const alertRef = await db.collection('emergency_alerts').add({
+    // Notifies on-call admins now and escalates (all admins, nearby drivers,
+    // emergency contacts) until an admin acknowledges
+    const result = await emergencyEscalationService.createAlert({
       userId,
-      bookingId,
+      userType: req.user.userType || req.user.role,
+      userName: req.user.name,
       alertType,
+      bookingId,
       location,
-      message,
-      status: 'active',
-      createdAt: new Date()
+      message
     });
-
-    // Get user's emergency contacts
-    const contactsSnapshot = await db.collection('emergency_contacts')
-      .where('userId', '==', userId)
-      .get();
-
-    const contacts = contactsSnapshot.docs.map(doc => doc.data());
-
-    // Send notifications to emergency contacts
-    for (const contact of contacts) {
-      await notificationService.sendToUser(contact.userId, {
-        type: 'emergency',
-        title: 'Emergency Alert',
-        body: `Emergency alert from ${req.user.name}: ${alertType}`,
-        data: {
-          alertId: alertRef.id,
-          alertType,
-          location,
-          message
-        }
-      });
-    }
-
-    // Send notification to admin
-    await notificationService.sendToTopic('admin', {
-      type: 'emergency',
-      title: 'Emergency Alert',
-      body: `Emergency alert from ${req.user.name}: ${alertType}`,
-      data: {
-        alertId: alertRef.id,
-        alertType,
-        location,
-        message
-      }
-    });
-
-    // Send real-time emergency alert via WebSocket
-    try {
-      await realTimeService.sendEmergencyAlert(bookingId || 'general', alertType, {
-        alertId: alertRef.id,
-        userId,
-        userType: req.user.role,
-        userName: req.user.name,
-        alertType,
-        location,
-        message,
-        timestamp: new Date().toISOString()
-      });
-    } catch (websocketError) {
-      console.warn('WebSocket emergency alert failed:', websocketError);
-      // Continue even if WebSocket fails
-    }
+    const alertRef = { id: result.data.id };
 
     res.status(201).json({
       success: true,
       data: {
         alertId: alertRef.id,
+        status: result.data.status,
         message: 'Emergency alert sent successfully'
       }
     });
@@ -119,6 +70,57 @@ router.post('/alert', [
   }
 });
 
+/**
+ * @route   POST /api/emergency/alert/:alertId/location
+ * @desc    Stream live location into an open emergency alert
+ * @access  Private
+ */
+router.post('/alert/:alertId/location', [
+  requireRole(['customer', 'driver']),
+  body('latitude').isFloat({ min: -90, max: 90 }).withMessage('Valid latitude required'),
+  body('longitude').isFloat({ min: -180, max: 180 }).withMessage('Valid longitude required'),
+  body('accuracy').optional().isFloat({ min: 0 }),
+  body('heading').optional().isFloat(),
+  body('speed').optional().isFloat({ min: 0 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Validation failed',
+          details: errors.array()
+        }
+      });
+    }
+
+    const result = await emergencyEscalationService.updateLocation(req.params.alertId, req.user.uid, req.body);
+    if (!result.success) {
+      const statusCodes = { ALERT_NOT_FOUND: 404, ACCESS_DENIED: 403, ALERT_CLOSED: 409 };
+      return res.status(statusCodes[result.error.code] || 400).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Emergency location update error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'EMERGENCY_LOCATION_ERROR',
+        message: 'Failed to update emergency location'
+      }
+    });
+  }
+});
+
 /**
  * @route   GET /api/emergency/contacts
  * @desc    Get user's emergency contacts
@@ -405,14 +407,92 @@ router.get('/admin/alerts', [
   }
 });
 
+/**
+ * @route   GET /api/emergency/admin/alerts/:alertId
+ * @desc    Get an emergency alert with its full timeline
+ * @access  Private (Admin only)
+ */
+router.get('/admin/alerts/:alertId', [
+  requireRole(['admin'])
+], async (req, res) => {
+  try {
+    const result = await emergencyEscalationService.getAlertWithTimeline(req.params.alertId);
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'ALERT_NOT_FOUND',
+          message: 'Emergency alert not found'
+        }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Get emergency alert timeline error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'GET_ALERT_TIMELINE_ERROR',
+        message: 'Failed to get emergency alert'
+      }
+    });
+  }
+});
+
+/**
+ * @route   POST /api/emergency/admin/alerts/:alertId/acknowledge
+ * @desc    Acknowledge an emergency alert (stops escalation)
+ * @access  Private (Admin only)
+ */
+router.post('/admin/alerts/:alertId/acknowledge', [
+  requireRole(['admin']),
+  body('note').optional().isString()
+], async (req, res) => {
+  try {
+    const result = await emergencyEscalationService.acknowledge(req.params.alertId, req.user.uid, req.body.note || null);
+    if (!result.success) {
+      return res.status(result.error.code === 'ALERT_NOT_FOUND' ? 404 : 409).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Acknowledge emergency alert error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ACKNOWLEDGE_ALERT_ERROR',
+        message: 'Failed to acknowledge emergency alert'
+      }
+    });
+  }
+});
+
 /**
  * @route   PUT /api/emergency/admin/alerts/:alertId/status
- * @desc    Update emergency alert status
+ * @desc    Update emergency alert status (resolving or cancelling requires an outcome code)
  * @access  Private (Admin only)
  */
 router.put('/admin/alerts/:alertId/status', [
   requireRole(['admin']),
-  body('status').isIn(['active', 'resolved', 'cancelled']).withMessage('Valid status required'),
+  body('status').isIn([
+    EMERGENCY_ALERT_STATUSES.ACKNOWLEDGED,
+    EMERGENCY_ALERT_STATUSES.RESOLVED,
+    EMERGENCY_ALERT_STATUSES.CANCELLED
+  ]).withMessage('Valid status required'),
+  body('outcomeCode')
+    .if(body('status').isIn([EMERGENCY_ALERT_STATUSES.RESOLVED, EMERGENCY_ALERT_STATUSES.CANCELLED]))
+    .isIn(EMERGENCY_OUTCOME_CODES)
+    .withMessage(`Outcome code is required: ${EMERGENCY_OUTCOME_CODES.join(', ')}`),
   body('adminNotes').optional().isString()
 ], async (req, res) => {
   try {
@@ -429,43 +509,24 @@ router.put('/admin/alerts/:alertId/status', [
     }
 
     const { alertId } = req.params;
-    const { status, adminNotes } = req.body;
+    const { status, outcomeCode, adminNotes } = req.body;
     const adminId = req.user.uid;
 
-    // Update alert status
-    await db.collection('emergency_alerts').doc(alertId).update({
-      status,
-      adminNotes,
-      updatedBy: adminId,
-      updatedAt: new Date()
-    });
+    const result = status === EMERGENCY_ALERT_STATUSES.ACKNOWLEDGED
+      ? await emergencyEscalationService.acknowledge(alertId, adminId, adminNotes || null)
+      : await emergencyEscalationService.close(alertId, adminId, { status, outcomeCode, adminNotes: adminNotes || null });
 
-    // Get updated alert data
-    const alertDoc = await db.collection('emergency_alerts').doc(alertId).get();
-    const alertData = alertDoc.data();
-
-    // Send notification to user about status update
-    if (alertData.userId) {
-      await notificationService.sendToUser(alertData.userId, {
-        type: 'emergency_status_update',
-        title: 'Emergency Alert Update',
-        body: `Your emergency alert has been ${status}`,
-        data: {
-          alertId,
-          status,
-          adminNotes
-        }
+    if (!result.success) {
+      const statusCodes = { ALERT_NOT_FOUND: 404, OUTCOME_CODE_REQUIRED: 400, INVALID_ALERT_STATUS: 409 };
+      return res.status(statusCodes[result.error.code] || 400).json({
+        success: false,
+        error: result.error
       });
     }
 
     res.status(200).json({
       success: true,
-      data: {
-        alertId,
-        status,
-        adminNotes,
-        updatedAt: new Date()
-      }
+      data: result.data
     });
 
   } catch (error) {
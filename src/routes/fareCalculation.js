@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const fareCalculationService = require('../services/fareCalculationService');
 const { authenticateToken } = require('../middleware/auth');
+const { MAX_DROPOFF_STOPS } = require('../utils/bookingStops');
 
 /**
  * @route POST /api/fare/estimate
@@ -10,7 +11,9 @@ const { authenticateToken } = require('../middleware/auth');
  */
 router.post('/estimate', async (req, res) => {
     try {
-        const { pickup, dropoff } = req.body;
+        const { pickup, stops } = req.body;
+        // Multi-stop routes send an ordered `stops` list; the final stop is the dropoff
+        const dropoff = Array.isArray(stops) && stops.length > 0 ? stops[stops.length - 1] : req.body.dropoff;
 
         // Validate input
         if (!pickup || !dropoff || !pickup.lat || !pickup.lng || !dropoff.lat || !dropoff.lng) {
@@ -20,7 +23,14 @@ router.post('/estimate', async (req, res) => {
             });
         }
 
-        const fareEstimate = await fareCalculationService.getFareEstimate(pickup, dropoff);
+        if (Array.isArray(stops) && (stops.length > MAX_DROPOFF_STOPS || stops.some(stop => !stop || !stop.lat || !stop.lng))) {
+            return res.status(400).json({
+                success: false,
+                message: `Stops must be 1 to ${MAX_DROPOFF_STOPS} locations with valid coordinates`
+            });
+        }
+
+        const fareEstimate = await fareCalculationService.getFareEstimate(pickup, dropoff, stops);
 
         res.json({
             success: true,
@@ -119,17 +129,35 @@ router.post('/complete-trip', authenticateToken, async (req, res) => {
  * @desc Get current fare rates and commission structure
  * @access Public
  */
-router.get('/rates', (req, res) => {
-    res.json({
-        success: true,
-        data: {
-            baseFarePerKm: fareCalculationService.BASE_FARE_PER_KM,
-            commissionPerKm: fareCalculationService.COMMISSION_PER_KM,
-            minimumFare: fareCalculationService.MINIMUM_FARE,
-            currency: 'INR',
-            updatedAt: new Date().toISOString()
-        }
-    });
+router.get('/rates', async (req, res) => {
+    try {
+        const plan = await fareCalculationService.getActivePlan();
+
+        res.json({
+            success: true,
+            data: {
+                planId: plan.id,
+                planVersion: plan.version,
+                planName: plan.name,
+                effectiveFrom: plan.effectiveFrom ? new Date(plan.effectiveFrom).toISOString() : null,
+                effectiveUntil: plan.effectiveUntil ? new Date(plan.effectiveUntil).toISOString() : null,
+                fare: plan.fare,
+                commission: plan.commission,
+                // Legacy fields kept for older app versions
+                baseFarePerKm: plan.fare.fullKmRate,
+                commissionPerKm: plan.commission.ratePerKm,
+                minimumFare: plan.fare.baseRate,
+                currency: plan.currency || 'INR',
+                updatedAt: new Date().toISOString()
+            }
+        });
+    } catch (error) {
+        console.error('Fare rates error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch fare rates'
+        });
+    }
 });
 
 /**
@@ -98,6 +98,23 @@ router.post('/driver-document', requireDriver, upload.single('document'), async
       normalizedDocType = documentType.replace(/([A-Z])/g, '_$1').toLowerCase();
     }
 
+    // Licence, insurance and RC uploads can carry the document's expiry date
+    const documentExpiryService = require('../services/documentExpiryService');
+    const expiry = documentExpiryService.validateExpiryDate(normalizedDocType, req.body.expiryDate);
+    if (!expiry.success) {
+      return res.status(400).json({
+        success: false,
+        error: expiry.error.message,
+        code: expiry.error.code
+      });
+    }
+
+    // Score blur, brightness and resolution and hash the photo for duplicate detection
+    const documentImageCheckService = require('../services/documentImageCheckService');
+    const quality = file.mimetype && file.mimetype.startsWith('image/')
+      ? await documentImageCheckService.analyze(file.buffer, normalizedDocType)
+      : null;
+
     console.log('📤 [BACKEND PROXY] Uploading document:', { driverId: finalDriverId, documentType, fileSize: file.size });
 
     // Get Firebase Storage instance
@@ -135,6 +152,10 @@ router.post('/driver-document', requireDriver, upload.single('document'), async
       expires: '03-01-2500' // Far future date
     });
 
+    // Same photo on another driver or another document type goes to the admin fraud queue
+    const duplicateReviewId = await documentImageCheckService.registerImage(finalDriverId, normalizedDocType, quality, filePath);
+    const storedQuality = quality && { ...quality, duplicateReviewId };
+
     // Update user document in Firestore
     try {
       const db = getFirestore();
@@ -148,7 +169,8 @@ router.post('/driver-document', requireDriver, upload.single('document'), async
           downloadURL: downloadURL,
           uploadedAt: new Date().toISOString(),
           status: 'uploaded',
-          uploadedBy: 'backend_proxy'
+          uploadedBy: 'backend_proxy',
+          quality: storedQuality
         },
         [`driver.documents.${normalizedDocType}`]: {
           fileName: fileName,
@@ -156,12 +178,17 @@ router.post('/driver-document', requireDriver, upload.single('document'), async
           downloadURL: downloadURL,
           uploadedAt: new Date().toISOString(),
           status: 'uploaded',
-          uploadedBy: 'backend_proxy'
+          uploadedBy: 'backend_proxy',
+          quality: storedQuality
         },
         updatedAt: new Date()
       };
 
       await userRef.update(updateData);
+
+      if (expiry.data) {
+        await documentExpiryService.recordExpiry(finalDriverId, normalizedDocType, expiry.data, 'upload');
+      }
       
       console.log('✅ [BACKEND PROXY] User document updated in Firestore');
     } catch (firestoreError) {
@@ -169,6 +196,12 @@ router.post('/driver-document', requireDriver, upload.single('document'), async
       // Don't fail the upload for Firestore errors
     }
 
+    // Read the document's fields and cross-check them against the profile
+    const documentExtractionService = require('../services/documentExtractionService');
+    const extraction = await documentExtractionService.processUpload(finalDriverId, normalizedDocType, file, {
+      expiryDate: expiry.data
+    });
+
     console.log('✅ [BACKEND PROXY] Driver document upload completed successfully');
 
     res.json({
@@ -180,6 +213,9 @@ router.post('/driver-document', requireDriver, upload.single('document'), async
         size: file.size,
         uploadedAt: new Date().toISOString(),
         documentType: documentType,
+        expiryDate: expiry.data ? expiry.data.toISOString() : null,
+        extraction,
+        quality: documentImageCheckService.summarize(quality),
         driverId: finalDriverId
       }
     });
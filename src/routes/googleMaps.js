@@ -2,7 +2,7 @@ const express = require('express');
 const { Client } = require('@googlemaps/google-maps-services-js');
 const { asyncHandler } = require('../middleware/errorHandler');
 const environmentConfig = require('../config/environment');
-const rateLimit = require('express-rate-limit');
+const { createPolicyLimiter } = require('../middleware/rateLimit');
 const recaptchaEnterpriseService = require('../services/recaptchaEnterpriseService');
 
 const router = express.Router();
@@ -11,19 +11,7 @@ const router = express.Router();
 const googleMapsClient = new Client({});
 
 // Rate limiting for Google Maps APIs
-const googleMapsLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
-  message: {
-    success: false,
-    message: 'Too many requests',
-    error: { code: 'RATE_LIMIT_EXCEEDED' }
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-  // Trust proxy for proper IP detection behind reverse proxy
-  trustProxy: true,
-});
+const googleMapsLimiter = createPolicyLimiter('googleMaps');
 
 // Apply rate limiting to all Google Maps routes
 router.use(googleMapsLimiter);
@@ -131,8 +131,7 @@ router.get('/verify/:transactionId',
  * @access Public
  * 
  * NOTE: This route is registered in server.js directly to handle webhooks without auth.
- * This route handler is kept for reference but may not be reached due to route precedence.
- * The actual callback is handled in server.js:495
+ * It only settles customer wallet top-ups (paymentService.handlePhonePeCallback).
  */
 // router.post('/phonepe/callback', ...) - DISABLED: Handled in server.js to avoid duplicate routes
 
@@ -147,9 +146,48 @@ router.post('/refund',
   body('transactionId').isString().withMessage('Transaction ID is required').notEmpty().withMessage('Transaction ID cannot be empty'),
   body('refundAmount').isNumeric().withMessage('Refund amount must be a number').isFloat({ min: 1 }).withMessage('Refund amount must be at least 1'),
   body('refundReason').isString().withMessage('Refund reason is required').notEmpty().withMessage('Refund reason cannot be empty'),
+  body('refundTo').optional().isIn(['wallet', 'source']).withMessage('Refund destination must be wallet or source'),
   checkValidation,
   async (req, res) => {
     try {
+      // Refunds to the customer wallet are credited immediately (admin only)
+      if (req.body.refundTo === 'wallet') {
+        if (req.user.userType !== 'admin') {
+          return res.status(403).json({
+            success: false,
+            message: 'Access denied',
+            error: {
+              code: 'ACCESS_DENIED',
+              message: 'Only admins can issue wallet refunds'
+            },
+            timestamp: new Date().toISOString()
+          });
+        }
+
+        const paymentService = require('../services/paymentService');
+        const { transactionId, refundAmount, refundReason } = req.body;
+        const result = await paymentService.processRefund(transactionId, parseFloat(refundAmount), refundReason, {
+          refundTo: 'wallet',
+          requestedBy: req.user.id
+        });
+
+        if (!result.success) {
+          return res.status(400).json({
+            success: false,
+            message: result.error.message,
+            error: result.error,
+            timestamp: new Date().toISOString()
+          });
+        }
+
+        return res.json({
+          success: true,
+          message: result.message,
+          data: result.data,
+          timestamp: new Date().toISOString()
+        });
+      }
+
       // ⚠️ PhonePe refunds deprecated - use admin support for Razorpay payment refunds
       return res.status(410).json({
         success: false,
@@ -207,6 +245,26 @@ router.get('/methods',
         }
       };
 
+      // Customers can also pay from their prepaid wallet
+      if (userType === 'customer') {
+        const paymentService = require('../services/paymentService');
+        const customerWalletService = require('../services/customerWalletService');
+        const walletMethod = paymentService.getSupportedPaymentMethods().wallet;
+        try {
+          const wallet = await customerWalletService.getWallet(userId);
+          defaultMethods.wallet = {
+            name: walletMethod.name,
+            code: walletMethod.code,
+            supported: walletMethod.supported,
+            description: walletMethod.description,
+            icon: 'wallet-outline',
+            balance: wallet.balance
+          };
+        } catch (error) {
+          console.error(`❌ Error fetching wallet balance for customer ${userId}:`, error);
+        }
+      }
+
       // For customers, check if they have saved payment methods
       let customerMethods = [];
       if (userType === 'customer') {
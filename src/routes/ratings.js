@@ -0,0 +1,81 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { requireRole } = require('../middleware/auth');
+const ratingService = require('../services/ratingService');
+const { RATING_TAGS, RATING_DIRECTIONS } = require('../constants/ratings');
+
+const router = express.Router();
+
+/**
+ * @route GET /api/ratings/tags
+ * @desc Tags the user can attach when rating the other party
+ * @access Private (Customer, Driver)
+ */
+router.get('/tags', requireRole(['customer', 'driver']), (req, res) => {
+  const direction = req.user.userType === 'driver'
+    ? RATING_DIRECTIONS.DRIVER_TO_CUSTOMER
+    : RATING_DIRECTIONS.CUSTOMER_TO_DRIVER;
+
+  res.json({
+    success: true,
+    data: {
+      direction,
+      tags: RATING_TAGS[direction]
+    }
+  });
+});
+
+/**
+ * @route GET /api/ratings/me
+ * @desc The user's reputation and the ratings they received
+ * @access Private (Customer, Driver)
+ */
+router.get('/me', [
+  requireRole(['customer', 'driver']),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Validation failed',
+          details: errors.array()
+        }
+      });
+    }
+
+    const [reputation, ratings] = await Promise.all([
+      ratingService.getReputation(req.user.uid),
+      ratingService.listReceived(req.user.uid, parseInt(req.query.limit) || 20)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        reputation: reputation && {
+          score: reputation.score,
+          averageRating: reputation.averageRating,
+          totalRatings: reputation.totalRatings,
+          tagCounts: reputation.tagCounts || {}
+        },
+        ratings
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ [RATING] Error getting ratings:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'RATINGS_FETCH_ERROR',
+        message: 'Failed to get ratings',
+        details: error.message
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -11,6 +11,7 @@ const { asyncHandler } = require('../middleware/errorHandler');
 router.get('/info', asyncHandler(async (req, res) => {
   console.log('📍 Service area info requested');
   try {
+    await serviceAreaValidation.ensureZonesLoaded();
     const serviceAreaInfo = serviceAreaValidation.getServiceAreaInfo();
     console.log('✅ Service area info retrieved:', serviceAreaInfo);
     
@@ -31,7 +32,7 @@ router.get('/info', asyncHandler(async (req, res) => {
 
 /**
  * @route POST /api/service-area/validate-location
- * @desc Validate a single location against service area
+ * @desc Validate a single location against service area (resolves its zone)
  * @access Public
  */
 router.post('/validate-location', asyncHandler(async (req, res) => {
@@ -47,6 +48,7 @@ router.post('/validate-location', asyncHandler(async (req, res) => {
     });
   }
 
+  await serviceAreaValidation.ensureZonesLoaded();
   const validation = serviceAreaValidation.validateLocation(latitude, longitude);
   
   res.json({
@@ -58,11 +60,11 @@ router.post('/validate-location', asyncHandler(async (req, res) => {
 
 /**
  * @route POST /api/service-area/validate-booking
- * @desc Validate booking locations (pickup and dropoff) against service area
+ * @desc Validate booking locations (pickup, dropoff and stops) against the pickup's service area
  * @access Public
  */
 router.post('/validate-booking', asyncHandler(async (req, res) => {
-  const { pickup, dropoff } = req.body;
+  const { pickup, dropoff, stops } = req.body;
 
   if (!pickup?.coordinates || !dropoff?.coordinates) {
     return res.status(400).json({
@@ -80,9 +82,11 @@ router.post('/validate-booking', asyncHandler(async (req, res) => {
     },
     dropoff: {
       coordinates: dropoff.coordinates
-    }
+    },
+    stops: Array.isArray(stops) ? stops.filter(stop => stop?.coordinates) : undefined
   };
 
+  await serviceAreaValidation.ensureZonesLoaded();
   const validation = serviceAreaValidation.validateBookingLocations(bookingData);
   
   res.json({
@@ -110,6 +114,7 @@ router.post('/validate-route', asyncHandler(async (req, res) => {
     });
   }
 
+  await serviceAreaValidation.ensureZonesLoaded();
   const validation = serviceAreaValidation.validateRoute(coordinates);
   
   res.json({
@@ -137,6 +142,7 @@ router.post('/validate-driver', asyncHandler(async (req, res) => {
     });
   }
 
+  await serviceAreaValidation.ensureZonesLoaded();
   const validation = serviceAreaValidation.validateDriverLocation(latitude, longitude);
   
   res.json({
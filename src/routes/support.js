@@ -2,6 +2,8 @@ const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const { requireRole } = require('../middleware/auth');
 const { getFirestore } = require('../services/firebase');
+const supportTicketService = require('../services/supportTicketService');
+const supportEvidenceService = require('../services/supportEvidenceService');
 // const socketService = require('../services/socketService');
 
 const router = express.Router();
@@ -23,8 +25,9 @@ const sendToTopic = (topic, data) => {
 router.post('/ticket', [
   body('subject').isLength({ min: 5, max: 100 }).withMessage('Subject must be between 5 and 100 characters'),
   body('description').isLength({ min: 10, max: 1000 }).withMessage('Description must be between 10 and 1000 characters'),
-  body('category').isIn(['technical', 'billing', 'delivery', 'account', 'other']).withMessage('Invalid category'),
-  body('priority').isIn(['low', 'medium', 'high', 'urgent']).withMessage('Invalid priority')
+  body('category').optional().isIn(['technical', 'billing', 'delivery', 'account', 'other']).withMessage('Invalid category'),
+  body('priority').isIn(['low', 'medium', 'high', 'urgent']).withMessage('Invalid priority'),
+  body('bookingId').optional().isString().withMessage('Booking ID must be a string')
 ], async (req, res) => {
   try {
     // Check validation errors
@@ -40,7 +43,7 @@ router.post('/ticket', [
       });
     }
 
-    const { subject, description, category, priority } = req.body;
+    const { subject, description, category, priority, bookingId } = req.body;
     const userId = req.user.uid;
     
     // ✅ CRITICAL FIX: Validate userType from middleware - don't default to customer
@@ -58,29 +61,28 @@ router.post('/ticket', [
     
     const userType = req.user.userType;
 
-    // Create ticket
-    const ticketData = {
-      id: `ticket_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    // Tickets about a booking get its trip evidence attached
+    if (bookingId) {
+      const access = await supportTicketService.validateBookingAccess(bookingId, userId);
+      if (!access.success) {
+        return res.status(access.error.code === 'BOOKING_NOT_FOUND' ? 404 : 403).json({
+          success: false,
+          error: access.error
+        });
+      }
+    }
+
+    // Categorise, set SLA deadlines and auto-assign to an agent
+    const result = await supportTicketService.createTicket({
       userId,
       userType,
       subject,
       description,
       category,
       priority,
-      status: 'open',
-      createdAt: new Date(),
-      updatedAt: new Date(),
-      messages: [{
-        id: `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-        senderId: userId,
-        senderType: userType,
-        message: description,
-        timestamp: new Date()
-      }]
-    };
-
-    // Save to database
-    await getDb().collection('supportTickets').doc(ticketData.id).set(ticketData);
+      bookingId: bookingId || null
+    });
+    const ticketData = result.data;
 
     res.status(201).json({
       success: true,
@@ -88,6 +90,12 @@ router.post('/ticket', [
       data: {
         ticketId: ticketData.id,
         status: ticketData.status,
+        category: ticketData.category,
+        priority: ticketData.priority,
+        bookingId: ticketData.bookingId,
+        evidenceAttached: ticketData.evidence?.status === 'attached',
+        firstResponseDueAt: ticketData.sla.firstResponseDueAt,
+        resolutionDueAt: ticketData.sla.resolutionDueAt,
         createdAt: ticketData.createdAt
       }
     });
@@ -332,11 +340,20 @@ router.post('/ticket/:ticketId/message', [
       timestamp: new Date()
     };
 
+    // Keep SLA clocks in step - an agent reply reopens a resolved
+    // ticket and the first agent reply stops the first-response clock
+    const nextStatus = userType === 'admin' ? 'in_progress' : ticket.status;
+    const slaUpdate = supportTicketService.buildStatusUpdate(ticket, nextStatus, newMessage.timestamp);
+    if (userType === 'admin') {
+      Object.assign(slaUpdate, supportTicketService.buildAgentReplyUpdate({ ...ticket, ...slaUpdate }, newMessage.timestamp));
+    }
+
     // Add message to ticket
     await ticketRef.update({
       messages: [...ticket.messages, newMessage],
       updatedAt: new Date(),
-      status: userType === 'admin' ? 'in_progress' : ticket.status
+      status: nextStatus,
+      ...slaUpdate
     });
 
     res.json({
@@ -410,6 +427,8 @@ router.put('/ticket/:ticketId/status', [
       adminNotes: adminNotes || null,
       lastUpdatedBy: adminId
     };
+    // Resolving/closing stops the resolution SLA clock; reopening restarts it
+    Object.assign(updateData, supportTicketService.buildStatusUpdate(ticketDoc.data(), status, updateData.updatedAt));
 
     await ticketRef.update(updateData);
 
@@ -1200,6 +1219,17 @@ router.post('/report-issue', [
 
     console.log(`🚨 Issue reported by ${userType} ${userId}: ${issueType}`);
 
+    // Issues about a booking get its trip evidence attached
+    if (bookingId) {
+      const access = await supportTicketService.validateBookingAccess(bookingId, userId);
+      if (!access.success) {
+        return res.status(access.error.code === 'BOOKING_NOT_FOUND' ? 404 : 403).json({
+          success: false,
+          error: access.error
+        });
+      }
+    }
+
     // Create issue report
     const issueData = {
       id: `issue_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
@@ -1218,7 +1248,13 @@ router.post('/report-issue', [
     };
 
     // Save to database
-    await getDb().collection('issueReports').doc(issueData.id).set(issueData);
+    const issueRef = getDb().collection('issueReports').doc(issueData.id);
+    await issueRef.set(issueData);
+
+    let evidence = null;
+    if (bookingId) {
+      evidence = await supportEvidenceService.captureForTicket(issueRef, bookingId, userId);
+    }
 
     // Send notification to support team
     sendToTopic('issue_reports', {
@@ -1237,6 +1273,7 @@ router.post('/report-issue', [
       data: {
         issueId: issueData.id,
         status: issueData.status,
+        evidenceAttached: !!evidence?.success,
         createdAt: issueData.createdAt
       }
     });
@@ -20,8 +20,11 @@ router.post('/start', [
   body('customerId').isString().notEmpty().withMessage('Customer ID is required'),
   body('pickup.coordinates.latitude').isFloat({ min: -90, max: 90 }).withMessage('Valid pickup latitude required'),
   body('pickup.coordinates.longitude').isFloat({ min: -180, max: 180 }).withMessage('Valid pickup longitude required'),
-  body('dropoff.coordinates.latitude').isFloat({ min: -90, max: 90 }).withMessage('Valid dropoff latitude required'),
-  body('dropoff.coordinates.longitude').isFloat({ min: -180, max: 180 }).withMessage('Valid dropoff longitude required'),
+  body('dropoff.coordinates.latitude').if(body('stops').not().exists()).isFloat({ min: -90, max: 90 }).withMessage('Valid dropoff latitude required'),
+  body('dropoff.coordinates.longitude').if(body('stops').not().exists()).isFloat({ min: -180, max: 180 }).withMessage('Valid dropoff longitude required'),
+  body('stops').optional().isArray({ min: 1 }).withMessage('Stops must be a non-empty list'),
+  body('stops.*.coordinates.latitude').isFloat({ min: -90, max: 90 }).withMessage('Valid stop latitude required'),
+  body('stops.*.coordinates.longitude').isFloat({ min: -180, max: 180 }).withMessage('Valid stop longitude required'),
   body('driverLocation.latitude').optional().isFloat({ min: -90, max: 90 }),
   body('driverLocation.longitude').optional().isFloat({ min: -180, max: 180 })
 ], async (req, res) => {
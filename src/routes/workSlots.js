@@ -1,49 +1,16 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
-const rateLimit = require('express-rate-limit');
+const { createPolicyLimiter } = require('../middleware/rateLimit');
 const router = express.Router();
 const workSlotsService = require('../services/workSlotsService');
 const { authMiddleware, requireDriver, requireAdmin } = require('../middleware/auth');
 const { resolveLocalDateInput, DATE_KEY_REGEX } = require('../utils/timezone');
 
 // CRITICAL: Rate limiter for slot generation to prevent infinite loops and server crashes
-const slotGenerationLimiter = rateLimit({
-  windowMs: 60 * 1000, // 1 minute window
-  max: 2, // Max 3 generation requests per minute per driver
-  message: {
-    success: false,
-    error: {
-      code: 'RATE_LIMIT_EXCEEDED',
-      message: 'Too many slot generation requests. Please wait before trying again.',
-      details: 'You can only generate slots 3 times per minute'
-    }
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-  skipSuccessfulRequests: false,
-  keyGenerator: (req) => {
-    // Rate limit per driver (using their UID)
-    return `slot_gen_${req.user?.uid || req.ip}`;
-  }
-});
+const slotGenerationLimiter = createPolicyLimiter('slotGeneration');
 
 // Rate limiter for slot fetching to prevent polling spam
-const slotFetchLimiter = rateLimit({
-  windowMs: 10 * 1000, // 10 second window  
-  max: 10, // Max 20 fetch requests per 10 seconds
-  message: {
-    success: false,
-    error: {
-      code: 'RATE_LIMIT_EXCEEDED',
-      message: 'Too many slot fetch requests',
-      details: 'Please reduce polling frequency'
-    }
-  },
-  skipSuccessfulRequests: false,
-  keyGenerator: (req) => {
-    return `slot_fetch_${req.user?.uid || req.ip}`;
-  }
-});
+const slotFetchLimiter = createPolicyLimiter('slotFetch');
 
 /**
  * @route   GET /api/slots
@@ -130,6 +130,9 @@ const notificationRoutes = require('./routes/notification');
 const fileUploadRoutes = require('./routes/fileUpload');
 const supportRoutes = require('./routes/support');
 const chatRoutes = require('./routes/chat');
+const contactRoutes = require('./routes/contact');
+const claimRoutes = require('./routes/claims');
+const ratingRoutes = require('./routes/ratings');
 const googleMapsRoutes = require('./routes/googleMaps');
 const versionRoutes = require('./routes/version');
 const realtimeRoutes = require('./routes/realtime');
@@ -357,11 +360,14 @@ app.get('/api-docs', (req, res) => {
         'GET /api/driver/earnings': 'Get driver earnings',
         'GET /api/driver/earnings/detailed': 'Get detailed driver earnings',
         'POST /api/driver/earnings/report': 'Generate earnings report (PDF/CSV)',
+        'GET /api/driver/wallet/statements': 'List monthly wallet statements',
+        'GET /api/driver/wallet/statements/:month': 'Download monthly wallet statement (JSON/PDF/CSV)',
         'GET /api/driver/bookings': 'Get driver bookings',
         'POST /api/driver/bookings/:id/accept': 'Accept booking',
         'POST /api/driver/bookings/:id/reject': 'Reject booking',
         'POST /api/driver/bookings/:id/photo-verification': 'Upload photo verification',
         'GET /api/driver/documents/status': 'Get document verification status',
+        'GET /api/driver/documents/expiry': 'Get document expiry and renewal status',
         'POST /api/driver/documents/submit': 'Submit documents for verification',
         'GET /api/driver/documents/:type/download': 'Download individual document',
         'GET /api/driver/documents/download-all': 'Download all documents'
@@ -388,9 +394,30 @@ app.get('/api-docs', (req, res) => {
       },
       chat: {
         'POST /api/chat/send': 'Send message to driver/customer',
+        'GET /api/chat/quick-replies': 'Get localised quick-reply templates',
+        'POST /api/chat/:bookingId/attachments': 'Send image or voice-note message',
+        'POST /api/chat/:bookingId/delivered': 'Mark messages as delivered',
+        'POST /api/chat/:bookingId/read': 'Mark messages as read',
         'GET /api/chat/:bookingId': 'Get chat messages for booking',
         'GET /api/chat/:bookingId/instructions': 'Get customer instructions for driver'
       },
+      contact: {
+        'GET /api/contact/:bookingId': 'Get masked contact handles for booking',
+        'POST /api/contact/call': 'Bridge a number-masked call',
+        'POST /api/contact/sms': 'Relay a number-masked SMS'
+      },
+      claims: {
+        'POST /api/claims': 'File a damage/loss claim for a delivered booking',
+        'GET /api/claims': 'Get claims filed by or against the user',
+        'GET /api/claims/:claimId': 'Get claim details',
+        'POST /api/claims/:claimId/evidence': 'Upload claim evidence',
+        'POST /api/claims/:claimId/response': 'Driver response to a claim',
+        'POST /api/claims/:claimId/withdraw': 'Withdraw a claim'
+      },
+      ratings: {
+        'GET /api/ratings/tags': 'Get rating tags for the other party',
+        'GET /api/ratings/me': 'Get own reputation and received ratings'
+      },
       support: {
         'POST /api/support/report-issue': 'Report an issue',
         'POST /api/support/ticket': 'Create support ticket',
@@ -524,6 +551,41 @@ app.post('/api/payments/razorpay/webhook',
   }
 );
 
+// PhonePe server-to-server callback (customer wallet top-ups). The body is not
+// trusted: the top-up is settled from the PhonePe status API.
+app.post('/api/payments/phonepe/callback', async (req, res) => {
+  try {
+    const paymentService = require('./services/paymentService');
+    const result = await paymentService.handlePhonePeCallback(req.body || {});
+
+    if (result.success) {
+      return res.json({
+        success: true,
+        message: result.message || 'Callback processed successfully',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    return res.status(400).json({
+      success: false,
+      message: 'Callback processing failed',
+      error: result.error,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ [WEBHOOK] PhonePe callback error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: {
+        code: 'PHONEPE_CALLBACK_ERROR',
+        message: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 // All payment routes require authentication
 
 // ✅ RAZORPAY WEBHOOK TEST ENDPOINT: Verify webhook URL is reachable
@@ -578,6 +640,15 @@ app.use('/api/support', appCheckMiddleware.optionalMiddleware(), authMiddleware,
 app.use('/api/chat', appCheckMiddleware.optionalMiddleware(), authMiddleware, chatRoutes);
 // app.use('/api/chat', appCheckMiddleware.middleware(), authMiddleware, chatRoutes); // Production mode
 
+app.use('/api/contact', appCheckMiddleware.optionalMiddleware(), authMiddleware, contactRoutes);
+// app.use('/api/contact', appCheckMiddleware.middleware(), authMiddleware, contactRoutes); // Production mode
+
+app.use('/api/claims', appCheckMiddleware.optionalMiddleware(), authMiddleware, claimRoutes);
+// app.use('/api/claims', appCheckMiddleware.middleware(), authMiddleware, claimRoutes); // Production mode
+
+app.use('/api/ratings', appCheckMiddleware.optionalMiddleware(), authMiddleware, ratingRoutes);
+// app.use('/api/ratings', appCheckMiddleware.middleware(), authMiddleware, ratingRoutes); // Production mode
+
 app.use('/api/google-maps', googleMapsRoutes); // No auth required for Google Maps API
 
 app.use('/api', versionRoutes); // Version endpoint - public access for app update checks
@@ -611,8 +682,9 @@ app.use('/api/admin/auth', adminAuthRoutes); // No auth required for admin login
 app.use('/api/admin/signup', lightRateLimit, adminSignupRoutes); // Admin signup route (no auth required, but with light rate limiting)
 // Import admin role validation
 const { requireAdmin } = require('./middleware/auth');
-app.use('/api/admin', adminLimiter, authMiddleware, requireAdmin, adminRoutes); // Admin routes require admin role
-app.use('/api/admin/revenue', adminLimiter, authMiddleware, requireAdmin, revenueRoutes); // Revenue routes require admin role
+// adminLimiter after authMiddleware so admins are limited per account, not per office IP
+app.use('/api/admin', authMiddleware, adminLimiter, requireAdmin, adminRoutes); // Admin routes require admin role
+app.use('/api/admin/revenue', authMiddleware, adminLimiter, requireAdmin, revenueRoutes); // Revenue routes require admin role
 // Note: adminBookingManagementRoutes are included in adminRoutes to avoid conflicts
 
 // Health check routes (for keepalive script) - No auth required
@@ -870,6 +942,42 @@ async function initializeServices() {
     slotEnforcementService.initialize();
     console.log('✅ Slot enforcement service initialized');
 
+    // Release scheduled bookings to matching and send pickup reminders
+    const scheduledBookingService = require('./services/scheduledBookingService');
+    scheduledBookingService.initialize();
+
+    // Batch driver payables into payout batches when a cycle closes
+    const driverSettlementService = require('./services/driverSettlementService');
+    driverSettlementService.initialize();
+
+    // Store driver wallet statements once each month closes
+    const driverStatementService = require('./services/driverStatementService');
+    driverStatementService.initialize();
+
+    // Purge closed booking chats after the retention period
+    const chatService = require('./services/chatService');
+    chatService.initialize();
+
+    // Escalate unacknowledged emergency alerts tier by tier
+    const emergencyEscalationService = require('./services/emergencyEscalationService');
+    emergencyEscalationService.initialize();
+
+    // Escalate support tickets that breach their SLA
+    const supportTicketService = require('./services/supportTicketService');
+    supportTicketService.initialize();
+
+    // Daily driver document expiry reminders, renewals and suspensions
+    const documentExpiryService = require('./services/documentExpiryService');
+    documentExpiryService.initialize();
+
+    // Warm the active pricing plan cache (falls back to the built-in plan)
+    const pricingPlanService = require('./services/pricingPlanService');
+    await pricingPlanService.initialize();
+
+    // Warm the service area zone cache (falls back to the configured radius)
+    const serviceAreaService = require('./services/serviceAreaService');
+    await serviceAreaService.initialize();
+
     // Performance monitoring handled by monitoringService
     console.log('✅ Performance monitoring consolidated into monitoringService');
     
@@ -219,10 +219,24 @@ class AssignmentEdgeCaseHandler {
   /**
    * Handle concurrent driver acceptance
    * @param {string} bookingId - Booking ID
-   * @param {Array} driverIds - Array of driver IDs who accepted
+   * @param {Array} driverIds - Array of driver IDs who accepted (first one wins)
+   * @param {Object} [options] - Arbitration options
+   * @param {Array<string>} [options.expectedStatuses=['driver_assigned']] - Booking statuses that can still be claimed
+   * @param {string} [options.assignedStatus='accepted'] - Status written for the winning driver
+   * @param {Object} [options.bookingUpdate] - Extra booking fields written with the winner
+   * @param {boolean} [options.requireUnassigned=false] - Also fail when another driver is already on the booking
+   * @param {string} [options.rejectionReason] - Reason sent to the other drivers
    * @returns {Promise<Object>} Handling result
    */
-  async handleConcurrentAcceptance(bookingId, driverIds) {
+  async handleConcurrentAcceptance(bookingId, driverIds, options = {}) {
+    const {
+      expectedStatuses = ['driver_assigned'],
+      assignedStatus = 'accepted',
+      bookingUpdate = {},
+      requireUnassigned = false,
+      rejectionReason = 'Another driver was selected'
+    } = options;
+
     try {
       console.log(`⚡ Concurrent acceptance for booking ${bookingId} by drivers: ${driverIds.join(', ')}`);
 
@@ -237,7 +251,10 @@ class AssignmentEdgeCaseHandler {
 
         const booking = bookingDoc.data();
         
-        if (booking.status !== 'driver_assigned') {
+        if (!expectedStatuses.includes(booking.status)) {
+          throw new Error('BOOKING_ALREADY_ASSIGNED');
+        }
+        if (requireUnassigned && booking.driverId && booking.driverId !== driverIds[0]) {
           throw new Error('BOOKING_ALREADY_ASSIGNED');
         }
 
@@ -247,22 +264,23 @@ class AssignmentEdgeCaseHandler {
 
         // Update booking with selected driver
         transaction.update(bookingRef, {
+          ...bookingUpdate,
           driverId: selectedDriverId,
-          status: 'accepted',
+          status: assignedStatus,
           acceptedAt: new Date(),
           updatedAt: new Date()
         });
 
-        // Notify other drivers of rejection
-        for (const driverId of otherDrivers) {
-          await this.notifyDriverRejection(driverId, bookingId, 'Another driver was selected');
-        }
-
         return { selectedDriverId, otherDrivers };
       }, {
         context: `Concurrent acceptance for booking ${bookingId}`
       });
 
+      // Notify other drivers once the winner is committed (transaction bodies may retry)
+      for (const driverId of result.otherDrivers) {
+        await this.notifyDriverRejection(driverId, bookingId, rejectionReason);
+      }
+
       await monitoringService.logDriverAssignment('concurrent_acceptance_resolved', {
         bookingId,
         selectedDriver: result.selectedDriverId,
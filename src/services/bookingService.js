@@ -3,21 +3,22 @@
  * 
  * AUTHORITATIVE SOURCE: backend/src/services/fareCalculationService.js
  * 
- * CURRENT RATES (DO NOT CHANGE WITHOUT UPDATING ALL FILES):
- * - Customer Rate: ₹10/km
- * - Rounding: Math.ceil() (round up to next km)
- * - Base Fare: ₹0
- * - Commission: ₹1.15/km (deducted from driver points wallet)
+ * RATES: Come from the active versioned pricing plan (pricingPlanService).
+ * Never hardcode rates here - every booking records the plan version it was
+ * priced with in `pricingPlan` so it can be re-priced consistently later.
  * 
- * See fareCalculationService.js header for full update checklist.
+ * See fareCalculationService.js header for details.
  */
 
 const { getFirestore } = require('./firebase');
 const { GeoPoint, FieldValue } = require('firebase-admin/firestore');
 const axios = require('axios');
+const config = require('../config/environment');
 const serviceAreaValidation = require('./serviceAreaValidation');
 const walletService = require('./walletService');
+const driverSettlementService = require('./driverSettlementService');
 const displayIdService = require('./displayIdService');
+const { validateStops, buildStops } = require('../utils/bookingStops');
 
 /**
  * Booking Service for EPickup delivery platform
@@ -39,6 +40,20 @@ class BookingService {
    */
   async createBookingAtomically(bookingData) {
     try {
+      // Multi-stop bookings carry an ordered `stops` list; dropoff mirrors the final stop
+      const hasStops = Array.isArray(bookingData.stops) && bookingData.stops.length > 0;
+      if (hasStops) {
+        const stopErrors = validateStops(bookingData.stops);
+        if (stopErrors.length > 0) {
+          throw new Error(stopErrors.join(', '));
+        }
+        bookingData = {
+          ...bookingData,
+          dropoff: bookingData.stops[bookingData.stops.length - 1]
+        };
+      }
+      const isMultiStopBooking = hasStops && bookingData.stops.length > 1;
+
       const {
         customerId,
         pickup,
@@ -47,9 +62,17 @@ class BookingService {
         vehicle,
         paymentMethod,
         estimatedPickupTime,
-        estimatedDeliveryTime
+        estimatedDeliveryTime,
+        scheduledPickupTime
       } = bookingData;
 
+      // Future-time bookings are held as 'scheduled' and released to matching later
+      const scheduledBookingService = require('./scheduledBookingService');
+      const schedule = scheduledBookingService.resolveSchedule(scheduledPickupTime);
+      if (!schedule.isValid) {
+        throw new Error(schedule.error);
+      }
+
       // ✅ CRITICAL FIX: Check for existing active bookings (exclude delivered/completed)
       // ✅ Use shared constants for consistency
       const { ACTIVE_BOOKING_STATUSES } = require('../constants/bookingStatuses');
@@ -76,9 +99,16 @@ class BookingService {
         throw new Error(serviceAreaValidation.message);
       }
 
-      // Calculate distance and pricing
-      const distance = await this.calculateDistance(pickup.coordinates, dropoff.coordinates);
-      const calculatedPricing = await this.calculatePricing(distance, packageInfo.weight, vehicle.type);
+      // Calculate distance (over the full route for multi-stop bookings) and pricing
+      const route = await this.calculateRouteDistance(
+        isMultiStopBooking
+          ? [pickup.coordinates, ...bookingData.stops.map(stop => stop.coordinates)]
+          : [pickup.coordinates, dropoff.coordinates]
+      );
+      const distance = route.total;
+      const calculatedPricing = await this.calculatePricing(distance, packageInfo.weight, vehicle.type, {
+        pickupCoordinates: pickup.coordinates
+      });
       const pricing = {
         ...calculatedPricing,
         totalAmount: calculatedPricing.total,
@@ -110,6 +140,10 @@ class BookingService {
           specialInstructions: packageInfo?.specialInstructions || ''
         };
 
+        const pickupTimeValue = schedule.isScheduled
+          ? schedule.scheduledPickupTime
+          : (estimatedPickupTime ? new Date(estimatedPickupTime) : null);
+
         // Create booking document
         const booking = {
           id: bookingId,
@@ -119,6 +153,8 @@ class BookingService {
             ...pickup,
             coordinates: new GeoPoint(pickup.coordinates.latitude, pickup.coordinates.longitude)
           },
+          // Indexed so surge demand can be counted with geohash range queries
+          pickupGeohash: require('./driverProximityService').getIndexFields(pickup.coordinates).geohash || null,
           dropoff: {
             ...dropoff,
             coordinates: new GeoPoint(dropoff.coordinates.latitude, dropoff.coordinates.longitude)
@@ -126,16 +162,34 @@ class BookingService {
           package: packageData, // ✅ CRITICAL FIX: Use packageData that explicitly includes specialInstructions
           vehicle,
           paymentMethod,
-          status: 'pending', // Initial status - waiting for driver acceptance
+          status: schedule.isScheduled ? 'scheduled' : 'pending', // Initial status - waiting for driver acceptance (or scheduled release)
           pricing,
           fare,
+          pricingPlan: pricing.pricingPlan, // Plan version this booking was priced with
+          surge: pricing.surge, // Quoted surge; locked when the booking is confirmed
+          serviceArea: serviceAreaValidation.serviceArea || null, // Zone resolved from the pickup point
+          // Ordered drop-off stops (null for single-drop bookings)
+          stops: isMultiStopBooking
+            ? buildStops(bookingData.stops, (coordinates) => new GeoPoint(coordinates.latitude, coordinates.longitude))
+            : null,
+          currentStopIndex: 0,
+          // Delivery must be proven with the recipient OTP (or its fallback) even if generating the OTP fails
+          deliveryProof: { required: config.getDeliveryOtpConfig().enabled },
           distance: {
             value: distance,
             total: distance,
             text: `${distance} km`,
+            legs: route.legs,
           },
-          estimatedPickupTime: estimatedPickupTime ? new Date(estimatedPickupTime) : null,
+          estimatedPickupTime: pickupTimeValue,
           estimatedDeliveryTime: estimatedDeliveryTime ? new Date(estimatedDeliveryTime) : null,
+          scheduledPickupTime: schedule.isScheduled ? schedule.scheduledPickupTime : null,
+          scheduling: schedule.isScheduled ? {
+            scheduledAt: new Date(),
+            releaseAt: schedule.releaseAt,
+            releasedAt: null,
+            reminderSentAt: null
+          } : null,
           createdAt: new Date(),
           updatedAt: new Date(),
           // ✅ FIX: Persist idempotency key for duplicate detection and debugging
@@ -147,7 +201,7 @@ class BookingService {
           // Timing fields
           timing: {
             createdAt: new Date(),
-            estimatedPickupTime: estimatedPickupTime ? new Date(estimatedPickupTime) : null,
+            estimatedPickupTime: pickupTimeValue,
             estimatedDeliveryTime: estimatedDeliveryTime ? new Date(estimatedDeliveryTime) : null,
             actualPickupTime: null,
             actualDeliveryTime: null
@@ -170,6 +224,17 @@ class BookingService {
 
       console.log(`✅ Booking ${result.bookingId} created atomically`);
 
+      // Recipient OTP(s) for the proof-of-delivery handshake at drop-off
+      try {
+        const deliveryOtpService = require('./deliveryOtpService');
+        const otpRecords = await deliveryOtpService.generateForBooking(result.booking);
+        deliveryOtpService.shareWithCustomer(result.booking, otpRecords).catch(shareError => {
+          console.warn(`⚠️ Failed to share delivery OTP for booking ${result.bookingId}:`, shareError.message);
+        });
+      } catch (otpError) {
+        console.error(`❌ Failed to generate delivery OTP for booking ${result.bookingId}:`, otpError);
+      }
+
       return {
         success: true,
         message: 'Booking created successfully',
@@ -270,6 +335,18 @@ class BookingService {
           }));
         }
 
+        // Expired documents (past the grace period) block accepting bookings too
+        const documentExpiryService = require('./documentExpiryService');
+        const expiredDocuments = documentExpiryService.getBlockingDocuments(driver);
+        if (expiredDocuments.length > 0) {
+          throw new Error(JSON.stringify({
+            code: 'DOCUMENTS_EXPIRED',
+            message: 'Driver documents expired',
+            details: 'Upload your renewed documents and wait for verification before accepting bookings.',
+            expiredDocuments
+          }));
+        }
+
         // ✅ CRITICAL FIX: Check wallet has enough for THIS TRIP'S COMMISSION (dynamic check)
         // Get wallet balance
         const walletDoc = await transaction.get(this.db.collection('driverPointsWallets').doc(driverId));
@@ -281,7 +358,7 @@ class BookingService {
         // ✅ DYNAMIC COMMISSION CHECK: Calculate commission for THIS SPECIFIC TRIP
         const tripDistance = booking.distance?.value || booking.distance?.total || 0;
         const fareCalculationService = require('../services/fareCalculationService');
-        const fareBreakdown = fareCalculationService.calculateFareWithTieredPricing(tripDistance);
+        const fareBreakdown = await fareCalculationService.calculateFareForBooking(booking, tripDistance);
         const estimatedCommission = fareBreakdown.commission;
 
         // Check if driver has enough wallet balance for this trip's commission
@@ -441,7 +518,9 @@ class BookingService {
 
       // Calculate distance and pricing
       const distance = await this.calculateDistance(pickup.coordinates, dropoff.coordinates);
-      const pricing = await this.calculatePricing(distance, packageInfo.weight, vehicle.type);
+      const pricing = await this.calculatePricing(distance, packageInfo.weight, vehicle.type, {
+        pickupCoordinates: pickup.coordinates
+      });
 
       // ✅ NEW: Generate unique 5-digit display ID (Counter-Hybrid Randomization)
       const bookingTimestamp = new Date().getTime();
@@ -493,6 +572,9 @@ class BookingService {
           total: pricing.total, // Use the correct total from pricing calculation
           currency: 'INR'
         },
+        pricingPlan: pricing.pricingPlan, // Plan version this booking was priced with
+        surge: pricing.surge, // Quoted surge; locked when the booking is confirmed
+        serviceArea: serviceAreaValidation.serviceArea || null, // Zone resolved from the pickup point
         
         paymentMethod,
         paymentStatus: 'pending',
@@ -640,6 +722,20 @@ class BookingService {
     }
   }
 
+  /**
+   * Calculate distance along an ordered route (pickup → stop 1 → stop 2 ...)
+   * @param {Array<Object>} coordinates - Ordered route coordinates
+   * @returns {Promise<Object>} { total, legs } in kilometers
+   */
+  async calculateRouteDistance(coordinates) {
+    const legs = [];
+    for (let i = 1; i < coordinates.length; i++) {
+      legs.push(await this.calculateDistance(coordinates[i - 1], coordinates[i]));
+    }
+
+    return { total: legs.reduce((sum, leg) => sum + leg, 0), legs };
+  }
+
   /**
    * Calculate distance using Haversine formula
    * @param {Object} origin - Origin coordinates
@@ -685,9 +781,12 @@ class BookingService {
    * @param {number} exactDistance - Exact distance in kilometers
    * @param {number} weight - Package weight in kg
    * @param {string} vehicleType - Vehicle type (2_wheeler only)
+   * @param {Object} options - Surge options
+   * @param {Object} options.pickupCoordinates - Pickup point used to compute live surge
+   * @param {Object} options.surge - Previously locked surge (takes precedence over live surge)
    * @returns {Object} Pricing breakdown
    */
-  async calculatePricing(exactDistance, weight, vehicleType) {
+  async calculatePricing(exactDistance, weight, vehicleType, options = {}) {
     try {
       // Only support 2-wheeler vehicles
       if (vehicleType !== '2_wheeler') {
@@ -696,7 +795,18 @@ class BookingService {
 
       // Use tiered pricing from fareCalculationService (authoritative source)
       const fareCalculationService = require('./fareCalculationService');
-      const fareBreakdown = fareCalculationService.calculateFare(exactDistance);
+      const surgePricingService = require('./surgePricingService');
+      // Zones can carry their own pricing plan; without a pickup point the global active plan applies
+      const plan = options.pickupCoordinates
+        ? await fareCalculationService.getPlanForLocation(options.pickupCoordinates)
+        : await fareCalculationService.getActivePlan();
+      const surge = options.surge || (options.pickupCoordinates
+        ? await surgePricingService.getSurgeForLocation(options.pickupCoordinates)
+        : null);
+      const fareBreakdown = surgePricingService.applySurge(
+        fareCalculationService.calculateFare(exactDistance, plan),
+        surge
+      );
 
       // Map tiered pricing response to bookingService format
       const fullKmCharge = fareBreakdown.fullKmCharge || 0;
@@ -712,33 +822,37 @@ class BookingService {
         distanceCharge: totalFare,
         vehicleMultiplier: 1, // No vehicle multiplier
         weightMultiplier: 1, // No weight multiplier
-        surgeMultiplier: 1.0, // No surge
-        subtotal: totalFare,
+        surgeMultiplier: fareBreakdown.surgeMultiplier,
+        surge: fareBreakdown.surge,
+        subtotal: fareBreakdown.fareBeforeSurge,
         total: totalFare,
         totalAmount: totalFare,
-        currency: 'INR',
-        ratePerKm: 10, // ₹10 per km
+        currency: plan.currency || 'INR',
+        ratePerKm: plan.fare.fullKmRate,
         timeCharge: 0,
-        commission: commission, // ₹1.15 per km (or rounded up per full km)
+        commission: commission,
         driverNet: totalFare,
         companyRevenue: commission,
+        pricingPlan: fareBreakdown.pricingPlan,
         breakdown: {
           exactDistance: fareBreakdown.exactDistanceKm,
           fullKm: fareBreakdown.fullKm,
           remainderKm: fareBreakdown.remainderKm,
           fullKmCharge: fullKmCharge,
           remainderCharge: remainderCharge,
-          baseFare: 0, // No base fare
+          baseFare: plan.fare.baseRate,
           distanceCharge: totalFare,
           vehicleCharge: 0,
           weightCharge: 0,
-          surgeCharge: 0,
+          surgeCharge: fareBreakdown.surgeCharge,
+          surgeMultiplier: fareBreakdown.surgeMultiplier,
           total: totalFare,
-          perKmRate: 10,
-          remainderRate: 5,
-          commissionRate: 1.15,
+          perKmRate: plan.fare.fullKmRate,
+          remainderRate: plan.fare.remainderTiers[0].charge,
+          commissionRate: plan.commission.ratePerKm,
           calculationMethod: fareBreakdown.breakdown.calculationMethod,
-          pricingVersion: fareBreakdown.breakdown.pricingVersion
+          pricingVersion: fareBreakdown.breakdown.pricingVersion,
+          pricingPlanVersion: fareBreakdown.breakdown.pricingPlanVersion
         }
       };
     } catch (error) {
@@ -748,14 +862,15 @@ class BookingService {
   }
 
   /**
-   * Calculate surge pricing based on time of day
-   * @param {Object} timeSurcharge - Time-based surge configuration
-   * @returns {number} Surge multiplier
+   * Calculate surge multiplier for a pickup location
+   * Delegates to surgePricingService (demand vs supply per zone)
+   * @param {Object} pickupCoordinates - Pickup coordinates
+   * @returns {Promise<number>} Surge multiplier
    */
-  calculateSurgePricing() {
-    // SIMPLIFIED: No surge pricing at any time
-    // Always return 1.0 (no surge multiplier)
-    return 1.0;
+  async calculateSurgePricing(pickupCoordinates) {
+    const surgePricingService = require('./surgePricingService');
+    const surge = await surgePricingService.getSurgeForLocation(pickupCoordinates);
+    return surge.multiplier;
   }
 
   /**
@@ -939,14 +1054,14 @@ class BookingService {
             let commissionAmount;
             
             if (exactDistanceKm > 0) {
-              fareBreakdown = fareCalculationService.calculateFare(exactDistanceKm);
+              fareBreakdown = await fareCalculationService.calculateFareForBooking(bookingData, exactDistanceKm);
               roundedDistanceKm = fareBreakdown.roundedDistanceKm; // Rounded distance (e.g., 8.4km → 9km)
               commissionAmount = fareBreakdown.commission; // Commission based on rounded distance (e.g., 9km × ₹2 = ₹18)
             } else {
               // ✅ CRITICAL FIX: Even if distance is 0, use fareCalculationService for minimum commission
-              fareBreakdown = fareCalculationService.calculateFare(0.5); // 0.5km rounds to 1km
+              fareBreakdown = await fareCalculationService.calculateFareForBooking(bookingData, 0.5); // 0.5km rounds to 1km
               roundedDistanceKm = fareBreakdown.roundedDistanceKm; // Will be 1km
-              commissionAmount = fareBreakdown.commission; // Will be ₹1.15 (1km × ₹1.15/km)
+              commissionAmount = fareBreakdown.commission; // Minimum commission distance of the booking's plan
             }
             
             console.log(`💰 [BOOKING_SERVICE] Deducting commission for trip ${bookingId}:`, {
@@ -954,7 +1069,7 @@ class BookingService {
               roundedDistanceKm: roundedDistanceKm,
               commissionAmount: commissionAmount,
               tripFare: tripFare,
-              calculation: `${roundedDistanceKm}km × ₹1.15/km = ₹${commissionAmount}`
+              calculation: fareBreakdown.breakdown.commissionCalculation
             });
             
             // Prepare trip details for commission transaction
@@ -969,22 +1084,30 @@ class BookingService {
             };
             
             // Deduct commission from driver wallet
-            const commissionResult = await walletService.deductPoints(
-              driverId,
-              bookingId,
-              roundedDistanceKm, // ✅ Pass rounded distance
-              commissionAmount,
-              tripDetails
-            );
+            // Fares the platform collected online are paid out net of commission (driver settlement)
+            const nettedInSettlement = driverSettlementService.isPlatformCollected(bookingData);
+            const commissionResult = nettedInSettlement
+              ? await driverSettlementService.accrueBookingPayable(bookingId, bookingData, {
+                grossFare: Number(tripFare) || bookingData.pricing?.totalAmount,
+                commissionAmount
+              })
+              : await walletService.deductPoints(
+                driverId,
+                bookingId,
+                roundedDistanceKm, // ✅ Pass rounded distance
+                commissionAmount,
+                tripDetails
+              );
             
             if (commissionResult.success) {
-              console.log(`✅ [BOOKING_SERVICE] Commission deducted: ₹${commissionAmount} (${roundedDistanceKm}km × ₹1.15/km, fare: ₹${tripFare})`);
+              console.log(`✅ [BOOKING_SERVICE] Commission deducted: ₹${commissionAmount} (${fareBreakdown.breakdown.commissionCalculation}, fare: ₹${tripFare})`);
               updateData.commissionDeducted = {
                 amount: commissionAmount,
                 roundedDistanceKm: roundedDistanceKm,
                 exactDistanceKm: exactDistanceKm,
                 tripFare: tripFare,
                 transactionId: commissionResult.data?.transactionId || commissionResult.transactionId,
+                source: nettedInSettlement ? 'payout_settlement' : 'points_wallet',
                 deductedAt: new Date(),
                 deductedBy: driverId
               };
@@ -1038,11 +1161,11 @@ class BookingService {
             let commissionAmount;
 
             if (exactDistanceKm > 0) {
-              fareBreakdown = fareCalculationService.calculateFare(exactDistanceKm);
+              fareBreakdown = await fareCalculationService.calculateFareForBooking(bookingData, exactDistanceKm);
               roundedDistanceKm = fareBreakdown.roundedDistanceKm;
               commissionAmount = fareBreakdown.commission;
             } else {
-              fareBreakdown = fareCalculationService.calculateFare(0.5);
+              fareBreakdown = await fareCalculationService.calculateFareForBooking(bookingData, 0.5);
               roundedDistanceKm = fareBreakdown.roundedDistanceKm;
               commissionAmount = fareBreakdown.commission;
             }
@@ -1052,7 +1175,7 @@ class BookingService {
               roundedDistanceKm: roundedDistanceKm,
               commissionAmount: commissionAmount,
               tripFare: tripFare,
-              calculation: `${roundedDistanceKm}km × ₹1.15/km = ₹${commissionAmount}`
+              calculation: fareBreakdown.breakdown.commissionCalculation
             });
 
             const tripDetails = {
@@ -1065,22 +1188,29 @@ class BookingService {
               paymentMethod: 'cash'
             };
 
-            const commissionResult = await walletService.deductPoints(
-              driverId,
-              bookingId,
-              roundedDistanceKm,
-              commissionAmount,
-              tripDetails
-            );
+            const nettedInSettlement = driverSettlementService.isPlatformCollected(bookingData);
+            const commissionResult = nettedInSettlement
+              ? await driverSettlementService.accrueBookingPayable(bookingId, bookingData, {
+                grossFare: Number(tripFare) || bookingData.pricing?.totalAmount,
+                commissionAmount
+              })
+              : await walletService.deductPoints(
+                driverId,
+                bookingId,
+                roundedDistanceKm,
+                commissionAmount,
+                tripDetails
+              );
 
             if (commissionResult.success) {
-              console.log(`✅ [BOOKING_SERVICE] Commission deducted: ₹${commissionAmount} (${roundedDistanceKm}km × ₹1.15/km, fare: ₹${tripFare})`);
+              console.log(`✅ [BOOKING_SERVICE] Commission deducted: ₹${commissionAmount} (${fareBreakdown.breakdown.commissionCalculation}, fare: ₹${tripFare})`);
               updateData.commissionDeducted = {
                 amount: commissionAmount,
                 roundedDistanceKm: roundedDistanceKm,
                 exactDistanceKm: exactDistanceKm,
                 tripFare: tripFare,
                 transactionId: commissionResult.data?.transactionId || commissionResult.transactionId,
+                source: nettedInSettlement ? 'payout_settlement' : 'points_wallet',
                 deductedAt: new Date(),
                 deductedBy: driverId
               };
@@ -1137,6 +1267,24 @@ class BookingService {
       const updatedDoc = await bookingRef.get();
       const updatedBooking = updatedDoc.data();
 
+      // Issue the tax invoice once the trip is billed (customers can also fetch it later)
+      if (status === 'completed') {
+        const invoiceService = require('./invoiceService');
+        const invoiceResult = await invoiceService.issueInvoice(bookingId);
+        if (!invoiceResult.success) {
+          console.error(`❌ [BOOKING_SERVICE] Invoice not issued for booking ${bookingId}:`, invoiceResult.error.message);
+        }
+      }
+
+      // The chat becomes read-only and the masked contact session expires once the booking ends
+      const { COMPLETED_BOOKING_STATUSES } = require('../constants/bookingStatuses');
+      if (COMPLETED_BOOKING_STATUSES.includes(status)) {
+        const chatService = require('./chatService');
+        const maskedContactService = require('./maskedContactService');
+        await chatService.closeChat(bookingId, status);
+        await maskedContactService.expireSession(bookingId, status);
+      }
+
       return {
         success: true,
         message: 'Booking status updated successfully',
@@ -1154,9 +1302,10 @@ class BookingService {
    * @param {string} bookingId - Booking ID
    * @param {string} cancelledBy - User ID who cancelled
    * @param {string} reason - Cancellation reason
+   * @param {Object} options - { refundTo: 'wallet'|'source' } for prepaid bookings
    * @returns {Object} Cancellation result
    */
-  async cancelBooking(bookingId, cancelledBy, reason) {
+  async cancelBooking(bookingId, cancelledBy, reason, options = {}) {
     try {
       const bookingRef = this.db.collection('bookings').doc(bookingId);
       const bookingDoc = await bookingRef.get();
@@ -1168,7 +1317,7 @@ class BookingService {
       const bookingData = bookingDoc.data();
 
       // Check if booking can be cancelled
-      const cancellableStatuses = ['pending', 'confirmed', 'driver_assigned'];
+      const cancellableStatuses = ['scheduled', 'pending', 'confirmed', 'driver_assigned'];
       if (!cancellableStatuses.includes(bookingData.status)) {
         throw new Error('Booking cannot be cancelled in its current status');
       }
@@ -1177,7 +1326,12 @@ class BookingService {
       let refundAmount = 0;
       if (bookingData.pricing?.totalAmount) {
         // Full refund if cancelled before driver assignment
-        if (bookingData.status === 'pending' || bookingData.status === 'confirmed') {
+        if (bookingData.status === 'scheduled') {
+          // Free until shortly before the scheduled pickup, then same fee as an assigned booking
+          const scheduledBookingService = require('./scheduledBookingService');
+          refundAmount = bookingData.pricing.totalAmount - scheduledBookingService.getCancellationFee(bookingData);
+        }
+        else if (bookingData.status === 'pending' || bookingData.status === 'confirmed') {
           refundAmount = bookingData.pricing.totalAmount;
         }
         // Partial refund if driver was assigned (deduct cancellation fee)
@@ -1203,12 +1357,18 @@ class BookingService {
         });
       }
 
+      // Return the prepaid fare minus the cancellation fee (wallet or payment source)
+      const refund = refundAmount > 0
+        ? await this.refundCancelledBooking(bookingId, refundAmount, reason, cancelledBy, options.refundTo)
+        : null;
+
       return {
         success: true,
         message: 'Booking cancelled successfully',
         data: {
           refundAmount,
-          cancellationFee: bookingData.pricing?.totalAmount - refundAmount || 0
+          cancellationFee: bookingData.pricing?.totalAmount - refundAmount || 0,
+          refund
         }
       };
 
@@ -1218,6 +1378,64 @@ class BookingService {
     }
   }
 
+  /**
+   * Refund a cancelled booking that was already paid
+   * @param {string} bookingId - Booking ID
+   * @param {number} refundAmount - Fare minus cancellation fee
+   * @param {string} reason - Cancellation reason
+   * @param {string} cancelledBy - User ID who cancelled
+   * @param {string} refundTo - 'wallet' or 'source' (defaults to the wallet for wallet payments)
+   * @returns {Object|null} Refund summary, or null when nothing was collected (cash / pay later)
+   */
+  async refundCancelledBooking(bookingId, refundAmount, reason, cancelledBy, refundTo = null) {
+    try {
+      const paymentSnapshot = await this.db.collection('payments')
+        .where('bookingId', '==', bookingId)
+        .where('status', '==', 'completed')
+        .limit(1)
+        .get();
+
+      if (paymentSnapshot.empty) {
+        return null;
+      }
+
+      const paymentDoc = paymentSnapshot.docs[0];
+      const payment = paymentDoc.data();
+      const amount = Math.min(refundAmount, payment.amount - (payment.refundedAmount || 0));
+      if (amount <= 0) {
+        return null;
+      }
+
+      // The prepaid fare was billed in full; the refund is credited against that invoice
+      const invoiceService = require('./invoiceService');
+      await invoiceService.issueInvoice(bookingId);
+
+      const paymentService = require('./paymentService');
+      const { CREDIT_NOTE_REASONS } = require('../constants/invoices');
+      const result = await paymentService.processRefund(paymentDoc.id, amount, reason || 'Booking cancelled', {
+        refundTo: refundTo || (payment.paymentMethod === 'wallet' ? 'wallet' : 'source'),
+        requestedBy: cancelledBy,
+        creditNoteReason: CREDIT_NOTE_REASONS.CANCELLATION,
+        refundId: `CANCEL_${bookingId}`
+      });
+
+      if (!result.success) {
+        console.error(`❌ [BOOKING_SERVICE] Refund failed for cancelled booking ${bookingId}:`, result.error);
+        return { status: 'failed', amount, error: result.error.details || result.error.message };
+      }
+
+      await this.db.collection('bookings').doc(bookingId).update({
+        'cancellation.refund': result.data,
+        updatedAt: new Date()
+      });
+
+      return result.data;
+    } catch (error) {
+      console.error(`❌ [BOOKING_SERVICE] Error refunding cancelled booking ${bookingId}:`, error);
+      return { status: 'failed', amount: refundAmount, error: error.message };
+    }
+  }
+
   /**
    * Get available drivers for a booking
    * @param {Object} pickupLocation - Pickup coordinates
@@ -1227,39 +1445,24 @@ class BookingService {
    */
   async getAvailableDrivers(pickupLocation, radius = 5, vehicleType = null) {
     try {
-      const query = this.db.collection('driverLocations')
-        .where('isOnline', '==', true)
-        .where('isAvailable', '==', true);
-
-      const snapshot = await query.get();
+      // Geohash-indexed search around the pickup (see driverProximityService)
+      const driverProximityService = require('./driverProximityService');
+      const nearbyLocations = await driverProximityService.findNearbyDriverLocations(pickupLocation, radius, {
+        vehicleType
+      });
       const availableDrivers = [];
 
-      for (const doc of snapshot.docs) {
-        const driverData = doc.data();
-        
+      for (const driverData of nearbyLocations) {
         // Check if driver has current trip
         if (driverData.currentTripId) continue;
 
-        // Check vehicle type if specified
-        if (vehicleType && driverData.vehicleType !== vehicleType) continue;
-
-        // Calculate distance to pickup
-        if (driverData.currentLocation) {
-          const distance = this.calculateHaversineDistance(
-            driverData.currentLocation,
-            pickupLocation
-          );
-
-          if (distance <= radius) {
-            availableDrivers.push({
-              driverId: doc.id,
-              distance,
-              rating: driverData.rating || 0,
-              totalTrips: driverData.totalTrips || 0,
-              currentLocation: driverData.currentLocation
-            });
-          }
-        }
+        availableDrivers.push({
+          driverId: driverData.driverId,
+          distance: driverData.distance,
+          rating: driverData.rating || 0,
+          totalTrips: driverData.totalTrips || 0,
+          currentLocation: driverData.currentLocation
+        });
       }
 
       // Sort by distance and rating
@@ -1602,6 +1805,7 @@ class BookingService {
           reviewerBypass: true
         };
       }
+      await serviceAreaValidation.ensureZonesLoaded();
       return serviceAreaValidation.validateBookingLocations(bookingData);
     } catch (error) {
       console.error('Error validating service area:', error);
@@ -1,6 +1,8 @@
 const { getFirestore } = require('./firebase');
 const { buildSystemAvailabilityUpdate } = require('../utils/driverAvailabilityMetadata');
 const errorHandlingService = require('./errorHandlingService');
+const { getStops, getCurrentStopIndex, hasRemainingStops } = require('../utils/bookingStops');
+const { COMPLETED_BOOKING_STATUSES } = require('../constants/bookingStatuses');
 
 /**
  * Booking State Machine Service
@@ -12,6 +14,7 @@ class BookingStateMachine {
     
     // Define valid state transitions
     this.stateTransitions = {
+      'scheduled': ['pending', 'cancelled'], // Future-time booking, released to matching by scheduledBookingService
       'pending': ['driver_assigned', 'cancelled', 'rejected'],
       // ✅ CRITICAL FIX: Allow driver_assigned -> driver_arrived for drivers who go directly to pickup
       'driver_assigned': ['driver_enroute', 'driver_arrived', 'rejected', 'cancelled'], // ✅ FIX: Allow direct transition to driver_arrived
@@ -21,7 +24,7 @@ class BookingStateMachine {
       'photo_captured': ['picked_up', 'cancelled'], // ✅ NEW: Intermediate state after photo capture
       'picked_up': ['in_transit', 'cancelled'],
       'in_transit': ['at_dropoff', 'delivered', 'cancelled'],
-      'at_dropoff': ['delivered', 'cancelled'],
+      'at_dropoff': ['in_transit', 'delivered', 'cancelled'], // Back to in_transit after an intermediate stop of a multi-stop delivery
       'delivered': ['money_collection', 'completed'], // ✅ FIX: Allow direct transition to completed for payment confirmation
       'money_collection': ['completed'], // ✅ FIX: Money collection state
       'completed': [], // Terminal state
@@ -31,6 +34,7 @@ class BookingStateMachine {
 
     // Define required fields for each state
     this.stateRequirements = {
+      'scheduled': ['scheduledPickupTime'],
       'driver_assigned': ['driverId', 'assignedAt'],
       'accepted': ['acceptedAt', 'driverId'],
       'driver_enroute': ['enrouteAt', 'driverId'],
@@ -94,16 +98,59 @@ class BookingStateMachine {
     return { isValid: true };
   }
 
+  /**
+   * Validate stop progression for multi-stop deliveries
+   * - Leaving a drop-off back to in_transit must advance to the next stop
+   * - A booking can only be delivered from its final stop
+   * @param {Object} booking - Current booking data
+   * @param {string} currentState - Current booking state
+   * @param {string} newState - Desired new state
+   * @param {Object} data - Prepared update data
+   * @returns {Object} Validation result
+   */
+  validateStopProgression(booking, currentState, newState, data) {
+    const stops = getStops(booking);
+    const currentStopIndex = getCurrentStopIndex(booking);
+
+    if (currentState === 'at_dropoff' && newState === 'in_transit') {
+      const nextStopIndex = data.currentStopIndex;
+      if (!hasRemainingStops(booking) || nextStopIndex !== currentStopIndex + 1) {
+        return {
+          isValid: false,
+          error: {
+            code: 'INVALID_STOP_PROGRESSION',
+            message: `Cannot leave stop ${currentStopIndex + 1} of ${stops.length} without completing it`
+          }
+        };
+      }
+    }
+
+    if (newState === 'delivered' && hasRemainingStops(booking)) {
+      return {
+        isValid: false,
+        error: {
+          code: 'STOPS_REMAINING',
+          message: `Cannot mark booking delivered at stop ${currentStopIndex + 1} of ${stops.length}`
+        }
+      };
+    }
+
+    return { isValid: true };
+  }
+
   /**
    * Transition booking to new state with validation and rollback
    * @param {string} bookingId - Booking ID
    * @param {string} newState - New state
    * @param {Object} updateData - Additional update data
    * @param {Object} context - Update context (userId, userType, etc.)
+   * @param {Object} options - Transition options
+   * @param {Function} options.beforeWrite - async (transaction, booking) run after validation and
+   *   before the booking is written, for reads and writes that must commit with the transition
    * @returns {Promise<Object>} Transition result
    */
-  async transitionBooking(bookingId, newState, updateData = {}, context = {}) {
-    return errorHandlingService.executeTransactionWithRetry(async (transaction) => {
+  async transitionBooking(bookingId, newState, updateData = {}, context = {}, options = {}) {
+    const result = await errorHandlingService.executeTransactionWithRetry(async (transaction) => {
       // Get current booking state
       const bookingRef = this.db.collection('bookings').doc(bookingId);
       const bookingDoc = await transaction.get(bookingRef);
@@ -123,6 +170,12 @@ class BookingStateMachine {
 
       // Prepare update data with state-specific requirements
       const stateUpdateData = this.prepareStateUpdateData(newState, updateData, context);
+
+      // Multi-stop deliveries must progress through their stops in order
+      const stopValidation = this.validateStopProgression(currentBooking, currentState, newState, stateUpdateData);
+      if (!stopValidation.isValid) {
+        throw new Error(stopValidation.error.message);
+      }
       
       // Validate state requirements
       const requirementsValidation = this.validateStateRequirements(newState, stateUpdateData);
@@ -130,6 +183,10 @@ class BookingStateMachine {
         throw new Error(requirementsValidation.error.message);
       }
 
+      if (options.beforeWrite) {
+        await options.beforeWrite(transaction, currentBooking);
+      }
+
       // Create state transition record
       const stateTransition = {
         bookingId,
@@ -172,6 +229,16 @@ class BookingStateMachine {
     }, {
       context: `Booking state transition: ${bookingId} -> ${newState}`
     });
+
+    // Once committed, a finished booking closes its chat and masked contact session
+    if (COMPLETED_BOOKING_STATUSES.includes(newState)) {
+      const chatService = require('./chatService');
+      const maskedContactService = require('./maskedContactService');
+      await chatService.closeChat(bookingId, newState);
+      await maskedContactService.expireSession(bookingId, newState);
+    }
+
+    return result;
   }
 
   /**
@@ -193,6 +260,12 @@ class BookingStateMachine {
 
     // Add timestamp fields based on state
     switch (state) {
+      case 'pending':
+        // Scheduled booking released to driver matching
+        if (context.releasedFromSchedule) {
+          stateData['scheduling.releasedAt'] = now;
+        }
+        break;
       case 'driver_assigned':
         stateData.assignedAt = now;
         stateData.driverId = context.driverId;
@@ -0,0 +1,614 @@
+const { getFirestore, getStorage } = require('./firebase');
+const config = require('../config/environment');
+const { COMPLETED_BOOKING_STATUSES } = require('../constants/bookingStatuses');
+const {
+  CHAT_COLLECTIONS,
+  CHAT_MESSAGE_TYPES,
+  CHAT_MESSAGE_STATUSES,
+  CHAT_THREAD_STATUSES,
+  CHAT_ATTACHMENT_TYPES,
+  CHAT_LOCALES,
+  CHAT_QUICK_REPLIES
+} = require('../constants/chat');
+const { toDate } = require('../utils/dates');
+
+// Firestore batches are capped at 500 writes
+const WRITE_CHUNK_SIZE = 400;
+
+// Threads purged per run (the next run picks up the rest)
+const PURGE_BATCH_SIZE = 50;
+
+const FILE_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/x-m4a': 'm4a',
+  'audio/aac': 'aac',
+  'audio/ogg': 'ogg',
+  'audio/webm': 'webm'
+};
+
+/**
+ * Chat Service
+ * In-trip chat between the customer and the driver of a booking, shared by
+ * `/api/chat` and the socket `send_message` handler:
+ * - text, localised quick replies, image and voice-note attachments (stored
+ *   under `bookings/{bookingId}/chat/` like the proof photos)
+ * - delivered / read receipts, broadcast as `chat_receipt` socket events
+ * - the chat closes when the booking reaches a terminal state and is purged
+ *   (messages and attachments) `retentionDays` after closing
+ *
+ * Messages sent before receipts existed only carry `read`; they are treated
+ * as `sent` until read.
+ */
+class ChatService {
+  constructor() {
+    this.purgeInterval = null;
+    this.isRunning = false;
+  }
+
+  get db() {
+    return getFirestore();
+  }
+
+  get settings() {
+    return config.getChatConfig();
+  }
+
+  /**
+   * Start the retention purge scheduler
+   */
+  initialize() {
+    if (this.isRunning || !this.settings.autoPurge) {
+      return;
+    }
+
+    this.purgeInterval = setInterval(async () => {
+      await this.purgeExpiredChats();
+    }, this.settings.purgeIntervalMinutes * 60 * 1000);
+
+    this.isRunning = true;
+    console.log(`✅ [CHAT] Retention purge started (${this.settings.retentionDays} days after close)`);
+  }
+
+  /**
+   * Stop the retention purge scheduler
+   */
+  stopScheduler() {
+    if (this.purgeInterval) {
+      clearInterval(this.purgeInterval);
+      this.purgeInterval = null;
+    }
+    this.isRunning = false;
+  }
+
+  /**
+   * Quick-reply templates for a sender type in a locale (English fallback)
+   * @param {string} senderType - 'driver' or 'customer'
+   * @param {string} locale - Locale code
+   * @returns {Object} { locale, templates: [{ id, text }] }
+   */
+  getQuickReplies(senderType, locale) {
+    const resolvedLocale = CHAT_LOCALES.includes(locale) ? locale : 'en';
+    const templates = (CHAT_QUICK_REPLIES[senderType] || []).map(template => ({
+      id: template.id,
+      text: template.text[resolvedLocale] || template.text.en
+    }));
+    return { locale: resolvedLocale, templates };
+  }
+
+  /**
+   * Booking, participants and chat state for a user of the booking
+   * @param {string} bookingId - Booking ID
+   * @param {string} userId - Customer or driver ID
+   * @returns {Promise<Object>} { success, data: { bookingData, senderType, recipientId, thread } } or { success: false, error }
+   */
+  async getChatContext(bookingId, userId) {
+    const bookingDoc = await this.db.collection('bookings').doc(bookingId).get();
+    if (!bookingDoc.exists) {
+      return { success: false, error: { code: 'BOOKING_NOT_FOUND', message: 'Booking not found' } };
+    }
+
+    const bookingData = bookingDoc.data();
+    if (bookingData.customerId !== userId && bookingData.driverId !== userId) {
+      return {
+        success: false,
+        error: { code: 'ACCESS_DENIED', message: 'Access denied - you can only chat on your own bookings' }
+      };
+    }
+
+    const threadDoc = await this.db.collection(CHAT_COLLECTIONS.THREADS).doc(bookingId).get();
+    const senderType = bookingData.customerId === userId ? 'customer' : 'driver';
+
+    return {
+      success: true,
+      data: {
+        bookingData,
+        senderType,
+        recipientId: senderType === 'customer' ? bookingData.driverId || null : bookingData.customerId,
+        thread: threadDoc.exists ? threadDoc.data() : null
+      }
+    };
+  }
+
+  /**
+   * Send a chat message
+   * @param {string} bookingId - Booking ID
+   * @param {string} senderId - Customer or driver ID
+   * @param {Object} payload - { messageType, text, quickReplyId, locale, file, durationSeconds, timestamp }
+   *   `file` is a multer file for image / voice messages; `text` is the caption there
+   * @returns {Promise<Object>} { success, data: message } or { success: false, error }
+   */
+  async sendMessage(bookingId, senderId, payload = {}) {
+    const messageType = payload.messageType || CHAT_MESSAGE_TYPES.TEXT;
+
+    try {
+      const context = await this.getChatContext(bookingId, senderId);
+      if (!context.success) {
+        return context;
+      }
+
+      const { bookingData, senderType, recipientId, thread } = context.data;
+      if (COMPLETED_BOOKING_STATUSES.includes(bookingData.status) || (thread && thread.status !== CHAT_THREAD_STATUSES.OPEN)) {
+        if (!thread || thread.status === CHAT_THREAD_STATUSES.OPEN) {
+          await this.closeChat(bookingId, bookingData.status);
+        }
+        return { success: false, error: { code: 'CHAT_CLOSED', message: 'Chat is closed for this booking' } };
+      }
+
+      const content = this.validateContent(messageType, senderType, payload);
+      if (!content.success) {
+        return content;
+      }
+
+      const messageRef = this.db.collection(CHAT_COLLECTIONS.MESSAGES).doc();
+      const messageId = `msg_${Date.now()}_${messageRef.id.slice(0, 9)}`;
+      const attachment = payload.file
+        ? await this.uploadAttachment(bookingId, senderId, messageId, payload.file, payload.durationSeconds)
+        : null;
+
+      const now = new Date();
+      const message = {
+        id: messageId,
+        bookingId,
+        senderId,
+        senderType,
+        recipientId,
+        messageType,
+        message: content.text,
+        quickReplyId: content.quickReplyId || null,
+        locale: content.locale || null,
+        attachment,
+        status: CHAT_MESSAGE_STATUSES.SENT,
+        read: false,
+        deliveredAt: null,
+        readAt: null,
+        timestamp: payload.timestamp ? new Date(payload.timestamp) : now,
+        createdAt: now
+      };
+
+      await this.db.collection(CHAT_COLLECTIONS.MESSAGES).doc(messageId).set(message);
+      await this.db.collection(CHAT_COLLECTIONS.THREADS).doc(bookingId).set({
+        bookingId,
+        customerId: bookingData.customerId,
+        driverId: bookingData.driverId || null,
+        status: CHAT_THREAD_STATUSES.OPEN,
+        lastMessageAt: now,
+        updatedAt: now
+      }, { merge: true });
+      await this.db.collection('bookings').doc(bookingId).update({
+        lastMessage: {
+          senderId,
+          senderType,
+          message: this.getPreview(message),
+          timestamp: message.timestamp
+        },
+        updatedAt: now
+      });
+
+      this.emitToBooking(bookingData, bookingId, 'chat_message', this.toEvent(message));
+      return { success: true, data: message };
+    } catch (error) {
+      console.error(`❌ [CHAT] Failed to send ${messageType} message for booking ${bookingId}:`, error);
+      return {
+        success: false,
+        error: { code: 'MESSAGE_SEND_ERROR', message: 'Failed to send message', details: error.message }
+      };
+    }
+  }
+
+  /**
+   * Validate message content for its type
+   * @returns {Object} { success, text, quickReplyId, locale } or { success: false, error }
+   */
+  validateContent(messageType, senderType, payload) {
+    const { maxTextLength, maxImageBytes, maxVoiceBytes, maxVoiceSeconds } = this.settings;
+    const text = typeof payload.text === 'string' ? payload.text.trim() : '';
+    const invalid = message => ({ success: false, error: { code: 'INVALID_MESSAGE', message } });
+
+    if (text.length > maxTextLength) {
+      return invalid(`Message must be at most ${maxTextLength} characters`);
+    }
+
+    switch (messageType) {
+      case CHAT_MESSAGE_TYPES.TEXT:
+        return text ? { success: true, text } : invalid(`Message must be between 1 and ${maxTextLength} characters`);
+
+      case CHAT_MESSAGE_TYPES.QUICK_REPLY: {
+        const { locale, templates } = this.getQuickReplies(senderType, payload.locale);
+        const template = templates.find(candidate => candidate.id === payload.quickReplyId);
+        return template
+          ? { success: true, text: template.text, quickReplyId: template.id, locale }
+          : invalid('Unknown quick reply');
+      }
+
+      case CHAT_MESSAGE_TYPES.IMAGE:
+      case CHAT_MESSAGE_TYPES.VOICE: {
+        const { file } = payload;
+        const maxBytes = messageType === CHAT_MESSAGE_TYPES.IMAGE ? maxImageBytes : maxVoiceBytes;
+        if (!file) {
+          return invalid('Attachment file is required');
+        }
+        if (!CHAT_ATTACHMENT_TYPES[messageType].includes(file.mimetype)) {
+          return invalid(`File type ${file.mimetype} is not allowed for ${messageType} messages`);
+        }
+        if (file.size > maxBytes) {
+          return invalid(`Attachment must be at most ${Math.round(maxBytes / 1024 / 1024)}MB`);
+        }
+        if (messageType === CHAT_MESSAGE_TYPES.VOICE && Number(payload.durationSeconds) > maxVoiceSeconds) {
+          return invalid(`Voice notes must be at most ${maxVoiceSeconds} seconds`);
+        }
+        return { success: true, text };
+      }
+
+      default:
+        return invalid(`Unsupported message type: ${messageType}`);
+    }
+  }
+
+  /**
+   * Store an attachment next to the booking's proof photos
+   * @returns {Promise<Object>} Attachment metadata
+   */
+  async uploadAttachment(bookingId, senderId, messageId, file, durationSeconds) {
+    const storagePath = `bookings/${bookingId}/chat/${senderId}/${messageId}.${FILE_EXTENSIONS[file.mimetype] || 'bin'}`;
+    const fileRef = getStorage().bucket().file(storagePath);
+
+    await fileRef.save(file.buffer, {
+      metadata: {
+        contentType: file.mimetype,
+        metadata: {
+          bookingId,
+          senderId,
+          messageId,
+          uploadedAt: new Date().toISOString()
+        }
+      }
+    });
+
+    // Readable until purged: purging deletes the object, which voids the URL
+    const [url] = await fileRef.getSignedUrl({
+      action: 'read',
+      expires: '03-01-2500'
+    });
+
+    return {
+      url,
+      storagePath,
+      contentType: file.mimetype,
+      size: file.size,
+      durationSeconds: durationSeconds ? Number(durationSeconds) : null
+    };
+  }
+
+  /**
+   * Mark the other participant's messages as delivered to a user
+   * @param {string} bookingId - Booking ID
+   * @param {string} userId - Recipient
+   * @param {Array<string>} messageIds - Only these messages (all pending ones when omitted)
+   * @returns {Promise<Object>} { success, data: { messageIds } } or { success: false, error }
+   */
+  async markDelivered(bookingId, userId, messageIds = null) {
+    return this.updateReceipts(bookingId, userId, CHAT_MESSAGE_STATUSES.DELIVERED, messageIds);
+  }
+
+  /**
+   * Mark the other participant's messages as read by a user
+   * @param {string} bookingId - Booking ID
+   * @param {string} userId - Recipient
+   * @param {Array<string>} messageIds - Only these messages (all unread ones when omitted)
+   * @returns {Promise<Object>} { success, data: { messageIds } } or { success: false, error }
+   */
+  async markRead(bookingId, userId, messageIds = null) {
+    return this.updateReceipts(bookingId, userId, CHAT_MESSAGE_STATUSES.READ, messageIds);
+  }
+
+  async updateReceipts(bookingId, userId, status, messageIds) {
+    try {
+      const context = await this.getChatContext(bookingId, userId);
+      if (!context.success) {
+        return context;
+      }
+
+      const snapshot = await this.db.collection(CHAT_COLLECTIONS.MESSAGES)
+        .where('bookingId', '==', bookingId)
+        .get();
+
+      const now = new Date();
+      const updated = [];
+      const writes = [];
+      snapshot.docs.forEach(doc => {
+        const message = doc.data();
+        const messageId = message.id || doc.id;
+        if (message.senderId === userId) return;
+        if (Array.isArray(messageIds) && !messageIds.includes(messageId)) return;
+
+        const currentStatus = message.read ? CHAT_MESSAGE_STATUSES.READ : message.status || CHAT_MESSAGE_STATUSES.SENT;
+        if (currentStatus === CHAT_MESSAGE_STATUSES.READ) return;
+        if (currentStatus === CHAT_MESSAGE_STATUSES.DELIVERED && status === CHAT_MESSAGE_STATUSES.DELIVERED) return;
+
+        const update = { status, deliveredAt: message.deliveredAt || now };
+        if (status === CHAT_MESSAGE_STATUSES.READ) {
+          update.read = true;
+          update.readAt = now;
+        }
+        writes.push(batch => batch.update(doc.ref, update));
+        updated.push(messageId);
+      });
+
+      await this.commitInChunks(writes);
+
+      if (updated.length > 0) {
+        this.emitToBooking(context.data.bookingData, bookingId, 'chat_receipt', {
+          bookingId,
+          messageIds: updated,
+          status,
+          userId,
+          timestamp: now.toISOString()
+        });
+      }
+      return { success: true, data: { messageIds: updated } };
+    } catch (error) {
+      console.error(`❌ [CHAT] Failed to mark messages ${status} for booking ${bookingId}:`, error);
+      return {
+        success: false,
+        error: { code: 'RECEIPT_UPDATE_ERROR', message: `Failed to mark messages as ${status}`, details: error.message }
+      };
+    }
+  }
+
+  /**
+   * Messages of a booking, oldest first
+   * @param {string} bookingId - Booking ID
+   * @returns {Promise<Array<Object>>} Messages
+   */
+  async listMessages(bookingId) {
+    // No orderBy: avoids a composite index, sorted in memory instead
+    const snapshot = await this.db.collection(CHAT_COLLECTIONS.MESSAGES)
+      .where('bookingId', '==', bookingId)
+      .get();
+
+    const messages = snapshot.docs.map(doc => {
+      const message = doc.data();
+      return {
+        id: doc.id,
+        ...message,
+        messageType: message.messageType || CHAT_MESSAGE_TYPES.TEXT,
+        status: message.read ? CHAT_MESSAGE_STATUSES.READ : message.status || CHAT_MESSAGE_STATUSES.SENT,
+        timestamp: toDate(message.timestamp),
+        deliveredAt: toDate(message.deliveredAt),
+        readAt: toDate(message.readAt),
+        createdAt: toDate(message.createdAt)
+      };
+    });
+
+    return messages.sort((a, b) => (a.timestamp?.getTime() || 0) - (b.timestamp?.getTime() || 0));
+  }
+
+  /**
+   * Chat state of a booking
+   * @param {string} bookingId - Booking ID
+   * @returns {Promise<Object|null>} Thread, or null when nobody wrote yet
+   */
+  async getThread(bookingId) {
+    const threadDoc = await this.db.collection(CHAT_COLLECTIONS.THREADS).doc(bookingId).get();
+    return threadDoc.exists ? threadDoc.data() : null;
+  }
+
+  /**
+   * Close the chat of a booking that reached a terminal state
+   * @param {string} bookingId - Booking ID
+   * @param {string} reason - Terminal booking status
+   * @returns {Promise<boolean>} Whether the chat was closed now
+   */
+  async closeChat(bookingId, reason) {
+    try {
+      const threadRef = this.db.collection(CHAT_COLLECTIONS.THREADS).doc(bookingId);
+      const threadDoc = await threadRef.get();
+      if (threadDoc.exists && threadDoc.data().status !== CHAT_THREAD_STATUSES.OPEN) {
+        return false;
+      }
+
+      const bookingDoc = await this.db.collection('bookings').doc(bookingId).get();
+      const bookingData = bookingDoc.exists ? bookingDoc.data() : {};
+      const closedAt = new Date();
+
+      await threadRef.set({
+        bookingId,
+        customerId: bookingData.customerId || null,
+        driverId: bookingData.driverId || null,
+        status: CHAT_THREAD_STATUSES.CLOSED,
+        closedAt,
+        closeReason: reason || null,
+        purgeAfter: new Date(closedAt.getTime() + this.settings.retentionDays * 24 * 60 * 60 * 1000),
+        updatedAt: closedAt
+      }, { merge: true });
+
+      if (bookingDoc.exists) {
+        this.emitToBooking(bookingData, bookingId, 'chat_closed', {
+          bookingId,
+          reason: reason || null,
+          timestamp: closedAt.toISOString()
+        });
+      }
+      console.log(`🔒 [CHAT] Closed chat for booking ${bookingId} (${reason || 'no reason'})`);
+      return true;
+    } catch (error) {
+      console.error(`❌ [CHAT] Failed to close chat for booking ${bookingId}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Purge chats past their retention period. Covers closed chats and chats
+   * whose booking ended without closing them (no message since the
+   * retention period, booking terminal or gone).
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} { success, data: { purged } }
+   */
+  async purgeExpiredChats(now = new Date()) {
+    try {
+      const staleBefore = new Date(now.getTime() - this.settings.retentionDays * 24 * 60 * 60 * 1000);
+      const [closedSnapshot, staleSnapshot] = await Promise.all([
+        this.db.collection(CHAT_COLLECTIONS.THREADS)
+          .where('status', '==', CHAT_THREAD_STATUSES.CLOSED)
+          .where('purgeAfter', '<=', now)
+          .limit(PURGE_BATCH_SIZE)
+          .get(),
+        this.db.collection(CHAT_COLLECTIONS.THREADS)
+          .where('status', '==', CHAT_THREAD_STATUSES.OPEN)
+          .where('lastMessageAt', '<=', staleBefore)
+          .limit(PURGE_BATCH_SIZE)
+          .get()
+      ]);
+
+      let purged = 0;
+      for (const doc of closedSnapshot.docs) {
+        await this.purgeChat(doc.id);
+        purged++;
+      }
+      for (const doc of staleSnapshot.docs) {
+        const bookingDoc = await this.db.collection('bookings').doc(doc.id).get();
+        if (bookingDoc.exists && !COMPLETED_BOOKING_STATUSES.includes(bookingDoc.data().status)) continue;
+        await this.purgeChat(doc.id);
+        purged++;
+      }
+
+      if (purged > 0) {
+        console.log(`🧹 [CHAT] Purged ${purged} chats past retention`);
+      }
+      return { success: true, data: { purged } };
+    } catch (error) {
+      console.error('❌ [CHAT] Retention purge failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Delete every message and attachment of a booking's chat
+   * @param {string} bookingId - Booking ID
+   */
+  async purgeChat(bookingId) {
+    const snapshot = await this.db.collection(CHAT_COLLECTIONS.MESSAGES)
+      .where('bookingId', '==', bookingId)
+      .get();
+
+    const bucket = getStorage().bucket();
+    for (const doc of snapshot.docs) {
+      const storagePath = doc.data().attachment?.storagePath;
+      if (!storagePath) continue;
+      try {
+        await bucket.file(storagePath).delete({ ignoreNotFound: true });
+      } catch (error) {
+        console.error(`❌ [CHAT] Failed to delete attachment ${storagePath}:`, error.message);
+      }
+    }
+
+    await this.commitInChunks(snapshot.docs.map(doc => batch => batch.delete(doc.ref)));
+
+    const purgedAt = new Date();
+    await this.db.collection(CHAT_COLLECTIONS.THREADS).doc(bookingId).set({
+      status: CHAT_THREAD_STATUSES.PURGED,
+      purgedAt,
+      purgedMessageCount: snapshot.size,
+      updatedAt: purgedAt
+    }, { merge: true });
+
+    const bookingRef = this.db.collection('bookings').doc(bookingId);
+    if ((await bookingRef.get()).exists) {
+      await bookingRef.update({ lastMessage: null });
+    }
+  }
+
+  /**
+   * Short text for booking lists and notifications
+   */
+  getPreview(message) {
+    if (message.messageType === CHAT_MESSAGE_TYPES.IMAGE) return message.message || '📷 Photo';
+    if (message.messageType === CHAT_MESSAGE_TYPES.VOICE) return '🎤 Voice note';
+    return message.message;
+  }
+
+  /**
+   * Socket payload of a message (same fields the apps already read, plus media)
+   */
+  toEvent(message) {
+    return {
+      id: message.id,
+      bookingId: message.bookingId,
+      tripId: message.bookingId, // For backward compatibility
+      senderId: message.senderId,
+      senderType: message.senderType,
+      message: message.message,
+      messageType: message.messageType,
+      quickReplyId: message.quickReplyId,
+      attachment: message.attachment
+        ? {
+          url: message.attachment.url,
+          contentType: message.attachment.contentType,
+          size: message.attachment.size,
+          durationSeconds: message.attachment.durationSeconds
+        }
+        : null,
+      status: message.status,
+      timestamp: message.timestamp.toISOString()
+    };
+  }
+
+  /**
+   * Emit an event to the booking rooms and both participants
+   */
+  emitToBooking(bookingData, bookingId, event, payload) {
+    try {
+      const socketService = require('./socket');
+      const io = socketService.getSocketIO();
+      if (!io) return;
+
+      io.to(`booking:${bookingId}`).emit(event, payload);
+      io.to(`trip:${bookingId}`).emit(event, payload);
+      io.to(`user:${bookingData.customerId}`).emit(event, payload);
+      if (bookingData.driverId) {
+        io.to(`user:${bookingData.driverId}`).emit(event, payload);
+      }
+    } catch (error) {
+      // Messages are stored even when the socket layer is down
+      console.error(`❌ [CHAT] Failed to emit ${event} for booking ${bookingId}:`, error.message);
+    }
+  }
+
+  /**
+   * Commit queued writes in Firestore-sized batches
+   * @param {Array<Function>} writes - Functions applying one write to a batch
+   */
+  async commitInChunks(writes) {
+    for (let index = 0; index < writes.length; index += WRITE_CHUNK_SIZE) {
+      const batch = this.db.batch();
+      writes.slice(index, index + WRITE_CHUNK_SIZE).forEach(write => write(batch));
+      await batch.commit();
+    }
+  }
+}
+
+module.exports = new ChatService();
@@ -0,0 +1,571 @@
+const crypto = require('crypto');
+const { getFirestore, getStorage } = require('./firebase');
+const config = require('../config/environment');
+const {
+  CLAIM_COLLECTIONS,
+  CLAIM_STATUSES,
+  CLAIM_TRANSITIONS,
+  CLAIM_OPEN_STATUSES,
+  CLAIM_ELIGIBLE_BOOKING_STATUSES,
+  CLAIM_EVIDENCE_MIME_TYPES
+} = require('../constants/claims');
+const { REFUND_DESTINATIONS } = require('../constants/customerWallet');
+const { toDate } = require('../utils/dates');
+
+/**
+ * Claim Service
+ * Damage / loss claims on delivered packages:
+ * - the customer files within `filingWindowHours` of delivery (or of the
+ *   cancellation, for a package lost in transit), for at most the declared
+ *   `package.value`
+ * - the pickup/delivery photos already collected for the booking are linked
+ *   to the claim when it is filed
+ * - both parties add evidence; the driver can answer with a statement
+ * - admins move the claim through the queue and decide it; an approval
+ *   settles as a refund to the customer and/or a liability deduction from
+ *   the driver's points wallet (walletService)
+ *
+ * Every status change is appended to `claim.history`.
+ */
+class ClaimService {
+  get db() {
+    return getFirestore();
+  }
+
+  get settings() {
+    return config.getClaimsConfig();
+  }
+
+  /**
+   * File a claim
+   * @param {string} customerId - Customer filing the claim
+   * @param {Object} params - { bookingId, type, description, claimedAmount }
+   * @returns {Promise<Object>} Result with the claim
+   */
+  async fileClaim(customerId, { bookingId, type, description, claimedAmount }) {
+    const bookingDoc = await this.db.collection('bookings').doc(bookingId).get();
+    if (!bookingDoc.exists) {
+      return { success: false, error: { code: 'BOOKING_NOT_FOUND', message: 'Booking not found' } };
+    }
+
+    const booking = bookingDoc.data();
+    if (booking.customerId !== customerId) {
+      return { success: false, error: { code: 'ACCESS_DENIED', message: 'You can only file claims for your own bookings' } };
+    }
+    if (!booking.driverId) {
+      return { success: false, error: { code: 'CLAIM_NOT_ELIGIBLE', message: 'No driver handled this booking' } };
+    }
+    if (!CLAIM_ELIGIBLE_BOOKING_STATUSES[type].includes(booking.status)) {
+      return {
+        success: false,
+        error: { code: 'CLAIM_NOT_ELIGIBLE', message: `A ${type} claim cannot be filed for a ${booking.status} booking` }
+      };
+    }
+
+    const now = new Date();
+    const eligibleFrom = this.getEligibleFrom(booking);
+    const deadline = eligibleFrom ? new Date(eligibleFrom.getTime() + this.settings.filingWindowHours * 60 * 60 * 1000) : null;
+    if (!deadline || now > deadline) {
+      return {
+        success: false,
+        error: {
+          code: 'CLAIM_WINDOW_EXPIRED',
+          message: `Claims must be filed within ${this.settings.filingWindowHours} hours of delivery`
+        }
+      };
+    }
+
+    const declaredValue = Number(booking.package?.value) || 0;
+    const maxClaimAmount = declaredValue > 0 ? declaredValue : this.settings.undeclaredValueCap;
+    if (claimedAmount > maxClaimAmount) {
+      return {
+        success: false,
+        error: {
+          code: 'CLAIM_AMOUNT_TOO_HIGH',
+          message: `Claims for this package are limited to ₹${maxClaimAmount}`,
+          details: { declaredValue, maxClaimAmount }
+        }
+      };
+    }
+
+    // Link the photos captured at pickup and delivery
+    const supportEvidenceService = require('./supportEvidenceService');
+    const photoSnapshot = await this.db.collection('photoVerifications').where('bookingId', '==', bookingId).get();
+    const bookingPhotos = supportEvidenceService.buildPhotos(photoSnapshot.docs, booking);
+    const packagePhotoCheck = supportEvidenceService.summarizePackagePhotoCheck(
+      await require('./packagePhotoComparisonService').getCheck(bookingId)
+    );
+
+    const claimRef = this.db.collection(CLAIM_COLLECTIONS.CLAIMS).doc();
+    const claim = {
+      id: claimRef.id,
+      bookingId,
+      customerId,
+      driverId: booking.driverId,
+      type,
+      description,
+      claimedAmount,
+      declaredValue,
+      maxClaimAmount,
+      isFragile: !!booking.package?.isFragile,
+      bookingStatus: booking.status,
+      eligibleFrom,
+      filingDeadline: deadline,
+      bookingPhotos,
+      pickupPhotoMissing: !bookingPhotos.some(photo => photo.photoType === 'pickup'),
+      deliveryPhotoMissing: !bookingPhotos.some(photo => photo.photoType === 'delivery'),
+      packagePhotoCheck,
+      evidence: [],
+      driverResponse: null,
+      status: CLAIM_STATUSES.SUBMITTED,
+      reviewerId: null,
+      decision: null,
+      settlement: null,
+      history: [this.historyEntry(CLAIM_STATUSES.SUBMITTED, customerId, 'customer', null, now)],
+      createdAt: now,
+      updatedAt: now
+    };
+
+    // One open claim per booking: the booking's marker is checked and moved in the same transaction
+    const bookingClaimRef = this.db.collection(CLAIM_COLLECTIONS.BOOKING_CLAIMS).doc(bookingId);
+    const created = await this.db.runTransaction(async (transaction) => {
+      const markerDoc = await transaction.get(bookingClaimRef);
+      if (markerDoc.exists) {
+        const currentDoc = await transaction.get(this.db.collection(CLAIM_COLLECTIONS.CLAIMS).doc(markerDoc.data().claimId));
+        if (currentDoc.exists && currentDoc.data().status !== CLAIM_STATUSES.WITHDRAWN) {
+          return false;
+        }
+      }
+      transaction.set(bookingClaimRef, { bookingId, claimId: claim.id, createdAt: now });
+      transaction.set(claimRef, claim);
+      return true;
+    });
+    if (!created) {
+      return { success: false, error: { code: 'CLAIM_EXISTS', message: 'A claim has already been filed for this booking' } };
+    }
+
+    await this.notifyParty(booking.driverId, claim, 'claim_filed', 'Claim filed on your delivery',
+      `A ${type} claim was filed for booking ${bookingId}. You can respond with a statement and evidence.`);
+
+    console.log(`📦 [CLAIMS] ${type} claim ${claim.id} filed for booking ${bookingId} (₹${claimedAmount})`);
+    return { success: true, data: claim };
+  }
+
+  /**
+   * When the filing window starts for a booking
+   */
+  getEligibleFrom(booking) {
+    return toDate(booking.deliveredAt || booking.completedAt || booking.cancelledAt || booking.updatedAt);
+  }
+
+  /**
+   * Load a claim, checking the user is a party to it
+   * @param {string} claimId - Claim ID
+   * @param {string} userId - Customer or driver; omit for admins
+   * @returns {Promise<Object>} Result with { ref, claim, role }
+   */
+  async getClaimForUser(claimId, userId = null) {
+    const ref = this.db.collection(CLAIM_COLLECTIONS.CLAIMS).doc(claimId);
+    const doc = await ref.get();
+    if (!doc.exists) {
+      return { success: false, error: { code: 'CLAIM_NOT_FOUND', message: 'Claim not found' } };
+    }
+
+    const claim = doc.data();
+    let role = 'admin';
+    if (userId) {
+      if (claim.customerId === userId) role = 'customer';
+      else if (claim.driverId === userId) role = 'driver';
+      else return { success: false, error: { code: 'ACCESS_DENIED', message: 'You are not a party to this claim' } };
+    }
+    return { success: true, data: { ref, claim, role } };
+  }
+
+  /**
+   * Claims a customer filed or a driver is named in, newest first
+   * @param {string} userId - User ID
+   * @param {string} userType - customer or driver
+   * @param {Object} options - { status, limit }
+   * @returns {Promise<Array>} Claims
+   */
+  async listForUser(userId, userType, { status = null, limit = 20 } = {}) {
+    const field = userType === 'driver' ? 'driverId' : 'customerId';
+    const snapshot = await this.db.collection(CLAIM_COLLECTIONS.CLAIMS)
+      .where(field, '==', userId)
+      .orderBy('createdAt', 'desc')
+      .limit(limit)
+      .get();
+
+    return snapshot.docs
+      .map(doc => doc.data())
+      .filter(claim => !status || claim.status === status);
+  }
+
+  /**
+   * Admin queue, oldest first
+   * @param {Object} options - { status, limit }
+   * @returns {Promise<Array>} Claims
+   */
+  async listQueue({ status = null, limit = 50 } = {}) {
+    let query = this.db.collection(CLAIM_COLLECTIONS.CLAIMS);
+    query = status
+      ? query.where('status', '==', status)
+      : query.where('status', 'in', [...CLAIM_OPEN_STATUSES, CLAIM_STATUSES.APPROVED]);
+
+    const snapshot = await query.orderBy('createdAt', 'asc').limit(limit).get();
+    return snapshot.docs.map(doc => doc.data());
+  }
+
+  /**
+   * Upload evidence files to a claim
+   * @param {string} claimId - Claim ID
+   * @param {string} userId - Uploading customer or driver
+   * @param {Array<Object>} files - Multer files
+   * @param {string} caption - Optional caption for the files
+   * @returns {Promise<Object>} Result with the new evidence entries
+   */
+  async addEvidence(claimId, userId, files, caption = null) {
+    const found = await this.getClaimForUser(claimId, userId);
+    if (!found.success) return found;
+    const { ref, claim, role } = found.data;
+
+    if (!CLAIM_OPEN_STATUSES.includes(claim.status)) {
+      return { success: false, error: { code: 'CLAIM_CLOSED', message: `Claim is already ${claim.status}` } };
+    }
+    if ((claim.evidence || []).length + files.length > this.settings.maxEvidenceFiles) {
+      return {
+        success: false,
+        error: { code: 'TOO_MANY_FILES', message: `A claim can hold at most ${this.settings.maxEvidenceFiles} evidence files` }
+      };
+    }
+
+    const invalid = files.find(file => !CLAIM_EVIDENCE_MIME_TYPES[file.mimetype] || file.size > this.settings.maxEvidenceBytes);
+    if (invalid) {
+      return {
+        success: false,
+        error: {
+          code: 'INVALID_FILE',
+          message: `Evidence must be JPEG, PNG, WebP or PDF and at most ${Math.round(this.settings.maxEvidenceBytes / (1024 * 1024))} MB`,
+          details: { fileName: invalid.originalname, mimetype: invalid.mimetype, size: invalid.size }
+        }
+      };
+    }
+
+    const now = new Date();
+    const entries = [];
+    for (const file of files) {
+      const evidenceId = crypto.randomBytes(8).toString('hex');
+      const storagePath = `claims/${claimId}/${userId}/${evidenceId}.${CLAIM_EVIDENCE_MIME_TYPES[file.mimetype]}`;
+      const fileRef = getStorage().bucket().file(storagePath);
+
+      await fileRef.save(file.buffer, {
+        metadata: {
+          contentType: file.mimetype,
+          metadata: { claimId, bookingId: claim.bookingId, uploadedBy: userId, uploadedAt: now.toISOString() }
+        }
+      });
+      const [url] = await fileRef.getSignedUrl({ action: 'read', expires: '03-01-2500' });
+
+      entries.push({
+        id: evidenceId,
+        url,
+        storagePath,
+        contentType: file.mimetype,
+        size: file.size,
+        fileName: file.originalname || null,
+        caption: caption || null,
+        uploadedBy: userId,
+        uploadedByRole: role,
+        uploadedAt: now
+      });
+    }
+
+    // New evidence sends a claim waiting on the parties back to review
+    const update = { evidence: [...(claim.evidence || []), ...entries], updatedAt: now };
+    if (claim.status === CLAIM_STATUSES.AWAITING_INFO) {
+      update.status = CLAIM_STATUSES.UNDER_REVIEW;
+      update.history = [...claim.history, this.historyEntry(CLAIM_STATUSES.UNDER_REVIEW, userId, role, 'New evidence added', now)];
+    }
+    await ref.update(update);
+
+    return { success: true, data: { claimId, status: update.status || claim.status, evidence: entries } };
+  }
+
+  /**
+   * Record the driver's statement on a claim
+   * @param {string} claimId - Claim ID
+   * @param {string} driverId - Driver named in the claim
+   * @param {string} statement - Driver's account
+   * @returns {Promise<Object>} Result
+   */
+  async respondAsDriver(claimId, driverId, statement) {
+    const found = await this.getClaimForUser(claimId, driverId);
+    if (!found.success) return found;
+    const { ref, claim, role } = found.data;
+
+    if (role !== 'driver') {
+      return { success: false, error: { code: 'ACCESS_DENIED', message: 'Only the driver can respond to a claim' } };
+    }
+    if (!CLAIM_OPEN_STATUSES.includes(claim.status)) {
+      return { success: false, error: { code: 'CLAIM_CLOSED', message: `Claim is already ${claim.status}` } };
+    }
+
+    const now = new Date();
+    const driverResponse = { statement, respondedAt: now, revisions: claim.driverResponse ? (claim.driverResponse.revisions || 0) + 1 : 0 };
+    const update = { driverResponse, updatedAt: now };
+    if (claim.status === CLAIM_STATUSES.AWAITING_INFO) {
+      update.status = CLAIM_STATUSES.UNDER_REVIEW;
+      update.history = [...claim.history, this.historyEntry(CLAIM_STATUSES.UNDER_REVIEW, driverId, 'driver', 'Driver responded', now)];
+    }
+    await ref.update(update);
+
+    return { success: true, data: { claimId, status: update.status || claim.status, driverResponse } };
+  }
+
+  /**
+   * Customer withdraws their claim
+   */
+  async withdraw(claimId, customerId, reason = null) {
+    const found = await this.getClaimForUser(claimId, customerId);
+    if (!found.success) return found;
+    if (found.data.role !== 'customer') {
+      return { success: false, error: { code: 'ACCESS_DENIED', message: 'Only the customer can withdraw a claim' } };
+    }
+
+    return this.transition(claimId, CLAIM_STATUSES.WITHDRAWN, customerId, 'customer', reason);
+  }
+
+  /**
+   * Admin moves a claim through the queue (under_review / awaiting_info)
+   * @param {string} claimId - Claim ID
+   * @param {string} status - Target status
+   * @param {string} adminId - Admin ID
+   * @param {string} note - Note for the parties (required for awaiting_info)
+   * @returns {Promise<Object>} Result
+   */
+  async updateQueueStatus(claimId, status, adminId, note = null) {
+    if (![CLAIM_STATUSES.UNDER_REVIEW, CLAIM_STATUSES.AWAITING_INFO].includes(status)) {
+      return { success: false, error: { code: 'INVALID_STATUS', message: 'Status must be under_review or awaiting_info' } };
+    }
+    if (status === CLAIM_STATUSES.AWAITING_INFO && !note) {
+      return { success: false, error: { code: 'NOTE_REQUIRED', message: 'Tell the parties what information is needed' } };
+    }
+
+    const result = await this.transition(claimId, status, adminId, 'admin', note, { reviewerId: adminId });
+    if (result.success && status === CLAIM_STATUSES.AWAITING_INFO) {
+      const claim = result.data;
+      await Promise.all([claim.customerId, claim.driverId].map(userId =>
+        this.notifyParty(userId, claim, 'claim_info_requested', 'More information needed on your claim', note)));
+    }
+    return result;
+  }
+
+  /**
+   * Approve or reject a claim; approvals settle straight away
+   * @param {string} claimId - Claim ID
+   * @param {string} adminId - Admin ID
+   * @param {Object} params - { decision: approve|reject, notes, refundAmount, refundTo, driverLiabilityPoints }
+   * @returns {Promise<Object>} Result with the claim
+   */
+  async decide(claimId, adminId, { decision, notes, refundAmount = 0, refundTo = REFUND_DESTINATIONS.WALLET, driverLiabilityPoints = 0 }) {
+    const found = await this.getClaimForUser(claimId);
+    if (!found.success) return found;
+    const { claim } = found.data;
+
+    if (decision === 'approve') {
+      if (refundAmount <= 0 && driverLiabilityPoints <= 0) {
+        return { success: false, error: { code: 'INVALID_SETTLEMENT', message: 'An approval needs a refund amount and/or a driver liability' } };
+      }
+      if (refundAmount > claim.maxClaimAmount || driverLiabilityPoints > claim.maxClaimAmount) {
+        return {
+          success: false,
+          error: { code: 'INVALID_SETTLEMENT', message: `Refund and liability are each limited to ₹${claim.maxClaimAmount}` }
+        };
+      }
+    }
+
+    const now = new Date();
+    const status = decision === 'approve' ? CLAIM_STATUSES.APPROVED : CLAIM_STATUSES.REJECTED;
+    const result = await this.transition(claimId, status, adminId, 'admin', notes, {
+      reviewerId: claim.reviewerId || adminId,
+      decision: {
+        decision,
+        notes,
+        refundAmount: decision === 'approve' ? refundAmount : 0,
+        refundTo: decision === 'approve' && refundAmount > 0 ? refundTo : null,
+        driverLiabilityPoints: decision === 'approve' ? driverLiabilityPoints : 0,
+        decidedBy: adminId,
+        decidedAt: now
+      }
+    });
+    if (!result.success) return result;
+
+    if (status === CLAIM_STATUSES.REJECTED) {
+      await this.notifyParty(claim.customerId, result.data, 'claim_rejected', 'Claim decision', `Your ${claim.type} claim was not approved. ${notes}`);
+      await this.notifyParty(claim.driverId, result.data, 'claim_rejected', 'Claim decision', `The ${claim.type} claim on booking ${claim.bookingId} was rejected.`);
+      return result;
+    }
+
+    return this.settle(claimId, adminId);
+  }
+
+  /**
+   * Execute (or retry) the settlement of an approved claim. Each part is
+   * idempotent, so a retry only redoes what failed.
+   * @param {string} claimId - Claim ID
+   * @param {string} adminId - Admin ID
+   * @returns {Promise<Object>} Result with the claim
+   */
+  async settle(claimId, adminId) {
+    const found = await this.getClaimForUser(claimId);
+    if (!found.success) return found;
+    const { ref, claim } = found.data;
+
+    if (claim.status !== CLAIM_STATUSES.APPROVED) {
+      return { success: false, error: { code: 'INVALID_STATUS', message: `Only approved claims can be settled (claim is ${claim.status})` } };
+    }
+
+    const { refundAmount, refundTo, driverLiabilityPoints } = claim.decision;
+    const settlement = { ...(claim.settlement || {}), errors: [] };
+
+    if (refundAmount > 0 && settlement.refund?.status !== 'completed' && settlement.refund?.status !== 'pending') {
+      const refund = await this.refundCustomer(claim, refundAmount, refundTo, adminId);
+      if (refund.success) {
+        settlement.refund = refund.data;
+      } else {
+        settlement.errors.push({ part: 'refund', message: refund.error.details || refund.error.message });
+      }
+    }
+
+    if (driverLiabilityPoints > 0 && !settlement.liability) {
+      const walletService = require('./walletService');
+      const liability = await walletService.deductLiability(claim.driverId, claimId, driverLiabilityPoints, {
+        bookingId: claim.bookingId,
+        type: claim.type,
+        decidedBy: claim.decision.decidedBy
+      });
+      if (liability.success) {
+        settlement.liability = liability.data;
+      } else {
+        settlement.errors.push({ part: 'liability', message: liability.details || liability.error });
+      }
+    }
+
+    const now = new Date();
+    settlement.attemptedAt = now;
+    if (settlement.errors.length > 0) {
+      await ref.update({ settlement, updatedAt: now });
+      console.warn(`⚠️ [CLAIMS] Settlement of claim ${claimId} incomplete:`, settlement.errors);
+      return {
+        success: false,
+        error: { code: 'SETTLEMENT_INCOMPLETE', message: 'Settlement could not be completed; retry it from the claim', details: settlement.errors }
+      };
+    }
+
+    delete settlement.errors;
+    settlement.settledAt = now;
+    const result = await this.transition(claimId, CLAIM_STATUSES.SETTLED, adminId, 'admin', null, { settlement });
+    if (!result.success) return result;
+
+    if (refundAmount > 0) {
+      await this.notifyParty(claim.customerId, result.data, 'claim_settled', 'Claim approved',
+        `Your ${claim.type} claim was approved: ₹${refundAmount} ${refundTo === REFUND_DESTINATIONS.WALLET ? 'credited to your wallet' : 'refunded to your payment method'}.`);
+    }
+    if (driverLiabilityPoints > 0) {
+      await this.notifyParty(claim.driverId, result.data, 'claim_settled', 'Claim liability deducted',
+        `${settlement.liability.pointsDeducted} points were deducted for the ${claim.type} claim on booking ${claim.bookingId}.`);
+    }
+
+    console.log(`✅ [CLAIMS] Claim ${claimId} settled (refund ₹${refundAmount}, liability ${driverLiabilityPoints} pts)`);
+    return result;
+  }
+
+  /**
+   * Pay the customer: to the wallet as compensation, or back to the original
+   * payment method (limited to what is still refundable on the booking)
+   */
+  async refundCustomer(claim, amount, refundTo, adminId) {
+    if (refundTo === REFUND_DESTINATIONS.WALLET) {
+      const customerWalletService = require('./customerWalletService');
+      const credit = await customerWalletService.creditRefund(claim.customerId, amount, {
+        refundId: `claim_${claim.id}`,
+        reason: `Compensation for ${claim.type} claim on booking ${claim.bookingId}`,
+        reference: { claimId: claim.id, bookingId: claim.bookingId },
+        createdBy: adminId
+      });
+      if (!credit.success) return credit;
+      return { success: true, data: { refundTo, amount, status: 'completed', walletTransactionId: credit.data.transactionId } };
+    }
+
+    const paymentSnapshot = await this.db.collection('payments')
+      .where('bookingId', '==', claim.bookingId)
+      .where('status', '==', 'completed')
+      .limit(1)
+      .get();
+    if (paymentSnapshot.empty) {
+      return { success: false, error: { code: 'NO_REFUNDABLE_PAYMENT', message: 'No completed payment to refund; settle to the wallet instead' } };
+    }
+
+    const paymentService = require('./paymentService');
+    const result = await paymentService.processRefund(paymentSnapshot.docs[0].id, amount, `${claim.type} claim ${claim.id}`, {
+      refundTo,
+      requestedBy: adminId,
+      refundId: `CLAIM_${claim.id}`
+    });
+    if (!result.success) return result;
+    return { success: true, data: { ...result.data, paymentId: paymentSnapshot.docs[0].id } };
+  }
+
+  /**
+   * Change a claim's status (validated against CLAIM_TRANSITIONS)
+   * @returns {Promise<Object>} Result with the updated claim
+   */
+  async transition(claimId, status, actorId, actorRole, note = null, extra = {}) {
+    const ref = this.db.collection(CLAIM_COLLECTIONS.CLAIMS).doc(claimId);
+    const now = new Date();
+
+    return this.db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      if (!doc.exists) {
+        return { success: false, error: { code: 'CLAIM_NOT_FOUND', message: 'Claim not found' } };
+      }
+
+      const claim = doc.data();
+      if (!(CLAIM_TRANSITIONS[claim.status] || []).includes(status)) {
+        return {
+          success: false,
+          error: { code: 'INVALID_TRANSITION', message: `Claim cannot move from ${claim.status} to ${status}` }
+        };
+      }
+
+      const update = {
+        ...extra,
+        status,
+        history: [...(claim.history || []), this.historyEntry(status, actorId, actorRole, note, now)],
+        updatedAt: now
+      };
+      transaction.update(ref, update);
+      return { success: true, data: { ...claim, ...update } };
+    });
+  }
+
+  historyEntry(status, actorId, actorRole, note, at) {
+    return { status, actorId, actorRole, note: note || null, at };
+  }
+
+  async notifyParty(userId, claim, type, title, body) {
+    try {
+      const notificationService = require('./notificationService');
+      await notificationService.sendToUser(userId, {
+        type,
+        title,
+        body,
+        data: { claimId: claim.id, bookingId: claim.bookingId, status: claim.status }
+      });
+    } catch (error) {
+      console.warn(`⚠️ [CLAIMS] Failed to notify ${userId} about claim ${claim.id}:`, error.message);
+    }
+  }
+}
+
+module.exports = new ClaimService();
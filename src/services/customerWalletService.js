@@ -0,0 +1,753 @@
+const { getFirestore } = require('./firebase');
+const config = require('../config/environment');
+const {
+  CUSTOMER_WALLET_COLLECTIONS,
+  WALLET_TRANSACTION_TYPES,
+  LEDGER_ACCOUNTS,
+  TOP_UP_GATEWAYS,
+  CUSTOMER_TOP_UP_ID_PREFIX,
+  CUSTOMER_TOP_UP_PURPOSE
+} = require('../constants/customerWallet');
+
+/**
+ * Customer Wallet Service
+ * Prepaid rupee balance for customers, kept as a double-entry ledger:
+ * - top-ups through Razorpay payment links or the PhonePe Pay Page, credited
+ *   once the gateway confirms
+ * - wallet as a booking payment method (paymentService.processWalletPayment)
+ * - refunds to wallet from booking cancellations and /api/payments/refund
+ * - admin adjustments
+ *
+ * Every posting runs in a Firestore transaction that updates the running
+ * balance on `customerWallets/{customerId}`, writes the transaction record and
+ * writes one ledger leg per side. Callers pass a deterministic transaction ID
+ * (e.g. per booking or per top-up), so retries never post twice.
+ *
+ * Not to be confused with walletService, which holds the driver points wallet.
+ */
+class CustomerWalletService {
+  get db() {
+    return getFirestore();
+  }
+
+  get settings() {
+    return config.getCustomerWalletConfig();
+  }
+
+  /**
+   * Ledger account of a customer's wallet
+   * @param {string} customerId - Customer ID
+   * @returns {string} Account name
+   */
+  walletAccount(customerId) {
+    return `${LEDGER_ACCOUNTS.CUSTOMER_WALLET}:${customerId}`;
+  }
+
+  /**
+   * Get wallet balance and totals (an empty wallet when none exists yet)
+   * @param {string} customerId - Customer ID
+   * @returns {Promise<Object>} Wallet summary
+   */
+  async getWallet(customerId) {
+    const walletDoc = await this.db.collection(CUSTOMER_WALLET_COLLECTIONS.WALLETS).doc(customerId).get();
+    const wallet = walletDoc.exists ? walletDoc.data() : {};
+
+    return {
+      customerId,
+      balance: wallet.balance || 0,
+      currency: 'INR',
+      totalCredits: wallet.totalCredits || 0,
+      totalDebits: wallet.totalDebits || 0,
+      lastTransactionAt: wallet.lastTransactionAt || null,
+      createdAt: wallet.createdAt || null
+    };
+  }
+
+  /**
+   * Post a wallet transaction with its two ledger legs
+   * @param {Object} posting - Posting details
+   * @param {string} posting.transactionId - Idempotency key / document ID
+   * @param {string} posting.customerId - Customer ID
+   * @param {string} posting.type - WALLET_TRANSACTION_TYPES value
+   * @param {string} posting.direction - 'credit' (balance up) or 'debit' (balance down)
+   * @param {number} posting.amount - Amount in rupees
+   * @param {string} posting.contraAccount - LEDGER_ACCOUNTS value for the other leg
+   * @param {string} posting.description - Human-readable description
+   * @param {Object} posting.reference - Related IDs (bookingId, paymentId, topUpId, ...)
+   * @param {string} posting.createdBy - User ID or 'system'
+   * @returns {Promise<Object>} Result with the new balance
+   */
+  async postTransaction(posting) {
+    const { transactionId, customerId, type, direction } = posting;
+    const value = Math.round(Number(posting.amount) * 100) / 100;
+    if (!customerId || !transactionId || !(value > 0) || !['credit', 'debit'].includes(direction)) {
+      return {
+        success: false,
+        error: {
+          code: 'INVALID_WALLET_TRANSACTION',
+          message: 'Customer, transaction ID, direction and a positive amount are required'
+        }
+      };
+    }
+
+    try {
+      const result = await this.db.runTransaction(async (transaction) => {
+        const staged = await this.stagePosting(transaction, posting);
+        staged.write();
+        return staged.result;
+      });
+
+      if (result.success && !result.data.alreadyProcessed) {
+        console.log(`💰 [CUSTOMER_WALLET] ${direction} ₹${value} (${type}) for customer ${customerId}, balance ₹${result.data.balance}`);
+      }
+      return result;
+    } catch (error) {
+      console.error(`❌ [CUSTOMER_WALLET] Failed to post ${type} for customer ${customerId}:`, error);
+      return {
+        success: false,
+        error: {
+          code: 'WALLET_TRANSACTION_ERROR',
+          message: 'Failed to post wallet transaction',
+          details: error.message
+        }
+      };
+    }
+  }
+
+  /**
+   * Read a posting inside the caller's transaction. Firestore wants every read
+   * before the first write, so the writes are returned as `write()` for the
+   * caller to run once its own reads are done.
+   * @param {Object} transaction - Firestore transaction
+   * @param {Object} posting - Posting details (see postTransaction)
+   * @returns {Promise<Object>} { result, write } result as from postTransaction
+   */
+  async stagePosting(transaction, { transactionId, customerId, type, direction, amount, contraAccount, description, reference = {}, createdBy = 'system' }) {
+    const value = Math.round(Number(amount) * 100) / 100;
+    const walletRef = this.db.collection(CUSTOMER_WALLET_COLLECTIONS.WALLETS).doc(customerId);
+    const transactionRef = this.db.collection(CUSTOMER_WALLET_COLLECTIONS.TRANSACTIONS).doc(transactionId);
+    const walletAccount = this.walletAccount(customerId);
+    const noWrites = () => {};
+
+    const [walletDoc, existingDoc] = await Promise.all([
+      transaction.get(walletRef),
+      transaction.get(transactionRef)
+    ]);
+
+    if (existingDoc.exists) {
+      const existing = existingDoc.data();
+      return {
+        result: {
+          success: true,
+          data: {
+            transactionId,
+            balance: walletDoc.exists ? walletDoc.data().balance : existing.balanceAfter,
+            alreadyProcessed: true
+          }
+        },
+        write: noWrites
+      };
+    }
+
+    const wallet = walletDoc.exists ? walletDoc.data() : null;
+    const balanceBefore = wallet?.balance || 0;
+    if (direction === 'debit' && balanceBefore < value) {
+      return {
+        result: {
+          success: false,
+          error: {
+            code: 'INSUFFICIENT_WALLET_BALANCE',
+            message: 'Insufficient wallet balance',
+            details: { balance: balanceBefore, required: value }
+          }
+        },
+        write: noWrites
+      };
+    }
+
+    const balanceAfter = Math.round((direction === 'credit' ? balanceBefore + value : balanceBefore - value) * 100) / 100;
+    const now = new Date();
+
+    // The customer wallet is a liability: a credit raises it, a debit lowers it
+    const entries = direction === 'credit'
+      ? [
+        { account: contraAccount, debit: value, credit: 0 },
+        { account: walletAccount, debit: 0, credit: value }
+      ]
+      : [
+        { account: walletAccount, debit: value, credit: 0 },
+        { account: contraAccount, debit: 0, credit: value }
+      ];
+
+    const write = () => {
+      transaction.set(walletRef, {
+        customerId,
+        balance: balanceAfter,
+        currency: 'INR',
+        totalCredits: (wallet?.totalCredits || 0) + (direction === 'credit' ? value : 0),
+        totalDebits: (wallet?.totalDebits || 0) + (direction === 'debit' ? value : 0),
+        lastTransactionAt: now,
+        createdAt: wallet?.createdAt || now,
+        updatedAt: now
+      });
+
+      transaction.set(transactionRef, {
+        id: transactionId,
+        customerId,
+        type,
+        direction,
+        amount: value,
+        currency: 'INR',
+        balanceBefore,
+        balanceAfter,
+        description: description || null,
+        reference,
+        entries,
+        status: 'completed',
+        createdBy,
+        createdAt: now
+      });
+
+      entries.forEach((entry, index) => {
+        const legRef = this.db.collection(CUSTOMER_WALLET_COLLECTIONS.LEDGER).doc(`${transactionId}_${index + 1}`);
+        transaction.set(legRef, {
+          transactionId,
+          customerId,
+          type,
+          ...entry,
+          createdAt: now
+        });
+      });
+    };
+
+    return {
+      result: {
+        success: true,
+        data: { transactionId, balance: balanceAfter, alreadyProcessed: false }
+      },
+      write
+    };
+  }
+
+  /**
+   * Pay a booking from the wallet (once per booking)
+   * @param {string} customerId - Customer ID
+   * @param {string} bookingId - Booking ID
+   * @param {number} amount - Fare to debit
+   * @param {Object} reference - Extra reference fields (e.g. paymentId)
+   * @returns {Promise<Object>} Posting result
+   */
+  async debitForBooking(customerId, bookingId, amount, reference = {}) {
+    return this.postTransaction(this.bookingDebitPosting(customerId, bookingId, amount, reference));
+  }
+
+  /**
+   * Stage a booking's wallet payment inside the caller's transaction
+   * @param {Object} transaction - Firestore transaction
+   * @param {string} customerId - Customer ID
+   * @param {string} bookingId - Booking ID
+   * @param {number} amount - Fare to debit
+   * @param {Object} reference - Extra reference fields (e.g. paymentId)
+   * @returns {Promise<Object>} { result, write } (see stagePosting)
+   */
+  async stageBookingPayment(transaction, customerId, bookingId, amount, reference = {}) {
+    return this.stagePosting(transaction, this.bookingDebitPosting(customerId, bookingId, amount, reference));
+  }
+
+  /**
+   * Posting that pays a booking from the wallet; its ID makes it once per booking
+   * @param {string} customerId - Customer ID
+   * @param {string} bookingId - Booking ID
+   * @param {number} amount - Fare to debit
+   * @param {Object} reference - Extra reference fields (e.g. paymentId)
+   * @returns {Object} Posting details for postTransaction / stagePosting
+   */
+  bookingDebitPosting(customerId, bookingId, amount, reference = {}) {
+    return {
+      transactionId: `booking_payment_${bookingId}`,
+      customerId,
+      type: WALLET_TRANSACTION_TYPES.BOOKING_PAYMENT,
+      direction: 'debit',
+      amount,
+      contraAccount: LEDGER_ACCOUNTS.BOOKING_RECEIPTS,
+      description: `Payment for booking ${bookingId}`,
+      reference: { bookingId, ...reference },
+      createdBy: customerId
+    };
+  }
+
+  /**
+   * Refund money to the wallet
+   * @param {string} customerId - Customer ID
+   * @param {number} amount - Amount to credit
+   * @param {Object} options - Refund details
+   * @param {string} options.refundId - Idempotency key for this refund
+   * @param {string} options.reason - Refund reason
+   * @param {Object} options.reference - Related IDs (bookingId, paymentId)
+   * @param {string} options.createdBy - Who issued the refund
+   * @returns {Promise<Object>} Posting result
+   */
+  async creditRefund(customerId, amount, { refundId, reason, reference = {}, createdBy = 'system' }) {
+    return this.postTransaction({
+      transactionId: `refund_${refundId}`,
+      customerId,
+      type: WALLET_TRANSACTION_TYPES.REFUND,
+      direction: 'credit',
+      amount,
+      contraAccount: LEDGER_ACCOUNTS.REFUNDS,
+      description: reason || 'Refund',
+      reference: { refundId, ...reference },
+      createdBy
+    });
+  }
+
+  /**
+   * Manual admin correction. The transaction ID comes from the caller's
+   * idempotency key, so a retried admin request posts once.
+   * @param {string} customerId - Customer ID
+   * @param {number} amount - Signed amount (positive credits, negative debits)
+   * @param {string} reason - Why the balance is adjusted
+   * @param {string} adminId - Admin user ID
+   * @param {string} idempotencyKey - Admin request ID (Idempotency-Key header)
+   * @returns {Promise<Object>} Posting result
+   */
+  async adjustBalance(customerId, amount, reason, adminId, idempotencyKey) {
+    if (typeof idempotencyKey !== 'string' || !idempotencyKey) {
+      return {
+        success: false,
+        error: {
+          code: 'IDEMPOTENCY_KEY_REQUIRED',
+          message: 'Wallet adjustments need an idempotency key'
+        }
+      };
+    }
+
+    const value = Number(amount);
+    if (!value || Math.abs(value) > this.settings.maxAdjustmentAmount) {
+      return {
+        success: false,
+        error: {
+          code: 'INVALID_ADJUSTMENT_AMOUNT',
+          message: `Adjustment must be non-zero and at most ₹${this.settings.maxAdjustmentAmount}`
+        }
+      };
+    }
+
+    return this.postTransaction({
+      transactionId: `adjustment_${customerId}_${encodeURIComponent(idempotencyKey)}`,
+      customerId,
+      type: WALLET_TRANSACTION_TYPES.ADJUSTMENT,
+      direction: value > 0 ? 'credit' : 'debit',
+      amount: Math.abs(value),
+      contraAccount: LEDGER_ACCOUNTS.ADJUSTMENTS,
+      description: reason,
+      reference: { adminId, idempotencyKey },
+      createdBy: adminId
+    });
+  }
+
+  /**
+   * Wallet transaction history, newest first
+   * @param {string} customerId - Customer ID
+   * @param {Object} options - { limit, type }
+   * @returns {Promise<Array>} Transactions
+   */
+  async getTransactions(customerId, { limit = 20, type = null } = {}) {
+    let query = this.db.collection(CUSTOMER_WALLET_COLLECTIONS.TRANSACTIONS)
+      .where('customerId', '==', customerId);
+
+    if (type) {
+      query = query.where('type', '==', type);
+    }
+
+    const snapshot = await query
+      .orderBy('createdAt', 'desc')
+      .limit(Math.max(1, Math.min(100, parseInt(limit) || 20)))
+      .get();
+
+    return snapshot.docs.map(doc => {
+      const data = doc.data();
+      return {
+        ...data,
+        createdAt: data.createdAt?.toDate?.() || data.createdAt
+      };
+    });
+  }
+
+  /**
+   * Start a wallet top-up
+   * @param {string} customerId - Customer ID
+   * @param {number} amount - Amount to add
+   * @param {Object} customer - { phone, name, email } for the payment page
+   * @param {string} gateway - TOP_UP_GATEWAYS value
+   * @returns {Promise<Object>} Result with the payment URL
+   */
+  async createTopUp(customerId, amount, customer = {}, gateway = TOP_UP_GATEWAYS.RAZORPAY) {
+    const { minTopUpAmount, maxTopUpAmount, maxBalance } = this.settings;
+    const value = Math.round(Number(amount) * 100) / 100;
+
+    if (!(value >= minTopUpAmount && value <= maxTopUpAmount)) {
+      return {
+        success: false,
+        error: {
+          code: 'INVALID_TOP_UP_AMOUNT',
+          message: `Top-up amount must be between ₹${minTopUpAmount} and ₹${maxTopUpAmount}`
+        }
+      };
+    }
+
+    const wallet = await this.getWallet(customerId);
+    if (wallet.balance + value > maxBalance) {
+      return {
+        success: false,
+        error: {
+          code: 'WALLET_BALANCE_LIMIT',
+          message: `Wallet balance cannot exceed ₹${maxBalance}`,
+          details: { balance: wallet.balance, maxBalance }
+        }
+      };
+    }
+
+    if (!this.isGatewayConfigured(gateway)) {
+      return {
+        success: false,
+        error: {
+          code: 'PAYMENT_GATEWAY_UNAVAILABLE',
+          message: 'Online payments are not available right now'
+        }
+      };
+    }
+
+    const topUpId = `${CUSTOMER_TOP_UP_ID_PREFIX}${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const topUpRef = this.db.collection(CUSTOMER_WALLET_COLLECTIONS.TOP_UPS).doc(topUpId);
+    await topUpRef.set({
+      id: topUpId,
+      customerId,
+      amount: value,
+      currency: 'INR',
+      paymentGateway: gateway,
+      status: 'pending',
+      createdAt: new Date(),
+      updatedAt: new Date()
+    });
+
+    const paymentResult = await this.startGatewayPayment(gateway, topUpId, customerId, value, customer);
+
+    if (!paymentResult.success) {
+      await topUpRef.update({
+        status: 'failed',
+        failureReason: paymentResult.error,
+        updatedAt: new Date()
+      });
+      return {
+        success: false,
+        error: {
+          code: 'TOP_UP_CREATION_FAILED',
+          message: 'Failed to create payment',
+          details: paymentResult.error
+        }
+      };
+    }
+
+    await topUpRef.update({
+      ...paymentResult.data.topUpFields,
+      updatedAt: new Date()
+    });
+
+    return {
+      success: true,
+      data: {
+        topUpId,
+        amount: value,
+        paymentUrl: paymentResult.data.paymentUrl,
+        gateway,
+        status: 'pending'
+      }
+    };
+  }
+
+  /**
+   * Whether top-ups can be taken through a gateway
+   * @param {string} gateway - TOP_UP_GATEWAYS value
+   * @returns {boolean}
+   */
+  isGatewayConfigured(gateway) {
+    if (gateway === TOP_UP_GATEWAYS.PHONEPE) {
+      return require('./phonepeConfigService').isPayPageFlowAvailable();
+    }
+    return gateway === TOP_UP_GATEWAYS.RAZORPAY && require('./razorpayService').isConfigured();
+  }
+
+  /**
+   * Create the gateway payment of a top-up
+   * @returns {Promise<Object>} { success, data: { paymentUrl, topUpFields }, error }
+   */
+  async startGatewayPayment(gateway, topUpId, customerId, amount, customer) {
+    if (gateway === TOP_UP_GATEWAYS.PHONEPE) {
+      try {
+        const paymentService = require('./paymentService');
+        const payment = await paymentService.processUPIPayment({
+          transactionId: topUpId,
+          bookingId: topUpId,
+          customerId,
+          amount,
+          customerPhone: customer.phone
+        });
+        return {
+          success: true,
+          data: { paymentUrl: payment.data.paymentUrl, topUpFields: { phonepePaymentUrl: payment.data.paymentUrl } }
+        };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    }
+
+    const razorpayService = require('./razorpayService');
+    const payment = await razorpayService.createWalletTopupPayment({
+      transactionId: topUpId,
+      customerId,
+      amount,
+      mobileNumber: customer.phone,
+      customerName: customer.name,
+      customerEmail: customer.email,
+      purpose: CUSTOMER_TOP_UP_PURPOSE
+    });
+    if (!payment.success) {
+      return payment;
+    }
+    return {
+      success: true,
+      data: {
+        paymentUrl: payment.data.paymentUrl,
+        topUpFields: { razorpayPaymentLinkId: payment.data.paymentLinkId, razorpayPaymentUrl: payment.data.paymentUrl }
+      }
+    };
+  }
+
+  /**
+   * Credit a paid top-up to the wallet (webhook and status check both land here)
+   * @param {string} topUpId - Top-up ID
+   * @param {Object} meta - { razorpayPaymentId, razorpayPaymentLinkId } or { phonepeTransactionId }
+   * @returns {Promise<Object>} Result with the new balance
+   */
+  async completeTopUp(topUpId, meta = {}) {
+    const topUpRef = this.db.collection(CUSTOMER_WALLET_COLLECTIONS.TOP_UPS).doc(topUpId);
+    const topUpDoc = await topUpRef.get();
+    if (!topUpDoc.exists) {
+      return { success: false, error: { code: 'TOP_UP_NOT_FOUND', message: 'Top-up not found' } };
+    }
+
+    const topUp = topUpDoc.data();
+    const paymentIds = topUp.paymentGateway === TOP_UP_GATEWAYS.PHONEPE
+      ? { phonepeTransactionId: meta.phonepeTransactionId || topUp.phonepeTransactionId || null }
+      : { razorpayPaymentId: meta.razorpayPaymentId || topUp.razorpayPaymentId || null };
+    const posting = await this.postTransaction({
+      transactionId: `top_up_${topUpId}`,
+      customerId: topUp.customerId,
+      type: WALLET_TRANSACTION_TYPES.TOP_UP,
+      direction: 'credit',
+      amount: topUp.amount,
+      contraAccount: LEDGER_ACCOUNTS.GATEWAY_CLEARING,
+      description: 'Wallet top-up',
+      reference: {
+        topUpId,
+        gateway: topUp.paymentGateway,
+        ...paymentIds
+      },
+      createdBy: topUp.customerId
+    });
+
+    if (!posting.success) {
+      return posting;
+    }
+
+    if (topUp.status !== 'completed') {
+      await topUpRef.update({
+        status: 'completed',
+        ...paymentIds,
+        ...(topUp.paymentGateway === TOP_UP_GATEWAYS.PHONEPE
+          ? {}
+          : { razorpayPaymentLinkId: meta.razorpayPaymentLinkId || topUp.razorpayPaymentLinkId || null }),
+        newBalance: posting.data.balance,
+        completedAt: new Date(),
+        updatedAt: new Date()
+      });
+    }
+
+    return {
+      success: true,
+      data: {
+        topUpId,
+        amount: topUp.amount,
+        balance: posting.data.balance,
+        alreadyProcessed: posting.data.alreadyProcessed
+      }
+    };
+  }
+
+  /**
+   * Mark a top-up failed (never downgrades a completed one)
+   * @param {string} topUpId - Top-up ID
+   * @param {string} reason - Failure reason
+   */
+  async failTopUp(topUpId, reason) {
+    const topUpRef = this.db.collection(CUSTOMER_WALLET_COLLECTIONS.TOP_UPS).doc(topUpId);
+    const topUpDoc = await topUpRef.get();
+    if (!topUpDoc.exists || topUpDoc.data().status === 'completed') return;
+
+    await topUpRef.update({
+      status: 'failed',
+      failureReason: reason,
+      updatedAt: new Date()
+    });
+  }
+
+  /**
+   * Poll the gateway for a top-up the app is waiting on
+   * @param {string} customerId - Customer ID (must own the top-up)
+   * @param {string} topUpId - Top-up ID
+   * @returns {Promise<Object>} Result with status completed|pending|failed
+   */
+  async verifyTopUp(customerId, topUpId) {
+    const topUpDoc = await this.db.collection(CUSTOMER_WALLET_COLLECTIONS.TOP_UPS).doc(topUpId).get();
+    if (!topUpDoc.exists || topUpDoc.data().customerId !== customerId) {
+      return { success: false, error: { code: 'TOP_UP_NOT_FOUND', message: 'Top-up not found' } };
+    }
+
+    const topUp = topUpDoc.data();
+    const settled = topUp.status === 'completed' || topUp.status === 'failed';
+    if (!settled && topUp.paymentGateway === TOP_UP_GATEWAYS.PHONEPE) {
+      return this.checkPhonePeTopUp(topUpId, topUp);
+    }
+    if (settled || !topUp.razorpayPaymentLinkId) {
+      return { success: true, data: { topUpId, status: topUp.status, balance: topUp.newBalance ?? null } };
+    }
+
+    let link;
+    try {
+      const razorpayService = require('./razorpayService');
+      link = await razorpayService.getInstance().paymentLink.fetch(topUp.razorpayPaymentLinkId);
+    } catch (error) {
+      console.error(`❌ [CUSTOMER_WALLET] Failed to fetch payment link for top-up ${topUpId}:`, error.error?.description || error.message);
+      return {
+        success: false,
+        error: {
+          code: 'TOP_UP_VERIFICATION_FAILED',
+          message: 'Could not verify the top-up with the payment gateway, please try again'
+        }
+      };
+    }
+
+    if (link.status === 'paid') {
+      const completed = await this.completeTopUp(topUpId, {
+        razorpayPaymentId: link.payment_id || null,
+        razorpayPaymentLinkId: link.id
+      });
+      if (!completed.success) return completed;
+      return { success: true, data: { topUpId, status: 'completed', balance: completed.data.balance } };
+    }
+
+    if (link.status === 'cancelled' || link.status === 'expired') {
+      await this.failTopUp(topUpId, `Payment ${link.status}`);
+      return { success: true, data: { topUpId, status: 'failed', balance: null } };
+    }
+
+    return { success: true, data: { topUpId, status: 'pending', balance: null } };
+  }
+
+  /**
+   * Settle a PhonePe top-up from the PhonePe status API. The callback body is
+   * never trusted on its own: only a COMPLETED status for the full amount
+   * credits the wallet.
+   * @param {string} topUpId - Top-up ID (PhonePe merchant transaction ID)
+   * @param {Object} topUp - Top-up document data
+   * @returns {Promise<Object>} Result with status completed|pending|failed
+   */
+  async checkPhonePeTopUp(topUpId, topUp) {
+    const paymentService = require('./paymentService');
+    const verification = await paymentService.getPhonePeStatus(topUpId);
+    if (!verification.success) {
+      console.error(`❌ [CUSTOMER_WALLET] Failed to fetch PhonePe status for top-up ${topUpId}:`, verification.error.details);
+      return {
+        success: false,
+        error: {
+          code: 'TOP_UP_VERIFICATION_FAILED',
+          message: 'Could not verify the top-up with the payment gateway, please try again'
+        }
+      };
+    }
+
+    const { state, amount, transactionId } = verification.data;
+    if (state === 'COMPLETED') {
+      if (Number(amount) !== Math.round(topUp.amount * 100)) {
+        console.error(`❌ [CUSTOMER_WALLET] PhonePe paid ${amount} paise for top-up ${topUpId} of ₹${topUp.amount}`);
+        return {
+          success: false,
+          error: {
+            code: 'TOP_UP_AMOUNT_MISMATCH',
+            message: 'The amount paid does not match the top-up',
+            details: { paidInPaise: Number(amount), amount: topUp.amount }
+          }
+        };
+      }
+
+      const completed = await this.completeTopUp(topUpId, { phonepeTransactionId: transactionId || null });
+      if (!completed.success) return completed;
+      return { success: true, data: { topUpId, status: 'completed', balance: completed.data.balance } };
+    }
+
+    if (state === 'FAILED') {
+      await this.failTopUp(topUpId, verification.data.responseCode || 'Payment failed');
+      return { success: true, data: { topUpId, status: 'failed', balance: null } };
+    }
+
+    return { success: true, data: { topUpId, status: 'pending', balance: null } };
+  }
+
+  /**
+   * Handle a PhonePe callback for a customer top-up
+   * @param {string} topUpId - Top-up ID from the callback
+   * @returns {Promise<Object>} { success, message|error }
+   */
+  async handlePhonePeTopUpCallback(topUpId) {
+    const topUpDoc = await this.db.collection(CUSTOMER_WALLET_COLLECTIONS.TOP_UPS).doc(topUpId).get();
+    if (!topUpDoc.exists || topUpDoc.data().paymentGateway !== TOP_UP_GATEWAYS.PHONEPE) {
+      return { success: false, error: { code: 'TOP_UP_NOT_FOUND', message: 'Top-up not found' } };
+    }
+
+    const topUp = topUpDoc.data();
+    if (topUp.status === 'completed' || topUp.status === 'failed') {
+      return { success: true, message: `Customer wallet top-up already ${topUp.status}` };
+    }
+
+    const result = await this.checkPhonePeTopUp(topUpId, topUp);
+    return result.success
+      ? { success: true, message: `Customer wallet top-up ${result.data.status}` }
+      : result;
+  }
+
+  /**
+   * Handle a Razorpay webhook for a customer top-up
+   * @param {string} event - Razorpay event name
+   * @param {string} topUpId - Top-up ID from the payment notes
+   * @param {Object} meta - { razorpayPaymentId, razorpayPaymentLinkId }
+   * @returns {Promise<Object>} { success, message|error }
+   */
+  async handleTopUpWebhook(event, topUpId, meta = {}) {
+    if (event === 'payment_link.paid' || event === 'payment.captured') {
+      const completed = await this.completeTopUp(topUpId, meta);
+      return completed.success
+        ? { success: true, message: 'Customer wallet top-up processed' }
+        : { success: false, error: completed.error.message };
+    }
+
+    if (event === 'payment.failed' || event === 'payment_link.cancelled' || event === 'payment_link.expired') {
+      await this.failTopUp(topUpId, event);
+      return { success: true, message: 'Failure webhook processed' };
+    }
+
+    return { success: true, message: `Webhook ignored for event: ${event}` };
+  }
+}
+
+module.exports = new CustomerWalletService();
@@ -0,0 +1,418 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { getFirestore } = require('./firebase');
+const config = require('../config/environment');
+const { getStops } = require('../utils/bookingStops');
+
+/**
+ * Delivery OTP Service
+ * Proof-of-delivery handshake at drop-off. A recipient OTP is generated per
+ * drop-off stop when the booking is created and shared with the customer (and
+ * optionally SMS'd to the stop's phone). The driver must submit the OTP before
+ * a stop can be delivered. When `allowFallback` is on, a delivery photo
+ * uploaded through the photo verification endpoint (plus a reason, and
+ * optionally a signature) is accepted instead - but only once the OTP is
+ * locked or could not be sent to anyone. New bookings carry
+ * `deliveryProof.required`, so a stop whose OTP failed to generate still needs
+ * the fallback or an admin override.
+ *
+ * OTPs live in the backend-only `deliveryOtps` collection (never on the booking,
+ * which drivers can read). Every attempt is audited in `deliveryProofAttempts`.
+ */
+class DeliveryOtpService {
+  get db() {
+    return getFirestore();
+  }
+
+  get settings() {
+    return config.getDeliveryOtpConfig();
+  }
+
+  getOtpDocId(bookingId, stopIndex = 0) {
+    return `${bookingId}_${stopIndex}`;
+  }
+
+  generateCode() {
+    const length = this.settings.length;
+    return crypto.randomInt(0, 10 ** length).toString().padStart(length, '0');
+  }
+
+  codesMatch(expected, provided) {
+    const expectedBuffer = Buffer.from(String(expected));
+    const providedBuffer = Buffer.from(String(provided).trim());
+    return expectedBuffer.length === providedBuffer.length &&
+      crypto.timingSafeEqual(expectedBuffer, providedBuffer);
+  }
+
+  /**
+   * Generate recipient OTPs for every drop-off stop of a new booking
+   * @param {Object} booking - Created booking data
+   * @returns {Promise<Array>} Generated OTP records (empty when disabled)
+   */
+  async generateForBooking(booking) {
+    if (!this.settings.enabled) {
+      return [];
+    }
+
+    const batch = this.db.batch();
+    const records = getStops(booking).map((stop, stopIndex) => {
+      const record = {
+        bookingId: booking.id,
+        customerId: booking.customerId,
+        stopIndex,
+        recipientPhone: stop.phone || null,
+        code: this.generateCode(),
+        status: 'active',
+        attempts: 0,
+        maxAttempts: this.settings.maxAttempts,
+        createdAt: new Date(),
+        verifiedAt: null,
+        verificationMethod: null
+      };
+      batch.set(this.db.collection('deliveryOtps').doc(this.getOtpDocId(booking.id, stopIndex)), record);
+      return record;
+    });
+
+    await batch.commit();
+    console.log(`🔐 [DELIVERY_OTP] Generated ${records.length} delivery OTP(s) for booking ${booking.id}`);
+    return records;
+  }
+
+  /**
+   * Share the OTPs with the customer (push) and optionally the recipient (SMS)
+   * @param {Object} booking - Booking data
+   * @param {Array} records - OTP records from generateForBooking
+   */
+  async shareWithCustomer(booking, records) {
+    if (records.length === 0) {
+      return;
+    }
+
+    let customerNotified = false;
+    try {
+      const notificationService = require('./notificationService');
+      await notificationService.notifyCustomerDeliveryOtp(booking, records);
+      customerNotified = true;
+    } catch (error) {
+      console.warn(`⚠️ [DELIVERY_OTP] Failed to notify customer for booking ${booking.id}:`, error.message);
+    }
+
+    const unsent = [];
+    for (const record of records) {
+      const smsSent = this.settings.recipientSmsEnabled && await this.sendRecipientSms(booking, record);
+      if (!customerNotified && !smsSent) {
+        unsent.push(record);
+      }
+    }
+
+    // Nobody received these codes; the photo fallback becomes available for their stops
+    if (unsent.length > 0) {
+      const batch = this.db.batch();
+      unsent.forEach(record => {
+        batch.update(this.db.collection('deliveryOtps').doc(this.getOtpDocId(booking.id, record.stopIndex)), {
+          shareFailedAt: new Date()
+        });
+      });
+      await batch.commit();
+    }
+  }
+
+  /**
+   * SMS the OTP to a stop's recipient through the configured SMS gateway webhook
+   * @param {Object} booking - Booking data
+   * @param {Object} record - OTP record
+   * @returns {Promise<boolean>} True if the gateway accepted the message
+   */
+  async sendRecipientSms(booking, record) {
+    if (!this.settings.smsWebhookUrl || !record.recipientPhone) {
+      console.warn(`⚠️ [DELIVERY_OTP] Recipient SMS skipped for booking ${booking.id} stop ${record.stopIndex}: no SMS gateway or phone`);
+      return false;
+    }
+
+    try {
+      await axios.post(this.settings.smsWebhookUrl, {
+        to: record.recipientPhone,
+        message: `Your EPickup delivery code is ${record.code}. Share it with the driver only when you receive your package.`,
+        bookingId: booking.id,
+        type: 'delivery_otp'
+      }, { timeout: 10000 });
+      return true;
+    } catch (error) {
+      console.warn(`⚠️ [DELIVERY_OTP] Recipient SMS failed for booking ${booking.id} stop ${record.stopIndex}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Get delivery OTPs for the customer who owns the booking
+   * @param {string} bookingId - Booking ID
+   * @returns {Promise<Array>} [{ stopIndex, code, status }]
+   */
+  async getCodesForBooking(bookingId) {
+    const snapshot = await this.db.collection('deliveryOtps')
+      .where('bookingId', '==', bookingId)
+      .get();
+
+    return snapshot.docs
+      .map(doc => doc.data())
+      .sort((a, b) => a.stopIndex - b.stopIndex)
+      .map(record => ({
+        stopIndex: record.stopIndex,
+        code: ['active', 'locked'].includes(record.status) ? record.code : null,
+        status: record.status
+      }));
+  }
+
+  /**
+   * Verify proof of delivery for a stop before it may be marked delivered
+   * @param {Object} params
+   * @param {string} params.bookingId - Booking ID
+   * @param {number} params.stopIndex - Drop-off stop index
+   * @param {string} params.driverId - Driver submitting the proof
+   * @param {string} [params.otp] - Recipient OTP
+   * @param {string} [params.proofPhotoId] - photoVerifications ID of the uploaded delivery photo (fallback)
+   * @param {string} [params.signatureUrl] - Recipient signature (optional with the fallback photo)
+   * @param {string} [params.fallbackReason] - Why the OTP could not be collected
+   * @returns {Promise<Object>} { isValid, method, code, message, attemptsRemaining }
+   */
+  async verifyProof({ bookingId, stopIndex = 0, driverId, otp, proofPhotoId, signatureUrl, fallbackReason }) {
+    const otpRef = this.db.collection('deliveryOtps').doc(this.getOtpDocId(bookingId, stopIndex));
+    const lockedMessage = this.settings.allowFallback
+      ? 'Too many incorrect OTP attempts. Upload a delivery photo as fallback proof or contact support.'
+      : 'Too many incorrect OTP attempts. Contact support.';
+
+    const bookingRef = this.db.collection('bookings').doc(bookingId);
+    const fallbackProof = { bookingId, stopIndex, driverId, proofPhotoId, signatureUrl, fallbackReason };
+
+    const result = await this.db.runTransaction(async (transaction) => {
+      const [otpDoc, bookingDoc] = await Promise.all([
+        transaction.get(otpRef),
+        transaction.get(bookingRef)
+      ]);
+
+      if (!this.settings.enabled) {
+        return { isValid: true, method: 'not_required' };
+      }
+
+      if (!otpDoc.exists) {
+        // Bookings created before delivery proof was flagged need no handshake
+        if (!bookingDoc.exists || !bookingDoc.data().deliveryProof?.required) {
+          return { isValid: true, method: 'not_required' };
+        }
+
+        // The OTP was never generated; only the fallback proof or an admin override can stand in
+        if (this.settings.allowFallback && (proofPhotoId || signatureUrl)) {
+          return this.acceptFallbackProof(transaction, otpRef, fallbackProof);
+        }
+        return {
+          isValid: false,
+          code: 'OTP_MISSING',
+          message: this.settings.allowFallback
+            ? 'No delivery OTP was issued for this stop. Upload a delivery photo as fallback proof or contact support.'
+            : 'No delivery OTP was issued for this stop. Contact support.'
+        };
+      }
+
+      const record = otpDoc.data();
+      if (record.status === 'verified' || record.status === 'overridden') {
+        return { isValid: true, method: record.verificationMethod, alreadyVerified: true };
+      }
+
+      if (otp) {
+        if (record.status === 'locked') {
+          return {
+            isValid: false,
+            code: 'OTP_LOCKED',
+            message: lockedMessage,
+            attemptsRemaining: 0
+          };
+        }
+
+        if (this.codesMatch(record.code, otp)) {
+          transaction.update(otpRef, {
+            status: 'verified',
+            verifiedAt: new Date(),
+            verifiedBy: driverId,
+            verificationMethod: 'otp'
+          });
+          return { isValid: true, method: 'otp' };
+        }
+
+        const attempts = (record.attempts || 0) + 1;
+        const locked = attempts >= record.maxAttempts;
+        transaction.update(otpRef, {
+          attempts,
+          status: locked ? 'locked' : 'active',
+          lastFailedAt: new Date()
+        });
+        return {
+          isValid: false,
+          code: locked ? 'OTP_LOCKED' : 'INVALID_OTP',
+          message: locked ? lockedMessage : 'Incorrect delivery OTP',
+          attemptsRemaining: Math.max(record.maxAttempts - attempts, 0)
+        };
+      }
+
+      if (this.settings.allowFallback && (proofPhotoId || signatureUrl)) {
+        if (record.status !== 'locked' && !record.shareFailedAt) {
+          return {
+            isValid: false,
+            code: 'FALLBACK_NOT_AVAILABLE',
+            message: 'Ask the recipient for the delivery OTP; photo proof is only accepted once the OTP is locked or could not be sent',
+            attemptsRemaining: Math.max(record.maxAttempts - (record.attempts || 0), 0)
+          };
+        }
+
+        return this.acceptFallbackProof(transaction, otpRef, fallbackProof);
+      }
+
+      return {
+        isValid: false,
+        code: 'OTP_REQUIRED',
+        message: 'Delivery OTP from the recipient is required',
+        attemptsRemaining: Math.max(record.maxAttempts - (record.attempts || 0), 0)
+      };
+    });
+
+    if (result.method !== 'not_required' && !result.alreadyVerified) {
+      await this.recordAttempt({
+        bookingId,
+        stopIndex,
+        actorId: driverId,
+        actorType: 'driver',
+        method: result.method || (otp ? 'otp' : 'none'),
+        success: result.isValid,
+        failureCode: result.code || null,
+        fallbackReason: fallbackReason || null
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Check the fallback proof (uploaded delivery photo plus a reason) and, when
+   * it holds, mark the stop verified. Runs inside verifyProof's transaction.
+   * @param {Object} transaction - Firestore transaction
+   * @param {Object} otpRef - The stop's deliveryOtps document (may not exist)
+   * @param {Object} proof - { bookingId, stopIndex, driverId, proofPhotoId, signatureUrl, fallbackReason }
+   * @returns {Promise<Object>} verifyProof result
+   */
+  async acceptFallbackProof(transaction, otpRef, { bookingId, stopIndex, driverId, proofPhotoId, signatureUrl, fallbackReason }) {
+    if (!fallbackReason || fallbackReason.trim().length < 5) {
+      return {
+        isValid: false,
+        code: 'FALLBACK_REASON_REQUIRED',
+        message: 'A reason is required when delivering without the recipient OTP'
+      };
+    }
+
+    const photoDoc = proofPhotoId
+      ? await transaction.get(this.db.collection('photoVerifications').doc(proofPhotoId))
+      : null;
+    const photo = photoDoc?.exists ? photoDoc.data() : null;
+    if (!photo || photo.bookingId !== bookingId || photo.driverId !== driverId ||
+        photo.photoType !== 'delivery' || !photo.storagePath) {
+      return {
+        isValid: false,
+        code: 'PROOF_PHOTO_REQUIRED',
+        message: 'Upload the delivery photo through photo verification and send its photoId as proof'
+      };
+    }
+
+    const fallbackMethod = signatureUrl ? 'signature' : 'photo';
+    transaction.set(otpRef, {
+      bookingId,
+      stopIndex,
+      status: 'verified',
+      verifiedAt: new Date(),
+      verifiedBy: driverId,
+      verificationMethod: fallbackMethod,
+      fallback: {
+        photoId: proofPhotoId,
+        storagePath: photo.storagePath,
+        photoUrl: photo.photoUrl || null,
+        signatureUrl: signatureUrl || null,
+        reason: fallbackReason.trim()
+      }
+    }, { merge: true });
+    return { isValid: true, method: fallbackMethod };
+  }
+
+  /**
+   * Admin override: mark a stop's proof of delivery as satisfied without the OTP
+   * @param {Object} params
+   * @param {string} params.bookingId - Booking ID
+   * @param {number} params.stopIndex - Drop-off stop index
+   * @param {string} params.adminId - Admin user ID
+   * @param {string} params.reason - Override reason
+   * @returns {Promise<Object>} { success, message }
+   */
+  async adminOverride({ bookingId, stopIndex = 0, adminId, reason }) {
+    const otpRef = this.db.collection('deliveryOtps').doc(this.getOtpDocId(bookingId, stopIndex));
+    const [otpDoc, bookingDoc] = await Promise.all([
+      otpRef.get(),
+      this.db.collection('bookings').doc(bookingId).get()
+    ]);
+
+    // A stop without an OTP can only be overridden when the booking required one
+    if (!otpDoc.exists && !bookingDoc.data()?.deliveryProof?.required) {
+      return { success: false, message: 'No delivery OTP exists for this booking stop' };
+    }
+
+    if (otpDoc.data()?.status === 'verified') {
+      return { success: false, message: 'Delivery proof is already verified for this stop' };
+    }
+
+    await otpRef.set({
+      bookingId,
+      stopIndex,
+      status: 'overridden',
+      verifiedAt: new Date(),
+      verifiedBy: adminId,
+      verificationMethod: 'admin_override',
+      override: {
+        adminId,
+        reason,
+        overriddenAt: new Date()
+      }
+    }, { merge: true });
+
+    await this.recordAttempt({
+      bookingId,
+      stopIndex,
+      actorId: adminId,
+      actorType: 'admin',
+      method: 'admin_override',
+      success: true,
+      failureCode: null,
+      fallbackReason: reason
+    });
+
+    console.log(`🔓 [DELIVERY_OTP] Admin ${adminId} overrode delivery proof for booking ${bookingId} stop ${stopIndex}`);
+    return { success: true, message: 'Delivery proof overridden' };
+  }
+
+  /**
+   * Audit a proof-of-delivery attempt
+   */
+  async recordAttempt({ bookingId, stopIndex, actorId, actorType, method, success, failureCode, fallbackReason }) {
+    try {
+      await this.db.collection('deliveryProofAttempts').add({
+        bookingId,
+        stopIndex,
+        actorId,
+        actorType,
+        method,
+        success,
+        failureCode,
+        fallbackReason,
+        attemptedAt: new Date()
+      });
+    } catch (error) {
+      console.warn(`⚠️ [DELIVERY_OTP] Failed to audit proof attempt for booking ${bookingId}:`, error.message);
+    }
+  }
+}
+
+module.exports = new DeliveryOtpService();
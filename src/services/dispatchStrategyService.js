@@ -0,0 +1,555 @@
+/**
+ * Dispatch Strategy Service
+ *
+ * Decides how a booking is offered to ranked drivers and runs broadcast dispatch:
+ * - sequential: driverMatchingService offers one driver at a time (original behaviour)
+ * - broadcast: the top `waveSize` drivers get the offer at once over
+ *   `new_booking_available` (plus push). Each wave stays open for
+ *   `acceptanceWindowSeconds`; the next wave goes to the following drivers until
+ *   `maxWaves` is reached. The first driver to accept wins through
+ *   assignmentEdgeCaseHandler.handleConcurrentAcceptance, the rest are told the
+ *   booking was taken.
+ *
+ * Strategy per booking: pickup zone `dispatchStrategy` override, then the first
+ * matching time-of-day rule, then `defaultStrategy`. Settings live in
+ * appSettings/dispatch and are editable through /api/admin/settings.
+ *
+ * Wave timers are in-memory (like assignmentEdgeCaseHandler reassignment);
+ * each broadcast is recorded in `bookingDispatches/{bookingId}`.
+ */
+
+const { getFirestore } = require('./firebase');
+const serviceAreaService = require('./serviceAreaService');
+const { DISPATCH_STRATEGIES, BOOKING_DISPATCHES_COLLECTION } = require('../constants/dispatchStrategies');
+const { PENDING_BOOKING_STATUSES } = require('../constants/bookingStatuses');
+const { DEFAULT_SERVICE_AREA_TIMEZONE } = require('../constants/serviceAreas');
+
+const DEFAULT_DISPATCH_SETTINGS = Object.freeze({
+  defaultStrategy: DISPATCH_STRATEGIES.SEQUENTIAL,
+  waveSize: 3,
+  acceptanceWindowSeconds: 30,
+  maxWaves: 3,
+  timezone: DEFAULT_SERVICE_AREA_TIMEZONE,
+  // [{ days: [0-6], open: 'HH:MM', close: 'HH:MM', strategy }] - first match wins
+  timeRules: []
+});
+
+class DispatchStrategyService {
+  constructor() {
+    this.settingsCollection = 'appSettings';
+    this.settingsDoc = 'dispatch';
+    this.settingsCacheTtlMs = 60 * 1000;
+
+    this.settings = null;
+    this.settingsLoadedAt = 0;
+    this.activeDispatches = new Map(); // bookingId -> { candidates, bookingData, settings, wave, offeredDriverIds, timer }
+  }
+
+  get db() {
+    return getFirestore();
+  }
+
+  /**
+   * Get dispatch settings (cached for a minute)
+   * @param {boolean} forceRefresh - Bypass cache
+   * @returns {Promise<Object>} Dispatch settings
+   */
+  async getSettings(forceRefresh = false) {
+    if (!forceRefresh && this.settings && (Date.now() - this.settingsLoadedAt) < this.settingsCacheTtlMs) {
+      return this.settings;
+    }
+
+    try {
+      const doc = await this.db.collection(this.settingsCollection).doc(this.settingsDoc).get();
+      const stored = doc.exists ? doc.data() : {};
+      this.settings = { ...DEFAULT_DISPATCH_SETTINGS, ...stored };
+      this.settingsLoadedAt = Date.now();
+    } catch (error) {
+      console.error('❌ [DISPATCH] Failed to load dispatch settings, using sequential dispatch:', error.message);
+      return { ...DEFAULT_DISPATCH_SETTINGS };
+    }
+
+    return this.settings;
+  }
+
+  /**
+   * Validate a partial settings update
+   * @param {Object} update - Settings to change
+   * @returns {Array<string>} Validation errors
+   */
+  validateSettings(update = {}) {
+    const errors = [];
+    const merged = { ...(this.settings || DEFAULT_DISPATCH_SETTINGS), ...update };
+    const strategies = Object.values(DISPATCH_STRATEGIES);
+
+    if (!strategies.includes(merged.defaultStrategy)) {
+      errors.push(`defaultStrategy must be one of ${strategies.join(', ')}`);
+    }
+    if (!(Number.isInteger(merged.waveSize) && merged.waveSize >= 1 && merged.waveSize <= 20)) {
+      errors.push('waveSize must be an integer between 1 and 20');
+    }
+    if (!(merged.acceptanceWindowSeconds >= 5 && merged.acceptanceWindowSeconds <= 300)) {
+      errors.push('acceptanceWindowSeconds must be between 5 and 300');
+    }
+    if (!(Number.isInteger(merged.maxWaves) && merged.maxWaves >= 1 && merged.maxWaves <= 10)) {
+      errors.push('maxWaves must be an integer between 1 and 10');
+    }
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: merged.timezone });
+    } catch {
+      errors.push('timezone must be a valid IANA timezone');
+    }
+
+    errors.push(...serviceAreaService.validateWindows(merged.timeRules, 'timeRules'));
+    if (Array.isArray(merged.timeRules)) {
+      merged.timeRules.forEach((rule, index) => {
+        if (!strategies.includes(rule?.strategy)) {
+          errors.push(`timeRules[${index}].strategy must be one of ${strategies.join(', ')}`);
+        }
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Update dispatch settings
+   * @param {Object} update - Settings to change
+   * @param {string} updatedBy - Admin user ID
+   * @returns {Promise<Object>} Updated settings
+   */
+  async updateSettings(update, updatedBy) {
+    const numericKeys = ['waveSize', 'acceptanceWindowSeconds', 'maxWaves'];
+    const filtered = {};
+    for (const key of Object.keys(DEFAULT_DISPATCH_SETTINGS)) {
+      if (Object.prototype.hasOwnProperty.call(update || {}, key)) {
+        filtered[key] = numericKeys.includes(key) ? Number(update[key]) : update[key];
+      }
+    }
+    if (filtered.timeRules) {
+      filtered.timeRules = filtered.timeRules.map(rule => ({
+        days: rule.days,
+        open: rule.open,
+        close: rule.close,
+        strategy: rule.strategy
+      }));
+    }
+
+    const errors = this.validateSettings(filtered);
+    if (errors.length > 0) {
+      throw new Error(`Invalid dispatch settings: ${errors.join(', ')}`);
+    }
+
+    await this.db.collection(this.settingsCollection).doc(this.settingsDoc).set({
+      ...filtered,
+      updatedBy: updatedBy || null,
+      updatedAt: new Date()
+    }, { merge: true });
+
+    const settings = await this.getSettings(true);
+    console.log(`✅ [DISPATCH] Settings updated by ${updatedBy}: default=${settings.defaultStrategy}, wave=${settings.waveSize}x${settings.maxWaves}`);
+    return settings;
+  }
+
+  /**
+   * Pick the dispatch strategy for a booking
+   * @param {Object} bookingData - Booking (pickup coordinates, optional serviceArea reference)
+   * @param {Date} [at] - Dispatch time
+   * @returns {Promise<Object>} { strategy, source: 'zone' | 'time_rule' | 'default', zoneId?, settings }
+   */
+  async resolveStrategy(bookingData, at = new Date()) {
+    const settings = await this.getSettings();
+
+    const coordinates = bookingData?.pickup?.coordinates;
+    let zone = null;
+    if (coordinates) {
+      zone = await serviceAreaService.resolveZoneForLocation(coordinates.latitude, coordinates.longitude);
+    }
+    if (zone?.dispatchStrategy) {
+      return { strategy: zone.dispatchStrategy, source: 'zone', zoneId: zone.id, settings };
+    }
+
+    const rule = (settings.timeRules || []).find(timeRule =>
+      serviceAreaService.isWithinWindows([timeRule], settings.timezone, at)
+    );
+    if (rule) {
+      return { strategy: rule.strategy, source: 'time_rule', settings };
+    }
+
+    return { strategy: settings.defaultStrategy, source: 'default', settings };
+  }
+
+  /**
+   * Start broadcast dispatch for a booking (first wave is sent before returning)
+   * @param {Object} bookingData - Booking (must include id)
+   * @param {Array<Object>} rankedDrivers - Drivers from driverMatchingService.rankDrivers
+   * @param {Object} settings - Dispatch settings
+   * @returns {Promise<Object>} { success, wave, offeredDrivers, expiresAt } or { success: false, reason }
+   */
+  async startBroadcast(bookingData, rankedDrivers, settings) {
+    const bookingId = bookingData.id;
+    this.stopDispatch(bookingId);
+
+    const candidates = rankedDrivers.slice(0, settings.waveSize * settings.maxWaves);
+    this.activeDispatches.set(bookingId, {
+      bookingData,
+      candidates,
+      settings,
+      wave: 0,
+      offeredDriverIds: [],
+      timer: null
+    });
+
+    await this.db.collection(BOOKING_DISPATCHES_COLLECTION).doc(bookingId).set({
+      bookingId,
+      strategy: DISPATCH_STRATEGIES.BROADCAST,
+      status: 'offering',
+      waveSize: settings.waveSize,
+      acceptanceWindowSeconds: settings.acceptanceWindowSeconds,
+      maxWaves: settings.maxWaves,
+      candidateDriverIds: candidates.map(driver => driver.driverId),
+      offeredDriverIds: [],
+      currentWave: 0,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    });
+
+    console.log(`📣 [DISPATCH] Broadcasting booking ${bookingId} to ${candidates.length} candidate(s) in waves of ${settings.waveSize}`);
+    return this.dispatchNextWave(bookingId);
+  }
+
+  /**
+   * Offer the booking to the next wave of drivers
+   * @param {string} bookingId - Booking ID
+   * @returns {Promise<Object>} Wave result
+   */
+  async dispatchNextWave(bookingId) {
+    const state = this.activeDispatches.get(bookingId);
+    if (!state) {
+      return { success: false, reason: 'Dispatch not active' };
+    }
+
+    const bookingDoc = await this.db.collection('bookings').doc(bookingId).get();
+    const booking = bookingDoc.exists ? bookingDoc.data() : null;
+    if (!booking || !PENDING_BOOKING_STATUSES.includes(booking.status) || booking.driverId) {
+      await this.closeDispatch(bookingId, { status: 'closed' });
+      return { success: false, reason: 'Booking is no longer waiting for a driver' };
+    }
+
+    const { settings } = state;
+    const remaining = state.candidates.filter(driver => !state.offeredDriverIds.includes(driver.driverId));
+    const waveDrivers = [];
+    for (const driver of remaining) {
+      if (waveDrivers.length >= settings.waveSize) break;
+      if (await this.isDriverFree(driver.driverId)) {
+        waveDrivers.push(driver);
+      }
+    }
+
+    if (state.wave >= settings.maxWaves || waveDrivers.length === 0) {
+      await this.closeDispatch(bookingId, { status: 'exhausted' });
+      return { success: false, reason: 'No drivers left to offer' };
+    }
+
+    state.wave += 1;
+    const wave = state.wave;
+    const expiresAt = new Date(Date.now() + settings.acceptanceWindowSeconds * 1000);
+
+    const batch = this.db.batch();
+    const assignments = waveDrivers.map(driver => {
+      const assignmentRef = this.db.collection('driverAssignments').doc();
+      const assignment = {
+        id: assignmentRef.id,
+        bookingId,
+        driverId: driver.driverId,
+        status: 'pending',
+        dispatchMode: DISPATCH_STRATEGIES.BROADCAST,
+        waveNumber: wave,
+        assignedAt: new Date(),
+        expiresAt,
+        driverDetails: {
+          name: driver.name,
+          phone: driver.phone,
+          rating: driver.rating,
+          vehicleType: driver.vehicleType,
+          estimatedArrival: driver.estimatedArrival
+        },
+        bookingDetails: {
+          pickup: state.bookingData.pickup,
+          dropoff: state.bookingData.dropoff,
+          package: state.bookingData.package
+        }
+      };
+      batch.set(assignmentRef, assignment);
+      return { driver, assignment };
+    });
+
+    state.offeredDriverIds.push(...waveDrivers.map(driver => driver.driverId));
+    batch.update(this.db.collection(BOOKING_DISPATCHES_COLLECTION).doc(bookingId), {
+      currentWave: wave,
+      offeredDriverIds: state.offeredDriverIds,
+      waveExpiresAt: expiresAt,
+      updatedAt: new Date()
+    });
+    await batch.commit();
+
+    await Promise.all(assignments.map(({ driver, assignment }) => this.sendOffer(driver, assignment, state.bookingData)));
+
+    state.timer = setTimeout(() => {
+      this.handleWaveExpired(bookingId, wave).catch(error =>
+        console.error(`❌ [DISPATCH] Failed to advance dispatch for booking ${bookingId}:`, error)
+      );
+    }, settings.acceptanceWindowSeconds * 1000);
+
+    console.log(`📣 [DISPATCH] Wave ${wave}/${settings.maxWaves} for booking ${bookingId} offered to ${waveDrivers.length} driver(s)`);
+    return {
+      success: true,
+      wave,
+      offeredDrivers: waveDrivers,
+      assignments: assignments.map(({ assignment }) => assignment),
+      expiresAt
+    };
+  }
+
+  /**
+   * Send a broadcast offer over WebSocket and push
+   * @param {Object} driver - Ranked driver
+   * @param {Object} assignment - Offer assignment record
+   * @param {Object} bookingData - Booking
+   */
+  async sendOffer(driver, assignment, bookingData) {
+    try {
+      const socketService = require('./socket');
+      socketService.sendToUser(driver.driverId, 'new_booking_available', {
+        booking: {
+          id: bookingData.id,
+          customerId: bookingData.customerId,
+          pickup: bookingData.pickup,
+          dropoff: bookingData.dropoff,
+          package: bookingData.package,
+          pricing: bookingData.pricing,
+          fare: bookingData.fare,
+          status: bookingData.status || 'pending'
+        },
+        dispatch: {
+          strategy: DISPATCH_STRATEGIES.BROADCAST,
+          assignmentId: assignment.id,
+          wave: assignment.waveNumber,
+          expiresAt: assignment.expiresAt.toISOString()
+        },
+        distanceFromDriver: typeof driver.distance === 'number' ? Math.round(driver.distance * 100) / 100 : null
+      });
+    } catch (error) {
+      console.error(`❌ [DISPATCH] Failed to send offer to driver ${driver.driverId}:`, error);
+    }
+
+    const driverMatchingService = require('./driverMatchingService');
+    await driverMatchingService.sendDriverAssignmentNotification(driver.driverId, assignment);
+  }
+
+  /**
+   * Acceptance window elapsed: expire the wave's open offers and move on
+   * @param {string} bookingId - Booking ID
+   * @param {number} wave - Wave that expired
+   */
+  async handleWaveExpired(bookingId, wave) {
+    const state = this.activeDispatches.get(bookingId);
+    if (!state || state.wave !== wave) return;
+
+    await this.updatePendingOffers(bookingId, { status: 'expired', expiredAt: new Date() }, { wave });
+    const result = await this.dispatchNextWave(bookingId);
+
+    if (!result.success && result.reason === 'No drivers left to offer') {
+      const assignmentEdgeCaseHandler = require('./assignmentEdgeCaseHandler');
+      await assignmentEdgeCaseHandler.handleNoDriversAvailable(bookingId, state.bookingData.pickup?.coordinates);
+    }
+  }
+
+  /**
+   * Driver response to a broadcast offer (called by driverMatchingService.handleDriverResponse)
+   * @param {Object} assignmentRef - Offer document reference
+   * @param {Object} assignment - Offer data
+   * @param {string} response - 'accepted' or 'rejected'
+   * @param {string} reason - Rejection reason
+   * @returns {Promise<Object>} Response result
+   */
+  async handleOfferResponse(assignmentRef, assignment, response, reason = null) {
+    const { bookingId, driverId } = assignment;
+    const expiresAt = assignment.expiresAt?.toDate ? assignment.expiresAt.toDate() : new Date(assignment.expiresAt);
+
+    if (expiresAt < new Date()) {
+      await assignmentRef.update({ status: 'expired', expiredAt: new Date(), updatedAt: new Date() });
+      return { success: false, error: 'Offer expired' };
+    }
+
+    if (response === 'rejected') {
+      await assignmentRef.update({
+        status: 'rejected',
+        rejectedAt: new Date(),
+        rejectionReason: reason,
+        updatedAt: new Date()
+      });
+
+      // Everyone in the current wave declined: do not wait for the window to run out
+      const state = this.activeDispatches.get(bookingId);
+      if (state && state.wave === assignment.waveNumber) {
+        const openOffers = await this.getPendingOffers(bookingId, { wave: assignment.waveNumber });
+        if (openOffers.length === 0) {
+          clearTimeout(state.timer);
+          await this.handleWaveExpired(bookingId, assignment.waveNumber);
+        }
+      }
+
+      return {
+        success: true,
+        message: 'Offer rejected',
+        data: { assignmentId: assignment.id, bookingId, status: 'rejected' }
+      };
+    }
+
+    if (response !== 'accepted') {
+      return { success: false, error: 'Invalid response' };
+    }
+
+    const driverMatchingService = require('./driverMatchingService');
+    const assignmentEdgeCaseHandler = require('./assignmentEdgeCaseHandler');
+    const otherDriverIds = (await this.getPendingOffers(bookingId))
+      .map(offer => offer.driverId)
+      .filter(id => id !== driverId);
+    const bookingUpdate = await driverMatchingService.buildDriverAssignmentUpdate(driverId);
+
+    try {
+      await assignmentEdgeCaseHandler.handleConcurrentAcceptance(bookingId, [driverId, ...otherDriverIds], {
+        expectedStatuses: PENDING_BOOKING_STATUSES,
+        assignedStatus: 'driver_assigned',
+        bookingUpdate,
+        requireUnassigned: true,
+        rejectionReason: 'Booking accepted by another driver'
+      });
+    } catch (error) {
+      if (error.message === 'BOOKING_ALREADY_ASSIGNED') {
+        await assignmentRef.update({ status: 'superseded', updatedAt: new Date() });
+        return { success: false, error: 'Booking already assigned to another driver' };
+      }
+      throw error;
+    }
+
+    await assignmentRef.update({ status: 'accepted', acceptedAt: new Date(), updatedAt: new Date() });
+    await this.db.collection('driverLocations').doc(driverId).update({
+      currentTripId: bookingId,
+      lastUpdated: new Date()
+    });
+    await this.closeDispatch(bookingId, { status: 'assigned', driverId });
+    await driverMatchingService.sendCustomerNotification(bookingId, 'driver_assigned');
+
+    console.log(`✅ [DISPATCH] Driver ${driverId} won booking ${bookingId} (wave ${assignment.waveNumber})`);
+    return {
+      success: true,
+      message: 'Assignment accepted successfully',
+      data: { assignmentId: assignment.id, bookingId, status: 'accepted' }
+    };
+  }
+
+  /**
+   * Stop a broadcast and withdraw its open offers
+   * Also called when the booking is accepted outside the offer flow.
+   * @param {string} bookingId - Booking ID
+   * @param {Object} [options] - { status, driverId, notifyDrivers }
+   * @returns {Promise<Array<string>>} Drivers whose offers were withdrawn
+   */
+  async closeDispatch(bookingId, options = {}) {
+    const { status = 'closed', driverId = null, notifyDrivers = false } = options;
+    this.stopDispatch(bookingId);
+
+    try {
+      const dispatchRef = this.db.collection(BOOKING_DISPATCHES_COLLECTION).doc(bookingId);
+      const dispatchDoc = await dispatchRef.get();
+      if (!dispatchDoc.exists || dispatchDoc.data().status !== 'offering') {
+        return [];
+      }
+
+      const withdrawn = await this.updatePendingOffers(bookingId, { status: 'superseded', supersededAt: new Date() }, { excludeDriverId: driverId });
+      await dispatchRef.update({
+        status,
+        assignedDriverId: driverId,
+        closedAt: new Date(),
+        updatedAt: new Date()
+      });
+
+      if (notifyDrivers && withdrawn.length > 0) {
+        const assignmentEdgeCaseHandler = require('./assignmentEdgeCaseHandler');
+        await Promise.all(withdrawn.map(id =>
+          assignmentEdgeCaseHandler.notifyDriverRejection(id, bookingId, 'Booking accepted by another driver')
+        ));
+      }
+
+      console.log(`📣 [DISPATCH] Dispatch for booking ${bookingId} closed (${status})`);
+      return withdrawn;
+    } catch (error) {
+      console.error(`❌ [DISPATCH] Failed to close dispatch for booking ${bookingId}:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Clear the in-memory wave timer for a booking
+   * @param {string} bookingId - Booking ID
+   */
+  stopDispatch(bookingId) {
+    const state = this.activeDispatches.get(bookingId);
+    if (state) {
+      clearTimeout(state.timer);
+      this.activeDispatches.delete(bookingId);
+    }
+  }
+
+  /**
+   * Open broadcast offers for a booking
+   * @param {string} bookingId - Booking ID
+   * @param {Object} [filters] - { wave }
+   * @returns {Promise<Array<Object>>} Offers with their document refs
+   */
+  async getPendingOffers(bookingId, { wave = null } = {}) {
+    const snapshot = await this.db.collection('driverAssignments')
+      .where('bookingId', '==', bookingId)
+      .where('status', '==', 'pending')
+      .get();
+
+    return snapshot.docs
+      .map(doc => ({ ref: doc.ref, ...doc.data() }))
+      .filter(offer => offer.dispatchMode === DISPATCH_STRATEGIES.BROADCAST)
+      .filter(offer => wave === null || offer.waveNumber === wave);
+  }
+
+  /**
+   * Update open broadcast offers for a booking
+   * @param {string} bookingId - Booking ID
+   * @param {Object} changes - Fields to write
+   * @param {Object} [filters] - { wave, excludeDriverId }
+   * @returns {Promise<Array<string>>} Driver IDs whose offers were updated
+   */
+  async updatePendingOffers(bookingId, changes, { wave = null, excludeDriverId = null } = {}) {
+    const offers = (await this.getPendingOffers(bookingId, { wave }))
+      .filter(offer => offer.driverId !== excludeDriverId);
+    if (offers.length === 0) return [];
+
+    const batch = this.db.batch();
+    offers.forEach(offer => batch.update(offer.ref, { ...changes, updatedAt: new Date() }));
+    await batch.commit();
+    return offers.map(offer => offer.driverId);
+  }
+
+  /**
+   * Check that a driver is still online, available and not on a trip
+   * @param {string} driverId - Driver ID
+   * @returns {Promise<boolean>}
+   */
+  async isDriverFree(driverId) {
+    const doc = await this.db.collection('driverLocations').doc(driverId).get();
+    if (!doc.exists) return false;
+    const data = doc.data();
+    return Boolean(data.isOnline && data.isAvailable && !data.currentTripId);
+  }
+}
+
+module.exports = new DispatchStrategyService();
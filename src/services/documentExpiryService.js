@@ -0,0 +1,524 @@
+const { getFirestore } = require('./firebase');
+const config = require('../config/environment');
+const {
+  EXPIRING_DOCUMENT_TYPES,
+  DOCUMENT_TYPE_KEYS,
+  DOCUMENT_COMPLIANCE_STATUSES,
+  DOCUMENT_RENEWAL_REQUEST_TYPE
+} = require('../constants/driverDocuments');
+const { toDate } = require('../utils/dates');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Document Expiry Service
+ * Tracks expiry dates of driving licences, insurance and RC books:
+ * - the expiry date is captured at upload and can be set/corrected when an
+ *   admin verifies the document; a document is valid through the end of its
+ *   expiry day (IST)
+ * - a daily check sends renewal reminders `reminderDays` before expiry
+ *   (30, 7 and 1 days by default; each once per document)
+ * - on expiry a targeted re-verification request is opened in
+ *   `documentVerificationRequests` and a `gracePeriodDays` grace period starts
+ * - once the grace period ends the driver is suspended from matching
+ *   (isDriverSuitable) and from accepting bookings, until a renewed document
+ *   with a future expiry is verified
+ *
+ * Open renewals live in `driver.documentCompliance.renewals` rather than on
+ * the document, because a re-upload replaces the document record.
+ * `driver.documentCompliance.nextCheckAt` tells the daily check which drivers
+ * need attention.
+ */
+class DocumentExpiryService {
+  constructor() {
+    this.checkInterval = null;
+    this.isRunning = false;
+    this.lastRunDay = null;
+  }
+
+  get db() {
+    return getFirestore();
+  }
+
+  get settings() {
+    return config.getDocumentExpiryConfig();
+  }
+
+  /**
+   * Start the daily expiry check
+   */
+  initialize() {
+    if (this.isRunning || !this.settings.autoRun) {
+      return;
+    }
+
+    this.checkInterval = setInterval(async () => {
+      await this.runIfDue();
+    }, this.settings.checkIntervalMinutes * 60 * 1000);
+
+    this.isRunning = true;
+    console.log(`✅ [DOC_EXPIRY] Daily document expiry check scheduled (${this.settings.runHour}:00 local)`);
+  }
+
+  /**
+   * Stop the daily expiry check
+   */
+  stopScheduler() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+    this.isRunning = false;
+  }
+
+  /**
+   * Run the check once per local day, from `runHour` on
+   */
+  async runIfDue(now = new Date()) {
+    const local = new Date(now.getTime() + this.settings.timezoneOffsetMinutes * 60 * 1000);
+    const day = local.toISOString().slice(0, 10);
+    if (this.lastRunDay === day || local.getUTCHours() < this.settings.runHour) {
+      return null;
+    }
+
+    this.lastRunDay = day;
+    return this.runDailyCheck(now);
+  }
+
+  /**
+   * Whether a document type carries an expiry date
+   */
+  isExpiringType(documentType) {
+    return EXPIRING_DOCUMENT_TYPES.includes(this.normalizeType(documentType));
+  }
+
+  /**
+   * snake_case document type (admin and older clients send camelCase)
+   */
+  normalizeType(documentType) {
+    return (documentType || '').replace(/([A-Z])/g, '_$1').toLowerCase();
+  }
+
+  /**
+   * Parse an expiry date (YYYY-MM-DD or ISO) to the end of that day in local time
+   * @param {string|Date} value - Expiry date
+   * @returns {Date|null} Expiry moment, or null when invalid
+   */
+  parseExpiryDate(value) {
+    const parsed = value instanceof Date ? value : new Date(value);
+    if (!value || isNaN(parsed.getTime())) {
+      return null;
+    }
+
+    const offsetMs = this.settings.timezoneOffsetMinutes * 60 * 1000;
+    // Date-only strings parse as UTC midnight; keep that calendar day
+    const local = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)
+      ? parsed
+      : new Date(parsed.getTime() + offsetMs);
+    const endOfDay = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate(), 23, 59, 59, 999);
+    return new Date(endOfDay - offsetMs);
+  }
+
+  /**
+   * Validate an expiry date supplied with a document
+   * @param {string} documentType - Document type
+   * @param {string} value - Expiry date (optional)
+   * @param {Date} now - Current time
+   * @returns {Object} Result with the parsed date (null when not supplied or not an expiring type)
+   */
+  validateExpiryDate(documentType, value, now = new Date()) {
+    if (value === undefined || value === null || value === '' || !this.isExpiringType(documentType)) {
+      return { success: true, data: null };
+    }
+
+    const expiryDate = this.parseExpiryDate(value);
+    if (!expiryDate) {
+      return { success: false, error: { code: 'INVALID_EXPIRY_DATE', message: 'Expiry date must be a valid date (YYYY-MM-DD)' } };
+    }
+    if (expiryDate <= now) {
+      return { success: false, error: { code: 'DOCUMENT_EXPIRED', message: 'This document has already expired; upload a renewed document' } };
+    }
+    return { success: true, data: expiryDate };
+  }
+
+  /**
+   * Find a document on the driver profile under any of its keys
+   * @returns {Object} { key, document }
+   */
+  getDocument(driverData, documentType) {
+    const documents = driverData.driver?.documents || {};
+    const keys = DOCUMENT_TYPE_KEYS[documentType] || [documentType];
+    const key = keys.find(candidate => documents[candidate]) || keys[0];
+    return { key, document: documents[key] || null };
+  }
+
+  /**
+   * Store the expiry date of a document and refresh the driver's compliance
+   * @param {string} driverId - Driver ID
+   * @param {string} documentType - Document type
+   * @param {Date} expiryDate - Parsed expiry date
+   * @param {string} source - upload | verification
+   * @returns {Promise<Object|null>} Updated compliance
+   */
+  async recordExpiry(driverId, documentType, expiryDate, source) {
+    const type = this.normalizeType(documentType);
+    const driverRef = this.db.collection('users').doc(driverId);
+    const driverDoc = await driverRef.get();
+    if (!driverDoc.exists) {
+      return null;
+    }
+
+    const { key } = this.getDocument(driverDoc.data(), type);
+    const now = new Date();
+    await driverRef.update({
+      [`driver.documents.${key}.expiryDate`]: expiryDate,
+      [`driver.documents.${key}.expiryRecordedFrom`]: source,
+      [`driver.documents.${key}.expiryRemindersSent`]: [],
+      updatedAt: now
+    });
+
+    console.log(`📅 [DOC_EXPIRY] ${type} of driver ${driverId} expires ${expiryDate.toISOString()} (${source})`);
+    return this.refreshCompliance(driverId, now);
+  }
+
+  /**
+   * After an admin verifies a document: store the expiry date given with the
+   * verification and close the document's renewal when it is valid again
+   * @param {string} driverId - Driver ID
+   * @param {string} documentType - Document type
+   * @param {string} status - verified | rejected
+   * @param {Date|null} expiryDate - Parsed expiry date from the admin (optional)
+   * @returns {Promise<Object|null>} Updated compliance
+   */
+  async onDocumentVerified(driverId, documentType, status, expiryDate = null) {
+    if (!this.isExpiringType(documentType)) {
+      return null;
+    }
+    if (status === 'verified' && expiryDate) {
+      return this.recordExpiry(driverId, documentType, expiryDate, 'verification');
+    }
+    return this.refreshCompliance(driverId);
+  }
+
+  /**
+   * Recompute `driver.documentCompliance` from the stored documents
+   */
+  async refreshCompliance(driverId, now = new Date()) {
+    const driverRef = this.db.collection('users').doc(driverId);
+    const driverDoc = await driverRef.get();
+    if (!driverDoc.exists) {
+      return null;
+    }
+
+    const compliance = this.computeCompliance(driverDoc.data(), this.getRenewals(driverDoc.data()), now);
+    await driverRef.update({ 'driver.documentCompliance': compliance, updatedAt: now });
+    return compliance;
+  }
+
+  getRenewals(driverData) {
+    return { ...(driverData.driver?.documentCompliance?.renewals || {}) };
+  }
+
+  /**
+   * Compliance state: renewals whose document is verified with a future
+   * expiry are closed; the status follows the open renewals
+   */
+  computeCompliance(driverData, renewals, now) {
+    const open = {};
+    Object.entries(renewals).forEach(([type, renewal]) => {
+      const { document } = this.getDocument(driverData, type);
+      const expiry = toDate(document?.expiryDate);
+      const renewed = expiry && expiry > now && this.isDocumentVerified(document);
+      if (!renewed) {
+        open[type] = renewal;
+      }
+    });
+
+    const renewalList = Object.values(open);
+    let status = DOCUMENT_COMPLIANCE_STATUSES.COMPLIANT;
+    if (renewalList.some(renewal => toDate(renewal.graceEndsAt) <= now)) {
+      status = DOCUMENT_COMPLIANCE_STATUSES.SUSPENDED;
+    } else if (renewalList.length > 0) {
+      status = DOCUMENT_COMPLIANCE_STATUSES.GRACE;
+    }
+
+    return {
+      status,
+      renewals: open,
+      nextCheckAt: this.getNextCheckAt(driverData, open),
+      updatedAt: now
+    };
+  }
+
+  /**
+   * Earliest moment the daily check has something to do for the driver:
+   * a reminder threshold, an expiry, or the end of a grace period
+   */
+  getNextCheckAt(driverData, renewals) {
+    const candidates = [];
+    EXPIRING_DOCUMENT_TYPES.forEach(type => {
+      const renewal = renewals[type];
+      if (renewal) {
+        if (!renewal.suspendedAt) {
+          candidates.push(toDate(renewal.graceEndsAt));
+        }
+        return;
+      }
+
+      const { document } = this.getDocument(driverData, type);
+      const expiry = toDate(document?.expiryDate);
+      if (!expiry) {
+        return;
+      }
+
+      const sent = document.expiryRemindersSent || [];
+      this.settings.reminderDays
+        .filter(days => !sent.includes(days))
+        .forEach(days => candidates.push(new Date(expiry.getTime() - days * DAY_MS)));
+      candidates.push(expiry);
+    });
+
+    const dates = candidates.filter(Boolean).sort((a, b) => a - b);
+    return dates[0] || null;
+  }
+
+  /**
+   * Expiring documents that keep the driver out of matching: expired past
+   * the grace period (even before the daily check has recorded it)
+   * @param {Object} driverData - User document of the driver
+   * @param {Date} now - Current time
+   * @returns {Array<string>} Blocking document types
+   */
+  getBlockingDocuments(driverData, now = new Date()) {
+    const graceMs = this.settings.gracePeriodDays * DAY_MS;
+    const renewals = driverData.driver?.documentCompliance?.renewals || {};
+
+    return EXPIRING_DOCUMENT_TYPES.filter(type => {
+      const { document } = this.getDocument(driverData, type);
+      const expiry = toDate(document?.expiryDate);
+      const renewal = renewals[type];
+
+      if (expiry && expiry > now && (!renewal || this.isDocumentVerified(document))) {
+        return false;
+      }
+      if (renewal) {
+        return toDate(renewal.graceEndsAt) <= now;
+      }
+      return !!expiry && expiry.getTime() + graceMs <= now.getTime();
+    });
+  }
+
+  /**
+   * Whether expired documents keep the driver out of matching
+   */
+  isSuspended(driverData, now = new Date()) {
+    return this.getBlockingDocuments(driverData, now).length > 0;
+  }
+
+  isDocumentVerified(document) {
+    return !!document && (document.verified === true || document.verificationStatus === 'verified' || document.status === 'verified');
+  }
+
+  /**
+   * Daily check over the drivers that have something due
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} Counts of what was done
+   */
+  async runDailyCheck(now = new Date()) {
+    const summary = { drivers: 0, reminders: 0, expired: 0, suspended: 0, errors: 0 };
+
+    try {
+      const snapshot = await this.db.collection('users')
+        .where('driver.documentCompliance.nextCheckAt', '<=', now)
+        .limit(500)
+        .get();
+
+      for (const doc of snapshot.docs) {
+        try {
+          const result = await this.processDriver(doc.id, doc.data(), now);
+          summary.drivers++;
+          summary.reminders += result.reminders;
+          summary.expired += result.expired;
+          summary.suspended += result.suspended;
+        } catch (error) {
+          summary.errors++;
+          console.error(`❌ [DOC_EXPIRY] Failed to check documents of driver ${doc.id}:`, error);
+        }
+      }
+
+      console.log(`📅 [DOC_EXPIRY] Daily check: ${summary.drivers} drivers, ${summary.reminders} reminders, ${summary.expired} expired, ${summary.suspended} suspended`);
+    } catch (error) {
+      console.error('❌ [DOC_EXPIRY] Daily check failed:', error);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Reminders, expiries and suspensions for one driver
+   */
+  async processDriver(driverId, driverData, now) {
+    const result = { reminders: 0, expired: 0, suspended: 0 };
+    const renewals = this.getRenewals(driverData);
+    const update = {};
+    const graceMs = this.settings.gracePeriodDays * DAY_MS;
+
+    for (const type of EXPIRING_DOCUMENT_TYPES) {
+      const { key, document } = this.getDocument(driverData, type);
+      const expiry = toDate(document?.expiryDate);
+      const renewal = renewals[type];
+
+      if (renewal) {
+        if (!renewal.suspendedAt && toDate(renewal.graceEndsAt) <= now) {
+          renewals[type] = { ...renewal, suspendedAt: now };
+          result.suspended++;
+          await this.notifyDriver(driverId, 'document_expiry_suspended', 'Bookings paused: document expired',
+            `Your ${this.label(type)} expired. You will not receive bookings until the renewed document is verified.`, { documentType: type });
+        }
+        continue;
+      }
+      if (!expiry) {
+        continue;
+      }
+
+      if (expiry <= now) {
+        const graceEndsAt = new Date(expiry.getTime() + graceMs);
+        const requestId = await this.requestRenewal(driverId, driverData, type, expiry, graceEndsAt);
+        renewals[type] = { expiredAt: expiry, graceEndsAt, requestId, suspendedAt: graceEndsAt <= now ? now : null };
+        result.expired++;
+        await this.notifyDriver(driverId, 'document_expired', 'Document expired',
+          `Your ${this.label(type)} expired. Upload the renewed document by ${this.formatDate(graceEndsAt)} to keep receiving bookings.`,
+          { documentType: type, graceEndsAt: graceEndsAt.toISOString() });
+        continue;
+      }
+
+      // Only the closest due reminder is sent when several are due (e.g. the check missed a day)
+      const sent = document.expiryRemindersSent || [];
+      const daysLeft = Math.ceil((expiry.getTime() - now.getTime()) / DAY_MS);
+      const due = this.settings.reminderDays.filter(days => daysLeft <= days && !sent.includes(days));
+      if (due.length > 0) {
+        update[`driver.documents.${key}.expiryRemindersSent`] = [...sent, ...due];
+        result.reminders++;
+        await this.notifyDriver(driverId, 'document_expiry_reminder', 'Document expiring soon',
+          `Your ${this.label(type)} expires in ${daysLeft} day${daysLeft === 1 ? '' : 's'} (${this.formatDate(expiry)}). Upload the renewed document to avoid interruptions.`,
+          { documentType: type, expiryDate: expiry.toISOString(), daysLeft: String(daysLeft) });
+      }
+    }
+
+    // Compliance is computed on the profile as it will be after this update
+    const nextDocuments = { ...(driverData.driver?.documents || {}) };
+    Object.entries(update).forEach(([path, sent]) => {
+      const key = path.split('.')[2];
+      nextDocuments[key] = { ...nextDocuments[key], expiryRemindersSent: sent };
+    });
+    const compliance = this.computeCompliance({ driver: { ...driverData.driver, documents: nextDocuments } }, renewals, now);
+
+    await this.db.collection('users').doc(driverId).update({
+      ...update,
+      'driver.documentCompliance': compliance,
+      updatedAt: now
+    });
+
+    if (result.suspended > 0) {
+      console.warn(`⛔ [DOC_EXPIRY] Driver ${driverId} suspended from matching (expired documents)`);
+    }
+    return result;
+  }
+
+  /**
+   * Open a re-verification request for the expired document in the admin
+   * verification queue
+   * @returns {Promise<string|null>} Request ID
+   */
+  async requestRenewal(driverId, driverData, documentType, expiredAt, graceEndsAt) {
+    try {
+      const { document } = this.getDocument(driverData, documentType);
+      const now = new Date();
+      const requestRef = this.db.collection('documentVerificationRequests').doc();
+      await requestRef.set({
+        driverId,
+        driverName: driverData.name || driverData.driver?.name || 'Unknown Driver',
+        driverPhone: driverData.phone || driverData.driver?.phone || 'Unknown Phone',
+        requestType: DOCUMENT_RENEWAL_REQUEST_TYPE,
+        documentTypes: [documentType],
+        documents: {
+          [documentType]: {
+            downloadURL: document?.downloadURL || document?.url || '',
+            verificationStatus: 'pending',
+            status: 'renewal_required',
+            verified: false,
+            expiredAt
+          }
+        },
+        expiredAt,
+        graceEndsAt,
+        status: 'pending',
+        requestedAt: now,
+        createdAt: now,
+        updatedAt: now
+      });
+      return requestRef.id;
+    } catch (error) {
+      console.error(`❌ [DOC_EXPIRY] Failed to open renewal request for driver ${driverId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Expiry state of a driver's documents for the driver app
+   * @param {string} driverId - Driver ID
+   * @returns {Promise<Object|null>} { status, documents }
+   */
+  async getDriverSummary(driverId, now = new Date()) {
+    const driverDoc = await this.db.collection('users').doc(driverId).get();
+    if (!driverDoc.exists) {
+      return null;
+    }
+
+    const driverData = driverDoc.data();
+    const blocking = this.getBlockingDocuments(driverData, now);
+    const renewals = driverData.driver?.documentCompliance?.renewals || {};
+    const documents = EXPIRING_DOCUMENT_TYPES.map(type => {
+      const { document } = this.getDocument(driverData, type);
+      const expiry = toDate(document?.expiryDate);
+      return {
+        documentType: type,
+        expiryDate: expiry,
+        daysLeft: expiry ? Math.ceil((expiry.getTime() - now.getTime()) / DAY_MS) : null,
+        renewalRequired: !!renewals[type],
+        graceEndsAt: toDate(renewals[type]?.graceEndsAt),
+        blocking: blocking.includes(type)
+      };
+    });
+
+    let status = driverData.driver?.documentCompliance?.status || DOCUMENT_COMPLIANCE_STATUSES.COMPLIANT;
+    if (blocking.length > 0) {
+      status = DOCUMENT_COMPLIANCE_STATUSES.SUSPENDED;
+    }
+    return { status, documents };
+  }
+
+  async notifyDriver(driverId, type, title, body, data = {}) {
+    try {
+      const notificationService = require('./notificationService');
+      await notificationService.sendToUser(driverId, { type, title, body, data: { type, ...data } });
+    } catch (error) {
+      console.warn(`⚠️ [DOC_EXPIRY] Failed to notify driver ${driverId}:`, error.message);
+    }
+  }
+
+  label(documentType) {
+    return {
+      driving_license: 'driving licence',
+      bike_insurance: 'vehicle insurance',
+      rc_book: 'RC book'
+    }[documentType] || documentType;
+  }
+
+  formatDate(date) {
+    const local = new Date(date.getTime() + this.settings.timezoneOffsetMinutes * 60 * 1000);
+    return local.toISOString().slice(0, 10);
+  }
+}
+
+module.exports = new DocumentExpiryService();
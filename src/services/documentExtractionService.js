@@ -0,0 +1,504 @@
+const { getFirestore } = require('./firebase');
+const config = require('../config/environment');
+const { DOCUMENT_TYPE_KEYS } = require('../constants/driverDocuments');
+const {
+  EXTRACTION_FIELDS,
+  EXTRACTION_STATUSES,
+  EXTRACTION_FLAGS,
+  NAME_REJECT_DOCUMENT_TYPES
+} = require('../constants/documentExtraction');
+const { createDocumentExtractionProvider } = require('./documentExtractionProviders');
+const { toDate } = require('../utils/dates');
+
+/**
+ * Document Extraction Service
+ * OCR/KYC step run after a driver document is uploaded:
+ * - the configured provider reads the document number, name, date of birth
+ *   and expiry date
+ * - the fields are cross-checked against the driver profile (name, vehicle
+ *   number, date of birth from the profile or the driver's other documents)
+ *   and the expiry entered at upload; each problem becomes a flag
+ * - the extraction (fields, per-field confidence, overall score, flags) is
+ *   attached to the document and to the pending verification request, so
+ *   the admin only confirms or corrects the fields
+ * - an obvious mismatch (a `reject` flag on a field read with high
+ *   confidence) rejects the document right away with the flag's reason
+ *
+ * Extraction never fails an upload: when the provider errors or reads
+ * nothing the document goes to plain manual review.
+ */
+class DocumentExtractionService {
+  constructor() {
+    this.providerInstance = null;
+  }
+
+  get db() {
+    return getFirestore();
+  }
+
+  get settings() {
+    return config.getDocumentExtractionConfig();
+  }
+
+  get provider() {
+    if (!this.providerInstance || this.providerInstance.name !== this.settings.provider) {
+      this.providerInstance = createDocumentExtractionProvider(this.settings.provider);
+      if (this.providerInstance.name === 'local' && config.isProduction()) {
+        console.warn('⚠️ [DOC_EXTRACTION] Local stub provider in production - documents are NOT read');
+      }
+    }
+    return this.providerInstance;
+  }
+
+  /**
+   * snake_case document type (older clients send camelCase)
+   */
+  normalizeType(documentType) {
+    return (documentType || '').replace(/([A-Z])/g, '_$1').toLowerCase();
+  }
+
+  /**
+   * Whether fields are extracted from a document type
+   */
+  isExtractable(documentType) {
+    return !!EXTRACTION_FIELDS[this.normalizeType(documentType)];
+  }
+
+  /**
+   * Run the extraction for an uploaded document and attach the result
+   * @param {string} driverId - Driver ID
+   * @param {string} documentType - Document type
+   * @param {Object} file - { buffer, mimetype } (after processImage for images)
+   * @param {Object} options - { expiryDate } entered at upload (parsed)
+   * @returns {Promise<Object|null>} Extraction summary, or null when not run
+   */
+  async processUpload(driverId, documentType, file, options = {}) {
+    const type = this.normalizeType(documentType);
+    if (!this.settings.enabled || !this.isExtractable(type) || !file?.buffer) {
+      return null;
+    }
+
+    let extraction;
+    try {
+      const result = await this.withTimeout(this.provider.extract({
+        documentType: type,
+        buffer: file.buffer,
+        mimetype: file.mimetype
+      }));
+
+      const driverDoc = await this.db.collection('users').doc(driverId).get();
+      if (!driverDoc.exists) {
+        return null;
+      }
+      extraction = this.evaluate(type, result || {}, driverDoc.data(), options.expiryDate || null);
+    } catch (error) {
+      console.error(`❌ [DOC_EXTRACTION] Extraction of ${type} failed for driver ${driverId}:`, error.message);
+      extraction = {
+        status: EXTRACTION_STATUSES.FAILED,
+        provider: this.settings.provider,
+        fields: {},
+        confidence: {},
+        score: 0,
+        flags: [],
+        rejectionReason: null,
+        error: error.message,
+        extractedAt: new Date()
+      };
+    }
+
+    await this.saveExtraction(driverId, type, extraction);
+    if (extraction.status === EXTRACTION_STATUSES.AUTO_REJECTED) {
+      await this.autoReject(driverId, type, extraction);
+    }
+
+    console.log(`🔎 [DOC_EXTRACTION] ${type} of driver ${driverId}: ${extraction.status} (score ${extraction.score}, flags: ${extraction.flags.map(flag => flag.code).join(', ') || 'none'})`);
+    return this.summarize(extraction);
+  }
+
+  /**
+   * Score and cross-check a provider result
+   * @param {string} type - Document type (snake_case)
+   * @param {Object} result - Provider result { fields, confidence }
+   * @param {Object} driverData - User document of the driver
+   * @param {Date|null} declaredExpiry - Expiry entered at upload
+   * @param {Date} now - Current time
+   * @returns {Object} Extraction record
+   */
+  evaluate(type, result, driverData, declaredExpiry = null, now = new Date()) {
+    const required = EXTRACTION_FIELDS[type];
+    const fields = this.normalizeFields(type, result.fields || {});
+    const confidence = {};
+    required.forEach(field => {
+      const value = Number(result.confidence?.[field]);
+      confidence[field] = fields[field] ? Math.min(1, Math.max(0, isNaN(value) ? 0 : value)) : 0;
+    });
+    const score = Math.round(required.reduce((sum, field) => sum + confidence[field], 0) / required.length * 100) / 100;
+
+    const extraction = {
+      status: EXTRACTION_STATUSES.NEEDS_REVIEW,
+      provider: this.provider.name,
+      fields,
+      confidence,
+      score,
+      flags: [],
+      rejectionReason: null,
+      extractedAt: now
+    };
+
+    if (!required.some(field => fields[field])) {
+      extraction.status = EXTRACTION_STATUSES.UNREADABLE;
+      return extraction;
+    }
+
+    extraction.flags = [
+      ...this.crossCheck(type, fields, confidence, driverData, declaredExpiry, now),
+      ...required
+        .filter(field => confidence[field] < this.settings.minFieldConfidence)
+        .map(field => this.flag(EXTRACTION_FLAGS.LOW_CONFIDENCE, field, confidence[field]))
+    ];
+
+    const rejecting = extraction.flags.find(flag =>
+      flag.severity === 'reject' && flag.confidence >= this.settings.autoRejectConfidence);
+    if (rejecting && this.settings.autoReject) {
+      extraction.status = EXTRACTION_STATUSES.AUTO_REJECTED;
+      extraction.rejectionReason = rejecting.reason;
+    }
+    return extraction;
+  }
+
+  /**
+   * Compare the extracted fields with the driver profile
+   * @returns {Array<Object>} Flags
+   */
+  crossCheck(type, fields, confidence, driverData, declaredExpiry, now) {
+    const flags = [];
+
+    if (fields.name) {
+      const profileName = driverData.name || driverData.driver?.name || driverData.personalInfo?.name;
+      const match = this.nameMatchScore(profileName, fields.name);
+      if (match !== null && match < this.settings.nameMatchThreshold) {
+        const severity = NAME_REJECT_DOCUMENT_TYPES.includes(type) ? 'reject' : 'review';
+        flags.push(this.flag(EXTRACTION_FLAGS.NAME_MISMATCH, 'name', confidence.name, { expected: profileName, found: fields.name }, severity));
+      }
+    }
+
+    if (fields.dateOfBirth) {
+      const expected = this.getKnownDateOfBirth(type, driverData);
+      if (expected && expected !== fields.dateOfBirth) {
+        flags.push(this.flag(EXTRACTION_FLAGS.DOB_MISMATCH, 'dateOfBirth', confidence.dateOfBirth, { expected, found: fields.dateOfBirth }));
+      }
+    }
+
+    if (fields.documentNumber && type === 'rc_book') {
+      const vehicleNumber = this.normalizeNumber(driverData.driver?.vehicleDetails?.vehicleNumber);
+      if (vehicleNumber && vehicleNumber !== fields.documentNumber) {
+        flags.push(this.flag(EXTRACTION_FLAGS.NUMBER_MISMATCH, 'documentNumber', confidence.documentNumber, { expected: vehicleNumber, found: fields.documentNumber }));
+      }
+    }
+
+    if (fields.expiryDate) {
+      const documentExpiryService = require('./documentExpiryService');
+      const expiry = documentExpiryService.parseExpiryDate(fields.expiryDate);
+      if (expiry && expiry <= now) {
+        flags.push(this.flag(EXTRACTION_FLAGS.DOCUMENT_EXPIRED, 'expiryDate', confidence.expiryDate, { found: fields.expiryDate }));
+      } else if (declaredExpiry) {
+        const declared = documentExpiryService.formatDate(declaredExpiry);
+        if (declared !== fields.expiryDate) {
+          flags.push(this.flag(EXTRACTION_FLAGS.EXPIRY_MISMATCH, 'expiryDate', confidence.expiryDate, { expected: declared, found: fields.expiryDate }));
+        }
+      }
+    }
+
+    return flags;
+  }
+
+  flag(definition, field, confidence, values = {}, severity = definition.severity) {
+    return {
+      code: definition.code,
+      severity,
+      field,
+      confidence: confidence || 0,
+      reason: definition.reason,
+      ...values
+    };
+  }
+
+  /**
+   * Date of birth already known for the driver: the profile's, else one read
+   * reliably from another document
+   */
+  getKnownDateOfBirth(type, driverData) {
+    const profileDob = this.normalizeDate(driverData.driver?.dateOfBirth || driverData.personalInfo?.dateOfBirth || driverData.dateOfBirth);
+    if (profileDob) {
+      return profileDob;
+    }
+
+    const documents = driverData.driver?.documents || {};
+    const other = Object.entries(documents).find(([key, document]) =>
+      this.normalizeType(key) !== type &&
+      document?.extraction?.fields?.dateOfBirth &&
+      (document.extraction.confidence?.dateOfBirth || 0) >= this.settings.minFieldConfidence);
+    return other ? other[1].extraction.fields.dateOfBirth : null;
+  }
+
+  /**
+   * Share of the profile name's words found on the document (initials match
+   * words with the same first letter)
+   * @returns {number|null} 0..1, or null when either name is missing
+   */
+  nameMatchScore(profileName, documentName) {
+    const tokenize = name => (name || '').toUpperCase().replace(/[^A-Z\s]/g, ' ').split(/\s+/).filter(Boolean);
+    const profileTokens = tokenize(profileName);
+    const documentTokens = tokenize(documentName);
+    if (profileTokens.length === 0 || documentTokens.length === 0) {
+      return null;
+    }
+
+    const matched = profileTokens.filter(token => documentTokens.some(candidate =>
+      candidate === token || ((candidate.length === 1 || token.length === 1) && candidate[0] === token[0])));
+    return matched.length / profileTokens.length;
+  }
+
+  /**
+   * Trim, normalise and drop unknown or unparseable fields. Aadhaar numbers
+   * are masked to the last four digits before they are stored.
+   */
+  normalizeFields(type, rawFields) {
+    const fields = {};
+    EXTRACTION_FIELDS[type].forEach(field => {
+      const value = rawFields[field];
+      if (value === undefined || value === null || value === '') {
+        return;
+      }
+
+      let normalized;
+      if (field === 'documentNumber') {
+        normalized = this.normalizeNumber(value);
+        if (normalized && type === 'aadhaar_card') {
+          normalized = `XXXXXXXX${normalized.slice(-4)}`;
+        }
+      } else if (field === 'name') {
+        normalized = String(value).trim().replace(/\s+/g, ' ').toUpperCase();
+      } else {
+        normalized = this.normalizeDate(value);
+      }
+
+      if (normalized) {
+        fields[field] = normalized;
+      }
+    });
+    return fields;
+  }
+
+  normalizeNumber(value) {
+    return value ? String(value).toUpperCase().replace(/[^A-Z0-9]/g, '') : null;
+  }
+
+  /**
+   * YYYY-MM-DD from YYYY-MM-DD, DD/MM/YYYY, DD-MM-YYYY or a date
+   */
+  normalizeDate(value) {
+    if (!value) return null;
+    if (typeof value === 'string') {
+      const trimmed = value.trim();
+      if (/^\d{4}-\d{2}-\d{2}$/.test(trimmed)) {
+        return isNaN(new Date(trimmed).getTime()) ? null : trimmed;
+      }
+      const indian = trimmed.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+      if (indian) {
+        const iso = `${indian[3]}-${indian[2].padStart(2, '0')}-${indian[1].padStart(2, '0')}`;
+        return isNaN(new Date(iso).getTime()) ? null : iso;
+      }
+    }
+    const date = toDate(value);
+    return date ? date.toISOString().slice(0, 10) : null;
+  }
+
+  /**
+   * Attach the extraction to the document and the pending verification request
+   */
+  async saveExtraction(driverId, type, extraction) {
+    try {
+      const driverRef = this.db.collection('users').doc(driverId);
+      const driverDoc = await driverRef.get();
+      if (!driverDoc.exists) {
+        return;
+      }
+
+      const key = this.getDocumentKey(driverDoc.data(), type);
+      await driverRef.update({
+        [`driver.documents.${key}.extraction`]: extraction,
+        updatedAt: new Date()
+      });
+
+      const requestSnapshot = await this.db.collection('documentVerificationRequests')
+        .where('driverId', '==', driverId)
+        .where('status', '==', 'pending')
+        .limit(1)
+        .get();
+      if (!requestSnapshot.empty) {
+        const request = requestSnapshot.docs[0];
+        const compact = key => key.toLowerCase().replace(/[_-]/g, '');
+        const requestKey = Object.keys(request.data().documents || {}).find(candidate => compact(candidate) === compact(type));
+        if (requestKey) {
+          await request.ref.update({
+            [`documents.${requestKey}.extraction`]: extraction,
+            updatedAt: new Date()
+          });
+        }
+      }
+    } catch (error) {
+      console.error(`❌ [DOC_EXTRACTION] Failed to save extraction of ${type} for driver ${driverId}:`, error);
+    }
+  }
+
+  getDocumentKey(driverData, type) {
+    const documents = driverData.driver?.documents || {};
+    const keys = DOCUMENT_TYPE_KEYS[type] || [type];
+    return keys.find(candidate => documents[candidate]) || keys[0];
+  }
+
+  /**
+   * Reject the document with the flag's reason and tell the driver to re-upload
+   */
+  async autoReject(driverId, type, extraction) {
+    try {
+      const verificationService = require('./verificationService');
+      const codes = extraction.flags.filter(flag => flag.severity === 'reject').map(flag => flag.code);
+      await verificationService.verifyDriverDocument(
+        driverId,
+        type,
+        'rejected',
+        `Automatically rejected after document check (${codes.join(', ')})`,
+        extraction.rejectionReason,
+        'system'
+      );
+
+      const notificationService = require('./notificationService');
+      await notificationService.sendToUser(driverId, {
+        type: 'document_rejected',
+        title: 'Document rejected',
+        body: `${extraction.rejectionReason}. Please upload a clear photo of a valid document.`,
+        data: { type: 'document_rejected', documentType: type, reason: extraction.rejectionReason }
+      });
+    } catch (error) {
+      console.error(`❌ [DOC_EXTRACTION] Failed to auto-reject ${type} for driver ${driverId}:`, error);
+    }
+  }
+
+  /**
+   * Admin confirms the extracted fields (optionally correcting some) and
+   * verifies the document
+   * @param {string} driverId - Driver ID
+   * @param {string} documentType - Document type
+   * @param {string} adminId - Admin ID
+   * @param {Object} options - { corrections: { <field>: value }, comments }
+   * @returns {Promise<Object>} Result with the confirmed fields
+   */
+  async confirmExtraction(driverId, documentType, adminId, options = {}) {
+    try {
+      const type = this.normalizeType(documentType);
+      if (!this.isExtractable(type)) {
+        return { success: false, error: { code: 'UNSUPPORTED_DOCUMENT_TYPE', message: `Fields are not extracted from ${documentType}` } };
+      }
+
+      const driverRef = this.db.collection('users').doc(driverId);
+      const driverDoc = await driverRef.get();
+      if (!driverDoc.exists) {
+        return { success: false, error: { code: 'DRIVER_NOT_FOUND', message: 'Driver not found' } };
+      }
+
+      const key = this.getDocumentKey(driverDoc.data(), type);
+      const extraction = driverDoc.data().driver?.documents?.[key]?.extraction;
+      if (!extraction) {
+        return { success: false, error: { code: 'EXTRACTION_NOT_FOUND', message: 'No extraction found for this document' } };
+      }
+
+      const corrections = options.corrections || {};
+      const unknownFields = Object.keys(corrections).filter(field => !EXTRACTION_FIELDS[type].includes(field));
+      const corrected = this.normalizeFields(type, corrections);
+      const invalidFields = Object.keys(corrections).filter(field => !unknownFields.includes(field) && !corrected[field]);
+      if (unknownFields.length > 0 || invalidFields.length > 0) {
+        return {
+          success: false,
+          error: {
+            code: 'INVALID_CORRECTION',
+            message: 'Corrections contain unknown or invalid fields',
+            details: { unknownFields, invalidFields, allowedFields: EXTRACTION_FIELDS[type] }
+          }
+        };
+      }
+
+      const fields = { ...(extraction.fields || {}), ...corrected };
+      const documentExpiryService = require('./documentExpiryService');
+      const expiry = documentExpiryService.validateExpiryDate(type, fields.expiryDate);
+      if (!expiry.success) {
+        return { success: false, error: expiry.error };
+      }
+
+      const correctedFields = Object.keys(corrected).filter(field => corrected[field] !== extraction.fields?.[field]);
+      const now = new Date();
+      const updates = {
+        [`driver.documents.${key}.extraction.status`]: EXTRACTION_STATUSES.CONFIRMED,
+        [`driver.documents.${key}.extraction.review`]: {
+          fields,
+          correctedFields,
+          reviewedBy: adminId,
+          reviewedAt: now
+        },
+        updatedAt: now
+      };
+      if (fields.documentNumber) {
+        updates[`driver.documents.${key}.number`] = fields.documentNumber;
+      }
+      await driverRef.update(updates);
+
+      const verificationService = require('./verificationService');
+      const result = await verificationService.verifyDriverDocument(
+        driverId,
+        type,
+        'verified',
+        options.comments || (correctedFields.length > 0
+          ? `Extracted fields corrected (${correctedFields.join(', ')}) and confirmed`
+          : 'Extracted fields confirmed'),
+        null,
+        adminId,
+        expiry.data
+      );
+      if (!result.success) {
+        return { success: false, error: { code: 'VERIFICATION_FAILED', message: 'Failed to verify document', details: result.error } };
+      }
+
+      return { success: true, data: { documentType: type, fields, correctedFields } };
+    } catch (error) {
+      console.error('❌ [DOC_EXTRACTION] Error confirming extraction:', error);
+      return { success: false, error: { code: 'EXTRACTION_CONFIRM_ERROR', message: 'Failed to confirm extraction', details: error.message } };
+    }
+  }
+
+  /**
+   * What the uploader sees of an extraction
+   */
+  summarize(extraction) {
+    return {
+      status: extraction.status,
+      score: extraction.score,
+      flags: extraction.flags.map(flag => flag.code),
+      rejectionReason: extraction.rejectionReason
+    };
+  }
+
+  async withTimeout(promise) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`Extraction timed out after ${this.settings.timeoutMs}ms`)), this.settings.timeoutMs);
+    });
+    try {
+      return await Promise.race([promise, timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+module.exports = new DocumentExtractionService();
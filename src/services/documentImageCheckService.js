@@ -0,0 +1,337 @@
+const sharp = require('sharp');
+const { getFirestore } = require('./firebase');
+const config = require('../config/environment');
+const {
+  DOCUMENT_IMAGE_COLLECTIONS,
+  DOCUMENT_IMAGE_MIN_RESOLUTION,
+  IMAGE_QUALITY_ISSUES,
+  DUPLICATE_MATCH_TYPES,
+  FRAUD_REVIEW_STATUSES
+} = require('../constants/documentImages');
+
+const ANALYSIS_SIZE = 512; // Longest side the sharpness and brightness are measured at
+const BLANK_HASHES = ['0000000000000000', 'ffffffffffffffff'];
+
+/**
+ * Document Image Check Service
+ * Upload-time checks on driver document photos:
+ * - quality: minimum resolution, sharpness (variance of the Laplacian) and
+ *   mean brightness; each problem becomes an issue with a retake prompt that
+ *   feeds the upload recommendations
+ * - duplicates: a 64-bit difference hash (dHash) per image. Hashes are
+ *   stored with eight 8-bit bands so candidates can be found with one
+ *   `array-contains-any` query (two hashes within 7 bits share a band).
+ *   A match from another driver or another document type of the same driver
+ *   opens a fraud review for admins; re-uploads of the same document are not
+ *   flagged.
+ *
+ * Checks never fail an upload; the driver is only told about quality issues.
+ */
+class DocumentImageCheckService {
+  get db() {
+    return getFirestore();
+  }
+
+  get settings() {
+    return config.getDocumentImageChecksConfig();
+  }
+
+  /**
+   * Score an image and compute its perceptual hash
+   * @param {Buffer} buffer - Image content
+   * @param {string} documentType - Document type (snake_case)
+   * @param {Object} minResolution - { width, height } (defaults per document type)
+   * @returns {Promise<Object|null>} Quality result, or null when disabled or unreadable
+   */
+  async analyze(buffer, documentType, minResolution = null) {
+    if (!this.settings.enabled || !buffer) {
+      return null;
+    }
+
+    try {
+      const metadata = await sharp(buffer).metadata();
+      // EXIF orientations 5-8 are rotated by 90°
+      const rotated = metadata.orientation >= 5;
+      const width = rotated ? metadata.height : metadata.width;
+      const height = rotated ? metadata.width : metadata.height;
+
+      const { data, info } = await sharp(buffer)
+        .rotate()
+        .greyscale()
+        .resize(ANALYSIS_SIZE, ANALYSIS_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+      const brightness = Math.round(data.reduce((sum, value) => sum + value, 0) / data.length);
+      const sharpness = Math.round(this.laplacianVariance(data, info.width, info.height) * 10) / 10;
+      const phash = await this.perceptualHash(buffer);
+
+      const minimum = minResolution || DOCUMENT_IMAGE_MIN_RESOLUTION[documentType] || DOCUMENT_IMAGE_MIN_RESOLUTION.default;
+      const issues = [];
+      if (Math.max(width, height) < Math.max(minimum.width, minimum.height) ||
+          Math.min(width, height) < Math.min(minimum.width, minimum.height)) {
+        issues.push(IMAGE_QUALITY_ISSUES.LOW_RESOLUTION.code);
+      }
+      if (sharpness < this.settings.minSharpness) {
+        issues.push(IMAGE_QUALITY_ISSUES.BLURRY.code);
+      }
+      if (brightness < this.settings.minBrightness) {
+        issues.push(IMAGE_QUALITY_ISSUES.TOO_DARK.code);
+      } else if (brightness > this.settings.maxBrightness) {
+        issues.push(IMAGE_QUALITY_ISSUES.TOO_BRIGHT.code);
+      }
+
+      return {
+        width,
+        height,
+        brightness,
+        sharpness,
+        phash,
+        issues,
+        retakeRecommended: issues.length > 0,
+        checkedAt: new Date()
+      };
+    } catch (error) {
+      console.warn(`⚠️ [DOC_IMAGE] Could not analyse ${documentType} image:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Variance of the 4-neighbour Laplacian over a greyscale image; low values
+   * mean few edges, i.e. a blurry photo
+   */
+  laplacianVariance(pixels, width, height) {
+    let sum = 0;
+    let sumSquares = 0;
+    let count = 0;
+    for (let y = 1; y < height - 1; y++) {
+      for (let x = 1; x < width - 1; x++) {
+        const i = y * width + x;
+        const laplacian = 4 * pixels[i] - pixels[i - 1] - pixels[i + 1] - pixels[i - width] - pixels[i + width];
+        sum += laplacian;
+        sumSquares += laplacian * laplacian;
+        count++;
+      }
+    }
+    if (count === 0) {
+      return 0;
+    }
+    const mean = sum / count;
+    return sumSquares / count - mean * mean;
+  }
+
+  /**
+   * 64-bit difference hash as 16 hex characters (one byte per row of a 9x8
+   * greyscale thumbnail; a bit is set when a pixel is darker than its right
+   * neighbour)
+   */
+  async perceptualHash(buffer) {
+    const pixels = await sharp(buffer)
+      .rotate()
+      .greyscale()
+      .resize(9, 8, { fit: 'fill' })
+      .raw()
+      .toBuffer();
+
+    let hash = '';
+    for (let row = 0; row < 8; row++) {
+      let byte = 0;
+      for (let col = 0; col < 8; col++) {
+        const i = row * 9 + col;
+        byte = (byte << 1) | (pixels[i] < pixels[i + 1] ? 1 : 0);
+      }
+      hash += byte.toString(16).padStart(2, '0');
+    }
+    return hash;
+  }
+
+  getBands(phash) {
+    return Array.from({ length: 8 }, (_, index) => `${index}:${phash.slice(index * 2, index * 2 + 2)}`);
+  }
+
+  hammingDistance(a, b) {
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+      let xor = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+      while (xor) {
+        distance += xor & 1;
+        xor >>= 1;
+      }
+    }
+    return distance;
+  }
+
+  /**
+   * Retake prompts for the quality issues of an image
+   * @param {Object|null} quality - Result of analyze
+   * @returns {Array<string>} Recommendations
+   */
+  getRecommendations(quality) {
+    if (!quality) {
+      return [];
+    }
+    return quality.issues
+      .map(code => Object.values(IMAGE_QUALITY_ISSUES).find(issue => issue.code === code)?.recommendation)
+      .filter(Boolean);
+  }
+
+  /**
+   * What the uploader sees of the checks (duplicate matches are not disclosed)
+   */
+  summarize(quality) {
+    if (!quality) {
+      return null;
+    }
+    return {
+      retakeRecommended: quality.retakeRecommended,
+      issues: quality.issues,
+      recommendations: this.getRecommendations(quality)
+    };
+  }
+
+  /**
+   * Store the image's hash and open a fraud review when it matches an image
+   * of another driver or another document type
+   * @param {string} driverId - Driver ID
+   * @param {string} documentType - Document type (snake_case)
+   * @param {Object|null} quality - Result of analyze
+   * @param {string} filePath - Storage path of the upload
+   * @returns {Promise<string|null>} Fraud review ID when one was opened
+   */
+  async registerImage(driverId, documentType, quality, filePath) {
+    // Uniform images (blank, lens covered) all hash alike
+    if (!quality?.phash || BLANK_HASHES.includes(quality.phash)) {
+      return null;
+    }
+
+    try {
+      const bands = this.getBands(quality.phash);
+      const snapshot = await this.db.collection(DOCUMENT_IMAGE_COLLECTIONS.HASHES)
+        .where('bands', 'array-contains-any', bands)
+        .limit(this.settings.maxDuplicateCandidates)
+        .get();
+
+      const matches = snapshot.docs
+        .map(doc => doc.data())
+        .filter(candidate => candidate.driverId !== driverId || candidate.documentType !== documentType)
+        .map(candidate => ({
+          driverId: candidate.driverId,
+          documentType: candidate.documentType,
+          filePath: candidate.filePath,
+          distance: this.hammingDistance(quality.phash, candidate.phash),
+          matchType: candidate.driverId !== driverId ? DUPLICATE_MATCH_TYPES.OTHER_DRIVER : DUPLICATE_MATCH_TYPES.OTHER_DOCUMENT
+        }))
+        .filter(match => match.distance <= this.settings.duplicateMaxDistance)
+        .sort((a, b) => a.distance - b.distance);
+
+      await this.db.collection(DOCUMENT_IMAGE_COLLECTIONS.HASHES).doc().set({
+        driverId,
+        documentType,
+        filePath,
+        phash: quality.phash,
+        bands,
+        createdAt: new Date()
+      });
+
+      if (matches.length === 0) {
+        return null;
+      }
+      return this.openFraudReview(driverId, documentType, filePath, quality.phash, matches);
+    } catch (error) {
+      console.error(`❌ [DOC_IMAGE] Duplicate check failed for ${documentType} of driver ${driverId}:`, error);
+      return null;
+    }
+  }
+
+  async openFraudReview(driverId, documentType, filePath, phash, matches) {
+    const now = new Date();
+    const reviewRef = this.db.collection(DOCUMENT_IMAGE_COLLECTIONS.FRAUD_REVIEWS).doc();
+    const matchTypes = [...new Set(matches.map(match => match.matchType))];
+    await reviewRef.set({
+      id: reviewRef.id,
+      status: FRAUD_REVIEW_STATUSES.OPEN,
+      driverId,
+      documentType,
+      filePath,
+      phash,
+      matches: matches.slice(0, 20),
+      matchTypes,
+      createdAt: now,
+      updatedAt: now
+    });
+
+    try {
+      const notificationService = require('./notificationService');
+      await notificationService.sendToTopic('admin', {
+        type: 'document_fraud_review',
+        title: 'Reused document photo',
+        body: `The ${documentType} photo of driver ${driverId} matches ${matches.length} other upload(s)`,
+        data: { reviewId: reviewRef.id, driverId }
+      });
+    } catch (error) {
+      console.warn(`⚠️ [DOC_IMAGE] Failed to notify admin topic about review ${reviewRef.id}:`, error.message);
+    }
+
+    console.warn(`🚩 [DOC_IMAGE] ${documentType} of driver ${driverId} matches ${matches.length} upload(s) (${matchTypes.join(', ')}) - review ${reviewRef.id}`);
+    return reviewRef.id;
+  }
+
+  /**
+   * Fraud reviews for the admin queue, oldest first
+   */
+  async listFraudReviews(status = FRAUD_REVIEW_STATUSES.OPEN, limit = 50) {
+    const snapshot = await this.db.collection(DOCUMENT_IMAGE_COLLECTIONS.FRAUD_REVIEWS)
+      .where('status', '==', status)
+      .orderBy('createdAt', 'asc')
+      .limit(limit)
+      .get();
+    return snapshot.docs.map(doc => doc.data());
+  }
+
+  /**
+   * Close a fraud review; `document_rejected` also rejects the uploaded document
+   * @param {string} reviewId - Review ID
+   * @param {string} adminId - Admin ID
+   * @param {Object} params - { resolution, notes }
+   * @returns {Promise<Object>} Result with the review
+   */
+  async resolveFraudReview(reviewId, adminId, { resolution, notes }) {
+    const reviewRef = this.db.collection(DOCUMENT_IMAGE_COLLECTIONS.FRAUD_REVIEWS).doc(reviewId);
+    const reviewDoc = await reviewRef.get();
+    if (!reviewDoc.exists) {
+      return { success: false, error: { code: 'REVIEW_NOT_FOUND', message: 'Review not found' } };
+    }
+
+    const review = reviewDoc.data();
+    if (review.status !== FRAUD_REVIEW_STATUSES.OPEN) {
+      return { success: false, error: { code: 'REVIEW_CLOSED', message: 'Review is already resolved' } };
+    }
+
+    if (resolution === 'document_rejected') {
+      const verificationService = require('./verificationService');
+      const result = await verificationService.verifyDriverDocument(
+        review.driverId,
+        review.documentType,
+        'rejected',
+        notes,
+        'The document photo was already used for another document or account',
+        adminId
+      );
+      if (!result.success) {
+        return { success: false, error: { code: 'VERIFICATION_FAILED', message: 'Failed to reject document', details: result.error } };
+      }
+    }
+
+    const now = new Date();
+    const update = {
+      status: FRAUD_REVIEW_STATUSES.RESOLVED,
+      resolution: { outcome: resolution, notes, resolvedBy: adminId, resolvedAt: now },
+      updatedAt: now
+    };
+    await reviewRef.update(update);
+    return { success: true, data: { ...review, ...update } };
+  }
+}
+
+module.exports = new DocumentImageCheckService();
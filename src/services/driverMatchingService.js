@@ -1,4 +1,9 @@
 const { getFirestore } = require('./firebase');
+const driverProximityService = require('./driverProximityService');
+const dispatchStrategyService = require('./dispatchStrategyService');
+const driverReliabilityService = require('./driverReliabilityService');
+const documentExpiryService = require('./documentExpiryService');
+const { DISPATCH_STRATEGIES } = require('../constants/dispatchStrategies');
 
 /**
  * Driver Matching Service for EPickup delivery platform
@@ -66,6 +71,29 @@ class DriverMatchingService {
       // Score and rank drivers based on priority
       const rankedDrivers = this.rankDrivers(availableDrivers, priority);
 
+      // Broadcast dispatch offers the top N drivers at once (per zone / time of day)
+      const { strategy, source, settings } = await dispatchStrategyService.resolveStrategy(bookingData);
+      if (strategy === DISPATCH_STRATEGIES.BROADCAST) {
+        const broadcastResult = await dispatchStrategyService.startBroadcast(bookingData, rankedDrivers, settings);
+        if (!broadcastResult.success) {
+          throw new Error(broadcastResult.reason);
+        }
+
+        return {
+          success: true,
+          message: `Booking offered to ${broadcastResult.offeredDrivers.length} driver(s)`,
+          data: {
+            strategy,
+            strategySource: source,
+            wave: broadcastResult.wave,
+            offeredDrivers: broadcastResult.offeredDrivers,
+            expiresAt: broadcastResult.expiresAt,
+            searchRadius: searchRadius,
+            totalDriversFound: availableDrivers.length
+          }
+        };
+      }
+
       // Attempt to assign the top-ranked driver
       const assignmentResult = await this.attemptDriverAssignment(
         bookingData.id,
@@ -78,6 +106,7 @@ class DriverMatchingService {
           success: true,
           message: 'Driver matched successfully',
           data: {
+            strategy,
             driver: assignmentResult.driver,
             assignment: assignmentResult.assignment,
             alternatives: rankedDrivers.slice(1, 4), // Top 3 alternatives
@@ -101,6 +130,7 @@ class DriverMatchingService {
             success: true,
             message: 'Alternative driver matched successfully',
             data: {
+              strategy,
               driver: alternativeResult.driver,
               assignment: alternativeResult.assignment,
               alternatives: rankedDrivers.slice(i + 1, i + 4),
@@ -137,69 +167,41 @@ class DriverMatchingService {
    */
   async findAvailableDrivers(pickupLocation, radius, vehicleType = null, maxWeight = null) {
     try {
-      const { latitude, longitude } = pickupLocation;
-      
-      // Get all online and available drivers
-      let query = this.db.collection('driverLocations')
-        .where('isOnline', '==', true)
-        .where('isAvailable', '==', true);
-
-      if (vehicleType) {
-        query = query.where('vehicleType', '==', vehicleType);
-      }
-
-      const snapshot = await query.get();
+      // Bounded geohash range queries around the pickup instead of scanning every online driver
+      const nearbyLocations = await driverProximityService.findNearbyDriverLocations(pickupLocation, radius, {
+        vehicleType
+      });
       const availableDrivers = [];
 
-      // Batch process drivers to avoid N+1 queries
-      const driverPromises = [];
-      const driverIds = [];
-      
-      for (const doc of snapshot.docs) {
-        const driverData = doc.data();
-        
-        // Skip if driver has current trip
-        if (driverData.currentTripId) continue;
-
-        // Calculate distance to pickup
-        const distance = this.calculateHaversineDistance(
-          latitude, longitude,
-          driverData.currentLocation.latitude,
-          driverData.currentLocation.longitude
-        );
-
-        // Check if driver is within search radius
-        if (distance <= radius) {
-          driverIds.push(doc.id);
-          driverPromises.push(this.getDriverDetails(doc.id));
-        }
-      }
-      
-      // Batch fetch all driver details
-      const driverDetailsArray = await Promise.all(driverPromises);
+      // Skip drivers on a trip, then batch fetch details to avoid N+1 queries
+      const candidates = nearbyLocations.filter(driverData => !driverData.currentTripId);
+      const driverDetailsArray = await Promise.all(
+        candidates.map(driverData => this.getDriverDetails(driverData.driverId))
+      );
       
       // Process results
       for (let i = 0; i < driverDetailsArray.length; i++) {
         const driverDetails = driverDetailsArray[i];
-        const driverId = driverIds[i];
+        const driverData = candidates[i];
         
         if (driverDetails && this.isDriverSuitable(driverDetails, maxWeight)) {
-          const driverData = snapshot.docs.find(doc => doc.id === driverId)?.data();
-          const distance = this.calculateHaversineDistance(
-            latitude, longitude,
-            driverData.currentLocation.latitude,
-            driverData.currentLocation.longitude
-          );
-          
+          // Stale reliability is recomputed in the background; rank on the cached score meanwhile
+          if (driverReliabilityService.isStale(driverDetails)) {
+            driverReliabilityService.refreshReliability(driverData.driverId).catch(error =>
+              console.error(`Error refreshing reliability for driver ${driverData.driverId}:`, error)
+            );
+          }
+
           availableDrivers.push({
-            driverId,
-            distance,
+            driverId: driverData.driverId,
+            distance: driverData.distance,
             rating: driverDetails.driver?.rating || 0,
             totalTrips: driverDetails.driver?.totalTrips || 0,
             performanceScore: this.calculatePerformanceScore(driverDetails),
+            reliabilityScore: driverReliabilityService.getCachedScore(driverDetails),
             currentLocation: driverData.currentLocation,
             vehicleType: driverData.vehicleType,
-            estimatedArrival: this.calculateETA(distance, driverData.vehicleType),
+            estimatedArrival: this.calculateETA(driverData.distance, driverData.vehicleType),
             ...driverDetails
           });
         }
@@ -273,6 +275,11 @@ class DriverMatchingService {
         return false;
       }
 
+      // Drivers whose licence/insurance/RC expired past the grace period are out of matching
+      if (documentExpiryService.isSuspended(driverDetails)) {
+        return false;
+      }
+
       // Check working hours if specified
       if (driverDetails.driver?.availability?.workingHours) {
         const now = new Date();
@@ -400,15 +407,21 @@ class DriverMatchingService {
       const normalizedRating = driver.rating / 5;
       const normalizedDistance = 1 - (driver.distance / this.maxSearchRadius);
       const normalizedPerformance = driver.performanceScore / 100;
+      // Drivers without a computed reliability score rank at the no-history baseline
+      const reliabilityScore = typeof driver.reliabilityScore === 'number'
+        ? driver.reliabilityScore
+        : driverReliabilityService.baselineScore;
+      const normalizedReliability = reliabilityScore / 100;
 
       // Calculate weighted score
-      const score = (
+      const baseScore = (
         normalizedRating * this.ratingWeight +
         normalizedDistance * this.distanceWeight +
         normalizedPerformance * this.performanceWeight
       );
+      const reliabilityWeight = driverReliabilityService.settings.rankingWeight;
 
-      return score;
+      return baseScore * (1 - reliabilityWeight) + normalizedReliability * reliabilityWeight;
       
     } catch (error) {
       console.error('Error calculating weighted score:', error);
@@ -599,6 +612,11 @@ class DriverMatchingService {
         };
       }
 
+      // Broadcast offers are arbitrated first-accept-wins
+      if (assignment.dispatchMode === DISPATCH_STRATEGIES.BROADCAST) {
+        return await dispatchStrategyService.handleOfferResponse(assignmentRef, assignment, response, reason);
+      }
+
       if (response === 'accepted') {
         // Update assignment status
         await assignmentRef.update({
@@ -607,60 +625,13 @@ class DriverMatchingService {
           updatedAt: new Date()
         });
 
-        // ✅ CRITICAL FIX: Get driver data to include driverInfo with isVerified
-        const driverDoc = await this.db.collection('users').doc(driverId).get();
-        let driverData = null;
-        let driverIsVerified = false;
-        
-        if (driverDoc.exists) {
-          driverData = driverDoc.data();
-          // ✅ CRITICAL FIX: Determine driver verification status using same logic
-          driverIsVerified = (() => {
-            // Priority 1: Check driver.verificationStatus
-            if (driverData.driver?.verificationStatus === 'approved' || driverData.driver?.verificationStatus === 'verified') {
-              return true
-            }
-            // Priority 2: Check isVerified flag
-            if (driverData.driver?.isVerified === true || driverData.isVerified === true) {
-              return true
-            }
-            // Priority 3: Check if all documents are verified
-            const driverDocs = driverData.driver?.documents || {}
-            const docKeys = Object.keys(driverDocs)
-            if (docKeys.length > 0) {
-              const allVerified = docKeys.every(key => {
-                const doc = driverDocs[key]
-                return doc && (doc.verified === true || doc.status === 'verified' || doc.verificationStatus === 'verified')
-              })
-              if (allVerified) {
-                return true
-              }
-            }
-            return false
-          })()
-        }
-
         // Update booking with driver assignment
         const updateData = {
           driverId: driverId,
           status: 'driver_assigned',
-          'timing.driverAssignedAt': new Date(),
-          updatedAt: new Date()
+          ...await this.buildDriverAssignmentUpdate(driverId)
         };
 
-        // ✅ CRITICAL FIX: Include driverInfo with isVerified if driver data available
-        if (driverData) {
-          updateData.driverInfo = {
-            name: driverData.name || 'Driver',
-            phone: driverData.phone || '',
-            rating: driverData.driver?.rating || 0,
-            vehicleNumber: driverData.driver?.vehicleDetails?.vehicleNumber || '',
-            vehicleModel: driverData.driver?.vehicleDetails?.vehicleModel || '',
-            isVerified: driverIsVerified
-          };
-          updateData.driverVerified = driverIsVerified;
-        }
-
         await this.db.collection('bookings').doc(assignment.bookingId).update(updateData);
 
         // Update driver location
@@ -726,6 +697,66 @@ class DriverMatchingService {
     }
   }
 
+  /**
+   * Booking fields written when a driver is assigned (timing and verified driverInfo)
+   * @param {string} driverId - Driver ID
+   * @returns {Promise<Object>} Booking update fields (without driverId/status)
+   */
+  async buildDriverAssignmentUpdate(driverId) {
+    // ✅ CRITICAL FIX: Get driver data to include driverInfo with isVerified
+    const driverDoc = await this.db.collection('users').doc(driverId).get();
+    let driverData = null;
+    let driverIsVerified = false;
+    
+    if (driverDoc.exists) {
+      driverData = driverDoc.data();
+      // ✅ CRITICAL FIX: Determine driver verification status using same logic
+      driverIsVerified = (() => {
+        // Priority 1: Check driver.verificationStatus
+        if (driverData.driver?.verificationStatus === 'approved' || driverData.driver?.verificationStatus === 'verified') {
+          return true
+        }
+        // Priority 2: Check isVerified flag
+        if (driverData.driver?.isVerified === true || driverData.isVerified === true) {
+          return true
+        }
+        // Priority 3: Check if all documents are verified
+        const driverDocs = driverData.driver?.documents || {}
+        const docKeys = Object.keys(driverDocs)
+        if (docKeys.length > 0) {
+          const allVerified = docKeys.every(key => {
+            const doc = driverDocs[key]
+            return doc && (doc.verified === true || doc.status === 'verified' || doc.verificationStatus === 'verified')
+          })
+          if (allVerified) {
+            return true
+          }
+        }
+        return false
+      })()
+    }
+
+    const updateData = {
+      'timing.driverAssignedAt': new Date(),
+      updatedAt: new Date()
+    };
+
+    // ✅ CRITICAL FIX: Include driverInfo with isVerified if driver data available
+    if (driverData) {
+      updateData.driverInfo = {
+        name: driverData.name || 'Driver',
+        phone: driverData.phone || '',
+        rating: driverData.driver?.rating || 0,
+        vehicleNumber: driverData.driver?.vehicleDetails?.vehicleNumber || '',
+        vehicleModel: driverData.driver?.vehicleDetails?.vehicleModel || '',
+        isVerified: driverIsVerified
+      };
+      updateData.driverVerified = driverIsVerified;
+    }
+
+    return updateData;
+  }
+
   /**
    * Find alternative driver when primary driver rejects
    * @param {string} bookingId - Booking ID
@@ -895,6 +926,10 @@ class DriverMatchingService {
   }
 
   /**
+   * Send assignment push notification to driver
+   * @param {string} driverId - Driver ID
+   * @param {Object} assignment - Assignment record
+   */
   async sendDriverAssignmentNotification(driverId, assignment) {
     try {
       // Get driver's push token
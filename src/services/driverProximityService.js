@@ -0,0 +1,173 @@
+const { getFirestore } = require('./firebase');
+const geohash = require('../utils/geohash');
+
+/**
+ * Driver Proximity Service
+ * Geohash index over `driverLocations` so nearby-driver searches read only the
+ * cells around the pickup instead of every online driver.
+ *
+ * Every write of `currentLocation` must also write `geohash` (use
+ * getIndexFields). Searches pick a cell size from the radius, then query the
+ * centre cell and expanding rings of neighbouring cells as bounded range
+ * queries, stopping once enough drivers are found inside the covered area.
+ */
+class DriverProximityService {
+  constructor() {
+    this.indexPrecision = 9; // Stored precision (~5m cells); searches use a prefix of it
+    this.maxRings = 2; // Rings 0..2 = at most 25 cell queries per search
+    this.minSearchPrecision = 3;
+  }
+
+  get db() {
+    return getFirestore();
+  }
+
+  /**
+   * Index fields to store alongside a driver's currentLocation
+   * @param {Object} location - { latitude, longitude } (or { lat, lng })
+   * @returns {Object} { geohash } or {} when the location is unusable
+   */
+  getIndexFields(location) {
+    const latitude = Number(location?.latitude ?? location?.lat);
+    const longitude = Number(location?.longitude ?? location?.lng);
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude) ||
+        Math.abs(latitude) > 90 || Math.abs(longitude) > 180 ||
+        (latitude === 0 && longitude === 0)) {
+      return {};
+    }
+    return { geohash: geohash.encode(latitude, longitude, this.indexPrecision) };
+  }
+
+  /**
+   * Finest search precision whose rings can still cover the radius
+   * @param {number} radiusKm - Search radius
+   * @param {number} latitude - Search latitude (cell width shrinks towards the poles)
+   * @returns {number} Geohash precision
+   */
+  getSearchPrecision(radiusKm, latitude) {
+    for (let precision = this.indexPrecision; precision > this.minSearchPrecision; precision--) {
+      const { widthKm, heightKm } = geohash.cellSizeKm(precision, latitude);
+      if (Math.min(widthKm, heightKm) * this.maxRings >= radiusKm) {
+        return precision;
+      }
+    }
+    return this.minSearchPrecision;
+  }
+
+  /**
+   * Cells whose prefix range queries together cover a radius around a point
+   * @param {number} latitude - Centre latitude
+   * @param {number} longitude - Centre longitude
+   * @param {number} radiusKm - Radius to cover
+   * @returns {string[]} Geohash prefixes, centre cell first
+   */
+  getCoveringCells(latitude, longitude, radiusKm) {
+    const precision = this.getSearchPrecision(radiusKm, latitude);
+    const centreCell = geohash.encode(latitude, longitude, precision);
+    const { widthKm, heightKm } = geohash.cellSizeKm(precision, latitude);
+    const rings = Math.min(this.maxRings, Math.ceil(radiusKm / Math.min(widthKm, heightKm)));
+
+    const cells = [];
+    for (let distance = 0; distance <= rings; distance++) {
+      cells.push(...geohash.ring(centreCell, distance));
+    }
+    return cells;
+  }
+
+  /**
+   * Find online drivers near a point using the geohash index
+   * @param {Object} centre - { latitude, longitude } (or { lat, lng })
+   * @param {number} radiusKm - Search radius in kilometers
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.availableOnly=true] - Only drivers with isAvailable == true
+   * @param {string} [options.vehicleType] - Required vehicle type
+   * @param {number} [options.limit=50] - Stop expanding once this many drivers are found
+   * @param {number} [options.cellLimit] - Read at most this many documents per cell (counts, not dispatch)
+   * @returns {Promise<Array>} [{ driverId, distance (km), ...driverLocations data }] nearest first
+   */
+  async findNearbyDriverLocations(centre, radiusKm, options = {}) {
+    const { availableOnly = true, vehicleType = null, limit = 50, cellLimit = null } = options;
+    const latitude = Number(centre?.latitude ?? centre?.lat);
+    const longitude = Number(centre?.longitude ?? centre?.lng);
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+      throw new Error('Valid search coordinates are required');
+    }
+
+    const precision = this.getSearchPrecision(radiusKm, latitude);
+    const centreCell = geohash.encode(latitude, longitude, precision);
+    const { widthKm, heightKm } = geohash.cellSizeKm(precision, latitude);
+    const cellKm = Math.min(widthKm, heightKm);
+
+    const seen = new Set();
+    const drivers = [];
+    let queriedCells = 0;
+
+    for (let distance = 0; distance <= this.maxRings; distance++) {
+      const cells = geohash.ring(centreCell, distance);
+      const snapshots = await Promise.all(cells.map(cell => this.queryCell(cell, { availableOnly, vehicleType, limit: cellLimit })));
+      queriedCells += cells.length;
+
+      snapshots.forEach(snapshot => snapshot.docs.forEach(doc => {
+        if (seen.has(doc.id)) return;
+        seen.add(doc.id);
+
+        const data = doc.data();
+        const location = data.currentLocation;
+        if (!location || typeof location.latitude !== 'number' || typeof location.longitude !== 'number') return;
+
+        const driverDistance = this.calculateDistanceKm(latitude, longitude, location.latitude, location.longitude);
+        if (driverDistance <= radiusKm) {
+          drivers.push({ driverId: doc.id, distance: driverDistance, ...data });
+        }
+      }));
+
+      // Everything within `distance` cells of the centre cell has been read
+      const coveredKm = distance * cellKm;
+      const coveredCount = drivers.filter(driver => driver.distance <= coveredKm).length;
+      if (coveredKm >= radiusKm || coveredCount >= limit) break;
+    }
+
+    drivers.sort((a, b) => a.distance - b.distance);
+    console.log(`📍 [DRIVER_PROXIMITY] ${drivers.length} driver(s) within ${radiusKm}km (precision ${precision}, ${queriedCells} cells)`);
+    return drivers.slice(0, limit);
+  }
+
+  /**
+   * Range query for one geohash cell (every stored hash starting with the cell prefix)
+   * @param {string} cell - Geohash prefix
+   * @param {Object} filters - { availableOnly, vehicleType, limit }
+   * @returns {Promise<Object>} Query snapshot
+   */
+  queryCell(cell, { availableOnly, vehicleType, limit = null }) {
+    let query = this.db.collection('driverLocations')
+      .where('isOnline', '==', true);
+
+    if (availableOnly) {
+      query = query.where('isAvailable', '==', true);
+    }
+    if (vehicleType) {
+      query = query.where('vehicleType', '==', vehicleType);
+    }
+
+    query = query
+      .where('geohash', '>=', cell)
+      .where('geohash', '<=', `${cell}~`);
+
+    return (limit ? query.limit(limit) : query).get();
+  }
+
+  /**
+   * Haversine distance in kilometers
+   */
+  calculateDistanceKm(lat1, lon1, lat2, lon2) {
+    const R = 6371;
+    const dLat = (lat2 - lat1) * Math.PI / 180;
+    const dLon = (lon2 - lon1) * Math.PI / 180;
+    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+      Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+      Math.sin(dLon / 2) * Math.sin(dLon / 2);
+    return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  }
+}
+
+module.exports = new DriverProximityService();
@@ -0,0 +1,272 @@
+const { getFirestore } = require('./firebase');
+const config = require('../config/environment');
+const { toDate } = require('../utils/dates');
+
+/**
+ * Driver Reliability Service
+ * Scores how dependable a driver is from their recent behaviour, over a short
+ * and a long rolling window:
+ * - acceptance rate: accepted offers vs. accepted + rejected + timed-out offers
+ * - rejections: `booking_rejections` plus rejected `driverAssignments`
+ * - pickup cancellations: `pickup_cancellations` per accepted booking
+ * - timeouts: `driverAssignments` that expired without an answer
+ * - on-time arrival: pickup arrival within the grace period of assignment
+ *   (or of the scheduled pickup time)
+ *
+ * Each rate is smoothed towards a baseline with `priorEvents` pseudo-events so
+ * new drivers start at a baseline instead of at 0 or 100. The blended 0-100
+ * score is cached on the driver profile (`driver.reliability`) and consumed by
+ * driverMatchingService.rankDrivers.
+ */
+
+// Share of the 0-100 score per component
+const COMPONENT_WEIGHTS = Object.freeze({
+  acceptanceRate: 30,
+  rejectionRate: 15,
+  pickupCancellationRate: 20,
+  timeoutRate: 10,
+  onTimeRate: 25
+});
+
+// Baseline rates new drivers are smoothed towards
+const BASELINE_RATES = Object.freeze({
+  acceptanceRate: 0.8,
+  rejectionRate: 0.15,
+  pickupCancellationRate: 0.05,
+  timeoutRate: 0.05,
+  onTimeRate: 0.8
+});
+
+// Components where a lower rate is better
+const INVERTED_COMPONENTS = ['rejectionRate', 'pickupCancellationRate', 'timeoutRate'];
+
+class DriverReliabilityService {
+  get db() {
+    return getFirestore();
+  }
+
+  get settings() {
+    return config.getDriverReliabilityConfig();
+  }
+
+  /**
+   * Score of a driver with no history (every component at its baseline)
+   * @returns {number} Score 0-100
+   */
+  get baselineScore() {
+    return this.combineComponents(BASELINE_RATES);
+  }
+
+  /**
+   * Reliability score to use for ranking, from the cached profile value
+   * @param {Object} driverDetails - Driver user document
+   * @returns {number|null} Score 0-100, or null when never computed
+   */
+  getCachedScore(driverDetails) {
+    const score = driverDetails?.driver?.reliability?.score;
+    return typeof score === 'number' ? score : null;
+  }
+
+  /**
+   * Whether the cached reliability on a driver profile needs recomputing
+   * @param {Object} driverDetails - Driver user document
+   * @returns {boolean}
+   */
+  isStale(driverDetails) {
+    const computedAt = toDate(driverDetails?.driver?.reliability?.computedAt);
+    if (!computedAt) return true;
+    return Date.now() - computedAt.getTime() > this.settings.cacheTtlMinutes * 60 * 1000;
+  }
+
+  /**
+   * Compute reliability over both windows and cache it on the driver profile
+   * @param {string} driverId - Driver ID
+   * @returns {Promise<Object>} { score, windows: { short, long }, computedAt }
+   */
+  async refreshReliability(driverId) {
+    const { shortWindowDays, longWindowDays, shortWindowWeight } = this.settings;
+    const now = new Date();
+    const longSince = new Date(now.getTime() - longWindowDays * 24 * 60 * 60 * 1000);
+    const shortSince = new Date(now.getTime() - shortWindowDays * 24 * 60 * 60 * 1000);
+
+    // One read of the long window; the short window is a subset of it
+    const events = await this.loadEvents(driverId, longSince);
+    const long = this.scoreWindow(events, longSince, longWindowDays);
+    const short = this.scoreWindow(events, shortSince, shortWindowDays);
+
+    const reliability = {
+      score: Math.round(short.score * shortWindowWeight + long.score * (1 - shortWindowWeight)),
+      windows: { short, long },
+      computedAt: now
+    };
+
+    try {
+      await this.db.collection('users').doc(driverId).update({
+        'driver.reliability': reliability
+      });
+    } catch (error) {
+      console.error(`❌ [DRIVER_RELIABILITY] Failed to cache reliability for driver ${driverId}:`, error.message);
+    }
+
+    console.log(`📊 [DRIVER_RELIABILITY] Driver ${driverId} reliability ${reliability.score} (${shortWindowDays}d ${short.score}, ${longWindowDays}d ${long.score})`);
+    return reliability;
+  }
+
+  /**
+   * Read every reliability event for a driver since a date
+   * @param {string} driverId - Driver ID
+   * @param {Date} since - Window start
+   * @returns {Promise<Object>} { assignments, rejections, pickupCancellations, bookings }
+   */
+  async loadEvents(driverId, since) {
+    const [assignmentsSnapshot, rejectionsSnapshot, cancellationsSnapshot, bookingsSnapshot] = await Promise.all([
+      this.db.collection('driverAssignments')
+        .where('driverId', '==', driverId)
+        .where('assignedAt', '>=', since)
+        .orderBy('assignedAt', 'desc')
+        .get(),
+      this.db.collection('booking_rejections')
+        .where('driverId', '==', driverId)
+        .where('rejectedAt', '>=', since)
+        .orderBy('rejectedAt', 'desc')
+        .get(),
+      this.db.collection('pickup_cancellations')
+        .where('driverId', '==', driverId)
+        .where('cancelledAt', '>=', since)
+        .orderBy('cancelledAt', 'desc')
+        .get(),
+      this.db.collection('bookings')
+        .where('driverId', '==', driverId)
+        .where('createdAt', '>=', since)
+        .orderBy('createdAt', 'desc')
+        .get()
+    ]);
+
+    const toData = snapshot => snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    return {
+      assignments: toData(assignmentsSnapshot),
+      rejections: toData(rejectionsSnapshot),
+      pickupCancellations: toData(cancellationsSnapshot),
+      bookings: toData(bookingsSnapshot)
+    };
+  }
+
+  /**
+   * Score the events that fall inside one window
+   * @param {Object} events - Output of loadEvents
+   * @param {Date} since - Window start
+   * @param {number} days - Window length (for reporting)
+   * @returns {Object} { days, score, counts, components }
+   */
+  scoreWindow(events, since, days) {
+    const inWindow = (value) => {
+      const date = toDate(value);
+      return Boolean(date) && date >= since;
+    };
+
+    // Offers are de-duplicated per booking: the same booking can reach a driver
+    // through an assignment and through the open booking feed
+    const accepted = new Set();
+    const rejected = new Set();
+    const timedOut = new Set();
+
+    events.assignments.filter(assignment => inWindow(assignment.assignedAt)).forEach(assignment => {
+      if (assignment.status === 'accepted') accepted.add(assignment.bookingId);
+      if (assignment.status === 'rejected') rejected.add(assignment.bookingId);
+      if (assignment.status === 'expired') timedOut.add(assignment.bookingId);
+    });
+    events.rejections.filter(rejection => inWindow(rejection.rejectedAt)).forEach(rejection => {
+      rejected.add(rejection.bookingId);
+    });
+
+    const bookings = events.bookings.filter(booking => inWindow(booking.createdAt));
+    bookings.forEach(booking => accepted.add(booking.id));
+    rejected.forEach(bookingId => timedOut.delete(bookingId));
+    accepted.forEach(bookingId => {
+      rejected.delete(bookingId);
+      timedOut.delete(bookingId);
+    });
+
+    const pickupCancellations = events.pickupCancellations.filter(cancellation => inWindow(cancellation.cancelledAt));
+    pickupCancellations.forEach(cancellation => accepted.add(cancellation.bookingId));
+
+    let arrivals = 0;
+    let onTimeArrivals = 0;
+    bookings.forEach(booking => {
+      const onTime = this.isOnTimeArrival(booking);
+      if (onTime === null) return;
+      arrivals += 1;
+      if (onTime) onTimeArrivals += 1;
+    });
+
+    const offers = accepted.size + rejected.size + timedOut.size;
+    const counts = {
+      offers,
+      accepted: accepted.size,
+      rejected: rejected.size,
+      timedOut: timedOut.size,
+      pickupCancellations: pickupCancellations.length,
+      arrivals,
+      onTimeArrivals
+    };
+
+    const components = {
+      acceptanceRate: this.smoothRate(accepted.size, offers, BASELINE_RATES.acceptanceRate),
+      rejectionRate: this.smoothRate(rejected.size, offers, BASELINE_RATES.rejectionRate),
+      pickupCancellationRate: this.smoothRate(pickupCancellations.length, accepted.size, BASELINE_RATES.pickupCancellationRate),
+      timeoutRate: this.smoothRate(timedOut.size, offers, BASELINE_RATES.timeoutRate),
+      onTimeRate: this.smoothRate(onTimeArrivals, arrivals, BASELINE_RATES.onTimeRate)
+    };
+
+    return { days, score: this.combineComponents(components), counts, components };
+  }
+
+  /**
+   * Weighted 0-100 score from component rates
+   * @param {Object} components - Rate per component (0-1)
+   * @returns {number} Score 0-100
+   */
+  combineComponents(components) {
+    const score = Object.entries(COMPONENT_WEIGHTS).reduce((total, [component, weight]) => {
+      const rate = components[component];
+      return total + weight * (INVERTED_COMPONENTS.includes(component) ? 1 - rate : rate);
+    }, 0);
+    return Math.round(score);
+  }
+
+  /**
+   * Rate pulled towards a baseline by `priorEvents` pseudo-events
+   * @param {number} hits - Matching events
+   * @param {number} total - All events
+   * @param {number} baseline - Baseline rate
+   * @returns {number} Rate 0-1, rounded to 3 decimals
+   */
+  smoothRate(hits, total, baseline) {
+    const prior = this.settings.priorEvents;
+    const rate = (hits + baseline * prior) / (total + prior);
+    return Math.round(Math.min(Math.max(rate, 0), 1) * 1000) / 1000;
+  }
+
+  /**
+   * Whether the driver reached the pickup on time
+   * @param {Object} booking - Booking assigned to the driver
+   * @returns {boolean|null} null when the booking never reached pickup arrival
+   */
+  isOnTimeArrival(booking) {
+    const arrivedAt = toDate(booking.arrivedAt || booking.timing?.driverArrivedAt);
+    if (!arrivedAt) return null;
+
+    const graceMs = this.settings.onTimeGraceMinutes * 60 * 1000;
+    const scheduledPickup = toDate(booking.scheduledPickupTime);
+    const assignedAt = toDate(
+      booking.timing?.assignedAt || booking.timing?.driverAssignedAt || booking.assignedAt || booking.acceptedAt
+    );
+
+    // Scheduled bookings are judged against the promised pickup time
+    const reference = scheduledPickup && assignedAt && scheduledPickup > assignedAt ? scheduledPickup : assignedAt;
+    if (!reference) return null;
+    return arrivedAt.getTime() <= reference.getTime() + graceMs;
+  }
+}
+
+module.exports = new DriverReliabilityService();
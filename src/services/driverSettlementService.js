@@ -0,0 +1,630 @@
+const { getFirestore } = require('./firebase');
+const { FieldValue } = require('firebase-admin/firestore');
+const config = require('../config/environment');
+const { toCsv } = require('../utils/csv');
+const {
+  DRIVER_SETTLEMENT_COLLECTIONS,
+  SETTLEMENT_ENTRY_STATUSES,
+  PAYOUT_BATCH_STATUSES,
+  ONLINE_PAYMENT_METHODS
+} = require('../constants/driverSettlement');
+
+// Booking paymentStatus values written once an online payment succeeded
+const PAID_STATUSES = ['paid', 'PAID', 'completed'];
+
+// A batch left building this long (instance died mid-build) may be claimed again
+const BUILD_LEASE_MS = 15 * 60 * 1000;
+
+/**
+ * Driver Settlement Service
+ * Tracks money the platform collects online on behalf of drivers and pays it
+ * out in batches:
+ * - accrue: one `driverSettlementEntries/{bookingId}` per completed online-paid
+ *   booking, fare minus commission (commission is netted here instead of being
+ *   taken from the driver points wallet)
+ * - batch: when a payout cycle closes, pending entries are grouped per driver
+ *   into `driverPayoutBatches/payout_<date>`; drivers below the minimum payout
+ *   or without a payout account roll over to the next cycle
+ * - export: bank-upload CSV of a batch
+ * - settle: admin marks the batch paid; failed payouts return to pending
+ *
+ * Running per-driver totals live on `driverSettlementAccounts/{driverId}`.
+ * Batch creation is claimed in a transaction on the deterministic batch ID, so
+ * several instances can run the scheduler. Each driver's entries and totals
+ * move in one transaction that only touches entries still in the expected
+ * state, so a failed build can be rolled back and a settlement retried
+ * without applying a payout twice.
+ */
+class DriverSettlementService {
+  constructor() {
+    this.checkInterval = null;
+    this.isRunning = false;
+  }
+
+  get db() {
+    return getFirestore();
+  }
+
+  get settings() {
+    return config.getDriverSettlementConfig();
+  }
+
+  /**
+   * Start the payout cycle scheduler
+   */
+  initialize() {
+    if (this.isRunning || !this.settings.autoCreateBatches) {
+      return;
+    }
+
+    this.checkInterval = setInterval(async () => {
+      await this.createBatchForClosedCycle();
+    }, this.settings.checkIntervalMinutes * 60 * 1000);
+
+    this.isRunning = true;
+    console.log(`✅ [DRIVER_SETTLEMENT] Payout scheduler started (${this.settings.payoutCycle} cycle)`);
+  }
+
+  /**
+   * Stop the payout cycle scheduler
+   */
+  stopScheduler() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+    this.isRunning = false;
+  }
+
+  /**
+   * Whether the platform received this booking's fare online
+   * @param {Object} bookingData - Booking document
+   * @returns {boolean}
+   */
+  isPlatformCollected(bookingData = {}) {
+    const method = bookingData.payment?.paymentMethod || bookingData.payment?.method || bookingData.paymentMethod;
+    if (!ONLINE_PAYMENT_METHODS.includes(method)) {
+      return false;
+    }
+    return PAID_STATUSES.includes(bookingData.paymentStatus) || PAID_STATUSES.includes(bookingData.payment?.status);
+  }
+
+  /**
+   * Accrue the driver payable for a completed online-paid booking (once per booking)
+   * @param {string} bookingId - Booking ID
+   * @param {Object} bookingData - Booking document
+   * @param {Object} amounts - { grossFare, commissionAmount } commission is netted off the fare
+   * @returns {Promise<Object>} { success, data: { transactionId, netPayable } } like walletService.deductPoints
+   */
+  async accrueBookingPayable(bookingId, bookingData, { grossFare, commissionAmount = 0 }) {
+    const driverId = bookingData.driverId;
+    if (!driverId || !(this.roundCurrency(Number(grossFare) || 0) > 0)) {
+      return { success: false, error: 'Driver and a positive fare are required to accrue a payable' };
+    }
+
+    try {
+      const staged = await this.db.runTransaction(async (transaction) => {
+        const result = await this.stageBookingPayable(transaction, bookingId, bookingData, { grossFare, commissionAmount });
+        result.write();
+        return result;
+      });
+
+      if (!staged.data.alreadyAccrued) {
+        console.log(`💸 [DRIVER_SETTLEMENT] Accrued ₹${staged.data.netPayable} for driver ${driverId} (booking ${bookingId}, fare ₹${staged.gross}, commission ₹${staged.commission})`);
+      }
+      return { success: true, data: staged.data };
+    } catch (error) {
+      console.error(`❌ [DRIVER_SETTLEMENT] Failed to accrue payable for booking ${bookingId}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Read a booking payable inside the caller's transaction; the writes are
+   * returned as `write()` so the caller can finish its reads first
+   * @param {Object} transaction - Firestore transaction
+   * @param {string} bookingId - Booking ID
+   * @param {Object} bookingData - Booking document (needs driverId)
+   * @param {Object} amounts - { grossFare, commissionAmount }
+   * @returns {Promise<Object>} { data: { transactionId, netPayable, alreadyAccrued }, gross, commission, write }
+   */
+  async stageBookingPayable(transaction, bookingId, bookingData, { grossFare, commissionAmount = 0 }) {
+    const driverId = bookingData.driverId;
+    const gross = this.roundCurrency(Number(grossFare) || 0);
+    const commission = this.roundCurrency(Math.min(Number(commissionAmount) || 0, gross));
+    const netPayable = this.roundCurrency(gross - commission);
+
+    const entryRef = this.db.collection(DRIVER_SETTLEMENT_COLLECTIONS.ENTRIES).doc(bookingId);
+    const accountRef = this.db.collection(DRIVER_SETTLEMENT_COLLECTIONS.ACCOUNTS).doc(driverId);
+    const entryDoc = await transaction.get(entryRef);
+    const data = { transactionId: entryRef.id, netPayable, alreadyAccrued: entryDoc.exists };
+
+    if (entryDoc.exists) {
+      return { data, gross, commission, write: () => {} };
+    }
+
+    const write = () => {
+      const now = new Date();
+      transaction.set(entryRef, {
+        bookingId,
+        driverId,
+        customerId: bookingData.customerId || null,
+        paymentMethod: bookingData.payment?.paymentMethod || bookingData.payment?.method || bookingData.paymentMethod || null,
+        grossFare: gross,
+        commissionAmount: commission,
+        netPayable,
+        status: SETTLEMENT_ENTRY_STATUSES.PENDING,
+        payoutBatchId: null,
+        accruedAt: now,
+        updatedAt: now
+      });
+      transaction.set(accountRef, {
+        driverId,
+        pendingAmount: FieldValue.increment(netPayable),
+        totalAccrued: FieldValue.increment(netPayable),
+        totalCommissionNetted: FieldValue.increment(commission),
+        updatedAt: now
+      }, { merge: true });
+    };
+
+    return { data, gross, commission, write };
+  }
+
+  /**
+   * Accrue a fare the customer paid online after delivery (customer wallet)
+   * Commission already taken from the driver points wallet is not netted again.
+   * @param {string} bookingId - Booking ID
+   * @param {Object} bookingData - Booking document
+   * @param {number} grossFare - Amount the platform received
+   * @returns {Promise<Object>} Accrual result
+   */
+  async accrueCollectedFare(bookingId, bookingData, grossFare) {
+    return this.accrueBookingPayable(bookingId, bookingData, this.collectedFareAmounts(bookingData, grossFare));
+  }
+
+  /**
+   * Amounts to accrue for a fare the customer paid online after delivery
+   * @param {Object} bookingData - Booking document
+   * @param {number} grossFare - Amount the platform received
+   * @returns {Object} { grossFare, commissionAmount } for accrueBookingPayable / stageBookingPayable
+   */
+  collectedFareAmounts(bookingData, grossFare) {
+    const commission = bookingData.commissionDeducted;
+    const commissionAmount = commission && commission.status !== 'failed' ? 0 : Number(commission?.amount || 0);
+    return { grossFare, commissionAmount };
+  }
+
+  /**
+   * Start (inclusive) and end (exclusive) of the payout cycle that closed last
+   * @param {Date} at - Reference time
+   * @returns {Object} { start, end } as UTC dates
+   */
+  getLastClosedCycle(at = new Date()) {
+    const { payoutCycle, payoutWeekday, timezoneOffsetMinutes } = this.settings;
+    const offsetMs = timezoneOffsetMinutes * 60 * 1000;
+    const dayMs = 24 * 60 * 60 * 1000;
+
+    // Local midnight of the reference day, expressed in UTC
+    const local = new Date(at.getTime() + offsetMs);
+    let endLocal = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate());
+    let lengthDays = 1;
+
+    if (payoutCycle === 'weekly') {
+      lengthDays = 7;
+      endLocal -= ((local.getUTCDay() - payoutWeekday + 7) % 7) * dayMs;
+    }
+
+    const end = new Date(endLocal - offsetMs);
+    return { start: new Date(end.getTime() - lengthDays * dayMs), end };
+  }
+
+  /**
+   * Batch ID of the cycle ending at a given time (local date of the cycle end)
+   * @param {Date} cycleEnd - Cycle end (UTC)
+   * @returns {string} e.g. payout_2026-10-19
+   */
+  getBatchId(cycleEnd) {
+    const local = new Date(cycleEnd.getTime() + this.settings.timezoneOffsetMinutes * 60 * 1000);
+    return `payout_${local.toISOString().slice(0, 10)}`;
+  }
+
+  /**
+   * Create the payout batch for the last closed cycle if it does not exist yet
+   * @param {Object} options - { at, createdBy }
+   * @returns {Promise<Object>} { success, data: batch | null, alreadyExists }
+   */
+  async createBatchForClosedCycle({ at = new Date(), createdBy = 'system' } = {}) {
+    const cycle = this.getLastClosedCycle(at);
+    const batchId = this.getBatchId(cycle.end);
+    const batchRef = this.db.collection(DRIVER_SETTLEMENT_COLLECTIONS.BATCHES).doc(batchId);
+
+    try {
+      const claim = await this.db.runTransaction(async (transaction) => {
+        const batchDoc = await transaction.get(batchRef);
+        if (batchDoc.exists && !this.isBatchReclaimable(batchDoc.data())) {
+          return null;
+        }
+        transaction.set(batchRef, {
+          id: batchId,
+          status: PAYOUT_BATCH_STATUSES.BUILDING,
+          cycle: { type: this.settings.payoutCycle, start: cycle.start, end: cycle.end },
+          createdBy,
+          createdAt: batchDoc.exists ? batchDoc.data().createdAt : new Date(),
+          updatedAt: new Date()
+        });
+        return { reclaimed: batchDoc.exists };
+      });
+
+      if (!claim) {
+        return { success: true, data: null, alreadyExists: true };
+      }
+
+      // A stale build may have batched some drivers before it stopped
+      if (claim.reclaimed) {
+        await this.releaseBatchEntries(batchId);
+      }
+
+      let batch;
+      try {
+        batch = await this.buildBatch(batchRef, cycle.end);
+      } catch (error) {
+        await this.releaseBatch(batchRef, error);
+        throw error;
+      }
+      console.log(`🏦 [DRIVER_SETTLEMENT] Created payout batch ${batchId}: ${batch.payouts.length} drivers, ₹${batch.totalAmount}`);
+      return { success: true, data: batch, alreadyExists: false };
+    } catch (error) {
+      console.error(`❌ [DRIVER_SETTLEMENT] Failed to create payout batch ${batchId}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Whether a batch document may be claimed for (re)building
+   * @param {Object} batch - Batch data
+   * @returns {boolean} True for failed builds and builds past their lease
+   */
+  isBatchReclaimable(batch) {
+    if (batch.status === PAYOUT_BATCH_STATUSES.FAILED) {
+      return true;
+    }
+    const updatedAt = batch.updatedAt?.toDate?.() || batch.updatedAt;
+    return batch.status === PAYOUT_BATCH_STATUSES.BUILDING &&
+      updatedAt instanceof Date && Date.now() - updatedAt.getTime() > BUILD_LEASE_MS;
+  }
+
+  /**
+   * Group pending entries accrued before the cycle end into a claimed batch
+   * @param {Object} batchRef - Claimed batch document reference
+   * @param {Date} cycleEnd - Cycle end (exclusive)
+   * @returns {Promise<Object>} Batch data
+   */
+  async buildBatch(batchRef, cycleEnd) {
+    const entriesSnapshot = await this.db.collection(DRIVER_SETTLEMENT_COLLECTIONS.ENTRIES)
+      .where('status', '==', SETTLEMENT_ENTRY_STATUSES.PENDING)
+      .where('accruedAt', '<', cycleEnd)
+      .get();
+
+    const entriesByDriver = new Map();
+    entriesSnapshot.docs.forEach(doc => {
+      const entry = doc.data();
+      if (!entriesByDriver.has(entry.driverId)) {
+        entriesByDriver.set(entry.driverId, []);
+      }
+      entriesByDriver.get(entry.driverId).push(doc);
+    });
+
+    const payouts = [];
+    const heldDrivers = [];
+    for (const [driverId, docs] of entriesByDriver.entries()) {
+      const amount = this.roundCurrency(docs.reduce((total, doc) => total + doc.data().netPayable, 0));
+      if (amount < this.settings.minPayoutAmount) {
+        heldDrivers.push({ driverId, amount, reason: 'below_minimum' });
+        continue;
+      }
+
+      const [driverDoc, accountDoc] = await Promise.all([
+        this.db.collection('users').doc(driverId).get(),
+        this.db.collection(DRIVER_SETTLEMENT_COLLECTIONS.PAYOUT_ACCOUNTS).doc(driverId).get()
+      ]);
+      const driverData = driverDoc.exists ? driverDoc.data() : {};
+      const account = accountDoc.exists ? accountDoc.data() : null;
+      if (!account?.accountNumber || !account?.ifsc) {
+        heldDrivers.push({ driverId, amount, reason: 'missing_payout_account' });
+        continue;
+      }
+
+      const moved = await this.moveEntries(docs.map(doc => doc.id), {
+        driverId,
+        from: { status: SETTLEMENT_ENTRY_STATUSES.PENDING, payoutBatchId: null },
+        entryUpdate: { status: SETTLEMENT_ENTRY_STATUSES.BATCHED, payoutBatchId: batchRef.id },
+        accountUpdate: amount => ({ pendingAmount: -amount, batchedAmount: amount })
+      });
+      if (moved.entryIds.length === 0) {
+        continue;
+      }
+
+      payouts.push({
+        driverId,
+        driverName: driverData.driver?.personalInfo?.name || driverData.name || '',
+        amount: moved.amount,
+        entryIds: moved.entryIds,
+        payoutAccount: {
+          accountHolderName: account.accountHolderName,
+          accountNumberLast4: account.accountNumber.slice(-4),
+          ifsc: account.ifsc
+        },
+        status: 'pending'
+      });
+    }
+
+    const batchData = {
+      status: PAYOUT_BATCH_STATUSES.CREATED,
+      payouts,
+      heldDrivers,
+      driverCount: payouts.length,
+      totalAmount: this.roundCurrency(payouts.reduce((total, payout) => total + payout.amount, 0)),
+      updatedAt: new Date()
+    };
+    await batchRef.update(batchData);
+
+    return { id: batchRef.id, ...batchData };
+  }
+
+  /**
+   * Move one driver's settlement entries and running totals in a transaction.
+   * Entries no longer in the `from` state are left alone, so moves are safe
+   * to repeat.
+   * @param {Array<string>} entryIds - Entry IDs (one driver, under 500)
+   * @param {Object} move - { driverId, from: { status, payoutBatchId }, entryUpdate, accountUpdate(amount) }
+   * @returns {Promise<Object>} { entryIds, amount } of the entries moved
+   */
+  async moveEntries(entryIds, { driverId, from, entryUpdate, accountUpdate }) {
+    const entriesCollection = this.db.collection(DRIVER_SETTLEMENT_COLLECTIONS.ENTRIES);
+    const accountRef = this.db.collection(DRIVER_SETTLEMENT_COLLECTIONS.ACCOUNTS).doc(driverId);
+
+    return this.db.runTransaction(async (transaction) => {
+      const entryDocs = await Promise.all(entryIds.map(entryId => transaction.get(entriesCollection.doc(entryId))));
+      const movable = entryDocs.filter(doc => doc.exists &&
+        doc.data().status === from.status &&
+        (doc.data().payoutBatchId || null) === from.payoutBatchId);
+      if (movable.length === 0) {
+        return { entryIds: [], amount: 0 };
+      }
+
+      const now = new Date();
+      const amount = this.roundCurrency(movable.reduce((total, doc) => total + doc.data().netPayable, 0));
+      movable.forEach(doc => transaction.update(doc.ref, { ...entryUpdate, updatedAt: now }));
+
+      const increments = {};
+      Object.entries(accountUpdate(amount)).forEach(([field, value]) => {
+        increments[field] = FieldValue.increment(value);
+      });
+      transaction.set(accountRef, { ...increments, updatedAt: now }, { merge: true });
+
+      return { entryIds: movable.map(doc => doc.id), amount };
+    });
+  }
+
+  /**
+   * Return every entry still batched in a batch to pending
+   * @param {string} batchId - Batch ID
+   */
+  async releaseBatchEntries(batchId) {
+    const snapshot = await this.db.collection(DRIVER_SETTLEMENT_COLLECTIONS.ENTRIES)
+      .where('payoutBatchId', '==', batchId)
+      .where('status', '==', SETTLEMENT_ENTRY_STATUSES.BATCHED)
+      .get();
+
+    const entryIdsByDriver = new Map();
+    snapshot.docs.forEach(doc => {
+      const { driverId } = doc.data();
+      entryIdsByDriver.set(driverId, [...(entryIdsByDriver.get(driverId) || []), doc.id]);
+    });
+
+    for (const [driverId, entryIds] of entryIdsByDriver.entries()) {
+      await this.moveEntries(entryIds, {
+        driverId,
+        from: { status: SETTLEMENT_ENTRY_STATUSES.BATCHED, payoutBatchId: batchId },
+        entryUpdate: { status: SETTLEMENT_ENTRY_STATUSES.PENDING, payoutBatchId: null },
+        accountUpdate: amount => ({ pendingAmount: amount, batchedAmount: -amount })
+      });
+    }
+  }
+
+  /**
+   * Roll back a failed build so the next scheduler run (or admin) rebuilds the batch
+   * @param {Object} batchRef - Batch document reference
+   * @param {Error} buildError - Why the build failed
+   */
+  async releaseBatch(batchRef, buildError) {
+    try {
+      await this.releaseBatchEntries(batchRef.id);
+      await batchRef.update({
+        status: PAYOUT_BATCH_STATUSES.FAILED,
+        error: buildError.message,
+        updatedAt: new Date()
+      });
+    } catch (error) {
+      // Left building; it is reclaimed once its lease runs out
+      console.error(`❌ [DRIVER_SETTLEMENT] Failed to roll back payout batch ${batchRef.id}:`, error);
+    }
+  }
+
+  /**
+   * Mark a batch as paid by the bank; payouts that bounced go back to pending.
+   * The batch is claimed (created → settling) in a transaction; a settlement
+   * interrupted while settling is resumed with its original parameters.
+   * @param {string} batchId - Batch ID
+   * @param {Object} options - { bankReference, failedDriverIds, settledBy }
+   * @returns {Promise<Object>} { success, data | error }
+   */
+  async settleBatch(batchId, { bankReference = null, failedDriverIds = [], settledBy }) {
+    const batchRef = this.db.collection(DRIVER_SETTLEMENT_COLLECTIONS.BATCHES).doc(batchId);
+
+    const claim = await this.db.runTransaction(async (transaction) => {
+      const batchDoc = await transaction.get(batchRef);
+      if (!batchDoc.exists) {
+        return { error: { code: 'PAYOUT_BATCH_NOT_FOUND', message: 'Payout batch not found' } };
+      }
+
+      const batch = batchDoc.data();
+      if (batch.status === PAYOUT_BATCH_STATUSES.SETTLING) {
+        return { batch, settlement: batch.settlement };
+      }
+      if (batch.status !== PAYOUT_BATCH_STATUSES.CREATED) {
+        return { error: { code: 'PAYOUT_BATCH_NOT_SETTLEABLE', message: `Payout batch is ${batch.status}` } };
+      }
+
+      const settlement = { bankReference, failedDriverIds, settledBy };
+      transaction.update(batchRef, {
+        status: PAYOUT_BATCH_STATUSES.SETTLING,
+        settlement,
+        updatedAt: new Date()
+      });
+      return { batch, settlement };
+    });
+
+    if (claim.error) {
+      return { success: false, error: claim.error };
+    }
+
+    const { batch, settlement } = claim;
+    const now = new Date();
+    const payouts = [];
+    for (const payout of batch.payouts) {
+      const failed = settlement.failedDriverIds.includes(payout.driverId);
+      await this.moveEntries(payout.entryIds, {
+        driverId: payout.driverId,
+        from: { status: SETTLEMENT_ENTRY_STATUSES.BATCHED, payoutBatchId: batchId },
+        entryUpdate: failed
+          ? { status: SETTLEMENT_ENTRY_STATUSES.PENDING, payoutBatchId: null }
+          : { status: SETTLEMENT_ENTRY_STATUSES.SETTLED, settledAt: now },
+        accountUpdate: amount => (failed
+          ? { batchedAmount: -amount, pendingAmount: amount }
+          : { batchedAmount: -amount, settledAmount: amount })
+      });
+
+      if (!failed) {
+        await this.db.collection(DRIVER_SETTLEMENT_COLLECTIONS.ACCOUNTS).doc(payout.driverId).set({
+          lastPayoutAmount: payout.amount,
+          lastPayoutAt: now,
+          lastPayoutBatchId: batchId
+        }, { merge: true });
+      }
+      payouts.push({ ...payout, status: failed ? 'failed' : 'settled' });
+    }
+
+    const settledPayouts = payouts.filter(payout => payout.status === 'settled');
+    const update = {
+      status: PAYOUT_BATCH_STATUSES.SETTLED,
+      payouts,
+      bankReference: settlement.bankReference,
+      settledAmount: this.roundCurrency(settledPayouts.reduce((total, payout) => total + payout.amount, 0)),
+      failedDriverIds: settlement.failedDriverIds,
+      settledBy: settlement.settledBy,
+      settledAt: now,
+      updatedAt: now
+    };
+    await batchRef.update(update);
+
+    console.log(`✅ [DRIVER_SETTLEMENT] Settled payout batch ${batchId}: ${settledPayouts.length} paid, ${settlement.failedDriverIds.length} failed`);
+    return { success: true, data: { id: batchId, ...batch, ...update } };
+  }
+
+  /**
+   * Save a driver's payout bank account. The full account number is kept
+   * server-side; the user document gets the last four digits.
+   * @param {string} driverId - Driver ID
+   * @param {Object} account - { accountHolderName, accountNumber, ifsc }
+   * @returns {Promise<Object>} Masked account
+   */
+  async savePayoutAccount(driverId, { accountHolderName, accountNumber, ifsc }) {
+    const now = new Date();
+    const maskedAccount = {
+      accountHolderName,
+      accountNumberLast4: accountNumber.slice(-4),
+      ifsc
+    };
+
+    const batch = this.db.batch();
+    batch.set(this.db.collection(DRIVER_SETTLEMENT_COLLECTIONS.PAYOUT_ACCOUNTS).doc(driverId), {
+      driverId,
+      accountHolderName,
+      accountNumber,
+      ifsc,
+      updatedAt: now
+    });
+    batch.update(this.db.collection('users').doc(driverId), {
+      'driver.payoutAccount': { ...maskedAccount, updatedAt: now },
+      updatedAt: now
+    });
+    await batch.commit();
+
+    return maskedAccount;
+  }
+
+  /**
+   * Bank bulk-upload CSV for a batch; the only place full account numbers are read
+   * @param {Object} batch - Batch data (with payouts)
+   * @returns {Promise<string>} CSV content
+   */
+  async buildBankCsv(batch) {
+    const payouts = batch.payouts.filter(payout => payout.status === 'pending' || payout.status === 'settled');
+    const accountDocs = await Promise.all(payouts.map(payout =>
+      this.db.collection(DRIVER_SETTLEMENT_COLLECTIONS.PAYOUT_ACCOUNTS).doc(payout.driverId).get()
+    ));
+
+    const header = ['Beneficiary Name', 'Account Number', 'IFSC', 'Amount', 'Narration', 'Driver ID'];
+    const rows = payouts.map((payout, index) => {
+      const account = accountDocs[index].exists ? accountDocs[index].data() : null;
+      if (!account?.accountNumber) {
+        throw new Error(`Payout account missing for driver ${payout.driverId}`);
+      }
+      return [
+        account.accountHolderName || payout.driverName,
+        account.accountNumber,
+        account.ifsc,
+        payout.amount.toFixed(2),
+        `EPickup payout ${batch.id}`,
+        payout.driverId
+      ];
+    });
+
+    return toCsv(header, rows);
+  }
+
+  /**
+   * Pending, in-payout and settled totals for a driver
+   * @param {string} driverId - Driver ID
+   * @returns {Promise<Object>} Settlement summary
+   */
+  async getDriverSummary(driverId) {
+    const accountDoc = await this.db.collection(DRIVER_SETTLEMENT_COLLECTIONS.ACCOUNTS).doc(driverId).get();
+    const account = accountDoc.exists ? accountDoc.data() : {};
+    const nextCycle = this.getLastClosedCycle(new Date(Date.now() + (this.settings.payoutCycle === 'weekly' ? 7 : 1) * 24 * 60 * 60 * 1000));
+
+    return {
+      pendingAmount: this.roundCurrency(account.pendingAmount || 0),
+      inPayoutAmount: this.roundCurrency(account.batchedAmount || 0),
+      settledAmount: this.roundCurrency(account.settledAmount || 0),
+      totalCommissionNetted: this.roundCurrency(account.totalCommissionNetted || 0),
+      lastPayout: account.lastPayoutAt
+        ? {
+          amount: account.lastPayoutAmount,
+          batchId: account.lastPayoutBatchId,
+          paidAt: account.lastPayoutAt?.toDate?.() || account.lastPayoutAt
+        }
+        : null,
+      nextCycleClosesAt: nextCycle.end,
+      payoutCycle: this.settings.payoutCycle,
+      minPayoutAmount: this.settings.minPayoutAmount
+    };
+  }
+
+  roundCurrency(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = new DriverSettlementService();
@@ -0,0 +1,442 @@
+const { getFirestore } = require('./firebase');
+const config = require('../config/environment');
+const { toCsv } = require('../utils/csv');
+const { formatDisplayId } = require('../utils/orderIdFormatter');
+const {
+  DRIVER_STATEMENT_COLLECTIONS,
+  STATEMENT_LINE_TYPES,
+  STATEMENT_STATUSES
+} = require('../constants/driverStatements');
+const { toDate } = require('../utils/dates');
+
+const MONTH_REGEX = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+/**
+ * Driver Statement Service
+ * Monthly statements of the driver points wallet for tax and accounting:
+ * opening balance, top-ups, per-trip commission lines (with booking display
+ * IDs), adjustments and closing balance, rebuilt from `pointsTransactions`.
+ *
+ * A scheduler stores the statement of every driver with wallet activity once
+ * the month closes (`driverStatements/{driverId}_{YYYY-MM}`); stored
+ * statements are re-served unchanged. Statements render as JSON, PDF or CSV.
+ */
+class DriverStatementService {
+  constructor() {
+    this.checkInterval = null;
+    this.isRunning = false;
+    this.lastGeneratedMonth = null;
+  }
+
+  get db() {
+    return getFirestore();
+  }
+
+  get settings() {
+    return config.getDriverStatementConfig();
+  }
+
+  /**
+   * Start the month-end statement scheduler
+   */
+  initialize() {
+    if (this.isRunning || !this.settings.autoGenerate) {
+      return;
+    }
+
+    this.checkInterval = setInterval(async () => {
+      await this.generateForClosedMonth();
+    }, this.settings.checkIntervalMinutes * 60 * 1000);
+
+    this.isRunning = true;
+    console.log('✅ [DRIVER_STATEMENT] Monthly statement scheduler started');
+  }
+
+  /**
+   * Stop the month-end statement scheduler
+   */
+  stopScheduler() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+    this.isRunning = false;
+  }
+
+  /**
+   * Whether a string is a statement month (YYYY-MM)
+   * @param {string} month - Month key
+   * @returns {boolean}
+   */
+  isValidMonth(month) {
+    return typeof month === 'string' && MONTH_REGEX.test(month);
+  }
+
+  /**
+   * Month key (local time) of a date
+   * @param {Date} at - Date
+   * @returns {string} YYYY-MM
+   */
+  getMonthKey(at = new Date()) {
+    const local = new Date(at.getTime() + this.settings.timezoneOffsetMinutes * 60 * 1000);
+    return local.toISOString().slice(0, 7);
+  }
+
+  /**
+   * Start (inclusive) and end (exclusive) of a local month
+   * @param {string} month - YYYY-MM
+   * @returns {Object} { start, end } as UTC dates
+   */
+  getMonthRange(month) {
+    const [year, monthNumber] = month.split('-').map(Number);
+    const offsetMs = this.settings.timezoneOffsetMinutes * 60 * 1000;
+    return {
+      start: new Date(Date.UTC(year, monthNumber - 1, 1) - offsetMs),
+      end: new Date(Date.UTC(year, monthNumber, 1) - offsetMs)
+    };
+  }
+
+  /**
+   * Month that closed last
+   * @param {Date} at - Reference time
+   * @returns {string} YYYY-MM
+   */
+  getLastClosedMonth(at = new Date()) {
+    const { start } = this.getMonthRange(this.getMonthKey(at));
+    return this.getMonthKey(new Date(start.getTime() - 1));
+  }
+
+  /**
+   * Statement of a driver for a month: stored for closed months (stored on
+   * first request if the scheduler has not run yet), provisional for the
+   * running month
+   * @param {string} driverId - Driver ID
+   * @param {string} month - YYYY-MM
+   * @returns {Promise<Object>} { success, data: statement } or { success: false, error }
+   */
+  async getStatement(driverId, month) {
+    if (!this.isValidMonth(month)) {
+      return { success: false, error: { code: 'INVALID_STATEMENT_MONTH', message: 'Month must be in YYYY-MM format' } };
+    }
+
+    const { start, end } = this.getMonthRange(month);
+    if (start > new Date()) {
+      return { success: false, error: { code: 'INVALID_STATEMENT_MONTH', message: 'Statement month has not started yet' } };
+    }
+
+    try {
+      if (end > new Date()) {
+        return { success: true, data: await this.buildStatement(driverId, month) };
+      }
+
+      const statementDoc = await this.statementRef(driverId, month).get();
+      if (statementDoc.exists) {
+        return { success: true, data: statementDoc.data() };
+      }
+
+      // Months without wallet activity are not stored (the scheduler skips them too)
+      const statement = await this.buildStatement(driverId, month);
+      if (statement.lines.length > 0) {
+        await this.storeStatement(statement);
+      }
+      return { success: true, data: statement };
+    } catch (error) {
+      console.error(`❌ [DRIVER_STATEMENT] Failed to get ${month} statement for driver ${driverId}:`, error);
+      return {
+        success: false,
+        error: { code: 'STATEMENT_ERROR', message: 'Failed to get statement', details: error.message }
+      };
+    }
+  }
+
+  /**
+   * Stored statements of a driver, newest first
+   * @param {string} driverId - Driver ID
+   * @param {number} limit - Max statements
+   * @returns {Promise<Array<Object>>} Statement summaries (without lines)
+   */
+  async listStatements(driverId, limit = 12) {
+    const snapshot = await this.db.collection(DRIVER_STATEMENT_COLLECTIONS.STATEMENTS)
+      .where('driverId', '==', driverId)
+      .orderBy('month', 'desc')
+      .limit(limit)
+      .get();
+
+    return snapshot.docs.map(doc => {
+      const { lines, ...summary } = doc.data();
+      return { ...summary, lineCount: lines.length };
+    });
+  }
+
+  /**
+   * Build and store the statement of a closed month
+   * @param {string} driverId - Driver ID
+   * @param {string} month - YYYY-MM
+   * @returns {Promise<Object>} Statement
+   */
+  async generateStatement(driverId, month) {
+    const statement = await this.buildStatement(driverId, month);
+    await this.storeStatement(statement);
+    return statement;
+  }
+
+  /**
+   * Store a final statement
+   * @param {Object} statement - Statement built by buildStatement
+   */
+  async storeStatement(statement) {
+    await this.statementRef(statement.driverId, statement.month).set(statement);
+    console.log(`📒 [DRIVER_STATEMENT] Stored ${statement.month} statement for driver ${statement.driverId} (${statement.lines.length} lines)`);
+  }
+
+  /**
+   * Store statements of the last closed month for every driver with wallet
+   * activity in it. Drivers whose statement is already stored are skipped.
+   * @param {Object} options - { at }
+   * @returns {Promise<Object>} { success, data: { month, generated, failed, skipped } }
+   */
+  async generateForClosedMonth({ at = new Date() } = {}) {
+    const month = this.getLastClosedMonth(at);
+    if (this.lastGeneratedMonth === month) {
+      return { success: true, data: { month, generated: 0, failed: 0, skipped: 0 } };
+    }
+
+    try {
+      const { start, end } = this.getMonthRange(month);
+      const snapshot = await this.db.collection('pointsTransactions')
+        .where('createdAt', '>=', start)
+        .where('createdAt', '<', end)
+        .get();
+      const driverIds = [...new Set(snapshot.docs.map(doc => doc.data().driverId).filter(Boolean))];
+
+      let generated = 0;
+      let failed = 0;
+      for (const driverId of driverIds) {
+        const statementDoc = await this.statementRef(driverId, month).get();
+        if (statementDoc.exists) continue;
+
+        try {
+          await this.generateStatement(driverId, month);
+          generated++;
+        } catch (error) {
+          failed++;
+          console.error(`❌ [DRIVER_STATEMENT] Failed to store ${month} statement for driver ${driverId}:`, error.message);
+        }
+      }
+
+      if (generated > 0) {
+        console.log(`📒 [DRIVER_STATEMENT] Stored ${generated} statements for ${month}`);
+      }
+      // Retry failed drivers on the next run
+      if (failed === 0) {
+        this.lastGeneratedMonth = month;
+      }
+      return { success: true, data: { month, generated, failed, skipped: driverIds.length - generated - failed } };
+    } catch (error) {
+      console.error(`❌ [DRIVER_STATEMENT] Failed to generate statements for ${month}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Build a statement from the driver's points transactions
+   * @param {string} driverId - Driver ID
+   * @param {string} month - YYYY-MM
+   * @returns {Promise<Object>} Statement
+   */
+  async buildStatement(driverId, month) {
+    const { start, end } = this.getMonthRange(month);
+    const [transactionsSnapshot, userDoc] = await Promise.all([
+      this.db.collection('pointsTransactions')
+        .where('driverId', '==', driverId)
+        .where('createdAt', '>=', start)
+        .where('createdAt', '<', end)
+        .orderBy('createdAt', 'asc')
+        .get(),
+      this.db.collection('users').doc(driverId).get()
+    ]);
+
+    // Failed commission attempts are recorded but never moved the balance
+    const transactions = transactionsSnapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .filter(transaction => !transaction.status || transaction.status === 'completed');
+
+    const openingBalance = transactions.length > 0
+      ? Number(transactions[0].previousBalance || 0)
+      : await this.getBalanceBefore(driverId, start);
+    const displayIds = await this.getDisplayIds(transactions);
+
+    const totals = { topUpPoints: 0, topUpAmount: 0, commissionPoints: 0, commissionTrips: 0, adjustmentPoints: 0 };
+    const lines = transactions.map(transaction => {
+      const points = Number(transaction.pointsAmount || 0);
+      const isCredit = transaction.type === 'credit';
+      const bookingId = transaction.tripId || transaction.tripDetails?.bookingId || null;
+      let type = STATEMENT_LINE_TYPES.ADJUSTMENT;
+      let description = isCredit ? 'Points credited' : 'Points debited';
+      let reference = transaction.paymentDetails?.transactionId || transaction.id;
+
+      if (!isCredit && bookingId) {
+        type = STATEMENT_LINE_TYPES.COMMISSION;
+        description = `Trip commission${transaction.distanceKm ? ` (${transaction.distanceKm} km)` : ''}`;
+        reference = displayIds[bookingId] ? formatDisplayId(displayIds[bookingId]) : bookingId;
+        totals.commissionPoints += points;
+        totals.commissionTrips += 1;
+      } else if (isCredit && Number(transaction.realMoneyAmount) > 0) {
+        type = STATEMENT_LINE_TYPES.TOP_UP;
+        description = `Wallet top-up (₹${Number(transaction.realMoneyAmount).toFixed(2)}${transaction.paymentMethod ? ` via ${transaction.paymentMethod}` : ''})`;
+        totals.topUpPoints += points;
+        totals.topUpAmount += Number(transaction.realMoneyAmount);
+      } else {
+        totals.adjustmentPoints += isCredit ? points : -points;
+      }
+
+      return {
+        date: (toDate(transaction.createdAt) || new Date(0)).toISOString(),
+        type,
+        description,
+        reference,
+        bookingId,
+        credit: isCredit ? points : 0,
+        debit: isCredit ? 0 : points,
+        balance: Number(transaction.newBalance || 0)
+      };
+    });
+
+    const closingBalance = lines.length > 0 ? lines[lines.length - 1].balance : openingBalance;
+    const userData = userDoc.exists ? userDoc.data() : {};
+
+    return {
+      id: `${driverId}_${month}`,
+      driverId,
+      driverName: userData.driver?.personalInfo?.name || userData.name || 'Driver',
+      driverPhone: userData.phone || userData.phoneNumber || '',
+      month,
+      periodStart: start.toISOString(),
+      periodEnd: end.toISOString(),
+      status: end > new Date() ? STATEMENT_STATUSES.PROVISIONAL : STATEMENT_STATUSES.FINAL,
+      openingBalance,
+      closingBalance,
+      totals: Object.fromEntries(Object.entries(totals).map(([key, value]) => [key, this.roundCurrency(value)])),
+      lines,
+      generatedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Wallet balance after the last transaction before a date
+   * @param {string} driverId - Driver ID
+   * @param {Date} before - Cut-off
+   * @returns {Promise<number>} Balance (0 when there is no earlier transaction)
+   */
+  async getBalanceBefore(driverId, before) {
+    const snapshot = await this.db.collection('pointsTransactions')
+      .where('driverId', '==', driverId)
+      .where('createdAt', '<', before)
+      .orderBy('createdAt', 'desc')
+      .limit(5)
+      .get();
+
+    const last = snapshot.docs
+      .map(doc => doc.data())
+      .find(transaction => !transaction.status || transaction.status === 'completed');
+    return Number(last?.newBalance || 0);
+  }
+
+  /**
+   * Booking display IDs of the trips in a list of transactions
+   * @param {Array<Object>} transactions - Points transactions
+   * @returns {Promise<Object>} bookingId -> displayId
+   */
+  async getDisplayIds(transactions) {
+    const bookingIds = [...new Set(transactions
+      .filter(transaction => transaction.type === 'debit')
+      .map(transaction => transaction.tripId || transaction.tripDetails?.bookingId)
+      .filter(Boolean))];
+
+    const bookingDocs = await Promise.all(bookingIds.map(bookingId => this.db.collection('bookings').doc(bookingId).get()));
+    return bookingDocs.reduce((displayIds, bookingDoc) => {
+      if (bookingDoc.exists && bookingDoc.data().displayId) {
+        displayIds[bookingDoc.id] = bookingDoc.data().displayId;
+      }
+      return displayIds;
+    }, {});
+  }
+
+  /**
+   * Statement as CSV (opening and closing balance as first and last rows)
+   * @param {Object} statement - Statement
+   * @returns {string} CSV content
+   */
+  buildCsv(statement) {
+    const header = ['Date', 'Type', 'Description', 'Reference', 'Credit', 'Debit', 'Balance'];
+    const rows = [
+      [statement.periodStart, 'opening_balance', 'Opening balance', '', '', '', statement.openingBalance.toFixed(2)],
+      ...statement.lines.map(line => [
+        line.date,
+        line.type,
+        line.description,
+        line.reference,
+        line.credit ? line.credit.toFixed(2) : '',
+        line.debit ? line.debit.toFixed(2) : '',
+        line.balance.toFixed(2)
+      ]),
+      [statement.periodEnd, 'closing_balance', 'Closing balance', '', '', '', statement.closingBalance.toFixed(2)]
+    ];
+    return toCsv(header, rows);
+  }
+
+  /**
+   * Draw a statement onto a pdfkit document
+   * @param {Object} pdf - pdfkit document (caller pipes and ends it)
+   * @param {Object} statement - Statement
+   */
+  renderPdf(pdf, statement) {
+    const points = value => Number(value || 0).toFixed(2);
+    const localDate = iso => new Date(iso).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' });
+    const { totals } = statement;
+
+    pdf.fontSize(20).text('EPickup Driver Wallet Statement');
+    pdf.fontSize(10).moveDown(0.5);
+    pdf.text(`Driver: ${statement.driverName}${statement.driverPhone ? ` (${statement.driverPhone})` : ''}`);
+    pdf.text(`Statement month: ${statement.month}${statement.status === STATEMENT_STATUSES.PROVISIONAL ? ' (provisional)' : ''}`);
+    pdf.text(`Generated: ${localDate(statement.generatedAt)}`);
+    pdf.moveDown();
+
+    pdf.fontSize(12).text('Summary (1 point = ₹1):');
+    pdf.fontSize(10);
+    pdf.text(`Opening balance: ${points(statement.openingBalance)}`);
+    pdf.text(`Top-ups: ${points(totals.topUpPoints)} (₹${points(totals.topUpAmount)} paid)`);
+    pdf.text(`Commission: ${points(totals.commissionPoints)} over ${totals.commissionTrips} trips`);
+    if (totals.adjustmentPoints) {
+      pdf.text(`Adjustments: ${points(totals.adjustmentPoints)}`);
+    }
+    pdf.text(`Closing balance: ${points(statement.closingBalance)}`);
+    pdf.moveDown();
+
+    pdf.fontSize(12).text('Transactions:');
+    pdf.fontSize(9);
+    if (statement.lines.length === 0) {
+      pdf.text('No wallet activity this month.');
+    }
+    statement.lines.forEach(line => {
+      const amount = line.credit ? `+${points(line.credit)}` : `-${points(line.debit)}`;
+      pdf.text(`${localDate(line.date)}  ${line.description}  ${line.reference || ''}  ${amount}  Balance ${points(line.balance)}`);
+    });
+
+    pdf.fontSize(10).moveDown();
+    pdf.text('Thank you for driving with EPickup!');
+  }
+
+  /**
+   * Firestore document of a stored statement
+   */
+  statementRef(driverId, month) {
+    return this.db.collection(DRIVER_STATEMENT_COLLECTIONS.STATEMENTS).doc(`${driverId}_${month}`);
+  }
+
+  roundCurrency(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = new DriverStatementService();
@@ -1,6 +1,15 @@
 const { FieldValue } = require('firebase-admin/firestore');
 const { getFirestore } = require('./firebase');
 const bookingStateMachine = require('./bookingStateMachine');
+const deliveryOtpService = require('./deliveryOtpService');
+const {
+  getStops,
+  isMultiStop,
+  getCurrentStopIndex,
+  getCurrentStop,
+  hasRemainingStops,
+  updateStop
+} = require('../utils/bookingStops');
 
 class DriverStatusError extends Error {
   constructor(statusCode, code, message, details = {}) {
@@ -125,10 +134,15 @@ class DriverStatusWorkflowService {
       );
     }
 
+    // For multi-stop deliveries the drop-off target is the current stop
     const targetCoordinates =
       rule.requireLocation === 'pickup'
         ? booking?.pickup?.coordinates
-        : booking?.dropoff?.coordinates;
+        : getCurrentStop(booking)?.coordinates || booking?.dropoff?.coordinates;
+    const targetLabel =
+      rule.requireLocation === 'dropoff' && isMultiStop(booking)
+        ? `stop ${getCurrentStopIndex(booking) + 1}`
+        : rule.requireLocation;
 
     if (
       targetCoordinates &&
@@ -152,7 +166,7 @@ class DriverStatusWorkflowService {
         throw new DriverStatusError(
           400,
           'OUTSIDE_CONFIRMATION_RADIUS',
-          `You must be within ${limitMeters}m of the ${rule.requireLocation} location to confirm this status. You are currently ${distanceMeters}m away.`
+          `You must be within ${limitMeters}m of the ${targetLabel} location to confirm this status. You are currently ${distanceMeters}m away.`
         );
       }
     }
@@ -180,6 +194,19 @@ class DriverStatusWorkflowService {
     return existingSequence + 1;
   }
 
+  buildStopProgress(booking) {
+    if (!isMultiStop(booking)) {
+      return null;
+    }
+
+    const stops = getStops(booking);
+    return {
+      currentStopIndex: getCurrentStopIndex(booking),
+      totalStops: stops.length,
+      deliveredStops: stops.filter(stop => stop.status === 'delivered').length
+    };
+  }
+
   async logStatusUpdate({
     bookingId,
     status,
@@ -397,6 +424,14 @@ class DriverStatusWorkflowService {
       additionalUpdates
     });
 
+    // Record arrival at the current stop of a multi-stop delivery
+    if (canonicalStatus === 'at_dropoff' && isMultiStop(bookingData)) {
+      updateData.stops = updateStop(getStops(bookingData), getCurrentStopIndex(bookingData), {
+        status: 'arrived',
+        arrivedAt: eventTs
+      });
+    }
+
     try {
       await bookingStateMachine.transitionBooking(
         bookingId,
@@ -448,7 +483,125 @@ class DriverStatusWorkflowService {
         updatedBooking?.statusMeta?.sequence ||
         this.buildSequenceFallback(updatedBooking),
       shouldBroadcast: true,
-      broadcastPayload: { location, notes }
+      broadcastPayload: { location, notes },
+      stopProgress: this.buildStopProgress(updatedBooking)
+    };
+  }
+
+  /**
+   * Confirm delivery at an intermediate stop of a multi-stop booking
+   * Marks the stop delivered with its proof and sends the driver on to the next stop.
+   */
+  async completeIntermediateStop({
+    bookingRef,
+    bookingData,
+    currentStatus,
+    deliveredStops,
+    driverId,
+    location,
+    notes,
+    eventId,
+    eventTimestamp,
+    source
+  }) {
+    const stopIndex = getCurrentStopIndex(bookingData);
+    const stopUpdates = {
+      driverId,
+      stops: deliveredStops,
+      currentStopIndex: stopIndex + 1,
+      'statusMeta.lastEventId':
+        eventId || `${driverId}:stop_delivered:${stopIndex}:${eventTimestamp.getTime()}`,
+      'statusMeta.lastEventSource': source,
+      'statusMeta.lastEventAt': eventTimestamp,
+      'statusMeta.lastStatusBefore': currentStatus,
+      'statusMeta.lastStatusAfter': 'in_transit',
+      'statusMeta.sequence': FieldValue.increment(1),
+      'driver.currentLocation': {
+        ...location,
+        timestamp: eventTimestamp
+      }
+    };
+
+    try {
+      if (currentStatus === 'at_dropoff') {
+        await bookingStateMachine.transitionBooking(
+          bookingRef.id,
+          'in_transit',
+          { ...stopUpdates, eventTimestamp },
+          {
+            userId: driverId,
+            userType: 'driver',
+            driverId,
+            source,
+            eventId,
+            eventTimestamp,
+            stopIndex
+          }
+        );
+      } else {
+        // Driver confirmed the stop without marking arrival - status stays in_transit
+        const db = this.getDb();
+        await db.runTransaction(async (transaction) => {
+          const snapshot = await transaction.get(bookingRef);
+          const latest = snapshot.data();
+          if (latest.status !== 'in_transit' || getCurrentStopIndex(latest) !== stopIndex) {
+            throw new Error(`Stop ${stopIndex + 1} was already updated`);
+          }
+          transaction.update(bookingRef, {
+            ...stopUpdates,
+            updatedAt: new Date()
+          });
+        });
+      }
+    } catch (error) {
+      throw new DriverStatusError(
+        409,
+        'STATUS_TRANSITION_FAILED',
+        error.message || 'Failed to complete stop',
+        { originalError: error.message, stopIndex }
+      );
+    }
+
+    const updatedDoc = await bookingRef.get();
+    const updatedBooking = updatedDoc.data();
+
+    await this.logStatusUpdate({
+      bookingId: bookingRef.id,
+      status: 'stop_delivered',
+      driverId,
+      eventTimestamp,
+      eventId,
+      source,
+      metadata: {
+        stopIndex,
+        notes: notes || null,
+        photoUrl: deliveredStops[stopIndex].deliveryVerification?.photoUrl || null
+      },
+      idempotent: false
+    });
+
+    return {
+      booking: updatedBooking,
+      status: 'in_transit',
+      previousStatus: currentStatus,
+      eventTimestamp,
+      idempotent: false,
+      sequence:
+        updatedBooking?.statusMeta?.sequence ||
+        this.buildSequenceFallback(updatedBooking),
+      shouldBroadcast: true,
+      broadcastPayload: {
+        location,
+        notes,
+        stopIndex,
+        photoUrl: deliveredStops[stopIndex].deliveryVerification?.photoUrl || null
+      },
+      deliveryProof: deliveredStops[stopIndex].deliveryProof,
+      stopCompleted: {
+        index: stopIndex,
+        isFinal: false
+      },
+      stopProgress: this.buildStopProgress(updatedBooking)
     };
   }
 
@@ -460,6 +613,11 @@ class DriverStatusWorkflowService {
     photoUrl,
     recipientName,
     recipientPhone,
+    stopIndex,
+    otp,
+    proofPhotoId,
+    signatureUrl,
+    fallbackReason,
     eventId,
     eventTimestamp,
     source = 'driver_app'
@@ -527,6 +685,32 @@ class DriverStatusWorkflowService {
       eventTs = new Date();
     }
 
+    // Multi-stop deliveries confirm one stop at a time
+    const currentStopIndex = getCurrentStopIndex(bookingData);
+    if (isMultiStop(bookingData) && Number.isInteger(stopIndex) && stopIndex !== currentStopIndex) {
+      if (stopIndex < currentStopIndex) {
+        console.log(`ℹ️ [COMPLETE_DELIVERY] Stop ${stopIndex + 1} of booking ${bookingId} already delivered - returning idempotent success`);
+        return {
+          booking: bookingData,
+          status: currentStatus,
+          previousStatus: currentStatus,
+          eventTimestamp: eventTs,
+          idempotent: true,
+          sequence: bookingData?.statusMeta?.sequence || this.buildSequenceFallback(bookingData),
+          shouldBroadcast: false,
+          broadcastPayload: { location, notes },
+          stopCompleted: { index: stopIndex, isFinal: false },
+          stopProgress: this.buildStopProgress(bookingData)
+        };
+      }
+
+      throw new DriverStatusError(
+        409,
+        'STOP_OUT_OF_ORDER',
+        `Stop ${currentStopIndex + 1} must be delivered before stop ${stopIndex + 1}`
+      );
+    }
+
     this.ensureLocationRequirement('at_dropoff', bookingData, location);
     
     if (!['at_dropoff', 'in_transit'].includes(currentStatus)) {
@@ -537,6 +721,66 @@ class DriverStatusWorkflowService {
       );
     }
 
+    // Proof-of-delivery handshake - recipient OTP, or uploaded photo fallback with a reason
+    const proof = await deliveryOtpService.verifyProof({
+      bookingId,
+      stopIndex: currentStopIndex,
+      driverId,
+      otp,
+      proofPhotoId,
+      signatureUrl,
+      fallbackReason
+    });
+    if (!proof.isValid) {
+      throw new DriverStatusError(
+        proof.code === 'OTP_LOCKED' ? 403 : 400,
+        proof.code,
+        proof.message,
+        { attemptsRemaining: proof.attemptsRemaining, stopIndex: currentStopIndex }
+      );
+    }
+    const deliveryProof = {
+      method: proof.method,
+      proofPhotoId: proof.method === 'signature' || proof.method === 'photo' ? proofPhotoId : null,
+      signatureUrl: signatureUrl || null,
+      fallbackReason: proof.method === 'signature' || proof.method === 'photo' ? fallbackReason : null,
+      verifiedAt: eventTs
+    };
+
+    const deliveredStops = isMultiStop(bookingData)
+      ? updateStop(getStops(bookingData), currentStopIndex, {
+          status: 'delivered',
+          arrivedAt: getCurrentStop(bookingData).arrivedAt || eventTs,
+          deliveredAt: eventTs,
+          recipient: recipientName || recipientPhone
+            ? { name: recipientName || null, phone: recipientPhone || null }
+            : null,
+          deliveryVerification: {
+            photoUrl: photoUrl || null,
+            verifiedAt: eventTs,
+            verifiedBy: driverId,
+            location,
+            notes: notes || null
+          },
+          deliveryProof
+        })
+      : null;
+
+    if (deliveredStops && hasRemainingStops(bookingData)) {
+      return this.completeIntermediateStop({
+        bookingRef,
+        bookingData,
+        currentStatus,
+        deliveredStops,
+        driverId,
+        location,
+        notes,
+        eventId,
+        eventTimestamp: eventTs,
+        source
+      });
+    }
+
     const additionalUpdates = {
       eventTimestamp: eventTs,
       driverId,
@@ -559,6 +803,12 @@ class DriverStatusWorkflowService {
       additionalUpdates['timing.arrivedDropoffAt'] = eventTs;
     }
 
+    if (deliveredStops) {
+      additionalUpdates.stops = deliveredStops;
+    }
+
+    additionalUpdates.deliveryProof = deliveryProof;
+
     if (notes) {
       additionalUpdates['driver.deliveryNotes'] = notes;
     }
@@ -685,7 +935,10 @@ class DriverStatusWorkflowService {
         photoUrl,
         recipientName,
         recipientPhone
-      }
+      },
+      deliveryProof,
+      stopCompleted: deliveredStops ? { index: currentStopIndex, isFinal: true } : null,
+      stopProgress: this.buildStopProgress(updatedBooking)
     };
   }
 }
@@ -0,0 +1,643 @@
+const axios = require('axios');
+const { getFirestore } = require('./firebase');
+const config = require('../config/environment');
+const {
+  EMERGENCY_COLLECTIONS,
+  EMERGENCY_ALERT_STATUSES,
+  EMERGENCY_ESCALATION_TIERS,
+  EMERGENCY_OUTCOME_CODES,
+  EMERGENCY_TIMELINE_EVENTS
+} = require('../constants/emergency');
+const { toDate } = require('../utils/dates');
+
+const OPEN_STATUSES = [EMERGENCY_ALERT_STATUSES.ACTIVE, EMERGENCY_ALERT_STATUSES.ACKNOWLEDGED];
+
+/**
+ * Emergency Escalation Service
+ * Owns the emergency alert lifecycle:
+ * - alert raised → on-call admins notified (admin topic + admin sockets)
+ * - not acknowledged in time → escalates tier by tier (all admins, nearby
+ *   drivers, the user's emergency contacts), each at its configured delay
+ * - the user's app keeps streaming its location into the alert
+ * - an admin acknowledges (escalation stops) and resolves it with a
+ *   mandatory outcome code
+ *
+ * Every step is recorded in the alert's timeline subcollection.
+ */
+class EmergencyEscalationService {
+  constructor() {
+    this.escalationInterval = null;
+    this.isRunning = false;
+  }
+
+  get db() {
+    return getFirestore();
+  }
+
+  get settings() {
+    return config.getEmergencyEscalationConfig();
+  }
+
+  /**
+   * Start the escalation scheduler
+   */
+  initialize() {
+    if (this.isRunning) {
+      return;
+    }
+
+    this.escalationInterval = setInterval(async () => {
+      await this.processDueEscalations();
+    }, this.settings.checkIntervalSeconds * 1000);
+
+    this.isRunning = true;
+    console.log(`✅ [EMERGENCY] Escalation scheduler started (tiers at ${this.settings.tierDelaysSeconds.join('/')}s)`);
+  }
+
+  /**
+   * Stop the escalation scheduler
+   */
+  stopScheduler() {
+    if (this.escalationInterval) {
+      clearInterval(this.escalationInterval);
+      this.escalationInterval = null;
+    }
+    this.isRunning = false;
+  }
+
+  /**
+   * When the tier after `escalationLevel` fires, or null after the last tier
+   * @param {Date} createdAt - Alert creation time
+   * @param {number} escalationLevel - Tiers fired so far
+   * @returns {Date|null} Next escalation time
+   */
+  getNextEscalationAt(createdAt, escalationLevel) {
+    const delaySeconds = this.settings.tierDelaysSeconds[escalationLevel];
+    if (!delaySeconds || escalationLevel >= EMERGENCY_ESCALATION_TIERS.length) {
+      return null;
+    }
+    return new Date(toDate(createdAt).getTime() + delaySeconds * 1000);
+  }
+
+  /**
+   * Raise an alert and notify the on-call admins
+   * @param {Object} params - { userId, userType, userName, alertType, bookingId, location, message }
+   * @returns {Promise<Object>} { success, data: alert }
+   */
+  async createAlert({ userId, userType, userName, alertType, bookingId, location, message }) {
+    const now = new Date();
+    const alertRef = this.db.collection(EMERGENCY_COLLECTIONS.ALERTS).doc();
+    const alert = {
+      userId,
+      userType: userType || null,
+      userName: userName || null,
+      bookingId: bookingId || null,
+      alertType,
+      location: this.normalizeLocation(location),
+      locationUpdatedAt: now,
+      message: message || null,
+      status: EMERGENCY_ALERT_STATUSES.ACTIVE,
+      escalationLevel: 0,
+      nextEscalationAt: this.getNextEscalationAt(now, 0),
+      acknowledgedAt: null,
+      acknowledgedBy: null,
+      outcomeCode: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await alertRef.set(alert);
+    await this.addTimelineEvent(alertRef.id, EMERGENCY_TIMELINE_EVENTS.CREATED, {
+      alertType,
+      bookingId: alert.bookingId,
+      location: alert.location
+    }, { id: userId, type: userType });
+
+    const data = { id: alertRef.id, ...alert };
+    const notification = this.buildNotification(data);
+
+    // On-call admins: the admin topic and connected admin dashboards
+    const notificationService = require('./notificationService');
+    const topicResult = await notificationService.sendToTopic('admin', notification);
+    const socketDelivered = this.emitToAdmins('emergency_alert', this.toEvent(data));
+    await this.addTimelineEvent(alertRef.id, EMERGENCY_TIMELINE_EVENTS.ON_CALL_NOTIFIED, {
+      topic: 'admin',
+      pushDelivered: !!topicResult?.success,
+      socketDelivered
+    });
+
+    // Trip room and support team (existing real-time channel)
+    try {
+      const RealTimeService = require('./realTimeService');
+      const realTimeService = new RealTimeService();
+      await realTimeService.initialize();
+      await realTimeService.sendEmergencyAlert(alert.bookingId || 'general', alertType, {
+        alertId: alertRef.id,
+        userId,
+        userType,
+        userName,
+        alertType,
+        location: alert.location,
+        message: alert.message,
+        timestamp: now.toISOString()
+      });
+    } catch (websocketError) {
+      console.warn('⚠️ [EMERGENCY] WebSocket emergency alert failed:', websocketError.message);
+    }
+
+    console.log(`🚨 [EMERGENCY] Alert ${alertRef.id} (${alertType}) raised by ${userType || 'user'} ${userId}`);
+    return { success: true, data };
+  }
+
+  /**
+   * Stream the user's live location into an open alert
+   * @param {string} alertId - Alert ID
+   * @param {string} userId - Alert owner
+   * @param {Object} location - { latitude, longitude, accuracy?, heading?, speed? }
+   * @returns {Promise<Object>} { success, data: { throttled } } or { success: false, error }
+   */
+  async updateLocation(alertId, userId, location) {
+    const alertRef = this.db.collection(EMERGENCY_COLLECTIONS.ALERTS).doc(alertId);
+    const alertDoc = await alertRef.get();
+    if (!alertDoc.exists) {
+      return { success: false, error: { code: 'ALERT_NOT_FOUND', message: 'Emergency alert not found' } };
+    }
+
+    const alert = alertDoc.data();
+    if (alert.userId !== userId) {
+      return { success: false, error: { code: 'ACCESS_DENIED', message: 'You can only update your own emergency alerts' } };
+    }
+    if (!OPEN_STATUSES.includes(alert.status)) {
+      return { success: false, error: { code: 'ALERT_CLOSED', message: `Emergency alert is already ${alert.status}` } };
+    }
+
+    const normalized = this.normalizeLocation(location);
+    if (!normalized) {
+      return { success: false, error: { code: 'INVALID_LOCATION', message: 'Latitude and longitude are required' } };
+    }
+
+    const now = new Date();
+    const lastUpdate = toDate(alert.locationUpdatedAt);
+    if (lastUpdate && now - lastUpdate < this.settings.minLocationIntervalSeconds * 1000) {
+      return { success: true, data: { alertId, throttled: true } };
+    }
+
+    await alertRef.update({ location: normalized, locationUpdatedAt: now, updatedAt: now });
+    await this.addTimelineEvent(alertId, EMERGENCY_TIMELINE_EVENTS.LOCATION_UPDATED, { location: normalized }, { id: userId, type: alert.userType });
+
+    this.emitToAdmins('emergency_location', { alertId, location: normalized, timestamp: now.toISOString() });
+    return { success: true, data: { alertId, throttled: false } };
+  }
+
+  /**
+   * Acknowledge an alert; stops escalation
+   * @param {string} alertId - Alert ID
+   * @param {string} adminId - Acknowledging admin
+   * @param {string} note - Optional note
+   * @returns {Promise<Object>} { success, data } or { success: false, error }
+   */
+  async acknowledge(alertId, adminId, note = null) {
+    const alertRef = this.db.collection(EMERGENCY_COLLECTIONS.ALERTS).doc(alertId);
+    const now = new Date();
+
+    const result = await this.db.runTransaction(async (transaction) => {
+      const alertDoc = await transaction.get(alertRef);
+      if (!alertDoc.exists) {
+        return { success: false, error: { code: 'ALERT_NOT_FOUND', message: 'Emergency alert not found' } };
+      }
+      const alert = alertDoc.data();
+      if (alert.status !== EMERGENCY_ALERT_STATUSES.ACTIVE) {
+        return { success: false, error: { code: 'INVALID_ALERT_STATUS', message: `Emergency alert is already ${alert.status}` } };
+      }
+
+      transaction.update(alertRef, {
+        status: EMERGENCY_ALERT_STATUSES.ACKNOWLEDGED,
+        acknowledgedAt: now,
+        acknowledgedBy: adminId,
+        nextEscalationAt: null,
+        updatedAt: now
+      });
+      return { success: true, alert };
+    });
+    if (!result.success) {
+      return result;
+    }
+
+    const responseSeconds = Math.round((now - toDate(result.alert.createdAt)) / 1000);
+    await this.addTimelineEvent(alertId, EMERGENCY_TIMELINE_EVENTS.ACKNOWLEDGED, {
+      note,
+      responseSeconds,
+      escalationLevel: result.alert.escalationLevel
+    }, { id: adminId, type: 'admin' });
+
+    await this.notifyUser(result.alert.userId, alertId, EMERGENCY_ALERT_STATUSES.ACKNOWLEDGED, 'Help is on the way - our team has seen your alert');
+    this.emitToAdmins('emergency_alert_updated', { alertId, status: EMERGENCY_ALERT_STATUSES.ACKNOWLEDGED, acknowledgedBy: adminId });
+
+    return {
+      success: true,
+      data: { alertId, status: EMERGENCY_ALERT_STATUSES.ACKNOWLEDGED, acknowledgedAt: now, responseSeconds }
+    };
+  }
+
+  /**
+   * Resolve or cancel an alert with a mandatory outcome code
+   * @param {string} alertId - Alert ID
+   * @param {string} adminId - Closing admin
+   * @param {Object} params - { status: 'resolved'|'cancelled', outcomeCode, adminNotes }
+   * @returns {Promise<Object>} { success, data } or { success: false, error }
+   */
+  async close(alertId, adminId, { status, outcomeCode, adminNotes = null }) {
+    if (![EMERGENCY_ALERT_STATUSES.RESOLVED, EMERGENCY_ALERT_STATUSES.CANCELLED].includes(status)) {
+      return { success: false, error: { code: 'INVALID_ALERT_STATUS', message: 'Status must be resolved or cancelled' } };
+    }
+    if (!EMERGENCY_OUTCOME_CODES.includes(outcomeCode)) {
+      return {
+        success: false,
+        error: { code: 'OUTCOME_CODE_REQUIRED', message: `Outcome code must be one of: ${EMERGENCY_OUTCOME_CODES.join(', ')}` }
+      };
+    }
+
+    const alertRef = this.db.collection(EMERGENCY_COLLECTIONS.ALERTS).doc(alertId);
+    const now = new Date();
+
+    const result = await this.db.runTransaction(async (transaction) => {
+      const alertDoc = await transaction.get(alertRef);
+      if (!alertDoc.exists) {
+        return { success: false, error: { code: 'ALERT_NOT_FOUND', message: 'Emergency alert not found' } };
+      }
+      const alert = alertDoc.data();
+      if (!OPEN_STATUSES.includes(alert.status)) {
+        return { success: false, error: { code: 'INVALID_ALERT_STATUS', message: `Emergency alert is already ${alert.status}` } };
+      }
+
+      transaction.update(alertRef, {
+        status,
+        outcomeCode,
+        adminNotes,
+        // Closing an unacknowledged alert acknowledges it too
+        acknowledgedAt: alert.acknowledgedAt || now,
+        acknowledgedBy: alert.acknowledgedBy || adminId,
+        nextEscalationAt: null,
+        closedAt: now,
+        closedBy: adminId,
+        updatedBy: adminId,
+        updatedAt: now
+      });
+      return { success: true, alert };
+    });
+    if (!result.success) {
+      return result;
+    }
+
+    await this.addTimelineEvent(alertId, status === EMERGENCY_ALERT_STATUSES.RESOLVED
+      ? EMERGENCY_TIMELINE_EVENTS.RESOLVED
+      : EMERGENCY_TIMELINE_EVENTS.CANCELLED, {
+      outcomeCode,
+      adminNotes,
+      durationSeconds: Math.round((now - toDate(result.alert.createdAt)) / 1000)
+    }, { id: adminId, type: 'admin' });
+
+    await this.notifyUser(result.alert.userId, alertId, status, `Your emergency alert has been ${status}`);
+    this.emitToAdmins('emergency_alert_updated', { alertId, status, outcomeCode });
+
+    return { success: true, data: { alertId, status, outcomeCode, adminNotes, updatedAt: now } };
+  }
+
+  /**
+   * Fire the next tier of every unacknowledged alert that is due
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} { success, data: { escalated } }
+   */
+  async processDueEscalations(now = new Date()) {
+    try {
+      const snapshot = await this.db.collection(EMERGENCY_COLLECTIONS.ALERTS)
+        .where('status', '==', EMERGENCY_ALERT_STATUSES.ACTIVE)
+        .where('nextEscalationAt', '<=', now)
+        .get();
+
+      let escalated = 0;
+      for (const doc of snapshot.docs) {
+        if (await this.escalate(doc.id, now)) {
+          escalated++;
+        }
+      }
+      return { success: true, data: { escalated } };
+    } catch (error) {
+      console.error('❌ [EMERGENCY] Escalation run failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Fire the next tier of one alert (claimed in a transaction so concurrent
+   * instances never fire the same tier twice)
+   * @returns {Promise<boolean>} Whether a tier fired
+   */
+  async escalate(alertId, now = new Date()) {
+    const alertRef = this.db.collection(EMERGENCY_COLLECTIONS.ALERTS).doc(alertId);
+
+    const alert = await this.db.runTransaction(async (transaction) => {
+      const alertDoc = await transaction.get(alertRef);
+      if (!alertDoc.exists) return null;
+
+      const data = alertDoc.data();
+      const dueAt = toDate(data.nextEscalationAt);
+      if (data.status !== EMERGENCY_ALERT_STATUSES.ACTIVE || !dueAt || dueAt > now) return null;
+
+      const escalationLevel = (data.escalationLevel || 0) + 1;
+      transaction.update(alertRef, {
+        escalationLevel,
+        nextEscalationAt: this.getNextEscalationAt(data.createdAt, escalationLevel),
+        lastEscalatedAt: now,
+        updatedAt: now
+      });
+      return { id: alertId, ...data, escalationLevel };
+    });
+    if (!alert) {
+      return false;
+    }
+
+    const tier = EMERGENCY_ESCALATION_TIERS[alert.escalationLevel - 1];
+    let details;
+    try {
+      details = await this.runTier(tier, alert);
+    } catch (error) {
+      console.error(`❌ [EMERGENCY] Tier ${tier} failed for alert ${alertId}:`, error);
+      details = { error: error.message };
+    }
+
+    await this.addTimelineEvent(alertId, EMERGENCY_TIMELINE_EVENTS.ESCALATED, {
+      tier,
+      escalationLevel: alert.escalationLevel,
+      ...details
+    });
+    this.emitToAdmins('emergency_alert_escalated', { alertId, tier, escalationLevel: alert.escalationLevel });
+
+    console.log(`⏫ [EMERGENCY] Alert ${alertId} escalated to ${tier} (level ${alert.escalationLevel})`);
+    return true;
+  }
+
+  async runTier(tier, alert) {
+    switch (tier) {
+      case 'admin_broadcast':
+        return this.broadcastToAdmins(alert);
+      case 'nearby_drivers':
+        return this.notifyNearbyDrivers(alert);
+      case 'external_contacts':
+        return this.notifyExternalContacts(alert);
+      default:
+        throw new Error(`Unknown escalation tier: ${tier}`);
+    }
+  }
+
+  /**
+   * Push the alert to every active admin
+   * @returns {Promise<Object>} Timeline details
+   */
+  async broadcastToAdmins(alert) {
+    const notificationService = require('./notificationService');
+    const snapshot = await this.db.collection('adminUsers').where('isActive', '==', true).get();
+    const notification = this.buildNotification(alert, 'UNACKNOWLEDGED emergency alert');
+
+    let delivered = 0;
+    for (const doc of snapshot.docs) {
+      const result = await notificationService.sendToUser(doc.data().uid || doc.id, notification);
+      if (result?.success) delivered++;
+    }
+    this.emitToAdmins('emergency_alert', { ...this.toEvent(alert), escalated: true });
+
+    return { adminCount: snapshot.size, delivered };
+  }
+
+  /**
+   * Push the alert to drivers around its last location
+   * @returns {Promise<Object>} Timeline details
+   */
+  async notifyNearbyDrivers(alert) {
+    if (!alert.location) {
+      return { driverCount: 0, skipped: 'no_location' };
+    }
+
+    const driverProximityService = require('./driverProximityService');
+    const drivers = await driverProximityService.findNearbyDriverLocations(alert.location, this.settings.nearbyDriverRadiusKm, {
+      availableOnly: false,
+      limit: this.settings.maxNearbyDrivers + 1
+    });
+    const driverIds = drivers
+      .map(driver => driver.driverId)
+      .filter(driverId => driverId !== alert.userId)
+      .slice(0, this.settings.maxNearbyDrivers);
+
+    const result = await this.notifyDrivers(alert.id, driverIds, null, null, alert);
+    return { driverCount: driverIds.length, delivered: result.data.notifiedCount, radiusKm: this.settings.nearbyDriverRadiusKm };
+  }
+
+  /**
+   * Ask drivers to help with an alert (escalation tier and admin action)
+   * @param {string} alertId - Alert ID
+   * @param {Array<string>} driverIds - Drivers to notify
+   * @param {string} message - Custom message (defaults to the alert summary)
+   * @param {string} adminId - Admin who sent it (null for escalation)
+   * @param {Object} alert - Alert data when already loaded
+   * @returns {Promise<Object>} { success, data: { notifiedCount } } or { success: false, error }
+   */
+  async notifyDrivers(alertId, driverIds, message = null, adminId = null, alert = null) {
+    if (!alert) {
+      const alertDoc = await this.db.collection(EMERGENCY_COLLECTIONS.ALERTS).doc(alertId).get();
+      if (!alertDoc.exists) {
+        return { success: false, error: { code: 'ALERT_NOT_FOUND', message: 'Emergency alert not found' } };
+      }
+      alert = { id: alertId, ...alertDoc.data() };
+    }
+
+    const notificationService = require('./notificationService');
+    const notification = this.buildNotification(alert, 'Emergency nearby', message);
+
+    let notifiedCount = 0;
+    for (const driverId of driverIds) {
+      const result = await notificationService.sendToUser(driverId, notification);
+      if (result?.success) notifiedCount++;
+    }
+
+    // Escalation records drivers in its own timeline entry
+    if (adminId) {
+      await this.addTimelineEvent(alertId, EMERGENCY_TIMELINE_EVENTS.DRIVERS_NOTIFIED, {
+        driverIds,
+        notifiedCount,
+        message
+      }, { id: adminId, type: 'admin' });
+    }
+
+    return { success: true, data: { alertId, notifiedCount, requestedCount: driverIds.length } };
+  }
+
+  /**
+   * SMS the user's emergency contacts
+   * @returns {Promise<Object>} Timeline details
+   */
+  async notifyExternalContacts(alert) {
+    const phones = await this.getEmergencyContactPhones(alert.userId);
+    if (phones.length === 0) {
+      return { contactCount: 0, delivered: 0 };
+    }
+    if (!this.settings.smsWebhookUrl) {
+      console.warn(`⚠️ [EMERGENCY] External contacts skipped for alert ${alert.id}: no SMS gateway configured`);
+      return { contactCount: phones.length, delivered: 0, skipped: 'no_sms_gateway' };
+    }
+
+    const mapsLink = alert.location
+      ? ` Last location: https://maps.google.com/?q=${alert.location.latitude},${alert.location.longitude}`
+      : '';
+    const text = `EMERGENCY: ${alert.userName || 'An EPickup user'} raised a ${alert.alertType} alert and listed you as an emergency contact.${mapsLink}`;
+
+    let delivered = 0;
+    for (const phone of phones) {
+      try {
+        await axios.post(this.settings.smsWebhookUrl, {
+          to: phone,
+          message: text,
+          alertId: alert.id,
+          type: 'emergency_alert'
+        }, { timeout: 10000 });
+        delivered++;
+      } catch (error) {
+        console.warn(`⚠️ [EMERGENCY] SMS to an emergency contact of alert ${alert.id} failed:`, error.message);
+      }
+    }
+    return { contactCount: phones.length, delivered };
+  }
+
+  /**
+   * Emergency contact numbers of a user. Contacts added through
+   * /api/emergency/contacts live in `emergency_contacts`; the customer app
+   * stores them on the user document (`customer.emergencyContacts`).
+   * @param {string} userId - User ID
+   * @returns {Promise<Array<string>>} Distinct phone numbers
+   */
+  async getEmergencyContactPhones(userId) {
+    const [contactsSnapshot, userDoc] = await Promise.all([
+      this.db.collection(EMERGENCY_COLLECTIONS.CONTACTS).where('userId', '==', userId).get(),
+      this.db.collection('users').doc(userId).get()
+    ]);
+
+    const phones = contactsSnapshot.docs.map(doc => doc.data().phone);
+    if (userDoc.exists) {
+      (userDoc.data().customer?.emergencyContacts || []).forEach(contact => phones.push(contact.phone));
+    }
+    return [...new Set(phones.filter(Boolean))];
+  }
+
+  /**
+   * Alert with its timeline, oldest event first
+   * @param {string} alertId - Alert ID
+   * @returns {Promise<Object|null>} { alert, timeline } or null when not found
+   */
+  async getAlertWithTimeline(alertId) {
+    const alertRef = this.db.collection(EMERGENCY_COLLECTIONS.ALERTS).doc(alertId);
+    const alertDoc = await alertRef.get();
+    if (!alertDoc.exists) {
+      return null;
+    }
+
+    const snapshot = await alertRef.collection(EMERGENCY_COLLECTIONS.TIMELINE).orderBy('createdAt', 'asc').get();
+    return {
+      alert: { id: alertDoc.id, ...alertDoc.data() },
+      timeline: snapshot.docs.map(doc => ({ id: doc.id, ...doc.data(), createdAt: toDate(doc.data().createdAt) }))
+    };
+  }
+
+  /**
+   * Append an event to an alert's timeline
+   * @param {string} alertId - Alert ID
+   * @param {string} type - EMERGENCY_TIMELINE_EVENTS value
+   * @param {Object} details - Event details
+   * @param {Object} actor - { id, type } (system when omitted)
+   */
+  async addTimelineEvent(alertId, type, details = {}, actor = null) {
+    try {
+      await this.db.collection(EMERGENCY_COLLECTIONS.ALERTS).doc(alertId)
+        .collection(EMERGENCY_COLLECTIONS.TIMELINE).doc()
+        .set({
+          type,
+          details,
+          actorId: actor?.id || 'system',
+          actorType: actor?.type || 'system',
+          createdAt: new Date()
+        });
+    } catch (error) {
+      // The alert itself must keep moving even if the audit write fails
+      console.error(`❌ [EMERGENCY] Failed to record ${type} for alert ${alertId}:`, error);
+    }
+  }
+
+  async notifyUser(userId, alertId, status, body) {
+    try {
+      const notificationService = require('./notificationService');
+      await notificationService.sendToUser(userId, {
+        type: 'emergency_status_update',
+        title: 'Emergency Alert Update',
+        body,
+        data: { alertId, status }
+      });
+    } catch (error) {
+      console.warn(`⚠️ [EMERGENCY] Failed to notify user ${userId} about alert ${alertId}:`, error.message);
+    }
+  }
+
+  buildNotification(alert, title = 'Emergency Alert', message = null) {
+    return {
+      type: 'emergency',
+      title,
+      body: message || `Emergency alert from ${alert.userName || 'a user'}: ${alert.alertType}`,
+      data: {
+        alertId: alert.id,
+        alertType: alert.alertType,
+        location: alert.location,
+        message: alert.message
+      }
+    };
+  }
+
+  toEvent(alert) {
+    return {
+      alertId: alert.id,
+      userId: alert.userId,
+      userType: alert.userType,
+      userName: alert.userName,
+      bookingId: alert.bookingId,
+      alertType: alert.alertType,
+      location: alert.location,
+      message: alert.message,
+      status: alert.status,
+      escalationLevel: alert.escalationLevel
+    };
+  }
+
+  emitToAdmins(event, payload) {
+    try {
+      const socketService = require('./socket');
+      return socketService.sendToUserType('admin', event, payload);
+    } catch (error) {
+      console.warn(`⚠️ [EMERGENCY] Failed to emit ${event} to admins:`, error.message);
+      return false;
+    }
+  }
+
+  normalizeLocation(location) {
+    if (!location) return null;
+    const latitude = Number(location.latitude);
+    const longitude = Number(location.longitude);
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+
+    const normalized = { latitude, longitude };
+    ['accuracy', 'heading', 'speed'].forEach(field => {
+      if (Number.isFinite(Number(location[field])) && location[field] !== null && location[field] !== undefined) {
+        normalized[field] = Number(location[field]);
+      }
+    });
+    if (location.address) normalized.address = String(location.address);
+    return normalized;
+  }
+}
+
+module.exports = new EmergencyEscalationService();
@@ -31,37 +31,51 @@
  * - 1.6km → floor=1, ≥500m → round UP to 2km → ₹2.30
  * - 2.6km → floor=2, ≥500m → round UP to 3km → ₹3.45
  * 
- * WHEN CHANGING RATES, UPDATE ALL:
- * 1. backend/src/services/fareCalculationService.js (THIS FILE)
- * 2. backend/src/services/bookingService.js
- * 3. customer-app/services/chargeCalculation.ts
- * 4. customer-app/services/routeCalculationService.ts
- * 5. customer-app/services/fareCalculationService.ts
- * 6. driver-app/services/fareCalculationService.ts
+ * RATES ARE NO LONGER HARDCODED HERE:
+ * Rates come from the active versioned pricing plan (see pricingPlanService and
+ * constants/pricingPlans.js). A rate change is a new plan version created via
+ * /api/admin/pricing-plans - no redeploy. The numbers above describe the
+ * built-in fallback plan (DEFAULT_PRICING_PLAN).
+ *
+ * Client apps should read the active plan from GET /api/fare/rates.
  */
 
 const axios = require('axios');
+const pricingPlanService = require('./pricingPlanService');
 
 class FareCalculationService {
     constructor() {
-        // ✅ NEW PRICING STRUCTURE v2 (2026-07-24): BASE ₹10/KM MINIMUM
-        this.BASE_RATE = 10;           // 0-1km = ₹10 (flat minimum)
-        this.BASE_DISTANCE = 1.0;      // 1km is the base unit
-        this.FULL_KM_RATE = 10;        // Each km after 1km = ₹10
-        this.REMAINDER_RATE_TIER1 = 5; // <500m remainder = ₹5
-        this.REMAINDER_RATE_TIER2 = 10; // ≥500m remainder = ₹10 (rounds up)
-        this.REMAINDER_THRESHOLD = 0.5; // 500m threshold for tier 2
-        
-        // ✅ NEW COMMISSION STRUCTURE v2 (2026-07-24): FLOOR + SMART REMAINDER
-        this.COMMISSION_RATE_PER_KM = 1.15;  // ₹1.15/km flat
-        this.COMMISSION_THRESHOLD = 0.5;     // 500m threshold for rounding
-        
-        // Legacy constants (kept for backward compatibility)
-        this.BASE_FARE_PER_KM = 10;
-        this.MINIMUM_FARE = 0;
         this.GOOGLE_MAPS_API_KEY = process.env.GOOGLE_MAPS_API_KEY;
     }
 
+    /**
+     * Active pricing plan (served from cache, refreshed by pricingPlanService)
+     * @returns {Promise<Object>} Pricing plan
+     */
+    async getActivePlan() {
+        return pricingPlanService.getActivePlan();
+    }
+
+    /**
+     * Pricing plan for a pickup point: the plan pinned on its service area zone,
+     * or the global active plan when the zone has none (or the point is in no zone)
+     * @param {Object} coordinates - { latitude, longitude } or { lat, lng }
+     * @returns {Promise<Object>} Pricing plan
+     */
+    async getPlanForLocation(coordinates) {
+        const serviceAreaService = require('./serviceAreaService');
+        const latitude = coordinates?.latitude ?? coordinates?.lat;
+        const longitude = coordinates?.longitude ?? coordinates?.lng;
+        const zone = Number.isFinite(latitude) && Number.isFinite(longitude)
+            ? await serviceAreaService.resolveZoneForLocation(latitude, longitude)
+            : null;
+
+        if (zone?.pricingPlanVersion) {
+            return pricingPlanService.getPlanByVersion(zone.pricingPlanVersion);
+        }
+        return this.getActivePlan();
+    }
+
     /**
      * Calculate fare with NEW v2 pricing (2026-07-24): BASE ₹10/KM MINIMUM
      * 
@@ -85,66 +99,69 @@ class FareCalculationService {
      * - 2.3km → ₹25, Commission ₹2.30 (1km + 1km + 0.3km)
      * - 5.0km → ₹50, Commission ₹5.75
      * 
+     * Rates are taken from the given pricing plan (defaults to the cached
+     * active plan, which falls back to DEFAULT_PRICING_PLAN).
+     * 
      * @param {number} exactDistanceKm - Exact distance in kilometers
+     * @param {Object} plan - Pricing plan to evaluate (optional)
      * @returns {Object} Fare and commission breakdown
      */
-    calculateFareWithTieredPricing(exactDistanceKm) {
+    calculateFareWithTieredPricing(exactDistanceKm, plan = pricingPlanService.getCachedActivePlan()) {
         // Validate input
         if (exactDistanceKm < 0) {
             throw new Error('Distance cannot be negative');
         }
 
+        const { baseDistanceKm, baseRate, fullKmRate, remainderTiers } = plan.fare;
+        const { ratePerKm, roundUpThresholdKm, minimumKm } = plan.commission;
+
         // ===== PRICING CALCULATION =====
         let totalFare = 0;
         const pricingBreakdown = [];
 
-        if (exactDistanceKm <= this.BASE_DISTANCE) {
-            // 0-1km = ₹10 (flat minimum)
-            totalFare = this.BASE_RATE;
-            pricingBreakdown.push(`0-1km (base): ₹${this.BASE_RATE}`);
+        if (exactDistanceKm <= baseDistanceKm) {
+            // Within base distance = flat base rate
+            totalFare = baseRate;
+            pricingBreakdown.push(`0-${baseDistanceKm}km (base): ₹${baseRate}`);
         } else {
-            // > 1km: ₹10 for first 1km + remainder logic
-            totalFare = this.BASE_RATE; // First 1km = ₹10
-            pricingBreakdown.push(`First 1km: ₹${this.BASE_RATE}`);
+            // Beyond base distance: base rate + full km + remainder tier
+            totalFare = baseRate;
+            pricingBreakdown.push(`First ${baseDistanceKm}km: ₹${baseRate}`);
 
-            const remainingDistance = exactDistanceKm - this.BASE_DISTANCE;
+            const remainingDistance = exactDistanceKm - baseDistanceKm;
             const fullKmsRemaining = Math.floor(remainingDistance);
             const remainderKm = remainingDistance - fullKmsRemaining;
 
             // Add charge for full km remaining
             if (fullKmsRemaining > 0) {
-                const fullKmCharge = fullKmsRemaining * this.FULL_KM_RATE;
+                const fullKmCharge = fullKmsRemaining * fullKmRate;
                 totalFare += fullKmCharge;
-                pricingBreakdown.push(`${fullKmsRemaining}km × ₹${this.FULL_KM_RATE}: ₹${fullKmCharge}`);
+                pricingBreakdown.push(`${fullKmsRemaining}km × ₹${fullKmRate}: ₹${fullKmCharge}`);
             }
 
-            // Add charge for remainder km
+            // Add charge for remainder km (first tier whose upper bound exceeds the remainder)
             if (remainderKm > 0) {
-                if (remainderKm < this.REMAINDER_THRESHOLD) {
-                    // <500m remainder = ₹5
-                    totalFare += this.REMAINDER_RATE_TIER1;
-                    pricingBreakdown.push(`${(remainderKm * 1000).toFixed(0)}m remainder: ₹${this.REMAINDER_RATE_TIER1}`);
-                } else {
-                    // ≥500m remainder = ₹10 (rounds up)
-                    totalFare += this.REMAINDER_RATE_TIER2;
-                    pricingBreakdown.push(`${(remainderKm * 1000).toFixed(0)}m remainder (rounds): ₹${this.REMAINDER_RATE_TIER2}`);
-                }
+                const tierIndex = remainderTiers.findIndex(tier => remainderKm < tier.belowKm);
+                const tier = remainderTiers[tierIndex === -1 ? remainderTiers.length - 1 : tierIndex];
+                const roundsUp = tier === remainderTiers[remainderTiers.length - 1] && remainderTiers.length > 1;
+                totalFare += tier.charge;
+                pricingBreakdown.push(`${(remainderKm * 1000).toFixed(0)}m remainder${roundsUp ? ' (rounds)' : ''}: ₹${tier.charge}`);
             }
         }
 
-        // ===== COMMISSION CALCULATION (v2 FLOOR + SMART REMAINDER) =====
+        // ===== COMMISSION CALCULATION (FLOOR + SMART REMAINDER) =====
         let commissionDistance = Math.floor(exactDistanceKm); // FLOOR
         const remainder = exactDistanceKm - commissionDistance;
 
-        // Smart remainder handling: if remainder ≥500m, round UP
-        if (remainder >= this.COMMISSION_THRESHOLD) {
+        // Smart remainder handling: if remainder ≥ threshold, round UP
+        if (remainder >= roundUpThresholdKm) {
             commissionDistance += 1;
         }
 
-        // Minimum 1km commission (even for <1km trips)
-        commissionDistance = Math.max(1, commissionDistance);
+        // Minimum commission distance (even for very short trips)
+        commissionDistance = Math.max(minimumKm, commissionDistance);
 
-        const totalCommission = Math.round(commissionDistance * this.COMMISSION_RATE_PER_KM * 100) / 100;
+        const totalCommission = Math.round(commissionDistance * ratePerKm * 100) / 100;
 
         // ===== RETURN RESULT =====
         return {
@@ -154,19 +171,22 @@ class FareCalculationService {
             baseFare: Math.round(totalFare * 100) / 100, // Keep for backward compatibility
             commission: totalCommission,
             driverEarnings: Math.round((totalFare - totalCommission) * 100) / 100,
+            pricingPlan: pricingPlanService.toBookingReference(plan),
             breakdown: {
                 pricingVersion: 2, // v2 = new three-tier system
                 commissionVersion: 2, // v2 = new floor + smart remainder
+                pricingPlanId: plan.id,
+                pricingPlanVersion: plan.version,
                 distance: parseFloat(exactDistanceKm.toFixed(2)),
-                pricingTier: exactDistanceKm <= this.TIER_1_DISTANCE ? 'tier1' : (exactDistanceKm <= this.TIER_2_DISTANCE ? 'tier2' : 'tier3+'),
+                pricingTier: exactDistanceKm <= baseDistanceKm ? 'base' : 'tiered',
                 pricingBreakdown: pricingBreakdown.join(' + '),
                 priceCalculation: `Total: ₹${Math.round(totalFare * 100) / 100}`,
                 
                 commissionDistance: commissionDistance,
                 commissionFloor: Math.floor(exactDistanceKm),
                 commissionRemainder: parseFloat(remainder.toFixed(2)),
-                commissionRemainderHandling: remainder >= this.COMMISSION_THRESHOLD ? 'rounded_up' : 'dropped',
-                commissionCalculation: `${commissionDistance}km × ₹${this.COMMISSION_RATE_PER_KM} = ₹${totalCommission}`,
+                commissionRemainderHandling: remainder >= roundUpThresholdKm ? 'rounded_up' : 'dropped',
+                commissionCalculation: `${commissionDistance}km × ₹${ratePerKm} = ₹${totalCommission}`,
                 
                 totalFare: Math.round(totalFare * 100) / 100,
                 totalCommission: totalCommission,
@@ -179,23 +199,49 @@ class FareCalculationService {
      * Calculate fare based on distance (primary entry point)
      * Delegates to tiered pricing with base rate
      * @param {number} exactDistanceKm - Exact distance in kilometers
+     * @param {Object} plan - Pricing plan to evaluate (optional, defaults to active plan)
      * @returns {Object} Fare breakdown
      */
-    calculateFare(exactDistanceKm) {
+    calculateFare(exactDistanceKm, plan) {
         // Use new tiered pricing system with base rate (always enabled)
-        return this.calculateFareWithTieredPricing(exactDistanceKm);
+        return this.calculateFareWithTieredPricing(exactDistanceKm, plan);
+    }
+
+    /**
+     * Calculate fare with the freshly resolved active plan
+     * Prefer this over calculateFare() in async code paths that create bookings.
+     * @param {number} exactDistanceKm - Exact distance in kilometers
+     * @returns {Promise<Object>} Fare breakdown
+     */
+    async calculateFareWithActivePlan(exactDistanceKm) {
+        const plan = await this.getActivePlan();
+        return this.calculateFareWithTieredPricing(exactDistanceKm, plan);
+    }
+
+    /**
+     * Re-price an existing booking with the plan it was originally priced with
+     * @param {Object} booking - Booking document data
+     * @param {number} exactDistanceKm - Exact distance in kilometers
+     * @returns {Promise<Object>} Fare breakdown
+     */
+    async calculateFareForBooking(booking, exactDistanceKm) {
+        const plan = await pricingPlanService.getPlanForBooking(booking);
+        return this.calculateFareWithTieredPricing(exactDistanceKm, plan);
     }
 
     /**
      * Calculate distance between two points using Google Maps API
      * @param {Object} pickup - Pickup coordinates {lat, lng}
      * @param {Object} dropoff - Dropoff coordinates {lat, lng}
+     * @param {Object} [plan] - Pricing plan (default: active plan)
      * @returns {Promise<Object>} Distance and fare details
      */
-    async calculateDistanceAndFare(pickup, dropoff) {
+    async calculateDistanceAndFare(pickup, dropoff, plan = null) {
         try {
             const distance = await this.getDistanceFromGoogleMaps(pickup, dropoff);
-            const fare = this.calculateFare(distance);
+            const fare = plan
+                ? this.calculateFareWithTieredPricing(distance, plan)
+                : await this.calculateFareWithActivePlan(distance);
 
             return {
                 distanceKm: distance,
@@ -210,6 +256,42 @@ class FareCalculationService {
         }
     }
 
+    /**
+     * Calculate distance and fare over an ordered multi-stop route
+     * The fare is evaluated once on the total route distance (pickup → stop 1 → stop 2 ...)
+     * @param {Object} pickup - Pickup coordinates {lat, lng}
+     * @param {Array<Object>} stops - Ordered drop-off coordinates {lat, lng}
+     * @param {Object} [plan] - Pricing plan (default: active plan)
+     * @returns {Promise<Object>} Distance, per-leg distances and fare details
+     */
+    async calculateRouteDistanceAndFare(pickup, stops, plan = null) {
+        try {
+            const points = [pickup, ...stops];
+            const legs = [];
+            for (let i = 1; i < points.length; i++) {
+                legs.push(await this.getDistanceFromGoogleMaps(points[i - 1], points[i]));
+            }
+
+            const distance = legs.reduce((sum, leg) => sum + leg, 0);
+            const fare = plan
+                ? this.calculateFareWithTieredPricing(distance, plan)
+                : await this.calculateFareWithActivePlan(distance);
+
+            return {
+                distanceKm: distance,
+                legs: legs,
+                fare: fare,
+                pickup: pickup,
+                dropoff: stops[stops.length - 1],
+                stops: stops,
+                calculatedAt: new Date().toISOString()
+            };
+        } catch (error) {
+            console.error('Error calculating route distance and fare:', error);
+            throw new Error('Failed to calculate fare');
+        }
+    }
+
     /**
      * Get distance from Google Maps Distance Matrix API
      * @param {Object} pickup - Pickup coordinates
@@ -391,20 +473,32 @@ class FareCalculationService {
     }
 
     /**
-     * Get fare estimate for a route
+     * Get fare estimate for a route (pickup zone's pricing plan plus live surge)
      * @param {Object} pickup - Pickup location
      * @param {Object} dropoff - Dropoff location
+     * @param {Array<Object>} [stops] - Ordered drop-off stops for multi-stop routes
      * @returns {Promise<Object>} Fare estimate
      */
-    async getFareEstimate(pickup, dropoff) {
+    async getFareEstimate(pickup, dropoff, stops = null) {
         try {
-            const distanceAndFare = await this.calculateDistanceAndFare(pickup, dropoff);
+            const surgePricingService = require('./surgePricingService');
+            const isMultiStop = Array.isArray(stops) && stops.length > 1;
+            const plan = await this.getPlanForLocation(pickup);
+            const [distanceAndFare, surge] = await Promise.all([
+                isMultiStop
+                    ? this.calculateRouteDistanceAndFare(pickup, stops, plan)
+                    : this.calculateDistanceAndFare(pickup, dropoff, plan),
+                surgePricingService.getSurgeForLocation(pickup)
+            ]);
             
             return {
-                estimate: distanceAndFare.fare,
+                estimate: surgePricingService.applySurge(distanceAndFare.fare, surge),
+                surgeMultiplier: surge.multiplier,
                 distance: distanceAndFare.distanceKm,
+                legs: distanceAndFare.legs || null,
                 pickup: pickup,
-                dropoff: dropoff,
+                dropoff: distanceAndFare.dropoff,
+                stops: isMultiStop ? stops : null,
                 estimatedAt: new Date().toISOString(),
                 validUntil: new Date(Date.now() + 15 * 60 * 1000).toISOString() // 15 minutes validity
             };
@@ -2,6 +2,7 @@ const sharp = require('sharp');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const { getFirebaseApp, getFirestore, getStorage } = require('./firebase');
+const documentImageCheckService = require('./documentImageCheckService');
 
 class FileUploadService {
   constructor() {
@@ -134,7 +135,14 @@ class FileUploadService {
       let processedFile = file;
       let thumbnailPath = null;
 
+      let quality = null;
       if (file.mimetype.startsWith('image/')) {
+        // Score the original photo and hash it for duplicate detection
+        quality = await documentImageCheckService.analyze(file.buffer, documentType, {
+          width: docConfig.dimensions.minWidth,
+          height: docConfig.dimensions.minHeight
+        });
+
         // Process image files
         const imageProcessingResult = await this.processImage(file, docConfig);
         processedFile = imageProcessingResult.file;
@@ -150,6 +158,8 @@ class FileUploadService {
         metadata
       );
 
+      const duplicateReviewId = await documentImageCheckService.registerImage(driverId, documentType, quality, uploadResult.filePath);
+
       // Create document record in Firestore
       const documentRecord = await this.createDocumentRecord(
         driverId,
@@ -157,12 +167,16 @@ class FileUploadService {
         filename,
         uploadResult,
         thumbnailPath,
-        metadata
+        { ...metadata, quality: quality && { ...quality, duplicateReviewId } }
       );
 
       // Update driver's document status
       await this.updateDriverDocumentStatus(driverId, documentType, 'uploaded');
 
+      // Read the document's fields and cross-check them against the profile
+      const documentExtractionService = require('./documentExtractionService');
+      const extraction = await documentExtractionService.processUpload(driverId, documentType, processedFile);
+
       return {
         success: true,
         message: 'Document uploaded successfully',
@@ -176,6 +190,9 @@ class FileUploadService {
           uploadUrl: uploadResult.downloadURL,
           thumbnailUrl: thumbnailPath ? uploadResult.thumbnailURL : null,
           uploadedAt: new Date(),
+          extraction,
+          quality: documentImageCheckService.summarize(quality),
+          recommendations: this.generateRecommendations(file, docConfig, quality),
           metadata: metadata
         }
       };
@@ -1267,9 +1284,10 @@ class FileUploadService {
    * Validate file before upload
    * @param {Object} file - File object to validate
    * @param {string} documentType - Document type
+   * @param {Object} quality - Image check result from documentImageCheckService.analyze (optional)
    * @returns {Object} Validation result
    */
-  validateFile(file, documentType) {
+  validateFile(file, documentType, quality = null) {
     const errors = [];
     const warnings = [];
 
@@ -1312,7 +1330,7 @@ class FileUploadService {
       isValid: errors.length === 0,
       errors,
       warnings,
-      recommendations: this.generateRecommendations(file, docConfig)
+      recommendations: this.generateRecommendations(file, docConfig, quality)
     };
   }
 
@@ -1320,10 +1338,12 @@ class FileUploadService {
    * Generate recommendations for file optimization
    * @param {Object} file - File object
    * @param {Object} docConfig - Document configuration
+   * @param {Object} quality - Image check result (optional)
    * @returns {Array} Array of recommendations
    */
-  generateRecommendations(file, docConfig) {
-    const recommendations = [];
+  generateRecommendations(file, docConfig, quality = null) {
+    // Retake prompts for blurry, dark or low-resolution photos come first
+    const recommendations = documentImageCheckService.getRecommendations(quality);
 
     // File size recommendations
     if (file.size > docConfig.maxSize * 0.8) {
@@ -1,4 +1,5 @@
 const { getFirestore } = require('./firebase');
+const { toDate } = require('../utils/dates');
 
 /**
  * Firestore-based Session Management Service
@@ -165,63 +166,103 @@ class FirestoreSessionService {
    */
   async checkRateLimit(key, limit = 100, window = 3600) {
     try {
+      const { count, resetTime } = await this.incrementRateLimit(key, window * 1000);
+      return {
+        success: true,
+        allowed: count <= limit,
+        remaining: Math.max(limit - count, 0),
+        resetTime
+      };
+    } catch (error) {
+      console.error('Rate limit check error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Count a request in a fixed-window bucket; a new window starts when the
+   * bucket is missing or expired. Runs in a transaction so concurrent
+   * requests from several instances are all counted.
+   * @param {string} key - Bucket key
+   * @param {number} windowMs - Window length for a new bucket
+   * @returns {Promise<Object>} { count, resetTime }
+   */
+  async incrementRateLimit(key, windowMs) {
+    const db = this.getDb();
+    const ref = this.rateLimitRef(key);
+    return db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
       const now = new Date();
-      const windowStart = new Date(now.getTime() - (window * 1000));
-      
-      // Get current rate limit data
-      const doc = await this.db.collection(this.rateLimitCollection).doc(key).get();
-      
-      if (!doc.exists) {
-        // First request
-        await this.db.collection(this.rateLimitCollection).doc(key).set({
+      const data = doc.exists ? doc.data() : null;
+      const resetTime = toDate(data?.resetTime);
+
+      if (!resetTime || resetTime <= now) {
+        const newResetTime = new Date(now.getTime() + windowMs);
+        // expiresAt can back a Firestore TTL policy that purges old buckets
+        transaction.set(ref, {
+          key,
           count: 1,
           windowStart: now,
+          resetTime: newResetTime,
+          expiresAt: newResetTime,
           lastRequest: now,
           createdAt: now
         });
-        return { success: true, allowed: true, remaining: limit - 1 };
+        return { count: 1, resetTime: newResetTime };
       }
 
-      const data = doc.data();
-      
-      // Check if window has expired
-      if (data.windowStart.toDate() < windowStart) {
-        // Reset window
-        await this.db.collection(this.rateLimitCollection).doc(key).update({
-          count: 1,
-          windowStart: now,
-          lastRequest: now,
-          updatedAt: now
-        });
-        return { success: true, allowed: true, remaining: limit - 1 };
-      }
+      const count = (data.count || 0) + 1;
+      transaction.update(ref, { count, lastRequest: now, updatedAt: now });
+      return { count, resetTime };
+    });
+  }
 
-      // Check if limit exceeded
-      if (data.count >= limit) {
-        return { 
-          success: true, 
-          allowed: false, 
-          remaining: 0,
-          resetTime: new Date(data.windowStart.toDate().getTime() + (window * 1000))
-        };
+  /**
+   * Take back one counted request; a missing or expired bucket is left alone
+   * @param {string} key - Bucket key
+   */
+  async decrementRateLimit(key) {
+    const db = this.getDb();
+    const ref = this.rateLimitRef(key);
+    await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      const resetTime = toDate(doc.exists ? doc.data().resetTime : null);
+      if (!resetTime || resetTime <= new Date() || !(doc.data().count > 0)) {
+        return;
       }
+      transaction.update(ref, { count: doc.data().count - 1, updatedAt: new Date() });
+    });
+  }
 
-      // Increment count
-      await this.db.collection(this.rateLimitCollection).doc(key).update({
-        count: data.count + 1,
-        lastRequest: now,
-        updatedAt: now
-      });
-
-      return { 
-        success: true, 
-        allowed: true, 
-        remaining: limit - (data.count + 1) 
-      };
-    } catch (error) {
-      console.error('Rate limit check error:', error);
-      return { success: false, error: error.message };
+  /**
+   * Current bucket without counting
+   * @param {string} key - Bucket key
+   * @returns {Promise<Object|null>} { count, resetTime }, or null when missing or expired
+   */
+  async getRateLimit(key) {
+    const doc = await this.rateLimitRef(key).get();
+    if (!doc.exists) {
+      return null;
     }
+    const data = doc.data();
+    const resetTime = toDate(data.resetTime);
+    if (!resetTime || resetTime <= new Date()) {
+      return null;
+    }
+    return { count: data.count || 0, resetTime };
+  }
+
+  /**
+   * Delete a bucket
+   * @param {string} key - Bucket key
+   */
+  async resetRateLimit(key) {
+    await this.rateLimitRef(key).delete();
+  }
+
+  rateLimitRef(key) {
+    // Doc IDs cannot contain '/'
+    return this.getDb().collection(this.rateLimitCollection).doc(encodeURIComponent(key));
   }
 
   /**
@@ -0,0 +1,620 @@
+const { getFirestore } = require('./firebase');
+const config = require('../config/environment');
+const { getStops } = require('../utils/bookingStops');
+const { toDate } = require('../utils/dates');
+const {
+  INVOICE_COLLECTIONS,
+  INVOICE_DOCUMENT_TYPES,
+  INVOICE_LINE_TYPES,
+  CREDIT_NOTE_REASONS,
+  MAX_DOCUMENT_NUMBER_LENGTH
+} = require('../constants/invoices');
+
+// Booking statuses that can be invoiced without a prepaid payment
+const INVOICEABLE_STATUSES = ['completed', 'delivered'];
+
+// GSTIN: 2-digit state code, PAN, entity number, 'Z', checksum character
+const GSTIN_REGEX = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+/**
+ * Invoice Service
+ * GST tax invoices and credit notes for bookings:
+ * - one tax invoice per booking (`taxInvoices/{bookingId}`), issued when the
+ *   booking is completed or when a prepaid fare is refunded, and re-served
+ *   unchanged afterwards
+ * - credit notes (`creditNotes/{refundId}`) whenever a refund lowers the
+ *   billed amount, e.g. a cancelled prepaid booking refunded minus its fee
+ *
+ * Numbers come from a gap-free series per document type and financial year:
+ * the counter in `invoiceSequences` is incremented in the same transaction
+ * that writes the document, so a number is never skipped or reused.
+ *
+ * Fares are tax-inclusive. The billed amount is split into the driver's
+ * delivery charge and the platform fee (commission), and GST is backed out of
+ * each as CGST + SGST (intra-state) or IGST (inter-state).
+ */
+class InvoiceService {
+  get db() {
+    return getFirestore();
+  }
+
+  get settings() {
+    return config.getInvoicingConfig();
+  }
+
+  /**
+   * Whether a GSTIN is well-formed
+   * @param {string} gstin - GSTIN
+   * @returns {boolean}
+   */
+  isValidGstin(gstin) {
+    return typeof gstin === 'string' && GSTIN_REGEX.test(gstin);
+  }
+
+  /**
+   * Financial year (April-March, local time) of a date, e.g. '26-27'
+   * @param {Date} at - Date
+   * @returns {string} Financial year label
+   */
+  getFinancialYear(at = new Date()) {
+    const local = new Date(at.getTime() + this.settings.timezoneOffsetMinutes * 60 * 1000);
+    const startYear = local.getUTCMonth() >= 3 ? local.getUTCFullYear() : local.getUTCFullYear() - 1;
+    return `${String(startYear).slice(-2)}-${String(startYear + 1).slice(-2)}`;
+  }
+
+  /**
+   * Document number from a series prefix, financial year and serial
+   * @param {string} prefix - Series prefix (INV / CN)
+   * @param {string} financialYear - e.g. '26-27'
+   * @param {number} serial - Serial within the year
+   * @returns {string} e.g. INV/26-27/000042
+   */
+  formatDocumentNumber(prefix, financialYear, serial) {
+    const number = `${prefix}/${financialYear}/${String(serial).padStart(6, '0')}`;
+    if (number.length > MAX_DOCUMENT_NUMBER_LENGTH) {
+      throw new Error(`Document number ${number} exceeds ${MAX_DOCUMENT_NUMBER_LENGTH} characters`);
+    }
+    return number;
+  }
+
+  /**
+   * Stored tax invoice of a booking
+   * @param {string} bookingId - Booking ID
+   * @returns {Promise<Object|null>} Invoice, or null when not issued yet
+   */
+  async getInvoice(bookingId) {
+    const invoiceDoc = await this.db.collection(INVOICE_COLLECTIONS.INVOICES).doc(bookingId).get();
+    return invoiceDoc.exists ? invoiceDoc.data() : null;
+  }
+
+  /**
+   * Stored credit note
+   * @param {string} creditNoteId - Credit note ID
+   * @returns {Promise<Object|null>} Credit note, or null when not found
+   */
+  async getCreditNote(creditNoteId) {
+    const noteDoc = await this.db.collection(INVOICE_COLLECTIONS.CREDIT_NOTES).doc(creditNoteId).get();
+    return noteDoc.exists ? noteDoc.data() : null;
+  }
+
+  /**
+   * Issue the tax invoice of a booking, or return the one already issued
+   * @param {string} bookingId - Booking ID
+   * @returns {Promise<Object>} { success, data: invoice, alreadyIssued } or { success: false, error }
+   */
+  async issueInvoice(bookingId) {
+    try {
+      const existing = await this.getInvoice(bookingId);
+      if (existing) {
+        return { success: true, data: existing, alreadyIssued: true };
+      }
+
+      const bookingDoc = await this.db.collection('bookings').doc(bookingId).get();
+      if (!bookingDoc.exists) {
+        return { success: false, error: { code: 'BOOKING_NOT_FOUND', message: 'Booking not found' } };
+      }
+
+      const bookingData = bookingDoc.data();
+      if (!INVOICEABLE_STATUSES.includes(bookingData.status) && !(await this.hasCompletedPayment(bookingId))) {
+        return {
+          success: false,
+          error: {
+            code: 'INVOICE_NOT_AVAILABLE',
+            message: 'Invoice is only available for completed or prepaid bookings'
+          }
+        };
+      }
+
+      const billedAmount = this.roundCurrency(this.getBilledAmount(bookingData));
+      if (!(billedAmount > 0)) {
+        return { success: false, error: { code: 'INVOICE_NOT_AVAILABLE', message: 'Booking has no billed amount' } };
+      }
+
+      const snapshot = await this.buildBookingSnapshot(bookingId, bookingData);
+      const placeOfSupply = snapshot.customer.gstin ? snapshot.customer.gstin.slice(0, 2) : this.settings.supplierStateCode;
+      const interState = placeOfSupply !== this.settings.supplierStateCode;
+      const lines = this.buildInvoiceLines(billedAmount, this.getCommissionAmount(bookingData), interState);
+
+      const invoiceRef = this.db.collection(INVOICE_COLLECTIONS.INVOICES).doc(bookingId);
+      const issuedAt = new Date();
+      const financialYear = this.getFinancialYear(issuedAt);
+      const sequenceRef = this.db.collection(INVOICE_COLLECTIONS.SEQUENCES)
+        .doc(`${INVOICE_DOCUMENT_TYPES.TAX_INVOICE}_${financialYear}`);
+
+      const result = await this.db.runTransaction(async (transaction) => {
+        const invoiceDoc = await transaction.get(invoiceRef);
+        const sequenceDoc = await transaction.get(sequenceRef);
+        if (invoiceDoc.exists) {
+          return { invoice: invoiceDoc.data(), alreadyIssued: true };
+        }
+
+        const serial = (sequenceDoc.exists ? sequenceDoc.data().lastSerial : 0) + 1;
+        const invoiceNumber = this.formatDocumentNumber(this.settings.invoicePrefix, financialYear, serial);
+        const invoice = {
+          ...snapshot,
+          documentType: INVOICE_DOCUMENT_TYPES.TAX_INVOICE,
+          invoiceNumber,
+          invoiceId: invoiceNumber, // Field name the apps already read
+          invoiceDate: issuedAt.toISOString(),
+          financialYear,
+          serial,
+          supplier: this.getSupplier(),
+          placeOfSupply,
+          supplyType: interState ? 'inter_state' : 'intra_state',
+          gstRate: this.settings.gstRate,
+          lines,
+          totals: this.sumLines(lines),
+          creditedAmount: 0,
+          creditNotes: [],
+          issuedAt
+        };
+
+        transaction.set(sequenceRef, {
+          documentType: INVOICE_DOCUMENT_TYPES.TAX_INVOICE,
+          financialYear,
+          lastSerial: serial,
+          lastDocumentNumber: invoiceNumber,
+          updatedAt: issuedAt
+        });
+        transaction.set(invoiceRef, invoice);
+        return { invoice, alreadyIssued: false };
+      });
+
+      if (!result.alreadyIssued) {
+        console.log(`🧾 [INVOICE] Issued ${result.invoice.invoiceNumber} for booking ${bookingId} (₹${result.invoice.totals.grandTotal})`);
+      }
+      return { success: true, data: result.invoice, alreadyIssued: result.alreadyIssued };
+    } catch (error) {
+      console.error(`❌ [INVOICE] Failed to issue invoice for booking ${bookingId}:`, error);
+      return {
+        success: false,
+        error: { code: 'INVOICE_ISSUE_ERROR', message: 'Failed to issue invoice', details: error.message }
+      };
+    }
+  }
+
+  /**
+   * Issue a credit note against a booking's invoice for a refunded amount.
+   * Idempotent per refund; no-op when the booking was never invoiced.
+   * @param {string} bookingId - Booking ID
+   * @param {Object} options - { refundId, amount, reason, reasonType }
+   * @returns {Promise<Object>} { success, data: creditNote | null } or { success: false, error }
+   */
+  async issueCreditNote(bookingId, { refundId, amount, reason = null, reasonType = CREDIT_NOTE_REASONS.REFUND }) {
+    const invoiceRef = this.db.collection(INVOICE_COLLECTIONS.INVOICES).doc(bookingId);
+    const noteRef = this.db.collection(INVOICE_COLLECTIONS.CREDIT_NOTES).doc(refundId);
+    const issuedAt = new Date();
+    const financialYear = this.getFinancialYear(issuedAt);
+    const sequenceRef = this.db.collection(INVOICE_COLLECTIONS.SEQUENCES)
+      .doc(`${INVOICE_DOCUMENT_TYPES.CREDIT_NOTE}_${financialYear}`);
+
+    try {
+      const creditNote = await this.db.runTransaction(async (transaction) => {
+        const invoiceDoc = await transaction.get(invoiceRef);
+        const noteDoc = await transaction.get(noteRef);
+        const sequenceDoc = await transaction.get(sequenceRef);
+
+        if (noteDoc.exists) {
+          return noteDoc.data();
+        }
+        if (!invoiceDoc.exists) {
+          return null;
+        }
+
+        const invoice = invoiceDoc.data();
+        const creditable = this.roundCurrency(invoice.totals.grandTotal - (invoice.creditedAmount || 0));
+        const noteAmount = this.roundCurrency(Math.min(amount, creditable));
+        if (!(noteAmount > 0)) {
+          return null;
+        }
+
+        const serial = (sequenceDoc.exists ? sequenceDoc.data().lastSerial : 0) + 1;
+        const creditNoteNumber = this.formatDocumentNumber(this.settings.creditNotePrefix, financialYear, serial);
+        const lines = this.buildCreditNoteLines(invoice, noteAmount);
+        const note = {
+          id: refundId,
+          documentType: INVOICE_DOCUMENT_TYPES.CREDIT_NOTE,
+          creditNoteNumber,
+          financialYear,
+          serial,
+          bookingId,
+          customerId: invoice.customerId,
+          originalInvoiceNumber: invoice.invoiceNumber,
+          originalInvoiceDate: invoice.invoiceDate,
+          reasonType,
+          reason,
+          supplier: invoice.supplier,
+          customer: invoice.customer,
+          placeOfSupply: invoice.placeOfSupply,
+          supplyType: invoice.supplyType,
+          gstRate: invoice.gstRate,
+          lines,
+          totals: this.sumLines(lines),
+          currency: invoice.currency,
+          issuedAt,
+          creditNoteDate: issuedAt.toISOString()
+        };
+
+        transaction.set(sequenceRef, {
+          documentType: INVOICE_DOCUMENT_TYPES.CREDIT_NOTE,
+          financialYear,
+          lastSerial: serial,
+          lastDocumentNumber: creditNoteNumber,
+          updatedAt: issuedAt
+        });
+        transaction.set(noteRef, note);
+        transaction.update(invoiceRef, {
+          creditedAmount: this.roundCurrency((invoice.creditedAmount || 0) + noteAmount),
+          creditNotes: [
+            ...(invoice.creditNotes || []),
+            { id: refundId, creditNoteNumber, amount: noteAmount, reasonType, issuedAt }
+          ]
+        });
+        return note;
+      });
+
+      if (creditNote) {
+        console.log(`🧾 [INVOICE] Credit note ${creditNote.creditNoteNumber} for booking ${bookingId} (₹${creditNote.totals.grandTotal})`);
+      }
+      return { success: true, data: creditNote };
+    } catch (error) {
+      console.error(`❌ [INVOICE] Failed to issue credit note for booking ${bookingId}:`, error);
+      return {
+        success: false,
+        error: { code: 'CREDIT_NOTE_ISSUE_ERROR', message: 'Failed to issue credit note', details: error.message }
+      };
+    }
+  }
+
+  /**
+   * Whether a booking has a completed (prepaid) payment
+   * @param {string} bookingId - Booking ID
+   * @returns {Promise<boolean>}
+   */
+  async hasCompletedPayment(bookingId) {
+    const paymentSnapshot = await this.db.collection('payments')
+      .where('bookingId', '==', bookingId)
+      .where('status', '==', 'completed')
+      .limit(1)
+      .get();
+    return !paymentSnapshot.empty;
+  }
+
+  /**
+   * Tax-inclusive amount billed for a booking
+   * @param {Object} bookingData - Booking document
+   * @returns {number} Amount in rupees
+   */
+  getBilledAmount(bookingData) {
+    return Number(
+      bookingData.pricing?.totalAmount ??
+      bookingData.fare?.total ??
+      bookingData.pricing?.totalFare ??
+      bookingData.totalFare ??
+      bookingData.amount ??
+      0
+    );
+  }
+
+  /**
+   * Platform commission included in the fare
+   * @param {Object} bookingData - Booking document
+   * @returns {number} Amount in rupees
+   */
+  getCommissionAmount(bookingData) {
+    const commission = bookingData.commissionDeducted;
+    const amount = commission && typeof commission === 'object'
+      ? commission.amount
+      : bookingData.earnings?.commissionAmount;
+    return Number(amount) || 0;
+  }
+
+  /**
+   * Supplier block printed on every document
+   * @returns {Object} { name, gstin, address, stateCode }
+   */
+  getSupplier() {
+    const { supplierName, supplierGstin, supplierAddress, supplierStateCode } = this.settings;
+    return { name: supplierName, gstin: supplierGstin, address: supplierAddress, stateCode: supplierStateCode };
+  }
+
+  /**
+   * Split the billed amount into delivery charge and platform fee lines
+   * @param {number} billedAmount - Tax-inclusive fare
+   * @param {number} commissionAmount - Tax-inclusive platform commission
+   * @param {boolean} interState - IGST instead of CGST + SGST
+   * @returns {Array<Object>} Invoice lines
+   */
+  buildInvoiceLines(billedAmount, commissionAmount, interState) {
+    const platformFee = this.roundCurrency(Math.min(Math.max(commissionAmount, 0), billedAmount));
+    const lines = [
+      this.buildLine(INVOICE_LINE_TYPES.DELIVERY, this.roundCurrency(billedAmount - platformFee), interState)
+    ];
+    if (platformFee > 0) {
+      lines.push(this.buildLine(INVOICE_LINE_TYPES.PLATFORM_FEE, platformFee, interState));
+    }
+    return lines;
+  }
+
+  /**
+   * Credit note lines: the credited amount spread over the invoice lines in
+   * proportion to their amounts (the last line takes the rounding remainder)
+   * @param {Object} invoice - Original invoice
+   * @param {number} amount - Tax-inclusive amount credited
+   * @returns {Array<Object>} Credit note lines
+   */
+  buildCreditNoteLines(invoice, amount) {
+    const interState = invoice.supplyType === 'inter_state';
+    let remaining = amount;
+
+    return invoice.lines.map((line, index) => {
+      const lineAmount = index === invoice.lines.length - 1
+        ? remaining
+        : this.roundCurrency(amount * line.amount / invoice.totals.grandTotal);
+      remaining = this.roundCurrency(remaining - lineAmount);
+      return this.buildLine(line.type, lineAmount, interState);
+    });
+  }
+
+  /**
+   * One document line with GST backed out of its tax-inclusive amount
+   * @param {string} type - INVOICE_LINE_TYPES value
+   * @param {number} amount - Tax-inclusive amount
+   * @param {boolean} interState - IGST instead of CGST + SGST
+   * @returns {Object} Line
+   */
+  buildLine(type, amount, interState) {
+    const { gstRate, deliverySacCode, platformFeeSacCode } = this.settings;
+    const taxableValue = this.roundCurrency(amount * 100 / (100 + gstRate));
+    const tax = this.roundCurrency(amount - taxableValue);
+    const cgst = interState ? 0 : this.roundCurrency(tax / 2);
+
+    return {
+      type,
+      description: type === INVOICE_LINE_TYPES.PLATFORM_FEE ? 'Platform fee' : 'Delivery charges',
+      sacCode: type === INVOICE_LINE_TYPES.PLATFORM_FEE ? platformFeeSacCode : deliverySacCode,
+      amount,
+      taxableValue,
+      gstRate,
+      cgst,
+      sgst: interState ? 0 : this.roundCurrency(tax - cgst),
+      igst: interState ? tax : 0
+    };
+  }
+
+  /**
+   * Document totals from its lines
+   * @param {Array<Object>} lines - Document lines
+   * @returns {Object} { taxableValue, cgst, sgst, igst, totalTax, grandTotal }
+   */
+  sumLines(lines) {
+    const sum = field => this.roundCurrency(lines.reduce((total, line) => total + line[field], 0));
+    const totals = {
+      taxableValue: sum('taxableValue'),
+      cgst: sum('cgst'),
+      sgst: sum('sgst'),
+      igst: sum('igst'),
+      grandTotal: sum('amount')
+    };
+    totals.totalTax = this.roundCurrency(totals.cgst + totals.sgst + totals.igst);
+    return totals;
+  }
+
+  /**
+   * Booking, customer and driver details frozen into the invoice
+   * @param {string} bookingId - Booking ID
+   * @param {Object} bookingData - Booking document
+   * @returns {Promise<Object>} Snapshot fields
+   */
+  async buildBookingSnapshot(bookingId, bookingData) {
+    const toIso = value => toDate(value)?.toISOString() || null;
+
+    let customerData = {};
+    let driverData = null;
+    try {
+      const [customerDoc, driverDoc] = await Promise.all([
+        this.db.collection('users').doc(bookingData.customerId).get(),
+        bookingData.driverId ? this.db.collection('users').doc(bookingData.driverId).get() : null
+      ]);
+      customerData = customerDoc.exists ? customerDoc.data() : {};
+      driverData = driverDoc?.exists ? driverDoc.data() : null;
+    } catch (error) {
+      console.error(`❌ [INVOICE] Error fetching parties for booking ${bookingId}:`, error);
+    }
+
+    const customerGstin = customerData.customer?.gstin;
+
+    return {
+      bookingId,
+      customerId: bookingData.customerId,
+      driverId: bookingData.driverId || null,
+      bookingDate: toIso(bookingData.createdAt),
+      completedDate: toIso(bookingData.completedAt) || toIso(bookingData.updatedAt),
+
+      customer: {
+        name: customerData.customer?.businessName || bookingData.pickup?.name || customerData.name || 'Customer',
+        phone: customerData.phoneNumber || '',
+        email: customerData.email || '',
+        gstin: this.isValidGstin(customerGstin) ? customerGstin : null
+      },
+
+      driver: driverData ? {
+        name: driverData.personalInfo?.name || 'Driver',
+        vehicleNumber: driverData.vehicleInfo?.plateNumber || 'N/A'
+      } : null,
+
+      pickup: {
+        address: bookingData.pickup?.address || 'Pickup address',
+        name: bookingData.pickup?.name || 'Sender',
+        phone: bookingData.pickup?.phone || ''
+      },
+
+      dropoff: {
+        address: bookingData.dropoff?.address || 'Dropoff address',
+        name: bookingData.dropoff?.name || 'Recipient',
+        phone: bookingData.dropoff?.phone || ''
+      },
+
+      stops: getStops(bookingData).map((stop, index) => ({
+        stopNumber: index + 1,
+        address: stop.address || 'Dropoff address',
+        name: stop.name || 'Recipient',
+        phone: stop.phone || '',
+        status: stop.status || 'pending',
+        deliveredAt: toIso(stop.deliveredAt),
+        receivedBy: stop.recipient?.name || null,
+        legDistance: bookingData.distance?.legs?.[index] ?? null
+      })),
+
+      package: {
+        weight: bookingData.package?.weight || 0,
+        description: bookingData.package?.description || 'Package',
+        value: bookingData.package?.value || 0
+      },
+
+      fare: {
+        baseFare: bookingData.fare?.base || bookingData.pricing?.baseFare || bookingData.baseFare || 0,
+        distanceFare: bookingData.fare?.distance || bookingData.pricing?.distanceFare || bookingData.distanceFare || 0,
+        totalFare: this.roundCurrency(this.getBilledAmount(bookingData)),
+        currency: bookingData.fare?.currency || bookingData.currency || 'INR'
+      },
+      currency: bookingData.fare?.currency || bookingData.currency || 'INR',
+
+      distance: bookingData.distance?.value || bookingData.distance || 0,
+      estimatedTime: bookingData.estimatedDuration || 0,
+      actualTime: bookingData.actualDuration || 0,
+
+      paymentMethod: bookingData.paymentMethod || 'cash',
+      paymentStatus: bookingData.paymentStatus || 'completed'
+    };
+  }
+
+  /**
+   * Stored document with Firestore timestamps converted for JSON responses
+   * @param {Object} document - Stored invoice or credit note
+   * @returns {Object} Response-safe copy
+   */
+  toResponse(document) {
+    return {
+      ...document,
+      // Invoices issued before number masking stored the driver's phone
+      ...(document.driver && { driver: { ...document.driver, phone: undefined } }),
+      issuedAt: toDate(document.issuedAt),
+      ...(document.creditNotes && {
+        creditNotes: document.creditNotes.map(note => ({ ...note, issuedAt: toDate(note.issuedAt) }))
+      })
+    };
+  }
+
+  /**
+   * Draw a stored invoice or credit note onto a pdfkit document
+   * @param {Object} pdf - pdfkit document (caller pipes and ends it)
+   * @param {Object} document - Stored invoice or credit note
+   */
+  renderPdf(pdf, document) {
+    const isCreditNote = document.documentType === INVOICE_DOCUMENT_TYPES.CREDIT_NOTE;
+    const money = value => `₹${Number(value || 0).toFixed(2)}`;
+    const { supplier, customer, totals } = document;
+
+    pdf.fontSize(20).text(isCreditNote ? 'Credit Note' : 'Tax Invoice');
+    pdf.fontSize(10).moveDown(0.5);
+    pdf.text(`${supplier.name}, ${supplier.address}`);
+    pdf.text(supplier.gstin ? `GSTIN: ${supplier.gstin}` : 'GSTIN: Not registered');
+    pdf.moveDown();
+
+    if (isCreditNote) {
+      pdf.text(`Credit Note No: ${document.creditNoteNumber}`);
+      pdf.text(`Date: ${new Date(document.creditNoteDate).toLocaleDateString('en-IN')}`);
+      pdf.text(`Against Invoice: ${document.originalInvoiceNumber} dated ${new Date(document.originalInvoiceDate).toLocaleDateString('en-IN')}`);
+      if (document.reason) {
+        pdf.text(`Reason: ${document.reason}`);
+      }
+    } else {
+      pdf.text(`Invoice No: ${document.invoiceNumber}`);
+      pdf.text(`Date: ${new Date(document.invoiceDate).toLocaleDateString('en-IN')}`);
+    }
+    pdf.text(`Booking ID: ${document.bookingId}`);
+    pdf.text(`Place of Supply: ${document.placeOfSupply}`);
+    pdf.moveDown();
+
+    pdf.fontSize(12).text('Billed To:');
+    pdf.fontSize(10).text(customer.name);
+    if (customer.gstin) pdf.text(`GSTIN: ${customer.gstin}`);
+    if (customer.phone) pdf.text(`Phone: ${customer.phone}`);
+    if (customer.email) pdf.text(`Email: ${customer.email}`);
+    pdf.moveDown();
+
+    if (!isCreditNote) {
+      pdf.fontSize(12).text('Delivery:');
+      pdf.fontSize(10).text(`Pickup: ${document.pickup.address}`);
+      if (document.stops.length > 1) {
+        document.stops.forEach(stop => pdf.text(`Stop ${stop.stopNumber}: ${stop.address}`));
+      } else {
+        pdf.text(`Drop-off: ${document.dropoff.address}`);
+      }
+      if (document.driver) {
+        pdf.text(`Driver: ${document.driver.name} (${document.driver.vehicleNumber})`);
+      }
+      pdf.moveDown();
+    }
+
+    pdf.fontSize(12).text('Details:');
+    pdf.fontSize(10);
+    document.lines.forEach(line => {
+      const tax = document.supplyType === 'inter_state'
+        ? `IGST ${line.gstRate}% ${money(line.igst)}`
+        : `CGST ${line.gstRate / 2}% ${money(line.cgst)}, SGST ${line.gstRate / 2}% ${money(line.sgst)}`;
+      pdf.text(`${line.description} (SAC ${line.sacCode})`);
+      pdf.text(`Taxable value ${money(line.taxableValue)}; ${tax}; Total ${money(line.amount)}`, { indent: 20 });
+    });
+    pdf.moveDown();
+
+    pdf.text(`Taxable Value: ${money(totals.taxableValue)}`);
+    if (document.supplyType === 'inter_state') {
+      pdf.text(`IGST: ${money(totals.igst)}`);
+    } else {
+      pdf.text(`CGST: ${money(totals.cgst)}`);
+      pdf.text(`SGST: ${money(totals.sgst)}`);
+    }
+    pdf.fontSize(14).text(`${isCreditNote ? 'Total Credited' : 'Total'}: ${money(totals.grandTotal)}`);
+
+    if (!isCreditNote) {
+      pdf.fontSize(10).moveDown();
+      pdf.text(`Payment: ${document.paymentMethod} (${document.paymentStatus})`);
+      (document.creditNotes || []).forEach(note => {
+        pdf.text(`Credit note ${note.creditNoteNumber}: ${money(note.amount)}`);
+      });
+      pdf.moveDown();
+      pdf.text('Thank you for using EPickup!');
+    }
+  }
+
+  /**
+   * Round to paise
+   */
+  roundCurrency(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+}
+
+module.exports = new InvoiceService();
@@ -1,5 +1,6 @@
 const { getFirestore } = require('./firebase');
 const monitoringService = require('./monitoringService');
+const driverProximityService = require('./driverProximityService');
 
 /**
  * Enhanced Location and Distance Service
@@ -213,60 +214,50 @@ class LocationService {
   }
 
   /**
-   * Find nearby drivers with optimized query
-   * @param {Object} pickupLocation - Pickup coordinates
+   * Find nearby drivers using the driverLocations geohash index
+   * @param {Object} pickupLocation - Pickup coordinates {lat, lng}
    * @param {number} maxDistance - Maximum distance in meters
    * @param {Object} options - Query options
-   * @returns {Promise<Array>} Nearby drivers
+   * @returns {Promise<Array>} Nearby drivers (user documents with distanceFromPickup in meters)
    */
   async findNearbyDrivers(pickupLocation, maxDistance = 10000, options = {}) {
     try {
       const { limit = 50, includeOffline = false } = options;
 
-      // Build query constraints
-      const constraints = [
-        ['driver.isAvailable', '==', true],
-        ['driver.isOnline', '==', true]
-      ];
-
-      if (!includeOffline) {
-        constraints.push(['driver.lastSeen', '>=', new Date(Date.now() - 30 * 60 * 1000)]); // 30 minutes
-      }
-
-      // Get drivers with basic filters
-      let query = this.db.collection('users');
-      constraints.forEach(([field, operator, value]) => {
-        query = query.where(field, operator, value);
-      });
-
-      const driversSnapshot = await query.limit(limit).get();
+      const nearbyLocations = await driverProximityService.findNearbyDriverLocations(
+        pickupLocation,
+        maxDistance / 1000,
+        { limit }
+      );
+
+      // driverLocations is the index; users holds the authoritative driver status
+      const db = this.getDb();
+      const userDocs = nearbyLocations.length > 0
+        ? await db.getAll(...nearbyLocations.map(location => db.collection('users').doc(location.driverId)))
+        : [];
+      const lastSeenCutoff = Date.now() - 30 * 60 * 1000; // 30 minutes
       const nearbyDrivers = [];
 
-      for (const doc of driversSnapshot.docs) {
+      userDocs.forEach((doc, index) => {
+        if (!doc.exists) return;
         const driver = { id: doc.id, ...doc.data() };
-        
-        if (driver.driver?.currentLocation) {
-          const distance = this.calculateHaversineDistance(
-            pickupLocation,
-            driver.driver.currentLocation
-          );
-
-          if (distance <= maxDistance) {
-            nearbyDrivers.push({
-              ...driver,
-              distanceFromPickup: distance
-            });
-          }
+        if (driver.driver?.isAvailable !== true || driver.driver?.isOnline !== true) return;
+
+        if (!includeOffline) {
+          const lastSeen = driver.driver?.lastSeen?.toDate ? driver.driver.lastSeen.toDate() : new Date(driver.driver?.lastSeen || 0);
+          if (lastSeen.getTime() < lastSeenCutoff) return;
         }
-      }
 
-      // Sort by distance
-      nearbyDrivers.sort((a, b) => a.distanceFromPickup - b.distanceFromPickup);
+        nearbyDrivers.push({
+          ...driver,
+          distanceFromPickup: Math.round(nearbyLocations[index].distance * 1000)
+        });
+      });
 
       // Record metric for nearby drivers found
       monitoringService.recordMetric('nearby_drivers_found', nearbyDrivers.length, {
         maxDistance,
-        totalDriversChecked: driversSnapshot.size
+        totalDriversChecked: nearbyLocations.length
       });
 
       return nearbyDrivers;
@@ -392,6 +383,7 @@ class LocationService {
       await this.db.collection('driverLocations').doc(driverId).set({
         driverId,
         currentLocation: locationData,
+        ...driverProximityService.getIndexFields(locationData),
         currentTripId: currentBookingId, // ✅ Include active booking ID
         lastUpdated: new Date()
       }, { merge: true });
@@ -5,6 +5,7 @@
 
 const { getFirestore } = require('./firebase');
 const notificationService = require('./notificationService');
+const driverProximityService = require('./driverProximityService');
 
 class LocationTrackingService {
   constructor() {
@@ -92,6 +93,7 @@ class LocationTrackingService {
       await this.db.collection('driverLocations').doc(driverId).set({
         driverId,
         currentLocation: locationData,
+        ...driverProximityService.getIndexFields(locationData),
         lastUpdated: new Date(),
         isOnline: true,
         isAvailable: true
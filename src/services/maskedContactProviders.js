@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+
+/**
+ * Masked Contact Provider Interface
+ *
+ * A provider bridges calls and relays SMS between two parties of a booking
+ * without either side seeing the other's number. maskedContactService owns
+ * sessions, handles and access checks; providers only talk to the telephony
+ * backend. To add a real provider (Exotel, Twilio Proxy, ...), extend
+ * MaskedContactProvider and register it in createMaskedContactProvider.
+ */
+class MaskedContactProvider {
+  get name() {
+    throw new Error('Masked contact provider must define a name');
+  }
+
+  /**
+   * Open a provider session for a booking
+   * @param {Object} params - { sessionId, participants: [{ role, phone }], expiresAt }
+   * @returns {Promise<Object>} { providerSessionId }
+   */
+  async createSession() {
+    throw new Error(`${this.name}: createSession is not implemented`);
+  }
+
+  /**
+   * Connect two parties on a call; both see the provider's number
+   * @param {Object} params - { providerSessionId, from: { role, phone }, to: { role, phone } }
+   * @returns {Promise<Object>} { callId, status }
+   */
+  async bridgeCall() {
+    throw new Error(`${this.name}: bridgeCall is not implemented`);
+  }
+
+  /**
+   * Relay an SMS from the provider's number
+   * @param {Object} params - { providerSessionId, from: { role, phone }, to: { role, phone }, text }
+   * @returns {Promise<Object>} { messageId, status }
+   */
+  async sendSms() {
+    throw new Error(`${this.name}: sendSms is not implemented`);
+  }
+
+  /**
+   * Close a session; later calls and SMS through it must fail
+   * @param {string} providerSessionId - Provider session ID
+   */
+  async closeSession() {
+    throw new Error(`${this.name}: closeSession is not implemented`);
+  }
+}
+
+// Entries the local fake keeps of each kind
+const LOCAL_RECORD_LIMIT = 100;
+
+/**
+ * Local fake provider for development and offline tests. Records bridged calls
+ * and SMS instead of placing them; config validation refuses it in production.
+ * Only closed sessions are tracked, so sessions opened before a restart keep
+ * working, and the records keep the most recent entries only.
+ */
+class LocalMaskedContactProvider extends MaskedContactProvider {
+  constructor() {
+    super();
+    this.closedSessions = new Set();
+    this.calls = [];
+    this.messages = [];
+  }
+
+  get name() {
+    return 'local';
+  }
+
+  async createSession() {
+    return { providerSessionId: `local_${crypto.randomBytes(6).toString('hex')}` };
+  }
+
+  async bridgeCall({ providerSessionId, from, to }) {
+    this.assertOpen(providerSessionId);
+    const callId = `local_call_${crypto.randomBytes(6).toString('hex')}`;
+    this.record(this.calls, { callId, providerSessionId, from, to, at: new Date() });
+    console.log(`📞 [MASKED_CONTACT] (local) Bridged call ${callId}: ${from.role} → ${to.role}`);
+    return { callId, status: 'initiated' };
+  }
+
+  async sendSms({ providerSessionId, from, to, text }) {
+    this.assertOpen(providerSessionId);
+    const messageId = `local_sms_${crypto.randomBytes(6).toString('hex')}`;
+    this.record(this.messages, { messageId, providerSessionId, from, to, text, at: new Date() });
+    console.log(`✉️ [MASKED_CONTACT] (local) Relayed SMS ${messageId}: ${from.role} → ${to.role}`);
+    return { messageId, status: 'sent' };
+  }
+
+  async closeSession(providerSessionId) {
+    if (this.closedSessions.size >= LOCAL_RECORD_LIMIT) {
+      this.closedSessions.delete(this.closedSessions.values().next().value);
+    }
+    this.closedSessions.add(providerSessionId);
+  }
+
+  assertOpen(providerSessionId) {
+    if (!providerSessionId || this.closedSessions.has(providerSessionId)) {
+      throw new Error(`Provider session ${providerSessionId} is not open`);
+    }
+  }
+
+  record(list, entry) {
+    list.push(entry);
+    if (list.length > LOCAL_RECORD_LIMIT) {
+      list.splice(0, list.length - LOCAL_RECORD_LIMIT);
+    }
+  }
+}
+
+/**
+ * Create the provider configured in `maskedContact.provider`
+ * @param {string} name - Provider name
+ * @returns {MaskedContactProvider} Provider instance
+ */
+function createMaskedContactProvider(name) {
+  switch (name) {
+    case 'local':
+      return new LocalMaskedContactProvider();
+    default:
+      throw new Error(`Unknown masked contact provider: ${name}`);
+  }
+}
+
+module.exports = {
+  MaskedContactProvider,
+  LocalMaskedContactProvider,
+  createMaskedContactProvider
+};
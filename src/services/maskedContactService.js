@@ -0,0 +1,447 @@
+const crypto = require('crypto');
+const { getFirestore } = require('./firebase');
+const config = require('../config/environment');
+const { ACTIVE_BOOKING_STATUSES } = require('../constants/bookingStatuses');
+const {
+  MASKED_CONTACT_COLLECTIONS,
+  MASKED_SESSION_STATUSES,
+  MASKED_CONTACT_CHANNELS,
+  MASKED_CONTACT_ROLES
+} = require('../constants/maskedContact');
+const { getStops } = require('../utils/bookingStops');
+const { createMaskedContactProvider } = require('./maskedContactProviders');
+const { toDate } = require('../utils/dates');
+
+/**
+ * Masked Contact Service
+ * Number masking between the parties of a booking:
+ * - one session per active booking (created on first use once a driver is
+ *   assigned) mapping each party to an opaque handle
+ * - booking and chat responses carry handles instead of phone numbers
+ * - calls and SMS to a handle are bridged through the configured provider
+ * - the session expires when the booking ends (numbers are then removed)
+ *
+ * Customers can reach the driver; drivers can reach the customer, the sender
+ * and each recipient. Senders and recipients have no app, so they never hold
+ * handles themselves.
+ */
+class MaskedContactService {
+  constructor() {
+    this.providerInstance = null;
+  }
+
+  get db() {
+    return getFirestore();
+  }
+
+  get settings() {
+    return config.getMaskedContactConfig();
+  }
+
+  get provider() {
+    if (!this.providerInstance || this.providerInstance.name !== this.settings.provider) {
+      this.providerInstance = createMaskedContactProvider(this.settings.provider);
+    }
+    return this.providerInstance;
+  }
+
+  /**
+   * Whether a booking should have a masked contact session
+   */
+  isSessionEligible(bookingData) {
+    return !!bookingData?.driverId && ACTIVE_BOOKING_STATUSES.includes(bookingData.status);
+  }
+
+  /**
+   * Roles a participant may contact
+   * @param {Object} session - Session data
+   * @param {string} role - 'customer' or 'driver'
+   * @returns {Array<string>} Reachable roles
+   */
+  getReachableRoles(session, role) {
+    const roles = Object.keys(session?.participants || {});
+    if (role === MASKED_CONTACT_ROLES.CUSTOMER) {
+      return roles.filter(candidate => candidate === MASKED_CONTACT_ROLES.DRIVER);
+    }
+    if (role === MASKED_CONTACT_ROLES.DRIVER) {
+      return roles.filter(candidate => candidate !== MASKED_CONTACT_ROLES.DRIVER);
+    }
+    return [];
+  }
+
+  /**
+   * Active session of a booking
+   * @param {string} bookingId - Booking ID
+   * @returns {Promise<Object|null>} Session, or null when none is active
+   */
+  async getActiveSession(bookingId) {
+    const sessionDoc = await this.db.collection(MASKED_CONTACT_COLLECTIONS.SESSIONS).doc(bookingId).get();
+    if (!sessionDoc.exists) {
+      return null;
+    }
+    const session = sessionDoc.data();
+    return session.status === MASKED_SESSION_STATUSES.ACTIVE ? session : null;
+  }
+
+  /**
+   * Get the active session of a booking, creating it when missing. A session
+   * for a previous driver or past its lifetime is expired and replaced.
+   * @param {string} bookingId - Booking ID
+   * @param {Object} bookingData - Booking document data
+   * @returns {Promise<Object|null>} Session, or null when the booking is not eligible
+   */
+  async ensureSession(bookingId, bookingData) {
+    if (!this.settings.enabled || !this.isSessionEligible(bookingData)) {
+      return null;
+    }
+
+    const existing = await this.getActiveSession(bookingId);
+    if (existing) {
+      const expiresAt = toDate(existing.expiresAt);
+      if (existing.driverId === bookingData.driverId && (!expiresAt || expiresAt > new Date())) {
+        return existing;
+      }
+      await this.expireSession(bookingId, existing.driverId === bookingData.driverId ? 'max_lifetime' : 'driver_changed');
+    }
+
+    const participants = await this.buildParticipants(bookingData);
+    const now = new Date();
+    const session = {
+      bookingId,
+      status: MASKED_SESSION_STATUSES.ACTIVE,
+      provider: this.provider.name,
+      providerSessionId: null,
+      customerId: bookingData.customerId,
+      driverId: bookingData.driverId,
+      participants,
+      handles: Object.values(participants).map(participant => participant.handle),
+      createdAt: now,
+      expiresAt: new Date(now.getTime() + this.settings.maxSessionHours * 60 * 60 * 1000),
+      expiredAt: null,
+      expireReason: null,
+      lastContactAt: null
+    };
+
+    // Concurrent requests for the same booking keep the first session
+    const sessionRef = this.db.collection(MASKED_CONTACT_COLLECTIONS.SESSIONS).doc(bookingId);
+    const stored = await this.db.runTransaction(async (transaction) => {
+      const sessionDoc = await transaction.get(sessionRef);
+      if (sessionDoc.exists && sessionDoc.data().status === MASKED_SESSION_STATUSES.ACTIVE) {
+        return sessionDoc.data();
+      }
+      transaction.set(sessionRef, session);
+      return null;
+    });
+    if (stored) {
+      return stored;
+    }
+
+    const { providerSessionId } = await this.provider.createSession({
+      sessionId: bookingId,
+      participants: Object.values(participants).map(({ role, phone }) => ({ role, phone })),
+      expiresAt: session.expiresAt
+    });
+    await sessionRef.update({ providerSessionId });
+
+    console.log(`🔐 [MASKED_CONTACT] Session created for booking ${bookingId} (${Object.keys(participants).join(', ')})`);
+    return { ...session, providerSessionId };
+  }
+
+  /**
+   * Parties of a booking that have a phone number
+   * @returns {Promise<Object>} Participants by role
+   */
+  async buildParticipants(bookingData) {
+    const [customerDoc, driverDoc] = await Promise.all([
+      this.db.collection('users').doc(bookingData.customerId).get(),
+      this.db.collection('users').doc(bookingData.driverId).get()
+    ]);
+    const customer = customerDoc.exists ? customerDoc.data() : {};
+    const driver = driverDoc.exists ? driverDoc.data() : {};
+
+    const candidates = [
+      {
+        role: MASKED_CONTACT_ROLES.CUSTOMER,
+        userId: bookingData.customerId,
+        name: customer.name || 'Customer',
+        phone: customer.phone || customer.phoneNumber
+      },
+      {
+        role: MASKED_CONTACT_ROLES.DRIVER,
+        userId: bookingData.driverId,
+        name: driver.name || driver.driver?.name || 'Driver',
+        phone: driver.phone || driver.personalInfo?.phone
+      },
+      {
+        role: MASKED_CONTACT_ROLES.SENDER,
+        userId: null,
+        name: bookingData.pickup?.name || 'Sender',
+        phone: bookingData.pickup?.phone
+      },
+      ...getStops(bookingData).map((stop, index) => ({
+        role: `${MASKED_CONTACT_ROLES.RECIPIENT_PREFIX}${index + 1}`,
+        userId: null,
+        name: stop.name || 'Recipient',
+        phone: stop.phone
+      }))
+    ];
+
+    const participants = {};
+    candidates.filter(candidate => candidate.phone).forEach(candidate => {
+      participants[candidate.role] = {
+        ...candidate,
+        handle: `mc_${crypto.randomBytes(12).toString('hex')}`
+      };
+    });
+    return participants;
+  }
+
+  /**
+   * Expire the session of a booking and drop the stored numbers
+   * @param {string} bookingId - Booking ID
+   * @param {string} reason - Booking status or expiry reason
+   * @returns {Promise<boolean>} Whether a session was expired
+   */
+  async expireSession(bookingId, reason) {
+    try {
+      const session = await this.getActiveSession(bookingId);
+      if (!session) {
+        return false;
+      }
+
+      if (session.providerSessionId) {
+        try {
+          await this.provider.closeSession(session.providerSessionId);
+        } catch (error) {
+          // The session is expired on our side either way; handles stop resolving
+          console.error(`❌ [MASKED_CONTACT] Provider failed to close session for booking ${bookingId}:`, error.message);
+        }
+      }
+
+      const participants = {};
+      Object.entries(session.participants || {}).forEach(([role, participant]) => {
+        participants[role] = { ...participant, phone: null };
+      });
+
+      await this.db.collection(MASKED_CONTACT_COLLECTIONS.SESSIONS).doc(bookingId).update({
+        status: MASKED_SESSION_STATUSES.EXPIRED,
+        participants,
+        handles: [],
+        expiredAt: new Date(),
+        expireReason: reason || null
+      });
+
+      console.log(`🔒 [MASKED_CONTACT] Session expired for booking ${bookingId} (${reason || 'no reason'})`);
+      return true;
+    } catch (error) {
+      console.error(`❌ [MASKED_CONTACT] Failed to expire session for booking ${bookingId}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Contacts a user can reach on a booking
+   * @param {string} bookingId - Booking ID
+   * @param {string} userId - Customer or driver ID
+   * @returns {Promise<Object>} { success, data: { contacts } } or { success: false, error }
+   */
+  async getContacts(bookingId, userId) {
+    const bookingDoc = await this.db.collection('bookings').doc(bookingId).get();
+    if (!bookingDoc.exists) {
+      return { success: false, error: { code: 'BOOKING_NOT_FOUND', message: 'Booking not found' } };
+    }
+
+    const bookingData = bookingDoc.data();
+    const role = this.getViewerRole(bookingData, userId);
+    if (!role) {
+      return { success: false, error: { code: 'ACCESS_DENIED', message: 'Access denied - you can only contact parties of your own bookings' } };
+    }
+
+    const session = await this.ensureSession(bookingId, bookingData);
+    return {
+      success: true,
+      data: {
+        bookingId,
+        active: !!session,
+        contacts: this.toContacts(session, role)
+      }
+    };
+  }
+
+  /**
+   * Bridge a call from a user to the party behind a handle
+   * @param {string} handle - Masked handle of the party to call
+   * @param {string} userId - Caller (customer or driver)
+   * @returns {Promise<Object>} { success, data: { callId, status } } or { success: false, error }
+   */
+  async bridgeCall(handle, userId) {
+    return this.contact(MASKED_CONTACT_CHANNELS.CALL, handle, userId);
+  }
+
+  /**
+   * Relay an SMS from a user to the party behind a handle
+   * @param {string} handle - Masked handle of the recipient
+   * @param {string} userId - Sender (customer or driver)
+   * @param {string} text - Message text
+   * @returns {Promise<Object>} { success, data: { messageId, status } } or { success: false, error }
+   */
+  async sendSms(handle, userId, text) {
+    const message = typeof text === 'string' ? text.trim() : '';
+    if (!message || message.length > this.settings.maxSmsLength) {
+      return {
+        success: false,
+        error: { code: 'INVALID_MESSAGE', message: `Message must be between 1 and ${this.settings.maxSmsLength} characters` }
+      };
+    }
+    return this.contact(MASKED_CONTACT_CHANNELS.SMS, handle, userId, message);
+  }
+
+  async contact(channel, handle, userId, text = null) {
+    try {
+      const snapshot = await this.db.collection(MASKED_CONTACT_COLLECTIONS.SESSIONS)
+        .where('handles', 'array-contains', handle)
+        .limit(1)
+        .get();
+      if (snapshot.empty) {
+        return { success: false, error: { code: 'CONTACT_NOT_FOUND', message: 'Contact is no longer available' } };
+      }
+
+      const session = snapshot.docs[0].data();
+      const { bookingId } = session;
+      const bookingDoc = await this.db.collection('bookings').doc(bookingId).get();
+      const bookingData = bookingDoc.exists ? bookingDoc.data() : null;
+      const expiresAt = toDate(session.expiresAt);
+
+      // Sessions missed by the status hooks are expired on first use
+      let expireReason = null;
+      if (!this.isSessionEligible(bookingData)) {
+        expireReason = bookingData?.status || 'booking_missing';
+      } else if (bookingData.driverId !== session.driverId) {
+        expireReason = 'driver_changed';
+      } else if (expiresAt && expiresAt <= new Date()) {
+        expireReason = 'max_lifetime';
+      }
+      if (expireReason) {
+        await this.expireSession(bookingId, expireReason);
+        return { success: false, error: { code: 'CONTACT_NOT_FOUND', message: 'Contact is no longer available' } };
+      }
+
+      const fromRole = this.getViewerRole(session, userId);
+      const to = Object.values(session.participants).find(participant => participant.handle === handle);
+      if (!fromRole || !this.getReachableRoles(session, fromRole).includes(to.role)) {
+        return { success: false, error: { code: 'ACCESS_DENIED', message: 'You cannot contact this party' } };
+      }
+      const from = session.participants[fromRole];
+      if (!from?.phone) {
+        return { success: false, error: { code: 'CALLER_NUMBER_MISSING', message: 'Add a phone number to your profile to use calling' } };
+      }
+
+      const parties = {
+        providerSessionId: session.providerSessionId,
+        from: { role: from.role, phone: from.phone },
+        to: { role: to.role, phone: to.phone }
+      };
+      const result = channel === MASKED_CONTACT_CHANNELS.CALL
+        ? await this.provider.bridgeCall(parties)
+        : await this.provider.sendSms({ ...parties, text });
+
+      const now = new Date();
+      await this.db.collection(MASKED_CONTACT_COLLECTIONS.EVENTS).doc().set({
+        bookingId,
+        channel,
+        provider: this.provider.name,
+        providerRef: result.callId || result.messageId || null,
+        fromRole: from.role,
+        fromUserId: userId,
+        toRole: to.role,
+        status: result.status,
+        createdAt: now
+      });
+      await this.db.collection(MASKED_CONTACT_COLLECTIONS.SESSIONS).doc(bookingId).update({ lastContactAt: now });
+
+      return { success: true, data: { bookingId, channel, toRole: to.role, ...result } };
+    } catch (error) {
+      console.error(`❌ [MASKED_CONTACT] ${channel} bridge failed:`, error);
+      return {
+        success: false,
+        error: { code: 'CONTACT_BRIDGE_ERROR', message: `Failed to connect ${channel}`, details: error.message }
+      };
+    }
+  }
+
+  /**
+   * Replace the other parties' phone numbers in a booking response with
+   * handles. Bookings without an active session lose the numbers entirely.
+   * @param {Object} booking - Booking response object (with id)
+   * @param {string} viewerRole - 'customer' or 'driver'
+   * @returns {Promise<Object>} Masked copy of the booking
+   */
+  async maskBooking(booking, viewerRole) {
+    if (!booking || !this.settings.enabled) {
+      return booking;
+    }
+
+    let session = null;
+    if (this.isSessionEligible(booking)) {
+      try {
+        session = await this.ensureSession(booking.id, booking);
+      } catch (error) {
+        // Fall back to hiding the numbers without handles
+        console.error(`❌ [MASKED_CONTACT] Session unavailable for booking ${booking.id}:`, error.message);
+      }
+    }
+
+    const handleOf = role => session?.participants?.[role]?.handle || null;
+    const mask = (party, role) => (party && typeof party === 'object'
+      ? { ...party, phone: null, contactHandle: handleOf(role) }
+      : party);
+    const masked = { ...booking };
+
+    if (viewerRole === MASKED_CONTACT_ROLES.CUSTOMER) {
+      masked.driver = mask(masked.driver, MASKED_CONTACT_ROLES.DRIVER);
+      masked.driverInfo = mask(masked.driverInfo, MASKED_CONTACT_ROLES.DRIVER);
+    } else {
+      const stopCount = getStops(booking).length;
+      masked.customer = mask(masked.customer, MASKED_CONTACT_ROLES.CUSTOMER);
+      masked.pickup = mask(masked.pickup, MASKED_CONTACT_ROLES.SENDER);
+      // `dropoff` mirrors the final stop
+      masked.dropoff = mask(masked.dropoff, `${MASKED_CONTACT_ROLES.RECIPIENT_PREFIX}${stopCount}`);
+      if (Array.isArray(masked.stops)) {
+        masked.stops = masked.stops.map((stop, index) => mask(stop, `${MASKED_CONTACT_ROLES.RECIPIENT_PREFIX}${index + 1}`));
+      }
+    }
+
+    masked.contacts = this.toContacts(session, viewerRole);
+    return masked;
+  }
+
+  /**
+   * Mask a list of booking responses
+   */
+  async maskBookings(bookings, viewerRole) {
+    return Promise.all(bookings.map(booking => this.maskBooking(booking, viewerRole)));
+  }
+
+  /**
+   * Reachable parties as returned to apps (never includes numbers)
+   */
+  toContacts(session, role) {
+    return this.getReachableRoles(session, role).map(targetRole => ({
+      role: targetRole,
+      name: session.participants[targetRole].name,
+      handle: session.participants[targetRole].handle
+    }));
+  }
+
+  /**
+   * 'customer' / 'driver' for a user of a booking or session, else null
+   */
+  getViewerRole(data, userId) {
+    if (!data || !userId) return null;
+    if (data.customerId === userId) return MASKED_CONTACT_ROLES.CUSTOMER;
+    if (data.driverId === userId) return MASKED_CONTACT_ROLES.DRIVER;
+    return null;
+  }
+}
+
+module.exports = new MaskedContactService();
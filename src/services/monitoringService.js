@@ -385,6 +385,21 @@ class MonitoringService {
     }
   }
 
+  /**
+   * Log driver assignment event
+   * @param {string} eventType - Event type (e.g., 'no_drivers_available', 'concurrent_acceptance_resolved')
+   * @param {Object} data - Assignment data
+   */
+  async logDriverAssignment(eventType, data = {}) {
+    try {
+      this.recordCounter(`assignment.${eventType}`, 1);
+      console.log(`📊 [MONITORING] Assignment event logged: ${eventType}`, data);
+    } catch (error) {
+      console.error('❌ [MONITORING] Failed to log assignment event:', error);
+      // Don't throw - monitoring failures shouldn't break assignment flow
+    }
+  }
+
   /**
    * Cleanup intervals to prevent memory leaks
    */
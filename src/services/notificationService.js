@@ -878,6 +878,86 @@ class NotificationService {
     }
   }
 
+  /**
+   * Send booking scheduled notification to customer
+   */
+  async notifyCustomerBookingScheduled(bookingData) {
+    try {
+      const notification = NotificationBuilder.customerBookingScheduled(bookingData);
+      return await this.sendToUser(bookingData.customerId, notification, {
+        sound: 'default',
+        priority: 'normal'
+      });
+    } catch (error) {
+      console.error('Error sending booking scheduled notification:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Send scheduled pickup reminder to customer
+   */
+  async notifyCustomerScheduledPickupReminder(bookingData) {
+    try {
+      const notification = NotificationBuilder.customerScheduledPickupReminder(bookingData);
+      return await this.sendToUser(bookingData.customerId, notification, {
+        sound: 'default',
+        priority: 'high'
+      });
+    } catch (error) {
+      console.error('Error sending scheduled pickup reminder:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Send scheduled booking released-to-matching notification to customer
+   */
+  async notifyCustomerScheduledBookingReleased(bookingData) {
+    try {
+      const notification = NotificationBuilder.customerScheduledBookingReleased(bookingData);
+      return await this.sendToUser(bookingData.customerId, notification, {
+        sound: 'default',
+        priority: 'high'
+      });
+    } catch (error) {
+      console.error('Error sending scheduled booking released notification:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Send delivery OTP(s) to customer
+   */
+  async notifyCustomerDeliveryOtp(bookingData, otpRecords) {
+    try {
+      const notification = NotificationBuilder.customerDeliveryOtp(bookingData, otpRecords);
+      return await this.sendToUser(bookingData.customerId, notification, {
+        sound: 'default',
+        priority: 'high'
+      });
+    } catch (error) {
+      console.error('Error sending delivery OTP notification:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Send intermediate stop delivered notification to customer (multi-stop bookings)
+   */
+  async notifyCustomerStopDelivered(bookingData, stopIndex) {
+    try {
+      const notification = NotificationBuilder.customerStopDelivered(bookingData, stopIndex);
+      return await this.sendToUser(bookingData.customerId, notification, {
+        sound: 'default',
+        priority: 'normal'
+      });
+    } catch (error) {
+      console.error('Error sending stop delivered notification:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Send emergency alert notification to admin
    */
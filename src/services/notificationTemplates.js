@@ -86,6 +86,31 @@ const NOTIFICATION_TEMPLATES = {
       title: "Booking Cancelled",
       body: "Your booking has been cancelled. {{reason}}",
       data: { type: 'booking_cancelled', action: 'book_again' }
+    },
+    BOOKING_SCHEDULED: {
+      title: "Pickup Scheduled! 🗓️",
+      body: "Your pickup is scheduled for {{pickupSlot}}. We'll start finding a driver shortly before then.",
+      data: { type: 'booking_scheduled', action: 'view_booking' }
+    },
+    SCHEDULED_PICKUP_REMINDER: {
+      title: "Upcoming Pickup ⏰",
+      body: "Reminder: your scheduled pickup from {{pickupAddress}} is at {{pickupSlot}}.",
+      data: { type: 'scheduled_pickup_reminder', action: 'view_booking' }
+    },
+    SCHEDULED_BOOKING_RELEASED: {
+      title: "Finding Your Driver 🔍",
+      body: "Your scheduled pickup at {{pickupSlot}} is coming up. We're now finding a driver for you.",
+      data: { type: 'scheduled_booking_released', action: 'view_booking' }
+    },
+    DELIVERY_OTP: {
+      title: "Your Delivery Code 🔐",
+      body: "Share {{otpSummary}} with the recipient. The driver needs it to complete the delivery.",
+      data: { type: 'delivery_otp', action: 'view_booking' }
+    },
+    STOP_DELIVERED: {
+      title: "Stop {{stopNumber}} of {{totalStops}} Delivered 📦",
+      body: "Your package was delivered to {{recipientName}}. The driver is heading to the next stop.",
+      data: { type: 'stop_delivered', action: 'track_delivery' }
     }
   },
 
@@ -330,6 +355,25 @@ class NotificationBuilder {
     return String(value);
   }
 
+  /**
+   * Format a scheduled pickup time as day + time in IST (e.g. "Mon, 20 Oct, 10:30 am")
+   * Variable names using this must not contain date/time/eta so the
+   * preformatted value is not re-formatted by the template processor.
+   */
+  static formatScheduledSlot(value) {
+    if (!value) return null;
+    const date = typeof value?.toDate === 'function' ? value.toDate() : new Date(value);
+    if (isNaN(date.getTime())) return String(value);
+    return date.toLocaleString('en-IN', {
+      weekday: 'short',
+      day: 'numeric',
+      month: 'short',
+      hour: 'numeric',
+      minute: '2-digit',
+      timeZone: 'Asia/Kolkata'
+    });
+  }
+
   /**
    * Build customer booking created notification
    */
@@ -399,6 +443,84 @@ class NotificationBuilder {
     return notification;
   }
 
+  /**
+   * Build booking scheduled notification for customer
+   */
+  static customerBookingScheduled(bookingData) {
+    const template = NotificationTemplateProcessor.getTemplate('CUSTOMER', 'BOOKING_SCHEDULED');
+    const bookingId = bookingData.id || bookingData.bookingId;
+    const notification = NotificationTemplateProcessor.process(template, {
+      pickupSlot: this.formatScheduledSlot(bookingData.scheduledPickupTime),
+      bookingId: bookingId
+    });
+    notification.bookingId = bookingId;
+    return notification;
+  }
+
+  /**
+   * Build scheduled pickup reminder notification for customer
+   */
+  static customerScheduledPickupReminder(bookingData) {
+    const template = NotificationTemplateProcessor.getTemplate('CUSTOMER', 'SCHEDULED_PICKUP_REMINDER');
+    const bookingId = bookingData.id || bookingData.bookingId;
+    const notification = NotificationTemplateProcessor.process(template, {
+      pickupAddress: bookingData.pickup?.address || 'your pickup location',
+      pickupSlot: this.formatScheduledSlot(bookingData.scheduledPickupTime),
+      bookingId: bookingId
+    });
+    notification.bookingId = bookingId;
+    return notification;
+  }
+
+  /**
+   * Build scheduled booking released-to-matching notification for customer
+   */
+  static customerScheduledBookingReleased(bookingData) {
+    const template = NotificationTemplateProcessor.getTemplate('CUSTOMER', 'SCHEDULED_BOOKING_RELEASED');
+    const bookingId = bookingData.id || bookingData.bookingId;
+    const notification = NotificationTemplateProcessor.process(template, {
+      pickupSlot: this.formatScheduledSlot(bookingData.scheduledPickupTime),
+      bookingId: bookingId
+    });
+    notification.bookingId = bookingId;
+    return notification;
+  }
+
+  /**
+   * Build delivery OTP notification for customer
+   */
+  static customerDeliveryOtp(bookingData, otpRecords) {
+    const template = NotificationTemplateProcessor.getTemplate('CUSTOMER', 'DELIVERY_OTP');
+    const bookingId = bookingData.id || bookingData.bookingId;
+    const otpSummary = otpRecords.length > 1
+      ? `codes ${otpRecords.map(record => `${record.code} (stop ${record.stopIndex + 1})`).join(', ')}`
+      : `code ${otpRecords[0].code}`;
+    const notification = NotificationTemplateProcessor.process(template, {
+      otpSummary,
+      bookingId: bookingId
+    });
+    notification.bookingId = bookingId;
+    return notification;
+  }
+
+  /**
+   * Build intermediate stop delivered notification for customer (multi-stop bookings)
+   */
+  static customerStopDelivered(bookingData, stopIndex) {
+    const template = NotificationTemplateProcessor.getTemplate('CUSTOMER', 'STOP_DELIVERED');
+    const bookingId = bookingData.id || bookingData.bookingId;
+    const stops = bookingData.stops || [];
+    const stop = stops[stopIndex] || {};
+    const notification = NotificationTemplateProcessor.process(template, {
+      stopNumber: stopIndex + 1,
+      totalStops: stops.length,
+      recipientName: stop.recipient?.name || stop.name || 'the recipient',
+      bookingId: bookingId
+    });
+    notification.bookingId = bookingId;
+    return notification;
+  }
+
   /**
    * Build emergency alert notification for admin
    */
@@ -0,0 +1,300 @@
+const axios = require('axios');
+const sharp = require('sharp');
+const { getFirestore, getStorage } = require('./firebase');
+const config = require('../config/environment');
+const {
+  PACKAGE_PHOTO_COLLECTIONS,
+  PACKAGE_PHOTO_CHECK_STATUSES,
+  PACKAGE_PHOTO_REVIEW_STATUSES,
+  PACKAGE_PHOTO_ALLOWED_HOSTS
+} = require('../constants/packagePhotos');
+const { toDate } = require('../utils/dates');
+
+const HISTOGRAM_SIZE = 128; // Photos are resized to this square before binning
+const HISTOGRAM_MARGIN = 0.2; // Border share ignored so the package, not the background, dominates
+const EXCLUDED_PHOTO_STATUSES = ['retaken', 'cancellation_evidence', 'rejected'];
+
+/**
+ * Package Photo Comparison Service
+ * Compares the optional dropoff photo of a booking with its pickup photo:
+ * - hash similarity: distance between the 64-bit difference hashes of
+ *   documentImageCheckService (0 bits = 1.0, 32+ bits = 0.0)
+ * - colour similarity: intersection of 8x8x8-bin RGB histograms of the
+ *   centre of each photo
+ * The match score blends both (`hashWeight`). Scores below `minMatchScore`
+ * open a review for admins. Results live in `packagePhotoChecks` (doc id =
+ * booking ID), not on the booking, so customers only ever see the photos.
+ */
+class PackagePhotoComparisonService {
+  get db() {
+    return getFirestore();
+  }
+
+  get settings() {
+    return config.getPackagePhotoCheckConfig();
+  }
+
+  /**
+   * Compare in the background after a delivery photo upload; never throws
+   * @param {string} bookingId - Booking ID
+   */
+  scheduleComparison(bookingId) {
+    if (!this.settings.enabled) {
+      return;
+    }
+    this.compareForBooking(bookingId).catch(error => {
+      console.error(`❌ [PACKAGE_PHOTO] Comparison failed for booking ${bookingId}:`, error);
+    });
+  }
+
+  /**
+   * Compare the latest pickup and delivery photos of a booking and store the result
+   * @param {string} bookingId - Booking ID
+   * @returns {Promise<Object>} Result with the check
+   */
+  async compareForBooking(bookingId) {
+    const bookingDoc = await this.db.collection('bookings').doc(bookingId).get();
+    if (!bookingDoc.exists) {
+      return { success: false, error: { code: 'BOOKING_NOT_FOUND', message: 'Booking not found' } };
+    }
+
+    const booking = bookingDoc.data();
+    const supportEvidenceService = require('./supportEvidenceService');
+    const photoSnapshot = await this.db.collection('photoVerifications').where('bookingId', '==', bookingId).get();
+    const photos = supportEvidenceService.buildPhotos(photoSnapshot.docs, booking);
+    const pickupPhoto = this.latestPhoto(photos, 'pickup');
+    const deliveryPhoto = this.latestPhoto(photos, 'delivery');
+
+    const now = new Date();
+    const check = {
+      bookingId,
+      customerId: booking.customerId || null,
+      driverId: booking.driverId || null,
+      pickupPhoto: this.describePhoto(pickupPhoto),
+      deliveryPhoto: this.describePhoto(deliveryPhoto),
+      matchScore: null,
+      hashDistance: null,
+      histogramSimilarity: null,
+      minMatchScore: this.settings.minMatchScore,
+      reason: null,
+      reviewStatus: null,
+      review: null,
+      comparedAt: now,
+      updatedAt: now
+    };
+
+    if (!pickupPhoto || !deliveryPhoto) {
+      check.status = PACKAGE_PHOTO_CHECK_STATUSES.UNAVAILABLE;
+      check.reason = !pickupPhoto ? 'pickup_photo_missing' : 'delivery_photo_missing';
+    } else {
+      try {
+        const [pickupBuffer, deliveryBuffer] = await Promise.all([this.loadPhoto(pickupPhoto), this.loadPhoto(deliveryPhoto)]);
+        Object.assign(check, await this.compare(pickupBuffer, deliveryBuffer));
+        check.status = check.matchScore >= this.settings.minMatchScore
+          ? PACKAGE_PHOTO_CHECK_STATUSES.MATCHED
+          : PACKAGE_PHOTO_CHECK_STATUSES.FLAGGED;
+      } catch (error) {
+        console.warn(`⚠️ [PACKAGE_PHOTO] Could not compare photos of booking ${bookingId}:`, error.message);
+        check.status = PACKAGE_PHOTO_CHECK_STATUSES.UNAVAILABLE;
+        check.reason = 'photo_unreadable';
+      }
+    }
+
+    if (check.status === PACKAGE_PHOTO_CHECK_STATUSES.FLAGGED) {
+      check.reviewStatus = PACKAGE_PHOTO_REVIEW_STATUSES.OPEN;
+      check.review = { openedAt: now, resolution: null, notes: null, resolvedBy: null, resolvedAt: null };
+    }
+
+    await this.db.collection(PACKAGE_PHOTO_COLLECTIONS.CHECKS).doc(bookingId).set(check);
+
+    if (check.status === PACKAGE_PHOTO_CHECK_STATUSES.FLAGGED) {
+      await this.notifyAdmins(check);
+      console.warn(`🚩 [PACKAGE_PHOTO] Booking ${bookingId} dropoff photo scored ${check.matchScore} (< ${this.settings.minMatchScore}) - flagged for review`);
+    } else {
+      console.log(`📦 [PACKAGE_PHOTO] Booking ${bookingId}: ${check.status}${check.matchScore !== null ? ` (score ${check.matchScore})` : ''}`);
+    }
+    return { success: true, data: check };
+  }
+
+  /**
+   * Score two photos of a package
+   * @param {Buffer} pickupBuffer - Pickup photo content
+   * @param {Buffer} deliveryBuffer - Delivery photo content
+   * @returns {Promise<Object>} { matchScore, hashDistance, histogramSimilarity }
+   */
+  async compare(pickupBuffer, deliveryBuffer) {
+    const documentImageCheckService = require('./documentImageCheckService');
+    const [pickupHash, deliveryHash, pickupHistogram, deliveryHistogram] = await Promise.all([
+      documentImageCheckService.perceptualHash(pickupBuffer),
+      documentImageCheckService.perceptualHash(deliveryBuffer),
+      this.colorHistogram(pickupBuffer),
+      this.colorHistogram(deliveryBuffer)
+    ]);
+
+    const hashDistance = documentImageCheckService.hammingDistance(pickupHash, deliveryHash);
+    const hashSimilarity = Math.max(0, 1 - hashDistance / 32);
+    const histogramSimilarity = pickupHistogram.reduce((sum, value, index) => sum + Math.min(value, deliveryHistogram[index]), 0);
+    const hashWeight = Math.min(Math.max(this.settings.hashWeight, 0), 1);
+
+    return {
+      matchScore: this.round(hashWeight * hashSimilarity + (1 - hashWeight) * histogramSimilarity),
+      hashDistance,
+      histogramSimilarity: this.round(histogramSimilarity)
+    };
+  }
+
+  /**
+   * Normalised 512-bin RGB histogram of the centre of a photo
+   */
+  async colorHistogram(buffer) {
+    const { data, info } = await sharp(buffer)
+      .rotate()
+      .removeAlpha()
+      .toColourspace('srgb')
+      .resize(HISTOGRAM_SIZE, HISTOGRAM_SIZE, { fit: 'cover' })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const histogram = new Array(512).fill(0);
+    const margin = Math.round(HISTOGRAM_SIZE * HISTOGRAM_MARGIN);
+    let count = 0;
+    for (let y = margin; y < info.height - margin; y++) {
+      for (let x = margin; x < info.width - margin; x++) {
+        const i = (y * info.width + x) * info.channels;
+        histogram[((data[i] >> 5) << 6) | ((data[i + 1] >> 5) << 3) | (data[i + 2] >> 5)]++;
+        count++;
+      }
+    }
+    return histogram.map(value => value / (count || 1));
+  }
+
+  /**
+   * Latest usable photo of a type from supportEvidenceService.buildPhotos
+   */
+  latestPhoto(photos, photoType) {
+    const candidates = photos.filter(photo => photo.photoType === photoType &&
+      !EXCLUDED_PHOTO_STATUSES.includes(photo.status) && (photo.storagePath || photo.photoUrl));
+    return candidates.length > 0 ? candidates[candidates.length - 1] : null;
+  }
+
+  describePhoto(photo) {
+    if (!photo) {
+      return null;
+    }
+    return {
+      id: photo.id,
+      photoUrl: photo.photoUrl,
+      storagePath: photo.storagePath,
+      uploadedAt: photo.uploadedAt
+    };
+  }
+
+  /**
+   * Photo content from Storage, or from its URL when only a URL was recorded
+   * (limited to Firebase/Cloud Storage hosts)
+   */
+  async loadPhoto(photo) {
+    if (photo.storagePath) {
+      const [buffer] = await getStorage().bucket().file(photo.storagePath).download();
+      return buffer;
+    }
+
+    const url = new URL(photo.photoUrl);
+    if (url.protocol !== 'https:' || !PACKAGE_PHOTO_ALLOWED_HOSTS.includes(url.hostname)) {
+      throw new Error(`Photo URL origin ${url.origin} is not allowed`);
+    }
+    const response = await axios.get(url.toString(), {
+      responseType: 'arraybuffer',
+      timeout: this.settings.downloadTimeoutMs,
+      maxContentLength: this.settings.maxPhotoBytes
+    });
+    return Buffer.from(response.data);
+  }
+
+  async notifyAdmins(check) {
+    try {
+      const notificationService = require('./notificationService');
+      await notificationService.sendToTopic('admin', {
+        type: 'package_photo_review',
+        title: 'Dropoff photo does not match pickup',
+        body: `Booking ${check.bookingId}: package photo match score ${check.matchScore}`,
+        data: { bookingId: check.bookingId, driverId: check.driverId || '' }
+      });
+    } catch (error) {
+      console.warn(`⚠️ [PACKAGE_PHOTO] Failed to notify admin topic about booking ${check.bookingId}:`, error.message);
+    }
+  }
+
+  /**
+   * Stored comparison of a booking
+   * @param {string} bookingId - Booking ID
+   * @returns {Promise<Object|null>} Check
+   */
+  async getCheck(bookingId) {
+    const checkDoc = await this.db.collection(PACKAGE_PHOTO_COLLECTIONS.CHECKS).doc(bookingId).get();
+    return checkDoc.exists ? checkDoc.data() : null;
+  }
+
+  /**
+   * Pickup/dropoff photo pair shown to the customer in the booking detail
+   * (taken from the verification blocks on the booking; no scores)
+   * @param {Object} booking - Booking data
+   * @returns {Object|null} { pickup, delivery }
+   */
+  getEvidencePair(booking) {
+    const describe = verification => {
+      const photoUrl = verification?.photoUrl || verification?.url;
+      return photoUrl ? { photoUrl, takenAt: toDate(verification.verifiedAt || verification.uploadedAt) } : null;
+    };
+    const pickup = describe(booking.pickupVerification || booking.photoVerification?.pickup);
+    const delivery = describe(booking.deliveryVerification || booking.photoVerification?.delivery);
+    return pickup || delivery ? { pickup, delivery } : null;
+  }
+
+  /**
+   * Flagged comparisons for the admin queue, oldest first
+   */
+  async listReviews(status = PACKAGE_PHOTO_REVIEW_STATUSES.OPEN, limit = 50) {
+    const snapshot = await this.db.collection(PACKAGE_PHOTO_COLLECTIONS.CHECKS)
+      .where('reviewStatus', '==', status)
+      .orderBy('comparedAt', 'asc')
+      .limit(limit)
+      .get();
+    return snapshot.docs.map(doc => doc.data());
+  }
+
+  /**
+   * Close the review of a flagged comparison
+   * @param {string} bookingId - Booking ID (= check ID)
+   * @param {string} adminId - Admin ID
+   * @param {Object} params - { resolution, notes }
+   * @returns {Promise<Object>} Result with the check
+   */
+  async resolveReview(bookingId, adminId, { resolution, notes }) {
+    const checkRef = this.db.collection(PACKAGE_PHOTO_COLLECTIONS.CHECKS).doc(bookingId);
+    const checkDoc = await checkRef.get();
+    if (!checkDoc.exists || !checkDoc.data().review) {
+      return { success: false, error: { code: 'REVIEW_NOT_FOUND', message: 'Review not found' } };
+    }
+
+    const check = checkDoc.data();
+    if (check.reviewStatus !== PACKAGE_PHOTO_REVIEW_STATUSES.OPEN) {
+      return { success: false, error: { code: 'REVIEW_CLOSED', message: 'Review is already resolved' } };
+    }
+
+    const now = new Date();
+    const update = {
+      reviewStatus: PACKAGE_PHOTO_REVIEW_STATUSES.RESOLVED,
+      review: { ...check.review, resolution, notes, resolvedBy: adminId, resolvedAt: now },
+      updatedAt: now
+    };
+    await checkRef.update(update);
+    return { success: true, data: { ...check, ...update } };
+  }
+
+  round(value) {
+    return Math.round(value * 1000) / 1000;
+  }
+}
+
+module.exports = new PackagePhotoComparisonService();
@@ -2,6 +2,8 @@ const { getFirestore } = require('./firebase');
 const axios = require('axios');
 const crypto = require('crypto');
 const phonepeConfig = require('./phonepeConfigService');
+const { REFUND_DESTINATIONS, CUSTOMER_TOP_UP_ID_PREFIX } = require('../constants/customerWallet');
+const { CREDIT_NOTE_REASONS } = require('../constants/invoices');
 
 /**
  * Payment Service for EPickup delivery platform
@@ -42,6 +44,14 @@ class PaymentService {
         supported: true,
         gateway: 'phonepe'
       },
+      // Prepaid customer wallet (customerWalletService)
+      wallet: {
+        name: 'EPickup Wallet',
+        code: 'wallet',
+        description: 'Pay from your prepaid wallet balance',
+        requiresPrePayment: true,
+        supported: true
+      }
     };
   }
 
@@ -105,6 +115,8 @@ class PaymentService {
           return await this.processCashPayment(data);
         case 'upi':
           return await this.processUPIPayment(data);
+        case 'wallet':
+          return await this.processWalletPayment(data);
         default:
           throw new Error('Unsupported payment method');
       }
@@ -189,8 +201,8 @@ class PaymentService {
         throw new Error(`Payment validation failed: ${validation.errors.join(', ')}`);
       }
 
-      // Generate unique transaction ID
-      const transactionId = `UPI_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      // Callers that track the payment themselves (wallet top-ups) pass their own ID
+      const transactionId = paymentData.transactionId || `UPI_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
       
       // Create payment payload for PhonePe
       const payload = {
@@ -268,6 +280,137 @@ class PaymentService {
     }
   }
 
+  /**
+   * Pay a booking from the customer wallet
+   * @param {Object} paymentData - Payment data
+   * @returns {Object} Payment result
+   */
+  async processWalletPayment(paymentData) {
+    const { bookingId, customerId, amount } = paymentData;
+    if (!bookingId || !customerId || !(amount > 0)) {
+      throw new Error('Wallet payment requires booking ID, customer ID and a positive amount');
+    }
+
+    const paymentId = this.walletPaymentId(bookingId);
+    const customerWalletService = require('./customerWalletService');
+    const debit = await customerWalletService.debitForBooking(customerId, bookingId, amount, { paymentId });
+
+    if (!debit.success) {
+      return {
+        success: false,
+        error: debit.error
+      };
+    }
+
+    // One wallet payment per booking; a retried debit keeps the existing record
+    if (!debit.data.alreadyProcessed || !(await this.getPaymentRecord(paymentId))) {
+      await this.createPaymentRecord({
+        id: paymentId,
+        bookingId,
+        customerId,
+        amount,
+        currency: 'INR',
+        paymentMethod: 'wallet',
+        status: 'completed',
+        paymentDetails: {
+          type: 'wallet',
+          walletTransactionId: debit.data.transactionId
+        },
+        refundedAmount: 0,
+        completedAt: new Date(),
+        createdAt: new Date(),
+        updatedAt: new Date()
+      });
+    }
+
+    return {
+      success: true,
+      message: 'Wallet payment completed successfully',
+      data: {
+        paymentId,
+        status: 'completed',
+        paymentMethod: 'wallet',
+        amount,
+        currency: 'INR',
+        walletBalance: debit.data.balance,
+        alreadyProcessed: debit.data.alreadyProcessed
+      }
+    };
+  }
+
+  /**
+   * Payment record ID of a booking's wallet payment (one per booking)
+   * @param {string} bookingId - Booking ID
+   * @returns {string} Payment ID
+   */
+  walletPaymentId(bookingId) {
+    return `WALLET_${bookingId}`;
+  }
+
+  /**
+   * Pay a completing booking from the customer wallet inside the caller's
+   * transaction: the debit, the payment record and the driver payable commit
+   * together with the booking update or not at all. Runs the caller's last
+   * reads, so call it after the booking read and before any write.
+   * @param {Object} transaction - Firestore transaction
+   * @param {Object} params - { bookingId, customerId, amount, booking }
+   * @returns {Promise<Object>} Payment result, as from processWalletPayment
+   */
+  async stageWalletPayment(transaction, { bookingId, customerId, amount, booking }) {
+    const customerWalletService = require('./customerWalletService');
+    const driverSettlementService = require('./driverSettlementService');
+    const paymentId = this.walletPaymentId(bookingId);
+    const paidBooking = { ...booking, payment: { ...(booking.payment || {}), paymentMethod: 'wallet' } };
+
+    const debit = await customerWalletService.stageBookingPayment(transaction, customerId, bookingId, amount, { paymentId });
+    if (!debit.result.success) {
+      return {
+        success: false,
+        error: debit.result.error
+      };
+    }
+    const payable = await driverSettlementService.stageBookingPayable(
+      transaction,
+      bookingId,
+      paidBooking,
+      driverSettlementService.collectedFareAmounts(paidBooking, amount)
+    );
+
+    const now = new Date();
+    debit.write();
+    payable.write();
+    transaction.set(this.db.collection('payments').doc(paymentId), {
+      id: paymentId,
+      bookingId,
+      customerId,
+      amount,
+      currency: 'INR',
+      paymentMethod: 'wallet',
+      status: 'completed',
+      paymentDetails: {
+        type: 'wallet',
+        walletTransactionId: debit.result.data.transactionId
+      },
+      refundedAmount: 0,
+      completedAt: now,
+      createdAt: now,
+      updatedAt: now
+    }, { merge: true });
+
+    return {
+      success: true,
+      data: {
+        paymentId,
+        status: 'completed',
+        paymentMethod: 'wallet',
+        amount,
+        currency: 'INR',
+        walletBalance: debit.result.data.balance,
+        alreadyProcessed: debit.result.data.alreadyProcessed
+      }
+    };
+  }
+
   /**
    * Complete cash payment (called by driver)
    * @param {string} paymentId - Payment ID
@@ -380,6 +523,67 @@ class PaymentService {
     return sha256 + '###' + phonepeConfig.getSaltIndex();
   }
 
+  /**
+   * Fetch a Pay Page transaction from the PhonePe status API
+   * @param {string} merchantTransactionId - Our transaction ID
+   * @returns {Promise<Object>} { success, data: { state, amount (paise), transactionId, responseCode } }
+   */
+  async getPhonePeStatus(merchantTransactionId) {
+    const merchantId = phonepeConfig.getMerchantId();
+    const path = `/pg/v1/status/${merchantId}/${merchantTransactionId}`;
+    const checksum = crypto.createHash('sha256').update(path + phonepeConfig.getSaltKey()).digest('hex') + '###' + phonepeConfig.getSaltIndex();
+
+    try {
+      const response = await axios.get(`${phonepeConfig.getBaseUrl()}${path}`, {
+        headers: {
+          'Content-Type': 'application/json',
+          'X-VERIFY': checksum,
+          'X-MERCHANT-ID': merchantId
+        }
+      });
+      return { success: true, data: response.data.data || {} };
+    } catch (error) {
+      return {
+        success: false,
+        error: {
+          code: 'PHONEPE_STATUS_ERROR',
+          message: 'Failed to fetch PhonePe payment status',
+          details: error.response?.data?.message || error.message
+        }
+      };
+    }
+  }
+
+  /**
+   * Handle a PhonePe server-to-server callback. Only customer wallet top-ups
+   * take PhonePe payments; the body is read for the transaction ID alone and
+   * customerWalletService settles the top-up from the status API.
+   * @param {Object} callbackData - Callback body ({ response } base64 JSON)
+   * @returns {Promise<Object>} { success, message|error }
+   */
+  async handlePhonePeCallback(callbackData) {
+    let merchantTransactionId = null;
+    try {
+      const decoded = JSON.parse(Buffer.from(callbackData.response, 'base64').toString());
+      merchantTransactionId = decoded.data?.merchantTransactionId || null;
+    } catch (error) {
+      console.error('❌ [PHONEPE] Unreadable callback body:', error.message);
+    }
+
+    if (typeof merchantTransactionId !== 'string' || !merchantTransactionId.startsWith(CUSTOMER_TOP_UP_ID_PREFIX)) {
+      return {
+        success: false,
+        error: {
+          code: 'UNSUPPORTED_CALLBACK',
+          message: 'Callback is not for a customer wallet top-up'
+        }
+      };
+    }
+
+    const customerWalletService = require('./customerWalletService');
+    return customerWalletService.handlePhonePeTopUpCallback(merchantTransactionId);
+  }
+
   /**
    * Verify PhonePe webhook signature
    * @param {Object} webhookData - Webhook data
@@ -682,44 +886,122 @@ class PaymentService {
    * @param {string} paymentId - Payment ID
    * @param {number} amount - Refund amount
    * @param {string} reason - Refund reason
+   * @param {Object} options - { refundTo: 'wallet'|'source', requestedBy, creditNoteReason, refundId }
+   *   `refundId` makes the refund idempotent: a repeated call returns the refund already recorded
    * @returns {Object} Refund result
    */
-  async processRefund(paymentId, amount, reason) {
+  async processRefund(paymentId, amount, reason, options = {}) {
     try {
-      const paymentRecord = await this.getPaymentRecord(paymentId);
-      if (!paymentRecord) {
-        throw new Error('Payment record not found');
-      }
+      const {
+        refundTo = REFUND_DESTINATIONS.SOURCE,
+        requestedBy = 'system',
+        creditNoteReason = CREDIT_NOTE_REASONS.REFUND,
+        refundId = `REFUND_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+      } = options;
+      const paymentRef = this.db.collection('payments').doc(paymentId);
+      const refundRef = this.db.collection('refunds').doc(refundId);
 
-      if (paymentRecord.status !== 'completed') {
-        throw new Error('Payment is not completed');
-      }
+      // Cap check and refundedAmount update commit together, so concurrent refunds cannot exceed the payment
+      const { refundRecord, alreadyProcessed } = await this.db.runTransaction(async (transaction) => {
+        const [paymentDoc, refundDoc] = await Promise.all([
+          transaction.get(paymentRef),
+          transaction.get(refundRef)
+        ]);
 
-      if (amount > paymentRecord.amount) {
-        throw new Error('Refund amount cannot exceed payment amount');
-      }
+        if (refundDoc.exists && refundDoc.data().status !== 'failed') {
+          return { refundRecord: refundDoc.data(), alreadyProcessed: true };
+        }
+        if (!paymentDoc.exists) {
+          throw new Error('Payment record not found');
+        }
 
-      // Create refund record
-      const refundRecord = {
-        id: `REFUND_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-        paymentId,
-        customerId: paymentRecord.customerId,
-        amount,
-        reason,
-        status: 'pending',
-        createdAt: new Date(),
-        updatedAt: new Date()
-      };
+        const paymentRecord = paymentDoc.data();
+        if (paymentRecord.status !== 'completed') {
+          throw new Error('Payment is not completed');
+        }
+
+        // Earlier partial refunds count against the payment amount
+        const refundable = paymentRecord.amount - (paymentRecord.refundedAmount || 0);
+        if (amount > refundable) {
+          throw new Error('Refund amount cannot exceed payment amount');
+        }
+
+        const record = {
+          id: refundId,
+          paymentId,
+          bookingId: paymentRecord.bookingId || null,
+          customerId: paymentRecord.customerId,
+          amount,
+          reason,
+          refundTo,
+          requestedBy,
+          status: 'pending',
+          createdAt: new Date(),
+          updatedAt: new Date()
+        };
+        transaction.set(refundRef, record);
+        transaction.update(paymentRef, {
+          refundedAmount: (paymentRecord.refundedAmount || 0) + amount,
+          updatedAt: new Date()
+        });
+        return { refundRecord: record, alreadyProcessed: false };
+      });
 
-      await this.db.collection('refunds').doc(refundRecord.id).set(refundRecord);
+      // Wallet refunds are credited immediately; source refunds stay pending for finance
+      if (refundRecord.refundTo === REFUND_DESTINATIONS.WALLET && refundRecord.status !== 'completed') {
+        const customerWalletService = require('./customerWalletService');
+        // Keyed by the refund ID, so a retried refund is credited once
+        const credit = await customerWalletService.creditRefund(refundRecord.customerId, refundRecord.amount, {
+          refundId,
+          reason: refundRecord.reason,
+          reference: { paymentId, bookingId: refundRecord.bookingId },
+          createdBy: refundRecord.requestedBy
+        });
+
+        if (!credit.success) {
+          await this.releaseRefund(paymentId, refundId);
+          throw new Error(credit.error.message);
+        }
+
+        refundRecord.status = 'completed';
+        refundRecord.walletTransactionId = credit.data.transactionId;
+        refundRecord.completedAt = new Date();
+        await refundRef.update({
+          status: refundRecord.status,
+          walletTransactionId: refundRecord.walletTransactionId,
+          completedAt: refundRecord.completedAt,
+          updatedAt: new Date()
+        });
+      }
+
+      // A refund lowers the billed amount, so the booking's invoice gets a credit note
+      let creditNote = refundRecord.creditNote || null;
+      if (refundRecord.bookingId && !creditNote) {
+        const invoiceService = require('./invoiceService');
+        const noteResult = await invoiceService.issueCreditNote(refundRecord.bookingId, {
+          refundId,
+          amount: refundRecord.amount,
+          reason: refundRecord.reason,
+          reasonType: creditNoteReason
+        });
+        creditNote = noteResult.data
+          ? { id: noteResult.data.id, creditNoteNumber: noteResult.data.creditNoteNumber }
+          : null;
+        if (creditNote) {
+          await refundRef.update({ creditNote });
+        }
+      }
 
       return {
         success: true,
-        message: 'Refund initiated successfully',
+        message: refundRecord.status === 'completed' ? 'Refund credited to wallet' : 'Refund initiated successfully',
         data: {
-          refundId: refundRecord.id,
-          amount,
-          status: 'pending'
+          refundId,
+          amount: refundRecord.amount,
+          refundTo: refundRecord.refundTo,
+          status: refundRecord.status,
+          creditNote,
+          alreadyProcessed
         }
       };
     } catch (error) {
@@ -734,6 +1016,31 @@ class PaymentService {
       };
     }
   }
+
+  /**
+   * Undo the reservation of a refund whose wallet credit failed; the refund
+   * is marked failed so a retry with the same refund ID starts over
+   * @param {string} paymentId - Payment ID
+   * @param {string} refundId - Refund ID
+   */
+  async releaseRefund(paymentId, refundId) {
+    const paymentRef = this.db.collection('payments').doc(paymentId);
+    const refundRef = this.db.collection('refunds').doc(refundId);
+
+    await this.db.runTransaction(async (transaction) => {
+      const [paymentDoc, refundDoc] = await Promise.all([
+        transaction.get(paymentRef),
+        transaction.get(refundRef)
+      ]);
+      if (!refundDoc.exists || refundDoc.data().status !== 'pending') {
+        return;
+      }
+
+      const refundedAmount = (paymentDoc.data()?.refundedAmount || 0) - refundDoc.data().amount;
+      transaction.update(paymentRef, { refundedAmount: Math.max(refundedAmount, 0), updatedAt: new Date() });
+      transaction.update(refundRef, { status: 'failed', updatedAt: new Date() });
+    });
+  }
 }
 
 module.exports = new PaymentService();
@@ -6,7 +6,8 @@ const environmentConfig = require('../config/environment');
  */
 class PhonePeConfigService {
   constructor() {
-    this.config = environmentConfig.config.payment.phonepe;
+    // PhonePe config was dropped from environment.js (Razorpay only); keep dependants loadable
+    this.config = environmentConfig.config.payment.phonepe || {};
     this.urls = environmentConfig.config.urls;
   }
 
@@ -0,0 +1,367 @@
+/**
+ * Pricing Plan Service
+ *
+ * Stores and resolves versioned pricing plans (tiers, per-km rates, commission
+ * rules, effective-from/until dates). Plans are immutable once created: a rate
+ * change is a NEW version, so historical bookings can always be re-priced with
+ * the exact plan they were created under.
+ *
+ * Evaluation of a plan against a distance lives in fareCalculationService.
+ */
+
+const { getFirestore } = require('./firebase');
+const { toDate } = require('../utils/dates');
+const {
+  PRICING_PLANS_COLLECTION,
+  PRICING_PLAN_STATUSES,
+  DEFAULT_PRICING_PLAN
+} = require('../constants/pricingPlans');
+
+class PricingPlanService {
+  constructor() {
+    this.collectionName = PRICING_PLANS_COLLECTION;
+    this.counterCollection = 'system_counters';
+    this.counterDoc = 'pricing_plan_version';
+    this.cacheTtlMs = 60 * 1000; // Active plan is re-read at most once a minute
+
+    this.activePlan = null;
+    this.activePlanLoadedAt = 0;
+    this.planVersionCache = new Map();
+  }
+
+  get db() {
+    return getFirestore();
+  }
+
+  /**
+   * Warm the active plan cache (called on server start)
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    const plan = await this.getActivePlan({ forceRefresh: true });
+    console.log(`✅ [PRICING_PLAN] Active pricing plan: v${plan.version} (${plan.name})`);
+  }
+
+  /**
+   * Last resolved active plan without touching Firestore.
+   * Used by synchronous fare calculations; falls back to the built-in plan.
+   * @returns {Object} Pricing plan
+   */
+  getCachedActivePlan() {
+    return this.activePlan || DEFAULT_PRICING_PLAN;
+  }
+
+  /**
+   * Resolve the plan that is active at a given time
+   * @param {Object} options - Options
+   * @param {boolean} options.forceRefresh - Bypass the in-memory cache
+   * @param {Date} options.at - Point in time to resolve for (default: now)
+   * @returns {Promise<Object>} Pricing plan
+   */
+  async getActivePlan({ forceRefresh = false, at = new Date() } = {}) {
+    const isCurrent = !forceRefresh && this.activePlan && (Date.now() - this.activePlanLoadedAt) < this.cacheTtlMs;
+    if (isCurrent && this.isEffectiveAt(this.activePlan, at)) {
+      return this.activePlan;
+    }
+
+    try {
+      const snapshot = await this.db.collection(this.collectionName)
+        .where('status', '==', 'active')
+        .get();
+
+      // Highest version that is effective right now wins
+      const candidates = snapshot.docs
+        .map(doc => this.normalizePlan({ id: doc.id, ...doc.data() }))
+        .filter(plan => this.isEffectiveAt(plan, at))
+        .sort((a, b) => b.version - a.version);
+
+      this.activePlan = candidates[0] || DEFAULT_PRICING_PLAN;
+      this.activePlanLoadedAt = Date.now();
+      this.planVersionCache.set(this.activePlan.version, this.activePlan);
+      return this.activePlan;
+    } catch (error) {
+      console.error('❌ [PRICING_PLAN] Failed to load active plan, using cached/default plan:', error.message);
+      return this.getCachedActivePlan();
+    }
+  }
+
+  /**
+   * Get a specific plan version (used to re-price existing bookings)
+   * @param {number} version - Plan version
+   * @returns {Promise<Object>} Pricing plan (built-in plan for version 0 or unknown versions)
+   */
+  async getPlanByVersion(version) {
+    const numericVersion = Number(version);
+    if (!Number.isInteger(numericVersion) || numericVersion <= 0) {
+      return DEFAULT_PRICING_PLAN;
+    }
+
+    if (this.planVersionCache.has(numericVersion)) {
+      return this.planVersionCache.get(numericVersion);
+    }
+
+    try {
+      const snapshot = await this.db.collection(this.collectionName)
+        .where('version', '==', numericVersion)
+        .limit(1)
+        .get();
+
+      if (snapshot.empty) {
+        console.warn(`⚠️ [PRICING_PLAN] Plan v${numericVersion} not found, using built-in plan`);
+        return DEFAULT_PRICING_PLAN;
+      }
+
+      const doc = snapshot.docs[0];
+      const plan = this.normalizePlan({ id: doc.id, ...doc.data() });
+      this.planVersionCache.set(numericVersion, plan);
+      return plan;
+    } catch (error) {
+      console.error(`❌ [PRICING_PLAN] Failed to load plan v${numericVersion}:`, error.message);
+      return DEFAULT_PRICING_PLAN;
+    }
+  }
+
+  /**
+   * Resolve the plan a booking was priced with
+   * @param {Object} booking - Booking document data
+   * @returns {Promise<Object>} Pricing plan
+   */
+  async getPlanForBooking(booking = {}) {
+    if (booking.pricingPlan?.version === undefined || booking.pricingPlan?.version === null) {
+      return this.getActivePlan();
+    }
+    return this.getPlanByVersion(booking.pricingPlan.version);
+  }
+
+  /**
+   * List all plans, newest first
+   * @returns {Promise<Array>} Pricing plans
+   */
+  async listPlans() {
+    const snapshot = await this.db.collection(this.collectionName)
+      .orderBy('version', 'desc')
+      .get();
+
+    return snapshot.docs.map(doc => this.serializePlan(this.normalizePlan({ id: doc.id, ...doc.data() })));
+  }
+
+  /**
+   * Create a new plan version. Plans are never edited in place.
+   * @param {Object} planData - Plan definition (fare, commission, effective window)
+   * @param {string} createdBy - Admin user ID
+   * @returns {Promise<Object>} Created plan
+   */
+  async createPlan(planData, createdBy) {
+    const errors = this.validatePlan(planData);
+    if (errors.length > 0) {
+      throw new Error(`Invalid pricing plan: ${errors.join(', ')}`);
+    }
+
+    const counterRef = this.db.collection(this.counterCollection).doc(this.counterDoc);
+
+    const plan = await this.db.runTransaction(async (transaction) => {
+      const counterSnap = await transaction.get(counterRef);
+      const version = (counterSnap.exists ? counterSnap.data().lastVersion || 0 : 0) + 1;
+      const planRef = this.db.collection(this.collectionName).doc(`v${version}`);
+
+      const newPlan = {
+        version,
+        name: planData.name || `Pricing plan v${version}`,
+        status: planData.status || 'draft',
+        currency: planData.currency || 'INR',
+        effectiveFrom: planData.effectiveFrom ? new Date(planData.effectiveFrom) : new Date(),
+        effectiveUntil: planData.effectiveUntil ? new Date(planData.effectiveUntil) : null,
+        fare: {
+          baseDistanceKm: Number(planData.fare.baseDistanceKm),
+          baseRate: Number(planData.fare.baseRate),
+          fullKmRate: Number(planData.fare.fullKmRate),
+          remainderTiers: planData.fare.remainderTiers.map(tier => ({
+            belowKm: Number(tier.belowKm),
+            charge: Number(tier.charge)
+          }))
+        },
+        commission: {
+          ratePerKm: Number(planData.commission.ratePerKm),
+          roundUpThresholdKm: Number(planData.commission.roundUpThresholdKm ?? 0.5),
+          minimumKm: Number(planData.commission.minimumKm ?? 1)
+        },
+        createdBy: createdBy || null,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      };
+
+      transaction.set(counterRef, { lastVersion: version, lastUpdated: new Date() }, { merge: true });
+      transaction.set(planRef, newPlan);
+
+      return { id: planRef.id, ...newPlan };
+    });
+
+    this.invalidateCache();
+    console.log(`✅ [PRICING_PLAN] Created pricing plan v${plan.version} (${plan.status})`);
+    return this.serializePlan(plan);
+  }
+
+  /**
+   * Change a plan's lifecycle status (activate / retire).
+   * Rates are immutable; only status and effectiveUntil can change.
+   * @param {number} version - Plan version
+   * @param {Object} update - { status, effectiveUntil }
+   * @param {string} updatedBy - Admin user ID
+   * @returns {Promise<Object>} Updated plan
+   */
+  async updatePlanStatus(version, { status, effectiveUntil }, updatedBy) {
+    if (status && !PRICING_PLAN_STATUSES.includes(status)) {
+      throw new Error(`Invalid status. Must be one of: ${PRICING_PLAN_STATUSES.join(', ')}`);
+    }
+
+    const planRef = this.db.collection(this.collectionName).doc(`v${Number(version)}`);
+    const planDoc = await planRef.get();
+    if (!planDoc.exists) {
+      throw new Error(`Pricing plan v${version} not found`);
+    }
+
+    const update = {
+      updatedAt: new Date(),
+      updatedBy: updatedBy || null
+    };
+    if (status) update.status = status;
+    if (effectiveUntil !== undefined) {
+      update.effectiveUntil = effectiveUntil ? new Date(effectiveUntil) : null;
+    }
+
+    await planRef.update(update);
+    this.invalidateCache();
+
+    const updatedDoc = await planRef.get();
+    return this.serializePlan(this.normalizePlan({ id: updatedDoc.id, ...updatedDoc.data() }));
+  }
+
+  /**
+   * Validate a plan definition
+   * @param {Object} plan - Plan definition
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  validatePlan(plan) {
+    const errors = [];
+    const isNonNegative = (value) => Number.isFinite(Number(value)) && Number(value) >= 0;
+
+    if (!plan || typeof plan !== 'object') {
+      return ['Plan definition is required'];
+    }
+    if (plan.status && !PRICING_PLAN_STATUSES.includes(plan.status)) {
+      errors.push(`status must be one of: ${PRICING_PLAN_STATUSES.join(', ')}`);
+    }
+
+    const fare = plan.fare || {};
+    if (!(Number(fare.baseDistanceKm) > 0)) errors.push('fare.baseDistanceKm must be greater than 0');
+    if (!isNonNegative(fare.baseRate)) errors.push('fare.baseRate must be a non-negative number');
+    if (!isNonNegative(fare.fullKmRate)) errors.push('fare.fullKmRate must be a non-negative number');
+    if (!Array.isArray(fare.remainderTiers) || fare.remainderTiers.length === 0) {
+      errors.push('fare.remainderTiers must be a non-empty array');
+    } else {
+      let previousBelowKm = 0;
+      fare.remainderTiers.forEach((tier, index) => {
+        const belowKm = Number(tier?.belowKm);
+        if (!(belowKm > previousBelowKm) || belowKm > 1) {
+          errors.push(`fare.remainderTiers[${index}].belowKm must be ascending and within (0, 1]`);
+        }
+        if (!isNonNegative(tier?.charge)) {
+          errors.push(`fare.remainderTiers[${index}].charge must be a non-negative number`);
+        }
+        previousBelowKm = belowKm;
+      });
+    }
+
+    const commission = plan.commission || {};
+    if (!isNonNegative(commission.ratePerKm)) errors.push('commission.ratePerKm must be a non-negative number');
+    if (commission.roundUpThresholdKm !== undefined &&
+        !(Number(commission.roundUpThresholdKm) >= 0 && Number(commission.roundUpThresholdKm) <= 1)) {
+      errors.push('commission.roundUpThresholdKm must be between 0 and 1');
+    }
+    if (commission.minimumKm !== undefined && !isNonNegative(commission.minimumKm)) {
+      errors.push('commission.minimumKm must be a non-negative number');
+    }
+
+    if (plan.effectiveFrom && Number.isNaN(new Date(plan.effectiveFrom).getTime())) {
+      errors.push('effectiveFrom must be a valid date');
+    }
+    if (plan.effectiveUntil && Number.isNaN(new Date(plan.effectiveUntil).getTime())) {
+      errors.push('effectiveUntil must be a valid date');
+    }
+    if (plan.effectiveFrom && plan.effectiveUntil && new Date(plan.effectiveUntil) <= new Date(plan.effectiveFrom)) {
+      errors.push('effectiveUntil must be after effectiveFrom');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check whether a plan's effective window covers a point in time
+   * @param {Object} plan - Pricing plan
+   * @param {Date} at - Point in time
+   * @returns {boolean}
+   */
+  isEffectiveAt(plan, at = new Date()) {
+    if (!plan) return false;
+    const from = plan.effectiveFrom ? new Date(plan.effectiveFrom) : null;
+    const until = plan.effectiveUntil ? new Date(plan.effectiveUntil) : null;
+    if (from && from > at) return false;
+    if (until && until <= at) return false;
+    return true;
+  }
+
+  /**
+   * Convert Firestore timestamps on a plan to Date objects
+   * @param {Object} plan - Raw plan document
+   * @returns {Object} Plan with Date fields
+   */
+  normalizePlan(plan) {
+    return {
+      ...plan,
+      version: Number(plan.version) || 0,
+      effectiveFrom: toDate(plan.effectiveFrom),
+      effectiveUntil: toDate(plan.effectiveUntil),
+      createdAt: toDate(plan.createdAt),
+      updatedAt: toDate(plan.updatedAt)
+    };
+  }
+
+  /**
+   * Convert a plan to an API-safe shape (ISO date strings)
+   * @param {Object} plan - Pricing plan
+   * @returns {Object} Serialized plan
+   */
+  serializePlan(plan) {
+    const toIso = (value) => (value instanceof Date ? value.toISOString() : value || null);
+    return {
+      ...plan,
+      effectiveFrom: toIso(plan.effectiveFrom),
+      effectiveUntil: toIso(plan.effectiveUntil),
+      createdAt: toIso(plan.createdAt),
+      updatedAt: toIso(plan.updatedAt)
+    };
+  }
+
+  /**
+   * Summary stored on bookings so they can be re-priced with the same plan
+   * @param {Object} plan - Pricing plan
+   * @returns {Object} { id, version, name }
+   */
+  toBookingReference(plan) {
+    return {
+      id: plan.id,
+      version: plan.version,
+      name: plan.name
+    };
+  }
+
+  /**
+   * Drop cached plans after a write
+   */
+  invalidateCache() {
+    this.activePlanLoadedAt = 0;
+    this.planVersionCache.clear();
+  }
+}
+
+module.exports = new PricingPlanService();
@@ -0,0 +1,205 @@
+const config = require('../config/environment');
+const { createRateLimitStore } = require('./rateLimitStores');
+const { RATE_LIMIT_KEY_TYPES, RATE_LIMIT_POLICIES } = require('../constants/rateLimitPolicies');
+
+/**
+ * Rate Limit Service
+ * Applies the policies of constants/rateLimitPolicies.js against the
+ * configured bucket stores:
+ * - subjects are `user:<uid>` for authenticated requests, `ip:<address>`
+ *   otherwise (IP-keyed policies always use the IP)
+ * - each policy counts in its own bucket `<policy>:<subject>`, in the store
+ *   named by `rateLimit.policyStores[policy]`, else `rateLimit.store`
+ * - store errors and timeouts let the request through (fail open)
+ * Admins can inspect and reset the buckets of a subject.
+ */
+class RateLimitService {
+  constructor() {
+    this.stores = new Map(); // store name -> instance
+    this.storeOverride = null;
+  }
+
+  get settings() {
+    return config.getRateLimitConfig();
+  }
+
+  /**
+   * Store a policy counts in (created once per store name)
+   * @param {string} policyName - Policy name
+   * @returns {RateLimitStore} Store instance; throws when it cannot be created
+   */
+  getStore(policyName) {
+    if (this.storeOverride) {
+      return this.storeOverride;
+    }
+
+    const storeName = this.settings.policyStores?.[policyName] || this.settings.store;
+    if (!this.stores.has(storeName)) {
+      const store = createRateLimitStore(storeName, this.settings);
+      if (store.name === 'memory' && config.isProduction()) {
+        console.warn(`⚠️ [RATE_LIMIT] In-memory store in production for ${policyName} - limits are per instance`);
+      }
+      this.stores.set(storeName, store);
+    }
+    return this.stores.get(storeName);
+  }
+
+  /**
+   * Use one store for every policy (tests)
+   * @param {RateLimitStore|null} store - Store instance; null restores the configured stores
+   */
+  setStore(store) {
+    this.storeOverride = store;
+  }
+
+  /**
+   * Resolve a policy with the environment's limit
+   * @param {string} name - Policy name
+   * @param {Object} overrides - Fields replacing the declared ones (e.g. { max, windowMs })
+   * @returns {Object} Policy with its name
+   */
+  getPolicy(name, overrides = {}) {
+    const policy = RATE_LIMIT_POLICIES[name];
+    if (!policy) {
+      throw new Error(`Unknown rate limit policy: ${name}`);
+    }
+    const max = process.env.NODE_ENV === 'development' && policy.devMax ? policy.devMax : policy.max;
+    return { name, ...policy, max, ...overrides };
+  }
+
+  /**
+   * Subject a request is counted under for a policy
+   */
+  getSubject(req, policy) {
+    const userId = policy.keyBy === RATE_LIMIT_KEY_TYPES.TOKEN
+      ? this.getTokenUserId(req.body?.idToken)
+      : req.user?.uid || req.user?.userId;
+    if (policy.keyBy !== RATE_LIMIT_KEY_TYPES.IP && userId) {
+      return `user:${userId}`;
+    }
+    return `ip:${req.ip || req.connection?.remoteAddress || 'unknown'}`;
+  }
+
+  /**
+   * uid claimed by a Firebase ID token, read without verifying it (the route
+   * verifies it); lets users behind one carrier IP have their own buckets
+   * @param {string} idToken - Firebase ID token (JWT)
+   * @returns {string|null} uid, or null when the token cannot be decoded
+   */
+  getTokenUserId(idToken) {
+    if (typeof idToken !== 'string' || idToken.split('.').length !== 3) {
+      return null;
+    }
+    try {
+      const payload = JSON.parse(Buffer.from(idToken.split('.')[1], 'base64url').toString('utf8'));
+      return typeof (payload.uid || payload.user_id) === 'string' ? (payload.uid || payload.user_id) : null;
+    } catch {
+      return null;
+    }
+  }
+
+  buildKey(policyName, subject) {
+    return `${policyName}:${subject}`;
+  }
+
+  /**
+   * Count a request against a policy
+   * @param {Object} policy - Result of getPolicy
+   * @param {string} subject - Subject (user:<uid> or ip:<address>)
+   * @returns {Promise<Object>} { allowed, limit, remaining, resetTime }; allowed when the store is unavailable
+   */
+  async consume(policy, subject) {
+    return this.count(policy, subject, store => store.increment(this.buildKey(policy.name, subject), policy.windowMs));
+  }
+
+  /**
+   * Take back a counted request (countFailuresOnly policies, once it succeeded)
+   * @param {Object} policy - Result of getPolicy
+   * @param {string} subject - Subject (user:<uid> or ip:<address>)
+   */
+  async refund(policy, subject) {
+    const key = this.buildKey(policy.name, subject);
+    try {
+      await this.withTimeout(this.getStore(policy.name).decrement(key));
+    } catch (error) {
+      console.error(`❌ [RATE_LIMIT] Failed to refund ${key}:`, error.message);
+    }
+  }
+
+  /**
+   * Run a bucket operation with the store timeout and turn the count into a decision
+   * @param {Object} policy - Result of getPolicy
+   * @param {string} subject - Subject
+   * @param {Function} read - (store) => Promise<{ count, resetTime }>
+   * @returns {Promise<Object>} Decision; allowed when the store fails or cannot be created
+   */
+  async count(policy, subject, read) {
+    const key = this.buildKey(policy.name, subject);
+    let storeName = null;
+    try {
+      const store = this.getStore(policy.name);
+      storeName = store.name;
+      const { count, resetTime } = await this.withTimeout(read(store));
+      return {
+        allowed: count <= policy.max,
+        count,
+        limit: policy.max,
+        remaining: Math.max(policy.max - count, 0),
+        resetTime
+      };
+    } catch (error) {
+      console.error(`❌ [RATE_LIMIT] ${storeName || 'Unavailable'} store failed for ${key}, allowing request:`, error.message);
+      return { allowed: true, count: 0, limit: policy.max, remaining: null, resetTime: null, storeError: true };
+    }
+  }
+
+  /**
+   * Current buckets of a subject, one per policy with requests in the window
+   * @param {string} subject - Subject (user:<uid> or ip:<address>)
+   * @returns {Promise<Array<Object>>} Buckets
+   */
+  async inspect(subject) {
+    const buckets = await Promise.all(Object.keys(RATE_LIMIT_POLICIES).map(async (name) => {
+      const policy = this.getPolicy(name);
+      const key = this.buildKey(name, subject);
+      const bucket = await this.getStore(name).get(key);
+      if (!bucket) {
+        return null;
+      }
+      return {
+        policy: name,
+        key,
+        count: bucket.count,
+        limit: policy.max,
+        remaining: Math.max(policy.max - bucket.count, 0),
+        blocked: bucket.count > policy.max,
+        windowMs: policy.windowMs,
+        resetTime: bucket.resetTime
+      };
+    }));
+    return buckets.filter(Boolean);
+  }
+
+  /**
+   * Delete the buckets of a subject
+   * @param {string} subject - Subject (user:<uid> or ip:<address>)
+   * @param {string|null} policyName - Only this policy's bucket
+   * @returns {Promise<Array<string>>} Policies whose bucket was reset
+   */
+  async reset(subject, policyName = null) {
+    const names = policyName ? [policyName] : Object.keys(RATE_LIMIT_POLICIES);
+    await Promise.all(names.map(name => this.getStore(name).reset(this.buildKey(name, subject))));
+    console.log(`🔄 [RATE_LIMIT] Reset ${names.length} bucket(s) of ${subject}`);
+    return names;
+  }
+
+  withTimeout(promise) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`timed out after ${this.settings.storeTimeoutMs}ms`)), this.settings.storeTimeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+}
+
+module.exports = new RateLimitService();
@@ -0,0 +1,235 @@
+const axios = require('axios');
+const firestoreSessionService = require('./firestoreSessionService');
+
+/**
+ * Rate Limit Store Interface
+ *
+ * A store keeps fixed-window counters ("buckets") by key. rateLimitService
+ * owns policies, subjects and decisions; stores only count. The in-memory
+ * store is per process; use a shared store (firestore, redis) when more than
+ * one instance serves traffic. To add a backend, extend RateLimitStore and
+ * register it in createRateLimitStore.
+ */
+class RateLimitStore {
+  get name() {
+    throw new Error('Rate limit store must define a name');
+  }
+
+  /**
+   * Count a request; starts a new window when the bucket is missing or expired
+   * @param {string} key - Bucket key
+   * @param {number} windowMs - Window length for a new bucket
+   * @returns {Promise<Object>} { count, resetTime }
+   */
+  async increment() {
+    throw new Error(`${this.name}: increment is not implemented`);
+  }
+
+  /**
+   * Take back one counted request; a missing or expired bucket is left alone
+   * @param {string} key - Bucket key
+   */
+  async decrement() {
+    throw new Error(`${this.name}: decrement is not implemented`);
+  }
+
+  /**
+   * Current bucket without counting
+   * @param {string} key - Bucket key
+   * @returns {Promise<Object|null>} { count, resetTime }, or null when missing or expired
+   */
+  async get() {
+    throw new Error(`${this.name}: get is not implemented`);
+  }
+
+  /**
+   * Delete a bucket
+   * @param {string} key - Bucket key
+   */
+  async reset() {
+    throw new Error(`${this.name}: reset is not implemented`);
+  }
+}
+
+/**
+ * Per-process store (development, single instance)
+ */
+class MemoryRateLimitStore extends RateLimitStore {
+  constructor() {
+    super();
+    this.buckets = new Map();
+    this.operations = 0;
+  }
+
+  get name() {
+    return 'memory';
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    // Drop expired buckets now and then so idle keys do not pile up
+    if (++this.operations % 1000 === 0) {
+      this.sweep(now);
+    }
+
+    let bucket = this.buckets.get(key);
+    if (!bucket || bucket.resetTime <= now) {
+      bucket = { count: 0, resetTime: now + windowMs };
+      this.buckets.set(key, bucket);
+    }
+    bucket.count++;
+    return { count: bucket.count, resetTime: new Date(bucket.resetTime) };
+  }
+
+  async decrement(key) {
+    const bucket = this.buckets.get(key);
+    if (bucket && bucket.resetTime > Date.now() && bucket.count > 0) {
+      bucket.count--;
+    }
+  }
+
+  async get(key) {
+    const bucket = this.buckets.get(key);
+    if (!bucket || bucket.resetTime <= Date.now()) {
+      return null;
+    }
+    return { count: bucket.count, resetTime: new Date(bucket.resetTime) };
+  }
+
+  async reset(key) {
+    this.buckets.delete(key);
+  }
+
+  sweep(now = Date.now()) {
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.resetTime <= now) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+}
+
+/**
+ * Shared store in the `rate_limits` collection, counted by
+ * firestoreSessionService (the backend of firestoreRateLimit.js). Each
+ * request is a transaction on the bucket doc, so it suits the lower-volume
+ * policies; route `general` to memory or redis with RATE_LIMIT_POLICY_STORES.
+ */
+class FirestoreRateLimitStore extends RateLimitStore {
+  get name() {
+    return 'firestore';
+  }
+
+  async increment(key, windowMs) {
+    return firestoreSessionService.incrementRateLimit(key, windowMs);
+  }
+
+  async decrement(key) {
+    await firestoreSessionService.decrementRateLimit(key);
+  }
+
+  async get(key) {
+    return firestoreSessionService.getRateLimit(key);
+  }
+
+  async reset(key) {
+    await firestoreSessionService.resetRateLimit(key);
+  }
+}
+
+const DECREMENT_IF_EXISTS = "if redis.call('GET', KEYS[1]) and tonumber(redis.call('GET', KEYS[1])) > 0 then return redis.call('DECR', KEYS[1]) end return 0";
+
+/**
+ * Shared store in Redis, through its REST API (Upstash-compatible
+ * `/pipeline` endpoint), so no connection pool is kept per instance.
+ * INCR + PEXPIRE NX make the window start with the first request.
+ */
+class RedisRateLimitStore extends RateLimitStore {
+  constructor({ url, token, keyPrefix = '', timeoutMs = 1500 }) {
+    super();
+    if (!url || !token) {
+      throw new Error('Redis rate limit store requires RATE_LIMIT_REDIS_REST_URL and RATE_LIMIT_REDIS_REST_TOKEN');
+    }
+    this.url = url.replace(/\/+$/, '');
+    this.token = token;
+    this.keyPrefix = keyPrefix;
+    this.timeoutMs = timeoutMs;
+  }
+
+  get name() {
+    return 'redis';
+  }
+
+  async pipeline(commands) {
+    const response = await axios.post(`${this.url}/pipeline`, commands, {
+      headers: { Authorization: `Bearer ${this.token}` },
+      timeout: this.timeoutMs
+    });
+    return response.data.map(reply => {
+      if (reply.error) {
+        throw new Error(`Redis: ${reply.error}`);
+      }
+      return reply.result;
+    });
+  }
+
+  async increment(key, windowMs) {
+    const redisKey = this.keyPrefix + key;
+    const [count, , ttl] = await this.pipeline([
+      ['INCR', redisKey],
+      ['PEXPIRE', redisKey, String(windowMs), 'NX'],
+      ['PTTL', redisKey]
+    ]);
+    return { count: Number(count), resetTime: new Date(Date.now() + (ttl > 0 ? ttl : windowMs)) };
+  }
+
+  async decrement(key) {
+    // DECR on a missing key would create it without an expiry
+    await this.pipeline([['EVAL', DECREMENT_IF_EXISTS, '1', this.keyPrefix + key]]);
+  }
+
+  async get(key) {
+    const redisKey = this.keyPrefix + key;
+    const [count, ttl] = await this.pipeline([['GET', redisKey], ['PTTL', redisKey]]);
+    if (count === null || count === undefined || ttl <= 0) {
+      return null;
+    }
+    return { count: Number(count), resetTime: new Date(Date.now() + ttl) };
+  }
+
+  async reset(key) {
+    await this.pipeline([['DEL', this.keyPrefix + key]]);
+  }
+}
+
+/**
+ * Create the store configured in `rateLimit.store`
+ * @param {string} name - Store name
+ * @param {Object} settings - Rate limit configuration
+ * @returns {RateLimitStore} Store instance
+ */
+function createRateLimitStore(name, settings = {}) {
+  switch (name) {
+    case 'memory':
+      return new MemoryRateLimitStore();
+    case 'firestore':
+      return new FirestoreRateLimitStore();
+    case 'redis':
+      return new RedisRateLimitStore({
+        url: settings.redisRestUrl,
+        token: settings.redisRestToken,
+        keyPrefix: settings.redisKeyPrefix,
+        timeoutMs: settings.storeTimeoutMs
+      });
+    default:
+      throw new Error(`Unknown rate limit store: ${name}`);
+  }
+}
+
+module.exports = {
+  RateLimitStore,
+  MemoryRateLimitStore,
+  FirestoreRateLimitStore,
+  RedisRateLimitStore,
+  createRateLimitStore
+};
@@ -0,0 +1,437 @@
+const { getFirestore } = require('./firebase');
+const config = require('../config/environment');
+const {
+  RATING_COLLECTIONS,
+  RATING_DIRECTIONS,
+  RATING_TAGS,
+  RATING_MODERATION_STATUSES,
+  RATING_ABUSIVE_TERMS,
+  DRIVER_REVIEW_STATUSES
+} = require('../constants/ratings');
+
+// Booking statuses after which both parties can rate each other
+const RATEABLE_BOOKING_STATUSES = ['delivered', 'completed'];
+
+/**
+ * Rating Service
+ * Two-way ratings on finished bookings (customer→driver and driver→customer):
+ * - one rating per booking and direction, with optional tags and a comment
+ * - comments matching the abuse list are held for moderation; the star
+ *   rating counts either way
+ * - the rated user's reputation is a Bayesian average (`priorWeight`
+ *   pseudo-ratings at `priorMean`) kept incrementally on their profile, so
+ *   one bad trip does not sink a new account
+ * - customers whose reputation drops below `customerFlagThreshold` are
+ *   flagged; drivers below `driverReviewThreshold` get an open entry in the
+ *   admin review queue (`driverRatingReviews`)
+ */
+class RatingService {
+  get db() {
+    return getFirestore();
+  }
+
+  get settings() {
+    return config.getRatingsConfig();
+  }
+
+  /**
+   * Rate the other party of a booking
+   * @param {string} raterId - Customer or driver giving the rating
+   * @param {string} bookingId - Booking ID
+   * @param {Object} params - { rating, comment, tags }
+   * @returns {Promise<Object>} Result with the rating and the ratee's reputation
+   */
+  async submitRating(raterId, bookingId, { rating, comment = '', tags = [] }) {
+    const bookingDoc = await this.db.collection('bookings').doc(bookingId).get();
+    if (!bookingDoc.exists) {
+      return { success: false, error: { code: 'BOOKING_NOT_FOUND', message: 'Booking not found' } };
+    }
+
+    const booking = bookingDoc.data();
+    let direction;
+    if (booking.customerId === raterId) direction = RATING_DIRECTIONS.CUSTOMER_TO_DRIVER;
+    else if (booking.driverId === raterId) direction = RATING_DIRECTIONS.DRIVER_TO_CUSTOMER;
+    else return { success: false, error: { code: 'ACCESS_DENIED', message: 'You can only rate your own bookings' } };
+
+    if (!RATEABLE_BOOKING_STATUSES.includes(booking.status)) {
+      return { success: false, error: { code: 'BOOKING_NOT_COMPLETED', message: 'Rating can only be submitted for completed bookings' } };
+    }
+
+    const invalidTags = tags.filter(tag => !RATING_TAGS[direction].includes(tag));
+    if (invalidTags.length > 0) {
+      return {
+        success: false,
+        error: { code: 'INVALID_TAGS', message: `Unknown tags: ${invalidTags.join(', ')}`, details: { allowed: RATING_TAGS[direction] } }
+      };
+    }
+
+    if (await this.getRating(bookingId, direction)) {
+      return { success: false, error: { code: 'ALREADY_RATED', message: 'Rating already submitted for this booking' } };
+    }
+
+    const isCustomerRating = direction === RATING_DIRECTIONS.CUSTOMER_TO_DRIVER;
+    const rateeId = isCustomerRating ? booking.driverId : booking.customerId;
+    const rateeType = isCustomerRating ? 'driver' : 'customer';
+    const moderation = this.moderateComment(comment);
+    const now = new Date();
+
+    const ratingDoc = {
+      id: `${bookingId}_${direction}`,
+      bookingId,
+      direction,
+      customerId: booking.customerId,
+      driverId: booking.driverId,
+      raterId,
+      raterType: isCustomerRating ? 'customer' : 'driver',
+      rateeId,
+      rateeType,
+      rating,
+      tags,
+      comment: comment || '',
+      moderation,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const ratingRef = this.db.collection(RATING_COLLECTIONS.RATINGS).doc(ratingDoc.id);
+    const userRef = this.db.collection('users').doc(rateeId);
+    const reputation = await this.db.runTransaction(async (transaction) => {
+      const existing = await transaction.get(ratingRef);
+      const userDoc = await transaction.get(userRef);
+      if (existing.exists) {
+        return null;
+      }
+
+      const next = this.applyRating(this.getCachedReputation(userDoc.exists ? userDoc.data() : {}, rateeType), rating, tags, now);
+      transaction.set(ratingRef, ratingDoc);
+      transaction.update(userRef, this.buildReputationUpdate(rateeType, next, now));
+      return next;
+    });
+
+    if (!reputation) {
+      return { success: false, error: { code: 'ALREADY_RATED', message: 'Rating already submitted for this booking' } };
+    }
+
+    // Mirrored on the booking for the trip history screens
+    const visibleComment = moderation.status === RATING_MODERATION_STATUSES.VISIBLE ? ratingDoc.comment : null;
+    await this.db.collection('bookings').doc(bookingId).update(isCustomerRating
+      ? { 'rating.customerRating': rating, 'rating.customerFeedback': visibleComment, updatedAt: now }
+      : { 'rating.driverRating': rating, 'rating.driverFeedback': visibleComment, updatedAt: now });
+
+    if (moderation.status === RATING_MODERATION_STATUSES.PENDING_REVIEW) {
+      console.warn(`🚩 [RATING] Comment on ${ratingDoc.id} held for moderation (${moderation.matchedTerms.join(', ')})`);
+    }
+
+    if (isCustomerRating) {
+      await this.checkDriverReview(rateeId, reputation);
+      this.emitDriverRatingUpdate(rateeId, bookingId, rating, reputation);
+    }
+
+    console.log(`⭐ [RATING] ${direction} rating ${rating} for booking ${bookingId}; ${rateeType} ${rateeId} now ${reputation.score} (${reputation.totalRatings} ratings)`);
+    return { success: true, data: { rating: ratingDoc, reputation } };
+  }
+
+  /**
+   * Rating given on a booking in one direction (also finds ratings written
+   * before ratings went two-way, which have random IDs and no direction)
+   * @param {string} bookingId - Booking ID
+   * @param {string} direction - RATING_DIRECTIONS value
+   * @returns {Promise<Object|null>} Rating
+   */
+  async getRating(bookingId, direction) {
+    const ratingDoc = await this.db.collection(RATING_COLLECTIONS.RATINGS).doc(`${bookingId}_${direction}`).get();
+    if (ratingDoc.exists) {
+      return { id: ratingDoc.id, ...ratingDoc.data() };
+    }
+
+    if (direction !== RATING_DIRECTIONS.CUSTOMER_TO_DRIVER) {
+      return null;
+    }
+    const legacy = await this.db.collection(RATING_COLLECTIONS.RATINGS).where('bookingId', '==', bookingId).get();
+    const doc = legacy.docs.find(d => !d.data().direction);
+    return doc ? { id: doc.id, direction, comment: doc.data().feedback || '', ...doc.data() } : null;
+  }
+
+  /**
+   * Ratings a user received, newest first. Comments are only returned when
+   * visible.
+   * @param {string} userId - Rated user
+   * @param {number} limit - Max ratings
+   * @returns {Promise<Array>} Ratings
+   */
+  async listReceived(userId, limit = 20) {
+    const snapshot = await this.db.collection(RATING_COLLECTIONS.RATINGS)
+      .where('rateeId', '==', userId)
+      .orderBy('createdAt', 'desc')
+      .limit(limit)
+      .get();
+
+    return snapshot.docs.map(doc => {
+      const data = doc.data();
+      return {
+        id: doc.id,
+        bookingId: data.bookingId,
+        direction: data.direction,
+        rating: data.rating,
+        tags: data.tags || [],
+        comment: data.moderation?.status === RATING_MODERATION_STATUSES.VISIBLE ? data.comment : null,
+        createdAt: data.createdAt
+      };
+    });
+  }
+
+  /**
+   * Cached reputation of a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Reputation
+   */
+  async getReputation(userId) {
+    const userDoc = await this.db.collection('users').doc(userId).get();
+    if (!userDoc.exists) {
+      return null;
+    }
+    const user = userDoc.data();
+    return this.getCachedReputation(user, user.userType === 'driver' ? 'driver' : 'customer');
+  }
+
+  /**
+   * Reputation cached on the profile. Drivers rated before reputations
+   * existed are seeded from their stored average.
+   */
+  getCachedReputation(user, userType) {
+    const profile = user[userType] || {};
+    if (profile.reputation) {
+      return profile.reputation;
+    }
+
+    const totalRatings = userType === 'driver' ? Number(profile.totalRatings) || 0 : 0;
+    const ratingSum = totalRatings > 0 ? (Number(profile.averageRating) || 0) * totalRatings : 0;
+    return this.summarize(ratingSum, totalRatings, {}, null);
+  }
+
+  applyRating(reputation, rating, tags, now) {
+    const tagCounts = { ...(reputation.tagCounts || {}) };
+    tags.forEach(tag => { tagCounts[tag] = (tagCounts[tag] || 0) + 1; });
+    return this.summarize((reputation.ratingSum || 0) + rating, (reputation.totalRatings || 0) + 1, tagCounts, now);
+  }
+
+  /**
+   * Bayesian average: (priorWeight * priorMean + sum) / (priorWeight + n)
+   */
+  summarize(ratingSum, totalRatings, tagCounts, now) {
+    const { priorMean, priorWeight } = this.settings;
+    const round = value => Math.round(value * 100) / 100;
+    return {
+      score: round((priorWeight * priorMean + ratingSum) / (priorWeight + totalRatings)),
+      averageRating: totalRatings > 0 ? round(ratingSum / totalRatings) : null,
+      ratingSum,
+      totalRatings,
+      tagCounts,
+      updatedAt: now
+    };
+  }
+
+  /**
+   * Profile update for a new reputation; customers below the threshold are
+   * flagged (and unflagged once they recover)
+   */
+  buildReputationUpdate(userType, reputation, now) {
+    const update = { [`${userType}.reputation`]: reputation, updatedAt: now };
+
+    if (userType === 'driver') {
+      // Read by the driver lists and matching
+      update['driver.averageRating'] = reputation.averageRating;
+      update['driver.totalRatings'] = reputation.totalRatings;
+    } else {
+      const flagged = reputation.totalRatings >= this.settings.minRatingsForAction &&
+        reputation.score < this.settings.customerFlagThreshold;
+      update['customer.lowRatingFlag'] = flagged
+        ? { flagged: true, score: reputation.score, flaggedAt: now }
+        : { flagged: false, score: reputation.score, clearedAt: now };
+    }
+    return update;
+  }
+
+  /**
+   * Open a review for a driver whose reputation fell below the threshold,
+   * unless one is already open
+   */
+  async checkDriverReview(driverId, reputation) {
+    if (reputation.totalRatings < this.settings.minRatingsForAction || reputation.score >= this.settings.driverReviewThreshold) {
+      return null;
+    }
+
+    try {
+      const open = await this.db.collection(RATING_COLLECTIONS.DRIVER_REVIEWS)
+        .where('driverId', '==', driverId)
+        .where('status', '==', DRIVER_REVIEW_STATUSES.OPEN)
+        .limit(1)
+        .get();
+
+      if (!open.empty) {
+        await open.docs[0].ref.update({ reputation, updatedAt: new Date() });
+        return open.docs[0].id;
+      }
+
+      const reviewRef = this.db.collection(RATING_COLLECTIONS.DRIVER_REVIEWS).doc();
+      const now = new Date();
+      await reviewRef.set({
+        id: reviewRef.id,
+        driverId,
+        status: DRIVER_REVIEW_STATUSES.OPEN,
+        reason: `Rating ${reputation.score} below ${this.settings.driverReviewThreshold}`,
+        scoreAtOpen: reputation.score,
+        reputation,
+        resolution: null,
+        createdAt: now,
+        updatedAt: now
+      });
+
+      try {
+        const notificationService = require('./notificationService');
+        await notificationService.sendToTopic('admin', {
+          type: 'driver_rating_review',
+          title: 'Driver rating review',
+          body: `Driver ${driverId} dropped to a ${reputation.score} rating`,
+          data: { reviewId: reviewRef.id, driverId }
+        });
+      } catch (error) {
+        console.warn(`⚠️ [RATING] Failed to notify admin topic about review ${reviewRef.id}:`, error.message);
+      }
+
+      console.log(`🔎 [RATING] Driver ${driverId} queued for rating review (${reputation.score})`);
+      return reviewRef.id;
+    } catch (error) {
+      console.error(`❌ [RATING] Failed to queue rating review for driver ${driverId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Hold a comment that matches the abuse list
+   * @param {string} comment - Rating comment
+   * @returns {Object} Moderation block stored on the rating
+   */
+  moderateComment(comment) {
+    const text = (comment || '').toLowerCase();
+    const matchedTerms = RATING_ABUSIVE_TERMS.filter(term => new RegExp(`\\b${term}\\b`).test(text));
+    return {
+      status: matchedTerms.length > 0 ? RATING_MODERATION_STATUSES.PENDING_REVIEW : RATING_MODERATION_STATUSES.VISIBLE,
+      matchedTerms,
+      reviewedBy: null,
+      reviewedAt: null
+    };
+  }
+
+  /**
+   * Comments held for moderation, oldest first
+   */
+  async listModerationQueue(limit = 50) {
+    const snapshot = await this.db.collection(RATING_COLLECTIONS.RATINGS)
+      .where('moderation.status', '==', RATING_MODERATION_STATUSES.PENDING_REVIEW)
+      .orderBy('createdAt', 'asc')
+      .limit(limit)
+      .get();
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  }
+
+  /**
+   * Approve (publish) or remove a held comment
+   * @param {string} ratingId - Rating ID
+   * @param {string} adminId - Admin ID
+   * @param {string} action - approve | remove
+   * @returns {Promise<Object>} Result with the moderation block
+   */
+  async moderate(ratingId, adminId, action) {
+    const ratingRef = this.db.collection(RATING_COLLECTIONS.RATINGS).doc(ratingId);
+    const ratingDoc = await ratingRef.get();
+    if (!ratingDoc.exists) {
+      return { success: false, error: { code: 'RATING_NOT_FOUND', message: 'Rating not found' } };
+    }
+
+    const rating = ratingDoc.data();
+    const now = new Date();
+    const moderation = {
+      ...(rating.moderation || { matchedTerms: [] }),
+      status: action === 'approve' ? RATING_MODERATION_STATUSES.VISIBLE : RATING_MODERATION_STATUSES.REMOVED,
+      reviewedBy: adminId,
+      reviewedAt: now
+    };
+
+    await ratingRef.update({ moderation, updatedAt: now });
+    const feedback = action === 'approve' ? rating.comment : null;
+    await this.db.collection('bookings').doc(rating.bookingId).update(
+      rating.direction === RATING_DIRECTIONS.DRIVER_TO_CUSTOMER
+        ? { 'rating.driverFeedback': feedback, updatedAt: now }
+        : { 'rating.customerFeedback': feedback, updatedAt: now }
+    );
+
+    return { success: true, data: { ratingId, bookingId: rating.bookingId, moderation } };
+  }
+
+  /**
+   * Driver rating reviews, oldest first
+   */
+  async listDriverReviews(status = DRIVER_REVIEW_STATUSES.OPEN, limit = 50) {
+    const snapshot = await this.db.collection(RATING_COLLECTIONS.DRIVER_REVIEWS)
+      .where('status', '==', status)
+      .orderBy('createdAt', 'asc')
+      .limit(limit)
+      .get();
+    return snapshot.docs.map(doc => doc.data());
+  }
+
+  /**
+   * Close a driver rating review
+   * @param {string} reviewId - Review ID
+   * @param {string} adminId - Admin ID
+   * @param {Object} params - { resolution, notes }
+   * @returns {Promise<Object>} Result with the review
+   */
+  async resolveDriverReview(reviewId, adminId, { resolution, notes }) {
+    const reviewRef = this.db.collection(RATING_COLLECTIONS.DRIVER_REVIEWS).doc(reviewId);
+    const reviewDoc = await reviewRef.get();
+    if (!reviewDoc.exists) {
+      return { success: false, error: { code: 'REVIEW_NOT_FOUND', message: 'Review not found' } };
+    }
+
+    const review = reviewDoc.data();
+    if (review.status !== DRIVER_REVIEW_STATUSES.OPEN) {
+      return { success: false, error: { code: 'REVIEW_CLOSED', message: 'Review is already resolved' } };
+    }
+
+    const now = new Date();
+    const update = {
+      status: DRIVER_REVIEW_STATUSES.RESOLVED,
+      resolution: { outcome: resolution, notes, resolvedBy: adminId, resolvedAt: now },
+      updatedAt: now
+    };
+    await reviewRef.update(update);
+    return { success: true, data: { ...review, ...update } };
+  }
+
+  /**
+   * Live update for the admin dashboard's driver list
+   */
+  emitDriverRatingUpdate(driverId, bookingId, rating, reputation) {
+    try {
+      const io = require('./socket').getSocketIO();
+      if (io) {
+        io.to('type:admin').emit('driver_rating_updated', {
+          driverId,
+          bookingId,
+          action: 'added',
+          rating,
+          newAverageRating: reputation.averageRating,
+          reputationScore: reputation.score,
+          totalRatings: reputation.totalRatings,
+          timestamp: new Date().toISOString()
+        });
+      }
+    } catch (error) {
+      console.warn('⚠️ [RATING] Failed to emit rating update event:', error.message);
+    }
+  }
+}
+
+module.exports = new RatingService();
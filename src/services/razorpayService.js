@@ -1,6 +1,7 @@
 const crypto = require('crypto');
 const Razorpay = require('razorpay');
 const { getFirestore } = require('./firebase');
+const { CUSTOMER_TOP_UP_PURPOSE } = require('../constants/customerWallet');
 
 class RazorpayService {
   constructor() {
@@ -36,29 +37,32 @@ class RazorpayService {
     return undefined;
   }
 
-  async createWalletTopupPayment({ transactionId, driverId, amount, mobileNumber, customerName, customerEmail }) {
+  async createWalletTopupPayment({ transactionId, driverId, customerId, amount, mobileNumber, customerName, customerEmail, purpose = 'driver_wallet_topup' }) {
     try {
       const rzp = this.getInstance();
       const amountInPaise = Math.round(Number(amount) * 100);
+      // Customer wallet top-ups share this flow (owner = customer, see customerWalletService)
+      const isCustomerTopup = purpose === CUSTOMER_TOP_UP_PURPOSE;
+      const ownerId = isCustomerTopup ? customerId : driverId;
 
       // ✅ FIX: Razorpay Payment Links API requires reference_id max 40 characters
-      // Create short reference: WLT_<timestamp>_<shortId>
+      // Create short reference: WLT_<timestamp>_<shortId> (CWL_ for customer wallets)
       const timestamp = Date.now();
-      const shortDriverId = driverId.substring(0, 8); // First 8 chars of driver ID
-      const shortReference = `WLT_${timestamp}_${shortDriverId}`.substring(0, 40);
+      const shortOwnerId = ownerId.substring(0, 8); // First 8 chars of driver/customer ID
+      const shortReference = `${isCustomerTopup ? 'CWL' : 'WLT'}_${timestamp}_${shortOwnerId}`.substring(0, 40);
 
       const payload = {
         amount: amountInPaise,
         currency: 'INR',
         accept_partial: false,
         reference_id: shortReference,  // ✅ Now guaranteed under 40 chars
-        description: `EPickup wallet top-up (${driverId})`,
+        description: `EPickup ${isCustomerTopup ? 'customer ' : ''}wallet top-up (${ownerId})`,
         reminder_enable: false,
         notes: {
           transactionId,              // ✅ Full ID stored in notes for tracking
           shortReference,
-          driverId,
-          purpose: 'driver_wallet_topup'
+          ...(isCustomerTopup ? { customerId } : { driverId }),
+          purpose
         }
       };
 
@@ -323,6 +327,17 @@ class RazorpayService {
         return { success: true, message: 'Webhook ignored: no transaction reference' };
       }
 
+      // Customer wallet top-ups are credited by customerWalletService
+      const purpose = paymentEntity.notes?.purpose || paymentLinkEntity.notes?.purpose;
+      if (purpose === CUSTOMER_TOP_UP_PURPOSE) {
+        console.log('👛 [RAZORPAY_WEBHOOK] Customer wallet top-up event:', event);
+        const customerWalletService = require('./customerWalletService');
+        return await customerWalletService.handleTopUpWebhook(event, transactionId, {
+          razorpayPaymentId: paymentEntity.id || null,
+          razorpayPaymentLinkId: paymentLinkEntity.id || null
+        });
+      }
+
       if (event === 'payment_link.paid' || event === 'payment.captured') {
         console.log('✅ [RAZORPAY_WEBHOOK] Payment successful event detected:', event);
         const processed = await this.processWalletTopupPayment(transactionId, {
@@ -0,0 +1,281 @@
+const { getFirestore } = require('./firebase');
+const config = require('../config/environment');
+const bookingStateMachine = require('./bookingStateMachine');
+
+/**
+ * Scheduled Booking Service
+ * Holds future-time bookings in the `scheduled` state and releases them to
+ * driver matching `releaseLeadMinutes` before pickup. Also sends customer
+ * reminders ahead of the pickup time.
+ *
+ * Safe to run on several instances: release goes through the state machine
+ * transaction (scheduled → pending only succeeds once) and reminders are
+ * claimed in a transaction before they are sent.
+ */
+class ScheduledBookingService {
+  constructor() {
+    this.checkInterval = null;
+    this.isRunning = false;
+    this.isProcessing = false;
+  }
+
+  get db() {
+    return getFirestore();
+  }
+
+  get settings() {
+    return config.getScheduledBookingConfig();
+  }
+
+  /**
+   * Initialize the service
+   */
+  initialize() {
+    if (this.isRunning) {
+      console.log('⚠️ [SCHEDULED_BOOKING] Service already running');
+      return;
+    }
+
+    this.startScheduler();
+    console.log('✅ [SCHEDULED_BOOKING] Service initialized and started');
+  }
+
+  /**
+   * Start the release/reminder scheduler
+   */
+  startScheduler() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+    }
+
+    const intervalMs = this.settings.checkIntervalSeconds * 1000;
+    this.checkInterval = setInterval(async () => {
+      await this.processScheduledBookings();
+    }, intervalMs);
+
+    this.isRunning = true;
+    console.log(`🔄 [SCHEDULED_BOOKING] Started scheduler (every ${this.settings.checkIntervalSeconds}s)`);
+  }
+
+  /**
+   * Stop the scheduler
+   */
+  stopScheduler() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+    this.isRunning = false;
+    console.log('⏹️ [SCHEDULED_BOOKING] Stopped scheduler');
+  }
+
+  /**
+   * Validate a requested pickup time and decide whether it is a scheduled booking
+   * @param {string|Date} scheduledPickupTime - Requested pickup time
+   * @returns {Object} { isScheduled, isValid, error, scheduledPickupTime, releaseAt }
+   */
+  resolveSchedule(scheduledPickupTime) {
+    if (!scheduledPickupTime) {
+      return { isScheduled: false, isValid: true };
+    }
+
+    const pickupTime = new Date(scheduledPickupTime);
+    if (isNaN(pickupTime.getTime())) {
+      return { isScheduled: false, isValid: false, error: 'Scheduled pickup time is invalid' };
+    }
+
+    const { minLeadMinutes, maxAdvanceDays, releaseLeadMinutes } = this.settings;
+    const now = Date.now();
+    const earliest = now + minLeadMinutes * 60 * 1000;
+    const latest = now + maxAdvanceDays * 24 * 60 * 60 * 1000;
+
+    if (pickupTime.getTime() < earliest) {
+      return {
+        isScheduled: false,
+        isValid: false,
+        error: `Scheduled pickup must be at least ${minLeadMinutes} minutes from now`
+      };
+    }
+
+    if (pickupTime.getTime() > latest) {
+      return {
+        isScheduled: false,
+        isValid: false,
+        error: `Scheduled pickup cannot be more than ${maxAdvanceDays} days in advance`
+      };
+    }
+
+    return {
+      isScheduled: true,
+      isValid: true,
+      scheduledPickupTime: pickupTime,
+      releaseAt: new Date(pickupTime.getTime() - releaseLeadMinutes * 60 * 1000)
+    };
+  }
+
+  /**
+   * Cancellation fee for a scheduled booking
+   * Free until `freeCancellationMinutes` before pickup, then the same fee as an
+   * assigned booking (10% or ₹50, whichever is less)
+   * @param {Object} booking - Booking data
+   * @returns {number} Cancellation fee
+   */
+  getCancellationFee(booking) {
+    const totalAmount = booking.pricing?.totalAmount || 0;
+    const pickupTime = booking.scheduledPickupTime?.toDate
+      ? booking.scheduledPickupTime.toDate()
+      : new Date(booking.scheduledPickupTime);
+
+    const freeUntil = pickupTime.getTime() - this.settings.freeCancellationMinutes * 60 * 1000;
+    if (isNaN(freeUntil) || Date.now() < freeUntil) {
+      return 0;
+    }
+
+    return Math.min(50, totalAmount * 0.1);
+  }
+
+  /**
+   * Run one scheduler pass: reminders first, then releases
+   */
+  async processScheduledBookings() {
+    if (this.isProcessing) {
+      return;
+    }
+
+    this.isProcessing = true;
+    try {
+      await this.sendDueReminders();
+      await this.releaseDueBookings();
+    } catch (error) {
+      console.error('❌ [SCHEDULED_BOOKING] Scheduler pass failed:', error);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Release scheduled bookings whose release time has passed
+   * @returns {Promise<number>} Number of released bookings
+   */
+  async releaseDueBookings() {
+    const dueBookings = await this.db.collection('bookings')
+      .where('status', '==', 'scheduled')
+      .where('scheduling.releaseAt', '<=', new Date())
+      .limit(50)
+      .get();
+
+    if (dueBookings.empty) {
+      return 0;
+    }
+
+    let releasedCount = 0;
+    for (const doc of dueBookings.docs) {
+      const released = await this.releaseBooking(doc.id);
+      if (released) releasedCount++;
+    }
+
+    console.log(`✅ [SCHEDULED_BOOKING] Released ${releasedCount}/${dueBookings.size} scheduled bookings to matching`);
+    return releasedCount;
+  }
+
+  /**
+   * Release a single scheduled booking to driver matching
+   * @param {string} bookingId - Booking ID
+   * @returns {Promise<boolean>} True if this instance released it
+   */
+  async releaseBooking(bookingId) {
+    try {
+      await bookingStateMachine.transitionBooking(bookingId, 'pending', {}, {
+        userId: 'system',
+        userType: 'system',
+        releasedFromSchedule: true
+      });
+    } catch (error) {
+      // Another instance released it, or it was cancelled in the meantime
+      console.warn(`⚠️ [SCHEDULED_BOOKING] Skipping release of ${bookingId}: ${error.message}`);
+      return false;
+    }
+
+    const bookingDoc = await this.db.collection('bookings').doc(bookingId).get();
+    const booking = { id: bookingId, ...bookingDoc.data() };
+
+    try {
+      const notificationService = require('./notificationService');
+      await notificationService.notifyCustomerScheduledBookingReleased(booking);
+    } catch (notifyError) {
+      console.warn(`⚠️ [SCHEDULED_BOOKING] Failed to notify customer for ${bookingId}:`, notifyError.message);
+    }
+
+    try {
+      // Same matching path as an immediate booking (WebSocket + push to nearby drivers)
+      const { getEventHandler } = require('./socket');
+      await getEventHandler().notifyDriversOfNewBooking(booking);
+    } catch (matchError) {
+      console.error(`❌ [SCHEDULED_BOOKING] Failed to start matching for ${bookingId}:`, matchError.message);
+    }
+
+    console.log(`🚚 [SCHEDULED_BOOKING] Booking ${bookingId} released to matching`);
+    return true;
+  }
+
+  /**
+   * Send reminders for scheduled pickups within the reminder lead time
+   * @returns {Promise<number>} Number of reminders sent
+   */
+  async sendDueReminders() {
+    const reminderCutoff = new Date(Date.now() + this.settings.reminderLeadMinutes * 60 * 1000);
+    // Filter reminded bookings in the query so they cannot fill the page
+    const upcoming = await this.db.collection('bookings')
+      .where('status', '==', 'scheduled')
+      .where('scheduling.reminderSentAt', '==', null)
+      .where('scheduledPickupTime', '<=', reminderCutoff)
+      .limit(50)
+      .get();
+
+    let sentCount = 0;
+    for (const doc of upcoming.docs) {
+      const claimed = await this.claimReminder(doc.ref);
+      if (!claimed) continue;
+
+      try {
+        const notificationService = require('./notificationService');
+        await notificationService.notifyCustomerScheduledPickupReminder({ id: doc.id, ...doc.data() });
+        sentCount++;
+      } catch (error) {
+        console.warn(`⚠️ [SCHEDULED_BOOKING] Failed to send reminder for ${doc.id}:`, error.message);
+      }
+    }
+
+    if (sentCount > 0) {
+      console.log(`⏰ [SCHEDULED_BOOKING] Sent ${sentCount} pickup reminders`);
+    }
+    return sentCount;
+  }
+
+  /**
+   * Mark a reminder as sent before sending so only one instance sends it
+   * @param {Object} bookingRef - Booking document reference
+   * @returns {Promise<boolean>} True if this instance claimed the reminder
+   */
+  async claimReminder(bookingRef) {
+    try {
+      return await this.db.runTransaction(async (transaction) => {
+        const snapshot = await transaction.get(bookingRef);
+        const data = snapshot.data();
+        if (!snapshot.exists || data.status !== 'scheduled' || data.scheduling?.reminderSentAt) {
+          return false;
+        }
+        transaction.update(bookingRef, {
+          'scheduling.reminderSentAt': new Date(),
+          updatedAt: new Date()
+        });
+        return true;
+      });
+    } catch (error) {
+      console.warn(`⚠️ [SCHEDULED_BOOKING] Failed to claim reminder for ${bookingRef.id}:`, error.message);
+      return false;
+    }
+  }
+}
+
+module.exports = new ScheduledBookingService();
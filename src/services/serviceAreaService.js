@@ -0,0 +1,495 @@
+/**
+ * Service Area Service
+ *
+ * Stores named service area zones (GeoJSON polygons) and resolves a location to
+ * the zone that contains it. Each zone carries its own enable flag, pricing plan
+ * version and operating hours, so a new town can be launched by adding a zone.
+ *
+ * Firestore cannot store nested arrays, so the polygon is persisted as a GeoJSON
+ * string (`geometryGeoJson`) and parsed when zones are loaded. Zones are cached
+ * in memory so synchronous validators can resolve them without a read.
+ */
+
+const { getFirestore } = require('./firebase');
+const config = require('../config/environment');
+const { isPointInPolygon, distanceToBoundary, getCenter, validateGeometry } = require('../utils/geoPolygon');
+const { toDate } = require('../utils/dates');
+const {
+  SERVICE_AREAS_COLLECTION,
+  LEGACY_SERVICE_AREA_ID,
+  DEFAULT_SERVICE_AREA_TIMEZONE,
+  WEEKDAYS
+} = require('../constants/serviceAreas');
+const { DISPATCH_STRATEGIES } = require('../constants/dispatchStrategies');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+class ServiceAreaService {
+  constructor() {
+    this.collectionName = SERVICE_AREAS_COLLECTION;
+    this.cacheTtlMs = 60 * 1000; // Zones are re-read at most once a minute
+
+    this.zones = null;
+    this.zonesLoadedAt = 0;
+    this.refreshPromise = null;
+  }
+
+  get db() {
+    return getFirestore();
+  }
+
+  /**
+   * Warm the zone cache (called on server start)
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    const zones = await this.getZones({ forceRefresh: true });
+    console.log(`✅ [SERVICE_AREA] Loaded ${zones.length} service area(s): ${zones.map(zone => zone.name).join(', ')}`);
+  }
+
+  /**
+   * Zones from the in-memory cache without awaiting Firestore.
+   * A stale cache triggers a background refresh; falls back to the legacy radius zone.
+   * @returns {Array<Object>} Zones, highest priority first
+   */
+  getCachedZones() {
+    if (Date.now() - this.zonesLoadedAt >= this.cacheTtlMs) {
+      this.getZones().catch(() => {});
+    }
+    return this.zones || [this.getLegacyZone()];
+  }
+
+  /**
+   * Load all zones (enabled and disabled)
+   * @param {Object} options - Options
+   * @param {boolean} options.forceRefresh - Bypass the in-memory cache
+   * @returns {Promise<Array<Object>>} Zones, highest priority first
+   */
+  async getZones({ forceRefresh = false } = {}) {
+    const isCurrent = !forceRefresh && this.zones && (Date.now() - this.zonesLoadedAt) < this.cacheTtlMs;
+    if (isCurrent) {
+      return this.zones;
+    }
+
+    // Concurrent callers share a single Firestore read
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.loadZones().finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+    return this.refreshPromise;
+  }
+
+  async loadZones() {
+    try {
+      const snapshot = await this.db.collection(this.collectionName).get();
+      const zones = snapshot.docs
+        .map(doc => this.normalizeZone({ id: doc.id, ...doc.data() }))
+        .filter(Boolean)
+        .sort((a, b) => (b.priority - a.priority) || (Number(b.enabled) - Number(a.enabled)));
+
+      this.zones = zones.length > 0 ? zones : [this.getLegacyZone()];
+      this.zonesLoadedAt = Date.now();
+      return this.zones;
+    } catch (error) {
+      console.error('❌ [SERVICE_AREA] Failed to load service areas, using cached/legacy zones:', error.message);
+      this.zonesLoadedAt = Date.now(); // Back off until the next TTL window
+      return this.zones || [this.getLegacyZone()];
+    }
+  }
+
+  /**
+   * Built-in zone: the configured radius around the service centre
+   * @returns {Object} Zone
+   */
+  getLegacyZone() {
+    const center = config.getServiceAreaCenter();
+    const radius = config.getServiceAreaRadius();
+    return {
+      id: LEGACY_SERVICE_AREA_ID,
+      name: center.NAME,
+      enabled: true,
+      geometry: null,
+      center: { latitude: center.LATITUDE, longitude: center.LONGITUDE },
+      minRadiusMeters: radius.MIN_METERS,
+      radiusMeters: radius.MAX_METERS,
+      pricingPlanVersion: null,
+      operatingHours: null,
+      dispatchStrategy: null,
+      priority: 0,
+      isLegacy: true
+    };
+  }
+
+  /**
+   * Find the zone containing a point
+   * @param {number} latitude
+   * @param {number} longitude
+   * @param {Array<Object>} [zones] - Zones to search (default: cached zones)
+   * @returns {Object|null} Zone (may be disabled) or null when outside every zone
+   */
+  resolveZone(latitude, longitude, zones = this.getCachedZones()) {
+    return zones.find(zone => this.containsPoint(zone, latitude, longitude)) || null;
+  }
+
+  /**
+   * Async variant of resolveZone that refreshes a stale cache first
+   * @param {number} latitude
+   * @param {number} longitude
+   * @returns {Promise<Object|null>} Zone or null
+   */
+  async resolveZoneForLocation(latitude, longitude) {
+    const zones = await this.getZones();
+    return this.resolveZone(latitude, longitude, zones);
+  }
+
+  /**
+   * @param {Object} zone - Zone
+   * @param {number} latitude
+   * @param {number} longitude
+   * @returns {boolean} True if the point is inside the zone
+   */
+  containsPoint(zone, latitude, longitude) {
+    if (zone.isLegacy) {
+      const distance = this.calculateDistance(zone.center.latitude, zone.center.longitude, latitude, longitude);
+      return distance >= zone.minRadiusMeters && distance <= zone.radiusMeters;
+    }
+    return isPointInPolygon(latitude, longitude, zone.geometry);
+  }
+
+  /**
+   * @param {Object} zone - Zone
+   * @param {number} latitude
+   * @param {number} longitude
+   * @returns {number} Distance in meters from the point to the zone's edge
+   */
+  getDistanceToBoundary(zone, latitude, longitude) {
+    if (zone.isLegacy) {
+      const distance = this.calculateDistance(zone.center.latitude, zone.center.longitude, latitude, longitude);
+      return Math.abs(zone.radiusMeters - distance);
+    }
+    return distanceToBoundary(latitude, longitude, zone.geometry);
+  }
+
+  /**
+   * Check whether a zone is operating at a point in time (zone-local time)
+   * Windows whose close time is not after the open time run past midnight.
+   * @param {Object} zone - Zone
+   * @param {Date} at - Point in time
+   * @returns {boolean}
+   */
+  isOpenAt(zone, at = new Date()) {
+    const windows = zone.operatingHours?.windows;
+    if (!Array.isArray(windows) || windows.length === 0) {
+      return true; // No operating hours means 24x7
+    }
+    return this.isWithinWindows(windows, zone.operatingHours.timezone, at);
+  }
+
+  /**
+   * Check whether a point in time falls inside any weekly window (also used for dispatch rules)
+   * @param {Array<Object>} windows - [{ days: [0-6], open: 'HH:MM', close: 'HH:MM' }]
+   * @param {string} [timezone] - IANA timezone of the windows
+   * @param {Date} at - Point in time
+   * @returns {boolean}
+   */
+  isWithinWindows(windows, timezone, at = new Date()) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone || DEFAULT_SERVICE_AREA_TIMEZONE,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(at);
+    const part = (type) => parts.find(p => p.type === type)?.value;
+    const day = WEEKDAYS.indexOf(part('weekday'));
+    const minutes = Number(part('hour')) * 60 + Number(part('minute'));
+    const previousDay = (day + 6) % 7;
+
+    return windows.some(window => {
+      const open = this.toMinutes(window.open);
+      const close = this.toMinutes(window.close);
+      if (close > open) {
+        return window.days.includes(day) && minutes >= open && minutes < close;
+      }
+      return (window.days.includes(day) && minutes >= open) ||
+        (window.days.includes(previousDay) && minutes < close);
+    });
+  }
+
+  /**
+   * Human-readable operating hours, e.g. "Mon, Tue 08:00-21:00"
+   * @param {Object} zone - Zone
+   * @returns {string}
+   */
+  describeOperatingHours(zone) {
+    const windows = zone.operatingHours?.windows;
+    if (!Array.isArray(windows) || windows.length === 0) {
+      return 'Open 24 hours';
+    }
+    return windows
+      .map(window => `${window.days.map(day => WEEKDAYS[day]).join(', ')} ${window.open}-${window.close}`)
+      .join('; ');
+  }
+
+  toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+
+  /**
+   * List all zones for admin screens
+   * @returns {Promise<Array<Object>>} Serialized zones
+   */
+  async listZones() {
+    const zones = await this.getZones({ forceRefresh: true });
+    return zones.map(zone => this.serializeZone(zone));
+  }
+
+  /**
+   * Create a zone
+   * @param {Object} zoneData - { name, geometry, enabled, pricingPlanVersion, operatingHours, dispatchStrategy, priority }
+   * @param {string} createdBy - Admin user ID
+   * @returns {Promise<Object>} Created zone
+   */
+  async createZone(zoneData, createdBy) {
+    const errors = this.validateZone(zoneData);
+    if (errors.length > 0) {
+      throw new Error(`Invalid service area: ${errors.join(', ')}`);
+    }
+
+    const zoneRef = this.db.collection(this.collectionName).doc();
+    const zone = {
+      ...this.toDocument(zoneData),
+      createdBy: createdBy || null,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+    await zoneRef.set(zone);
+
+    this.invalidateCache();
+    console.log(`✅ [SERVICE_AREA] Created service area ${zoneRef.id} (${zone.name}, ${zone.enabled ? 'enabled' : 'disabled'})`);
+    return this.serializeZone(this.normalizeZone({ id: zoneRef.id, ...zone }));
+  }
+
+  /**
+   * Update a zone (any subset of its editable fields)
+   * @param {string} zoneId - Zone ID
+   * @param {Object} changes - Fields to change
+   * @param {string} updatedBy - Admin user ID
+   * @returns {Promise<Object>} Updated zone
+   */
+  async updateZone(zoneId, changes, updatedBy) {
+    const zoneRef = this.db.collection(this.collectionName).doc(zoneId);
+    const zoneDoc = await zoneRef.get();
+    if (!zoneDoc.exists) {
+      throw new Error(`Service area ${zoneId} not found`);
+    }
+
+    const current = this.normalizeZone({ id: zoneDoc.id, ...zoneDoc.data() });
+    const merged = {
+      name: current.name,
+      geometry: current.geometry,
+      enabled: current.enabled,
+      pricingPlanVersion: current.pricingPlanVersion,
+      operatingHours: current.operatingHours,
+      dispatchStrategy: current.dispatchStrategy,
+      priority: current.priority,
+      ...changes
+    };
+    const errors = this.validateZone(merged);
+    if (errors.length > 0) {
+      throw new Error(`Invalid service area: ${errors.join(', ')}`);
+    }
+
+    await zoneRef.update({
+      ...this.toDocument(merged),
+      updatedAt: new Date(),
+      updatedBy: updatedBy || null
+    });
+    this.invalidateCache();
+
+    const updatedDoc = await zoneRef.get();
+    return this.serializeZone(this.normalizeZone({ id: updatedDoc.id, ...updatedDoc.data() }));
+  }
+
+  /**
+   * Validate a zone definition
+   * @param {Object} zone - Zone definition
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  validateZone(zone) {
+    if (!zone || typeof zone !== 'object') {
+      return ['Service area definition is required'];
+    }
+
+    const errors = [];
+    if (typeof zone.name !== 'string' || zone.name.trim().length === 0) {
+      errors.push('name is required');
+    }
+    errors.push(...validateGeometry(zone.geometry));
+
+    if (zone.enabled !== undefined && typeof zone.enabled !== 'boolean') {
+      errors.push('enabled must be a boolean');
+    }
+    if (zone.priority !== undefined && !Number.isFinite(Number(zone.priority))) {
+      errors.push('priority must be a number');
+    }
+    if (zone.pricingPlanVersion !== undefined && zone.pricingPlanVersion !== null &&
+        !(Number.isInteger(Number(zone.pricingPlanVersion)) && Number(zone.pricingPlanVersion) > 0)) {
+      errors.push('pricingPlanVersion must be a positive integer or null');
+    }
+    if (zone.dispatchStrategy !== undefined && zone.dispatchStrategy !== null &&
+        !Object.values(DISPATCH_STRATEGIES).includes(zone.dispatchStrategy)) {
+      errors.push(`dispatchStrategy must be one of ${Object.values(DISPATCH_STRATEGIES).join(', ')} or null`);
+    }
+
+    const hours = zone.operatingHours;
+    if (hours !== undefined && hours !== null) {
+      if (hours.timezone) {
+        try {
+          new Intl.DateTimeFormat('en-US', { timeZone: hours.timezone });
+        } catch {
+          errors.push('operatingHours.timezone must be a valid IANA timezone');
+        }
+      }
+      errors.push(...this.validateWindows(hours.windows, 'operatingHours.windows'));
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate weekly time windows ({ days, open, close })
+   * @param {Array<Object>} windows - Windows to check
+   * @param {string} label - Field name used in error messages
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  validateWindows(windows, label) {
+    if (!Array.isArray(windows)) {
+      return [`${label} must be an array`];
+    }
+
+    const errors = [];
+    windows.forEach((window, index) => {
+      const daysValid = Array.isArray(window?.days) && window.days.length > 0 &&
+        window.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6);
+      if (!daysValid) {
+        errors.push(`${label}[${index}].days must be weekday numbers 0-6 (0 = Sunday)`);
+      }
+      if (!TIME_PATTERN.test(window?.open || '') || !TIME_PATTERN.test(window?.close || '')) {
+        errors.push(`${label}[${index}].open/close must be HH:MM`);
+      }
+    });
+    return errors;
+  }
+
+  /**
+   * Convert a zone definition to its Firestore document shape
+   * @param {Object} zone - Zone definition
+   * @returns {Object} Document fields
+   */
+  toDocument(zone) {
+    return {
+      name: zone.name.trim(),
+      enabled: zone.enabled !== false,
+      geometryGeoJson: JSON.stringify(zone.geometry),
+      pricingPlanVersion: zone.pricingPlanVersion ? Number(zone.pricingPlanVersion) : null,
+      operatingHours: zone.operatingHours
+        ? {
+          timezone: zone.operatingHours.timezone || DEFAULT_SERVICE_AREA_TIMEZONE,
+          windows: zone.operatingHours.windows.map(window => ({
+            days: window.days,
+            open: window.open,
+            close: window.close
+          }))
+        }
+        : null,
+      dispatchStrategy: zone.dispatchStrategy || null,
+      priority: Number(zone.priority) || 0
+    };
+  }
+
+  /**
+   * Parse a zone document (GeoJSON string, Firestore timestamps)
+   * @param {Object} zone - Raw zone document
+   * @returns {Object|null} Zone, or null if its geometry is unreadable
+   */
+  normalizeZone(zone) {
+    let geometry;
+    try {
+      geometry = JSON.parse(zone.geometryGeoJson);
+    } catch {
+      console.error(`❌ [SERVICE_AREA] Skipping service area ${zone.id}: invalid geometry`);
+      return null;
+    }
+
+    const fields = { ...zone };
+    delete fields.geometryGeoJson;
+    return {
+      ...fields,
+      enabled: zone.enabled !== false,
+      geometry,
+      center: getCenter(geometry),
+      pricingPlanVersion: zone.pricingPlanVersion || null,
+      operatingHours: zone.operatingHours || null,
+      dispatchStrategy: zone.dispatchStrategy || null,
+      priority: Number(zone.priority) || 0,
+      isLegacy: false,
+      createdAt: toDate(zone.createdAt),
+      updatedAt: toDate(zone.updatedAt)
+    };
+  }
+
+  /**
+   * Convert a zone to an API-safe shape (ISO date strings)
+   * @param {Object} zone - Zone
+   * @returns {Object} Serialized zone
+   */
+  serializeZone(zone) {
+    const toIso = (value) => (value instanceof Date ? value.toISOString() : value || null);
+    return {
+      ...zone,
+      isOpen: this.isOpenAt(zone),
+      operatingHoursText: this.describeOperatingHours(zone),
+      createdAt: toIso(zone.createdAt),
+      updatedAt: toIso(zone.updatedAt)
+    };
+  }
+
+  /**
+   * Summary stored on bookings and returned by validators
+   * @param {Object} zone - Zone
+   * @returns {Object|null} { id, name, pricingPlanVersion }
+   */
+  toBookingReference(zone) {
+    if (!zone) return null;
+    return {
+      id: zone.id,
+      name: zone.name,
+      pricingPlanVersion: zone.pricingPlanVersion || null
+    };
+  }
+
+  /**
+   * Haversine distance in meters
+   */
+  calculateDistance(lat1, lon1, lat2, lon2) {
+    const R = 6371000;
+    const dLat = (lat2 - lat1) * Math.PI / 180;
+    const dLon = (lon2 - lon1) * Math.PI / 180;
+    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+      Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+      Math.sin(dLon / 2) * Math.sin(dLon / 2);
+    return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  }
+
+  /**
+   * Drop cached zones after a write
+   */
+  invalidateCache() {
+    this.zonesLoadedAt = 0;
+  }
+}
+
+module.exports = new ServiceAreaService();
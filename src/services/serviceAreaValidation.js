@@ -1,4 +1,5 @@
 const config = require('../config/environment');
+const serviceAreaService = require('./serviceAreaService');
 
 class ServiceAreaValidationService {
   constructor() {
@@ -32,12 +33,24 @@ class ServiceAreaValidationService {
   }
 
   /**
-   * Check if a location is within the service area
+   * Refresh the zone cache if it is stale
+   * Call before the synchronous validators in request handlers so zone edits apply promptly.
+   * @returns {Promise<Array<Object>>} Zones
+   */
+  async ensureZonesLoaded() {
+    return serviceAreaService.getZones();
+  }
+
+  /**
+   * Check if a location is inside an enabled service area zone
    * @param {number} latitude - Location latitude
    * @param {number} longitude - Location longitude
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.requireOpen=true] - Reject zones outside their operating hours
+   * @param {Date} [options.at] - Point in time for the operating hours check (default: now)
    * @returns {Object} Validation result
    */
-  validateLocation(latitude, longitude) {
+  validateLocation(latitude, longitude, { requireOpen = true, at = new Date() } = {}) {
     if (!this.validationConfig.ENABLED) {
       if (process.env.BYPASS_LOCATION_VALIDATION === 'true') {
         console.log('⚠️ Location validation bypassed for development');
@@ -49,43 +62,56 @@ class ServiceAreaValidationService {
       };
     }
 
-    const distance = this.calculateDistance(
-      this.serviceCenter.LATITUDE,
-      this.serviceCenter.LONGITUDE,
-      latitude,
-      longitude
-    );
+    const zones = serviceAreaService.getCachedZones();
+    const zone = serviceAreaService.resolveZone(latitude, longitude, zones);
 
-    const isWithinMinRadius = distance >= this.radiusConfig.MIN_METERS;
-    const isWithinMaxRadius = distance <= this.radiusConfig.MAX_METERS;
-    const isApproachingBoundary = distance >= this.validationConfig.WARNING_THRESHOLD;
+    if (!zone) {
+      return {
+        isValid: false,
+        code: 'OUTSIDE_SERVICE_AREA',
+        zone: null,
+        isOpen: false,
+        isApproachingBoundary: false,
+        message: `Location is outside our service areas. We currently serve: ${this.getEnabledZoneNames(zones)}.`
+      };
+    }
 
-    const isValid = isWithinMinRadius && isWithinMaxRadius;
+    const isOpen = serviceAreaService.isOpenAt(zone, at);
+    const distanceToBoundary = serviceAreaService.getDistanceToBoundary(zone, latitude, longitude);
+    const isApproachingBoundary = distanceToBoundary <= this.validationConfig.BOUNDARY_WARNING_METERS;
+    const distanceFromCenter = zone.center
+      ? this.calculateDistance(zone.center.latitude, zone.center.longitude, latitude, longitude)
+      : null;
 
+    let code = null;
     let message = '';
-    if (!isValid) {
-      if (distance < this.radiusConfig.MIN_METERS) {
-        message = `Location is too close to ${this.serviceCenter.NAME}. Service is available only within 25 km radius of ${this.serviceCenter.NAME}.`;
-      } else {
-        message = `Location is outside the service area. Service is available only within 25 km radius of ${this.serviceCenter.NAME}.`;
-      }
+    if (!zone.enabled) {
+      code = 'SERVICE_AREA_DISABLED';
+      message = `Service is not yet available in ${zone.name}.`;
+    } else if (requireOpen && !isOpen) {
+      code = 'SERVICE_AREA_CLOSED';
+      message = `${zone.name} is closed right now. Operating hours: ${serviceAreaService.describeOperatingHours(zone)}.`;
     } else if (isApproachingBoundary) {
-      message = `Location is near the service boundary. Service area extends up to 27 km from ${this.serviceCenter.NAME}.`;
+      message = `Location is near the edge of the ${zone.name} service area.`;
     }
 
     return {
-      isValid,
-      distance: Math.round(distance),
-      distanceKm: Math.round(distance / 1000 * 10) / 10,
+      isValid: code === null,
+      code,
+      zone: serviceAreaService.toBookingReference(zone),
+      isOpen,
+      distance: distanceFromCenter !== null ? Math.round(distanceFromCenter) : null,
+      distanceKm: distanceFromCenter !== null ? Math.round(distanceFromCenter / 1000 * 10) / 10 : null,
+      distanceToBoundary: Math.round(distanceToBoundary),
       isApproachingBoundary,
-      message,
-      serviceCenter: this.serviceCenter,
-      radiusConfig: this.radiusConfig
+      message
     };
   }
 
   /**
-   * Validate booking locations (pickup and dropoff)
+   * Validate booking locations (pickup, dropoff and any intermediate stops)
+   * Every location must be inside the pickup's zone - deliveries never cross
+   * service areas - and the zone must be open at pickup.
    * @param {Object} bookingData - Booking data with pickup and dropoff coordinates
    * @returns {Object} Validation result
    */
@@ -95,27 +121,41 @@ class ServiceAreaValidationService {
       bookingData.pickup.coordinates.longitude
     );
 
-    const dropoffValidation = this.validateLocation(
-      bookingData.dropoff.coordinates.latitude,
-      bookingData.dropoff.coordinates.longitude
+    // Drop-offs happen later, so only the pickup is checked against operating hours
+    const dropoffValidation = this.withinPickupZone(
+      this.validateLocation(bookingData.dropoff.coordinates.latitude, bookingData.dropoff.coordinates.longitude, { requireOpen: false }),
+      pickupValidation
     );
 
-    // Service area validation: Both pickup AND dropoff must be within service area
-    // Customer can be anywhere in the world, but delivery must be within Tirupattur 25km
-    const isValid = pickupValidation.isValid && dropoffValidation.isValid;
+    // Multi-stop bookings - every drop-off stop must be inside the service area too
+    const stopValidations = (Array.isArray(bookingData.stops) ? bookingData.stops : []).map(stop =>
+      this.withinPickupZone(
+        this.validateLocation(stop.coordinates.latitude, stop.coordinates.longitude, { requireOpen: false }),
+        pickupValidation
+      )
+    );
+    const invalidStopIndex = stopValidations.findIndex(validation => !validation.isValid);
+
+    const isValid = pickupValidation.isValid && dropoffValidation.isValid && invalidStopIndex === -1;
 
     let message = '';
     const warnings = [];
 
     if (!isValid) {
       if (!pickupValidation.isValid) {
-        message = `Pickup location is outside our service area. We only deliver within 25km of ${this.serviceCenter.NAME}.`;
+        message = `Pickup location: ${pickupValidation.message}`;
       } else if (!dropoffValidation.isValid) {
-        message = `Dropoff location is outside our service area. We only deliver within 25km of ${this.serviceCenter.NAME}.`;
+        message = `Dropoff location: ${dropoffValidation.message}`;
+      } else {
+        message = `Stop ${invalidStopIndex + 1}: ${stopValidations[invalidStopIndex].message}`;
       }
     } else {
-      // Both locations are valid, but check for boundary warnings
-      if (pickupValidation.isApproachingBoundary || dropoffValidation.isApproachingBoundary) {
+      // All locations are valid, but check for boundary warnings
+      if (
+        pickupValidation.isApproachingBoundary ||
+        dropoffValidation.isApproachingBoundary ||
+        stopValidations.some(validation => validation.isApproachingBoundary)
+      ) {
         warnings.push('One or more locations are near the service boundary. Delivery may take longer.');
         message = warnings.join(' ');
       }
@@ -123,23 +163,44 @@ class ServiceAreaValidationService {
 
     return {
       isValid,
+      code: isValid ? null : [pickupValidation, dropoffValidation, ...stopValidations].find(v => !v.isValid).code,
+      serviceArea: pickupValidation.zone || null,
       pickup: pickupValidation,
       dropoff: dropoffValidation,
+      stops: stopValidations,
       message,
-      warnings,
-      serviceCenter: this.serviceCenter,
-      radiusConfig: this.radiusConfig
+      warnings
+    };
+  }
+
+  /**
+   * Reject a drop-off validation whose zone differs from the pickup's zone
+   * @param {Object} validation - Drop-off location validation
+   * @param {Object} pickupValidation - Pickup location validation
+   * @returns {Object} Validation result
+   */
+  withinPickupZone(validation, pickupValidation) {
+    const pickupZone = pickupValidation.zone;
+    if (!validation.isValid || !pickupZone || !validation.zone || validation.zone.id === pickupZone.id) {
+      return validation;
+    }
+    return {
+      ...validation,
+      isValid: false,
+      code: 'CROSS_SERVICE_AREA',
+      message: `Location is in ${validation.zone.name}, but pickup is in ${pickupZone.name}. Deliveries cannot cross service areas.`
     };
   }
 
   /**
    * Validate driver location for going online
+   * Drivers may be inside a zone outside its operating hours (e.g. before opening).
    * @param {number} latitude - Driver latitude
    * @param {number} longitude - Driver longitude
    * @returns {Object} Validation result
    */
   validateDriverLocation(latitude, longitude) {
-    const validation = this.validateLocation(latitude, longitude);
+    const validation = this.validateLocation(latitude, longitude, { requireOpen: false });
     
     if (!validation.isValid && this.validationConfig.STRICT_MODE) {
       validation.message = `Driver location is outside service area. Cannot go online. ${validation.message}`;
@@ -153,14 +214,34 @@ class ServiceAreaValidationService {
    * @returns {Object} Service area information
    */
   getServiceAreaInfo() {
+    const zones = serviceAreaService.getCachedZones().filter(zone => zone.enabled);
+    const primaryZone = zones[0];
+
     return {
-      center: this.serviceCenter,
+      zones: zones.map(zone => ({
+        id: zone.id,
+        name: zone.name,
+        geometry: zone.geometry,
+        center: zone.center,
+        radiusMeters: zone.isLegacy ? zone.radiusMeters : null,
+        isOpen: serviceAreaService.isOpenAt(zone),
+        operatingHours: serviceAreaService.describeOperatingHours(zone)
+      })),
+      // Legacy single-centre fields for older app versions
+      center: primaryZone?.center
+        ? { LATITUDE: primaryZone.center.latitude, LONGITUDE: primaryZone.center.longitude, NAME: primaryZone.name }
+        : this.serviceCenter,
       radius: this.radiusConfig,
       validation: this.validationConfig,
-      message: `Service is available within ${this.radiusConfig.MIN_METERS/1000}-${this.radiusConfig.MAX_METERS/1000} km radius of ${this.serviceCenter.NAME}`
+      message: `Service is available in: ${this.getEnabledZoneNames(zones)}`
     };
   }
 
+  getEnabledZoneNames(zones) {
+    const names = zones.filter(zone => zone.enabled).map(zone => zone.name);
+    return names.length > 0 ? names.join(', ') : 'no areas yet';
+  }
+
   /**
    * Check if a route is within service area
    * @param {Array} routeCoordinates - Array of {latitude, longitude} coordinates
@@ -175,7 +256,7 @@ class ServiceAreaValidationService {
     }
 
     const validations = routeCoordinates.map(coord => 
-      this.validateLocation(coord.latitude, coord.longitude)
+      this.validateLocation(coord.latitude, coord.longitude, { requireOpen: false })
     );
 
     const invalidPoints = validations.filter(v => !v.isValid);
@@ -351,6 +351,15 @@ const initializeSocketIO = async (server) => {
         eventHandler.handleChatMessage(socket, data);
       });
 
+      // Chat delivered / read receipts
+      socket.on('chat_delivered', (data) => {
+        eventHandler.handleChatReceipt(socket, data, 'delivered');
+      });
+
+      socket.on('chat_read', (data) => {
+        eventHandler.handleChatReceipt(socket, data, 'read');
+      });
+
       // Handle typing indicators
       socket.on('typing_start', (data) => {
         eventHandler.handleTypingIndicator(socket, data, true);
@@ -370,6 +379,11 @@ const initializeSocketIO = async (server) => {
         eventHandler.handleEmergencyAlert(socket, data);
       });
 
+      // Live location for an open emergency alert
+      socket.on('emergency_location', (data) => {
+        eventHandler.handleEmergencyLocation(socket, data);
+      });
+
       // Handle trip status updates
       socket.on('trip_status_update', (data) => {
         eventHandler.handleTripStatusUpdate(socket, data);
@@ -483,6 +497,15 @@ const initializeSocketIO = async (server) => {
         eventHandler.handleChatMessage(socket, data);
       });
 
+      // Chat delivered / read receipts
+      socket.on('chat_delivered', (data) => {
+        eventHandler.handleChatReceipt(socket, data, 'delivered');
+      });
+
+      socket.on('chat_read', (data) => {
+        eventHandler.handleChatReceipt(socket, data, 'read');
+      });
+
       socket.on('typing_start', (data) => {
         eventHandler.handleTypingIndicator(socket, data, true);
       });
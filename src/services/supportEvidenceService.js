@@ -0,0 +1,304 @@
+const { getFirestore } = require('./firebase');
+const config = require('../config/environment');
+const { SUPPORT_COLLECTIONS } = require('../constants/support');
+const { toDate } = require('../utils/dates');
+
+/**
+ * Support Evidence Service
+ * Captures what happened on a booking when a ticket or issue report is
+ * raised about it, so agents get everything in one place:
+ * - booking summary and the status timeline (`booking_status_updates`,
+ *   `bookingStateTransitions`, merged in time order)
+ * - the route trail from `tripTracking` (thinned to `maxRoutePoints`)
+ * - pickup/delivery photo verifications and their comparison score
+ * - payments and refunds
+ * - the chat transcript (a copy, so it survives the chat retention purge)
+ *
+ * Snapshots live in `supportTicketEvidence` (doc id = ticket/issue ID); the
+ * ticket itself only carries a short `evidence` summary.
+ */
+class SupportEvidenceService {
+  get db() {
+    return getFirestore();
+  }
+
+  get settings() {
+    return config.getSupportEvidenceConfig();
+  }
+
+  /**
+   * Snapshot a booking's evidence for a ticket and record the summary on it
+   * @param {FirebaseFirestore.DocumentReference} ticketRef - supportTickets or issueReports doc
+   * @param {string} bookingId - Booking ID
+   * @param {string} capturedBy - User or admin who triggered the capture
+   * @returns {Promise<Object>} Result with the evidence summary
+   */
+  async captureForTicket(ticketRef, bookingId, capturedBy) {
+    try {
+      const snapshot = await this.buildSnapshot(bookingId);
+      if (!snapshot) {
+        return { success: false, error: { code: 'BOOKING_NOT_FOUND', message: 'Booking not found' } };
+      }
+
+      const capturedAt = new Date();
+      const summary = {
+        status: 'attached',
+        bookingId,
+        capturedAt,
+        capturedBy,
+        counts: {
+          statusEvents: snapshot.timeline.length,
+          routePoints: snapshot.route.points.length,
+          photos: snapshot.photos.length,
+          payments: snapshot.payments.length,
+          refunds: snapshot.refunds.length,
+          chatMessages: snapshot.chat.messages.length
+        }
+      };
+
+      await this.db.collection(SUPPORT_COLLECTIONS.EVIDENCE).doc(ticketRef.id).set({
+        ticketId: ticketRef.id,
+        ticketCollection: ticketRef.parent?.id || null,
+        ...snapshot,
+        capturedAt,
+        capturedBy
+      });
+      await ticketRef.update({ evidence: summary, updatedAt: capturedAt });
+
+      console.log(`📎 [SUPPORT] Evidence for booking ${bookingId} attached to ${ticketRef.id}`);
+      return { success: true, data: summary };
+    } catch (error) {
+      console.error(`❌ [SUPPORT] Failed to capture evidence for ${ticketRef.id}:`, error);
+      try {
+        await ticketRef.update({ evidence: { status: 'failed', bookingId, error: error.message, capturedAt: new Date() } });
+      } catch (updateError) {
+        console.warn(`⚠️ [SUPPORT] Failed to flag evidence capture on ${ticketRef.id}:`, updateError.message);
+      }
+      return { success: false, error: { code: 'EVIDENCE_CAPTURE_ERROR', message: 'Failed to capture booking evidence', details: error.message } };
+    }
+  }
+
+  /**
+   * Stored evidence snapshot of a ticket
+   * @param {string} ticketId - Ticket or issue ID
+   * @returns {Promise<Object|null>} Snapshot
+   */
+  async getEvidence(ticketId) {
+    const evidenceDoc = await this.db.collection(SUPPORT_COLLECTIONS.EVIDENCE).doc(ticketId).get();
+    return evidenceDoc.exists ? evidenceDoc.data() : null;
+  }
+
+  /**
+   * Collect everything recorded about a booking
+   * @param {string} bookingId - Booking ID
+   * @returns {Promise<Object|null>} Snapshot, or null when the booking does not exist
+   */
+  async buildSnapshot(bookingId) {
+    const bookingDoc = await this.db.collection('bookings').doc(bookingId).get();
+    if (!bookingDoc.exists) {
+      return null;
+    }
+
+    // No orderBy on these queries: avoids composite indexes, sorted in memory instead
+    const chatService = require('./chatService');
+    const packagePhotoComparisonService = require('./packagePhotoComparisonService');
+    const [statusSnapshot, transitionSnapshot, trackingDoc, photoSnapshot, paymentSnapshot, refundSnapshot, thread, messages, packagePhotoCheck] = await Promise.all([
+      this.db.collection('booking_status_updates').where('bookingId', '==', bookingId).get(),
+      this.db.collection('bookingStateTransitions').where('bookingId', '==', bookingId).get(),
+      this.db.collection('tripTracking').doc(bookingId).get(),
+      this.db.collection('photoVerifications').where('bookingId', '==', bookingId).get(),
+      this.db.collection('payments').where('bookingId', '==', bookingId).get(),
+      this.db.collection('refunds').where('bookingId', '==', bookingId).get(),
+      chatService.getThread(bookingId),
+      chatService.listMessages(bookingId),
+      packagePhotoComparisonService.getCheck(bookingId)
+    ]);
+
+    const booking = bookingDoc.data();
+    return {
+      bookingId,
+      booking: this.summarizeBooking(bookingDoc.id, booking),
+      timeline: this.buildTimeline(statusSnapshot.docs, transitionSnapshot.docs),
+      route: this.buildRoute(trackingDoc.exists ? trackingDoc.data() : null),
+      photos: this.buildPhotos(photoSnapshot.docs, booking),
+      packagePhotoCheck: this.summarizePackagePhotoCheck(packagePhotoCheck),
+      payments: paymentSnapshot.docs.map(doc => this.pick({ id: doc.id, ...doc.data() }, [
+        'id', 'amount', 'currency', 'paymentMethod', 'status', 'transactionId', 'refundedAmount', 'createdAt', 'completedAt', 'updatedAt'
+      ])),
+      refunds: refundSnapshot.docs.map(doc => this.pick({ id: doc.id, ...doc.data() }, [
+        'id', 'paymentId', 'amount', 'reason', 'refundTo', 'status', 'requestedBy', 'walletTransactionId', 'creditNote', 'createdAt', 'completedAt'
+      ])),
+      chat: this.buildChat(thread, messages)
+    };
+  }
+
+  summarizeBooking(id, booking) {
+    return this.pick({ id, ...booking }, [
+      'id', 'bookingId', 'status', 'customerId', 'driverId', 'pickup', 'dropoff', 'package', 'vehicleType',
+      'fare', 'pricing', 'paymentMethod', 'paymentStatus', 'distance', 'estimatedDuration',
+      'cancellation', 'cancellationReason', 'cancelledBy', 'statusHistory',
+      'createdAt', 'acceptedAt', 'pickedUpAt', 'deliveredAt', 'completedAt', 'cancelledAt', 'updatedAt'
+    ]);
+  }
+
+  /**
+   * Status updates and state machine transitions, in time order
+   */
+  buildTimeline(statusDocs, transitionDocs) {
+    const events = [
+      ...statusDocs.map(doc => {
+        const data = doc.data();
+        return {
+          source: 'booking_status_updates',
+          status: data.status || null,
+          updatedBy: data.updatedBy || data.driverId || null,
+          details: data.message || data.notes || null,
+          at: toDate(data.timestamp || data.createdAt)
+        };
+      }),
+      ...transitionDocs.map(doc => {
+        const data = doc.data();
+        return {
+          source: 'bookingStateTransitions',
+          status: data.toState || data.to || null,
+          fromStatus: data.fromState || data.from || null,
+          updatedBy: data.updatedBy || null,
+          details: data.context?.reason || null,
+          at: toDate(data.eventTimestamp || data.timestamp)
+        };
+      })
+    ];
+
+    return events.sort((a, b) => (a.at?.getTime() || 0) - (b.at?.getTime() || 0));
+  }
+
+  /**
+   * Route trail from tripTracking, evenly thinned to `maxRoutePoints`
+   * (first and last points are always kept)
+   */
+  buildRoute(tracking) {
+    if (!tracking) {
+      return { available: false, totalPoints: 0, points: [] };
+    }
+
+    const locations = Array.isArray(tracking.locations) ? tracking.locations : [];
+    const points = locations
+      .map(location => ({
+        latitude: location.latitude ?? location.lat ?? null,
+        longitude: location.longitude ?? location.lng ?? null,
+        accuracy: location.accuracy ?? null,
+        speed: location.speed ?? null,
+        at: toDate(location.timestamp || location.recordedAt)
+      }))
+      .filter(point => point.latitude !== null && point.longitude !== null);
+
+    const max = this.settings.maxRoutePoints;
+    let thinned = points;
+    if (points.length > max && max > 1) {
+      const step = (points.length - 1) / (max - 1);
+      thinned = Array.from({ length: max }, (_, index) => points[Math.round(index * step)]);
+    }
+
+    return {
+      available: true,
+      status: tracking.currentStatus || tracking.status || null,
+      totalPoints: points.length,
+      points: thinned,
+      currentLocation: tracking.currentLocation || null,
+      progress: tracking.progress || null,
+      lastUpdated: toDate(tracking.lastUpdated || tracking.lastUpdate)
+    };
+  }
+
+  /**
+   * Photo verification records, plus the verification blocks stored on the
+   * booking itself (older bookings only have those)
+   */
+  buildPhotos(photoDocs, booking) {
+    const photos = photoDocs.map(doc => {
+      const data = doc.data();
+      return {
+        id: doc.id,
+        photoType: data.photoType || null,
+        photoUrl: data.photoUrl || null,
+        storagePath: data.storagePath || null,
+        location: data.location || null,
+        notes: data.notes || null,
+        status: data.status || null,
+        uploadedBy: data.verifiedBy || data.driverId || null,
+        uploadedAt: toDate(data.uploadedAt || data.createdAt)
+      };
+    });
+
+    [
+      ['pickup', booking.pickupVerification || booking.photoVerification?.pickup],
+      ['delivery', booking.deliveryVerification || booking.photoVerification?.delivery]
+    ].forEach(([photoType, verification]) => {
+      const photoUrl = verification?.photoUrl || verification?.url;
+      if (photoUrl && !photos.some(photo => photo.photoUrl === photoUrl)) {
+        photos.push({
+          id: null,
+          photoType,
+          photoUrl,
+          storagePath: null,
+          location: verification.location || null,
+          notes: verification.notes || null,
+          status: verification.status || null,
+          uploadedBy: verification.verifiedBy || null,
+          uploadedAt: toDate(verification.verifiedAt || verification.uploadedAt)
+        });
+      }
+    });
+
+    return photos.sort((a, b) => (a.uploadedAt?.getTime() || 0) - (b.uploadedAt?.getTime() || 0));
+  }
+
+  /**
+   * Pickup vs. dropoff photo comparison (packagePhotoComparisonService)
+   */
+  summarizePackagePhotoCheck(check) {
+    if (!check) {
+      return null;
+    }
+    return this.pick(check, [
+      'status', 'reason', 'matchScore', 'minMatchScore', 'hashDistance', 'histogramSimilarity',
+      'pickupPhoto', 'deliveryPhoto', 'reviewStatus', 'review', 'comparedAt'
+    ]);
+  }
+
+  /**
+   * Chat transcript, keeping the most recent `maxChatMessages`
+   */
+  buildChat(thread, messages) {
+    const max = this.settings.maxChatMessages;
+    return {
+      status: thread?.status || null,
+      purgedAt: toDate(thread?.purgedAt),
+      totalMessages: messages.length,
+      messages: messages.slice(-max).map(message => ({
+        id: message.id,
+        senderId: message.senderId,
+        senderType: message.senderType,
+        messageType: message.messageType,
+        message: message.message || null,
+        attachment: message.attachment || null,
+        timestamp: message.timestamp,
+        readAt: message.readAt
+      }))
+    };
+  }
+
+  /**
+   * Copy the listed fields that are set (Firestore rejects undefined values)
+   */
+  pick(source, fields) {
+    return fields.reduce((picked, field) => {
+      if (source[field] !== undefined) {
+        picked[field] = source[field];
+      }
+      return picked;
+    }, {});
+  }
+}
+
+module.exports = new SupportEvidenceService();
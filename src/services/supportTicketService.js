@@ -0,0 +1,902 @@
+const { getFirestore } = require('./firebase');
+const { FieldValue } = require('firebase-admin/firestore');
+const config = require('../config/environment');
+const {
+  SUPPORT_COLLECTIONS,
+  SUPPORT_TICKET_CATEGORIES,
+  SUPPORT_TICKET_STATUSES,
+  SUPPORT_OPEN_STATUSES,
+  SUPPORT_SLA_TARGETS,
+  SUPPORT_CATEGORY_KEYWORDS,
+  SUPPORT_ASSIGNMENT_REASONS,
+  SUPPORT_TICKET_ACTIONS
+} = require('../constants/support');
+const { REFUND_DESTINATIONS } = require('../constants/customerWallet');
+const { toDate } = require('../utils/dates');
+
+/**
+ * Support Ticket Service
+ * Routing and SLA tracking for `supportTickets`:
+ * - new tickets are categorised (when the user picked none or 'other') and
+ *   assigned to the least-loaded active agent covering the category
+ * - every ticket gets first-response and resolution deadlines by priority
+ * - the sweeper marks breached deadlines, escalates the ticket and notifies
+ *   the assignee (and the admin topic once resolution is breached)
+ *
+ * `slaDueAt` always holds the next deadline still running, so the sweeper
+ * only reads tickets that are actually due.
+ *
+ * Tickets raised about a booking get the booking's evidence attached (see
+ * supportEvidenceService), and agents can refund or adjust the customer's
+ * wallet straight from the ticket; each action is recorded on the ticket and
+ * in `adminLogs`.
+ */
+class SupportTicketService {
+  constructor() {
+    this.sweepInterval = null;
+    this.isRunning = false;
+  }
+
+  get db() {
+    return getFirestore();
+  }
+
+  get settings() {
+    return config.getSupportSlaConfig();
+  }
+
+  /**
+   * Start the SLA sweeper
+   */
+  initialize() {
+    if (this.isRunning) {
+      return;
+    }
+
+    this.sweepInterval = setInterval(async () => {
+      await this.sweepBreaches();
+    }, this.settings.sweepIntervalMinutes * 60 * 1000);
+
+    this.isRunning = true;
+    console.log(`✅ [SUPPORT] SLA sweeper started (every ${this.settings.sweepIntervalMinutes} min)`);
+  }
+
+  /**
+   * Stop the SLA sweeper
+   */
+  stopScheduler() {
+    if (this.sweepInterval) {
+      clearInterval(this.sweepInterval);
+      this.sweepInterval = null;
+    }
+    this.isRunning = false;
+  }
+
+  /**
+   * Pick a category from the ticket text when the user gave none (or 'other')
+   * @param {string} subject - Ticket subject
+   * @param {string} description - Ticket description
+   * @param {string} category - Category chosen by the user
+   * @returns {Object} { category, autoCategorized }
+   */
+  categorize(subject, description, category) {
+    if (category && category !== 'other' && SUPPORT_TICKET_CATEGORIES.includes(category)) {
+      return { category, autoCategorized: false };
+    }
+
+    const text = `${subject || ''} ${description || ''}`.toLowerCase();
+    let best = null;
+    let bestScore = 0;
+    Object.entries(SUPPORT_CATEGORY_KEYWORDS).forEach(([candidate, keywords]) => {
+      const score = keywords.filter(keyword => new RegExp(`\\b${keyword}\\b`).test(text)).length;
+      if (score > bestScore) {
+        best = candidate;
+        bestScore = score;
+      }
+    });
+
+    return best
+      ? { category: best, autoCategorized: true }
+      : { category: 'other', autoCategorized: false };
+  }
+
+  /**
+   * Build the SLA block for a ticket
+   * @param {string} priority - Ticket priority
+   * @param {Date} createdAt - Ticket creation time
+   * @returns {Object} SLA block stored on the ticket
+   */
+  buildSla(priority, createdAt) {
+    const firstResponseMinutes = this.settings.firstResponseMinutes[priority] || this.settings.firstResponseMinutes.medium;
+    const resolutionHours = this.settings.resolutionHours[priority] || this.settings.resolutionHours.medium;
+
+    return {
+      priority,
+      firstResponseDueAt: new Date(createdAt.getTime() + firstResponseMinutes * 60 * 1000),
+      resolutionDueAt: new Date(createdAt.getTime() + resolutionHours * 60 * 60 * 1000),
+      firstRespondedAt: null,
+      resolvedAt: null,
+      firstResponseBreached: false,
+      resolutionBreached: false
+    };
+  }
+
+  /**
+   * The earliest deadline that is neither met nor already breached
+   * @param {Object} sla - Ticket SLA block
+   * @returns {Date|null} Next deadline
+   */
+  getNextSlaDueAt(sla) {
+    if (!sla) return null;
+    if (!sla.firstRespondedAt && !sla.resolvedAt && !sla.firstResponseBreached) {
+      return toDate(sla.firstResponseDueAt);
+    }
+    if (!sla.resolvedAt && !sla.resolutionBreached) {
+      return toDate(sla.resolutionDueAt);
+    }
+    return null;
+  }
+
+  /**
+   * Create, categorise, time and assign a ticket
+   * @param {Object} params - { userId, userType, subject, description, category, priority, bookingId }
+   * @returns {Promise<Object>} Result with the stored ticket
+   */
+  async createTicket({ userId, userType, subject, description, category, priority, bookingId = null }) {
+    const now = new Date();
+    const categorization = this.categorize(subject, description, category);
+    const sla = this.buildSla(priority, now);
+
+    const ticketData = {
+      id: `ticket_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      userId,
+      userType,
+      subject,
+      description,
+      category: categorization.category,
+      requestedCategory: category || null,
+      autoCategorized: categorization.autoCategorized,
+      priority,
+      bookingId,
+      status: SUPPORT_TICKET_STATUSES.OPEN,
+      sla,
+      slaDueAt: this.getNextSlaDueAt(sla),
+      escalationLevel: 0,
+      escalations: [],
+      assignedTo: null,
+      assignedToName: null,
+      assignedAt: null,
+      assignmentReason: null,
+      createdAt: now,
+      updatedAt: now,
+      messages: [{
+        id: `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        senderId: userId,
+        senderType: userType,
+        message: description,
+        timestamp: now
+      }]
+    };
+
+    if (this.settings.autoAssignEnabled) {
+      const agent = await this.pickAgent(ticketData.category);
+      if (agent) {
+        Object.assign(ticketData, this.buildAssignment(agent, now));
+      }
+    }
+
+    const ticketRef = this.db.collection(SUPPORT_COLLECTIONS.TICKETS).doc(ticketData.id);
+    await ticketRef.set(ticketData);
+
+    if (bookingId) {
+      const supportEvidenceService = require('./supportEvidenceService');
+      const evidence = await supportEvidenceService.captureForTicket(ticketRef, bookingId, userId);
+      ticketData.evidence = evidence.success ? evidence.data : { status: 'failed', bookingId };
+    }
+
+    if (ticketData.assignedTo) {
+      await this.notifyAgent(ticketData.assignedTo, ticketData, 'support_ticket_assigned', 'New support ticket',
+        `${ticketData.priority} ${ticketData.category} ticket: ${ticketData.subject}`);
+    }
+
+    console.log(`🎫 [SUPPORT] Ticket ${ticketData.id} (${ticketData.category}/${ticketData.priority}) ${ticketData.assignedTo ? `assigned to ${ticketData.assignedTo}` : 'left unassigned'}`);
+    return { success: true, data: ticketData };
+  }
+
+  /**
+   * Check that a user may raise a ticket about a booking
+   * @param {string} bookingId - Booking ID
+   * @param {string} userId - Customer or driver raising the ticket
+   * @returns {Promise<Object>} Result
+   */
+  async validateBookingAccess(bookingId, userId) {
+    const bookingDoc = await this.db.collection('bookings').doc(bookingId).get();
+    if (!bookingDoc.exists) {
+      return { success: false, error: { code: 'BOOKING_NOT_FOUND', message: 'Booking not found' } };
+    }
+
+    const booking = bookingDoc.data();
+    if (booking.customerId !== userId && booking.driverId !== userId) {
+      return { success: false, error: { code: 'ACCESS_DENIED', message: 'You can only raise tickets about your own bookings' } };
+    }
+    return { success: true, data: booking };
+  }
+
+  /**
+   * Find a ticket or issue report by ID
+   * @param {string} ticketId - supportTickets or issueReports ID
+   * @returns {Promise<Object|null>} { ref, ticket }
+   */
+  async findTicket(ticketId) {
+    for (const collection of [SUPPORT_COLLECTIONS.TICKETS, SUPPORT_COLLECTIONS.ISSUE_REPORTS]) {
+      const ref = this.db.collection(collection).doc(ticketId);
+      const doc = await ref.get();
+      if (doc.exists) {
+        return { ref, ticket: { id: doc.id, ...doc.data() } };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Re-capture the booking evidence of a ticket (e.g. raised mid-trip)
+   * @param {string} ticketId - Ticket or issue ID
+   * @param {string} adminId - Admin triggering the capture
+   * @returns {Promise<Object>} Result with the evidence summary
+   */
+  async refreshEvidence(ticketId, adminId) {
+    const found = await this.findTicket(ticketId);
+    if (!found) {
+      return { success: false, error: { code: 'TICKET_NOT_FOUND', message: 'Support ticket not found' } };
+    }
+    if (!found.ticket.bookingId) {
+      return { success: false, error: { code: 'NO_BOOKING_LINKED', message: 'Ticket is not linked to a booking' } };
+    }
+
+    const supportEvidenceService = require('./supportEvidenceService');
+    return supportEvidenceService.captureForTicket(found.ref, found.ticket.bookingId, adminId);
+  }
+
+  /**
+   * Refund the booking a ticket is about
+   * @param {string} ticketId - Ticket or issue ID
+   * @param {string} adminId - Admin issuing the refund
+   * @param {Object} params - { amount, reason, refundTo: 'wallet'|'source' }
+   * @returns {Promise<Object>} Result with the refund
+   */
+  async refundFromTicket(ticketId, adminId, { amount, reason, refundTo = REFUND_DESTINATIONS.WALLET }) {
+    const found = await this.findTicket(ticketId);
+    if (!found) {
+      return { success: false, error: { code: 'TICKET_NOT_FOUND', message: 'Support ticket not found' } };
+    }
+    const { ref, ticket } = found;
+    if (!ticket.bookingId) {
+      return { success: false, error: { code: 'NO_BOOKING_LINKED', message: 'Ticket is not linked to a booking' } };
+    }
+
+    const paymentSnapshot = await this.db.collection('payments')
+      .where('bookingId', '==', ticket.bookingId)
+      .where('status', '==', 'completed')
+      .limit(1)
+      .get();
+    if (paymentSnapshot.empty) {
+      return { success: false, error: { code: 'NO_REFUNDABLE_PAYMENT', message: 'No completed payment found for this booking' } };
+    }
+
+    const paymentDoc = paymentSnapshot.docs[0];
+    const payment = paymentDoc.data();
+    const refundable = payment.amount - (payment.refundedAmount || 0);
+    if (amount > refundable) {
+      return {
+        success: false,
+        error: { code: 'REFUND_EXCEEDS_PAYMENT', message: `At most ₹${refundable} can still be refunded for this booking` }
+      };
+    }
+
+    // One refund per ticket: the marker is claimed before money moves, and the
+    // refund ID it carries makes a retried or concurrent call refund once
+    const refundId = `TICKET_${ticket.id}`;
+    const claimed = await this.db.runTransaction(async (transaction) => {
+      const ticketDoc = await transaction.get(ref);
+      const marker = ticketDoc.data().refund;
+      if (marker?.status === 'completed') {
+        return false;
+      }
+      transaction.update(ref, {
+        refund: { refundId, status: 'processing', amount, adminId, requestedAt: new Date() },
+        updatedAt: new Date()
+      });
+      return true;
+    });
+    if (!claimed) {
+      return { success: false, error: { code: 'TICKET_ALREADY_REFUNDED', message: 'A refund was already issued from this ticket' } };
+    }
+
+    const paymentService = require('./paymentService');
+    const result = await paymentService.processRefund(paymentDoc.id, amount, reason, {
+      refundTo,
+      requestedBy: adminId,
+      refundId
+    });
+    if (!result.success) {
+      await ref.update({ 'refund.status': 'failed', updatedAt: new Date() });
+      return result;
+    }
+
+    await ref.update({
+      'refund.status': 'completed',
+      'refund.amount': result.data.amount,
+      'refund.completedAt': new Date(),
+      updatedAt: new Date()
+    });
+    if (result.data.alreadyProcessed) {
+      return { success: true, data: { ticketId, ...result.data } };
+    }
+
+    await this.recordAction(ref, ticket, adminId, {
+      type: SUPPORT_TICKET_ACTIONS.REFUND,
+      amount,
+      reason,
+      refundTo,
+      bookingId: ticket.bookingId,
+      paymentId: paymentDoc.id,
+      refundId: result.data.refundId,
+      status: result.data.status
+    });
+
+    return { success: true, data: { ticketId, ...result.data } };
+  }
+
+  /**
+   * Credit or debit the wallet of the customer behind a ticket
+   * @param {string} ticketId - Ticket or issue ID
+   * @param {string} adminId - Admin making the adjustment
+   * @param {Object} params - { amount (signed), reason, idempotencyKey (admin request ID) }
+   * @returns {Promise<Object>} Result with the wallet transaction
+   */
+  async adjustWalletFromTicket(ticketId, adminId, { amount, reason, idempotencyKey }) {
+    const found = await this.findTicket(ticketId);
+    if (!found) {
+      return { success: false, error: { code: 'TICKET_NOT_FOUND', message: 'Support ticket not found' } };
+    }
+    const { ref, ticket } = found;
+
+    // Driver tickets about a booking adjust that booking's customer
+    let customerId = ticket.userType === 'customer' ? ticket.userId : null;
+    if (!customerId && ticket.bookingId) {
+      const bookingDoc = await this.db.collection('bookings').doc(ticket.bookingId).get();
+      customerId = bookingDoc.exists ? bookingDoc.data().customerId : null;
+    }
+    if (!customerId) {
+      return { success: false, error: { code: 'NO_CUSTOMER_LINKED', message: 'Ticket has no customer wallet to adjust' } };
+    }
+
+    const customerWalletService = require('./customerWalletService');
+    const result = await customerWalletService.adjustBalance(
+      customerId,
+      amount,
+      `${reason} (ticket ${ticketId})`,
+      adminId,
+      idempotencyKey && `ticket_${ticketId}_${idempotencyKey}`
+    );
+    if (!result.success) {
+      return result;
+    }
+
+    // A retried request recorded its action the first time
+    if (!result.data.alreadyProcessed) {
+      await this.recordAction(ref, ticket, adminId, {
+        type: SUPPORT_TICKET_ACTIONS.WALLET_ADJUSTMENT,
+        amount,
+        reason,
+        customerId,
+        bookingId: ticket.bookingId || null,
+        transactionId: result.data.transactionId,
+        newBalance: result.data.balance
+      });
+    }
+
+    return { success: true, data: { ticketId, customerId, ...result.data } };
+  }
+
+  /**
+   * Append an agent action to the ticket and audit it in adminLogs
+   */
+  async recordAction(ticketRef, ticket, adminId, action) {
+    const now = new Date();
+    const entry = { ...action, adminId, at: now };
+
+    await ticketRef.update({
+      actions: FieldValue.arrayUnion(entry),
+      updatedAt: now
+    });
+
+    await this.db.collection('adminLogs').doc().set({
+      action: `support_ticket_${action.type}`,
+      adminId,
+      targetUserId: ticket.userId || null,
+      targetUserType: ticket.userType || null,
+      details: { ticketId: ticket.id, ...action, timestamp: now },
+      timestamp: now
+    });
+
+    console.log(`🧾 [SUPPORT] ${action.type} on ticket ${ticket.id} by admin ${adminId}`);
+  }
+
+  /**
+   * Least-loaded active agent for a category. Agents whose
+   * `supportCategories` include the category are preferred; otherwise the
+   * ticket goes to the least-loaded agent without category restrictions, then
+   * to any active agent. Agents with `acceptsSupportTickets: false` are never
+   * picked.
+   * @param {string} category - Ticket category
+   * @param {Array<string>} excludeIds - Agents to skip
+   * @returns {Promise<Object|null>} { id, name, reason }
+   */
+  async pickAgent(category, excludeIds = []) {
+    try {
+      const agentsSnapshot = await this.db.collection(SUPPORT_COLLECTIONS.AGENTS)
+        .where('isActive', '==', true)
+        .get();
+
+      const agents = agentsSnapshot.docs
+        .filter(doc => !excludeIds.includes(doc.id) && doc.data().acceptsSupportTickets !== false)
+        .map(doc => ({ id: doc.id, ...doc.data() }));
+      if (agents.length === 0) {
+        return null;
+      }
+
+      const hasCategories = agent => Array.isArray(agent.supportCategories) && agent.supportCategories.length > 0;
+      const specialists = agents.filter(agent => hasCategories(agent) && agent.supportCategories.includes(category));
+      const generalists = agents.filter(agent => !hasCategories(agent));
+      const pool = specialists.length > 0 ? specialists : (generalists.length > 0 ? generalists : agents);
+
+      const loads = await this.getAgentLoads();
+      const agent = [...pool].sort((a, b) => (loads.get(a.id) || 0) - (loads.get(b.id) || 0))[0];
+      return {
+        id: agent.id,
+        name: agent.displayName || agent.name || agent.email || null,
+        reason: specialists.length > 0 ? SUPPORT_ASSIGNMENT_REASONS.CATEGORY_MATCH : SUPPORT_ASSIGNMENT_REASONS.FALLBACK
+      };
+    } catch (error) {
+      console.warn(`⚠️ [SUPPORT] Agent selection failed for category ${category}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Open tickets per assigned agent
+   * @returns {Promise<Map<string, number>>} agentId → open ticket count
+   */
+  async getAgentLoads() {
+    const snapshot = await this.db.collection(SUPPORT_COLLECTIONS.TICKETS)
+      .where('status', 'in', SUPPORT_OPEN_STATUSES)
+      .get();
+
+    const loads = new Map();
+    snapshot.docs.forEach(doc => {
+      const { assignedTo } = doc.data();
+      if (assignedTo) {
+        loads.set(assignedTo, (loads.get(assignedTo) || 0) + 1);
+      }
+    });
+    return loads;
+  }
+
+  buildAssignment(agent, now) {
+    return {
+      assignedTo: agent.id,
+      assignedToName: agent.name || null,
+      assignedAt: now,
+      assignmentReason: agent.reason
+    };
+  }
+
+  /**
+   * Reassign a ticket to a specific agent
+   * @param {string} ticketId - Ticket ID
+   * @param {string} agentId - Admin user ID
+   * @param {string} assignedBy - Admin performing the reassignment
+   * @returns {Promise<Object>} Result
+   */
+  async assignTicket(ticketId, agentId, assignedBy) {
+    const ticketRef = this.db.collection(SUPPORT_COLLECTIONS.TICKETS).doc(ticketId);
+    const [ticketDoc, agentDoc] = await Promise.all([
+      ticketRef.get(),
+      this.db.collection(SUPPORT_COLLECTIONS.AGENTS).doc(agentId).get()
+    ]);
+
+    if (!ticketDoc.exists) {
+      return { success: false, error: { code: 'TICKET_NOT_FOUND', message: 'Support ticket not found' } };
+    }
+    if (!agentDoc.exists || agentDoc.data().isActive === false) {
+      return { success: false, error: { code: 'AGENT_NOT_FOUND', message: 'Active admin agent not found' } };
+    }
+
+    const ticket = ticketDoc.data();
+    if (!SUPPORT_OPEN_STATUSES.includes(ticket.status)) {
+      return { success: false, error: { code: 'TICKET_NOT_OPEN', message: `Ticket is already ${ticket.status}` } };
+    }
+
+    const now = new Date();
+    const agent = agentDoc.data();
+    const assignment = this.buildAssignment({
+      id: agentId,
+      name: agent.displayName || agent.name || agent.email || null,
+      reason: SUPPORT_ASSIGNMENT_REASONS.MANUAL
+    }, now);
+
+    await ticketRef.update({
+      ...assignment,
+      previousAssignee: ticket.assignedTo || null,
+      assignedBy,
+      updatedAt: now
+    });
+
+    await this.notifyAgent(agentId, { ...ticket, id: ticketId }, 'support_ticket_assigned', 'Support ticket assigned to you',
+      `${ticket.priority} ${ticket.category} ticket: ${ticket.subject}`);
+
+    return { success: true, data: { ticketId, ...assignment } };
+  }
+
+  /**
+   * Fields to merge into a ticket update when an agent replies. The first
+   * agent reply stops the first-response clock.
+   * @param {Object} ticket - Ticket data
+   * @param {Date} now - Reply time
+   * @returns {Object} Update fields
+   */
+  buildAgentReplyUpdate(ticket, now = new Date()) {
+    if (!ticket.sla || ticket.sla.firstRespondedAt) {
+      return {};
+    }
+
+    const sla = {
+      ...ticket.sla,
+      firstRespondedAt: now,
+      firstResponseBreached: ticket.sla.firstResponseBreached || now > toDate(ticket.sla.firstResponseDueAt)
+    };
+    return { sla, slaDueAt: this.getNextSlaDueAt(sla) };
+  }
+
+  /**
+   * Fields to merge into a ticket update when its status changes. Resolving
+   * or closing stops the resolution clock; reopening restarts both clocks
+   * from now.
+   * @param {Object} ticket - Ticket data
+   * @param {string} status - New status
+   * @param {Date} now - Change time
+   * @returns {Object} Update fields
+   */
+  buildStatusUpdate(ticket, status, now = new Date()) {
+    if (!ticket.sla) {
+      return {};
+    }
+
+    const wasOpen = SUPPORT_OPEN_STATUSES.includes(ticket.status);
+    const isOpen = SUPPORT_OPEN_STATUSES.includes(status);
+
+    if (wasOpen && !isOpen) {
+      const sla = {
+        ...ticket.sla,
+        resolvedAt: ticket.sla.resolvedAt || now,
+        resolutionBreached: ticket.sla.resolutionBreached || now > toDate(ticket.sla.resolutionDueAt)
+      };
+      return { sla, slaDueAt: null };
+    }
+
+    if (!wasOpen && isOpen) {
+      const sla = {
+        ...this.buildSla(ticket.priority, now),
+        reopenedAt: now,
+        reopenCount: (ticket.sla.reopenCount || 0) + 1
+      };
+      return { sla, slaDueAt: this.getNextSlaDueAt(sla) };
+    }
+
+    return {};
+  }
+
+  /**
+   * Mark breached deadlines, escalate and notify
+   * @param {Date} now - Sweep time
+   * @returns {Promise<Object>} Result with the number of escalated tickets
+   */
+  async sweepBreaches(now = new Date()) {
+    try {
+      const snapshot = await this.db.collection(SUPPORT_COLLECTIONS.TICKETS)
+        .where('slaDueAt', '<=', now)
+        .limit(200)
+        .get();
+
+      let escalated = 0;
+      for (const doc of snapshot.docs) {
+        if (await this.escalate(doc.id, now)) {
+          escalated++;
+        }
+      }
+
+      if (escalated > 0) {
+        console.log(`⏰ [SUPPORT] Escalated ${escalated} ticket(s) past their SLA`);
+      }
+      return { success: true, data: { escalated } };
+    } catch (error) {
+      console.error('❌ [SUPPORT] SLA sweep failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Record one breached deadline on a ticket (claimed in a transaction so
+   * concurrent sweepers never escalate the same breach twice)
+   * @returns {Promise<boolean>} Whether the ticket was escalated
+   */
+  async escalate(ticketId, now = new Date()) {
+    const ticketRef = this.db.collection(SUPPORT_COLLECTIONS.TICKETS).doc(ticketId);
+
+    const escalation = await this.db.runTransaction(async (transaction) => {
+      const ticketDoc = await transaction.get(ticketRef);
+      if (!ticketDoc.exists) return null;
+
+      const ticket = ticketDoc.data();
+      const dueAt = toDate(ticket.slaDueAt);
+      if (!ticket.sla || !dueAt || dueAt > now) return null;
+
+      if (!SUPPORT_OPEN_STATUSES.includes(ticket.status)) {
+        transaction.update(ticketRef, { slaDueAt: null });
+        return null;
+      }
+
+      const target = !ticket.sla.firstRespondedAt && !ticket.sla.firstResponseBreached
+        ? SUPPORT_SLA_TARGETS.FIRST_RESPONSE
+        : SUPPORT_SLA_TARGETS.RESOLUTION;
+      const sla = {
+        ...ticket.sla,
+        [`${target}Breached`]: true
+      };
+      const escalationLevel = (ticket.escalationLevel || 0) + 1;
+      const entry = {
+        level: escalationLevel,
+        target,
+        dueAt,
+        escalatedAt: now,
+        assignedTo: ticket.assignedTo || null
+      };
+
+      transaction.update(ticketRef, {
+        sla,
+        slaDueAt: this.getNextSlaDueAt(sla),
+        escalationLevel,
+        escalations: [...(ticket.escalations || []), entry],
+        lastEscalatedAt: now,
+        updatedAt: now
+      });
+
+      return { ticket: { ...ticket, id: ticketId, sla, escalationLevel }, entry };
+    });
+
+    if (!escalation) {
+      return false;
+    }
+
+    const { ticket, entry } = escalation;
+    const label = entry.target === SUPPORT_SLA_TARGETS.FIRST_RESPONSE ? 'first response' : 'resolution';
+    let assignee = ticket.assignedTo;
+
+    // Breached while unassigned: route it now
+    if (!assignee) {
+      const agent = await this.pickAgent(ticket.category);
+      if (agent) {
+        await ticketRef.update(this.buildAssignment(agent, now));
+        assignee = agent.id;
+      }
+    }
+
+    if (assignee) {
+      await this.notifyAgent(assignee, ticket, 'support_ticket_escalated', 'Support ticket SLA breached',
+        `${label} SLA breached on ${ticket.priority} ticket: ${ticket.subject}`);
+    }
+
+    if (entry.target === SUPPORT_SLA_TARGETS.RESOLUTION || !assignee) {
+      try {
+        const notificationService = require('./notificationService');
+        await notificationService.sendToTopic('admin', this.buildNotification(ticket, 'support_ticket_escalated',
+          'Support ticket escalated', `${label} SLA breached on ${ticket.priority} ticket: ${ticket.subject}`));
+      } catch (error) {
+        console.warn(`⚠️ [SUPPORT] Failed to notify admin topic about ticket ${ticket.id}:`, error.message);
+      }
+    }
+
+    console.log(`⏫ [SUPPORT] Ticket ${ticket.id} breached ${label} SLA (level ${entry.level})`);
+    return true;
+  }
+
+  /**
+   * SLA compliance, backlog age and agent throughput
+   * @param {Date} start - Range start (ticket creation / resolution)
+   * @param {Date} end - Range end
+   * @param {Date} now - Reference time for backlog age
+   * @returns {Promise<Object>} Support SLA analytics
+   */
+  async getSlaAnalytics(start, end, now = new Date()) {
+    const tickets = this.db.collection(SUPPORT_COLLECTIONS.TICKETS);
+    const [createdSnapshot, resolvedSnapshot, backlogSnapshot] = await Promise.all([
+      tickets.where('createdAt', '>=', start).where('createdAt', '<=', end).get(),
+      tickets.where('sla.resolvedAt', '>=', start).where('sla.resolvedAt', '<=', end).get(),
+      tickets.where('status', 'in', SUPPORT_OPEN_STATUSES).get()
+    ]);
+
+    const created = createdSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })).filter(ticket => ticket.sla);
+    const resolved = resolvedSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    const backlog = backlogSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+
+    return {
+      slaCompliance: {
+        firstResponse: this.summarizeTarget(created, SUPPORT_SLA_TARGETS.FIRST_RESPONSE, now),
+        resolution: this.summarizeTarget(created, SUPPORT_SLA_TARGETS.RESOLUTION, now),
+        byPriority: this.groupBy(created, ticket => ticket.priority, group => ({
+          tickets: group.length,
+          firstResponse: this.summarizeTarget(group, SUPPORT_SLA_TARGETS.FIRST_RESPONSE, now),
+          resolution: this.summarizeTarget(group, SUPPORT_SLA_TARGETS.RESOLUTION, now)
+        }))
+      },
+      backlog: this.summarizeBacklog(backlog, now),
+      agents: this.summarizeAgents(created, resolved, backlog)
+    };
+  }
+
+  summarizeTarget(tickets, target, now) {
+    const doneField = target === SUPPORT_SLA_TARGETS.FIRST_RESPONSE ? 'firstRespondedAt' : 'resolvedAt';
+    let met = 0;
+    let breached = 0;
+    let pending = 0;
+    const durations = [];
+
+    tickets.forEach(ticket => {
+      const sla = ticket.sla;
+      const doneAt = toDate(sla[doneField]);
+      const dueAt = toDate(sla[`${target}DueAt`]);
+
+      if (sla[`${target}Breached`] || (!doneAt && dueAt && dueAt < now)) {
+        breached++;
+      } else if (doneAt) {
+        met++;
+      } else {
+        pending++;
+      }
+
+      const createdAt = toDate(ticket.createdAt);
+      if (doneAt && createdAt) {
+        durations.push((doneAt - createdAt) / (1000 * 60));
+      }
+    });
+
+    const decided = met + breached;
+    return {
+      met,
+      breached,
+      pending,
+      complianceRate: decided > 0 ? Math.round((met / decided) * 10000) / 100 : null,
+      averageMinutes: durations.length > 0
+        ? Math.round(durations.reduce((sum, value) => sum + value, 0) / durations.length * 100) / 100
+        : null
+    };
+  }
+
+  summarizeBacklog(backlog, now) {
+    const buckets = { under1h: 0, from1to4h: 0, from4to24h: 0, from1to3d: 0, over3d: 0 };
+    const ages = [];
+
+    backlog.forEach(ticket => {
+      const createdAt = toDate(ticket.createdAt);
+      if (!createdAt) return;
+
+      const hours = (now - createdAt) / (1000 * 60 * 60);
+      ages.push(hours);
+      if (hours < 1) buckets.under1h++;
+      else if (hours < 4) buckets.from1to4h++;
+      else if (hours < 24) buckets.from4to24h++;
+      else if (hours < 72) buckets.from1to3d++;
+      else buckets.over3d++;
+    });
+
+    const round = value => Math.round(value * 100) / 100;
+    return {
+      total: backlog.length,
+      unassigned: backlog.filter(ticket => !ticket.assignedTo).length,
+      breached: backlog.filter(ticket => ticket.sla && (ticket.sla.firstResponseBreached || ticket.sla.resolutionBreached)).length,
+      averageAgeHours: ages.length > 0 ? round(ages.reduce((sum, value) => sum + value, 0) / ages.length) : 0,
+      oldestAgeHours: ages.length > 0 ? round(Math.max(...ages)) : 0,
+      ageBuckets: buckets,
+      byPriority: this.groupBy(backlog, ticket => ticket.priority, group => group.length),
+      byCategory: this.groupBy(backlog, ticket => ticket.category, group => group.length)
+    };
+  }
+
+  summarizeAgents(created, resolved, backlog) {
+    const agents = {};
+    const agentFor = (ticket) => {
+      const id = ticket.assignedTo;
+      if (!id) return null;
+      if (!agents[id]) {
+        agents[id] = { agentId: id, name: ticket.assignedToName || null, assigned: 0, resolved: 0, openLoad: 0, breached: 0, resolutionHours: [] };
+      }
+      return agents[id];
+    };
+
+    created.forEach(ticket => {
+      const agent = agentFor(ticket);
+      if (!agent) return;
+      agent.assigned++;
+      if (ticket.sla.firstResponseBreached || ticket.sla.resolutionBreached) agent.breached++;
+    });
+
+    resolved.forEach(ticket => {
+      const agent = agentFor(ticket);
+      if (!agent) return;
+      agent.resolved++;
+      const createdAt = toDate(ticket.createdAt);
+      const resolvedAt = toDate(ticket.sla?.resolvedAt);
+      if (createdAt && resolvedAt) {
+        agent.resolutionHours.push((resolvedAt - createdAt) / (1000 * 60 * 60));
+      }
+    });
+
+    backlog.forEach(ticket => {
+      const agent = agentFor(ticket);
+      if (agent) agent.openLoad++;
+    });
+
+    return Object.values(agents)
+      .map(({ resolutionHours, ...agent }) => ({
+        ...agent,
+        averageResolutionHours: resolutionHours.length > 0
+          ? Math.round(resolutionHours.reduce((sum, value) => sum + value, 0) / resolutionHours.length * 100) / 100
+          : null
+      }))
+      .sort((a, b) => b.resolved - a.resolved);
+  }
+
+  groupBy(items, keyFn, summarize) {
+    const groups = {};
+    items.forEach(item => {
+      const key = keyFn(item) || 'unknown';
+      (groups[key] = groups[key] || []).push(item);
+    });
+    return Object.fromEntries(Object.entries(groups).map(([key, group]) => [key, summarize(group)]));
+  }
+
+  async notifyAgent(agentId, ticket, type, title, body) {
+    const notification = this.buildNotification(ticket, type, title, body);
+    try {
+      const socketService = require('./socket');
+      socketService.sendToUser(agentId, type, notification.data);
+    } catch (error) {
+      console.warn(`⚠️ [SUPPORT] Failed to emit ${type} to agent ${agentId}:`, error.message);
+    }
+
+    try {
+      const notificationService = require('./notificationService');
+      await notificationService.sendToUser(agentId, notification);
+    } catch (error) {
+      console.warn(`⚠️ [SUPPORT] Failed to notify agent ${agentId} about ticket ${ticket.id}:`, error.message);
+    }
+  }
+
+  buildNotification(ticket, type, title, body) {
+    return {
+      type,
+      title,
+      body,
+      data: {
+        ticketId: ticket.id,
+        category: ticket.category,
+        priority: ticket.priority,
+        escalationLevel: ticket.escalationLevel || 0,
+        slaDueAt: toDate(ticket.slaDueAt)?.toISOString() || null
+      }
+    };
+  }
+}
+
+module.exports = new SupportTicketService();
@@ -0,0 +1,329 @@
+/**
+ * Surge Pricing Service
+ *
+ * Computes a bounded demand-based fare multiplier per zone and time window:
+ * - Zone: geohash cell of the pickup point (precision from settings)
+ * - Demand: pending bookings created within the demand window near the zone centre
+ *   (bookings `pickupGeohash` range queries)
+ * - Supply: online, available drivers near the zone centre (driverLocations geohash index)
+ * Both counts stop at `maxZoneCount`, which bounds the documents read per zone.
+ *
+ * multiplier = 1 + (demand / supply - ratioThreshold) × sensitivity,
+ * rounded to `step` and clamped to [minMultiplier, maxMultiplier].
+ *
+ * Settings live in appSettings/surgePricing and are editable through
+ * /api/admin/settings. `enabled: false` is the kill-switch (multiplier 1.0).
+ */
+
+const { getFirestore } = require('./firebase');
+const geohash = require('../utils/geohash');
+const { toDate } = require('../utils/dates');
+const { PENDING_BOOKING_STATUSES } = require('../constants/bookingStatuses');
+
+const DEFAULT_SURGE_SETTINGS = Object.freeze({
+  enabled: false,
+  minMultiplier: 1.0,
+  maxMultiplier: 1.5,
+  ratioThreshold: 1.0,
+  sensitivity: 0.25,
+  step: 0.1,
+  demandWindowMinutes: 15,
+  zoneRadiusKm: 3,
+  zonePrecision: 5,
+  maxZoneCount: 100, // Demand and supply are counted up to this many (per geohash cell read)
+  cacheTtlSeconds: 60
+});
+
+// Absolute ceiling admins cannot exceed, regardless of settings
+const HARD_MAX_MULTIPLIER = 3.0;
+
+class SurgePricingService {
+  constructor() {
+    this.settingsCollection = 'appSettings';
+    this.settingsDoc = 'surgePricing';
+    this.settingsCacheTtlMs = 60 * 1000;
+
+    this.settings = null;
+    this.settingsLoadedAt = 0;
+    this.zoneCache = new Map();
+  }
+
+  get db() {
+    return getFirestore();
+  }
+
+  /**
+   * Get surge settings (cached for a minute)
+   * @param {boolean} forceRefresh - Bypass cache
+   * @returns {Promise<Object>} Surge settings
+   */
+  async getSettings(forceRefresh = false) {
+    if (!forceRefresh && this.settings && (Date.now() - this.settingsLoadedAt) < this.settingsCacheTtlMs) {
+      return this.settings;
+    }
+
+    try {
+      const doc = await this.db.collection(this.settingsCollection).doc(this.settingsDoc).get();
+      const stored = doc.exists ? doc.data() : {};
+      this.settings = { ...DEFAULT_SURGE_SETTINGS, ...stored };
+      this.settingsLoadedAt = Date.now();
+    } catch (error) {
+      console.error('❌ [SURGE] Failed to load surge settings, surge disabled:', error.message);
+      return { ...DEFAULT_SURGE_SETTINGS, enabled: false };
+    }
+
+    return this.settings;
+  }
+
+  /**
+   * Validate a partial settings update
+   * @param {Object} update - Settings to change
+   * @returns {Array<string>} Validation errors
+   */
+  validateSettings(update = {}) {
+    const errors = [];
+    const merged = { ...(this.settings || DEFAULT_SURGE_SETTINGS), ...update };
+
+    if (update.enabled !== undefined && typeof update.enabled !== 'boolean') {
+      errors.push('enabled must be a boolean');
+    }
+    if (!(merged.minMultiplier >= 1)) errors.push('minMultiplier must be at least 1.0');
+    if (!(merged.maxMultiplier >= merged.minMultiplier)) errors.push('maxMultiplier must be >= minMultiplier');
+    if (merged.maxMultiplier > HARD_MAX_MULTIPLIER) errors.push(`maxMultiplier cannot exceed ${HARD_MAX_MULTIPLIER}`);
+    if (!(merged.ratioThreshold > 0)) errors.push('ratioThreshold must be greater than 0');
+    if (!(merged.sensitivity >= 0)) errors.push('sensitivity must be non-negative');
+    if (!(merged.step > 0 && merged.step <= 1)) errors.push('step must be within (0, 1]');
+    if (!(merged.demandWindowMinutes >= 1 && merged.demandWindowMinutes <= 180)) {
+      errors.push('demandWindowMinutes must be between 1 and 180');
+    }
+    if (!(merged.zoneRadiusKm > 0 && merged.zoneRadiusKm <= 25)) errors.push('zoneRadiusKm must be within (0, 25]');
+    if (!(Number.isInteger(merged.zonePrecision) && merged.zonePrecision >= 4 && merged.zonePrecision <= 7)) {
+      errors.push('zonePrecision must be an integer between 4 and 7');
+    }
+    if (!(Number.isInteger(merged.maxZoneCount) && merged.maxZoneCount >= 10 && merged.maxZoneCount <= 1000)) {
+      errors.push('maxZoneCount must be an integer between 10 and 1000');
+    }
+    if (!(merged.cacheTtlSeconds >= 0)) errors.push('cacheTtlSeconds must be non-negative');
+
+    return errors;
+  }
+
+  /**
+   * Update surge settings (admin kill-switch and caps)
+   * @param {Object} update - Settings to change
+   * @param {string} updatedBy - Admin user ID
+   * @returns {Promise<Object>} Updated settings
+   */
+  async updateSettings(update, updatedBy) {
+    const allowedKeys = Object.keys(DEFAULT_SURGE_SETTINGS);
+    const filtered = {};
+    for (const key of allowedKeys) {
+      if (Object.prototype.hasOwnProperty.call(update || {}, key)) {
+        filtered[key] = key === 'enabled' ? update[key] : Number(update[key]);
+      }
+    }
+
+    const errors = this.validateSettings(filtered);
+    if (errors.length > 0) {
+      throw new Error(`Invalid surge settings: ${errors.join(', ')}`);
+    }
+
+    await this.db.collection(this.settingsCollection).doc(this.settingsDoc).set({
+      ...filtered,
+      updatedBy: updatedBy || null,
+      updatedAt: new Date()
+    }, { merge: true });
+
+    this.zoneCache.clear();
+    const settings = await this.getSettings(true);
+    console.log(`✅ [SURGE] Settings updated by ${updatedBy}: enabled=${settings.enabled}, max=${settings.maxMultiplier}`);
+    return settings;
+  }
+
+  /**
+   * Get the surge multiplier for a pickup location
+   * @param {Object} coordinates - { latitude, longitude } or { lat, lng }
+   * @returns {Promise<Object>} Surge details (multiplier is always >= 1)
+   */
+  async getSurgeForLocation(coordinates) {
+    const settings = await this.getSettings();
+    const latitude = Number(coordinates?.latitude ?? coordinates?.lat);
+    const longitude = Number(coordinates?.longitude ?? coordinates?.lng);
+
+    if (!settings.enabled || !Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+      return this.buildNoSurge(settings.enabled ? 'invalid_location' : 'disabled');
+    }
+
+    const zoneKey = geohash.encode(latitude, longitude, settings.zonePrecision);
+    const cached = this.zoneCache.get(zoneKey);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.surge;
+    }
+
+    try {
+      const zoneCentre = geohash.decode(zoneKey);
+      const [demand, supply] = await Promise.all([
+        this.countDemand(zoneCentre, settings),
+        this.countSupply(zoneCentre, settings)
+      ]);
+
+      const surge = {
+        multiplier: this.calculateMultiplier(demand, supply, settings),
+        zoneKey,
+        demand,
+        supply,
+        windowMinutes: settings.demandWindowMinutes,
+        reason: 'demand_supply',
+        computedAt: new Date().toISOString()
+      };
+
+      this.zoneCache.set(zoneKey, {
+        surge,
+        expiresAt: Date.now() + settings.cacheTtlSeconds * 1000
+      });
+
+      return surge;
+    } catch (error) {
+      // Never block pricing on surge failures
+      console.error(`❌ [SURGE] Failed to compute surge for zone ${zoneKey}:`, error.message);
+      return this.buildNoSurge('error', zoneKey);
+    }
+  }
+
+  /**
+   * Bounded multiplier from demand and supply counts
+   * @param {number} demand - Pending bookings in zone
+   * @param {number} supply - Available drivers in zone
+   * @param {Object} settings - Surge settings
+   * @returns {number} Multiplier
+   */
+  calculateMultiplier(demand, supply, settings) {
+    const ratio = demand / Math.max(supply, 1);
+    if (ratio <= settings.ratioThreshold) {
+      return settings.minMultiplier;
+    }
+
+    const raw = 1 + (ratio - settings.ratioThreshold) * settings.sensitivity;
+    const stepped = Math.round(raw / settings.step) * settings.step;
+    const bounded = Math.min(settings.maxMultiplier, HARD_MAX_MULTIPLIER, Math.max(settings.minMultiplier, stepped));
+    return Math.round(bounded * 100) / 100;
+  }
+
+  /**
+   * Count pending bookings created within the demand window near a point
+   * @param {Object} centre - { latitude, longitude }
+   * @param {Object} settings - Surge settings
+   * @returns {Promise<number>} Pending booking count, at most maxZoneCount
+   */
+  async countDemand(centre, settings) {
+    const driverProximityService = require('./driverProximityService');
+    const windowStart = new Date(Date.now() - settings.demandWindowMinutes * 60 * 1000);
+    const cells = driverProximityService.getCoveringCells(centre.latitude, centre.longitude, settings.zoneRadiusKm);
+
+    const snapshots = await Promise.all(cells.map(cell => this.db.collection('bookings')
+      .where('status', 'in', PENDING_BOOKING_STATUSES)
+      .where('pickupGeohash', '>=', cell)
+      .where('pickupGeohash', '<=', `${cell}~`)
+      .limit(settings.maxZoneCount)
+      .get()));
+
+    const demand = snapshots.flatMap(snapshot => snapshot.docs).filter(doc => {
+      const booking = doc.data();
+      const pickup = booking.pickup?.coordinates;
+      return toDate(booking.createdAt) >= windowStart && pickup && this.distanceKm(centre, pickup) <= settings.zoneRadiusKm;
+    }).length;
+    return Math.min(demand, settings.maxZoneCount);
+  }
+
+  /**
+   * Count online, available drivers without an active trip near a point
+   * @param {Object} centre - { latitude, longitude }
+   * @param {Object} settings - Surge settings
+   * @returns {Promise<number>} Available driver count, at most maxZoneCount
+   */
+  async countSupply(centre, settings) {
+    const driverProximityService = require('./driverProximityService');
+    const nearbyLocations = await driverProximityService.findNearbyDriverLocations(centre, settings.zoneRadiusKm, {
+      limit: settings.maxZoneCount,
+      cellLimit: settings.maxZoneCount
+    });
+
+    return nearbyLocations.filter(driver => !driver.currentTripId).length;
+  }
+
+  /**
+   * Apply a surge multiplier to a fare breakdown from fareCalculationService.
+   * Commission stays per-km (plan based); only the customer fare is surged.
+   * @param {Object} fareBreakdown - Result of calculateFare()
+   * @param {Object} surge - Result of getSurgeForLocation()
+   * @returns {Object} Fare breakdown with surge fields
+   */
+  applySurge(fareBreakdown, surge) {
+    const multiplier = surge?.multiplier > 1 ? surge.multiplier : 1.0;
+    const baseFare = fareBreakdown.totalFare;
+    const totalFare = Math.round(baseFare * multiplier);
+    const surgeCharge = Math.round((totalFare - baseFare) * 100) / 100;
+
+    return {
+      ...fareBreakdown,
+      totalFare,
+      baseFare: totalFare, // Keep for backward compatibility
+      fareBeforeSurge: baseFare,
+      surgeMultiplier: multiplier,
+      surgeCharge,
+      driverEarnings: Math.round((totalFare - fareBreakdown.commission) * 100) / 100,
+      surge: surge || this.buildNoSurge('disabled'),
+      breakdown: {
+        ...fareBreakdown.breakdown,
+        surgeMultiplier: multiplier,
+        surgeCharge,
+        surgeZone: surge?.zoneKey || null,
+        fareBeforeSurge: baseFare,
+        priceCalculation: multiplier > 1
+          ? `Total: ₹${baseFare} × ${multiplier} surge = ₹${totalFare}`
+          : fareBreakdown.breakdown.priceCalculation,
+        totalFare,
+        driverEarnings: Math.round((totalFare - fareBreakdown.commission) * 100) / 100
+      }
+    };
+  }
+
+  /**
+   * Neutral surge result
+   * @param {string} reason - Why surge is not applied
+   * @param {string} zoneKey - Zone key if known
+   * @returns {Object} Surge details with multiplier 1.0
+   */
+  buildNoSurge(reason, zoneKey = null) {
+    return {
+      multiplier: 1.0,
+      zoneKey,
+      demand: null,
+      supply: null,
+      windowMinutes: null,
+      reason,
+      computedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Haversine distance between two coordinates
+   * @param {Object} a - { latitude, longitude }
+   * @param {Object} b - { latitude, longitude } or { lat, lng }
+   * @returns {number} Distance in km
+   */
+  distanceKm(a, b) {
+    const lat1 = Number(a.latitude ?? a.lat);
+    const lng1 = Number(a.longitude ?? a.lng);
+    const lat2 = Number(b.latitude ?? b.lat);
+    const lng2 = Number(b.longitude ?? b.lng);
+    const R = 6371;
+    const dLat = (lat2 - lat1) * Math.PI / 180;
+    const dLng = (lng2 - lng1) * Math.PI / 180;
+    const h = Math.sin(dLat / 2) ** 2 +
+      Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * Math.sin(dLng / 2) ** 2;
+    return R * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+  }
+}
+
+module.exports = new SurgePricingService();
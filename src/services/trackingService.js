@@ -1,6 +1,7 @@
 const { getFirestore } = require('./firebase');
 const axios = require('axios');
 const { EventEmitter } = require('events');
+const { getStops } = require('../utils/bookingStops');
 
 /**
  * Real-time Tracking Service for EPickup delivery platform
@@ -34,12 +35,19 @@ class TrackingService extends EventEmitter {
     try {
       console.log(`🚀 Starting trip tracking for: ${tripId}`);
 
+      // Multi-stop trips send ordered `stops`; the final stop is the dropoff
+      if (Array.isArray(tripData.stops) && tripData.stops.length > 0) {
+        tripData = { ...tripData, dropoff: tripData.stops[tripData.stops.length - 1] };
+      }
+
       // Validate trip data
       const validation = this.validateTripData(tripData);
       if (!validation.isValid) {
         throw new Error(`Invalid trip data: ${validation.errors.join(', ')}`);
       }
 
+      const stops = getStops(tripData);
+
       // Initialize trip tracking
       const trackingData = {
         tripId,
@@ -58,6 +66,10 @@ class TrackingService extends EventEmitter {
           etaToDropoff: 0,
           isAtPickup: false,
           isAtDropoff: false,
+          nextStopIndex: 0,
+          totalStops: stops.length,
+          distanceToNextStop: 0,
+          etaToNextStop: 0,
           currentStage: 'enroute'
         },
         route: {
@@ -78,7 +90,15 @@ class TrackingService extends EventEmitter {
             radius: this.geofenceRadius.dropoff,
             triggered: false,
             triggeredAt: null
-          }
+          },
+          // One geofence per drop-off stop, triggered in order (single-drop trips have one)
+          stops: stops.map((stop, index) => ({
+            index,
+            center: stop.coordinates,
+            radius: this.geofenceRadius.dropoff,
+            triggered: false,
+            triggeredAt: null
+          }))
         }
       };
 
@@ -210,9 +230,19 @@ class TrackingService extends EventEmitter {
         dropoffLocation.latitude, dropoffLocation.longitude
       );
 
+      // Next drop-off stop still to be reached (the dropoff itself for single-drop trips)
+      const nextStop = this.getNextStopGeofence(trip);
+      const distanceToNextStop = nextStop
+        ? this.calculateHaversineDistance(
+          currentLocation.latitude, currentLocation.longitude,
+          nextStop.center.latitude, nextStop.center.longitude
+        )
+        : 0;
+
       // Calculate ETAs
       const etaToPickup = this.calculateETA(distanceToPickup, '2_wheeler');
       const etaToDropoff = this.calculateETA(distanceToDropoff, '2_wheeler');
+      const etaToNextStop = this.calculateETA(distanceToNextStop, '2_wheeler');
 
       // Update progress
       trip.progress = {
@@ -222,6 +252,10 @@ class TrackingService extends EventEmitter {
         etaToDropoff: Math.round(etaToDropoff),
         isAtPickup: distanceToPickup <= this.geofenceRadius.pickup,
         isAtDropoff: distanceToDropoff <= this.geofenceRadius.dropoff,
+        nextStopIndex: nextStop ? nextStop.index : null,
+        totalStops: this.getStopGeofences(trip).length,
+        distanceToNextStop: Math.round(distanceToNextStop * 1000) / 1000,
+        etaToNextStop: Math.round(etaToNextStop),
         currentStage: this.determineCurrentStage(trip)
       };
 
@@ -262,19 +296,33 @@ class TrackingService extends EventEmitter {
         }
       }
 
-      // Check dropoff geofence
-      if (!trip.geofence.dropoff.triggered && trip.geofence.pickup.triggered) {
-        const distanceToDropoff = this.calculateHaversineDistance(
+      // Check drop-off stop geofences in order - only the next untriggered stop can fire
+      const nextStop = trip.geofence.pickup.triggered ? this.getNextStopGeofence(trip) : null;
+      if (nextStop) {
+        const distanceToStop = this.calculateHaversineDistance(
           currentLocation.latitude, currentLocation.longitude,
-          trip.geofence.dropoff.center.latitude, trip.geofence.dropoff.center.longitude
+          nextStop.center.latitude, nextStop.center.longitude
         );
 
-        if (distanceToDropoff <= this.geofenceRadius.dropoff) {
-          trip.geofence.dropoff.triggered = true;
-          trip.geofence.dropoff.triggeredAt = new Date();
-          
-          console.log(`🎯 Driver arrived at dropoff location for trip: ${tripId}`);
-          this.emit('geofenceTriggered', { tripId, type: 'dropoff', location: currentLocation });
+        if (distanceToStop <= this.geofenceRadius.dropoff) {
+          nextStop.triggered = true;
+          nextStop.triggeredAt = new Date();
+
+          const stopGeofences = this.getStopGeofences(trip);
+          const isFinalStop = nextStop.index === stopGeofences.length - 1;
+
+          if (stopGeofences.length > 1) {
+            console.log(`📦 Driver arrived at stop ${nextStop.index + 1}/${stopGeofences.length} for trip: ${tripId}`);
+            this.emit('geofenceTriggered', { tripId, type: 'stop', stopIndex: nextStop.index, location: currentLocation });
+          }
+
+          if (isFinalStop) {
+            trip.geofence.dropoff.triggered = true;
+            trip.geofence.dropoff.triggeredAt = nextStop.triggeredAt;
+
+            console.log(`🎯 Driver arrived at dropoff location for trip: ${tripId}`);
+            this.emit('geofenceTriggered', { tripId, type: 'dropoff', location: currentLocation });
+          }
         }
       }
 
@@ -297,13 +345,15 @@ class TrackingService extends EventEmitter {
 
       const origin = tripData.driverLocation || tripData.pickup.coordinates;
       const destination = tripData.dropoff.coordinates;
-      const waypoints = [tripData.pickup.coordinates];
+      // Pickup followed by intermediate stops - order is fixed by the customer, so no optimization
+      const intermediateStops = getStops(tripData).slice(0, -1).map(stop => stop.coordinates);
+      const waypoints = [tripData.pickup.coordinates, ...intermediateStops];
 
       const url = `https://maps.googleapis.com/maps/api/directions/json`;
       const params = {
         origin: `${origin.latitude},${origin.longitude}`,
         destination: `${destination.latitude},${destination.longitude}`,
-        waypoints: `optimize:true|${waypoints.map(wp => `${wp.latitude},${wp.longitude}`).join('|')}`,
+        waypoints: `${intermediateStops.length > 0 ? '' : 'optimize:true|'}${waypoints.map(wp => `${wp.latitude},${wp.longitude}`).join('|')}`,
         key: this.googleMapsApiKey,
         mode: 'driving',
         units: 'metric'
@@ -314,13 +364,17 @@ class TrackingService extends EventEmitter {
       if (response.data.status === 'OK' && response.data.routes.length > 0) {
         const route = response.data.routes[0];
         const leg = route.legs[0];
+        // Multi-stop routes have one leg per stop - report the whole route
+        const routeLegs = intermediateStops.length > 0 ? route.legs : [leg];
+        const distanceMeters = routeLegs.reduce((sum, routeLeg) => sum + routeLeg.distance.value, 0);
+        const durationSeconds = routeLegs.reduce((sum, routeLeg) => sum + routeLeg.duration.value, 0);
 
         const trip = this.activeTrips.get(tripId);
         if (trip) {
           trip.route = {
             polyline: route.overview_polyline.points,
-            distance: leg.distance.value / 1000, // Convert to km
-            duration: Math.round(leg.duration.value / 60), // Convert to minutes
+            distance: distanceMeters / 1000, // Convert to km
+            duration: Math.round(durationSeconds / 60), // Convert to minutes
             waypoints: waypoints,
             googleRouteId: route.overview_polyline.points.substring(0, 10)
           };
@@ -346,16 +400,21 @@ class TrackingService extends EventEmitter {
       const trip = this.activeTrips.get(tripId);
       if (!trip) return;
 
-      const pickupToDropoff = this.calculateHaversineDistance(
-        tripData.pickup.coordinates.latitude, tripData.pickup.coordinates.longitude,
-        tripData.dropoff.coordinates.latitude, tripData.dropoff.coordinates.longitude
-      );
+      // Pickup → stop 1 → stop 2 ... (just pickup → dropoff for single-drop trips)
+      const routePoints = [tripData.pickup.coordinates, ...getStops(tripData).map(stop => stop.coordinates)];
+      let pickupToDropoff = 0;
+      for (let i = 1; i < routePoints.length; i++) {
+        pickupToDropoff += this.calculateHaversineDistance(
+          routePoints[i - 1].latitude, routePoints[i - 1].longitude,
+          routePoints[i].latitude, routePoints[i].longitude
+        );
+      }
 
       trip.route = {
         polyline: null,
         distance: Math.round(pickupToDropoff * 1000) / 1000,
         duration: Math.round(this.calculateETA(pickupToDropoff, '2_wheeler')),
-        waypoints: [tripData.pickup.coordinates],
+        waypoints: routePoints.slice(0, -1),
         googleRouteId: null
       };
 
@@ -590,7 +649,7 @@ class TrackingService extends EventEmitter {
       if (!trip.geofence.pickup.triggered) {
         targetLocation = trip.geofence.pickup.center;
       } else if (!trip.geofence.dropoff.triggered) {
-        targetLocation = trip.geofence.dropoff.center;
+        targetLocation = (this.getNextStopGeofence(trip) || trip.geofence.dropoff).center;
       } else {
         return null; // Trip completed
       }
@@ -756,6 +815,8 @@ class TrackingService extends EventEmitter {
   determineCurrentStage(trip) {
     if (!trip.geofence.pickup.triggered) {
       return 'enroute';
+    } else if (this.getStopGeofences(trip).some(stop => stop.triggered) && !trip.geofence.dropoff.triggered) {
+      return 'at_stop';
     } else if (trip.geofence.pickup.triggered && !trip.geofence.dropoff.triggered) {
       return 'at_pickup';
     } else if (trip.geofence.dropoff.triggered) {
@@ -764,6 +825,30 @@ class TrackingService extends EventEmitter {
     return 'enroute';
   }
 
+  /**
+   * Drop-off stop geofences of a trip (older trips only have the dropoff geofence)
+   * @param {Object} trip - Trip data
+   * @returns {Array} Stop geofences in delivery order
+   */
+  getStopGeofences(trip) {
+    if (Array.isArray(trip.geofence.stops) && trip.geofence.stops.length > 0) {
+      return trip.geofence.stops;
+    }
+    return [{ index: 0, ...trip.geofence.dropoff }];
+  }
+
+  /**
+   * Next drop-off stop geofence the driver has not reached yet
+   * @param {Object} trip - Trip data
+   * @returns {Object|null} Stop geofence or null when every stop was reached
+   */
+  getNextStopGeofence(trip) {
+    if (!Array.isArray(trip.geofence.stops) || trip.geofence.stops.length === 0) {
+      return trip.geofence.dropoff.triggered ? null : { index: 0, ...trip.geofence.dropoff };
+    }
+    return trip.geofence.stops.find(stop => !stop.triggered) || null;
+  }
+
   /**
    * Validate trip data
    * @param {Object} tripData - Trip data to validate
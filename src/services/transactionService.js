@@ -1,4 +1,5 @@
 const { getFirestore } = require('./firebase');
+const driverProximityService = require('./driverProximityService');
 
 /**
  * Transaction Service
@@ -329,6 +330,7 @@ class TransactionService {
         const locationData = {
           driverId,
           currentLocation: location,
+          ...driverProximityService.getIndexFields(location),
           lastUpdated: now,
           isOnline: true
         };
@@ -248,8 +248,9 @@ class VerificationService {
 
   /**
    * Verify a specific driver document
+   * @param {Date|null} expiryDate - Parsed expiry date confirmed by the admin (licence, insurance, RC)
    */
-  async verifyDriverDocument(driverId, documentType, status, comments, rejectionReason, adminId) {
+  async verifyDriverDocument(driverId, documentType, status, comments, rejectionReason, adminId, expiryDate = null) {
     const db = this.getDbSafe();
     
     if (!db) {
@@ -362,6 +363,14 @@ class VerificationService {
         verifiedAt: updatedData?.driver?.documents?.[normalizedType]?.verifiedAt
       });
 
+      // Expiring documents: record the expiry and close open renewals
+      try {
+        const documentExpiryService = require('./documentExpiryService');
+        await documentExpiryService.onDocumentVerified(driverId, normalizedType, status, expiryDate);
+      } catch (expiryError) {
+        console.error('❌ [VerificationService] Error updating document expiry:', expiryError);
+      }
+
       // Recalculate overall status
       const verificationData = await this.getDriverVerificationData(driverId);
       if (verificationData) {
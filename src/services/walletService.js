@@ -456,6 +456,141 @@ class PointsService {
     }
   }
 
+  /**
+   * Deduct a driver's liability for an approved package claim
+   * Takes what the balance covers; the rest is reported as outstanding
+   * @param {string} driverId - Driver ID
+   * @param {string} claimId - Claim ID (one deduction per claim)
+   * @param {number} pointsAmount - Liability in points (1 point = ₹1)
+   * @param {Object} claimDetails - Claim details stored with the transaction
+   * @returns {Promise<Object>} Result object
+   */
+  async deductLiability(driverId, claimId, pointsAmount, claimDetails = {}) {
+    try {
+      const transactionId = `claim_liability_${claimId}`;
+      const transactionRef = this.db.collection('pointsTransactions').doc(transactionId);
+      const walletRef = this.db.collection('driverPointsWallets').doc(driverId);
+
+      // Balance read, idempotency check and writes commit together, so a
+      // concurrent deduction is neither lost nor applied twice
+      const result = await this.db.runTransaction(async (transaction) => {
+        const [existing, walletDoc] = await Promise.all([
+          transaction.get(transactionRef),
+          transaction.get(walletRef)
+        ]);
+
+        if (existing.exists) {
+          const data = existing.data();
+          return {
+            pointsDeducted: data.pointsAmount,
+            outstandingPoints: data.outstandingPoints || 0,
+            previousBalance: data.previousBalance,
+            newBalance: data.newBalance,
+            alreadyProcessed: true
+          };
+        }
+        if (!walletDoc.exists) {
+          return null;
+        }
+
+        const currentWallet = walletDoc.data();
+        const currentBalance = Number(currentWallet.pointsBalance || 0);
+        const pointsDeducted = Math.max(0, Math.min(currentBalance, Number(pointsAmount)));
+        const outstandingPoints = Number(pointsAmount) - pointsDeducted;
+        const newBalance = currentBalance - pointsDeducted;
+
+        transaction.update(walletRef, {
+          pointsBalance: newBalance,
+          totalPointsSpent: (currentWallet.totalPointsSpent || 0) + pointsDeducted,
+          requiresTopUp: this.isLowBalance(newBalance),
+          lastUpdated: new Date()
+        });
+        transaction.set(transactionRef, {
+          id: transactionId,
+          driverId,
+          type: 'debit',
+          category: 'claim_liability',
+          pointsAmount: pointsDeducted,
+          requestedPoints: Number(pointsAmount),
+          outstandingPoints,
+          previousBalance: currentBalance,
+          newBalance,
+          claimId,
+          claimDetails,
+          status: 'completed',
+          createdAt: new Date()
+        });
+        return { pointsDeducted, outstandingPoints, previousBalance: currentBalance, newBalance, alreadyProcessed: false };
+      });
+
+      if (!result) {
+        return {
+          success: false,
+          error: 'Points wallet not found'
+        };
+      }
+
+      const { pointsDeducted, outstandingPoints, previousBalance, newBalance } = result;
+      if (result.alreadyProcessed) {
+        return {
+          success: true,
+          message: 'Liability already deducted',
+          data: { pointsDeducted, outstandingPoints, newBalance, transactionId, alreadyProcessed: true }
+        };
+      }
+
+      console.info(`[WALLET_SERVICE] Deducted claim liability for driver: ${driverId}, claim: ${claimId}, amount: ${pointsAmount} points (${pointsDeducted} covered)`);
+
+      try {
+        const cachingService = require('./cachingService');
+        await cachingService.delete(`wallet:balance:${driverId}`, 'memory');
+        await cachingService.invalidatePattern(`wallet:full:${driverId}:`, 'memory');
+        await cachingService.delete(`wallet:transactions:count:${driverId}`, 'memory');
+      } catch (cacheError) {
+        console.warn('⚠️ [WALLET_SERVICE] Failed to invalidate cache after liability deduction:', cacheError.message);
+      }
+
+      try {
+        const socketService = require('./socket');
+        const transaction = {
+          id: transactionId,
+          type: 'debit',
+          amount: -pointsDeducted,
+          previousBalance,
+          newBalance,
+          status: 'completed',
+          claimId,
+          createdAt: new Date().toISOString()
+        };
+        socketService.emitWalletUpdate(driverId, { balance: newBalance, transactions: [transaction] });
+        socketService.emitTransactionEvent(driverId, transaction);
+      } catch (socketError) {
+        console.warn('⚠️ [WALLET_SERVICE] Failed to emit wallet update event:', socketError.message);
+      }
+
+      return {
+        success: true,
+        message: 'Liability deducted successfully',
+        data: {
+          pointsDeducted,
+          outstandingPoints,
+          newBalance,
+          transactionId,
+          alreadyProcessed: false
+        }
+      };
+    } catch (error) {
+      console.error('Error deducting claim liability:', error);
+      return {
+        success: false,
+        error: 'Failed to deduct liability',
+        details: error.message,
+        code: 'LIABILITY_DEDUCT_ERROR',
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+
   /**
    * Get transaction history
    * ✅ CRITICAL FIX: Optimized pagination to reduce DB load
@@ -533,10 +533,10 @@ class WebSocketEventHandler {
     try {
       const tripId = data.tripId || data.bookingId;
       const message = typeof data.message === 'string' ? data.message : '';
-      let { recipientId } = data;
-      const { userId, userType } = socket;
+      const { userId } = socket;
+      const isQuickReply = data.messageType === 'quick_reply';
 
-      if (!tripId || !message) {
+      if (!tripId || (!message && !isQuickReply)) {
         socket.emit('error', {
           code: 'INVALID_MESSAGE_DATA',
           message: 'Trip/booking ID and message are required'
@@ -544,102 +544,38 @@ class WebSocketEventHandler {
         return;
       }
 
-      // Verify user has access to this trip
-      const hasAccess = await this.verifyTripAccess(userId, tripId);
-      if (!hasAccess) {
-        socket.emit('error', {
-          code: 'ACCESS_DENIED',
-          message: 'You do not have access to send messages for this trip'
-        });
-        return;
-      }
+      // Persisted and broadcast by chatService, same as /api/chat/send
+      // (access check, closed-chat check, length and quick-reply validation).
+      // Attachments go through POST /api/chat/:bookingId/attachments.
+      const chatService = require('./chatService');
+      const result = await chatService.sendMessage(tripId, userId, {
+        messageType: isQuickReply ? 'quick_reply' : 'text',
+        text: message,
+        quickReplyId: data.quickReplyId,
+        locale: data.locale,
+        timestamp: data.timestamp
+      });
 
-      // Validate message length
-      if (message.trim().length === 0 || message.length > 500) {
+      if (!result.success) {
         socket.emit('error', {
-          code: 'INVALID_MESSAGE',
-          message: 'Message must be between 1 and 500 characters'
+          code: result.error.code,
+          message: result.error.message
         });
         return;
       }
 
-      // Resolve booking participants so we can infer recipient when client omits it.
-      const bookingDoc = this.db
-        ? await this.db.collection('bookings').doc(tripId).get()
-        : null;
-      const bookingData = bookingDoc && bookingDoc.exists ? bookingDoc.data() : null;
-
-      if (!recipientId && bookingData) {
-        recipientId = userType === 'driver' ? bookingData.customerId : bookingData.driverId;
-      }
+      console.log(`💬 Chat message from ${userId} to ${result.data.recipientId || 'unknown'} for trip ${tripId}`);
 
-      const normalizedMessage = message.trim();
-      console.log(`💬 Chat message from ${userId} to ${recipientId || 'unknown'} for trip ${tripId}`);
-
-      const messageId = `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      const messageTimestamp = data.timestamp ? new Date(data.timestamp) : new Date();
-
-      // Persist using the same collection/schema as /api/chat/send.
-      if (this.db) {
-        await this.db.collection('chat_messages').add({
-          id: messageId,
-          bookingId: tripId,
-          senderId: userId,
-          senderType: userType,
-          message: normalizedMessage,
-          messageType: data.messageType || 'text',
-          timestamp: messageTimestamp,
-          createdAt: new Date(),
-          read: false,
-        });
-
-        if (bookingDoc && bookingDoc.exists) {
-          await this.db.collection('bookings').doc(tripId).set({
-            lastMessage: {
-              senderId: userId,
-              senderType: userType,
-              message: normalizedMessage,
-              timestamp: messageTimestamp,
-            },
-            updatedAt: new Date(),
-          }, { merge: true });
-        }
-      }
-
-      // Broadcast to all relevant channels.
-      const chatEvent = {
-        id: messageId,
-        tripId,
-        bookingId: tripId,
-        senderId: userId,
-        senderType: userType,
-        message: normalizedMessage,
-        messageType: data.messageType || 'text',
-        timestamp: messageTimestamp.toISOString(),
-      };
-
-      if (this.io) {
-        this.io.to(`trip:${tripId}`).emit('chat_message', chatEvent);
-        this.io.to(`booking:${tripId}`).emit('chat_message', chatEvent);
-        this.io.to(`user:${userId}`).emit('chat_message', chatEvent);
-        if (recipientId) {
-          this.io.to(`user:${recipientId}`).emit('chat_message', chatEvent);
+      // Confirm message sent
+      socket.emit('message_sent', {
+        success: true,
+        message: 'Message sent successfully',
+        data: {
+          messageId: result.data.id,
+          status: result.data.status,
+          timestamp: result.data.timestamp.toISOString()
         }
-      }
-
-      if (messageId) {
-        // Confirm message sent
-        socket.emit('message_sent', {
-          success: true,
-          message: 'Message sent successfully',
-          data: {
-            messageId,
-            timestamp: messageTimestamp.toISOString()
-          }
-        });
-      } else {
-        throw new Error('Failed to send message');
-      }
+      });
 
     } catch (error) {
       console.error('Error handling chat message:', error);
@@ -650,6 +586,36 @@ class WebSocketEventHandler {
     }
   }
 
+  /**
+   * Handle chat delivered / read receipt
+   * @param {Socket} socket - Socket instance
+   * @param {Object} data - { bookingId, messageIds? }
+   * @param {string} status - 'delivered' or 'read'
+   */
+  async handleChatReceipt(socket, data, status) {
+    try {
+      const tripId = data && (data.tripId || data.bookingId);
+      if (!tripId) {
+        return;
+      }
+
+      const chatService = require('./chatService');
+      const messageIds = Array.isArray(data.messageIds) ? data.messageIds : null;
+      const result = status === 'read'
+        ? await chatService.markRead(tripId, socket.userId, messageIds)
+        : await chatService.markDelivered(tripId, socket.userId, messageIds);
+
+      if (!result.success) {
+        socket.emit('error', {
+          code: result.error.code,
+          message: result.error.message
+        });
+      }
+    } catch (error) {
+      console.error('Error handling chat receipt:', error);
+    }
+  }
+
   /**
    * Handle typing indicator
    * @param {Socket} socket - Socket instance
@@ -771,6 +737,30 @@ class WebSocketEventHandler {
     }
   }
 
+  /**
+   * Handle live location for an open emergency alert
+   * @param {Socket} socket - Socket instance
+   * @param {Object} data - { alertId, latitude, longitude, accuracy?, heading?, speed? }
+   */
+  async handleEmergencyLocation(socket, data) {
+    try {
+      if (!data || !data.alertId) {
+        return;
+      }
+
+      const emergencyEscalationService = require('./emergencyEscalationService');
+      const result = await emergencyEscalationService.updateLocation(data.alertId, socket.userId, data);
+      if (!result.success) {
+        socket.emit('error', {
+          code: result.error.code,
+          message: result.error.message
+        });
+      }
+    } catch (error) {
+      console.error('Error handling emergency location:', error);
+    }
+  }
+
   /**
    * Handle trip status update request
    * @param {Socket} socket - Socket instance
@@ -1667,6 +1657,10 @@ class WebSocketEventHandler {
           data: { bookingId, driverId: userId }
         });
 
+        // Withdraw any open broadcast-dispatch offers for this booking
+        const dispatchStrategyService = require('./dispatchStrategyService');
+        await dispatchStrategyService.closeDispatch(bookingId, { status: 'assigned', driverId: userId, notifyDrivers: true });
+
       } catch (transactionError) {
         // Handle transaction errors
         if (transactionError.message === 'BOOKING_ALREADY_ASSIGNED') {
@@ -2104,11 +2098,11 @@ class WebSocketEventHandler {
   /**
    * Send new booking notification to eligible drivers only.
    * Radius logic (aligned with GET /api/driver/bookings/available and service area):
-   * - Service area = 25–27 km from Tirupattur city center (config). Pickup must be within this; driver must be within this.
+   * - Service area = enabled zone from the `serviceAreas` collection (legacy: 27 km from the configured centre).
    * - Driver-to-pickup = up to 25 km (driver close enough to this job).
    * Conditions (all required): userType=driver, isOnline=true, isAvailable=true,
    * verificationStatus=verified, has currentLocation, no active booking,
-   * pickup within service area (27km from center), driver within service area (27km from center),
+   * pickup within a service area zone,
    * driver within 25km of pickup, and (for push) has expoPushToken/fcmToken.
    * @param {Object} bookingData - Booking data
    */
@@ -2125,21 +2119,16 @@ class WebSocketEventHandler {
         return;
       }
 
-      // ✅ Service area: pickup must be within 27 km of Tirupattur center (same as GET /api/driver/bookings/available)
+      // ✅ Service area: pickup should resolve to an enabled zone (same as GET /api/driver/bookings/available)
       const config = require('../config/environment');
-      const serviceCenter = config.getServiceAreaCenter();
+      const serviceAreaValidation = require('./serviceAreaValidation');
       const radiusConfig = config.getServiceAreaRadius();
-      const serviceAreaMaxMeters = radiusConfig.MAX_METERS; // 27 km
       const driverToPickupMaxMeters = radiusConfig.DEFAULT_METERS || 25000; // 25 km
 
-      const pickupDistanceFromCenter = this.calculateDistance(
-        pickupCoords.latitude,
-        pickupCoords.longitude,
-        serviceCenter.LATITUDE,
-        serviceCenter.LONGITUDE
-      );
-      if (pickupDistanceFromCenter > serviceAreaMaxMeters) {
-        console.warn(`⚠️ [NOTIFY_DRIVERS] Pickup is outside service center radius (${(pickupDistanceFromCenter / 1000).toFixed(1)} km from ${serviceCenter.NAME}, max ${serviceAreaMaxMeters / 1000} km); continuing because notification radius is based on pickup distance only`);
+      await serviceAreaValidation.ensureZonesLoaded();
+      const pickupServiceArea = serviceAreaValidation.validateLocation(pickupCoords.latitude, pickupCoords.longitude, { requireOpen: false });
+      if (!pickupServiceArea.isValid) {
+        console.warn(`⚠️ [NOTIFY_DRIVERS] Pickup is outside the service areas (${pickupServiceArea.message}); continuing because notification radius is based on pickup distance only`);
       }
 
       if (process.env.ENABLE_REAL_TIME_TESTING === 'true') {
@@ -0,0 +1,160 @@
+/**
+ * Booking Stop Utilities
+ * Multi-stop deliveries have one pickup and an ordered list of drop-off stops in
+ * `booking.stops`. `booking.dropoff` always mirrors the final stop so older
+ * clients and reports keep working.
+ *
+ * Single-drop bookings have no `stops` array - every helper here treats their
+ * `dropoff` as a one-stop route, so callers never need to branch on booking type.
+ */
+
+const MAX_DROPOFF_STOPS = 5;
+
+const STOP_STATUSES = ['pending', 'arrived', 'delivered'];
+
+/**
+ * Normalize raw drop-off stops from a booking request
+ * @param {Array} rawStops - Stops as sent by the client
+ * @param {Function} [toCoordinates] - Optional coordinate converter (e.g. to GeoPoint)
+ * @returns {Array} Ordered stop objects
+ */
+function buildStops(rawStops, toCoordinates = (coordinates) => coordinates) {
+  return rawStops.map((stop, index) => ({
+    index,
+    name: stop.name || 'Recipient',
+    phone: stop.phone || null,
+    address: stop.address || '',
+    coordinates: toCoordinates(stop.coordinates),
+    instructions: stop.instructions || '',
+    status: 'pending',
+    arrivedAt: null,
+    deliveredAt: null,
+    recipient: null,
+    deliveryVerification: null
+  }));
+}
+
+/**
+ * Validate raw drop-off stops from a booking request
+ * @param {Array} rawStops - Stops as sent by the client
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validateStops(rawStops) {
+  const errors = [];
+
+  if (!Array.isArray(rawStops) || rawStops.length === 0) {
+    errors.push('At least one drop-off stop is required');
+    return errors;
+  }
+
+  if (rawStops.length > MAX_DROPOFF_STOPS) {
+    errors.push(`A booking can have at most ${MAX_DROPOFF_STOPS} drop-off stops`);
+  }
+
+  rawStops.forEach((stop, index) => {
+    const latitude = stop?.coordinates?.latitude;
+    const longitude = stop?.coordinates?.longitude;
+    if (typeof latitude !== 'number' || typeof longitude !== 'number') {
+      errors.push(`Stop ${index + 1} coordinates are required`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Get the ordered drop-off stops of a booking
+ * @param {Object} booking - Booking data
+ * @returns {Array} Stops (single-drop bookings return their dropoff as stop 0)
+ */
+function getStops(booking) {
+  if (Array.isArray(booking?.stops) && booking.stops.length > 0) {
+    return booking.stops;
+  }
+
+  if (!booking?.dropoff) {
+    return [];
+  }
+
+  return [{
+    index: 0,
+    name: booking.dropoff.name || 'Recipient',
+    phone: booking.dropoff.phone || null,
+    address: booking.dropoff.address || '',
+    coordinates: booking.dropoff.coordinates,
+    instructions: booking.dropoff.instructions || '',
+    status: ['delivered', 'money_collection', 'completed'].includes(booking.status) ? 'delivered' : 'pending'
+  }];
+}
+
+/**
+ * @param {Object} booking - Booking data
+ * @returns {boolean} True if the booking has more than one drop-off stop
+ */
+function isMultiStop(booking) {
+  return Array.isArray(booking?.stops) && booking.stops.length > 1;
+}
+
+/**
+ * @param {Object} booking - Booking data
+ * @returns {number} Index of the stop the driver is currently heading to
+ */
+function getCurrentStopIndex(booking) {
+  const stops = getStops(booking);
+  const index = Number.isInteger(booking?.currentStopIndex) ? booking.currentStopIndex : 0;
+  return Math.min(Math.max(index, 0), Math.max(stops.length - 1, 0));
+}
+
+/**
+ * @param {Object} booking - Booking data
+ * @returns {Object|null} Stop the driver is currently heading to
+ */
+function getCurrentStop(booking) {
+  return getStops(booking)[getCurrentStopIndex(booking)] || null;
+}
+
+/**
+ * @param {Object} booking - Booking data
+ * @returns {boolean} True if stops remain after the current one
+ */
+function hasRemainingStops(booking) {
+  return getCurrentStopIndex(booking) < getStops(booking).length - 1;
+}
+
+/**
+ * Return a copy of the stops with one stop updated
+ * Firestore cannot update a single array element, so the whole array is rewritten.
+ * @param {Array} stops - Current stops
+ * @param {number} index - Stop index to update
+ * @param {Object} changes - Fields to merge into the stop
+ * @returns {Array} Updated stops
+ */
+function updateStop(stops, index, changes) {
+  return stops.map((stop, stopIndex) => (stopIndex === index ? { ...stop, ...changes } : stop));
+}
+
+/**
+ * Ordered route coordinates: pickup followed by every drop-off stop
+ * @param {Object} booking - Booking data (or { pickup, stops|dropoff })
+ * @returns {Array<Object>} Coordinates
+ */
+function getRouteCoordinates(booking) {
+  return [
+    booking.pickup?.coordinates,
+    ...getStops(booking).map(stop => stop.coordinates)
+  ].filter(Boolean);
+}
+
+module.exports = {
+  MAX_DROPOFF_STOPS,
+  STOP_STATUSES,
+  buildStops,
+  validateStops,
+  getStops,
+  isMultiStop,
+  getCurrentStopIndex,
+  getCurrentStop,
+  hasRemainingStops,
+  updateStop,
+  getRouteCoordinates
+};
@@ -0,0 +1,32 @@
+/**
+ * CSV Utility
+ * Builds CSV downloads (bank payout files, driver statements, earnings reports)
+ */
+
+/**
+ * Escape one CSV cell. Cells starting with = + - @ are prefixed with a quote so
+ * spreadsheet tools do not read user-entered text as a formula.
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+function escapeCsvValue(value) {
+  const text = String(value ?? '').replace(/^([=+\-@])/, "'$1");
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build CSV content from a header row and data rows
+ * @param {Array<string>} header - Column names
+ * @param {Array<Array>} rows - Data rows
+ * @returns {string} CSV content
+ */
+function toCsv(header, rows) {
+  return [header, ...rows]
+    .map(row => row.map(escapeCsvValue).join(','))
+    .join('\n');
+}
+
+module.exports = {
+  escapeCsvValue,
+  toCsv
+};
@@ -0,0 +1,22 @@
+/**
+ * Convert a Firestore Timestamp, Date, ISO string or epoch milliseconds to a Date
+ * @param {unknown} value
+ * @returns {Date|null} null when missing or not a valid date
+ */
+function toDate(value) {
+  if (!value) return null;
+  if (value instanceof Date) return value;
+  if (typeof value.toDate === 'function') {
+    try {
+      return value.toDate();
+    } catch {
+      return null;
+    }
+  }
+  const parsed = new Date(value);
+  return Number.isNaN(parsed.getTime()) ? null : parsed;
+}
+
+module.exports = {
+  toDate
+};
@@ -1,24 +1,8 @@
+const { toDate } = require('./dates');
+
 const MANUAL_OVERRIDE_SOURCES = new Set(['driver', 'admin']);
 const MANUAL_OVERRIDE_TTL_MS = 24 * 60 * 60 * 1000;
 
-/**
- * @param {unknown} value
- * @returns {Date|null}
- */
-function toDate(value) {
-  if (!value) return null;
-  if (value instanceof Date) return value;
-  if (typeof value.toDate === 'function') {
-    try {
-      return value.toDate();
-    } catch {
-      return null;
-    }
-  }
-  const parsed = new Date(value);
-  return Number.isNaN(parsed.getTime()) ? null : parsed;
-}
-
 /**
  * @param {object|undefined|null} driver
  * @returns {boolean}
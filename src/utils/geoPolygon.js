@@ -0,0 +1,147 @@
+/**
+ * GeoJSON polygon helpers for service area zones
+ * Coordinates follow GeoJSON order: [longitude, latitude]. Supports `Polygon`
+ * (outer ring + optional holes) and `MultiPolygon`.
+ */
+
+const EARTH_RADIUS_METERS = 6371000;
+
+/**
+ * @param {Object} geometry - GeoJSON Polygon or MultiPolygon
+ * @returns {Array} List of polygons, each an array of rings
+ */
+function getPolygons(geometry) {
+  if (!geometry) return [];
+  if (geometry.type === 'Polygon') return [geometry.coordinates];
+  if (geometry.type === 'MultiPolygon') return geometry.coordinates;
+  return [];
+}
+
+/**
+ * Ray-casting test against a single ring
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {Array} ring - Array of [lng, lat] positions
+ * @returns {boolean}
+ */
+function isPointInRing(latitude, longitude, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [lngI, latI] = ring[i];
+    const [lngJ, latJ] = ring[j];
+    const crosses = (latI > latitude) !== (latJ > latitude) &&
+      longitude < ((lngJ - lngI) * (latitude - latI)) / (latJ - latI) + lngI;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+}
+
+/**
+ * Check whether a point lies inside a GeoJSON Polygon/MultiPolygon (holes excluded)
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {boolean}
+ */
+function isPointInPolygon(latitude, longitude, geometry) {
+  return getPolygons(geometry).some(([outerRing, ...holes]) =>
+    isPointInRing(latitude, longitude, outerRing) &&
+    !holes.some(hole => isPointInRing(latitude, longitude, hole))
+  );
+}
+
+/**
+ * Shortest distance from a point to any polygon edge
+ * Uses a local equirectangular projection, accurate to a few metres at town scale.
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {number} Distance in meters (Infinity for empty geometry)
+ */
+function distanceToBoundary(latitude, longitude, geometry) {
+  const cosLat = Math.cos(latitude * Math.PI / 180);
+  const toMeters = ([lng, lat]) => [
+    (lng - longitude) * (Math.PI / 180) * EARTH_RADIUS_METERS * cosLat,
+    (lat - latitude) * (Math.PI / 180) * EARTH_RADIUS_METERS
+  ];
+
+  let minDistance = Infinity;
+  getPolygons(geometry).forEach(rings => rings.forEach(ring => {
+    for (let i = 1; i < ring.length; i++) {
+      const [ax, ay] = toMeters(ring[i - 1]);
+      const [bx, by] = toMeters(ring[i]);
+      const dx = bx - ax;
+      const dy = by - ay;
+      const lengthSquared = dx * dx + dy * dy;
+      // Project the point (origin) onto the segment and clamp to its ends
+      const t = lengthSquared === 0 ? 0 : Math.min(Math.max(-(ax * dx + ay * dy) / lengthSquared, 0), 1);
+      minDistance = Math.min(minDistance, Math.hypot(ax + t * dx, ay + t * dy));
+    }
+  }));
+  return minDistance;
+}
+
+/**
+ * Approximate centre of a geometry (average of its outer ring vertices)
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {Object|null} { latitude, longitude }
+ */
+function getCenter(geometry) {
+  const vertices = getPolygons(geometry).flatMap(([outerRing]) => outerRing.slice(0, -1));
+  if (vertices.length === 0) return null;
+  return {
+    latitude: vertices.reduce((sum, [, lat]) => sum + lat, 0) / vertices.length,
+    longitude: vertices.reduce((sum, [lng]) => sum + lng, 0) / vertices.length
+  };
+}
+
+/**
+ * Validate a GeoJSON Polygon/MultiPolygon
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validateGeometry(geometry) {
+  if (!geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type)) {
+    return ['geometry must be a GeoJSON Polygon or MultiPolygon'];
+  }
+  if (!Array.isArray(geometry.coordinates) || geometry.coordinates.length === 0) {
+    return ['geometry.coordinates must be a non-empty array'];
+  }
+
+  const errors = [];
+  getPolygons(geometry).forEach((rings, polygonIndex) => {
+    if (!Array.isArray(rings) || rings.length === 0) {
+      errors.push(`Polygon ${polygonIndex + 1} must have an outer ring`);
+      return;
+    }
+    rings.forEach((ring, ringIndex) => {
+      const label = `Polygon ${polygonIndex + 1} ring ${ringIndex + 1}`;
+      const positionsValid = Array.isArray(ring) && ring.every(position =>
+        Array.isArray(position) &&
+        Number.isFinite(position[0]) && position[0] >= -180 && position[0] <= 180 &&
+        Number.isFinite(position[1]) && position[1] >= -90 && position[1] <= 90
+      );
+      if (!positionsValid) {
+        errors.push(`${label} must contain [longitude, latitude] positions`);
+        return;
+      }
+      if (ring.length < 4) {
+        errors.push(`${label} must have at least 4 positions`);
+        return;
+      }
+      const first = ring[0];
+      const last = ring[ring.length - 1];
+      if (first[0] !== last[0] || first[1] !== last[1]) {
+        errors.push(`${label} must be closed (first and last positions equal)`);
+      }
+    });
+  });
+  return errors;
+}
+
+module.exports = {
+  isPointInPolygon,
+  distanceToBoundary,
+  getCenter,
+  validateGeometry
+};
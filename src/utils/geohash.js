@@ -0,0 +1,153 @@
+const BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+/**
+ * Encodes a coordinate into a geohash string.
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {number} [precision=9] Number of characters (9 ≈ 4.8m × 4.8m cell)
+ * @returns {string}
+ */
+function encode(latitude, longitude, precision = 9) {
+  let latMin = -90;
+  let latMax = 90;
+  let lngMin = -180;
+  let lngMax = 180;
+  let hash = '';
+  let bit = 0;
+  let charIndex = 0;
+  let isLngBit = true;
+
+  while (hash.length < precision) {
+    if (isLngBit) {
+      const mid = (lngMin + lngMax) / 2;
+      if (longitude >= mid) {
+        charIndex = (charIndex << 1) | 1;
+        lngMin = mid;
+      } else {
+        charIndex = charIndex << 1;
+        lngMax = mid;
+      }
+    } else {
+      const mid = (latMin + latMax) / 2;
+      if (latitude >= mid) {
+        charIndex = (charIndex << 1) | 1;
+        latMin = mid;
+      } else {
+        charIndex = charIndex << 1;
+        latMax = mid;
+      }
+    }
+
+    isLngBit = !isLngBit;
+    bit++;
+
+    if (bit === 5) {
+      hash += BASE32[charIndex];
+      bit = 0;
+      charIndex = 0;
+    }
+  }
+
+  return hash;
+}
+
+/**
+ * Decodes a geohash into its bounding box.
+ * @param {string} hash
+ * @returns {{ minLat: number, maxLat: number, minLng: number, maxLng: number }}
+ */
+function decodeBounds(hash) {
+  let latMin = -90;
+  let latMax = 90;
+  let lngMin = -180;
+  let lngMax = 180;
+  let isLngBit = true;
+
+  for (const char of hash) {
+    const charIndex = BASE32.indexOf(char);
+    if (charIndex === -1) {
+      throw new Error(`Invalid geohash character: ${char}`);
+    }
+
+    for (let bit = 4; bit >= 0; bit--) {
+      const bitValue = (charIndex >> bit) & 1;
+      if (isLngBit) {
+        const mid = (lngMin + lngMax) / 2;
+        if (bitValue === 1) lngMin = mid; else lngMax = mid;
+      } else {
+        const mid = (latMin + latMax) / 2;
+        if (bitValue === 1) latMin = mid; else latMax = mid;
+      }
+      isLngBit = !isLngBit;
+    }
+  }
+
+  return { minLat: latMin, maxLat: latMax, minLng: lngMin, maxLng: lngMax };
+}
+
+/**
+ * Decodes a geohash into the centre point of its cell.
+ * @param {string} hash
+ * @returns {{ latitude: number, longitude: number }}
+ */
+function decode(hash) {
+  const { minLat, maxLat, minLng, maxLng } = decodeBounds(hash);
+  return {
+    latitude: (minLat + maxLat) / 2,
+    longitude: (minLng + maxLng) / 2
+  };
+}
+
+/**
+ * Approximate size of a geohash cell at a latitude.
+ * @param {number} precision
+ * @param {number} [latitude=0]
+ * @returns {{ widthKm: number, heightKm: number }}
+ */
+function cellSizeKm(precision, latitude = 0) {
+  const lngBits = Math.ceil((precision * 5) / 2);
+  const latBits = Math.floor((precision * 5) / 2);
+  const kmPerDegree = 111.32;
+  return {
+    widthKm: (360 / 2 ** lngBits) * kmPerDegree * Math.cos(latitude * Math.PI / 180),
+    heightKm: (180 / 2 ** latBits) * kmPerDegree
+  };
+}
+
+/**
+ * Cells forming the square ring `distance` cells away from a cell
+ * (distance 0 is the cell itself, 1 its 8 neighbours, 2 the next 16, ...).
+ * @param {string} hash
+ * @param {number} distance
+ * @returns {string[]}
+ */
+function ring(hash, distance) {
+  if (distance === 0) return [hash];
+
+  const { minLat, maxLat, minLng, maxLng } = decodeBounds(hash);
+  const height = maxLat - minLat;
+  const width = maxLng - minLng;
+  const centre = decode(hash);
+  const cells = new Set();
+
+  for (let dy = -distance; dy <= distance; dy++) {
+    for (let dx = -distance; dx <= distance; dx++) {
+      if (Math.max(Math.abs(dx), Math.abs(dy)) !== distance) continue;
+      const latitude = centre.latitude + dy * height;
+      if (latitude < -90 || latitude > 90) continue;
+      // Wrap across the antimeridian
+      const longitude = ((centre.longitude + dx * width + 540) % 360) - 180;
+      cells.add(encode(latitude, longitude, hash.length));
+    }
+  }
+
+  return Array.from(cells);
+}
+
+module.exports = {
+  encode,
+  decode,
+  decodeBounds,
+  cellSizeKm,
+  ring
+};
@@ -0,0 +1,113 @@
+const { createFakeFirestore } = require('./helpers/fakeFirestore');
+
+const mockDb = createFakeFirestore();
+jest.mock('../src/services/firebase', () => ({ getFirestore: () => mockDb }));
+jest.mock('../src/services/notificationService', () => ({}));
+jest.mock('../src/services/monitoringService', () => ({ logDriverAssignment: jest.fn() }));
+jest.mock('../src/services/socket', () => ({ sendToUser: jest.fn() }));
+jest.mock('../src/services/driverMatchingService', () => ({
+  buildDriverAssignmentUpdate: jest.fn().mockResolvedValue({}),
+  sendDriverAssignmentNotification: jest.fn(),
+  sendCustomerNotification: jest.fn()
+}));
+
+const dispatchStrategyService = require('../src/services/dispatchStrategyService');
+const socketService = require('../src/services/socket');
+
+const BOOKING_ID = 'booking-1';
+const DRIVER_IDS = ['driver-1', 'driver-2', 'driver-3'];
+const SETTINGS = { waveSize: 2, acceptanceWindowSeconds: 30, maxWaves: 2 };
+
+const booking = () => mockDb.getData(`bookings/${BOOKING_ID}`);
+const offers = () => mockDb.listCollection('driverAssignments').map(({ id, data }) => ({ id, ...data }));
+const offerFor = (driverId) => offers().find(offer => offer.driverId === driverId);
+const respond = (driverId, response, changes = {}) => {
+  const offer = { ...offerFor(driverId), ...changes };
+  return dispatchStrategyService.handleOfferResponse(mockDb.collection('driverAssignments').doc(offer.id), offer, response);
+};
+const startBroadcast = () => dispatchStrategyService.startBroadcast(
+  { id: BOOKING_ID, customerId: 'customer-1', pickup: {}, dropoff: {} },
+  DRIVER_IDS.map(driverId => ({ driverId })),
+  SETTINGS
+);
+
+describe('broadcast dispatch', () => {
+  beforeEach(() => {
+    mockDb.reset();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    mockDb.seed(`bookings/${BOOKING_ID}`, { status: 'pending', customerId: 'customer-1' });
+    DRIVER_IDS.forEach(driverId => mockDb.seed(`driverLocations/${driverId}`, { isOnline: true, isAvailable: true }));
+  });
+
+  afterEach(() => {
+    dispatchStrategyService.stopDispatch(BOOKING_ID);
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('offers the booking to a whole wave at once', async () => {
+    const wave = await startBroadcast();
+
+    expect(wave).toMatchObject({ success: true, wave: 1 });
+    expect(offers().map(offer => offer.driverId).sort()).toEqual(['driver-1', 'driver-2']);
+    expect(socketService.sendToUser).toHaveBeenCalledWith('driver-1', 'new_booking_available', expect.anything());
+    expect(socketService.sendToUser).toHaveBeenCalledWith('driver-2', 'new_booking_available', expect.anything());
+  });
+
+  it('assigns the first driver to accept and turns the other acceptances away', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await startBroadcast();
+
+    const [first, second] = await Promise.all([respond('driver-1', 'accepted'), respond('driver-2', 'accepted')]);
+
+    expect(first).toMatchObject({ success: true, data: { status: 'accepted' } });
+    expect(second).toEqual({ success: false, error: 'Booking already assigned to another driver' });
+    expect(booking()).toMatchObject({ status: 'driver_assigned', driverId: 'driver-1' });
+    expect(offerFor('driver-1').status).toBe('accepted');
+    expect(offerFor('driver-2').status).toBe('superseded');
+    expect(mockDb.getData(`bookingDispatches/${BOOKING_ID}`)).toMatchObject({ status: 'assigned', assignedDriverId: 'driver-1' });
+  });
+
+  it('tells the rest of the wave the booking was taken', async () => {
+    await startBroadcast();
+
+    await respond('driver-2', 'accepted');
+
+    expect(booking().driverId).toBe('driver-2');
+    expect(offerFor('driver-1').status).toBe('superseded');
+    expect(socketService.sendToUser).toHaveBeenCalledWith('driver-1', 'booking_rejected', expect.objectContaining({ bookingId: BOOKING_ID }));
+  });
+
+  it('offers the next wave as soon as the whole wave declines', async () => {
+    await startBroadcast();
+
+    await respond('driver-1', 'rejected');
+    await respond('driver-2', 'rejected');
+
+    expect(offerFor('driver-3')).toMatchObject({ status: 'pending', waveNumber: 2 });
+    expect(booking().status).toBe('pending');
+  });
+
+  it('expires unanswered offers when the acceptance window runs out', async () => {
+    jest.useFakeTimers({ doNotFake: ['setImmediate'] });
+    await startBroadcast();
+
+    jest.advanceTimersByTime(SETTINGS.acceptanceWindowSeconds * 1000);
+    await new Promise(setImmediate);
+
+    expect(offerFor('driver-1').status).toBe('expired');
+    expect(offerFor('driver-3')).toMatchObject({ status: 'pending', waveNumber: 2 });
+  });
+
+  it('refuses acceptances that arrive after the acceptance window', async () => {
+    await startBroadcast();
+
+    const result = await respond('driver-1', 'accepted', { expiresAt: new Date(Date.now() - 1000) });
+
+    expect(result).toEqual({ success: false, error: 'Offer expired' });
+    expect(offerFor('driver-1').status).toBe('expired');
+    expect(booking()).toMatchObject({ status: 'pending' });
+    expect(booking().driverId).toBeUndefined();
+  });
+});
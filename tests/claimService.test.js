@@ -0,0 +1,157 @@
+const { createFakeFirestore } = require('./helpers/fakeFirestore');
+
+const mockDb = createFakeFirestore();
+jest.mock('../src/services/firebase', () => ({ getFirestore: () => mockDb, getStorage: jest.fn() }));
+jest.mock('firebase-admin/firestore', () => ({
+  ...jest.requireActual('firebase-admin/firestore'),
+  getFirestore: () => mockDb
+}));
+jest.mock('../src/services/notificationService', () => ({ sendToUser: jest.fn().mockResolvedValue({ success: true }) }));
+jest.mock('../src/services/cachingService', () => ({ delete: jest.fn(), invalidatePattern: jest.fn() }));
+jest.mock('../src/services/socket', () => ({ emitWalletUpdate: jest.fn(), emitTransactionEvent: jest.fn() }));
+jest.mock('../src/services/packagePhotoComparisonService', () => ({ getCheck: jest.fn().mockResolvedValue(null) }));
+jest.mock('../src/services/invoiceService', () => ({ issueCreditNote: jest.fn().mockResolvedValue({ success: true, data: null }) }));
+
+const claimService = require('../src/services/claimService');
+const walletService = require('../src/services/walletService');
+const { REFUND_DESTINATIONS } = require('../src/constants/customerWallet');
+
+const CUSTOMER_ID = 'customer-1';
+const DRIVER_ID = 'driver-1';
+const BOOKING_ID = 'booking-1';
+
+const claimInput = { bookingId: BOOKING_ID, type: 'damage', description: 'Screen cracked in transit', claimedAmount: 400 };
+const fileClaim = () => claimService.fileClaim(CUSTOMER_ID, claimInput);
+const pointsBalance = () => mockDb.getData(`driverPointsWallets/${DRIVER_ID}`).pointsBalance;
+const walletBalance = () => mockDb.getData(`customerWallets/${CUSTOMER_ID}`)?.balance || 0;
+
+async function approve(claimId, decision) {
+  await claimService.updateQueueStatus(claimId, 'under_review', 'admin-1');
+  return claimService.decide(claimId, 'admin-1', { decision: 'approve', notes: 'Damage confirmed by photos', ...decision });
+}
+
+describe('claimService', () => {
+  beforeEach(() => {
+    mockDb.reset();
+    jest.restoreAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+    mockDb.seed(`bookings/${BOOKING_ID}`, {
+      customerId: CUSTOMER_ID,
+      driverId: DRIVER_ID,
+      status: 'completed',
+      completedAt: new Date(),
+      package: { value: 1500 }
+    });
+    mockDb.seed(`driverPointsWallets/${DRIVER_ID}`, { driverId: DRIVER_ID, pointsBalance: 1000, totalPointsSpent: 0 });
+  });
+
+  describe('filing', () => {
+    it('files one claim per booking', async () => {
+      const first = await fileClaim();
+      const second = await fileClaim();
+
+      expect(first.success).toBe(true);
+      expect(second).toMatchObject({ success: false, error: { code: 'CLAIM_EXISTS' } });
+      expect(mockDb.getData(`bookingClaims/${BOOKING_ID}`).claimId).toBe(first.data.id);
+      expect(mockDb.listCollection('claims')).toHaveLength(1);
+    });
+
+    it('files one claim when the customer submits twice at once', async () => {
+      const results = await Promise.all([fileClaim(), fileClaim()]);
+
+      expect(results.filter(result => result.success)).toHaveLength(1);
+      expect(mockDb.listCollection('claims')).toHaveLength(1);
+    });
+
+    it('allows a new claim once the previous one was withdrawn', async () => {
+      const first = await fileClaim();
+      await claimService.withdraw(first.data.id, CUSTOMER_ID, 'Filed by mistake');
+
+      const second = await fileClaim();
+
+      expect(second.success).toBe(true);
+      expect(mockDb.getData(`bookingClaims/${BOOKING_ID}`).claimId).toBe(second.data.id);
+    });
+
+    it('limits the claim to the declared package value', async () => {
+      const result = await claimService.fileClaim(CUSTOMER_ID, { ...claimInput, claimedAmount: 2000 });
+
+      expect(result).toMatchObject({ success: false, error: { code: 'CLAIM_AMOUNT_TOO_HIGH', details: { maxClaimAmount: 1500 } } });
+    });
+  });
+
+  describe('settlement', () => {
+    let claimId;
+
+    beforeEach(async () => {
+      claimId = (await fileClaim()).data.id;
+    });
+
+    it('credits the customer and deducts the driver liability', async () => {
+      const result = await approve(claimId, { refundAmount: 300, driverLiabilityPoints: 200 });
+
+      expect(result).toMatchObject({ success: true, data: { status: 'settled' } });
+      expect(walletBalance()).toBe(300);
+      expect(pointsBalance()).toBe(800);
+      expect(result.data.settlement.liability).toMatchObject({ pointsDeducted: 200, outstandingPoints: 0 });
+    });
+
+    it('retries only the part that failed', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const pointsWallet = mockDb.getData(`driverPointsWallets/${DRIVER_ID}`);
+      await mockDb.doc(`driverPointsWallets/${DRIVER_ID}`).delete();
+
+      const first = await approve(claimId, { refundAmount: 300, driverLiabilityPoints: 200 });
+
+      expect(first).toMatchObject({ success: false, error: { code: 'SETTLEMENT_INCOMPLETE' } });
+      expect(walletBalance()).toBe(300);
+
+      mockDb.seed(`driverPointsWallets/${DRIVER_ID}`, pointsWallet);
+      const retry = await claimService.settle(claimId, 'admin-1');
+
+      expect(retry).toMatchObject({ success: true, data: { status: 'settled' } });
+      expect(walletBalance()).toBe(300);
+      expect(pointsBalance()).toBe(800);
+    });
+
+    it('refunds to the payment source once per claim', async () => {
+      mockDb.seed('payments/payment-1', { bookingId: BOOKING_ID, customerId: CUSTOMER_ID, amount: 500, status: 'completed' });
+      const claim = (await claimService.getClaimForUser(claimId)).data.claim;
+
+      const first = await claimService.refundCustomer(claim, 300, REFUND_DESTINATIONS.SOURCE, 'admin-1');
+      const retry = await claimService.refundCustomer(claim, 300, REFUND_DESTINATIONS.SOURCE, 'admin-1');
+
+      expect(first.data).toMatchObject({ refundId: `CLAIM_${claimId}`, alreadyProcessed: false });
+      expect(retry.data).toMatchObject({ refundId: `CLAIM_${claimId}`, alreadyProcessed: true });
+      expect(mockDb.getData('payments/payment-1').refundedAmount).toBe(300);
+    });
+  });
+
+  describe('driver liability', () => {
+    it('deducts a claim\'s liability once', async () => {
+      const results = await Promise.all([
+        walletService.deductLiability(DRIVER_ID, 'claim-1', 300),
+        walletService.deductLiability(DRIVER_ID, 'claim-1', 300)
+      ]);
+
+      expect(results.map(result => result.data.alreadyProcessed).sort()).toEqual([false, true]);
+      expect(pointsBalance()).toBe(700);
+    });
+
+    it('applies concurrent liabilities of different claims', async () => {
+      await Promise.all([
+        walletService.deductLiability(DRIVER_ID, 'claim-1', 300),
+        walletService.deductLiability(DRIVER_ID, 'claim-2', 400)
+      ]);
+
+      expect(pointsBalance()).toBe(300);
+    });
+
+    it('records what the balance could not cover as outstanding', async () => {
+      const result = await walletService.deductLiability(DRIVER_ID, 'claim-1', 1200);
+
+      expect(result.data).toMatchObject({ pointsDeducted: 1000, outstandingPoints: 200, newBalance: 0 });
+    });
+  });
+});
@@ -0,0 +1,138 @@
+const express = require('express');
+const request = require('supertest');
+const { createFakeFirestore } = require('./helpers/fakeFirestore');
+
+const mockDb = createFakeFirestore();
+jest.mock('../src/services/firebase', () => ({ getFirestore: () => mockDb }));
+jest.mock('firebase-admin/firestore', () => ({
+  ...jest.requireActual('firebase-admin/firestore'),
+  getFirestore: () => mockDb
+}));
+jest.mock('../src/middleware/auth', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { uid: req.headers['x-test-user'], userType: 'customer' };
+    next();
+  }
+}));
+jest.mock('../src/services/notificationService', () => ({}));
+jest.mock('../src/services/chatService', () => ({ closeChat: jest.fn() }));
+jest.mock('../src/services/maskedContactService', () => ({ expireSession: jest.fn() }));
+
+const customerRoutes = require('../src/routes/customer');
+const bookingStateMachine = require('../src/services/bookingStateMachine');
+
+const CUSTOMER_ID = 'customer-1';
+const BOOKING_ID = 'booking-1';
+
+const app = express();
+app.use(express.json());
+app.use('/api/customer', customerRoutes);
+
+const confirm = (body) => request(app)
+  .post(`/api/customer/bookings/${BOOKING_ID}/confirm-payment`)
+  .set('x-test-user', CUSTOMER_ID)
+  .send({ paymentMethod: 'wallet', ...body });
+
+const booking = () => mockDb.getData(`bookings/${BOOKING_ID}`);
+const walletBalance = () => mockDb.getData(`customerWallets/${CUSTOMER_ID}`).balance;
+const driverPayable = () => mockDb.getData(`driverSettlementEntries/${BOOKING_ID}`);
+
+describe('POST /api/customer/bookings/:id/confirm-payment (wallet)', () => {
+  beforeEach(() => {
+    mockDb.reset();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    mockDb.seed(`bookings/${BOOKING_ID}`, {
+      customerId: CUSTOMER_ID,
+      driverId: 'driver-1',
+      status: 'money_collection',
+      pricing: { totalAmount: 180 },
+      fare: { total: 150 }
+    });
+    mockDb.seed(`customerWallets/${CUSTOMER_ID}`, { customerId: CUSTOMER_ID, balance: 500, totalCredits: 500, totalDebits: 0 });
+    mockDb.seed('users/driver-1', { driver: { currentBookingId: BOOKING_ID } });
+    mockDb.seed('driverLocations/driver-1', { isAvailable: false, currentTripId: BOOKING_ID });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('debits the fare, owes it to the driver and completes the booking', async () => {
+    const response = await confirm({ amount: 180 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.amount).toBe(180);
+    expect(walletBalance()).toBe(320);
+    expect(mockDb.getData(`payments/WALLET_${BOOKING_ID}`)).toMatchObject({ amount: 180, paymentMethod: 'wallet', status: 'completed' });
+    expect(driverPayable()).toMatchObject({ driverId: 'driver-1', grossFare: 180, netPayable: 180, paymentMethod: 'wallet' });
+    expect(booking()).toMatchObject({ status: 'completed', payment: { amount: 180, paymentId: `WALLET_${BOOKING_ID}` } });
+    expect(mockDb.getData('users/driver-1').driver.currentBookingId).toBeNull();
+  });
+
+  it('rejects an amount that does not match the fare', async () => {
+    const response = await confirm({ amount: 1 });
+
+    expect(response.status).toBe(400);
+    expect(response.body).toMatchObject({ code: 'AMOUNT_MISMATCH', details: { amount: 1, fare: 180 } });
+    expect(walletBalance()).toBe(500);
+    expect(booking().status).toBe('money_collection');
+  });
+
+  it('falls back to the fare total when the booking has no pricing', async () => {
+    mockDb.seed(`bookings/${BOOKING_ID}`, { customerId: CUSTOMER_ID, driverId: 'driver-1', status: 'money_collection', fare: { total: 150 } });
+
+    const response = await confirm({ amount: 150 });
+
+    expect(response.status).toBe(200);
+    expect(walletBalance()).toBe(350);
+  });
+
+  it('refuses wallet payment when the booking has no fare', async () => {
+    mockDb.seed(`bookings/${BOOKING_ID}`, { customerId: CUSTOMER_ID, driverId: 'driver-1', status: 'money_collection' });
+
+    const response = await confirm({ amount: 150 });
+
+    expect(response.status).toBe(409);
+    expect(response.body.code).toBe('FARE_UNAVAILABLE');
+    expect(walletBalance()).toBe(500);
+  });
+
+  it('reports an insufficient balance without completing the booking', async () => {
+    mockDb.seed(`customerWallets/${CUSTOMER_ID}`, { customerId: CUSTOMER_ID, balance: 100 });
+
+    const response = await confirm({ amount: 180 });
+
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe('INSUFFICIENT_WALLET_BALANCE');
+    expect(walletBalance()).toBe(100);
+    expect(booking().status).toBe('money_collection');
+    expect(driverPayable()).toBeUndefined();
+  });
+
+  it('charges nothing when the driver completed the booking for cash first', async () => {
+    const transitionBooking = bookingStateMachine.transitionBooking.bind(bookingStateMachine);
+    jest.spyOn(bookingStateMachine, 'transitionBooking').mockImplementationOnce(async (...args) => {
+      mockDb.seed(`bookings/${BOOKING_ID}`, { ...booking(), status: 'completed', payment: { paymentMethod: 'cash' } });
+      return transitionBooking(...args);
+    });
+
+    const response = await confirm({ amount: 180 });
+
+    expect(response.status).toBe(409);
+    expect(response.body.code).toBe('PAYMENT_ALREADY_COLLECTED');
+    expect(walletBalance()).toBe(500);
+    expect(mockDb.getData(`payments/WALLET_${BOOKING_ID}`)).toBeUndefined();
+    expect(driverPayable()).toBeUndefined();
+    expect(booking().payment.paymentMethod).toBe('cash');
+  });
+
+  it('only lets the booking owner pay', async () => {
+    const response = await request(app)
+      .post(`/api/customer/bookings/${BOOKING_ID}/confirm-payment`)
+      .set('x-test-user', 'customer-2')
+      .send({ paymentMethod: 'wallet', amount: 180 });
+
+    expect(response.status).toBe(403);
+    expect(walletBalance()).toBe(500);
+  });
+});
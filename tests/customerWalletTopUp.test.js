@@ -0,0 +1,87 @@
+const { createFakeFirestore } = require('./helpers/fakeFirestore');
+
+const mockDb = createFakeFirestore();
+jest.mock('../src/services/firebase', () => ({ getFirestore: () => mockDb }));
+
+const customerWalletService = require('../src/services/customerWalletService');
+const paymentService = require('../src/services/paymentService');
+const phonepeConfig = require('../src/services/phonepeConfigService');
+
+const CUSTOMER_ID = 'customer-1';
+
+const walletBalance = () => mockDb.getData(`customerWallets/${CUSTOMER_ID}`)?.balance || 0;
+const topUp = (topUpId) => mockDb.getData(`customerWalletTopUps/${topUpId}`);
+const callback = (merchantTransactionId) => paymentService.handlePhonePeCallback({
+  response: Buffer.from(JSON.stringify({ success: true, code: 'PAYMENT_SUCCESS', data: { merchantTransactionId } })).toString('base64')
+});
+const phonePeStatus = (data) => jest.spyOn(paymentService, 'getPhonePeStatus').mockResolvedValue({ success: true, data });
+
+describe('customer wallet PhonePe top-ups', () => {
+  let topUpId;
+
+  beforeEach(async () => {
+    mockDb.reset();
+    jest.restoreAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(phonepeConfig, 'isPayPageFlowAvailable').mockReturnValue(true);
+    jest.spyOn(paymentService, 'processUPIPayment').mockImplementation(async ({ transactionId }) => ({
+      success: true,
+      data: { transactionId, paymentUrl: `https://phonepe.test/pay/${transactionId}` }
+    }));
+
+    const created = await customerWalletService.createTopUp(CUSTOMER_ID, 200, { phone: '9876543210' }, 'phonepe');
+    topUpId = created.data.topUpId;
+  });
+
+  it('starts a Pay Page payment under the top-up ID', () => {
+    expect(paymentService.processUPIPayment).toHaveBeenCalledWith(expect.objectContaining({ transactionId: topUpId, amount: 200 }));
+    expect(topUp(topUpId)).toMatchObject({
+      paymentGateway: 'phonepe',
+      status: 'pending',
+      phonepePaymentUrl: `https://phonepe.test/pay/${topUpId}`
+    });
+  });
+
+  it('credits the wallet once the status API reports the payment', async () => {
+    phonePeStatus({ state: 'COMPLETED', amount: 20000, transactionId: 'T-1' });
+
+    expect(await callback(topUpId)).toMatchObject({ success: true });
+    expect(await callback(topUpId)).toMatchObject({ success: true });
+
+    expect(walletBalance()).toBe(200);
+    expect(topUp(topUpId)).toMatchObject({ status: 'completed', phonepeTransactionId: 'T-1', newBalance: 200 });
+  });
+
+  it('does not credit a callback the status API does not confirm', async () => {
+    phonePeStatus({ state: 'PENDING', amount: 20000 });
+
+    await callback(topUpId);
+
+    expect(walletBalance()).toBe(0);
+    expect(topUp(topUpId).status).toBe('pending');
+  });
+
+  it('does not credit a payment for a different amount', async () => {
+    phonePeStatus({ state: 'COMPLETED', amount: 100 });
+
+    const result = await callback(topUpId);
+
+    expect(result).toMatchObject({ success: false, error: { code: 'TOP_UP_AMOUNT_MISMATCH' } });
+    expect(walletBalance()).toBe(0);
+  });
+
+  it('marks the top-up failed when the payment failed', async () => {
+    phonePeStatus({ state: 'FAILED', amount: 20000, responseCode: 'PAYMENT_DECLINED' });
+
+    const result = await customerWalletService.verifyTopUp(CUSTOMER_ID, topUpId);
+
+    expect(result.data.status).toBe('failed');
+    expect(topUp(topUpId)).toMatchObject({ status: 'failed', failureReason: 'PAYMENT_DECLINED' });
+  });
+
+  it('rejects callbacks that are not for a customer top-up', async () => {
+    const result = await callback('WALLET_123');
+
+    expect(result).toMatchObject({ success: false, error: { code: 'UNSUPPORTED_CALLBACK' } });
+  });
+});
@@ -0,0 +1,212 @@
+const { createFakeFirestore } = require('./helpers/fakeFirestore');
+
+const mockDb = createFakeFirestore();
+jest.mock('../src/services/firebase', () => ({ getFirestore: () => mockDb }));
+jest.mock('../src/services/notificationService', () => ({ notifyCustomerDeliveryOtp: jest.fn() }));
+
+const config = require('../src/config/environment');
+const deliveryOtpService = require('../src/services/deliveryOtpService');
+
+const BOOKING_ID = 'booking-1';
+const DRIVER_ID = 'driver-1';
+const OTP_PATH = `deliveryOtps/${BOOKING_ID}_0`;
+
+function seedOtp(overrides = {}) {
+  mockDb.seed(OTP_PATH, {
+    bookingId: BOOKING_ID,
+    customerId: 'customer-1',
+    stopIndex: 0,
+    code: '4821',
+    status: 'active',
+    attempts: 0,
+    maxAttempts: 3,
+    createdAt: new Date(),
+    ...overrides
+  });
+}
+
+function seedPhoto(id, overrides = {}) {
+  mockDb.seed(`photoVerifications/${id}`, {
+    bookingId: BOOKING_ID,
+    driverId: DRIVER_ID,
+    photoType: 'delivery',
+    storagePath: `photos/${id}.jpg`,
+    photoUrl: `https://storage.example/${id}.jpg`,
+    ...overrides
+  });
+}
+
+function useSettings(overrides) {
+  jest.spyOn(config, 'getDeliveryOtpConfig').mockReturnValue({
+    enabled: true,
+    length: 4,
+    maxAttempts: 3,
+    allowFallback: false,
+    recipientSmsEnabled: false,
+    smsWebhookUrl: null,
+    ...overrides
+  });
+}
+
+const verify = (params) => deliveryOtpService.verifyProof({ bookingId: BOOKING_ID, stopIndex: 0, driverId: DRIVER_ID, ...params });
+
+describe('deliveryOtpService', () => {
+  beforeEach(() => {
+    mockDb.reset();
+    useSettings({});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('verifies the recipient OTP', async () => {
+    seedOtp();
+
+    const result = await verify({ otp: '4821' });
+
+    expect(result).toEqual({ isValid: true, method: 'otp' });
+    expect(mockDb.getData(OTP_PATH)).toMatchObject({ status: 'verified', verificationMethod: 'otp', verifiedBy: DRIVER_ID });
+    expect(mockDb.listCollection('deliveryProofAttempts')).toHaveLength(1);
+  });
+
+  it('locks the OTP after the last wrong attempt and then refuses the right code', async () => {
+    seedOtp();
+
+    expect(await verify({ otp: '0000' })).toMatchObject({ code: 'INVALID_OTP', attemptsRemaining: 2 });
+    expect(await verify({ otp: '0000' })).toMatchObject({ code: 'INVALID_OTP', attemptsRemaining: 1 });
+    expect(await verify({ otp: '0000' })).toMatchObject({ code: 'OTP_LOCKED', attemptsRemaining: 0 });
+    expect(await verify({ otp: '4821' })).toMatchObject({ isValid: false, code: 'OTP_LOCKED' });
+    expect(mockDb.getData(OTP_PATH).status).toBe('locked');
+  });
+
+  describe('photo fallback', () => {
+    it('is ignored unless enabled', async () => {
+      seedOtp({ status: 'locked', attempts: 3 });
+      seedPhoto('photo-1');
+
+      const result = await verify({ proofPhotoId: 'photo-1', fallbackReason: 'Recipient unreachable' });
+
+      expect(result).toMatchObject({ isValid: false, code: 'OTP_REQUIRED' });
+      expect(mockDb.getData(OTP_PATH).status).toBe('locked');
+    });
+
+    describe('when enabled', () => {
+      beforeEach(() => {
+        useSettings({ allowFallback: true });
+      });
+
+      it('is not available while the OTP can still be entered', async () => {
+        seedOtp();
+        seedPhoto('photo-1');
+
+        const result = await verify({ proofPhotoId: 'photo-1', fallbackReason: 'Recipient unreachable' });
+
+        expect(result).toMatchObject({ isValid: false, code: 'FALLBACK_NOT_AVAILABLE' });
+        expect(mockDb.getData(OTP_PATH).status).toBe('active');
+      });
+
+      it('requires a reason', async () => {
+        seedOtp({ status: 'locked', attempts: 3 });
+        seedPhoto('photo-1');
+
+        expect(await verify({ proofPhotoId: 'photo-1', fallbackReason: ' ' })).toMatchObject({ code: 'FALLBACK_REASON_REQUIRED' });
+      });
+
+      it('requires a delivery photo uploaded by the driver for the booking', async () => {
+        seedOtp({ status: 'locked', attempts: 3 });
+        seedPhoto('other-driver', { driverId: 'driver-2' });
+        seedPhoto('other-booking', { bookingId: 'booking-2' });
+        seedPhoto('pickup', { photoType: 'pickup' });
+        seedPhoto('not-stored', { storagePath: null });
+        const reason = 'Recipient unreachable';
+
+        for (const proofPhotoId of ['missing', 'other-driver', 'other-booking', 'pickup', 'not-stored']) {
+          expect(await verify({ proofPhotoId, fallbackReason: reason })).toMatchObject({ isValid: false, code: 'PROOF_PHOTO_REQUIRED' });
+        }
+        expect(await verify({ signatureUrl: 'https://storage.example/signature.png', fallbackReason: reason }))
+          .toMatchObject({ isValid: false, code: 'PROOF_PHOTO_REQUIRED' });
+        expect(mockDb.getData(OTP_PATH).status).toBe('locked');
+      });
+
+      it('accepts the uploaded photo once the OTP is locked', async () => {
+        seedOtp({ status: 'locked', attempts: 3 });
+        seedPhoto('photo-1');
+
+        const result = await verify({ proofPhotoId: 'photo-1', fallbackReason: 'Recipient unreachable' });
+
+        expect(result).toEqual({ isValid: true, method: 'photo' });
+        expect(mockDb.getData(OTP_PATH)).toMatchObject({
+          status: 'verified',
+          verificationMethod: 'photo',
+          fallback: { photoId: 'photo-1', storagePath: 'photos/photo-1.jpg', signatureUrl: null, reason: 'Recipient unreachable' }
+        });
+      });
+
+      it('accepts the uploaded photo when the OTP could not be sent', async () => {
+        seedOtp({ shareFailedAt: new Date() });
+        seedPhoto('photo-1');
+
+        const result = await verify({
+          proofPhotoId: 'photo-1',
+          signatureUrl: 'https://storage.example/signature.png',
+          fallbackReason: 'Customer app offline'
+        });
+
+        expect(result).toEqual({ isValid: true, method: 'signature' });
+      });
+    });
+  });
+
+  describe('when the booking has no OTP', () => {
+    it('needs no proof for bookings created before delivery proof was required', async () => {
+      mockDb.seed(`bookings/${BOOKING_ID}`, { driverId: DRIVER_ID });
+
+      expect(await verify({})).toEqual({ isValid: true, method: 'not_required' });
+    });
+
+    it('refuses delivery when the required OTP was never issued', async () => {
+      mockDb.seed(`bookings/${BOOKING_ID}`, { driverId: DRIVER_ID, deliveryProof: { required: true } });
+
+      expect(await verify({ otp: '4821' })).toMatchObject({ isValid: false, code: 'OTP_MISSING' });
+      expect(mockDb.getData(OTP_PATH)).toBeUndefined();
+    });
+
+    it('accepts the fallback photo when enabled', async () => {
+      useSettings({ allowFallback: true });
+      mockDb.seed(`bookings/${BOOKING_ID}`, { driverId: DRIVER_ID, deliveryProof: { required: true } });
+      seedPhoto('photo-1');
+
+      expect(await verify({ proofPhotoId: 'photo-1', fallbackReason: 'Recipient unreachable' })).toEqual({ isValid: true, method: 'photo' });
+      expect(mockDb.getData(OTP_PATH)).toMatchObject({ bookingId: BOOKING_ID, status: 'verified', verificationMethod: 'photo' });
+    });
+
+    it('lets an admin override the missing OTP', async () => {
+      mockDb.seed(`bookings/${BOOKING_ID}`, { driverId: DRIVER_ID, deliveryProof: { required: true } });
+
+      const result = await deliveryOtpService.adminOverride({ bookingId: BOOKING_ID, stopIndex: 0, adminId: 'admin-1', reason: 'Confirmed with recipient by phone' });
+
+      expect(result.success).toBe(true);
+      expect(await verify({})).toMatchObject({ isValid: true, method: 'admin_override', alreadyVerified: true });
+    });
+  });
+
+  it('leaves OTPs the customer received unmarked', async () => {
+    seedOtp();
+
+    await deliveryOtpService.shareWithCustomer({ id: BOOKING_ID }, [{ stopIndex: 0, recipientPhone: null }]);
+
+    expect(mockDb.getData(OTP_PATH).shareFailedAt).toBeUndefined();
+  });
+
+  it('marks OTPs nobody received so the fallback becomes available', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    seedOtp();
+    require('../src/services/notificationService').notifyCustomerDeliveryOtp.mockRejectedValueOnce(new Error('no FCM token'));
+
+    await deliveryOtpService.shareWithCustomer({ id: BOOKING_ID }, [{ stopIndex: 0, recipientPhone: null }]);
+
+    expect(mockDb.getData(OTP_PATH).shareFailedAt).toBeInstanceOf(Date);
+  });
+});
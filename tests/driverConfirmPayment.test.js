@@ -0,0 +1,104 @@
+const express = require('express');
+const request = require('supertest');
+const { createFakeFirestore } = require('./helpers/fakeFirestore');
+
+const mockDb = createFakeFirestore();
+jest.mock('../src/services/firebase', () => ({ getFirestore: () => mockDb, getStorage: jest.fn() }));
+jest.mock('firebase-admin/firestore', () => ({
+  ...jest.requireActual('firebase-admin/firestore'),
+  getFirestore: () => mockDb
+}));
+jest.mock('../src/middleware/auth', () => ({
+  requireDriver: (req, res, next) => {
+    req.user = { uid: 'driver-1', userType: 'driver' };
+    next();
+  }
+}));
+jest.mock('../src/services/notificationService', () => ({}));
+jest.mock('../src/services/cachingService', () => ({
+  get: jest.fn().mockResolvedValue(null),
+  set: jest.fn(),
+  delete: jest.fn(),
+  invalidatePattern: jest.fn()
+}));
+jest.mock('../src/services/chatService', () => ({ closeChat: jest.fn() }));
+jest.mock('../src/services/maskedContactService', () => ({ expireSession: jest.fn() }));
+
+const driverRoutes = require('../src/routes/driver');
+const bookingStateMachine = require('../src/services/bookingStateMachine');
+
+const BOOKING_ID = 'booking-1';
+
+const app = express();
+app.use(express.json());
+app.use('/api/driver', driverRoutes);
+
+const confirmCash = () => request(app)
+  .post(`/api/driver/bookings/${BOOKING_ID}/confirm-payment`)
+  .send({ amount: 180, paymentMethod: 'cash', transactionId: 'cash-1' });
+
+const booking = () => mockDb.getData(`bookings/${BOOKING_ID}`);
+const seedWalletPayment = () => mockDb.seed(`payments/WALLET_${BOOKING_ID}`, {
+  bookingId: BOOKING_ID,
+  customerId: 'customer-1',
+  amount: 180,
+  paymentMethod: 'wallet',
+  status: 'completed'
+});
+
+describe('POST /api/driver/bookings/:id/confirm-payment', () => {
+  beforeEach(() => {
+    mockDb.reset();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {}); // no socket server in tests
+    mockDb.seed(`bookings/${BOOKING_ID}`, {
+      customerId: 'customer-1',
+      driverId: 'driver-1',
+      status: 'money_collection',
+      pricing: { totalAmount: 180 }
+    });
+    mockDb.seed('users/driver-1', { driver: { currentBookingId: BOOKING_ID } });
+    mockDb.seed('driverLocations/driver-1', { isAvailable: false, currentTripId: BOOKING_ID });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('completes the booking with the cash collected', async () => {
+    const response = await confirmCash();
+
+    expect(response.status).toBe(200);
+    expect(booking()).toMatchObject({ status: 'completed', payment: { paymentMethod: 'cash', amount: 180 } });
+  });
+
+  it('refuses cash for a booking the customer paid from the wallet', async () => {
+    seedWalletPayment();
+    mockDb.seed(`bookings/${BOOKING_ID}`, {
+      ...booking(),
+      status: 'completed',
+      paymentConfirmed: true,
+      payment: { paymentMethod: 'wallet', amount: 180 }
+    });
+
+    const response = await confirmCash();
+
+    expect(response.status).toBe(409);
+    expect(response.body.error.code).toBe('WALLET_PAYMENT_COMPLETED');
+    expect(booking().payment.paymentMethod).toBe('wallet');
+  });
+
+  it('does not overwrite a wallet payment made while the cash confirmation ran', async () => {
+    jest.spyOn(bookingStateMachine, 'transitionBooking').mockImplementationOnce(async () => {
+      seedWalletPayment();
+      mockDb.seed(`bookings/${BOOKING_ID}`, { ...booking(), status: 'completed', payment: { paymentMethod: 'wallet', amount: 180 } });
+      throw new Error('Invalid transition from completed to completed');
+    });
+
+    const response = await confirmCash();
+
+    expect(response.status).toBe(409);
+    expect(response.body.error.code).toBe('WALLET_PAYMENT_COMPLETED');
+    expect(booking().payment.paymentMethod).toBe('wallet');
+  });
+});
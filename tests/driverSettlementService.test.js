@@ -0,0 +1,178 @@
+const { createFakeFirestore } = require('./helpers/fakeFirestore');
+
+const mockDb = createFakeFirestore();
+jest.mock('../src/services/firebase', () => ({ getFirestore: () => mockDb }));
+
+const driverSettlementService = require('../src/services/driverSettlementService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Far enough ahead that today's accruals fall in the last closed weekly cycle
+const CYCLE_AT = () => new Date(Date.now() + 8 * DAY_MS);
+
+const account = (driverId) => mockDb.getData(`driverSettlementAccounts/${driverId}`);
+const entry = (bookingId) => mockDb.getData(`driverSettlementEntries/${bookingId}`);
+
+async function accrue(bookingId, driverId, grossFare, commissionAmount = 0) {
+  const result = await driverSettlementService.accrueBookingPayable(bookingId, { driverId, customerId: 'customer-1', paymentMethod: 'upi' }, { grossFare, commissionAmount });
+  expect(result.success).toBe(true);
+  return result;
+}
+
+async function savePayoutAccount(driverId, accountNumber) {
+  mockDb.seed(`users/${driverId}`, { name: `Driver ${driverId}` });
+  await driverSettlementService.savePayoutAccount(driverId, { accountHolderName: `Driver ${driverId}`, accountNumber, ifsc: 'HDFC0001234' });
+}
+
+const createBatch = () => driverSettlementService.createBatchForClosedCycle({ at: CYCLE_AT(), createdBy: 'admin-1' });
+
+describe('driverSettlementService', () => {
+  beforeEach(async () => {
+    mockDb.reset();
+    jest.restoreAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    await savePayoutAccount('driver-a', '123456789012');
+    await savePayoutAccount('driver-b', '998877665544');
+    await accrue('booking-1', 'driver-a', 200, 20);
+    await accrue('booking-2', 'driver-a', 150, 30);
+    await accrue('booking-3', 'driver-b', 250, 50);
+    await accrue('booking-4', 'driver-c', 60); // below the minimum payout
+    await accrue('booking-5', 'driver-d', 500); // no payout account
+  });
+
+  it('accrues a booking once', async () => {
+    const retry = await accrue('booking-1', 'driver-a', 200, 20);
+
+    expect(retry.data).toMatchObject({ alreadyAccrued: true, netPayable: 180 });
+    expect(account('driver-a')).toMatchObject({ pendingAmount: 300, totalAccrued: 300, totalCommissionNetted: 50 });
+  });
+
+  it('keeps full account numbers off the user document', () => {
+    expect(mockDb.getData('users/driver-a').driver.payoutAccount).toEqual(expect.objectContaining({ accountNumberLast4: '9012' }));
+    expect(mockDb.getData('users/driver-a').driver.payoutAccount.accountNumber).toBeUndefined();
+    expect(mockDb.getData('driverPayoutAccounts/driver-a').accountNumber).toBe('123456789012');
+  });
+
+  describe('building a batch', () => {
+    it('batches payable drivers and holds the rest', async () => {
+      const result = await createBatch();
+
+      expect(result.success).toBe(true);
+      expect(result.data).toMatchObject({ status: 'created', driverCount: 2, totalAmount: 500 });
+      expect(result.data.payouts.map(payout => [payout.driverId, payout.amount])).toEqual([['driver-a', 300], ['driver-b', 200]]);
+      expect(result.data.heldDrivers).toEqual([
+        { driverId: 'driver-c', amount: 60, reason: 'below_minimum' },
+        { driverId: 'driver-d', amount: 500, reason: 'missing_payout_account' }
+      ]);
+      expect(entry('booking-1')).toMatchObject({ status: 'batched', payoutBatchId: result.data.id });
+      expect(entry('booking-4')).toMatchObject({ status: 'pending', payoutBatchId: null });
+      expect(account('driver-a')).toMatchObject({ pendingAmount: 0, batchedAmount: 300 });
+    });
+
+    it('stores only the last four account digits on the batch', async () => {
+      const { data } = await createBatch();
+      const stored = mockDb.getData(`driverPayoutBatches/${data.id}`);
+
+      expect(stored.payouts[0].payoutAccount).toEqual({ accountHolderName: 'Driver driver-a', accountNumberLast4: '9012', ifsc: 'HDFC0001234' });
+      expect(JSON.stringify(stored)).not.toContain('123456789012');
+    });
+
+    it('creates a cycle\'s batch once', async () => {
+      const first = await createBatch();
+      const second = await createBatch();
+
+      expect(second).toEqual({ success: true, data: null, alreadyExists: true });
+      expect(account('driver-a')).toMatchObject({ pendingAmount: 0, batchedAmount: 300 });
+      expect(first.data.totalAmount).toBe(500);
+    });
+
+    it('rolls back a failed build and rebuilds it on the next run', async () => {
+      const moveEntries = driverSettlementService.moveEntries.bind(driverSettlementService);
+      jest.spyOn(driverSettlementService, 'moveEntries')
+        .mockImplementationOnce(moveEntries)
+        .mockRejectedValueOnce(new Error('deadline exceeded'));
+
+      const failed = await createBatch();
+
+      expect(failed).toEqual({ success: false, error: 'deadline exceeded' });
+      const batchId = driverSettlementService.getBatchId(driverSettlementService.getLastClosedCycle(CYCLE_AT()).end);
+      expect(mockDb.getData(`driverPayoutBatches/${batchId}`)).toMatchObject({ status: 'failed', error: 'deadline exceeded' });
+      expect(entry('booking-1')).toMatchObject({ status: 'pending', payoutBatchId: null });
+      expect(account('driver-a')).toMatchObject({ pendingAmount: 300, batchedAmount: 0 });
+
+      driverSettlementService.moveEntries.mockRestore();
+      const rebuilt = await createBatch();
+
+      expect(rebuilt.data).toMatchObject({ id: batchId, status: 'created', totalAmount: 500 });
+      expect(account('driver-a')).toMatchObject({ pendingAmount: 0, batchedAmount: 300 });
+      expect(account('driver-b')).toMatchObject({ pendingAmount: 0, batchedAmount: 200 });
+    });
+
+    it('reclaims a build abandoned past its lease', async () => {
+      const { data } = await createBatch();
+      mockDb.seed(`driverPayoutBatches/${data.id}`, {
+        ...mockDb.getData(`driverPayoutBatches/${data.id}`),
+        status: 'building',
+        updatedAt: new Date(Date.now() - 60 * 60 * 1000)
+      });
+
+      const rebuilt = await createBatch();
+
+      expect(rebuilt.data).toMatchObject({ status: 'created', totalAmount: 500 });
+      expect(account('driver-a')).toMatchObject({ pendingAmount: 0, batchedAmount: 300 });
+    });
+  });
+
+  describe('settling a batch', () => {
+    let batchId;
+
+    beforeEach(async () => {
+      batchId = (await createBatch()).data.id;
+    });
+
+    it('settles paid drivers and returns failed payouts to pending', async () => {
+      const result = await driverSettlementService.settleBatch(batchId, { bankReference: 'UTR123', failedDriverIds: ['driver-b'], settledBy: 'admin-1' });
+
+      expect(result.data).toMatchObject({ status: 'settled', settledAmount: 300, bankReference: 'UTR123' });
+      expect(account('driver-a')).toMatchObject({ batchedAmount: 0, settledAmount: 300, lastPayoutAmount: 300 });
+      expect(account('driver-b')).toMatchObject({ batchedAmount: 0, pendingAmount: 200 });
+      expect(entry('booking-1').status).toBe('settled');
+      expect(entry('booking-3')).toMatchObject({ status: 'pending', payoutBatchId: null });
+    });
+
+    it('refuses to settle a batch twice', async () => {
+      await driverSettlementService.settleBatch(batchId, { settledBy: 'admin-1' });
+      const again = await driverSettlementService.settleBatch(batchId, { settledBy: 'admin-1' });
+
+      expect(again).toEqual({ success: false, error: { code: 'PAYOUT_BATCH_NOT_SETTLEABLE', message: 'Payout batch is settled' } });
+      expect(account('driver-a')).toMatchObject({ settledAmount: 300, batchedAmount: 0 });
+    });
+
+    it('resumes an interrupted settlement with its original parameters', async () => {
+      const moveEntries = driverSettlementService.moveEntries.bind(driverSettlementService);
+      jest.spyOn(driverSettlementService, 'moveEntries')
+        .mockImplementationOnce(moveEntries)
+        .mockRejectedValueOnce(new Error('deadline exceeded'));
+
+      await expect(driverSettlementService.settleBatch(batchId, { failedDriverIds: ['driver-b'], settledBy: 'admin-1' }))
+        .rejects.toThrow('deadline exceeded');
+      expect(mockDb.getData(`driverPayoutBatches/${batchId}`).status).toBe('settling');
+
+      driverSettlementService.moveEntries.mockRestore();
+      const resumed = await driverSettlementService.settleBatch(batchId, { failedDriverIds: [], settledBy: 'admin-2' });
+
+      expect(resumed.data).toMatchObject({ status: 'settled', settledAmount: 300, failedDriverIds: ['driver-b'], settledBy: 'admin-1' });
+      expect(account('driver-a')).toMatchObject({ settledAmount: 300, batchedAmount: 0 });
+      expect(account('driver-b')).toMatchObject({ pendingAmount: 200, batchedAmount: 0 });
+    });
+
+    it('exports full account numbers only in the bank CSV', async () => {
+      const batch = mockDb.getData(`driverPayoutBatches/${batchId}`);
+
+      const csv = await driverSettlementService.buildBankCsv({ id: batchId, ...batch });
+
+      expect(csv).toContain('123456789012');
+      expect(csv).toContain('998877665544');
+    });
+  });
+});
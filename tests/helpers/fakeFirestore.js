@@ -0,0 +1,420 @@
+/**
+ * In-memory Firestore for service tests
+ *
+ * Covers the API the services use: documents and subcollections, queries
+ * (where/orderBy/limit/offset), batches, transactions and the FieldValue
+ * transforms (increment, arrayUnion, arrayRemove, serverTimestamp, delete).
+ * Transactions run one at a time and apply their writes on commit, and reads
+ * after a write throw, as on the real backend; that is what the concurrency
+ * tests rely on.
+ *
+ * Usage (jest.mock factories may only reference `mock*` variables):
+ *   const mockDb = createFakeFirestore();
+ *   jest.mock('../src/services/firebase', () => ({ getFirestore: () => mockDb }));
+ */
+
+let autoId = 0;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+// Deep copy of plain objects and arrays; Dates and Timestamps are kept as is
+function clone(value) {
+  if (Array.isArray(value)) {
+    return value.map(clone);
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  }
+  return value;
+}
+
+function transformName(value) {
+  return value && typeof value === 'object' && typeof value.methodName === 'string' && value.methodName.startsWith('FieldValue.')
+    ? value.methodName
+    : null;
+}
+
+function applyTransform(current, value) {
+  switch (transformName(value)) {
+    case 'FieldValue.increment':
+      return (typeof current === 'number' ? current : 0) + value.operand;
+    case 'FieldValue.arrayUnion': {
+      const next = Array.isArray(current) ? [...current] : [];
+      value.elements.forEach(element => {
+        if (!next.some(item => JSON.stringify(item) === JSON.stringify(element))) {
+          next.push(clone(element));
+        }
+      });
+      return next;
+    }
+    case 'FieldValue.arrayRemove':
+      return (Array.isArray(current) ? current : [])
+        .filter(item => !value.elements.some(element => JSON.stringify(item) === JSON.stringify(element)));
+    case 'FieldValue.serverTimestamp':
+      return new Date();
+    default:
+      return clone(value);
+  }
+}
+
+function getPath(data, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+function setPath(data, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => {
+    if (!isPlainObject(node[key])) {
+      node[key] = {};
+    }
+    return node[key];
+  }, data);
+
+  if (transformName(value) === 'FieldValue.delete') {
+    delete parent[last];
+  } else {
+    parent[last] = applyTransform(parent[last], value);
+  }
+}
+
+// set() semantics: nested objects are merged key by key when merging
+function mergeInto(target, data, merge) {
+  Object.entries(data).forEach(([key, value]) => {
+    if (merge && isPlainObject(value) && !transformName(value)) {
+      if (!isPlainObject(target[key])) {
+        target[key] = {};
+      }
+      mergeInto(target[key], value, true);
+    } else if (transformName(value) === 'FieldValue.delete') {
+      delete target[key];
+    } else {
+      target[key] = applyTransform(target[key], value);
+    }
+  });
+  return target;
+}
+
+function comparable(value) {
+  if (value && typeof value.toMillis === 'function') {
+    return value.toMillis();
+  }
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  return value;
+}
+
+function matches(data, [field, op, expected]) {
+  const value = comparable(getPath(data, field));
+  const target = Array.isArray(expected) ? expected.map(comparable) : comparable(expected);
+  switch (op) {
+    case '==': return value === target;
+    case '!=': return value !== undefined && value !== target;
+    case '<': return value !== undefined && value < target;
+    case '<=': return value !== undefined && value <= target;
+    case '>': return value !== undefined && value > target;
+    case '>=': return value !== undefined && value >= target;
+    case 'in': return target.includes(value);
+    case 'not-in': return value !== undefined && !target.includes(value);
+    case 'array-contains': return Array.isArray(value) && value.includes(target);
+    case 'array-contains-any': return Array.isArray(value) && value.some(item => target.includes(item));
+    default: throw new Error(`Unsupported operator: ${op}`);
+  }
+}
+
+class FakeFirestore {
+  constructor() {
+    this.docs = new Map(); // full document path -> data
+    this.transactionQueue = Promise.resolve();
+  }
+
+  collection(path) {
+    return new CollectionReference(this, path);
+  }
+
+  doc(path) {
+    const index = path.lastIndexOf('/');
+    return new DocumentReference(this, path.slice(0, index), path.slice(index + 1));
+  }
+
+  batch() {
+    return new WriteBatch(this);
+  }
+
+  /**
+   * Transactions are serialized; writes are applied when the callback resolves
+   */
+  runTransaction(updateFunction) {
+    const run = this.transactionQueue.then(async () => {
+      const transaction = new Transaction(this);
+      const result = await updateFunction(transaction);
+      transaction.commit();
+      return result;
+    });
+    this.transactionQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Raw data of a document (assertions)
+   */
+  getData(path) {
+    const data = this.docs.get(path);
+    return data === undefined ? undefined : clone(data);
+  }
+
+  /**
+   * Seed a document (arrange)
+   */
+  seed(path, data) {
+    this.docs.set(path, clone(data));
+  }
+
+  /**
+   * Documents directly inside a collection
+   */
+  listCollection(path) {
+    const prefix = `${path}/`;
+    return [...this.docs.keys()]
+      .filter(key => key.startsWith(prefix) && !key.slice(prefix.length).includes('/'))
+      .map(key => ({ id: key.slice(prefix.length), data: this.getData(key) }));
+  }
+
+  reset() {
+    this.docs.clear();
+  }
+
+  writeSet(path, data, options = {}) {
+    const base = options.merge && this.docs.has(path) ? clone(this.docs.get(path)) : {};
+    this.docs.set(path, mergeInto(base, data, Boolean(options.merge)));
+  }
+
+  writeUpdate(path, data) {
+    if (!this.docs.has(path)) {
+      const error = new Error(`5 NOT_FOUND: No document to update: ${path}`);
+      error.code = 5;
+      throw error;
+    }
+    const next = clone(this.docs.get(path));
+    Object.entries(data).forEach(([field, value]) => setPath(next, field, value));
+    this.docs.set(path, next);
+  }
+
+  writeCreate(path, data) {
+    if (this.docs.has(path)) {
+      const error = new Error(`6 ALREADY_EXISTS: Document already exists: ${path}`);
+      error.code = 6;
+      throw error;
+    }
+    this.writeSet(path, data);
+  }
+
+  writeDelete(path) {
+    this.docs.delete(path);
+  }
+}
+
+class DocumentSnapshot {
+  constructor(ref, data) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data !== undefined;
+    this.rawData = data;
+  }
+
+  data() {
+    return this.exists ? clone(this.rawData) : undefined;
+  }
+
+  get(field) {
+    return this.exists ? clone(getPath(this.rawData, field)) : undefined;
+  }
+}
+
+class QuerySnapshot {
+  constructor(docs) {
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+  }
+
+  forEach(callback) {
+    this.docs.forEach(callback);
+  }
+}
+
+class DocumentReference {
+  constructor(db, collectionPath, id) {
+    this.db = db;
+    this.id = id;
+    this.path = `${collectionPath}/${id}`;
+    this.parent = { path: collectionPath, id: collectionPath.split('/').pop() };
+  }
+
+  collection(name) {
+    return new CollectionReference(this.db, `${this.path}/${name}`);
+  }
+
+  async get() {
+    return new DocumentSnapshot(this, this.db.getData(this.path));
+  }
+
+  async set(data, options) {
+    this.db.writeSet(this.path, data, options);
+  }
+
+  async update(data) {
+    this.db.writeUpdate(this.path, data);
+  }
+
+  async create(data) {
+    this.db.writeCreate(this.path, data);
+  }
+
+  async delete() {
+    this.db.writeDelete(this.path);
+  }
+}
+
+class Query {
+  constructor(db, path, { filters = [], orders = [], limit = null, offset = 0, startAfter = null } = {}) {
+    this.db = db;
+    this.path = path;
+    this.options = { filters, orders, limit, offset, startAfter };
+  }
+
+  with(changes) {
+    return new Query(this.db, this.path, { ...this.options, ...changes });
+  }
+
+  where(field, op, value) {
+    return this.with({ filters: [...this.options.filters, [field, op, value]] });
+  }
+
+  orderBy(field, direction = 'asc') {
+    return this.with({ orders: [...this.options.orders, [field, direction]] });
+  }
+
+  limit(count) {
+    return this.with({ limit: count });
+  }
+
+  offset(count) {
+    return this.with({ offset: count });
+  }
+
+  startAfter(snapshot) {
+    return this.with({ startAfter: snapshot.id });
+  }
+
+  async get() {
+    const { filters, orders, limit, offset, startAfter } = this.options;
+    let docs = this.db.listCollection(this.path)
+      .filter(({ data }) => filters.every(filter => matches(data, filter)))
+      // orderBy drops documents without the field, as Firestore does
+      .filter(({ data }) => orders.every(([field]) => getPath(data, field) !== undefined));
+
+    docs.sort((a, b) => {
+      for (const [field, direction] of orders) {
+        const left = comparable(getPath(a.data, field));
+        const right = comparable(getPath(b.data, field));
+        if (left !== right) {
+          return (left < right ? -1 : 1) * (direction === 'desc' ? -1 : 1);
+        }
+      }
+      return 0;
+    });
+
+    if (startAfter) {
+      docs = docs.slice(docs.findIndex(doc => doc.id === startAfter) + 1);
+    }
+    docs = docs.slice(offset, limit === null ? undefined : offset + limit);
+
+    return new QuerySnapshot(docs.map(({ id, data }) => new DocumentSnapshot(new DocumentReference(this.db, this.path, id), data)));
+  }
+}
+
+class CollectionReference extends Query {
+  constructor(db, path) {
+    super(db, path);
+    this.id = path.split('/').pop();
+  }
+
+  doc(id) {
+    return new DocumentReference(this.db, this.path, id || `auto${++autoId}`);
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+}
+
+class WriteBatch {
+  constructor(db) {
+    this.db = db;
+    this.writes = [];
+  }
+
+  set(ref, data, options) {
+    this.writes.push(() => this.db.writeSet(ref.path, data, options));
+    return this;
+  }
+
+  update(ref, data) {
+    this.writes.push(() => this.db.writeUpdate(ref.path, data));
+    return this;
+  }
+
+  create(ref, data) {
+    this.writes.push(() => this.db.writeCreate(ref.path, data));
+    return this;
+  }
+
+  delete(ref) {
+    this.writes.push(() => this.db.writeDelete(ref.path));
+    return this;
+  }
+
+  // All or nothing: a failed write leaves the documents untouched
+  async commit() {
+    const snapshot = new Map(this.db.docs);
+    try {
+      this.writes.forEach(write => write());
+    } catch (error) {
+      this.db.docs = snapshot;
+      throw error;
+    }
+  }
+}
+
+class Transaction extends WriteBatch {
+  async get(refOrQuery) {
+    if (this.writes.length > 0) {
+      throw new Error('Firestore transactions require all reads to be executed before all writes.');
+    }
+    return refOrQuery.get();
+  }
+
+  commit() {
+    const snapshot = new Map(this.db.docs);
+    try {
+      this.writes.forEach(write => write());
+    } catch (error) {
+      this.db.docs = snapshot;
+      throw error;
+    }
+  }
+}
+
+function createFakeFirestore() {
+  return new FakeFirestore();
+}
+
+module.exports = {
+  createFakeFirestore
+};
@@ -0,0 +1,99 @@
+const { createFakeFirestore } = require('./helpers/fakeFirestore');
+
+const mockDb = createFakeFirestore();
+jest.mock('../src/services/firebase', () => ({ getFirestore: () => mockDb }));
+jest.mock('../src/services/notificationService', () => ({}));
+jest.mock('../src/services/deliveryOtpService', () => ({
+  verifyProof: jest.fn().mockResolvedValue({ isValid: true, method: 'otp' })
+}));
+
+const { driverStatusWorkflowService } = require('../src/services/driverStatusWorkflowService');
+const bookingStateMachine = require('../src/services/bookingStateMachine');
+
+const BOOKING_ID = 'booking-1';
+const DRIVER_ID = 'driver-1';
+const STOPS = [
+  { latitude: 19.0760, longitude: 72.8777 },
+  { latitude: 19.0860, longitude: 72.8877 },
+  { latitude: 19.0960, longitude: 72.8977 }
+];
+
+const booking = () => mockDb.getData(`bookings/${BOOKING_ID}`);
+const arrive = (stopIndex) => driverStatusWorkflowService.updateStatus({
+  bookingId: BOOKING_ID,
+  driverId: DRIVER_ID,
+  requestedStatus: 'at_dropoff',
+  location: STOPS[stopIndex]
+});
+const deliver = (stopIndex, location = STOPS[stopIndex]) => driverStatusWorkflowService.completeDelivery({
+  bookingId: BOOKING_ID,
+  driverId: DRIVER_ID,
+  stopIndex,
+  location,
+  otp: '4821'
+});
+
+describe('multi-stop delivery progression', () => {
+  beforeEach(() => {
+    mockDb.reset();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    mockDb.seed(`bookings/${BOOKING_ID}`, {
+      status: 'in_transit',
+      driverId: DRIVER_ID,
+      dropoff: { coordinates: STOPS[2] },
+      stops: STOPS.map((coordinates, index) => ({ index, coordinates, status: 'pending' })),
+      currentStopIndex: 0
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('sends the driver back in transit after each intermediate stop and delivers at the last one', async () => {
+    await arrive(0);
+    expect(booking()).toMatchObject({ status: 'at_dropoff', currentStopIndex: 0 });
+    expect(booking().stops[0].status).toBe('arrived');
+
+    const first = await deliver(0);
+    expect(first).toMatchObject({ status: 'in_transit', stopCompleted: { index: 0, isFinal: false } });
+    expect(booking()).toMatchObject({ status: 'in_transit', currentStopIndex: 1 });
+    expect(booking().stops.map(stop => stop.status)).toEqual(['delivered', 'pending', 'pending']);
+
+    // Confirming a stop without marking arrival first keeps the booking in transit
+    await deliver(1);
+    expect(booking()).toMatchObject({ status: 'in_transit', currentStopIndex: 2 });
+
+    await arrive(2);
+    const last = await deliver(2);
+    expect(last.stopCompleted).toEqual({ index: 2, isFinal: true });
+    expect(booking().status).toBe('delivered');
+    expect(booking().stops.map(stop => stop.status)).toEqual(['delivered', 'delivered', 'delivered']);
+  });
+
+  it('treats a repeated confirmation of a delivered stop as already done', async () => {
+    await deliver(0);
+
+    const repeated = await deliver(0, STOPS[1]);
+
+    expect(repeated).toMatchObject({ idempotent: true, shouldBroadcast: false });
+    expect(booking().currentStopIndex).toBe(1);
+  });
+
+  it('refuses to deliver stops out of order', async () => {
+    await expect(deliver(1)).rejects.toMatchObject({ code: 'STOP_OUT_OF_ORDER' });
+    expect(booking()).toMatchObject({ status: 'in_transit', currentStopIndex: 0 });
+  });
+
+  it('only lets a booking leave a drop-off for the next stop', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await arrive(0);
+    const leave = (updates) => bookingStateMachine.transitionBooking(BOOKING_ID, 'in_transit', updates, { driverId: DRIVER_ID });
+
+    await expect(leave({})).rejects.toThrow('Cannot leave stop 1 of 3 without completing it');
+    await expect(leave({ currentStopIndex: 2 })).rejects.toThrow('Cannot leave stop 1 of 3 without completing it');
+    await expect(bookingStateMachine.transitionBooking(BOOKING_ID, 'delivered', {}, { driverId: DRIVER_ID }))
+      .rejects.toThrow('Cannot mark booking delivered at stop 1 of 3');
+    expect(booking()).toMatchObject({ status: 'at_dropoff', currentStopIndex: 0 });
+  });
+});
@@ -0,0 +1,121 @@
+const { createFakeFirestore } = require('./helpers/fakeFirestore');
+
+const mockDb = createFakeFirestore();
+jest.mock('../src/services/firebase', () => ({ getFirestore: () => mockDb }));
+jest.mock('../src/services/invoiceService', () => ({
+  issueCreditNote: jest.fn(async (bookingId, { refundId }) => ({
+    success: true,
+    data: { id: `CN_${refundId}`, creditNoteNumber: `CN/${refundId}` }
+  }))
+}));
+
+const paymentService = require('../src/services/paymentService');
+const customerWalletService = require('../src/services/customerWalletService');
+const invoiceService = require('../src/services/invoiceService');
+const { REFUND_DESTINATIONS } = require('../src/constants/customerWallet');
+
+const PAYMENT_ID = 'payment-1';
+const CUSTOMER_ID = 'customer-1';
+
+const refund = (amount, refundId, options = {}) => paymentService.processRefund(PAYMENT_ID, amount, 'Booking cancelled', {
+  refundTo: REFUND_DESTINATIONS.WALLET,
+  refundId,
+  ...options
+});
+
+const walletBalance = () => mockDb.getData(`customerWallets/${CUSTOMER_ID}`)?.balance || 0;
+const refundedAmount = () => mockDb.getData(`payments/${PAYMENT_ID}`).refundedAmount || 0;
+
+describe('paymentService.processRefund', () => {
+  beforeEach(() => {
+    mockDb.reset();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    mockDb.seed(`payments/${PAYMENT_ID}`, {
+      id: PAYMENT_ID,
+      bookingId: 'booking-1',
+      customerId: CUSTOMER_ID,
+      amount: 200,
+      status: 'completed'
+    });
+    invoiceService.issueCreditNote.mockClear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('credits a wallet refund and issues a credit note', async () => {
+    const result = await refund(80, 'REFUND_A');
+
+    expect(result).toMatchObject({
+      success: true,
+      data: { refundId: 'REFUND_A', amount: 80, status: 'completed', alreadyProcessed: false, creditNote: { id: 'CN_REFUND_A' } }
+    });
+    expect(walletBalance()).toBe(80);
+    expect(refundedAmount()).toBe(80);
+    expect(mockDb.getData('refunds/REFUND_A')).toMatchObject({ status: 'completed', creditNote: { id: 'CN_REFUND_A' } });
+  });
+
+  it('processes a retried refund ID once', async () => {
+    await refund(80, 'REFUND_A');
+    const retry = await refund(80, 'REFUND_A');
+
+    expect(retry).toMatchObject({ success: true, data: { alreadyProcessed: true, status: 'completed' } });
+    expect(walletBalance()).toBe(80);
+    expect(refundedAmount()).toBe(80);
+    expect(invoiceService.issueCreditNote).toHaveBeenCalledTimes(1);
+  });
+
+  it('caps partial refunds at the payment amount', async () => {
+    expect((await refund(150, 'REFUND_A')).success).toBe(true);
+
+    const over = await refund(60, 'REFUND_B');
+
+    expect(over).toMatchObject({ success: false, error: { code: 'REFUND_PROCESSING_ERROR', details: 'Refund amount cannot exceed payment amount' } });
+    expect((await refund(50, 'REFUND_C')).success).toBe(true);
+    expect(refundedAmount()).toBe(200);
+    expect(walletBalance()).toBe(200);
+  });
+
+  it('lets only one of two concurrent full refunds through', async () => {
+    const results = await Promise.all([refund(200, 'REFUND_A'), refund(200, 'REFUND_B')]);
+
+    expect(results.filter(result => result.success)).toHaveLength(1);
+    expect(refundedAmount()).toBe(200);
+    expect(walletBalance()).toBe(200);
+  });
+
+  it('rejects refunds of payments that are not completed', async () => {
+    mockDb.seed(`payments/${PAYMENT_ID}`, { customerId: CUSTOMER_ID, amount: 200, status: 'pending' });
+
+    expect(await refund(50, 'REFUND_A')).toMatchObject({ success: false, error: { details: 'Payment is not completed' } });
+    expect(mockDb.getData('refunds/REFUND_A')).toBeUndefined();
+  });
+
+  it('releases the reservation when the wallet credit fails, so the refund can be retried', async () => {
+    jest.spyOn(customerWalletService, 'creditRefund').mockResolvedValueOnce({
+      success: false,
+      error: { code: 'WALLET_TRANSACTION_ERROR', message: 'Failed to post wallet transaction' }
+    });
+
+    const failed = await refund(120, 'REFUND_A');
+
+    expect(failed.success).toBe(false);
+    expect(refundedAmount()).toBe(0);
+    expect(mockDb.getData('refunds/REFUND_A').status).toBe('failed');
+
+    const retry = await refund(120, 'REFUND_A');
+
+    expect(retry).toMatchObject({ success: true, data: { status: 'completed', alreadyProcessed: false } });
+    expect(refundedAmount()).toBe(120);
+    expect(walletBalance()).toBe(120);
+  });
+
+  it('leaves refunds to the payment source pending for finance', async () => {
+    const result = await refund(50, 'REFUND_A', { refundTo: REFUND_DESTINATIONS.SOURCE });
+
+    expect(result).toMatchObject({ success: true, data: { status: 'pending' } });
+    expect(walletBalance()).toBe(0);
+    expect(refundedAmount()).toBe(50);
+  });
+});
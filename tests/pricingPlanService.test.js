@@ -0,0 +1,95 @@
+const { createFakeFirestore } = require('./helpers/fakeFirestore');
+
+const mockDb = createFakeFirestore();
+jest.mock('../src/services/firebase', () => ({ getFirestore: () => mockDb }));
+
+const pricingPlanService = require('../src/services/pricingPlanService');
+const fareCalculationService = require('../src/services/fareCalculationService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const createPlan = (rate, overrides = {}) => pricingPlanService.createPlan({
+  status: 'active',
+  fare: {
+    baseDistanceKm: 1,
+    baseRate: rate,
+    fullKmRate: rate,
+    remainderTiers: [{ belowKm: 0.5, charge: rate / 2 }, { belowKm: 1, charge: rate }]
+  },
+  commission: { ratePerKm: 1.15 },
+  ...overrides
+}, 'admin-1');
+
+describe('pricingPlanService', () => {
+  beforeEach(() => {
+    mockDb.reset();
+    jest.restoreAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    pricingPlanService.activePlan = null;
+    pricingPlanService.invalidateCache();
+  });
+
+  it('prices new bookings with the newest plan and re-prices old ones with their own version', async () => {
+    await createPlan(10);
+    const original = await fareCalculationService.calculateFareWithActivePlan(5);
+
+    await createPlan(20);
+    const current = await fareCalculationService.calculateFareWithActivePlan(5);
+    const repriced = await fareCalculationService.calculateFareForBooking({ pricingPlan: original.pricingPlan }, 5);
+
+    expect(original).toMatchObject({ totalFare: 50, pricingPlan: { id: 'v1', version: 1 } });
+    expect(current).toMatchObject({ totalFare: 100, pricingPlan: { id: 'v2', version: 2 } });
+    expect(repriced).toMatchObject({ totalFare: 50, pricingPlan: { version: 1 } });
+  });
+
+  it('only serves active plans inside their effective window', async () => {
+    await createPlan(10);
+    await createPlan(20, { status: 'draft' });
+    await createPlan(30, { effectiveFrom: new Date(Date.now() + DAY_MS) });
+    await createPlan(40, { effectiveFrom: new Date(Date.now() - 2 * DAY_MS), effectiveUntil: new Date(Date.now() - DAY_MS) });
+    await createPlan(50);
+    await pricingPlanService.updatePlanStatus(5, { status: 'retired' }, 'admin-1');
+
+    const plan = await pricingPlanService.getActivePlan({ forceRefresh: true });
+
+    expect(plan.version).toBe(1);
+  });
+
+  it('never edits a plan in place', async () => {
+    await createPlan(10);
+
+    await createPlan(20);
+
+    expect(mockDb.getData('pricingPlans/v1').fare.baseRate).toBe(10);
+    expect(mockDb.getData('system_counters/pricing_plan_version').lastVersion).toBe(2);
+  });
+
+  describe('falls back to the built-in plan', () => {
+    it('when no plan is active', async () => {
+      await createPlan(10, { status: 'draft' });
+
+      expect((await pricingPlanService.getActivePlan()).version).toBe(0);
+    });
+
+    it('for versions that do not exist', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const fare = await fareCalculationService.calculateFareForBooking({ pricingPlan: { version: 7 } }, 5);
+
+      expect(fare.pricingPlan.version).toBe(0);
+    });
+
+    it('keeps serving the last loaded plan when Firestore fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      await createPlan(10);
+      await pricingPlanService.getActivePlan();
+      jest.spyOn(mockDb, 'collection').mockImplementation(() => {
+        throw new Error('unavailable');
+      });
+
+      const plan = await pricingPlanService.getActivePlan({ forceRefresh: true });
+
+      expect(plan.version).toBe(1);
+    });
+  });
+});
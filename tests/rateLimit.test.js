@@ -0,0 +1,180 @@
+const express = require('express');
+const request = require('supertest');
+const { createFakeFirestore } = require('./helpers/fakeFirestore');
+
+const mockDb = createFakeFirestore();
+jest.mock('../src/services/firebase', () => ({ getFirestore: () => mockDb }));
+
+const config = require('../src/config/environment');
+const rateLimitService = require('../src/services/rateLimitService');
+const { MemoryRateLimitStore, FirestoreRateLimitStore } = require('../src/services/rateLimitStores');
+const { createPolicyLimiter, createPolicySlowDown } = require('../src/middleware/rateLimit');
+const { userRateLimit } = require('../src/middleware/auth');
+
+const baseSettings = config.getRateLimitConfig();
+
+function useSettings(overrides) {
+  jest.spyOn(config, 'getRateLimitConfig').mockReturnValue({ ...baseSettings, ...overrides });
+}
+
+// Routes answer with the status in ?status (default 200); the user comes from x-test-user
+function buildApp(...middleware) {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    if (req.headers['x-test-user']) {
+      req.user = { uid: req.headers['x-test-user'] };
+    }
+    next();
+  });
+  app.post('/test', ...middleware, (req, res) => res.status(Number(req.query.status) || 200).json({ success: true }));
+  return app;
+}
+
+const send = (app, { user, status, body = {} } = {}) => {
+  const req = request(app).post(`/test${status ? `?status=${status}` : ''}`);
+  return (user ? req.set('x-test-user', user) : req).send(body);
+};
+
+const idToken = (uid) => `header.${Buffer.from(JSON.stringify({ uid })).toString('base64url')}.signature`;
+
+class FailingStore extends MemoryRateLimitStore {
+  async increment() {
+    throw new Error('store unavailable');
+  }
+}
+
+class HangingStore extends MemoryRateLimitStore {
+  increment() {
+    return new Promise(() => {});
+  }
+}
+
+describe('rate limiting', () => {
+  beforeEach(() => {
+    mockDb.reset();
+    rateLimitService.stores.clear();
+    rateLimitService.setStore(new MemoryRateLimitStore());
+  });
+
+  afterEach(() => {
+    rateLimitService.setStore(null);
+    jest.restoreAllMocks();
+  });
+
+  it('rejects requests past the policy limit per user', async () => {
+    const app = buildApp(createPolicyLimiter('bookingCreate', { max: 2 }));
+
+    expect((await send(app, { user: 'user-1' })).status).toBe(200);
+    const last = await send(app, { user: 'user-1' });
+    expect(last.status).toBe(200);
+    expect(last.headers['ratelimit-remaining']).toBe('0');
+
+    const rejected = await send(app, { user: 'user-1' });
+    expect(rejected.status).toBe(429);
+    expect(rejected.body.error.code).toBe('RATE_LIMIT_EXCEEDED');
+    expect(Number(rejected.headers['retry-after'])).toBeGreaterThan(0);
+
+    expect((await send(app, { user: 'user-2' })).status).toBe(200);
+  });
+
+  describe('failing open', () => {
+    it('allows requests when the store fails', async () => {
+      rateLimitService.setStore(new FailingStore());
+      const app = buildApp(createPolicyLimiter('bookingCreate', { max: 1 }));
+
+      expect((await send(app, { user: 'user-1' })).status).toBe(200);
+      expect((await send(app, { user: 'user-1' })).status).toBe(200);
+    });
+
+    it('allows requests when the store times out', async () => {
+      useSettings({ storeTimeoutMs: 20 });
+      rateLimitService.setStore(new HangingStore());
+      const app = buildApp(createPolicyLimiter('bookingCreate', { max: 1 }));
+
+      expect((await send(app, { user: 'user-1' })).status).toBe(200);
+    });
+
+    it('allows requests when the store cannot be created', async () => {
+      useSettings({ store: 'redis', redisRestUrl: null, redisRestToken: null });
+      rateLimitService.setStore(null);
+      const app = buildApp(createPolicyLimiter('bookingCreate', { max: 1 }), createPolicySlowDown('firebaseTokenVerifySlowDown'));
+
+      expect((await send(app, { user: 'user-1' })).status).toBe(200);
+      expect((await send(app, { user: 'user-1' })).status).toBe(200);
+    });
+  });
+
+  it('uses the store configured for each policy', () => {
+    useSettings({ store: 'firestore', policyStores: { general: 'memory' } });
+    rateLimitService.setStore(null);
+
+    expect(rateLimitService.getStore('general')).toBeInstanceOf(MemoryRateLimitStore);
+    expect(rateLimitService.getStore('bookingCreate')).toBeInstanceOf(FirestoreRateLimitStore);
+    expect(rateLimitService.getStore('auth')).toBe(rateLimitService.getStore('bookingCreate'));
+  });
+
+  it('counts Firestore buckets through firestoreSessionService', async () => {
+    const store = new FirestoreRateLimitStore();
+
+    await store.increment('auth:ip:1.2.3.4', 60000);
+    const { count } = await store.increment('auth:ip:1.2.3.4', 60000);
+
+    expect(count).toBe(2);
+    expect(await store.get('auth:ip:1.2.3.4')).toMatchObject({ count: 2 });
+    expect(mockDb.getData(`rate_limits/${encodeURIComponent('auth:ip:1.2.3.4')}`)).toMatchObject({ key: 'auth:ip:1.2.3.4', count: 2 });
+
+    await store.decrement('auth:ip:1.2.3.4');
+    expect(await store.get('auth:ip:1.2.3.4')).toMatchObject({ count: 1 });
+
+    await store.reset('auth:ip:1.2.3.4');
+    expect(await store.get('auth:ip:1.2.3.4')).toBeNull();
+    await store.decrement('auth:ip:1.2.3.4');
+    expect(await store.get('auth:ip:1.2.3.4')).toBeNull();
+  });
+
+  describe('token verification', () => {
+    it('counts only failed verifications, per token user', async () => {
+      const app = buildApp(createPolicyLimiter('firebaseTokenVerify', { max: 2 }));
+      const body = { idToken: idToken('user-1') };
+
+      for (let i = 0; i < 5; i++) {
+        expect((await send(app, { body })).status).toBe(200);
+      }
+      expect((await send(app, { body, status: 401 })).status).toBe(401);
+      expect((await send(app, { body, status: 401 })).status).toBe(401);
+      expect((await send(app, { body, status: 401 })).status).toBe(429);
+
+      expect((await send(app, { body: { idToken: idToken('user-2') }, status: 401 })).status).toBe(401);
+    });
+
+    it('limits failed verifications sent in parallel', async () => {
+      const app = buildApp(createPolicyLimiter('firebaseTokenVerify', { max: 2 }));
+      const body = { idToken: idToken('user-1') };
+
+      const statuses = (await Promise.all(
+        Array.from({ length: 5 }, () => send(app, { body, status: 401 }))
+      )).map((response) => response.status);
+
+      expect(statuses.filter((status) => status === 401)).toHaveLength(2);
+      expect(statuses.filter((status) => status === 429)).toHaveLength(3);
+    });
+
+    it('delays failed verifications past the slow-down threshold', async () => {
+      const app = buildApp(createPolicySlowDown('firebaseTokenVerifySlowDown', { max: 1, delayMs: 150 }));
+      const body = { idToken: idToken('user-1') };
+
+      await send(app, { body, status: 401 });
+      const started = Date.now();
+      const delayed = await send(app, { body, status: 401 });
+
+      expect(delayed.status).toBe(401);
+      expect(Date.now() - started).toBeGreaterThanOrEqual(140);
+    });
+  });
+
+  it('requires a policy for per-user limits', () => {
+    expect(() => userRateLimit()).toThrow('userRateLimit requires a rate limit policy name');
+    expect(typeof userRateLimit('bookingStatus')).toBe('function');
+  });
+});
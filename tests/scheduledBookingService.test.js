@@ -0,0 +1,111 @@
+const { createFakeFirestore } = require('./helpers/fakeFirestore');
+
+const mockDb = createFakeFirestore();
+const mockEventHandler = { notifyDriversOfNewBooking: jest.fn() };
+jest.mock('../src/services/firebase', () => ({ getFirestore: () => mockDb }));
+jest.mock('../src/services/notificationService', () => ({
+  notifyCustomerScheduledBookingReleased: jest.fn(),
+  notifyCustomerScheduledPickupReminder: jest.fn()
+}));
+jest.mock('../src/services/socket', () => ({ getEventHandler: () => mockEventHandler }));
+
+const scheduledBookingService = require('../src/services/scheduledBookingService');
+const notificationService = require('../src/services/notificationService');
+
+const MINUTE_MS = 60 * 1000;
+
+function seedScheduled(id, { pickupInMinutes, releaseInMinutes, ...overrides }) {
+  mockDb.seed(`bookings/${id}`, {
+    customerId: 'customer-1',
+    status: 'scheduled',
+    scheduledPickupTime: new Date(Date.now() + pickupInMinutes * MINUTE_MS),
+    scheduling: {
+      releaseAt: new Date(Date.now() + releaseInMinutes * MINUTE_MS),
+      reminderSentAt: null
+    },
+    ...overrides
+  });
+}
+
+describe('scheduledBookingService', () => {
+  beforeEach(() => {
+    mockDb.reset();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('release', () => {
+    it('releases bookings whose release time has passed to matching', async () => {
+      seedScheduled('due', { pickupInMinutes: 20, releaseInMinutes: -10 });
+      seedScheduled('later', { pickupInMinutes: 120, releaseInMinutes: 90 });
+
+      const released = await scheduledBookingService.releaseDueBookings();
+
+      expect(released).toBe(1);
+      expect(mockDb.getData('bookings/due').status).toBe('pending');
+      expect(mockDb.getData('bookings/later').status).toBe('scheduled');
+      expect(mockEventHandler.notifyDriversOfNewBooking).toHaveBeenCalledWith(expect.objectContaining({ id: 'due', status: 'pending' }));
+      expect(notificationService.notifyCustomerScheduledBookingReleased).toHaveBeenCalledTimes(1);
+    });
+
+    it('releases a booking once when two instances run at the same time', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      seedScheduled('due', { pickupInMinutes: 20, releaseInMinutes: -10 });
+
+      const released = await Promise.all([
+        scheduledBookingService.releaseDueBookings(),
+        scheduledBookingService.releaseDueBookings()
+      ]);
+
+      expect(released.sort()).toEqual([0, 1]);
+      expect(mockEventHandler.notifyDriversOfNewBooking).toHaveBeenCalledTimes(1);
+    });
+
+    it('does not release a booking cancelled after it was picked up for release', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      seedScheduled('cancelled', { pickupInMinutes: 20, releaseInMinutes: -10, status: 'cancelled' });
+
+      expect(await scheduledBookingService.releaseBooking('cancelled')).toBe(false);
+      expect(mockDb.getData('bookings/cancelled').status).toBe('cancelled');
+      expect(mockEventHandler.notifyDriversOfNewBooking).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reminders', () => {
+    it('reminds customers of pickups within the reminder lead time', async () => {
+      const { reminderLeadMinutes } = scheduledBookingService.settings;
+      seedScheduled('soon', { pickupInMinutes: reminderLeadMinutes - 5, releaseInMinutes: 60 });
+      seedScheduled('later', { pickupInMinutes: reminderLeadMinutes + 60, releaseInMinutes: 120 });
+
+      expect(await scheduledBookingService.sendDueReminders()).toBe(1);
+      expect(notificationService.notifyCustomerScheduledPickupReminder).toHaveBeenCalledWith(expect.objectContaining({ id: 'soon' }));
+      expect(mockDb.getData('bookings/soon').scheduling.reminderSentAt).toBeInstanceOf(Date);
+      expect(mockDb.getData('bookings/later').scheduling.reminderSentAt).toBeNull();
+    });
+
+    it('sends each reminder once when two instances run at the same time', async () => {
+      seedScheduled('soon', { pickupInMinutes: 5, releaseInMinutes: -10 });
+
+      const sent = await Promise.all([
+        scheduledBookingService.sendDueReminders(),
+        scheduledBookingService.sendDueReminders()
+      ]);
+
+      expect(sent.sort()).toEqual([0, 1]);
+      expect(notificationService.notifyCustomerScheduledPickupReminder).toHaveBeenCalledTimes(1);
+    });
+
+    it('does not send a reminder again on the next pass', async () => {
+      seedScheduled('soon', { pickupInMinutes: 5, releaseInMinutes: 60 });
+
+      await scheduledBookingService.sendDueReminders();
+      expect(await scheduledBookingService.sendDueReminders()).toBe(0);
+
+      expect(notificationService.notifyCustomerScheduledPickupReminder).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,12 @@
+/**
+ * Jest setup: the configuration the services validate on load, with the
+ * backends replaced per test file (see tests/helpers/fakeFirestore.js)
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.FIREBASE_PROJECT_ID = process.env.FIREBASE_PROJECT_ID || 'epickup-test';
+process.env.FIREBASE_PRIVATE_KEY = process.env.FIREBASE_PRIVATE_KEY || 'test-private-key';
+process.env.FIREBASE_CLIENT_EMAIL = process.env.FIREBASE_CLIENT_EMAIL || 'test@epickup-test.iam.gserviceaccount.com';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.GOOGLE_MAPS_API_KEY = process.env.GOOGLE_MAPS_API_KEY || 'test-maps-key';
+
@@ -0,0 +1,128 @@
+const { createFakeFirestore } = require('./helpers/fakeFirestore');
+
+const mockDb = createFakeFirestore();
+jest.mock('../src/services/firebase', () => ({ getFirestore: () => mockDb }));
+jest.mock('../src/services/invoiceService', () => ({
+  issueCreditNote: jest.fn().mockResolvedValue({ success: true, data: null })
+}));
+
+const supportTicketService = require('../src/services/supportTicketService');
+const customerWalletService = require('../src/services/customerWalletService');
+
+const TICKET_ID = 'ticket-1';
+const CUSTOMER_ID = 'customer-1';
+
+const ticket = () => mockDb.getData(`supportTickets/${TICKET_ID}`);
+const walletBalance = () => mockDb.getData(`customerWallets/${CUSTOMER_ID}`)?.balance || 0;
+const refund = (amount = 50) => supportTicketService.refundFromTicket(TICKET_ID, 'admin-1', { amount, reason: 'Package arrived late' });
+
+describe('supportTicketService ticket refunds', () => {
+  beforeEach(() => {
+    mockDb.reset();
+    jest.restoreAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    mockDb.seed(`supportTickets/${TICKET_ID}`, {
+      userId: CUSTOMER_ID,
+      userType: 'customer',
+      bookingId: 'booking-1',
+      status: 'open',
+      actions: []
+    });
+    mockDb.seed('payments/payment-1', {
+      bookingId: 'booking-1',
+      customerId: CUSTOMER_ID,
+      amount: 200,
+      status: 'completed'
+    });
+  });
+
+  it('refunds to the wallet and records the action', async () => {
+    const result = await refund();
+
+    expect(result).toMatchObject({ success: true, data: { ticketId: TICKET_ID, refundId: `TICKET_${TICKET_ID}`, status: 'completed' } });
+    expect(walletBalance()).toBe(50);
+    expect(ticket().refund).toMatchObject({ status: 'completed', amount: 50 });
+    expect(ticket().actions).toEqual([expect.objectContaining({ type: 'refund', amount: 50, adminId: 'admin-1' })]);
+  });
+
+  it('refunds a ticket once', async () => {
+    await refund();
+    const again = await refund();
+
+    expect(again).toMatchObject({ success: false, error: { code: 'TICKET_ALREADY_REFUNDED' } });
+    expect(walletBalance()).toBe(50);
+    expect(mockDb.getData('payments/payment-1').refundedAmount).toBe(50);
+  });
+
+  it('refunds once when two admins refund at the same time', async () => {
+    await Promise.all([refund(), refund()]);
+
+    expect(walletBalance()).toBe(50);
+    expect(mockDb.getData('payments/payment-1').refundedAmount).toBe(50);
+    expect(ticket().actions).toHaveLength(1);
+  });
+
+  it('marks the refund failed and allows a retry when the wallet credit fails', async () => {
+    jest.spyOn(customerWalletService, 'creditRefund').mockResolvedValueOnce({
+      success: false,
+      error: { code: 'WALLET_TRANSACTION_ERROR', message: 'Failed to post wallet transaction' }
+    });
+
+    expect((await refund()).success).toBe(false);
+    expect(ticket().refund.status).toBe('failed');
+    expect(mockDb.getData('payments/payment-1').refundedAmount).toBe(0);
+
+    expect((await refund()).success).toBe(true);
+    expect(walletBalance()).toBe(50);
+    expect(ticket().refund.status).toBe('completed');
+  });
+
+  it('keeps every recorded action', async () => {
+    const { ref, ticket: data } = await supportTicketService.findTicket(TICKET_ID);
+
+    await Promise.all([
+      supportTicketService.recordAction(ref, data, 'admin-1', { type: 'note', text: 'Called customer' }),
+      supportTicketService.recordAction(ref, data, 'admin-2', { type: 'note', text: 'Called driver' })
+    ]);
+
+    expect(ticket().actions.map(action => action.adminId).sort()).toEqual(['admin-1', 'admin-2']);
+  });
+});
+
+describe('supportTicketService wallet adjustments', () => {
+  const adjust = (idempotencyKey) => supportTicketService.adjustWalletFromTicket(TICKET_ID, 'admin-1', {
+    amount: 50,
+    reason: 'Goodwill credit',
+    idempotencyKey
+  });
+
+  beforeEach(() => {
+    mockDb.reset();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    mockDb.seed(`supportTickets/${TICKET_ID}`, { userId: CUSTOMER_ID, userType: 'customer', status: 'open', actions: [] });
+  });
+
+  it('posts a retried adjustment once', async () => {
+    const first = await adjust('request-0001');
+    const retry = await adjust('request-0001');
+
+    expect(retry).toMatchObject({ success: true, data: { transactionId: first.data.transactionId, alreadyProcessed: true } });
+    expect(walletBalance()).toBe(50);
+    expect(ticket().actions).toHaveLength(1);
+  });
+
+  it('posts adjustments with different keys separately', async () => {
+    await adjust('request-0001');
+    await adjust('request-0002');
+
+    expect(walletBalance()).toBe(100);
+    expect(ticket().actions).toHaveLength(2);
+  });
+
+  it('refuses an adjustment without an idempotency key', async () => {
+    const result = await adjust(undefined);
+
+    expect(result).toMatchObject({ success: false, error: { code: 'IDEMPOTENCY_KEY_REQUIRED' } });
+    expect(walletBalance()).toBe(0);
+  });
+});
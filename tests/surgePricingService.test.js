@@ -0,0 +1,84 @@
+const { createFakeFirestore } = require('./helpers/fakeFirestore');
+
+const mockDb = createFakeFirestore();
+jest.mock('../src/services/firebase', () => ({ getFirestore: () => mockDb }));
+
+const surgePricingService = require('../src/services/surgePricingService');
+const driverProximityService = require('../src/services/driverProximityService');
+const geohash = require('../src/utils/geohash');
+
+// Centre of the precision-5 zone around Bandra, Mumbai
+const ZONE = geohash.decode(geohash.encode(19.06, 72.83, 5));
+const FAR_AWAY = { latitude: 28.61, longitude: 77.21 }; // Delhi
+const NEARBY = { latitude: ZONE.latitude + 0.01, longitude: ZONE.longitude };
+
+const QueryPrototype = Object.getPrototypeOf(mockDb.collection('bookings').where('status', '==', 'pending'));
+
+function seedBooking(id, coordinates, overrides = {}) {
+  mockDb.seed(`bookings/${id}`, {
+    status: 'pending',
+    pickup: { coordinates },
+    pickupGeohash: driverProximityService.getIndexFields(coordinates).geohash,
+    createdAt: new Date(),
+    ...overrides
+  });
+}
+
+function seedDriver(id, coordinates) {
+  mockDb.seed(`driverLocations/${id}`, {
+    isOnline: true,
+    isAvailable: true,
+    currentLocation: coordinates,
+    ...driverProximityService.getIndexFields(coordinates)
+  });
+}
+
+describe('surgePricingService zone counts', () => {
+  let readIds;
+
+  beforeEach(() => {
+    mockDb.reset();
+    jest.restoreAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    surgePricingService.settings = null;
+    surgePricingService.zoneCache.clear();
+    mockDb.seed('appSettings/surgePricing', { enabled: true, maxZoneCount: 10 });
+
+    // Record every document the queries return
+    readIds = [];
+    const get = QueryPrototype.get;
+    jest.spyOn(QueryPrototype, 'get').mockImplementation(async function () {
+      const snapshot = await get.call(this);
+      readIds.push(...snapshot.docs.map(doc => doc.id));
+      return snapshot;
+    });
+  });
+
+  it('counts recent pending bookings and available drivers near the zone only', async () => {
+    seedBooking('nearby', NEARBY);
+    seedBooking('completed', NEARBY, { status: 'completed' });
+    seedBooking('stale', NEARBY, { createdAt: new Date(Date.now() - 60 * 60 * 1000) });
+    seedBooking('far-away', FAR_AWAY);
+    seedDriver('driver-nearby', NEARBY);
+    seedDriver('driver-far-away', FAR_AWAY);
+
+    const surge = await surgePricingService.getSurgeForLocation(ZONE);
+
+    expect(surge).toMatchObject({ demand: 1, supply: 1 });
+    expect(readIds).not.toContain('far-away');
+    expect(readIds).not.toContain('driver-far-away');
+  });
+
+  it('stops counting at maxZoneCount', async () => {
+    for (let i = 0; i < 15; i++) {
+      seedBooking(`booking-${i}`, NEARBY);
+      seedDriver(`driver-${i}`, NEARBY);
+    }
+
+    const surge = await surgePricingService.getSurgeForLocation(ZONE);
+
+    expect(surge).toMatchObject({ demand: 10, supply: 10 });
+    expect(readIds.filter(id => id.startsWith('booking-')).length).toBeLessThanOrEqual(10);
+    expect(readIds.filter(id => id.startsWith('driver-')).length).toBeLessThanOrEqual(10);
+  });
+});